@@ -15,7 +15,7 @@ module.exports = {
         DB_NAME: 'hirebot_db',
         REDIS_HOST: 'redis',
         REDIS_PORT: 6379,
-        JOB_POLLING_INTERVAL: 5000,
+        JOB_WORKER_IN_API: false,
         watch: true,
       },
       env_production: {
@@ -25,9 +25,37 @@ module.exports = {
         DB_NAME: 'hirebot_db',
         REDIS_HOST: 'redis',
         REDIS_PORT: 6379,
-        JOB_POLLING_INTERVAL: 5000,
+        JOB_WORKER_IN_API: false,
         watch: false,
       },
     },
+    {
+      name: 'hirebot-ai-worker',
+      script: 'src/worker.js',
+      instances: 1,
+      autorestart: true,
+      watch: false,
+      max_memory_restart: '1G',
+      // Give running jobs time to finish (JOB_SHUTDOWN_TIMEOUT) before PM2 kills the process
+      kill_timeout: 70000,
+      env_development: {
+        NODE_ENV: 'development',
+        MONGODB_URI: 'mongodb://mongodb:27017',
+        DB_NAME: 'hirebot_db',
+        REDIS_HOST: 'redis',
+        REDIS_PORT: 6379,
+        JOB_WORKER_CONCURRENCY: 2,
+        JOB_SHUTDOWN_TIMEOUT: 60000,
+      },
+      env_production: {
+        NODE_ENV: 'production',
+        MONGODB_URI: 'mongodb://mongodb:27017',
+        DB_NAME: 'hirebot_db',
+        REDIS_HOST: 'redis',
+        REDIS_PORT: 6379,
+        JOB_WORKER_CONCURRENCY: 4,
+        JOB_SHUTDOWN_TIMEOUT: 60000,
+      },
+    },
   ],
 };
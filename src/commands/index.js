@@ -6,6 +6,8 @@
 const { initTopicsCommand } = require('./topicCommands');
 const { initPositionsCommand } = require('./positionCommands');
 const { initLanguagesCommand } = require('./languageCommands');
+const { setUserRoleCommand } = require('./userCommands');
+const { importQuestionBankCommand, exportQuestionBankCommand } = require('./questionBankCommands');
 
 /**
  * Execute a command with the given arguments
@@ -19,6 +21,9 @@ async function executeCommand(commandName, args) {
     'app:init-topics': initTopicsCommand,
     'app:init-positions': initPositionsCommand,
     'app:init-languages': initLanguagesCommand,
+    'app:set-user-role': setUserRoleCommand,
+    'app:import-bank': importQuestionBankCommand,
+    'app:export-bank': exportQuestionBankCommand,
   };
 
   const command = commands[commandName];
@@ -5,9 +5,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const Language = require('../models/languageModel');
 const { validateLanguagesData } = require('../utils/languageValidator');
 const { fileExists } = require('../utils/fileParser');
+const { syncSeedData, formatSeedSummary } = require('../services/seedDataService');
 const logger = require('../utils/logger');
 
 /**
@@ -41,77 +41,36 @@ async function readLanguagesFile(filePath) {
 }
 
 /**
- * Check for duplicate languages in the database
- * @async
+ * Add the slug generated from the name to languages that have none, the way the
+ * Language model does on save
  * @param {Array<Object>} languages - Array of language objects
- * @returns {Promise<Object>} Object with unique and duplicate languages
+ * @returns {Array<Object>} Languages with a slug
  */
-async function checkForDuplicates(languages) {
-  const uniqueLanguages = [];
-  const duplicates = [];
-
-  for (const language of languages) {
-    // Check if language with same name already exists
-    const existingByName = await Language.findOne({ name: language.name });
-
-    // Generate slug if not provided
-    const slug = language.slug || language.name.toLowerCase().replace(/\s+/g, '-');
-
-    // Check if language with same slug already exists
-    const existingBySlug = await Language.findOne({ slug });
-
-    if (existingByName || existingBySlug) {
-      duplicates.push({
-        language,
-        reason: existingByName
-          ? `Language with name '${language.name}' already exists`
-          : `Language with slug '${slug}' already exists`,
-      });
-    } else {
-      // Add slug if not provided
-      if (!language.slug) {
-        language.slug = slug;
-      }
-      uniqueLanguages.push(language);
-    }
-  }
-
-  return { uniqueLanguages, duplicates };
+function addLanguageSlugs(languages) {
+  return languages.map(language =>
+    language.slug
+      ? language
+      : { ...language, slug: language.name.toLowerCase().replace(/\s+/g, '-') }
+  );
 }
 
 /**
- * Insert languages into the database
+ * Initialize languages from a JSON file.
+ * Languages are matched on their slug or name: existing languages are updated in place and
+ * keep their IDs, new ones are inserted. With `--prune`, languages missing from the file are
+ * deleted unless questions or candidates still refer to them.
  * @async
- * @param {Array<Object>} languages - Array of language objects
- * @returns {Promise<Object>} Result of the insertion operation
- */
-async function insertLanguages(languages) {
-  try {
-    if (languages.length === 0) {
-      return { insertedCount: 0 };
-    }
-
-    const result = await Language.insertMany(languages, { ordered: false });
-    return { insertedCount: result.length };
-  } catch (error) {
-    logger.error(`Error inserting languages: ${error.message}`);
-    throw error;
-  }
-}
-
-/**
- * Initialize languages from a JSON file
- * @async
- * @param {Array<string>} args - Command arguments (first argument should be the file path)
- * @returns {Promise<void>}
+ * @param {Array<string>} args - Command arguments: the file path, then optionally `--prune`
+ * @returns {Promise<Object>} Created, updated, unchanged and pruned counts
  * @throws {Error} If file validation or database operations fail
  */
 async function initLanguagesCommand(args) {
-  if (!args || args.length === 0) {
+  const filePath = (args || []).find(arg => !arg.startsWith('--'));
+  if (!filePath) {
     throw new Error('File path argument is required');
   }
 
-  const filePath = args[0];
+  const prune = args.includes('--prune');
   logger.info(`Initializing languages from file: ${filePath}`);
 
   // Check if file exists
@@ -132,31 +91,16 @@ async function initLanguagesCommand(args) {
       throw new Error(`Invalid languages data: ${validation.errors.join(', ')}`);
     }
 
-    // Check for duplicates
-    const { uniqueLanguages, duplicates } = await checkForDuplicates(languages);
-
-    // Insert unique languages
-    const result = await insertLanguages(uniqueLanguages);
-
-    // Log results
-    logger.info(`Successfully inserted ${result.insertedCount} languages`);
-    if (duplicates.length > 0) {
-      logger.warn(`Skipped ${duplicates.length} duplicate languages`);
-      duplicates.forEach(dup => {
-        logger.warn(`- ${dup.language.name}: ${dup.reason}`);
-      });
+    // Upsert languages, keeping the IDs of the existing ones
+    const result = await syncSeedData('languages', addLanguageSlugs(languages), { prune });
+    if (!result.success) {
+      throw new Error(`Invalid languages data: ${result.errors.join(', ')}`);
     }
 
     console.log(`Languages initialization completed.`);
-    console.log(`- Total languages in file: ${languages.length}`);
-    console.log(`- Successfully inserted: ${result.insertedCount}`);
-    console.log(`- Skipped (duplicates): ${duplicates.length}`);
+    formatSeedSummary('languages', result.data).forEach(line => console.log(line));
 
-    return {
-      inserted: result.insertedCount,
-      skipped: duplicates.length,
-      total: languages.length,
-    };
+    return result.data;
   } catch (error) {
     logger.error(`Failed to initialize languages: ${error.message}`);
     throw error;
@@ -166,6 +110,5 @@ async function initLanguagesCommand(args) {
 module.exports = {
   initLanguagesCommand,
   readLanguagesFile,
-  checkForDuplicates,
-  insertLanguages,
+  addLanguageSlugs,
 };
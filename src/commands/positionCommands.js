@@ -5,26 +5,27 @@
 
 const { readJsonFile, fileExists } = require('../utils/fileParser');
 const { validatePositionsData } = require('../utils/positionValidator');
-const {
-  clearAllPositions,
-  insertPositions,
-  getPositionBySlug,
-} = require('../repository/positionRepository');
+const { syncSeedData, formatSeedSummary } = require('../services/seedDataService');
 const logger = require('../utils/logger');
 
 /**
- * Initialize positions from a JSON file
+ * Initialize positions from a JSON file.
+ * Positions are matched on their slug and updated in place, so their IDs stay stable; new
+ * slugs are inserted. With `--prune`, positions missing from the file are deleted unless
+ * questions or candidates still refer to them.
  * @async
- * @param {Array<string>} args - Command arguments (first argument should be the file path)
- * @returns {Promise<Object>} Result of the operation
+ * @param {Array<string>} args - Command arguments: the file path, then optionally `--prune`
+ * @returns {Promise<Object>} Result of the operation with the created, updated, unchanged
+ *   and pruned counts
  * @throws {Error} If file validation or database operations fail
  */
 async function initPositionsCommand(args) {
-  if (!args || args.length === 0) {
+  const filePath = (args || []).find(arg => !arg.startsWith('--'));
+  if (!filePath) {
     throw new Error('File path argument is required');
   }
 
-  const filePath = args[0];
+  const prune = args.includes('--prune');
   logger.info(`Initializing positions from file: ${filePath}`);
 
   // Check if file exists
@@ -46,48 +47,26 @@ async function initPositionsCommand(args) {
     // Determine if we have a direct array or an object with positions array
     const positions = Array.isArray(data) ? data : data.positions;
 
-    // Check for duplicate slugs within the file
-    const slugs = new Set();
-    const duplicateSlugs = [];
-
-    positions.forEach(position => {
-      if (slugs.has(position.slug)) {
-        duplicateSlugs.push(position.slug);
-      }
-      slugs.add(position.slug);
-    });
-
-    if (duplicateSlugs.length > 0) {
-      throw new Error(`Duplicate slugs found in file: ${duplicateSlugs.join(', ')}`);
-    }
-
-    // Clear existing positions
-    await clearAllPositions();
-    logger.info('Existing positions cleared successfully');
-
-    // Check for existing positions in the database and handle accordingly
-    const positionsToInsert = [];
-
-    for (const position of positions) {
-      // Map level to positionLevel if needed
-      if (position.level && !position.positionLevel) {
-        position.positionLevel = position.level;
-      }
-
-      // Add timestamps
-      position.createdAt = new Date();
-      position.updatedAt = new Date();
-
-      positionsToInsert.push(position);
+    // Map level to positionLevel if needed
+    const records = positions.map(position =>
+      position.level && !position.positionLevel
+        ? { ...position, positionLevel: position.level }
+        : position
+    );
+
+    // Upsert positions by slug, keeping the IDs of the existing ones
+    const result = await syncSeedData('positions', records, { prune });
+    if (!result.success) {
+      throw new Error(`Invalid positions data: ${result.errors.join(', ')}`);
     }
 
-    // Insert new positions
-    const result = await insertPositions(positionsToInsert);
-    logger.info(`Successfully inserted ${result.insertedCount} positions`);
+    console.log('Positions initialization completed.');
+    formatSeedSummary('positions', result.data).forEach(line => console.log(line));
 
     return {
       success: true,
-      message: `Successfully initialized ${result.insertedCount} positions`,
+      message: `Successfully initialized ${result.data.total} positions`,
+      ...result.data,
     };
   } catch (error) {
     logger.error('Failed to initialize positions:', error);
@@ -0,0 +1,140 @@
+/**
+ * Question Bank Commands Module
+ * @module commands/questionBankCommands
+ */
+
+const fs = require('fs/promises');
+const { fileExists } = require('../utils/fileParser');
+const {
+  BANK_COLLECTIONS,
+  resolveFormat,
+  importQuestionBank,
+  exportQuestionBank,
+} = require('../services/questionBankService');
+const logger = require('../utils/logger');
+
+/**
+ * Split command arguments into positional arguments and `--name[=value]` options
+ * @param {Array<string>} args - Command arguments
+ * @returns {Object} `{ positional, options }`
+ */
+function parseArgs(args = []) {
+  const positional = [];
+  const options = {};
+
+  args.forEach(arg => {
+    const option = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (option) {
+      options[option[1]] = option[2] === undefined ? true : option[2];
+    } else {
+      positional.push(arg);
+    }
+  });
+
+  return { positional, options };
+}
+
+/**
+ * Format a line of the import report
+ * @param {Object} item - Report line
+ * @returns {string} Printable line
+ */
+function formatReportLine(item) {
+  const location = item.line ? `Line ${item.line}` : 'Record';
+  if (item.action === 'error') {
+    return `${location}: error - ${item.errors.join('; ')}`;
+  }
+  return `${location}: ${item.action} ${item._id || ''}`.trim();
+}
+
+/**
+ * Import questions, logic questions or instruments from a JSON, CSV or GIFT file.
+ * Existing records are updated, matched on _id or their natural key.
+ * @async
+ * @param {Array<string>} args - Command arguments: collection, file path, and optionally
+ *   `--format=json|csv|gift` and `--dry-run`
+ * @returns {Promise<Object>} Import summary and report
+ * @throws {Error} If the arguments are invalid, the file cannot be imported or any record fails
+ */
+async function importQuestionBankCommand(args) {
+  const { positional, options } = parseArgs(args);
+  const [collection, filePath] = positional;
+  if (!collection || !filePath) {
+    throw new Error(
+      'Usage: app:import-bank <questions|logic_questions|instruments> <file> ' +
+        '[--format=json|csv|gift] [--dry-run]'
+    );
+  }
+
+  if (!(await fileExists(filePath))) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const dryRun = options['dry-run'] === true;
+  logger.info(`Importing ${collection} from file: ${filePath}${dryRun ? ' (dry run)' : ''}`);
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const result = await importQuestionBank(collection, content, {
+    format: options.format,
+    fileName: filePath,
+    dryRun,
+  });
+  if (!result.success) {
+    throw new Error(`Failed to import ${collection}: ${result.errors.join(', ')}`);
+  }
+
+  const { summary, report } = result.data;
+  report.forEach(item => console.log(formatReportLine(item)));
+  console.log(
+    `${dryRun ? 'Dry run: ' : ''}${summary.total} records, ${summary.created} created, ` +
+      `${summary.updated} updated, ${summary.failed} failed`
+  );
+
+  if (summary.failed > 0) {
+    throw new Error(`${summary.failed} of ${summary.total} records could not be imported`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Export questions, logic questions or instruments to a JSON, CSV or GIFT file
+ * @async
+ * @param {Array<string>} args - Command arguments: collection, file path, and optionally
+ *   `--format=json|csv|gift` (defaults to the format of the file extension)
+ * @returns {Promise<Object>} Number of exported records and the format
+ * @throws {Error} If the arguments are invalid or the export fails
+ */
+async function exportQuestionBankCommand(args) {
+  const { positional, options } = parseArgs(args);
+  const [collection, filePath] = positional;
+  if (!collection || !filePath) {
+    throw new Error(
+      'Usage: app:export-bank <questions|logic_questions|instruments> <file> ' +
+        '[--format=json|csv|gift]'
+    );
+  }
+
+  if (!BANK_COLLECTIONS[collection]) {
+    throw new Error(
+      `Invalid collection. Must be one of: ${Object.keys(BANK_COLLECTIONS).join(', ')}`
+    );
+  }
+
+  const format = options.format || resolveFormat(null, filePath) || 'json';
+  const result = await exportQuestionBank(collection, { format });
+  if (!result.success) {
+    throw new Error(`Failed to export ${collection}: ${result.errors.join(', ')}`);
+  }
+
+  await fs.writeFile(filePath, result.data.content, 'utf8');
+  logger.info(`Exported ${result.data.count} ${collection} to ${filePath}`);
+  console.log(`Exported ${result.data.count} ${collection} to ${filePath}`);
+
+  return { count: result.data.count, format };
+}
+
+module.exports = {
+  importQuestionBankCommand,
+  exportQuestionBankCommand,
+};
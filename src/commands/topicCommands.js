@@ -5,22 +5,28 @@
 
 const { readJsonFile, fileExists } = require('../utils/fileParser');
 const { validateTopicsData } = require('../utils/topicValidator');
-const { clearAllTopics, insertTopics } = require('../repository/topicRepository');
+const { syncSeedData, formatSeedSummary } = require('../services/seedDataService');
+const formatSlug = require('../utils/formatSlug');
 const logger = require('../utils/logger');
 
 /**
- * Initialize topics from a JSON file
+ * Initialize topics from a JSON file.
+ * Topics are matched on their slug or title: existing topics are updated in place so the
+ * questions pointing to them keep working, and new ones are inserted. With `--prune`, topics
+ * missing from the file are deleted unless questions or candidates still refer to them.
  * @async
- * @param {Array<string>} args - Command arguments (first argument should be the file path)
- * @returns {Promise<void>}
+ * @param {Array<string>} args - Command arguments: the file path, then optionally `--prune`
+ * @returns {Promise<Object>} Result of the operation with the created, updated, unchanged
+ *   and pruned counts
  * @throws {Error} If file validation or database operations fail
  */
 async function initTopicsCommand(args) {
-  if (!args || args.length === 0) {
+  const filePath = (args || []).find(arg => !arg.startsWith('--'));
+  if (!filePath) {
     throw new Error('File path argument is required');
   }
 
-  const filePath = args[0];
+  const prune = args.includes('--prune');
   logger.info(`Initializing topics from file: ${filePath}`);
 
   // Check if file exists
@@ -39,17 +45,23 @@ async function initTopicsCommand(args) {
       throw new Error(`Invalid topics data: ${validation.errors.join(', ')}`);
     }
 
-    // Clear existing topics
-    await clearAllTopics();
-    logger.info('Existing topics cleared successfully');
+    // Upsert topics, keeping the IDs of the existing ones
+    const records = Array.isArray(data) ? data : data.topics;
+    const topics = records.map(topic =>
+      topic.slug ? topic : { ...topic, slug: formatSlug(topic.title) }
+    );
+    const result = await syncSeedData('topics', topics, { prune });
+    if (!result.success) {
+      throw new Error(`Invalid topics data: ${result.errors.join(', ')}`);
+    }
 
-    // Insert new topics
-    const result = await insertTopics(data.topics);
-    logger.info(`Successfully inserted ${result.insertedCount} topics`);
+    console.log('Topics initialization completed.');
+    formatSeedSummary('topics', result.data).forEach(line => console.log(line));
 
     return {
       success: true,
-      message: `Successfully initialized ${result.insertedCount} topics`,
+      message: `Successfully initialized ${result.data.total} topics`,
+      ...result.data,
     };
   } catch (error) {
     logger.error('Failed to initialize topics:', error);
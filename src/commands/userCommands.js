@@ -0,0 +1,56 @@
+/**
+ * User Commands Module
+ * @module commands/userCommands
+ */
+
+const userService = require('../services/userService');
+const { USER_ROLES } = require('../config/roleConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Find a user by email or username
+ * @async
+ * @param {string} identifier - Email address or username
+ * @returns {Promise<Object|null>} User object or null if not found
+ */
+async function findUser(identifier) {
+  if (identifier.includes('@')) {
+    return await userService.getUserByEmail(identifier);
+  }
+
+  return await userService.getUserByUsername(identifier);
+}
+
+/**
+ * Set the role of an existing user.
+ * Used to promote the first admin, since users created through /api/register are candidates.
+ * @async
+ * @param {Array<string>} args - Command arguments (email or username, then the role)
+ * @returns {Promise<Object>} Updated user
+ * @throws {Error} If the arguments are invalid or the user does not exist
+ */
+async function setUserRoleCommand(args) {
+  if (!args || args.length < 2) {
+    throw new Error('Usage: app:set-user-role <email|username> <role>');
+  }
+
+  const [identifier, role] = args;
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
+  }
+
+  const user = await findUser(identifier);
+  if (!user) {
+    throw new Error(`User not found: ${identifier}`);
+  }
+
+  const updatedUser = await userService.updateUser(user._id, { role });
+  logger.info(`Set role of user ${user.username} to ${role}`);
+  console.log(`User ${user.username} now has the role: ${role}`);
+
+  return updatedUser;
+}
+
+module.exports = {
+  setUserRoleCommand,
+};
@@ -0,0 +1,112 @@
+/**
+ * Account Security Configuration Module
+ * Password policy, email verification, password reset and login lockout settings.
+ * @module config/accountConfig
+ */
+
+/**
+ * Default configuration values if environment variables are not set.
+ * Durations are in milliseconds.
+ * @constant {Object}
+ */
+const DEFAULT_ACCOUNT_CONFIG = {
+  passwordMinLength: 8,
+  passwordRequireLowercase: false,
+  passwordRequireUppercase: false,
+  passwordRequireNumber: false,
+  passwordRequireSymbol: false,
+  requireEmailVerification: false,
+  emailVerificationTtl: 24 * 60 * 60 * 1000,
+  passwordResetTtl: 60 * 60 * 1000,
+  linkBaseUrl: 'http://localhost:8000',
+  loginMaxAttempts: 5,
+  loginLockoutDuration: 15 * 60 * 1000,
+  loginMaxLockoutDuration: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a non-negative integer environment variable
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number} Parsed value
+ */
+const parseNonNegativeInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Parse a boolean environment variable
+ * @param {string|undefined} value - Raw environment value
+ * @param {boolean} fallback - Value used when the variable is missing
+ * @returns {boolean} Parsed value
+ */
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return value === 'true';
+};
+
+/**
+ * Get account security configuration from environment variables or fallback to defaults.
+ * Read on every call so tests and the CLI can change the environment at runtime.
+ * A LOGIN_MAX_ATTEMPTS of 0 disables the lockout.
+ * @returns {Object} Account configuration object
+ */
+const getAccountConfig = () => {
+  const defaults = DEFAULT_ACCOUNT_CONFIG;
+
+  return {
+    passwordPolicy: {
+      minLength:
+        parseNonNegativeInt(process.env.PASSWORD_MIN_LENGTH, defaults.passwordMinLength) ||
+        defaults.passwordMinLength,
+      requireLowercase: parseBoolean(
+        process.env.PASSWORD_REQUIRE_LOWERCASE,
+        defaults.passwordRequireLowercase
+      ),
+      requireUppercase: parseBoolean(
+        process.env.PASSWORD_REQUIRE_UPPERCASE,
+        defaults.passwordRequireUppercase
+      ),
+      requireNumber: parseBoolean(
+        process.env.PASSWORD_REQUIRE_NUMBER,
+        defaults.passwordRequireNumber
+      ),
+      requireSymbol: parseBoolean(
+        process.env.PASSWORD_REQUIRE_SYMBOL,
+        defaults.passwordRequireSymbol
+      ),
+    },
+    requireEmailVerification: parseBoolean(
+      process.env.REQUIRE_EMAIL_VERIFICATION,
+      defaults.requireEmailVerification
+    ),
+    emailVerificationTtl: parseNonNegativeInt(
+      process.env.EMAIL_VERIFICATION_TTL,
+      defaults.emailVerificationTtl
+    ),
+    passwordResetTtl: parseNonNegativeInt(
+      process.env.PASSWORD_RESET_TTL,
+      defaults.passwordResetTtl
+    ),
+    linkBaseUrl: (process.env.ACCOUNT_LINK_BASE_URL || defaults.linkBaseUrl).replace(/\/+$/, ''),
+    lockout: {
+      maxAttempts: parseNonNegativeInt(process.env.LOGIN_MAX_ATTEMPTS, defaults.loginMaxAttempts),
+      duration: parseNonNegativeInt(
+        process.env.LOGIN_LOCKOUT_DURATION,
+        defaults.loginLockoutDuration
+      ),
+      maxDuration: parseNonNegativeInt(
+        process.env.LOGIN_MAX_LOCKOUT_DURATION,
+        defaults.loginMaxLockoutDuration
+      ),
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_ACCOUNT_CONFIG,
+  getAccountConfig,
+};
@@ -0,0 +1,102 @@
+/**
+ * Candidate Pipeline Configuration Module
+ * @module config/candidatePipelineConfig
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Stages of the hiring pipeline, in order
+ * @constant {Array<string>}
+ */
+const PIPELINE_STAGES = [
+  'applied',
+  'screening',
+  'assessment_sent',
+  'assessment_done',
+  'interview',
+  'offer',
+  'hired',
+  'rejected',
+];
+
+/**
+ * Stage of new candidates. Candidates whose status is not a pipeline stage (stored
+ * before the pipeline existed) are treated as being in this stage.
+ * @constant {string}
+ */
+const INITIAL_STAGE = 'applied';
+
+/**
+ * Default stages each stage can move to if CANDIDATE_PIPELINE_TRANSITIONS is not set
+ * @constant {Object}
+ */
+const DEFAULT_PIPELINE_TRANSITIONS = {
+  applied: ['screening', 'rejected'],
+  screening: ['assessment_sent', 'interview', 'rejected'],
+  assessment_sent: ['assessment_done', 'rejected'],
+  assessment_done: ['interview', 'offer', 'rejected'],
+  interview: ['assessment_sent', 'offer', 'rejected'],
+  offer: ['hired', 'rejected'],
+  hired: [],
+  rejected: ['applied'],
+};
+
+/**
+ * Parse the transitions set in CANDIDATE_PIPELINE_TRANSITIONS, a JSON object that maps
+ * stages to the stages they can move to. Stages it leaves out keep their default transitions.
+ * @param {string} [value] - Environment variable value
+ * @returns {Object|null} Transitions per stage, or null if the value is missing or invalid
+ */
+const parseTransitions = value => {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const transitions = JSON.parse(value);
+    const isValid =
+      typeof transitions === 'object' &&
+      transitions !== null &&
+      !Array.isArray(transitions) &&
+      Object.entries(transitions).every(
+        ([stage, targets]) =>
+          PIPELINE_STAGES.includes(stage) &&
+          Array.isArray(targets) &&
+          targets.every(target => PIPELINE_STAGES.includes(target))
+      );
+
+    if (!isValid) {
+      logger.warn('Ignoring CANDIDATE_PIPELINE_TRANSITIONS: unknown stage or invalid format');
+      return null;
+    }
+
+    return transitions;
+  } catch (error) {
+    logger.warn('Ignoring CANDIDATE_PIPELINE_TRANSITIONS: invalid JSON');
+    return null;
+  }
+};
+
+/**
+ * Get the candidate pipeline configuration from environment variables or fallback to defaults.
+ * Read on every call so tests can change the environment at runtime.
+ * @returns {Object} Pipeline configuration with stages, initialStage and transitions
+ */
+const getCandidatePipelineConfig = () => {
+  return {
+    stages: PIPELINE_STAGES,
+    initialStage: INITIAL_STAGE,
+    transitions: {
+      ...DEFAULT_PIPELINE_TRANSITIONS,
+      ...parseTransitions(process.env.CANDIDATE_PIPELINE_TRANSITIONS),
+    },
+  };
+};
+
+module.exports = {
+  PIPELINE_STAGES,
+  INITIAL_STAGE,
+  DEFAULT_PIPELINE_TRANSITIONS,
+  getCandidatePipelineConfig,
+};
@@ -0,0 +1,46 @@
+/**
+ * Duplicate Detection Configuration Module
+ * @module config/duplicateDetectionConfig
+ */
+
+const { MIN_SIMILARITY_THRESHOLD } = require('../utils/textSimilarity');
+
+/**
+ * What happens to generated questions that are too similar to existing ones:
+ * `reject` drops them, `flag` stores them with a reference to the similar question
+ * @constant {Array<string>}
+ */
+const DUPLICATE_MODES = ['reject', 'flag'];
+
+/**
+ * Default configuration values if environment variables are not set
+ * @constant {Object}
+ */
+const DEFAULT_DUPLICATE_DETECTION_CONFIG = {
+  threshold: 0.7,
+  mode: 'reject',
+};
+
+/**
+ * Get duplicate detection configuration from environment variables or fallback to defaults.
+ * Read on every call so tests can change the environment at runtime.
+ * @returns {Object} Duplicate detection configuration object
+ */
+const getDuplicateDetectionConfig = () => {
+  const threshold = parseFloat(process.env.QUESTION_SIMILARITY_THRESHOLD);
+  const mode = process.env.QUESTION_DUPLICATE_MODE;
+
+  return {
+    threshold:
+      threshold >= MIN_SIMILARITY_THRESHOLD && threshold <= 1
+        ? threshold
+        : DEFAULT_DUPLICATE_DETECTION_CONFIG.threshold,
+    mode: DUPLICATE_MODES.includes(mode) ? mode : DEFAULT_DUPLICATE_DETECTION_CONFIG.mode,
+  };
+};
+
+module.exports = {
+  DUPLICATE_MODES,
+  DEFAULT_DUPLICATE_DETECTION_CONFIG,
+  getDuplicateDetectionConfig,
+};
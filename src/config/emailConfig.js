@@ -0,0 +1,66 @@
+/**
+ * Email Configuration Module
+ * @module config/emailConfig
+ */
+
+const path = require('path');
+
+/**
+ * Supported email transports
+ * @constant {Object}
+ */
+const EMAIL_TRANSPORTS = {
+  SMTP: 'smtp',
+  FILE: 'file',
+  CONSOLE: 'console',
+};
+
+/**
+ * All valid email transport names
+ * @constant {Array<string>}
+ */
+const EMAIL_TRANSPORT_NAMES = Object.values(EMAIL_TRANSPORTS);
+
+/**
+ * Default configuration values if environment variables are not set
+ * @constant {Object}
+ */
+const DEFAULT_EMAIL_CONFIG = {
+  transport: EMAIL_TRANSPORTS.CONSOLE,
+  from: 'Hirebot <no-reply@localhost>',
+  smtpPort: 587,
+  smtpTimeout: 30000,
+  fileDir: path.join('tmp', 'emails'),
+};
+
+/**
+ * Get email configuration from environment variables or fallback to defaults.
+ * Read on every call so tests and the CLI can change the environment at runtime.
+ * @returns {Object} Email configuration object
+ */
+const getEmailConfig = () => {
+  const smtpPort = parseInt(process.env.SMTP_PORT, 10) || DEFAULT_EMAIL_CONFIG.smtpPort;
+
+  return {
+    transport: process.env.EMAIL_TRANSPORT || DEFAULT_EMAIL_CONFIG.transport,
+    from: process.env.EMAIL_FROM || DEFAULT_EMAIL_CONFIG.from,
+    smtpHost: process.env.SMTP_HOST || '',
+    smtpPort,
+    // Port 465 expects TLS from the start; other ports upgrade with STARTTLS when offered
+    smtpSecure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : smtpPort === 465,
+    smtpUser: process.env.SMTP_USER || '',
+    smtpPassword: process.env.SMTP_PASSWORD || '',
+    smtpTimeout: parseInt(process.env.SMTP_TIMEOUT, 10) || DEFAULT_EMAIL_CONFIG.smtpTimeout,
+    fileDir: path.resolve(
+      process.cwd(),
+      process.env.EMAIL_FILE_DIR || DEFAULT_EMAIL_CONFIG.fileDir
+    ),
+  };
+};
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  EMAIL_TRANSPORT_NAMES,
+  DEFAULT_EMAIL_CONFIG,
+  getEmailConfig,
+};
@@ -0,0 +1,87 @@
+/**
+ * Job Queue Configuration Module
+ * @module config/jobQueueConfig
+ */
+
+/**
+ * Default configuration values if environment variables are not set.
+ * Delays and timeouts are in milliseconds, except blockTimeout (seconds a worker
+ * waits on the queue per blocking pop).
+ * @constant {Object}
+ */
+const DEFAULT_JOB_QUEUE_CONFIG = {
+  maxAttempts: 3,
+  retryDelay: 30000,
+  maxRetryDelay: 600000,
+  concurrency: 1,
+  blockTimeout: 5,
+  heartbeatInterval: 10000,
+  heartbeatTimeout: 60000,
+  shutdownTimeout: 60000,
+};
+
+/**
+ * Parse a positive integer environment variable
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number} Parsed value
+ */
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Get job queue configuration from environment variables or fallback to defaults.
+ * Read on every call so tests can change the environment at runtime.
+ * @returns {Object} Job queue configuration object
+ */
+const getJobQueueConfig = () => {
+  return {
+    maxAttempts: parsePositiveInt(
+      process.env.JOB_MAX_ATTEMPTS,
+      DEFAULT_JOB_QUEUE_CONFIG.maxAttempts
+    ),
+    retryDelay: parsePositiveInt(process.env.JOB_RETRY_DELAY, DEFAULT_JOB_QUEUE_CONFIG.retryDelay),
+    maxRetryDelay: parsePositiveInt(
+      process.env.JOB_MAX_RETRY_DELAY,
+      DEFAULT_JOB_QUEUE_CONFIG.maxRetryDelay
+    ),
+    concurrency: parsePositiveInt(
+      process.env.JOB_WORKER_CONCURRENCY,
+      DEFAULT_JOB_QUEUE_CONFIG.concurrency
+    ),
+    blockTimeout: parsePositiveInt(
+      process.env.JOB_BLOCK_TIMEOUT,
+      DEFAULT_JOB_QUEUE_CONFIG.blockTimeout
+    ),
+    heartbeatInterval: parsePositiveInt(
+      process.env.JOB_HEARTBEAT_INTERVAL,
+      DEFAULT_JOB_QUEUE_CONFIG.heartbeatInterval
+    ),
+    heartbeatTimeout: parsePositiveInt(
+      process.env.JOB_HEARTBEAT_TIMEOUT,
+      DEFAULT_JOB_QUEUE_CONFIG.heartbeatTimeout
+    ),
+    shutdownTimeout: parsePositiveInt(
+      process.env.JOB_SHUTDOWN_TIMEOUT,
+      DEFAULT_JOB_QUEUE_CONFIG.shutdownTimeout
+    ),
+  };
+};
+
+/**
+ * Compute the delay before the next attempt of a failed job (exponential backoff)
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {Object} [config] - Job queue configuration (defaults to getJobQueueConfig())
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt, config = getJobQueueConfig()) => {
+  return Math.min(config.retryDelay * Math.pow(2, attempt - 1), config.maxRetryDelay);
+};
+
+module.exports = {
+  DEFAULT_JOB_QUEUE_CONFIG,
+  getJobQueueConfig,
+  getRetryDelay,
+};
@@ -0,0 +1,87 @@
+/**
+ * LLM Provider Configuration Module
+ * @module config/llmConfig
+ */
+
+const path = require('path');
+
+/**
+ * Supported LLM providers
+ * @constant {Object}
+ */
+const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  OLLAMA: 'ollama',
+  FIXTURE: 'fixture',
+};
+
+/**
+ * All valid LLM provider names
+ * @constant {Array<string>}
+ */
+const LLM_PROVIDER_NAMES = Object.values(LLM_PROVIDERS);
+
+/**
+ * Values of NODE_ENV in which the fixture provider is available without LLM_ENABLE_FIXTURES
+ * @constant {Array<string>}
+ */
+const FIXTURE_ENVIRONMENTS = ['test', 'testing', 'development'];
+
+/**
+ * Default configuration values if environment variables are not set
+ * @constant {Object}
+ */
+const DEFAULT_LLM_CONFIG = {
+  provider: LLM_PROVIDERS.GEMINI,
+  openaiBaseUrl: 'https://api.openai.com/v1',
+  openaiModel: 'gpt-4o-mini',
+  ollamaBaseUrl: 'http://localhost:11434',
+  ollamaModel: 'llama3.1',
+  fixturesDir: path.join('fixtures', 'llm'),
+  requestTimeout: 60000,
+};
+
+/**
+ * Get LLM provider configuration from environment variables or fallback to defaults.
+ * Read on every call so tests and the CLI can change the environment at runtime.
+ * @returns {Object} LLM configuration object
+ */
+const getLLMConfig = () => {
+  return {
+    provider: process.env.LLM_PROVIDER || DEFAULT_LLM_CONFIG.provider,
+    openaiBaseUrl: process.env.OPENAI_API_BASE_URL || DEFAULT_LLM_CONFIG.openaiBaseUrl,
+    openaiApiKey: process.env.OPENAI_API_KEY || '',
+    openaiModel: process.env.OPENAI_MODEL || DEFAULT_LLM_CONFIG.openaiModel,
+    ollamaBaseUrl: process.env.OLLAMA_BASE_URL || DEFAULT_LLM_CONFIG.ollamaBaseUrl,
+    ollamaModel: process.env.OLLAMA_MODEL || DEFAULT_LLM_CONFIG.ollamaModel,
+    fixturesDir: path.resolve(
+      process.cwd(),
+      process.env.LLM_FIXTURES_DIR || DEFAULT_LLM_CONFIG.fixturesDir
+    ),
+    recordFixtures: process.env.LLM_RECORD_FIXTURES === 'true',
+    fixturesEnabled:
+      process.env.LLM_ENABLE_FIXTURES === 'true' ||
+      FIXTURE_ENVIRONMENTS.includes(process.env.NODE_ENV),
+    requestTimeout:
+      parseInt(process.env.LLM_REQUEST_TIMEOUT, 10) || DEFAULT_LLM_CONFIG.requestTimeout,
+  };
+};
+
+/**
+ * Get the names of the providers that can be used. The fixture provider replays canned
+ * responses, so it is only available in tests and development, or with LLM_ENABLE_FIXTURES=true.
+ * @returns {Array<string>} Provider names
+ */
+const getLLMProviderNames = () => {
+  const { fixturesEnabled } = getLLMConfig();
+  return LLM_PROVIDER_NAMES.filter(name => name !== LLM_PROVIDERS.FIXTURE || fixturesEnabled);
+};
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_PROVIDER_NAMES,
+  DEFAULT_LLM_CONFIG,
+  getLLMConfig,
+  getLLMProviderNames,
+};
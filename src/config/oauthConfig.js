@@ -6,6 +6,56 @@
 require('dotenv').config();
 const logger = require('../utils/logger');
 
+/**
+ * Scopes a token can carry, named `<resource>:<access>`.
+ * Roles still decide what a user may do; scopes limit what a token may be used for.
+ * @constant {Object}
+ */
+const OAUTH_SCOPES = {
+  QUESTIONS_READ: 'questions:read',
+  QUESTIONS_WRITE: 'questions:write',
+  QUESTIONS_GENERATE: 'questions:generate',
+  CATALOG_READ: 'catalog:read',
+  CATALOG_WRITE: 'catalog:write',
+  CANDIDATES_READ: 'candidates:read',
+  CANDIDATES_WRITE: 'candidates:write',
+  SUBMISSIONS_READ: 'submissions:read',
+  SUBMISSIONS_WRITE: 'submissions:write',
+  ASSESSMENTS_READ: 'assessments:read',
+  ASSESSMENTS_WRITE: 'assessments:write',
+  PROFILE: 'profile',
+  ADMIN: 'admin',
+};
+
+/**
+ * Descriptions of the scopes, shown on the consent page
+ * @constant {Object}
+ */
+const OAUTH_SCOPE_DESCRIPTIONS = {
+  [OAUTH_SCOPES.QUESTIONS_READ]: 'Read questions, instruments and logic questions',
+  [OAUTH_SCOPES.QUESTIONS_WRITE]:
+    'Create, import, update and review questions, instruments and logic questions',
+  [OAUTH_SCOPES.QUESTIONS_GENERATE]: 'Generate questions with AI and follow the generation jobs',
+  [OAUTH_SCOPES.CATALOG_READ]: 'Read topics, positions, languages and tags',
+  [OAUTH_SCOPES.CATALOG_WRITE]: 'Manage topics, positions, languages and tags',
+  [OAUTH_SCOPES.CANDIDATES_READ]: 'Read candidates and applications',
+  [OAUTH_SCOPES.CANDIDATES_WRITE]: 'Manage candidates and applications',
+  [OAUTH_SCOPES.SUBMISSIONS_READ]: 'Read submissions and rankings',
+  [OAUTH_SCOPES.SUBMISSIONS_WRITE]: 'Submit, grade and update submissions',
+  [OAUTH_SCOPES.ASSESSMENTS_READ]: 'Read assessment templates and sessions',
+  [OAUTH_SCOPES.ASSESSMENTS_WRITE]: 'Manage and take assessments',
+  [OAUTH_SCOPES.PROFILE]: 'Read your user profile',
+  [OAUTH_SCOPES.ADMIN]: 'Manage users and OAuth clients, and everything the other scopes allow',
+};
+
+/**
+ * Scopes allowed to clients registered without an explicit list: everything but `admin`
+ * @constant {Array<string>}
+ */
+const DEFAULT_CLIENT_SCOPES = Object.values(OAUTH_SCOPES).filter(
+  scope => scope !== OAUTH_SCOPES.ADMIN
+);
+
 /**
  * Default OAuth2 configuration values if environment variables are not set
  * @constant {Object}
@@ -20,6 +70,7 @@ const DEFAULT_OAUTH_CONFIG = {
     password: true,
     refresh_token: true,
     authorization_code: true,
+    client_credentials: true,
   },
 };
 
@@ -56,6 +107,8 @@ const getOAuthConfig = () => {
         process.env.OAUTH_REQUIRE_CLIENT_AUTH_AUTHORIZATION_CODE === 'false'
           ? false
           : DEFAULT_OAUTH_CONFIG.requireClientAuthentication.authorization_code,
+      // The client secret is the only credential of this grant, so it cannot be turned off
+      client_credentials: true,
     },
   };
 };
@@ -77,6 +130,8 @@ const getClientCredentials = () => {
         redirectUris: [
           process.env.OAUTH_DEFAULT_REDIRECT_URI || 'http://localhost:3000/oauth/callback',
         ],
+        // The default client is first-party, so it may also request the admin scope
+        scopes: Object.values(OAUTH_SCOPES),
       },
     ];
   }
@@ -93,6 +148,8 @@ const getClientCredentials = () => {
         redirectUris: [
           process.env.OAUTH_DEFAULT_REDIRECT_URI || 'http://localhost:3000/oauth/callback',
         ],
+        // The default client is first-party, so it may also request the admin scope
+        scopes: Object.values(OAUTH_SCOPES),
       },
     ];
   }
@@ -102,4 +159,7 @@ module.exports = {
   getOAuthConfig,
   getClientCredentials,
   DEFAULT_OAUTH_CONFIG,
+  OAUTH_SCOPES,
+  OAUTH_SCOPE_DESCRIPTIONS,
+  DEFAULT_CLIENT_SCOPES,
 };
@@ -0,0 +1,137 @@
+/**
+ * Role Configuration Module
+ * @module config/roleConfig
+ */
+
+/**
+ * User roles
+ * @constant {Object}
+ */
+const ROLES = {
+  ADMIN: 'admin',
+  RECRUITER: 'recruiter',
+  INTERVIEWER: 'interviewer',
+  CANDIDATE: 'candidate',
+};
+
+/**
+ * All valid user roles
+ * @constant {Array<string>}
+ */
+const USER_ROLES = Object.values(ROLES);
+
+/**
+ * Role of service accounts (OAuth clients using the client_credentials grant).
+ * Service accounts are not users, so this is not one of USER_ROLES.
+ * @constant {string}
+ */
+const SERVICE_ACCOUNT_ROLE = 'service';
+
+/**
+ * Role given to users that register themselves
+ * @constant {string}
+ */
+const DEFAULT_ROLE = ROLES.CANDIDATE;
+
+/**
+ * Permissions checked by the routes, named `<resource>:<action>`
+ * @constant {Object}
+ */
+const PERMISSIONS = {
+  QUESTIONS_READ: 'questions:read',
+  QUESTIONS_WRITE: 'questions:write',
+  QUESTIONS_GENERATE: 'questions:generate',
+  QUESTIONS_REVIEW: 'questions:review',
+  CATALOG_READ: 'catalog:read',
+  CATALOG_WRITE: 'catalog:write',
+  INSTRUMENTS_READ: 'instruments:read',
+  INSTRUMENTS_WRITE: 'instruments:write',
+  LOGIC_QUESTIONS_READ: 'logic_questions:read',
+  LOGIC_QUESTIONS_WRITE: 'logic_questions:write',
+  CANDIDATES_READ: 'candidates:read',
+  CANDIDATES_WRITE: 'candidates:write',
+  SUBMISSIONS_READ: 'submissions:read',
+  SUBMISSIONS_CREATE: 'submissions:create',
+  SUBMISSIONS_WRITE: 'submissions:write',
+  ASSESSMENTS_READ: 'assessments:read',
+  ASSESSMENTS_WRITE: 'assessments:write',
+  ASSESSMENTS_TAKE: 'assessments:take',
+  JOBS_READ: 'jobs:read',
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  OAUTH_CLIENTS_MANAGE: 'oauth_clients:manage',
+};
+
+/**
+ * Permissions only granted to admins
+ * @constant {Array<string>}
+ */
+const ADMIN_ONLY_PERMISSIONS = [
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_WRITE,
+  PERMISSIONS.OAUTH_CLIENTS_MANAGE,
+];
+
+/**
+ * Permissions granted to each role.
+ * Candidates also pass the ownership checks only for their own candidate_id. They cannot read
+ * questions or logic questions, whose answer keys would give the answers away, and they submit
+ * answers through timed assessment sessions rather than by creating submissions; the items of a
+ * started session are served to them without their answer keys.
+ * @constant {Object}
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.RECRUITER]: Object.values(PERMISSIONS).filter(
+    permission => !ADMIN_ONLY_PERMISSIONS.includes(permission)
+  ),
+  // Integrations act like recruiters; the scopes of their client narrow this down
+  [SERVICE_ACCOUNT_ROLE]: Object.values(PERMISSIONS).filter(
+    permission => !ADMIN_ONLY_PERMISSIONS.includes(permission)
+  ),
+  [ROLES.INTERVIEWER]: [
+    PERMISSIONS.QUESTIONS_READ,
+    PERMISSIONS.CATALOG_READ,
+    PERMISSIONS.INSTRUMENTS_READ,
+    PERMISSIONS.LOGIC_QUESTIONS_READ,
+    PERMISSIONS.CANDIDATES_READ,
+    PERMISSIONS.SUBMISSIONS_READ,
+    PERMISSIONS.SUBMISSIONS_WRITE,
+    PERMISSIONS.ASSESSMENTS_READ,
+  ],
+  [ROLES.CANDIDATE]: [
+    PERMISSIONS.CATALOG_READ,
+    PERMISSIONS.INSTRUMENTS_READ,
+    PERMISSIONS.CANDIDATES_READ,
+    PERMISSIONS.SUBMISSIONS_READ,
+    PERMISSIONS.ASSESSMENTS_READ,
+    PERMISSIONS.ASSESSMENTS_TAKE,
+  ],
+};
+
+/**
+ * Roles whose access to candidate data is limited to their own candidate_id
+ * @constant {Array<string>}
+ */
+const CANDIDATE_SCOPED_ROLES = [ROLES.CANDIDATE];
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if the role grants the permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  USER_ROLES,
+  DEFAULT_ROLE,
+  SERVICE_ACCOUNT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  CANDIDATE_SCOPED_ROLES,
+  hasPermission,
+};
@@ -324,6 +324,35 @@ const swaggerOptions = {
               example:
                 'JavaScript closures are a fundamental concept that allows functions to retain access to variables from their lexical scope even after the parent function has closed. This topic is essential for understanding advanced JavaScript patterns and functional programming concepts.',
             },
+            slug: {
+              type: 'string',
+              description: 'URL-friendly unique identifier, generated from the title when omitted',
+              example: 'javascript-closures',
+            },
+            parent_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent topic, or null for a root topic',
+              example: '60d21b4667d0d8992e610c80',
+            },
+            language_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Languages the topic applies to',
+              example: ['60d21b4667d0d8992e610d01'],
+            },
+            position_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Positions the topic applies to',
+              example: ['60d21b4667d0d8992e610e01'],
+            },
+            question_count: {
+              type: 'integer',
+              description:
+                'Number of questions of the topic, by topic_id or, without one, by topic title',
+              example: 42,
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -338,9 +367,65 @@ const swaggerOptions = {
             },
           },
         },
+        TopicInput: {
+          type: 'object',
+          description: 'Fields of a topic that can be set when creating or updating it',
+          properties: {
+            title: { type: 'string', example: 'Async' },
+            slug: { type: 'string', example: 'javascript-async' },
+            difficulty: { type: 'integer', minimum: 1, maximum: 5, example: 3 },
+            popularity: { type: 'string', enum: ['low', 'medium', 'high'], example: 'high' },
+            suitable_level: { type: 'string', example: 'junior' },
+            description: { type: 'string', example: 'Promises, async/await and the event loop' },
+            parent_id: { type: 'string', nullable: true, example: '60d21b4667d0d8992e610c80' },
+            language_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['60d21b4667d0d8992e610d01'],
+            },
+            position_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['60d21b4667d0d8992e610e01'],
+            },
+          },
+        },
+        TopicDetail: {
+          allOf: [
+            { $ref: '#/components/schemas/Topic' },
+            {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Titles from the root topic down to this one',
+                  example: 'JavaScript > Async',
+                },
+                ancestors: {
+                  type: 'array',
+                  description: 'Ancestors from the root topic down to the parent',
+                  items: { $ref: '#/components/schemas/TopicSummary' },
+                },
+                children: {
+                  type: 'array',
+                  description: 'Direct subtopics',
+                  items: { $ref: '#/components/schemas/TopicSummary' },
+                },
+              },
+            },
+          ],
+        },
+        TopicSummary: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', example: '60d21b4667d0d8992e610c80' },
+            title: { type: 'string', example: 'JavaScript' },
+            slug: { type: 'string', example: 'javascript' },
+          },
+        },
         TopicList: {
           type: 'object',
-          description: 'Response containing a list of technical topics',
+          description: 'Response containing a paginated list of technical topics',
           properties: {
             status: {
               type: 'string',
@@ -891,6 +976,18 @@ const swaggerOptions = {
               description: 'Tag IDs associated with this instrument',
               example: ['60d21b4667d0d8992e610c85', '60d21b4667d0d8992e610c86'],
             },
+            reverseScored: {
+              type: 'boolean',
+              description:
+                'Whether responses are mirrored on the scale (0-4 becomes 4-0) for trait scoring',
+              default: false,
+            },
+            weight: {
+              type: 'number',
+              minimum: 0,
+              description: 'Weight of the instrument in the trait scores of its tags',
+              default: 1,
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -940,6 +1037,16 @@ const swaggerOptions = {
               description: 'Tag description',
               example: 'Questions related to teamwork and collaboration skills',
             },
+            normBands: {
+              type: 'object',
+              nullable: true,
+              description:
+                'Norm bands for normalized trait scores (0-100): below averageFrom is low, from highFrom on is high',
+              properties: {
+                averageFrom: { type: 'number', example: 40 },
+                highFrom: { type: 'number', example: 70 },
+              },
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -1118,6 +1225,178 @@ const swaggerOptions = {
             },
           },
         },
+        Application: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Application ID',
+              example: '60d21b4667d0d8992e610c8a',
+            },
+            candidate_id: {
+              type: 'string',
+              description: 'Candidate who applied',
+              example: '60d21b4667d0d8992e610c86',
+            },
+            position_id: {
+              type: 'string',
+              description: 'Position applied for',
+              example: '60d21b4667d0d8992e610c85',
+            },
+            language_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Programming language the candidate applied with',
+            },
+            status: {
+              type: 'string',
+              enum: [
+                'applied',
+                'screening',
+                'assessment_sent',
+                'assessment_done',
+                'interview',
+                'offer',
+                'hired',
+                'rejected',
+              ],
+              description: 'Pipeline stage of this application',
+              example: 'screening',
+            },
+            assessment_session_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Assessment session assigned for this application',
+            },
+            interviewer_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Users interviewing the candidate for this position',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+            },
+          },
+        },
+        Grading: {
+          type: 'object',
+          description: 'AI-suggested and reviewer-confirmed score of a free-text answer',
+          properties: {
+            suggested_score: { type: 'number', nullable: true, example: 7 },
+            rationale: { type: 'string', description: 'Grader rationale for the suggestion' },
+            confidence: {
+              type: 'number',
+              nullable: true,
+              description: 'Grader confidence from 0 to 1',
+              example: 0.8,
+            },
+            max_score: { type: 'number', example: 10 },
+            provider: { type: 'string', nullable: true },
+            model: { type: 'string', nullable: true },
+            graded_at: { type: 'string', format: 'date-time' },
+            final_score: {
+              type: 'number',
+              nullable: true,
+              description: 'Score set by a reviewer; only reviewed scores count',
+            },
+            reviewed_by: { type: 'string', nullable: true },
+            reviewed_at: { type: 'string', format: 'date-time', nullable: true },
+            comment: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['suggested', 'accepted', 'overridden', 'manual'],
+            },
+          },
+        },
+        RankingScore: {
+          type: 'object',
+          properties: {
+            point: { type: 'number', example: 7.5 },
+            max_point: { type: 'number', example: 10 },
+            percentage: { type: 'number', example: 75 },
+          },
+        },
+        CandidateRanking: {
+          type: 'object',
+          properties: {
+            rank: {
+              type: 'integer',
+              description: 'Position by overall score; equal scores share a rank',
+              example: 1,
+            },
+            percentile: {
+              type: 'number',
+              description:
+                'Percentile rank of the overall score within the cohort (lower scores plus half of equal scores)',
+              example: 83.33,
+            },
+            candidate: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                full_name: { type: 'string' },
+                email: { type: 'string' },
+                interview_level: { type: 'string' },
+              },
+            },
+            submission_count: {
+              type: 'integer',
+              description: 'Submissions counted in the date range',
+            },
+            last_submitted_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation time of the latest counted submission',
+            },
+            overall: {
+              $ref: '#/components/schemas/RankingScore',
+            },
+            technical: {
+              allOf: [{ $ref: '#/components/schemas/RankingScore' }],
+              properties: {
+                by_topic: {
+                  type: 'object',
+                  additionalProperties: { $ref: '#/components/schemas/RankingScore' },
+                },
+                by_difficulty: {
+                  type: 'object',
+                  additionalProperties: { $ref: '#/components/schemas/RankingScore' },
+                },
+              },
+            },
+            logic: {
+              allOf: [{ $ref: '#/components/schemas/RankingScore' }],
+              properties: {
+                by_tag: {
+                  type: 'object',
+                  additionalProperties: { $ref: '#/components/schemas/RankingScore' },
+                },
+              },
+            },
+            instruments: {
+              type: 'object',
+              properties: {
+                by_tag: {
+                  type: 'object',
+                  description: 'Instrument responses by tag; average is the mean response (0-4)',
+                  additionalProperties: {
+                    allOf: [{ $ref: '#/components/schemas/RankingScore' }],
+                    properties: {
+                      average: { type: 'number', example: 3.2 },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
         Job: {
           type: 'object',
           required: ['type', 'payload'],
@@ -1191,6 +1470,12 @@ const swaggerOptions = {
               description: 'Email address',
               example: 'john.doe@example.com',
             },
+            role: {
+              type: 'string',
+              enum: ['admin', 'recruiter', 'interviewer', 'candidate'],
+              description: 'User role, which determines the permissions of the user',
+              example: 'candidate',
+            },
             candidate_id: {
               type: 'string',
               description: 'Candidate ID reference',
@@ -1271,6 +1556,376 @@ const swaggerOptions = {
             },
           },
         },
+        AssessmentSession: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Assessment session ID',
+              example: '60d21b4667d0d8992e610c87',
+            },
+            candidate_id: {
+              type: 'string',
+              description: 'Candidate taking the assessment',
+              example: '60d21b4667d0d8992e610c86',
+            },
+            assigned_by: {
+              type: 'string',
+              description: 'User who assigned the assessment',
+            },
+            template_id: {
+              type: 'string',
+              description: 'Assessment template the items were drawn from, if any',
+            },
+            application_id: {
+              type: 'string',
+              description: 'Application the assessment is for, if any',
+            },
+            status: {
+              type: 'string',
+              enum: ['assigned', 'in_progress', 'completed', 'expired'],
+              description: 'Session status',
+              example: 'in_progress',
+            },
+            time_limit_minutes: {
+              type: 'integer',
+              description: 'Time allowed once the session is started',
+              example: 60,
+            },
+            question_ids: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            instrument_ids: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            logic_question_ids: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            answers: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Answers saved so far',
+            },
+            instruments: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Instrument responses saved so far',
+            },
+            logic_questions: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Logic question responses saved so far',
+            },
+            essay: {
+              type: 'object',
+              properties: {
+                question: { type: 'string' },
+                answer: { type: 'string' },
+                is_skip: { type: 'integer' },
+              },
+            },
+            started_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            deadline_at: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Answers are rejected after this time',
+            },
+            finished_at: {
+              type: 'string',
+              format: 'date-time',
+            },
+            submission_id: {
+              type: 'string',
+              description: 'Submission created when the session was finished or expired',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+            },
+          },
+        },
+        AdaptiveSession: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Adaptive session ID',
+            },
+            candidate_id: {
+              type: 'string',
+              description: 'Candidate taking the session',
+            },
+            assigned_by: {
+              type: 'string',
+              description: 'User who started the session',
+            },
+            topic_id: {
+              type: 'string',
+              description: 'Topic the questions are drawn from',
+            },
+            topic: {
+              type: 'string',
+              description: 'Topic name the questions are drawn from',
+            },
+            language: {
+              type: 'string',
+              description: 'Language the questions are drawn from',
+            },
+            status: {
+              type: 'string',
+              enum: ['in_progress', 'completed'],
+            },
+            max_items: {
+              type: 'integer',
+              description: 'Maximum number of questions to answer',
+            },
+            min_items: {
+              type: 'integer',
+              description: 'Questions to answer before the precision rule may stop the session',
+            },
+            target_standard_error: {
+              type: 'number',
+              description: 'Standard error of the ability estimate at which the session stops',
+            },
+            start_level: {
+              type: 'integer',
+              description: 'Position level the first question targets',
+            },
+            items: {
+              type: 'array',
+              description: 'Questions served, in order',
+              items: {
+                type: 'object',
+                properties: {
+                  question_id: { type: 'string' },
+                  difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+                  position_level: { type: 'integer' },
+                  item_difficulty: {
+                    type: 'number',
+                    description: 'Difficulty of the question on the position level scale',
+                  },
+                  answer: { type: 'integer', nullable: true },
+                  is_skip: { type: 'integer', enum: [0, 1] },
+                  is_correct: { type: 'boolean', nullable: true },
+                  served_at: { type: 'string', format: 'date-time' },
+                  answered_at: { type: 'string', format: 'date-time', nullable: true },
+                },
+              },
+            },
+            pending_question_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Question served and waiting for an answer',
+            },
+            ability: {
+              type: 'number',
+              description: 'Current ability estimate on the position level scale',
+              example: 2.35,
+            },
+            standard_error: {
+              type: 'number',
+              description: 'Standard error of the ability estimate',
+              example: 0.41,
+            },
+            result: {
+              type: 'object',
+              nullable: true,
+              description: 'Estimated proficiency, set when the session is completed',
+              properties: {
+                position: {
+                  type: 'string',
+                  enum: ['intern', 'fresher', 'junior', 'middle', 'senior', 'expert'],
+                },
+                position_level: { type: 'integer' },
+                answered: { type: 'integer' },
+                correct: { type: 'integer' },
+                stop_reason: {
+                  type: 'string',
+                  enum: ['target_precision', 'max_items', 'pool_exhausted'],
+                },
+              },
+            },
+            finished_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+            },
+          },
+        },
+        Job: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Job ID',
+              example: '60d21b4667d0d8992e610c89',
+            },
+            type: {
+              type: 'string',
+              description: 'Job type',
+              example: 'question-request',
+            },
+            payload: {
+              type: 'object',
+              description: 'Parameters the job runs with',
+            },
+            status: {
+              type: 'string',
+              enum: ['new', 'pending', 'processing', 'retrying', 'done', 'failed'],
+              description:
+                'Job status; retrying jobs wait for their next attempt, failed jobs used all attempts',
+              example: 'retrying',
+            },
+            attempts: {
+              type: 'integer',
+              description: 'Number of attempts started so far',
+              example: 1,
+            },
+            maxAttempts: {
+              type: 'integer',
+              description: 'Attempt limit for this job (defaults to JOB_MAX_ATTEMPTS)',
+            },
+            lastError: {
+              type: 'string',
+              description: 'Error message of the last failed attempt',
+            },
+            nextRunAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When a retrying job runs again',
+            },
+            attemptHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'integer' },
+                  status: { type: 'string', enum: ['processing', 'done', 'failed'] },
+                  startedAt: { type: 'string', format: 'date-time' },
+                  finishedAt: { type: 'string', format: 'date-time' },
+                  error: { type: 'string' },
+                },
+              },
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+            },
+          },
+        },
+        AssessmentTemplate: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Assessment template ID',
+              example: '60d21b4667d0d8992e610c88',
+            },
+            name: {
+              type: 'string',
+              description: 'Template name',
+              example: 'Junior backend screening',
+            },
+            description: {
+              type: 'string',
+              description: 'Template description',
+            },
+            questions: {
+              type: 'object',
+              description: 'How to pick multiple-choice questions',
+              properties: {
+                count: { type: 'integer', example: 10 },
+                topic: { type: 'string' },
+                topic_id: { type: 'string' },
+                language: { type: 'string' },
+                language_id: { type: 'string' },
+                position: { type: 'string', example: 'junior' },
+                position_id: { type: 'string' },
+                difficulty: {
+                  type: 'string',
+                  enum: ['mixed', 'easy', 'medium', 'hard'],
+                  description: 'mixed spreads the questions evenly across difficulties',
+                  example: 'mixed',
+                },
+              },
+            },
+            instruments: {
+              type: 'object',
+              description: 'How to pick instruments',
+              properties: {
+                count: { type: 'integer', example: 5 },
+                instrument_tags: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Instruments must have at least one of these tags',
+                },
+                type: { type: 'string' },
+              },
+            },
+            logic_questions: {
+              type: 'object',
+              description: 'How to pick logic questions',
+              properties: {
+                count: { type: 'integer', example: 3 },
+                min_level: { type: 'integer', example: 2 },
+                max_level: { type: 'integer', example: 4 },
+                tag_id: { type: 'string' },
+                type: { type: 'string', enum: ['multiple_choice', 'open_question'] },
+              },
+            },
+            essay_prompt: {
+              type: 'string',
+              description: 'Essay question included in every assessment',
+            },
+            time_limit_minutes: {
+              type: 'integer',
+              description: 'Default time limit for sessions assigned from the template',
+              example: 60,
+            },
+            created_by: {
+              type: 'string',
+              description: 'User who created the template',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last update timestamp',
+            },
+          },
+        },
       },
     },
   },
@@ -0,0 +1,179 @@
+/**
+ * Account Controller Module
+ * @module controllers/account/accountController
+ */
+
+const {
+  ACCOUNT_ERRORS,
+  resendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  getPasswordPolicy,
+} = require('../../services/accountService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [ACCOUNT_ERRORS.EMAIL_NOT_SENT]: 502,
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Send a failed service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {string} errorMessage - Message for the response
+ * @returns {Object} Express response
+ */
+const sendError = (res, result, errorMessage) => {
+  logger.warn(`${errorMessage}:`, result.errors);
+  const knownError = result.errors.find(error => ERROR_STATUS_CODES[error]);
+  const statusCode = knownError ? ERROR_STATUS_CODES[knownError] : 400;
+  return res.status(statusCode).json(formatErrorResponse(errorMessage, result.errors));
+};
+
+/**
+ * Controller to verify an email address with the token from a verification link
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the verified email or error
+ */
+async function verifyEmailController(req, res) {
+  try {
+    const result = await verifyEmail(req.body?.token);
+    if (!result.success) {
+      return sendError(res, result, 'Failed to verify email.');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: result.data,
+    });
+  } catch (error) {
+    logger.error('Error in verify email controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to verify email.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to send a new verification link
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response that does not reveal whether the address is registered
+ */
+async function resendVerificationController(req, res) {
+  try {
+    const result = await resendVerificationEmail(req.body?.email);
+    if (!result.success) {
+      return sendError(res, result, 'Failed to send verification email.');
+    }
+
+    return res.status(202).json({
+      status: 'success',
+      message: 'If the address belongs to an unverified account, a verification link was sent',
+    });
+  } catch (error) {
+    logger.error('Error in resend verification controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to send verification email.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to request a password reset link
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response that does not reveal whether the address is registered
+ */
+async function forgotPasswordController(req, res) {
+  try {
+    const result = await requestPasswordReset(req.body?.email);
+    if (!result.success) {
+      return sendError(res, result, 'Failed to request password reset.');
+    }
+
+    return res.status(202).json({
+      status: 'success',
+      message: 'If the address belongs to an account, a password reset link was sent',
+    });
+  } catch (error) {
+    logger.error('Error in forgot password controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to request password reset.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to set a new password with the token from a password reset link
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the account email or error
+ */
+async function resetPasswordController(req, res) {
+  try {
+    const result = await resetPassword(req.body?.token, req.body?.password);
+    if (!result.success) {
+      return sendError(res, result, 'Failed to reset password.');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Password reset successfully',
+      data: result.data,
+    });
+  } catch (error) {
+    logger.error('Error in reset password controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to reset password.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to get the password policy
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the password policy
+ */
+function getPasswordPolicyController(req, res) {
+  const result = getPasswordPolicy();
+
+  return res.status(200).json({
+    status: 'success',
+    data: result.data,
+  });
+}
+
+module.exports = {
+  verifyEmailController,
+  resendVerificationController,
+  forgotPasswordController,
+  resetPasswordController,
+  getPasswordPolicyController,
+};
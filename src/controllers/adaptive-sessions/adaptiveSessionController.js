@@ -0,0 +1,187 @@
+/**
+ * Adaptive Session Controller Module
+ * @module controllers/adaptive-sessions/adaptiveSessionController
+ */
+
+const {
+  ADAPTIVE_SESSION_ERRORS,
+  createSession,
+  getSessionById,
+  getSessions,
+  getNextQuestion,
+  answerQuestion,
+} = require('../../services/adaptiveSessionService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [ADAPTIVE_SESSION_ERRORS.NOT_FOUND]: 404,
+  [ADAPTIVE_SESSION_ERRORS.CANDIDATE_NOT_FOUND]: 404,
+  [ADAPTIVE_SESSION_ERRORS.ALREADY_FINISHED]: 409,
+  [ADAPTIVE_SESSION_ERRORS.NO_PENDING_QUESTION]: 409,
+  [ADAPTIVE_SESSION_ERRORS.QUESTION_MISMATCH]: 409,
+  [ADAPTIVE_SESSION_ERRORS.CONCURRENT_UPDATE]: 409,
+};
+
+/**
+ * Formats the response for a successful request
+ * @param {Object|Array} data - Response data
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = data => {
+  return {
+    status: 'success',
+    data,
+  };
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Send a service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {number} successStatus - Status code for a successful result
+ * @param {string} errorMessage - Message for a failed result
+ * @returns {Object} Express response
+ */
+const sendResult = (res, result, successStatus, errorMessage) => {
+  if (!result.success) {
+    logger.warn(`${errorMessage}:`, result.errors);
+    return res
+      .status(getErrorStatusCode(result.errors))
+      .json(formatErrorResponse(errorMessage, result.errors));
+  }
+
+  return res.status(successStatus).json(formatSuccessResponse(result.data));
+};
+
+/**
+ * Controller to start an adaptive session for a candidate
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created session or error
+ */
+async function createAdaptiveSessionController(req, res) {
+  try {
+    const result = await createSession(req.body, req.loggedUser?._id);
+    return sendResult(res, result, 201, 'Failed to start adaptive session.');
+  } catch (error) {
+    logger.error('Error in create adaptive session controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to start adaptive session.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to list adaptive sessions
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with sessions or error
+ */
+async function getAllAdaptiveSessionsController(req, res) {
+  try {
+    const result = await getSessions(req.query);
+    return sendResult(res, result, 200, 'Failed to retrieve adaptive sessions.');
+  } catch (error) {
+    logger.error('Error in get all adaptive sessions controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve adaptive sessions.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to get an adaptive session by ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the session or error
+ */
+async function getAdaptiveSessionController(req, res) {
+  try {
+    const result = await getSessionById(req.params.id);
+    return sendResult(res, result, 200, 'Failed to retrieve adaptive session.');
+  } catch (error) {
+    logger.error('Error in get adaptive session controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to retrieve adaptive session.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to serve the next question of an adaptive session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the session and next question or error
+ */
+async function getNextAdaptiveQuestionController(req, res) {
+  try {
+    const result = await getNextQuestion(req.params.id);
+    return sendResult(res, result, 200, 'Failed to serve next question.');
+  } catch (error) {
+    logger.error('Error in next adaptive question controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to serve next question.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to answer the pending question of an adaptive session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated session or error
+ */
+async function answerAdaptiveQuestionController(req, res) {
+  try {
+    const result = await answerQuestion(req.params.id, req.body);
+    return sendResult(res, result, 200, 'Failed to answer question.');
+  } catch (error) {
+    logger.error('Error in answer adaptive question controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to answer question.', ['Internal server error']));
+  }
+}
+
+module.exports = {
+  createAdaptiveSessionController,
+  getAllAdaptiveSessionsController,
+  getAdaptiveSessionController,
+  getNextAdaptiveQuestionController,
+  answerAdaptiveQuestionController,
+};
@@ -0,0 +1,210 @@
+/**
+ * Application Controller Module
+ * @module controllers/applications/applicationController
+ */
+
+const {
+  APPLICATION_ERRORS,
+  createNewApplication,
+  getAllApplications,
+  getApplication,
+  updateExistingApplication,
+  deleteExistingApplication,
+  getPositionApplications,
+} = require('../../services/applicationService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [APPLICATION_ERRORS.NOT_FOUND]: 404,
+  [APPLICATION_ERRORS.CANDIDATE_NOT_FOUND]: 404,
+  [APPLICATION_ERRORS.POSITION_NOT_FOUND]: 404,
+  [APPLICATION_ERRORS.ALREADY_APPLIED]: 409,
+  [APPLICATION_ERRORS.INVALID_TRANSITION]: 409,
+};
+
+/**
+ * Formats the response for a successful request
+ * @param {Object|Array} data - Response data
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = data => {
+  return {
+    status: 'success',
+    data,
+  };
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Send a service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {number} successStatus - Status code for a successful result
+ * @param {string} errorMessage - Message for a failed result
+ * @returns {Object} Express response
+ */
+const sendResult = (res, result, successStatus, errorMessage) => {
+  if (!result.success) {
+    logger.warn(`${errorMessage}:`, result.errors);
+    return res
+      .status(getErrorStatusCode(result.errors))
+      .json(formatErrorResponse(errorMessage, result.errors));
+  }
+
+  return res.status(successStatus).json(formatSuccessResponse(result.data));
+};
+
+/**
+ * Controller to create an application
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created application or error
+ */
+async function createApplicationController(req, res) {
+  try {
+    const result = await createNewApplication(req.body || {});
+    return sendResult(res, result, 201, 'Failed to create application.');
+  } catch (error) {
+    logger.error('Error in create application controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to create application.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to list applications
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with applications or error
+ */
+async function getAllApplicationsController(req, res) {
+  try {
+    const result = await getAllApplications(req.query);
+    return sendResult(res, result, 200, 'Failed to retrieve applications.');
+  } catch (error) {
+    logger.error('Error in get all applications controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to retrieve applications.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to get an application by ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the application or error
+ */
+async function getApplicationController(req, res) {
+  try {
+    const result = await getApplication(req.params.id);
+    return sendResult(res, result, 200, 'Failed to retrieve application.');
+  } catch (error) {
+    logger.error('Error in get application controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to retrieve application.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to update an application
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated application or error
+ */
+async function updateApplicationController(req, res) {
+  try {
+    const result = await updateExistingApplication(req.params.id, req.body || {});
+    return sendResult(res, result, 200, 'Failed to update application.');
+  } catch (error) {
+    logger.error('Error in update application controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to update application.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to delete an application
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the deleted application or error
+ */
+async function deleteApplicationController(req, res) {
+  try {
+    const result = await deleteExistingApplication(req.params.id);
+    return sendResult(res, result, 200, 'Failed to delete application.');
+  } catch (error) {
+    logger.error('Error in delete application controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to delete application.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to list the applicants of a position with their latest scores
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the position's applications or error
+ */
+async function getPositionApplicationsController(req, res) {
+  try {
+    const result = await getPositionApplications(req.params.id, req.query);
+    return sendResult(res, result, 200, 'Failed to retrieve position applications.');
+  } catch (error) {
+    logger.error('Error in get position applications controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve position applications.', ['Internal server error'])
+      );
+  }
+}
+
+module.exports = {
+  formatSuccessResponse,
+  formatErrorResponse,
+  getErrorStatusCode,
+  createApplicationController,
+  getAllApplicationsController,
+  getApplicationController,
+  updateApplicationController,
+  deleteApplicationController,
+  getPositionApplicationsController,
+};
@@ -0,0 +1,241 @@
+/**
+ * Assessment Session Controller Module
+ * @module controllers/assessment-sessions/assessmentSessionController
+ */
+
+const {
+  SESSION_ERRORS,
+  assignSession,
+  getSessionById,
+  getSessionItems,
+  getSessions,
+  startSession,
+  saveSessionAnswers,
+  finishSession,
+} = require('../../services/assessmentSessionService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [SESSION_ERRORS.NOT_FOUND]: 404,
+  [SESSION_ERRORS.CANDIDATE_NOT_FOUND]: 404,
+  [SESSION_ERRORS.APPLICATION_NOT_FOUND]: 404,
+  [SESSION_ERRORS.ALREADY_STARTED]: 409,
+  [SESSION_ERRORS.NOT_STARTED]: 409,
+  [SESSION_ERRORS.ALREADY_FINISHED]: 409,
+  [SESSION_ERRORS.DEADLINE_PASSED]: 409,
+};
+
+/**
+ * Formats the response for a successful request
+ * @param {Object|Array} data - Response data
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = data => {
+  return {
+    status: 'success',
+    data,
+  };
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Send a service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {number} successStatus - Status code for a successful result
+ * @param {string} errorMessage - Message for a failed result
+ * @returns {Object} Express response
+ */
+const sendResult = (res, result, successStatus, errorMessage) => {
+  if (!result.success) {
+    logger.warn(`${errorMessage}:`, result.errors);
+    return res
+      .status(getErrorStatusCode(result.errors))
+      .json(formatErrorResponse(errorMessage, result.errors));
+  }
+
+  return res.status(successStatus).json(formatSuccessResponse(result.data));
+};
+
+/**
+ * Controller to assign an assessment session to a candidate
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created session or error
+ */
+async function createAssessmentSessionController(req, res) {
+  try {
+    const result = await assignSession(req.body, req.loggedUser?._id);
+    return sendResult(res, result, 201, 'Failed to assign assessment session.');
+  } catch (error) {
+    logger.error('Error in create assessment session controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to assign assessment session.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to list assessment sessions
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with sessions or error
+ */
+async function getAllAssessmentSessionsController(req, res) {
+  try {
+    const result = await getSessions(req.query);
+    return sendResult(res, result, 200, 'Failed to retrieve assessment sessions.');
+  } catch (error) {
+    logger.error('Error in get all assessment sessions controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve assessment sessions.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to get an assessment session by ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the session or error
+ */
+async function getAssessmentSessionController(req, res) {
+  try {
+    const result = await getSessionById(req.params.id);
+    return sendResult(res, result, 200, 'Failed to retrieve assessment session.');
+  } catch (error) {
+    logger.error('Error in get assessment session controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve assessment session.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to get the items of an in-progress assessment session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the session items or error
+ */
+async function getAssessmentSessionItemsController(req, res) {
+  try {
+    const result = await getSessionItems(req.params.id);
+    return sendResult(res, result, 200, 'Failed to retrieve assessment session items.');
+  } catch (error) {
+    logger.error('Error in get assessment session items controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve assessment session items.', [
+          'Internal server error',
+        ])
+      );
+  }
+}
+
+/**
+ * Controller to start an assessment session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the started session or error
+ */
+async function startAssessmentSessionController(req, res) {
+  try {
+    const result = await startSession(req.params.id);
+    return sendResult(res, result, 200, 'Failed to start assessment session.');
+  } catch (error) {
+    logger.error('Error in start assessment session controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to start assessment session.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to save answers to an in-progress assessment session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated session or error
+ */
+async function saveAssessmentSessionAnswersController(req, res) {
+  try {
+    const result = await saveSessionAnswers(req.params.id, req.body);
+    return sendResult(res, result, 200, 'Failed to save assessment session answers.');
+  } catch (error) {
+    logger.error('Error in save assessment session answers controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to save assessment session answers.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to finish an assessment session
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the finished session or error
+ */
+async function finishAssessmentSessionController(req, res) {
+  try {
+    const result = await finishSession(req.params.id);
+    return sendResult(res, result, 200, 'Failed to finish assessment session.');
+  } catch (error) {
+    logger.error('Error in finish assessment session controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to finish assessment session.', ['Internal server error']));
+  }
+}
+
+module.exports = {
+  formatSuccessResponse,
+  formatErrorResponse,
+  getErrorStatusCode,
+  createAssessmentSessionController,
+  getAllAssessmentSessionsController,
+  getAssessmentSessionController,
+  getAssessmentSessionItemsController,
+  startAssessmentSessionController,
+  saveAssessmentSessionAnswersController,
+  finishAssessmentSessionController,
+};
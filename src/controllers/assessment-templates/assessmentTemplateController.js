@@ -0,0 +1,244 @@
+/**
+ * Assessment Template Controller Module
+ * @module controllers/assessment-templates/assessmentTemplateController
+ */
+
+const {
+  TEMPLATE_ERRORS,
+  createTemplate,
+  getAllTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  generateFromTemplate,
+  assignTemplate,
+} = require('../../services/assessmentTemplateService');
+const { SESSION_ERRORS } = require('../../services/assessmentSessionService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [TEMPLATE_ERRORS.NOT_FOUND]: 404,
+  [SESSION_ERRORS.CANDIDATE_NOT_FOUND]: 404,
+  [SESSION_ERRORS.APPLICATION_NOT_FOUND]: 404,
+};
+
+/**
+ * Formats the response for a successful request
+ * @param {Object|Array} data - Response data
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = data => {
+  return {
+    status: 'success',
+    data,
+  };
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Send a service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {number} successStatus - Status code for a successful result
+ * @param {string} errorMessage - Message for a failed result
+ * @returns {Object} Express response
+ */
+const sendResult = (res, result, successStatus, errorMessage) => {
+  if (!result.success) {
+    logger.warn(`${errorMessage}:`, result.errors);
+    return res
+      .status(getErrorStatusCode(result.errors))
+      .json(formatErrorResponse(errorMessage, result.errors));
+  }
+
+  return res.status(successStatus).json(formatSuccessResponse(result.data));
+};
+
+/**
+ * Controller to create an assessment template
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created template or error
+ */
+async function createAssessmentTemplateController(req, res) {
+  try {
+    const result = await createTemplate(req.body, req.loggedUser?._id);
+    return sendResult(res, result, 201, 'Failed to create assessment template.');
+  } catch (error) {
+    logger.error('Error in create assessment template controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to create assessment template.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to list assessment templates
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with templates or error
+ */
+async function getAllAssessmentTemplatesController(req, res) {
+  try {
+    const result = await getAllTemplates();
+    return sendResult(res, result, 200, 'Failed to retrieve assessment templates.');
+  } catch (error) {
+    logger.error('Error in get all assessment templates controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve assessment templates.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to get an assessment template by ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the template or error
+ */
+async function getAssessmentTemplateController(req, res) {
+  try {
+    const result = await getTemplateById(req.params.id);
+    return sendResult(res, result, 200, 'Failed to retrieve assessment template.');
+  } catch (error) {
+    logger.error('Error in get assessment template controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve assessment template.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to update an assessment template
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated template or error
+ */
+async function updateAssessmentTemplateController(req, res) {
+  try {
+    const result = await updateTemplate(req.params.id, req.body);
+    return sendResult(res, result, 200, 'Failed to update assessment template.');
+  } catch (error) {
+    logger.error('Error in update assessment template controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to update assessment template.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to delete an assessment template
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the deleted template or error
+ */
+async function deleteAssessmentTemplateController(req, res) {
+  try {
+    const result = await deleteTemplate(req.params.id);
+    return sendResult(res, result, 200, 'Failed to delete assessment template.');
+  } catch (error) {
+    logger.error('Error in delete assessment template controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to delete assessment template.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to generate a randomized item set from an assessment template
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the generated items or error
+ */
+async function generateAssessmentController(req, res) {
+  try {
+    const result = await generateFromTemplate(req.params.id);
+    return sendResult(res, result, 200, 'Failed to generate assessment from template.');
+  } catch (error) {
+    logger.error('Error in generate assessment controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to generate assessment from template.', [
+          'Internal server error',
+        ])
+      );
+  }
+}
+
+/**
+ * Controller to assign an assessment generated from a template to a candidate
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created assessment session or error
+ */
+async function assignAssessmentTemplateController(req, res) {
+  try {
+    const result = await assignTemplate(req.params.id, req.body, req.loggedUser?._id);
+    return sendResult(res, result, 201, 'Failed to assign assessment template.');
+  } catch (error) {
+    logger.error('Error in assign assessment template controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to assign assessment template.', ['Internal server error'])
+      );
+  }
+}
+
+module.exports = {
+  formatSuccessResponse,
+  formatErrorResponse,
+  getErrorStatusCode,
+  createAssessmentTemplateController,
+  getAllAssessmentTemplatesController,
+  getAssessmentTemplateController,
+  updateAssessmentTemplateController,
+  deleteAssessmentTemplateController,
+  generateAssessmentController,
+  assignAssessmentTemplateController,
+};
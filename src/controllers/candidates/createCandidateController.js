@@ -3,7 +3,10 @@
  * @module controllers/candidates/createCandidateController
  */
 
-const { validateCandidateInput } = require('../../utils/candidateValidator');
+const {
+  validateCandidateInput,
+  validateCandidateStatus,
+} = require('../../utils/candidateValidator');
 const {
   insertCandidateToDB,
   candidateExistsByEmail,
@@ -16,7 +19,13 @@ const logger = require('../../utils/logger');
  * @returns {Object} Validation result
  */
 const validateCandidate = candidateData => {
-  return validateCandidateInput(candidateData);
+  const validation = validateCandidateInput(candidateData);
+  const errors = [...validation.errors, ...validateCandidateStatus(candidateData.status)];
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
 };
 
 /**
@@ -56,8 +65,9 @@ const createCandidate = async (req, res) => {
       });
     }
 
-    // Insert candidate
-    const newCandidate = await insertCandidateToDB(req.body);
+    // Insert candidate; the status history only records later transitions
+    const { status_history, ...candidateData } = req.body;
+    const newCandidate = await insertCandidateToDB(candidateData);
 
     res.status(201).json({
       success: true,
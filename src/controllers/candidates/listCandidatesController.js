@@ -4,6 +4,8 @@
  */
 
 const { getCandidateList } = require('../../repository/candidateRepository');
+const { getPipelineCounts } = require('../../services/candidatePipelineService');
+const { PIPELINE_STAGES, INITIAL_STAGE } = require('../../config/candidatePipelineConfig');
 const logger = require('../../utils/logger');
 
 /**
@@ -15,10 +17,36 @@ const loadPaginationUtils = () => {
 };
 
 /**
- * Get all candidates with pagination
+ * Build the filter for one or more comma-separated pipeline stages.
+ * Candidates whose status is not a stage count as the initial stage.
+ * @param {string} status - Comma-separated stages
+ * @returns {Object} Filter on status, or `{ errors }` if a stage is unknown
+ */
+const buildStatusFilter = status => {
+  const stages = String(status)
+    .split(',')
+    .map(stage => stage.trim())
+    .filter(Boolean);
+
+  const unknown = stages.filter(stage => !PIPELINE_STAGES.includes(stage));
+  if (unknown.length > 0) {
+    return { errors: [`Status must be one of: ${PIPELINE_STAGES.join(', ')}`] };
+  }
+
+  if (stages.includes(INITIAL_STAGE)) {
+    return { $or: [{ status: { $in: stages } }, { status: { $nin: PIPELINE_STAGES } }] };
+  }
+
+  return { status: { $in: stages } };
+};
+
+/**
+ * Get all candidates with pagination, and the number of candidates in each pipeline
+ * stage per interview level. The counts apply the name and email filters but not the
+ * status filter.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Paginated list of candidates
+ * @returns {Object} Paginated list of candidates with pipeline counts
  */
 const getAllCandidates = async (req, res) => {
   try {
@@ -42,9 +70,20 @@ const getAllCandidates = async (req, res) => {
       filter.email = { $regex: new RegExp(req.query.email, 'i') };
     }
 
-    // Add status filter if provided (exact match)
+    // Pipeline counts cover every stage of the candidates matching the other filters
+    const pipelineFilter = { ...filter };
+
+    // Add status filter if provided (one or more comma-separated stages)
     if (req.query.status) {
-      filter.status = req.query.status;
+      const { errors, ...statusFilter } = buildStatusFilter(req.query.status);
+      if (errors) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors,
+        });
+      }
+      Object.assign(filter, statusFilter);
     }
 
     // Build sort options
@@ -63,8 +102,11 @@ const getAllCandidates = async (req, res) => {
       sort,
     };
 
-    // Get paginated candidates and total count
-    const { candidates, total } = await getCandidateList(paginationOptions);
+    // Get paginated candidates, total count and pipeline counts
+    const [{ candidates, total }, pipeline] = await Promise.all([
+      getCandidateList(paginationOptions),
+      getPipelineCounts(pipelineFilter),
+    ]);
 
     // Calculate pagination pagination
     const pagination = calculatePaginationMetadata(total, page, pageSize);
@@ -74,6 +116,7 @@ const getAllCandidates = async (req, res) => {
       success: true,
       data: candidates,
       pagination,
+      pipeline,
     });
   } catch (error) {
     logger.error('Error in GET /candidates:', error);
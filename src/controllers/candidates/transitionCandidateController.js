@@ -0,0 +1,65 @@
+/**
+ * Transition Candidate Controller
+ * @module controllers/candidates/transitionCandidateController
+ */
+
+const { PIPELINE_ERRORS, transitionCandidate } = require('../../services/candidatePipelineService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [PIPELINE_ERRORS.NOT_FOUND]: 404,
+  [PIPELINE_ERRORS.INVALID_TRANSITION]: 409,
+  [PIPELINE_ERRORS.CONFLICT]: 409,
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Move a candidate to another pipeline stage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Updated candidate with its status history
+ */
+const transitionCandidateController = async (req, res) => {
+  try {
+    const result = await transitionCandidate(req.params.id, req.body || {}, req.loggedUser?._id);
+
+    if (!result.success) {
+      logger.warn(`Failed to change status of candidate ${req.params.id}:`, result.errors);
+      return res.status(getErrorStatusCode(result.errors)).json({
+        success: false,
+        error: result.errors[0],
+        details: result.errors,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      message: `Candidate moved to ${result.data.status}`,
+    });
+  } catch (error) {
+    logger.error(`Error in POST /candidates/${req.params.id}/transition:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change candidate status',
+    });
+  }
+};
+
+module.exports = {
+  getErrorStatusCode,
+  transitionCandidateController,
+};
@@ -0,0 +1,74 @@
+/**
+ * Generate Instruments Controller
+ * @module controllers/instruments/generateInstrumentsController
+ */
+
+const { requestInstrumentGeneration } = require('../../services/itemGenerationService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for a created generation job
+ * @param {Object} job - Created job
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = job => {
+  return {
+    status: 'success',
+    message: 'Instrument generation job created',
+    data: {
+      _id: job._id,
+      type: job.type,
+      status: job.status,
+      payload: job.payload,
+      createdAt: job.createdAt,
+    },
+  };
+};
+
+/**
+ * Formats the response for error in instrument generation
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = errors => {
+  return {
+    status: 'error',
+    message: 'Failed to request instrument generation.',
+    errors,
+  };
+};
+
+/**
+ * Controller to queue a instrument generation job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created job or error
+ */
+const generateInstrumentsController = async (req, res) => {
+  try {
+    const { tags, type, count, provider, model } = req.body;
+    const result = await requestInstrumentGeneration({
+      tags,
+      type,
+      count,
+      provider,
+      model,
+    });
+
+    if (!result.success) {
+      logger.warn('Failed to request instrument generation:', result.errors);
+      return res.status(400).json(formatErrorResponse(result.errors));
+    }
+
+    return res.status(202).json(formatSuccessResponse(result.data));
+  } catch (error) {
+    logger.error('Error in generate instruments controller:', error);
+    return res.status(500).json(formatErrorResponse(['Internal server error']));
+  }
+};
+
+module.exports = {
+  generateInstrumentsController,
+  formatSuccessResponse,
+  formatErrorResponse,
+};
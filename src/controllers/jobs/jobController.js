@@ -0,0 +1,132 @@
+/**
+ * Job Controller Module
+ * @module controllers/jobs/jobController
+ */
+
+const { JOB_ERRORS, getJobList, getJob, getWorkerStatus } = require('../../services/jobService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [JOB_ERRORS.NOT_FOUND]: 404,
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Send a failed service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {string} errorMessage - Message for the response
+ * @returns {Object} Express response
+ */
+const sendError = (res, result, errorMessage) => {
+  logger.warn(`${errorMessage}:`, result.errors);
+  const knownError = result.errors.find(error => ERROR_STATUS_CODES[error]);
+  const statusCode = knownError ? ERROR_STATUS_CODES[knownError] : 400;
+  return res.status(statusCode).json(formatErrorResponse(errorMessage, result.errors));
+};
+
+/**
+ * Controller to list jobs
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with jobs and pagination or error
+ */
+async function getJobsController(req, res) {
+  try {
+    const result = await getJobList(req.query);
+    if (!result.success) {
+      return sendError(res, result, 'Failed to retrieve jobs.');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in get jobs controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to retrieve jobs.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to get a job by ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the job or error
+ */
+async function getJobController(req, res) {
+  try {
+    const result = await getJob(req.params.id);
+    if (!result.success) {
+      return sendError(res, result, 'Failed to retrieve job.');
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: result.data,
+    });
+  } catch (error) {
+    logger.error('Error in get job controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to retrieve job.', ['Internal server error']));
+  }
+}
+
+/**
+ * Controller to get the job workers and queue lengths
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with workers and queue lengths or error
+ */
+async function getWorkersController(req, res) {
+  try {
+    const result = await getWorkerStatus();
+    if (!result.success) {
+      logger.error('Failed to retrieve job workers:', result.errors);
+      return res
+        .status(500)
+        .json(formatErrorResponse('Failed to retrieve job workers.', result.errors));
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: result.data,
+    });
+  } catch (error) {
+    logger.error('Error in get job workers controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to retrieve job workers.', ['Internal server error']));
+  }
+}
+
+module.exports = {
+  getJobsController,
+  getJobController,
+  getWorkersController,
+  formatErrorResponse,
+};
@@ -0,0 +1,75 @@
+/**
+ * Generate Logic Questions Controller
+ * @module controllers/logic-questions/generateLogicQuestionsController
+ */
+
+const { requestLogicQuestionGeneration } = require('../../services/itemGenerationService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for a created generation job
+ * @param {Object} job - Created job
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = job => {
+  return {
+    status: 'success',
+    message: 'Logic question generation job created',
+    data: {
+      _id: job._id,
+      type: job.type,
+      status: job.status,
+      payload: job.payload,
+      createdAt: job.createdAt,
+    },
+  };
+};
+
+/**
+ * Formats the response for error in logic question generation
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = errors => {
+  return {
+    status: 'error',
+    message: 'Failed to request logic question generation.',
+    errors,
+  };
+};
+
+/**
+ * Controller to queue a logic question generation job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created job or error
+ */
+const generateLogicQuestionsController = async (req, res) => {
+  try {
+    const { tag_ids, level, type, count, provider, model } = req.body;
+    const result = await requestLogicQuestionGeneration({
+      tag_ids,
+      level,
+      type,
+      count,
+      provider,
+      model,
+    });
+
+    if (!result.success) {
+      logger.warn('Failed to request logic question generation:', result.errors);
+      return res.status(400).json(formatErrorResponse(result.errors));
+    }
+
+    return res.status(202).json(formatSuccessResponse(result.data));
+  } catch (error) {
+    logger.error('Error in generate logic questions controller:', error);
+    return res.status(500).json(formatErrorResponse(['Internal server error']));
+  }
+};
+
+module.exports = {
+  generateLogicQuestionsController,
+  formatSuccessResponse,
+  formatErrorResponse,
+};
@@ -3,93 +3,247 @@
  * @module controllers/oauth/authorizeController
  */
 
+const crypto = require('crypto');
+const {
+  validateAuthorizationRequest,
+  buildAuthorizationRedirect,
+} = require('../../services/oauthAuthorizeService');
+const oauthUserService = require('../../services/oauthUserService');
+const { renderConsentPage, renderErrorPage } = require('../../oauth/authorizePage');
 const logger = require('../../utils/logger');
 
 /**
- * Render the authorization form
+ * Cookie holding the CSRF token of the consent form (double-submit)
+ * @constant {string}
+ */
+const CSRF_COOKIE = 'oauth_csrf';
+
+/**
+ * Authorization request parameters carried from the query string into the consent form
+ * @constant {Array<string>}
+ */
+const AUTHORIZATION_PARAMS = [
+  'response_type',
+  'client_id',
+  'redirect_uri',
+  'scope',
+  'state',
+  'code_challenge',
+  'code_challenge_method',
+];
+
+/**
+ * Response headers of the consent and error pages: never cached and never framed
+ * @constant {Object}
+ */
+const PAGE_HEADERS = {
+  'Cache-Control': 'no-store',
+  'X-Frame-Options': 'DENY',
+  'Content-Security-Policy':
+    "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'",
+};
+
+/**
+ * Pick the authorization request parameters from the query or the form body
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} Authorization request parameters
+ */
+const pickAuthorizationParams = source =>
+  AUTHORIZATION_PARAMS.reduce((params, name) => {
+    if (typeof source[name] === 'string') {
+      params[name] = source[name];
+    }
+    return params;
+  }, {});
+
+/**
+ * Read a cookie from the request headers
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const separator = cookie.indexOf('=');
+    if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+      return decodeURIComponent(cookie.slice(separator + 1).trim());
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Compare the CSRF token of the form with the one in the cookie
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if both are present and equal
+ */
+const hasValidCsrfToken = req => {
+  const cookieToken = readCookie(req, CSRF_COOKIE);
+  const formToken = req.body.csrf_token;
+
+  if (!cookieToken || typeof formToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(formToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Send the consent page with a fresh CSRF token
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {Object} options - Page options (client, redirectUri, scopes, params, username, error)
  */
-const renderAuthorizationForm = (req, res) => {
-  // In a real application, you would render a form for the user to approve or deny
-  // the authorization request. For simplicity, we'll just render a basic HTML form.
-
-  const { client_id, redirect_uri, response_type, scope, state } = req.query;
-
-  // Log the authorization request (without sensitive data)
-  logger.debug('Authorization request received', {
-    client_id,
-    redirect_uri,
-    response_type,
-    scope,
-    // Don't log state as it might contain sensitive data
+const sendConsentPage = (req, res, status, options) => {
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: req.baseUrl || '/',
   });
+  res.set(PAGE_HEADERS);
+  res
+    .status(status)
+    .type('html')
+    .send(renderConsentPage({ ...options, csrfToken }));
+};
+
+/**
+ * Report an invalid authorization request: back to the client when the redirect URI is
+ * verified, otherwise on an error page
+ * @param {Object} res - Express response object
+ * @param {Object} result - Failed validation result
+ * @param {string} [state] - The state parameter of the request
+ */
+const sendAuthorizationError = (res, result, state) => {
+  if (result.redirectUri) {
+    return res.redirect(
+      buildAuthorizationRedirect(result.redirectUri, {
+        error: result.error,
+        error_description: result.errors[0],
+        state,
+      })
+    );
+  }
 
-  // Render a simple authorization form
-  res.send(`
-    <html>
-      <head>
-        <title>Authorize Application</title>
-        <style>
-          body { font-family: Arial, sans-serif; margin: 20px; }
-          .container { max-width: 600px; margin: 0 auto; }
-          .btn { padding: 10px 15px; margin-right: 10px; cursor: pointer; }
-          .btn-approve { background-color: #4CAF50; color: white; border: none; }
-          .btn-deny { background-color: #f44336; color: white; border: none; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h1>Authorize Application</h1>
-          <p>An application is requesting access to your account.</p>
-          <p>Client ID: ${client_id}</p>
-          <p>Redirect URI: ${redirect_uri}</p>
-          <p>Scope: ${scope || 'Not specified'}</p>
-          
-          <form method="post" action="/api/oauth/authorize">
-            <input type="hidden" name="client_id" value="${client_id}" />
-            <input type="hidden" name="redirect_uri" value="${redirect_uri}" />
-            <input type="hidden" name="response_type" value="${response_type}" />
-            <input type="hidden" name="scope" value="${scope || ''}" />
-            <input type="hidden" name="state" value="${state || ''}" />
-            
-            <button type="submit" name="approved" value="true" class="btn btn-approve">Approve</button>
-            <button type="submit" name="approved" value="false" class="btn btn-deny">Deny</button>
-          </form>
-        </div>
-      </body>
-    </html>
-  `);
+  res.set(PAGE_HEADERS);
+  return res.status(400).type('html').send(renderErrorPage(result.errors[0]));
 };
 
 /**
- * Handle the authorization form submission
+ * Render the login and consent form of an authorization request
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const handleAuthorizationDecision = (req, res, next) => {
-  // Set the user on the request if the user approved the authorization
-  // This is required by the OAuth server middleware
-
-  // In a real application, you would get the user from the session
-  // For simplicity, we'll use a test user
-  if (req.body.approved === 'true') {
-    req.user = {
-      id: '1',
-      username: 'test',
-    };
+const renderAuthorizationForm = async (req, res, next) => {
+  try {
+    const params = pickAuthorizationParams(req.query);
+
+    // Log the authorization request (without sensitive data)
+    logger.debug('Authorization request received', {
+      client_id: params.client_id,
+      redirect_uri: params.redirect_uri,
+      response_type: params.response_type,
+      scope: params.scope,
+      // Don't log state as it might contain sensitive data
+    });
+
+    const result = await validateAuthorizationRequest(params);
+    if (!result.success) {
+      return sendAuthorizationError(res, result, params.state);
+    }
+
+    const { client, redirectUri, scopes } = result.data;
+    return sendConsentPage(req, res, 200, { client, redirectUri, scopes, params });
+  } catch (error) {
+    logger.error('Error rendering authorization form:', error);
+    next(error);
   }
+};
 
-  // Log the authorization decision
-  logger.debug('Authorization decision received', {
-    approved: req.body.approved === 'true',
-    client_id: req.body.client_id,
-    // Don't log other sensitive data
-  });
+/**
+ * Handle the consent form submission.
+ * Checks the CSRF token, validates the request again, then either redirects a denial to
+ * the client or logs the user in and hands over to the OAuth server to issue the code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const handleAuthorizationDecision = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const params = pickAuthorizationParams(body);
+    const approved = body.approved === 'true';
+
+    // Log the authorization decision
+    logger.debug('Authorization decision received', {
+      approved,
+      client_id: params.client_id,
+      // Don't log credentials or other sensitive data
+    });
+
+    if (!hasValidCsrfToken(req)) {
+      res.set(PAGE_HEADERS);
+      return res
+        .status(403)
+        .type('html')
+        .send(renderErrorPage('The form has expired. Start the authorization again.'));
+    }
+
+    const result = await validateAuthorizationRequest(params);
+    if (!result.success) {
+      return sendAuthorizationError(res, result, params.state);
+    }
 
-  // The response will be handled by the OAuth server middleware
-  next();
+    const { client, redirectUri, scopes, state, codeChallenge, codeChallengeMethod } = result.data;
+
+    if (!approved) {
+      res.clearCookie(CSRF_COOKIE, { path: req.baseUrl || '/' });
+      return res.redirect(
+        buildAuthorizationRedirect(redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the authorization request',
+          state,
+        })
+      );
+    }
+
+    const user =
+      typeof body.username === 'string' && typeof body.password === 'string'
+        ? await oauthUserService.getUserByCredentials(body.username, body.password)
+        : null;
+
+    if (!user) {
+      return sendConsentPage(req, res, 401, {
+        client,
+        redirectUri,
+        scopes,
+        params,
+        username: body.username,
+        error: 'Invalid username or password',
+      });
+    }
+
+    // The OAuth server reads the user and the PKCE challenge from the request
+    res.clearCookie(CSRF_COOKIE, { path: req.baseUrl || '/' });
+    req.user = user;
+    req.oauthAuthorization = { codeChallenge, codeChallengeMethod };
+    req.body = { ...params, redirect_uri: redirectUri, scope: scopes.join(' ') };
+
+    next();
+  } catch (error) {
+    logger.error('Error handling authorization decision:', error);
+    next(error);
+  }
 };
 
 module.exports = {
@@ -4,8 +4,41 @@
  */
 
 const oauthClientService = require('../../services/oauthClientService');
+const { findUnknownScopes } = require('../../oauth/scopes');
 const logger = require('../../utils/logger');
 
+/**
+ * Validate the scopes of a client request body
+ * @param {*} scopes - Scopes from the request body
+ * @returns {string|null} Error message, or null if the scopes are valid or absent
+ */
+const validateScopes = scopes => {
+  if (scopes === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(scopes) || !scopes.every(scope => typeof scope === 'string')) {
+    return 'Scopes must be an array of strings';
+  }
+
+  const unknown = findUnknownScopes(scopes);
+  return unknown.length > 0 ? `Unknown scopes: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Select the client fields returned by the client routes (never the secret)
+ * @param {Object} client - Client returned by the OAuth client service
+ * @returns {Object} Client response
+ */
+const formatClientResponse = client => ({
+  id: client.id,
+  isPublic: client.isPublic,
+  isServiceAccount: client.isServiceAccount,
+  redirectUris: client.redirectUris,
+  grants: client.grants,
+  scopes: client.scopes,
+});
+
 /**
  * Get all OAuth clients
  * @param {Object} req - Express request object
@@ -14,14 +47,20 @@ const logger = require('../../utils/logger');
  */
 const getClients = async (req, res, next) => {
   try {
-    // This is a placeholder - in a real application, you would
-    // implement a method to get all clients from the database
+    const { serviceAccounts } = req.query;
+    const filters = {};
+
+    if (serviceAccounts === 'true' || serviceAccounts === 'false') {
+      filters.serviceAccounts = serviceAccounts === 'true';
+    }
+
+    const clients = await oauthClientService.getClients(filters);
 
-    // For now, we'll return a simple message
     return res.status(200).json({
       status: 'success',
-      message: 'This endpoint would return all OAuth clients',
-      // In a real implementation, you would return the clients here
+      data: {
+        clients: clients.map(formatClientResponse),
+      },
     });
   } catch (error) {
     logger.error('Error getting OAuth clients:', error);
@@ -37,33 +76,40 @@ const getClients = async (req, res, next) => {
  */
 const createClient = async (req, res, next) => {
   try {
-    const { clientId, clientSecret, redirectUris, grants } = req.body;
+    const { clientId, clientSecret, redirectUris, grants, scopes } = req.body;
+    const isPublic = req.body.isPublic === true;
 
-    // Validate required fields
-    if (!clientId || !clientSecret) {
+    // Validate required fields; public clients have no secret
+    if (!clientId || (!isPublic && !clientSecret)) {
       return res.status(400).json({
         status: 'error',
         message: 'Client ID and client secret are required',
       });
     }
 
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        status: 'error',
+        message: scopeError,
+      });
+    }
+
     // Create the client
     const client = await oauthClientService.createClient({
       clientId,
       clientSecret,
+      isPublic,
       redirectUris: redirectUris || [],
       grants: grants || ['password', 'refresh_token'],
+      scopes: scopes || [],
     });
 
     return res.status(201).json({
       status: 'success',
       message: 'OAuth client created successfully',
       data: {
-        client: {
-          id: client.id,
-          redirectUris: client.redirectUris,
-          grants: client.grants,
-        },
+        client: formatClientResponse(client),
       },
     });
   } catch (error) {
@@ -77,6 +123,14 @@ const createClient = async (req, res, next) => {
       });
     }
 
+    // Handle grants the client may not use
+    if (error.status === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
     next(error);
   }
 };
@@ -103,11 +157,7 @@ const getClientById = async (req, res, next) => {
     return res.status(200).json({
       status: 'success',
       data: {
-        client: {
-          id: client.id,
-          redirectUris: client.redirectUris,
-          grants: client.grants,
-        },
+        client: formatClientResponse(client),
       },
     });
   } catch (error) {
@@ -125,12 +175,21 @@ const getClientById = async (req, res, next) => {
 const updateClient = async (req, res, next) => {
   try {
     const { clientId } = req.params;
-    const { redirectUris, grants } = req.body;
+    const { redirectUris, grants, scopes } = req.body;
+
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        status: 'error',
+        message: scopeError,
+      });
+    }
 
     // Update the client
     const client = await oauthClientService.updateClient(clientId, {
       redirectUris,
       grants,
+      scopes,
     });
 
     if (!client) {
@@ -144,15 +203,20 @@ const updateClient = async (req, res, next) => {
       status: 'success',
       message: 'OAuth client updated successfully',
       data: {
-        client: {
-          id: client.id,
-          redirectUris: client.redirectUris,
-          grants: client.grants,
-        },
+        client: formatClientResponse(client),
       },
     });
   } catch (error) {
     logger.error('Error updating OAuth client:', error);
+
+    // Handle grants the client may not use
+    if (error.status === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
     next(error);
   }
 };
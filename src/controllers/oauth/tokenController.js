@@ -3,8 +3,68 @@
  * @module controllers/oauth/tokenController
  */
 
+const oauthTokenService = require('../../services/oauthTokenService');
+const oauthClientService = require('../../services/oauthClientService');
+const { verifyCodeChallenge } = require('../../oauth/pkce');
 const logger = require('../../utils/logger');
 
+/**
+ * Read the client credentials of a request, from HTTP Basic authentication or the body
+ * @param {Object} req - Express request object
+ * @returns {Object} `{clientId, clientSecret}`; values are undefined when missing
+ */
+const readClientCredentials = req => {
+  const header = req.headers.authorization;
+
+  if (typeof header === 'string' && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice('Basic '.length), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator > 0) {
+      return { clientId: decoded.slice(0, separator), clientSecret: decoded.slice(separator + 1) };
+    }
+  }
+
+  return { clientId: req.body?.client_id, clientSecret: req.body?.client_secret };
+};
+
+/**
+ * Authenticate the client making a request
+ * @param {Object} req - Express request object
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowPublic=false] - Accept public clients identified by client_id alone
+ * @returns {Promise<Object|null>} The client, or null if authentication failed
+ */
+const authenticateClient = async (req, { allowPublic = false } = {}) => {
+  const { clientId, clientSecret } = readClientCredentials(req);
+
+  if (typeof clientId !== 'string' || !clientId) {
+    return null;
+  }
+
+  if (typeof clientSecret !== 'string' || !clientSecret) {
+    if (!allowPublic) {
+      return null;
+    }
+    const client = await oauthClientService.getClientById(clientId);
+    return client && client.isPublic ? client : null;
+  }
+
+  return oauthClientService.getClientByIdAndSecret(clientId, clientSecret);
+};
+
+/**
+ * Send the response for requests whose client authentication failed
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendInvalidClient = res => {
+  res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  return res.status(401).json({
+    error: 'invalid_client',
+    error_description: 'Client authentication failed',
+  });
+};
+
 /**
  * Handle token requests (token endpoint)
  * This controller is used with the OAuth server's token middleware
@@ -37,15 +97,75 @@ const handleTokenRequest = (req, res, next) => {
 };
 
 /**
- * Handle token revocation
+ * Check the PKCE code verifier of an authorization code exchange.
+ * Codes issued with a code challenge need a matching verifier; public clients that pass
+ * this check may omit their (nonexistent) secret. Unknown codes are left to the OAuth server.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const handleTokenRevocation = (req, res, next) => {
-  // The actual token revocation is handled by the OAuth server middleware
-  // This controller is just a placeholder for any additional logic
+const verifyCodeVerifier = async (req, res, next) => {
+  const {
+    grant_type: grantType,
+    code,
+    code_verifier: codeVerifier,
+    client_id: clientId,
+  } = req.body;
+
+  if (grantType !== 'authorization_code' || typeof code !== 'string') {
+    return next();
+  }
+
+  try {
+    const authorizationCode = await oauthTokenService.getAuthorizationCode(code);
+
+    if (!authorizationCode) {
+      return next();
+    }
+
+    if (!authorizationCode.codeChallenge) {
+      if (codeVerifier) {
+        return res.status(400).json({
+          error: 'invalid_grant',
+          error_description: 'Invalid grant: the authorization code was issued without PKCE',
+        });
+      }
+      return next();
+    }
 
+    if (!codeVerifier) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing parameter: `code_verifier`',
+      });
+    }
+
+    if (!verifyCodeChallenge(codeVerifier, authorizationCode.codeChallenge)) {
+      return res.status(400).json({
+        error: 'invalid_grant',
+        error_description: 'Invalid grant: `code_verifier` does not match the code challenge',
+      });
+    }
+
+    req.oauthPublicClient =
+      Boolean(authorizationCode.client.isPublic) && authorizationCode.client.id === clientId;
+
+    next();
+  } catch (error) {
+    logger.error('Error verifying PKCE code verifier:', error);
+    next(error);
+  }
+};
+
+/**
+ * Handle token revocation (RFC 7009).
+ * The client may only revoke its own tokens; unknown tokens are not reported, so the
+ * response is the same whether or not a token was revoked.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const handleTokenRevocation = async (req, res, next) => {
   // Check if req.body exists
   if (!req.body) {
     logger.error('Request body is undefined');
@@ -62,11 +182,70 @@ const handleTokenRevocation = (req, res, next) => {
     // Don't log client_secret, token, etc.
   });
 
-  // The response will be handled by the OAuth server middleware
-  next();
+  try {
+    // Public clients cannot keep a secret, so they identify themselves by client_id alone
+    const client = await authenticateClient(req, { allowPublic: true });
+    if (!client) {
+      return sendInvalidClient(res);
+    }
+
+    const { token, token_type_hint: tokenTypeHint } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing parameter: token',
+      });
+    }
+
+    await oauthTokenService.revokeTokenOfClient(token, client.id, tokenTypeHint);
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Token revoked successfully',
+    });
+  } catch (error) {
+    logger.error('Error revoking token:', error);
+    next(error);
+  }
+};
+
+/**
+ * Handle token introspection (RFC 7662) for resource servers.
+ * The caller authenticates as a confidential client; inactive, expired and unknown tokens
+ * are all reported as `{"active": false}`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const handleTokenIntrospection = async (req, res, next) => {
+  try {
+    const client = await authenticateClient(req);
+    if (!client) {
+      return sendInvalidClient(res);
+    }
+
+    const { token, token_type_hint: tokenTypeHint } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing parameter: token',
+      });
+    }
+
+    const introspection = await oauthTokenService.introspectToken(token, tokenTypeHint);
+    logger.debug(`Token introspected by OAuth client ${client.id}: active=${introspection.active}`);
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json(introspection);
+  } catch (error) {
+    logger.error('Error introspecting token:', error);
+    next(error);
+  }
 };
 
 module.exports = {
   handleTokenRequest,
+  verifyCodeVerifier,
   handleTokenRevocation,
+  handleTokenIntrospection,
 };
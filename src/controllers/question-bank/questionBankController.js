@@ -0,0 +1,93 @@
+/**
+ * Question Bank Controller Module
+ * Import and export endpoints shared by questions, logic questions and instruments.
+ * @module controllers/question-bank/questionBankController
+ */
+
+const { importQuestionBank, exportQuestionBank } = require('../../services/questionBankService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Create the controller that imports an uploaded file into a collection.
+ * Expects the upload middleware to set req.file; the form fields `format` and `dry_run`
+ * are optional.
+ * @param {string} collection - Collection: questions, logic_questions or instruments
+ * @returns {Function} Express controller
+ */
+function createImportController(collection) {
+  return async function importQuestionBankController(req, res) {
+    try {
+      const body = req.body || {};
+      const result = await importQuestionBank(collection, req.file.content.toString('utf8'), {
+        format: body.format,
+        fileName: req.file.fileName,
+        dryRun: body.dry_run === 'true',
+      });
+
+      if (!result.success) {
+        logger.warn(`Failed to import ${collection}:`, result.errors);
+        return res
+          .status(400)
+          .json(formatErrorResponse(`Failed to import ${collection}.`, result.errors));
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error(`Error in import ${collection} controller:`, error);
+      return res
+        .status(500)
+        .json(formatErrorResponse(`Failed to import ${collection}.`, ['Internal server error']));
+    }
+  };
+}
+
+/**
+ * Create the controller that downloads a collection as a file
+ * @param {string} collection - Collection: questions, logic_questions or instruments
+ * @returns {Function} Express controller
+ */
+function createExportController(collection) {
+  return async function exportQuestionBankController(req, res) {
+    try {
+      const result = await exportQuestionBank(collection, { format: req.query.format });
+
+      if (!result.success) {
+        logger.warn(`Failed to export ${collection}:`, result.errors);
+        return res
+          .status(400)
+          .json(formatErrorResponse(`Failed to export ${collection}.`, result.errors));
+      }
+
+      res.attachment(result.data.fileName);
+      res.type(result.data.contentType);
+      return res.status(200).send(result.data.content);
+    } catch (error) {
+      logger.error(`Error in export ${collection} controller:`, error);
+      return res
+        .status(500)
+        .json(formatErrorResponse(`Failed to export ${collection}.`, ['Internal server error']));
+    }
+  };
+}
+
+module.exports = {
+  createImportController,
+  createExportController,
+};
@@ -0,0 +1,67 @@
+/**
+ * Duplicate Questions Controller
+ * @module controllers/questions/duplicateController
+ */
+
+const { getDuplicateReport } = require('../../services/questionDuplicateService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the validation error response
+ * @param {Array} errors - Array of error messages
+ * @returns {Object} Formatted validation error response
+ */
+const formatValidationErrorResponse = errors => {
+  return {
+    status: 'error',
+    message: 'Validation failed',
+    errors: errors,
+  };
+};
+
+/**
+ * Formats the success response
+ * @param {Object} result - Duplicate report from the service
+ * @returns {Object} Formatted success response
+ */
+const formatSuccessResponse = result => {
+  return {
+    status: 'success',
+    message: 'Duplicate questions report created successfully.',
+    data: result.data,
+    summary: result.summary,
+    pagination: result.pagination,
+  };
+};
+
+/**
+ * Controller to report groups of near-duplicate questions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with duplicate groups or error
+ */
+const getDuplicateQuestionsController = async (req, res) => {
+  try {
+    const result = await getDuplicateReport(req.query);
+
+    if (!result.success) {
+      logger.warn('Failed to create duplicate questions report:', result.errors);
+      return res.status(400).json(formatValidationErrorResponse(result.errors));
+    }
+
+    return res.status(200).json(formatSuccessResponse(result));
+  } catch (error) {
+    logger.error('Error in duplicate questions controller:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'An error occurred while creating the duplicate questions report.',
+      errors: ['Internal server error'],
+    });
+  }
+};
+
+module.exports = {
+  getDuplicateQuestionsController,
+  formatValidationErrorResponse,
+  formatSuccessResponse,
+};
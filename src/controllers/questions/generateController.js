@@ -23,13 +23,15 @@ const formatValidationErrorResponse = errors => {
 /**
  * Formats the success response
  * @param {Array} questionsWithMetadata - Array of generated questions with pagination
+ * @param {Object|null} [duplicates=null] - Near-duplicates that were dropped or flagged
  * @returns {Object} Formatted success response
  */
-const formatSuccessResponse = questionsWithMetadata => {
+const formatSuccessResponse = (questionsWithMetadata, duplicates = null) => {
   return {
     status: 'success',
     message: 'Questions generated and saved.',
     data: questionsWithMetadata,
+    duplicates,
   };
 };
 
@@ -49,10 +51,10 @@ const generateQuestionsController = async (req, res) => {
     }
 
     // 2. Generate and store questions
-    const questionsWithMetadata = await generateAndStoreQuestions(req.body);
+    const { questions, duplicates } = await generateAndStoreQuestions(req.body);
 
     // 3. Respond to the client
-    return res.status(200).json(formatSuccessResponse(questionsWithMetadata));
+    return res.status(200).json(formatSuccessResponse(questions, duplicates));
   } catch (error) {
     return handleApiError(error, req, res, 'Question Generation');
   }
@@ -125,7 +125,7 @@ async function updateQuestionController(req, res) {
     const { id } = req.params;
 
     // Validate request body
-    const validationResult = validateQuestionData(req.body);
+    const validationResult = validateQuestionData(req.body, true);
 
     if (!validationResult.isValid) {
       return res.status(400).json(formatValidationErrorResponse(validationResult.errors));
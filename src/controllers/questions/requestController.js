@@ -4,6 +4,7 @@
  */
 
 const { processQuestionRequest } = require('../../services/questionRequestService');
+const { getLLMProviderNames } = require('../../config/llmConfig');
 const logger = require('../../utils/logger');
 
 /**
@@ -12,7 +13,7 @@ const logger = require('../../utils/logger');
  * @returns {Object} - Validation result with isValid flag and errors array
  */
 const validateRequestParams = body => {
-  const { topics, limit, position, language } = body;
+  const { topics, limit, position, language, provider, model } = body;
   const errors = [];
 
   // Validate topics if provided
@@ -38,6 +39,16 @@ const validateRequestParams = body => {
     errors.push('Language is required and must be a string');
   }
 
+  // Validate LLM provider and model (optional)
+  const providerNames = getLLMProviderNames();
+  if (provider !== undefined && !providerNames.includes(provider)) {
+    errors.push(`Provider must be one of: ${providerNames.join(', ')}`);
+  }
+
+  if (model !== undefined && (typeof model !== 'string' || model.trim() === '')) {
+    errors.push('Model must be a non-empty string');
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -114,8 +125,15 @@ const processQuestionRequestController = async (req, res) => {
       return res.status(400).json(formatValidationErrorResponse(validation.errors[0]));
     }
 
-    const { topics, limit, position, language } = req.body;
-    const jobs = await processQuestionRequest({ topics, limit, position, language });
+    const { topics, limit, position, language, provider, model } = req.body;
+    const jobs = await processQuestionRequest({
+      topics,
+      limit,
+      position,
+      language,
+      provider,
+      model,
+    });
 
     return res.status(200).json(formatSuccessResponse(jobs));
   } catch (error) {
@@ -0,0 +1,153 @@
+/**
+ * Question Review Controller
+ * @module controllers/questions/reviewController
+ */
+
+const {
+  REVIEW_ERRORS,
+  reviewQuestion,
+  reviewQuestions,
+} = require('../../services/questionReviewService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [REVIEW_ERRORS.NOT_FOUND]: 404,
+  [REVIEW_ERRORS.INVALID_TRANSITION]: 409,
+};
+
+/**
+ * Formats the response for a successful request
+ * @param {string} message - Success message
+ * @param {Object} data - Response data
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = (message, data) => {
+  return {
+    status: 'success',
+    message,
+    data,
+  };
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Create a controller that applies one review action to the question in req.params.id
+ * @param {string} action - Review action ('approve', 'reject' or 'retire')
+ * @param {string} pastTense - Action in the past tense, used in messages
+ * @returns {Function} Express controller
+ */
+const createReviewController = (action, pastTense) => {
+  return async (req, res) => {
+    try {
+      const result = await reviewQuestion(
+        req.params.id,
+        action,
+        req.body || {},
+        req.loggedUser?._id
+      );
+
+      if (!result.success) {
+        logger.warn(`Failed to ${action} question ${req.params.id}:`, result.errors);
+        return res
+          .status(getErrorStatusCode(result.errors))
+          .json(formatErrorResponse(`Failed to ${action} question.`, result.errors));
+      }
+
+      return res
+        .status(200)
+        .json(formatSuccessResponse(`Question ${pastTense} successfully.`, result.data));
+    } catch (error) {
+      logger.error(`Error in ${action} question controller:`, error);
+      return res
+        .status(500)
+        .json(formatErrorResponse(`Failed to ${action} question.`, ['Internal server error']));
+    }
+  };
+};
+
+/**
+ * Controller to approve a question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the reviewed question or error
+ */
+const approveQuestionController = createReviewController('approve', 'approved');
+
+/**
+ * Controller to reject a question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the reviewed question or error
+ */
+const rejectQuestionController = createReviewController('reject', 'rejected');
+
+/**
+ * Controller to retire a question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the reviewed question or error
+ */
+const retireQuestionController = createReviewController('retire', 'retired');
+
+/**
+ * Controller to review several questions at once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the bulk review summary or error
+ */
+const bulkReviewQuestionsController = async (req, res) => {
+  try {
+    const result = await reviewQuestions(req.body || {}, req.loggedUser?._id);
+
+    if (!result.success) {
+      logger.warn('Failed to review questions:', result.errors);
+      return res
+        .status(getErrorStatusCode(result.errors))
+        .json(formatErrorResponse('Failed to review questions.', result.errors));
+    }
+
+    return res
+      .status(200)
+      .json(formatSuccessResponse('Questions reviewed successfully.', result.data));
+  } catch (error) {
+    logger.error('Error in bulk review questions controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to review questions.', ['Internal server error']));
+  }
+};
+
+module.exports = {
+  getErrorStatusCode,
+  approveQuestionController,
+  rejectQuestionController,
+  retireQuestionController,
+  bulkReviewQuestionsController,
+};
@@ -5,6 +5,7 @@
 
 const { validateSearchParams } = require('../../utils/questionSearchValidator');
 const { searchQuestions } = require('../../services/questionSearchService');
+const { PERMISSIONS, hasPermission } = require('../../config/roleConfig');
 const logger = require('../../utils/logger');
 
 /**
@@ -20,6 +21,18 @@ const formatValidationErrorResponse = errors => {
   };
 };
 
+/**
+ * Formats the response for a search of unapproved questions without review permission
+ * @returns {Object} Formatted forbidden response
+ */
+const formatForbiddenResponse = () => {
+  return {
+    status: 'error',
+    message: 'Forbidden',
+    errors: [`Missing permission: ${PERMISSIONS.QUESTIONS_REVIEW}`],
+  };
+};
+
 /**
  * Formats the success response
  * @param {Array} questions - Array of questions
@@ -58,6 +71,7 @@ const formatErrorResponse = error => {
  * - Supports multiple values for each parameter (comma-separated)
  * - Supports random sorting with 'sort_by=random' query parameter (default)
  * - Supports excluding specific questions with 'ignore_question_ids' parameter (comma-separated list of IDs)
+ * - Only returns approved questions unless 'status' is given, which requires the review permission
  */
 const searchQuestionsController = async (req, res) => {
   try {
@@ -70,6 +84,16 @@ const searchQuestionsController = async (req, res) => {
       return res.status(400).json(formatValidationErrorResponse(validationResult.errors));
     }
 
+    // Unreviewed and rejected questions are only visible to reviewers
+    const { status } = validationResult.params;
+    if (
+      status &&
+      status.some(value => value !== 'approved') &&
+      !hasPermission(req.loggedUser?.role, PERMISSIONS.QUESTIONS_REVIEW)
+    ) {
+      return res.status(403).json(formatForbiddenResponse());
+    }
+
     // Log the search parameters for debugging
     logger.debug('Search parameters:', {
       topic: validationResult.params.topic,
@@ -84,6 +108,7 @@ const searchQuestionsController = async (req, res) => {
       page_size: validationResult.params.page_size,
       mode: validationResult.params.mode,
       ignore_question_ids: validationResult.params.ignore_question_ids,
+      status,
     });
 
     // 2. Search for questions using the service
@@ -101,6 +126,7 @@ const searchQuestionsController = async (req, res) => {
 module.exports = {
   searchQuestionsController,
   formatValidationErrorResponse,
+  formatForbiddenResponse,
   formatSuccessResponse,
   formatErrorResponse,
 };
@@ -0,0 +1,112 @@
+/**
+ * Question Statistics Controller
+ * @module controllers/questions/statsController
+ */
+
+const {
+  ITEM_ANALYSIS_ERRORS,
+  getQuestionStats,
+  getItemAnalysisReport,
+} = require('../../services/itemAnalysisService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [ITEM_ANALYSIS_ERRORS.NOT_FOUND]: 404,
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Controller to get the item statistics of a question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the statistics or error
+ */
+const getQuestionStatsController = async (req, res) => {
+  try {
+    const result = await getQuestionStats(req.params.id, req.query);
+
+    if (!result.success) {
+      logger.warn(`Failed to get statistics of question ${req.params.id}:`, result.errors);
+      return res
+        .status(getErrorStatusCode(result.errors))
+        .json(formatErrorResponse('Failed to get question statistics.', result.errors));
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Question statistics computed successfully.',
+      data: result.data,
+    });
+  } catch (error) {
+    logger.error('Error in question statistics controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to get question statistics.', ['Internal server error']));
+  }
+};
+
+/**
+ * Controller to report the item statistics of the question bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the statistics of each question or error
+ */
+const getItemAnalysisReportController = async (req, res) => {
+  try {
+    const result = await getItemAnalysisReport(req.query);
+
+    if (!result.success) {
+      logger.warn('Failed to create item analysis report:', result.errors);
+      return res
+        .status(400)
+        .json(formatErrorResponse('Failed to create item analysis report.', result.errors));
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Item analysis report created successfully.',
+      data: result.data,
+      summary: result.summary,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in item analysis report controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to create item analysis report.', ['Internal server error'])
+      );
+  }
+};
+
+module.exports = {
+  getQuestionStatsController,
+  getItemAnalysisReportController,
+};
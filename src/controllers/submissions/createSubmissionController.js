@@ -11,6 +11,8 @@ const {
   instrumentsExist,
   logicQuestionsExist,
 } = require('../../repository/submissionRepository');
+const { getApplicationById } = require('../../repository/applicationRepository');
+const { scoreSubmission, stripScoredFields } = require('../../services/submissionScoringService');
 const logger = require('../../utils/logger');
 
 /**
@@ -120,6 +122,28 @@ const createSubmission = async (req, res) => {
       });
     }
 
+    // Check that the application exists and belongs to the candidate
+    const applicationId = req.body.application_id;
+    if (applicationId !== undefined) {
+      const application = await getApplicationById(applicationId);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          error: 'Application not found',
+          details: `Application with ID ${applicationId} does not exist`,
+        });
+      }
+
+      if (String(application.candidate_id) !== String(candidateId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: ['Application belongs to another candidate'],
+        });
+      }
+    }
+
     // Extract question IDs from answers
     const questionIds = extractQuestionIds(req.body.answers);
 
@@ -168,8 +192,11 @@ const createSubmission = async (req, res) => {
       }
     }
 
+    // Compute points on the server instead of trusting client-supplied values or grades
+    const scoredSubmission = await scoreSubmission(stripScoredFields(req.body));
+
     // Insert submission
-    const newSubmission = await insertSubmissionToDB(req.body);
+    const newSubmission = await insertSubmissionToDB(scoredSubmission);
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,56 @@
+/**
+ * Get Candidate Ranking Controller
+ * @module controllers/submissions/getCandidateRankingController
+ */
+
+const { getCandidateRanking } = require('../../services/candidateRankingService');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the ranking of the candidates of an interview level, as JSON or as a CSV download
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Ranking rows, CSV file or error
+ */
+async function getCandidateRankingController(req, res) {
+  try {
+    const result = await getCandidateRanking(req.query);
+
+    if (!result.success) {
+      logger.warn('Failed to create candidate ranking:', result.errors);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failed to create candidate ranking.',
+        errors: result.errors,
+      });
+    }
+
+    if (result.format === 'csv') {
+      const fileName = `candidate-ranking-${result.summary.interview_level}.csv`.replace(
+        /[^\w.-]+/g,
+        '_'
+      );
+      res.attachment(fileName);
+      res.type('text/csv');
+      return res.status(200).send(result.data);
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: result.data,
+      summary: result.summary,
+    });
+  } catch (error) {
+    logger.error('Error in get candidate ranking controller:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to create candidate ranking.',
+      errors: ['Internal server error'],
+    });
+  }
+}
+
+module.exports = {
+  getCandidateRankingController,
+};
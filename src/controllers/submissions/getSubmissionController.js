@@ -4,13 +4,14 @@
  */
 
 const { getSubmissionById } = require('../../repository/submissionRepository');
+const { getSubmissionTraitScores } = require('../../services/instrumentScoringService');
 const logger = require('../../utils/logger');
 
 /**
  * Get a submission by ID
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} Submission details
+ * @returns {Object} Submission details, with trait scores classified by the current norm bands
  */
 const getSubmissionByIdController = async (req, res) => {
   try {
@@ -26,9 +27,14 @@ const getSubmissionByIdController = async (req, res) => {
       });
     }
 
+    const traits = await getSubmissionTraitScores(submission);
+
     res.status(200).json({
       success: true,
-      data: submission,
+      data: {
+        ...submission,
+        scores: { ...submission.scores, traits },
+      },
     });
   } catch (error) {
     logger.error(`Error in GET /submissions/${req.params.id}:`, error);
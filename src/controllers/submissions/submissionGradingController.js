@@ -0,0 +1,143 @@
+/**
+ * Submission Grading Controller
+ * @module controllers/submissions/submissionGradingController
+ */
+
+const {
+  GRADING_ERRORS,
+  requestSubmissionGrading,
+  reviewGrading,
+  getSubmissionGrading,
+} = require('../../services/submissionGradingService');
+const logger = require('../../utils/logger');
+
+/**
+ * Service errors that map to a status code other than 400
+ * @constant {Object}
+ */
+const ERROR_STATUS_CODES = {
+  [GRADING_ERRORS.NOT_FOUND]: 404,
+  [GRADING_ERRORS.ITEM_NOT_FOUND]: 404,
+};
+
+/**
+ * Formats the response for a successful request
+ * @param {Object|Array} data - Response data
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = data => {
+  return {
+    status: 'success',
+    data,
+  };
+};
+
+/**
+ * Formats the response for a failed request
+ * @param {string} message - Error message
+ * @param {Array<string>} errors - Array of error messages
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = (message, errors) => {
+  return {
+    status: 'error',
+    message,
+    errors,
+  };
+};
+
+/**
+ * Get the HTTP status code for a failed service result
+ * @param {Array<string>} errors - Errors returned by the service
+ * @returns {number} HTTP status code
+ */
+const getErrorStatusCode = errors => {
+  const knownError = errors.find(error => ERROR_STATUS_CODES[error]);
+  return knownError ? ERROR_STATUS_CODES[knownError] : 400;
+};
+
+/**
+ * Send a service result as an HTTP response
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @param {number} successStatus - Status code for a successful result
+ * @param {string} errorMessage - Message for a failed result
+ * @returns {Object} Express response
+ */
+const sendResult = (res, result, successStatus, errorMessage) => {
+  if (!result.success) {
+    logger.warn(`${errorMessage}:`, result.errors);
+    return res
+      .status(getErrorStatusCode(result.errors))
+      .json(formatErrorResponse(errorMessage, result.errors));
+  }
+
+  return res.status(successStatus).json(formatSuccessResponse(result.data));
+};
+
+/**
+ * Controller to queue AI grading of a submission's free-text answers
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the created job or error
+ */
+async function requestSubmissionGradingController(req, res) {
+  try {
+    const result = await requestSubmissionGrading(req.params.id, req.body || {});
+    return sendResult(res, result, 202, 'Failed to request submission grading.');
+  } catch (error) {
+    logger.error('Error in request submission grading controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to request submission grading.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to get the graded items of a submission and their audit
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the grading or error
+ */
+async function getSubmissionGradingController(req, res) {
+  try {
+    const result = await getSubmissionGrading(req.params.id);
+    return sendResult(res, result, 200, 'Failed to retrieve submission grading.');
+  } catch (error) {
+    logger.error('Error in get submission grading controller:', error);
+    return res
+      .status(500)
+      .json(
+        formatErrorResponse('Failed to retrieve submission grading.', ['Internal server error'])
+      );
+  }
+}
+
+/**
+ * Controller to record a reviewer's final score for a graded item
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with the updated submission or error
+ */
+async function reviewGradingController(req, res) {
+  try {
+    const result = await reviewGrading(req.params.id, req.body || {}, req.loggedUser?._id);
+    return sendResult(res, result, 200, 'Failed to review grading.');
+  } catch (error) {
+    logger.error('Error in review grading controller:', error);
+    return res
+      .status(500)
+      .json(formatErrorResponse('Failed to review grading.', ['Internal server error']));
+  }
+}
+
+module.exports = {
+  requestSubmissionGradingController,
+  getSubmissionGradingController,
+  reviewGradingController,
+};
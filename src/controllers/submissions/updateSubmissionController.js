@@ -11,6 +11,7 @@ const {
   instrumentsExist,
   logicQuestionsExist,
 } = require('../../repository/submissionRepository');
+const { scoreSubmission, stripScoredFields } = require('../../services/submissionScoringService');
 const baseRepository = require('../../repository/baseRepository');
 const submissionModel = require('../../models/submissionModel');
 const logger = require('../../utils/logger');
@@ -101,8 +102,8 @@ const updateSubmission = async (req, res) => {
       });
     }
 
-    // Validate update data
-    const updateData = sanitizeUpdateData(req.body);
+    // Validate update data; grades are kept from the stored submission
+    const updateData = stripScoredFields(sanitizeUpdateData(req.body), existingSubmission);
     const validation = validateSubmissionInput({
       ...existingSubmission,
       ...updateData,
@@ -161,6 +162,18 @@ const updateSubmission = async (req, res) => {
       }
     }
 
+    // Recompute points and score summaries when any scored section changes
+    const scoredFields = ['answers', 'instruments', 'logic_questions', 'essay'];
+    if (scoredFields.some(field => updateData[field] !== undefined)) {
+      const scoredSubmission = await scoreSubmission({ ...existingSubmission, ...updateData });
+      scoredFields.forEach(field => {
+        if (updateData[field] !== undefined) {
+          updateData[field] = scoredSubmission[field];
+        }
+      });
+      updateData.scores = scoredSubmission.scores;
+    }
+
     // Update submission
     const result = await baseRepository.updateOne(
       submissionModel.collectionName,
@@ -0,0 +1,73 @@
+/**
+ * Create Topic Controller
+ * @module controllers/topics/createTopicController
+ */
+
+const { createTopicService } = require('../../services/topicService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for successful topic creation
+ * @param {Object} topic - Created topic object
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = topic => {
+  return {
+    status: 'success',
+    message: 'Topic created successfully.',
+    data: topic,
+  };
+};
+
+/**
+ * Formats the response for error in topic creation
+ * @param {Error} error - Error object
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = error => {
+  return {
+    status: 'error',
+    message: 'Failed to create topic.',
+    error: error.message,
+  };
+};
+
+/**
+ * Controller to create a new topic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with created topic or error
+ */
+const createTopicController = async (req, res) => {
+  try {
+    const topic = await createTopicService(req.body || {});
+    return res.status(201).json(formatSuccessResponse(topic));
+  } catch (error) {
+    logger.error('Error creating topic:', error);
+
+    // Handle duplicate title or slug and invalid relationships
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation error.',
+        errors: Object.values(error.errors).map(err => err.message),
+      });
+    }
+
+    return res.status(500).json(formatErrorResponse(error));
+  }
+};
+
+module.exports = {
+  createTopicController,
+  formatSuccessResponse,
+  formatErrorResponse,
+};
@@ -0,0 +1,71 @@
+/**
+ * Delete Topic Controller
+ * @module controllers/topics/deleteTopicController
+ */
+
+const { deleteTopicService } = require('../../services/topicService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for successful topic deletion
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = () => {
+  return {
+    status: 'success',
+    message: 'Topic deleted successfully.',
+  };
+};
+
+/**
+ * Formats the response for error in topic deletion
+ * @param {Error} error - Error object
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = error => {
+  return {
+    status: 'error',
+    message: 'Failed to delete topic.',
+    error: error.message,
+  };
+};
+
+/**
+ * Controller to delete a topic by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with success message or error
+ */
+const deleteTopicController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isDeleted = await deleteTopicService(id);
+
+    if (!isDeleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Topic with ID ${id} not found.`,
+      });
+    }
+
+    return res.status(200).json(formatSuccessResponse());
+  } catch (error) {
+    logger.error(`Error deleting topic with ID ${req.params.id}:`, error);
+
+    // Handle topics that still have subtopics or questions
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json(formatErrorResponse(error));
+  }
+};
+
+module.exports = {
+  deleteTopicController,
+  formatSuccessResponse,
+  formatErrorResponse,
+};
@@ -3,18 +3,20 @@
  * @module controllers/topics/getAllTopicsController
  */
 
-const { getAllTopics } = require('../../repository/topicRepository');
+const { getAllTopicsService } = require('../../services/topicService');
 const logger = require('../../utils/logger');
 
 /**
  * Formats the response for successful topic retrieval
  * @param {Array} topics - Array of topic objects
+ * @param {Object} pagination - Metadata about the query results
  * @returns {Object} Formatted response object
  */
-const formatSuccessResponse = topics => {
+const formatSuccessResponse = (topics, pagination = {}) => {
   return {
     status: 'success',
     data: topics,
+    pagination,
   };
 };
 
@@ -39,8 +41,19 @@ const formatErrorResponse = error => {
  */
 const getAllTopicsController = async (req, res) => {
   try {
-    const topics = await getAllTopics();
-    return res.status(200).json(formatSuccessResponse(topics));
+    const query = req.query || {};
+    const { topics, totalCount } = await getAllTopicsService(query);
+
+    const page = parseInt(query.page) || 1;
+    const page_size = parseInt(query.page_size) || parseInt(query.limit) || 10;
+    const pagination = {
+      total: totalCount,
+      page: page,
+      page_size: page_size,
+      total_pages: Math.ceil(totalCount / page_size),
+    };
+
+    return res.status(200).json(formatSuccessResponse(topics, pagination));
   } catch (error) {
     logger.error('Error retrieving topics:', error);
     return res.status(500).json(formatErrorResponse(error));
@@ -0,0 +1,63 @@
+/**
+ * Get Topic By ID Controller
+ * @module controllers/topics/getTopicByIdController
+ */
+
+const { getTopicByIdService } = require('../../services/topicService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for successful topic retrieval
+ * @param {Object} topic - Topic object
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = topic => {
+  return {
+    status: 'success',
+    data: topic,
+  };
+};
+
+/**
+ * Formats the response for error in topic retrieval
+ * @param {Error} error - Error object
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = error => {
+  return {
+    status: 'error',
+    message: 'Failed to retrieve topic.',
+    error: error.message,
+  };
+};
+
+/**
+ * Controller to get a topic by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with topic or error
+ */
+const getTopicByIdController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const topic = await getTopicByIdService(id);
+
+    if (!topic) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Topic with ID ${id} not found.`,
+      });
+    }
+
+    return res.status(200).json(formatSuccessResponse(topic));
+  } catch (error) {
+    logger.error(`Error retrieving topic with ID ${req.params.id}:`, error);
+    return res.status(500).json(formatErrorResponse(error));
+  }
+};
+
+module.exports = {
+  getTopicByIdController,
+  formatSuccessResponse,
+  formatErrorResponse,
+};
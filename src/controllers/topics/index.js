@@ -0,0 +1,18 @@
+/**
+ * Topics Controllers Index
+ * @module controllers/topics
+ */
+
+const { getAllTopicsController } = require('./getAllTopicsController');
+const { getTopicByIdController } = require('./getTopicByIdController');
+const { createTopicController } = require('./createTopicController');
+const { updateTopicController } = require('./updateTopicController');
+const { deleteTopicController } = require('./deleteTopicController');
+
+module.exports = {
+  getAllTopicsController,
+  getTopicByIdController,
+  createTopicController,
+  updateTopicController,
+  deleteTopicController,
+};
@@ -0,0 +1,91 @@
+/**
+ * Update Topic Controller
+ * @module controllers/topics/updateTopicController
+ */
+
+const { updateTopicService } = require('../../services/topicService');
+const logger = require('../../utils/logger');
+
+/**
+ * Formats the response for successful topic update
+ * @param {Object} topic - Updated topic object
+ * @returns {Object} Formatted response object
+ */
+const formatSuccessResponse = topic => {
+  return {
+    status: 'success',
+    message: 'Topic updated successfully.',
+    data: topic,
+  };
+};
+
+/**
+ * Formats the response for error in topic update
+ * @param {Error} error - Error object
+ * @returns {Object} Formatted error response object
+ */
+const formatErrorResponse = error => {
+  return {
+    status: 'error',
+    message: 'Failed to update topic.',
+    error: error.message,
+  };
+};
+
+/**
+ * Controller to update a topic by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with updated topic or error
+ */
+const updateTopicController = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if request body is empty
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Update data is required.',
+      });
+    }
+
+    const topic = await updateTopicService(id, req.body);
+
+    if (!topic) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Topic with ID ${id} not found.`,
+      });
+    }
+
+    return res.status(200).json(formatSuccessResponse(topic));
+  } catch (error) {
+    logger.error(`Error updating topic with ID ${req.params.id}:`, error);
+
+    // Handle duplicate title or slug and invalid relationships
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+      });
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation error.',
+        errors: Object.values(error.errors).map(err => err.message),
+      });
+    }
+
+    return res.status(500).json(formatErrorResponse(error));
+  }
+};
+
+module.exports = {
+  updateTopicController,
+  formatSuccessResponse,
+  formatErrorResponse,
+};
@@ -4,6 +4,7 @@
  */
 
 const userService = require('../../services/userService');
+const { sendVerificationEmail } = require('../../services/accountService');
 const logger = require('../../utils/logger');
 const { findOrCreateCandidateForUser } = require('../../utils/userCandidateUtils');
 
@@ -34,6 +35,9 @@ const validateUserInput = userData => {
 const createUserController = async (req, res) => {
   try {
     const { email, username, password } = req.body;
+    // Only authenticated admins (POST /api/users) may pick a role; self-registration
+    // through /api/register always creates a candidate
+    const role = req.loggedUser ? req.body.role : undefined;
 
     // Validate required fields
     const validation = validateUserInput({ email, username, password });
@@ -46,15 +50,22 @@ const createUserController = async (req, res) => {
     }
 
     // Create the user
-    let user = await userService.createUser({ email, username, password });
+    let user = await userService.createUser({ email, username, password, role });
+
+    // Sent in the background so a slow mail server does not hold up the registration.
+    // It never rejects: a failed delivery is logged and the user can ask for a new link.
+    sendVerificationEmail(user);
 
     try {
-      // Find or create a candidate for this user and link them
+      // Find or create a candidate for this user and link them; an existing candidate is only
+      // linked once the user has verified the email address
       user = await findOrCreateCandidateForUser(user);
 
       return res.status(201).json({
         status: 'success',
-        message: 'User created successfully and linked to candidate',
+        message: user.candidate_id
+          ? 'User created successfully and linked to candidate'
+          : 'User created successfully; it is linked to its candidate once the email is verified',
         data: user,
       });
     } catch (candidateError) {
@@ -74,7 +85,8 @@ const createUserController = async (req, res) => {
     if (
       error.message.includes('already in use') ||
       error.message.includes('Invalid email') ||
-      error.message.includes('Password must be')
+      error.message.includes('Password must be') ||
+      error.message.includes('Invalid role')
     ) {
       return res.status(400).json({
         status: 'error',
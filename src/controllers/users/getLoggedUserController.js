@@ -10,6 +10,7 @@
  *   "_id": "60d21b4667d0d8992e610c85",
  *   "username": "johndoe",
  *   "email": "john.doe@example.com",
+ *   "role": "candidate",
  *   "createdAt": "2025-05-16T10:23:20.335Z",
  *   "updatedAt": "2025-05-16T10:23:20.335Z"
  * }
@@ -29,13 +30,14 @@ const isValidUserObject = user => {
 /**
  * Formats the user object to return only necessary fields
  * @param {Object} user - User object to format
- * @returns {Object} - Formatted user object with _id, username, email, candidate_id, candidate, createdAt, and updatedAt
+ * @returns {Object} - Formatted user object with _id, username, email, role, candidate_id, candidate, createdAt, and updatedAt
  */
 const formatUserResponse = user => {
   const response = {
     _id: user._id,
     username: user.username,
     email: user.email,
+    role: user.role || null,
     candidate_id: user.candidate_id || null,
     createdAt: user.createdAt || new Date().toISOString(),
     updatedAt: user.updatedAt || new Date().toISOString(),
@@ -72,6 +74,16 @@ const getLoggedUser = async (req, res) => {
       });
     }
 
+    // Service accounts have no user profile, so their service identity is returned
+    if (req.loggedUser.isServiceAccount) {
+      const { _id, username, role, client_id } = req.loggedUser;
+      return res.status(200).json({
+        status: 'success',
+        message: 'Service account retrieved successfully',
+        data: { _id, username, role, client_id },
+      });
+    }
+
     // Validate the user object has required fields
     if (!isValidUserObject(req.loggedUser)) {
       logger.error('Invalid user object in req.loggedUser');
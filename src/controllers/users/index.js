@@ -9,6 +9,12 @@ const { createUserController } = require('./createUserController');
 const { updateUserController } = require('./updateUserController');
 const { deleteUserController } = require('./deleteUserController');
 const { getLoggedUser } = require('./getLoggedUserController');
+const {
+  getMySessions,
+  revokeMySessions,
+  getUserSessions,
+  revokeUserSessions,
+} = require('./userSessionController');
 
 module.exports = {
   getUsersController,
@@ -17,4 +23,8 @@ module.exports = {
   updateUserController,
   deleteUserController,
   getLoggedUser,
+  getMySessions,
+  revokeMySessions,
+  getUserSessions,
+  revokeUserSessions,
 };
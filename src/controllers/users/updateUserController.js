@@ -4,6 +4,7 @@
  */
 
 const userService = require('../../services/userService');
+const { sendVerificationEmail } = require('../../services/accountService');
 const logger = require('../../utils/logger');
 
 /**
@@ -12,10 +13,10 @@ const logger = require('../../utils/logger');
  * @returns {Object} - Object with userData and validation result
  */
 const prepareUserData = requestBody => {
-  const { email, username, password } = requestBody;
+  const { email, username, password, role } = requestBody;
 
   // Ensure at least one field to update
-  if (!email && !username && !password) {
+  if (!email && !username && !password && !role) {
     return {
       isValid: false,
       error: 'At least one field to update is required',
@@ -26,6 +27,7 @@ const prepareUserData = requestBody => {
   if (email) userData.email = email;
   if (username) userData.username = username;
   if (password) userData.password = password;
+  if (role) userData.role = role;
 
   return {
     isValid: true,
@@ -62,6 +64,11 @@ const updateUserController = async (req, res) => {
       });
     }
 
+    // A changed address has to be verified again; the link is sent in the background
+    if (userData.email && !user.emailVerified) {
+      sendVerificationEmail(user);
+    }
+
     return res.status(200).json({
       status: 'success',
       message: 'User updated successfully',
@@ -74,7 +81,8 @@ const updateUserController = async (req, res) => {
     if (
       error.message.includes('already in use') ||
       error.message.includes('Invalid email') ||
-      error.message.includes('Password must be')
+      error.message.includes('Password must be') ||
+      error.message.includes('Invalid role')
     ) {
       return res.status(400).json({
         status: 'error',
@@ -0,0 +1,159 @@
+/**
+ * User Session Controller
+ * @module controllers/users/userSessionController
+ *
+ * A session is the set of OAuth tokens a user holds for one client. Users manage their own
+ * sessions through /api/users/me/sessions; administrators manage the sessions of any user
+ * through /api/users/{id}/sessions.
+ */
+
+const oauthTokenService = require('../../services/oauthTokenService');
+const userService = require('../../services/userService');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the ID of the logged in user as stored on tokens
+ * @param {Object} req - Express request object
+ * @returns {string|null} - The user ID
+ */
+const getLoggedUserId = req => {
+  const id = req.loggedUser?._id || req.loggedUser?.id;
+  return id ? String(id) : null;
+};
+
+/**
+ * Send the response for requests without a logged in user
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response
+ */
+const sendUserNotFound = res =>
+  res.status(404).json({
+    status: 'error',
+    message: 'User not found',
+    data: {},
+  });
+
+/**
+ * Send the response for unexpected errors
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response
+ */
+const sendServerError = res =>
+  res.status(500).json({
+    status: 'error',
+    message: 'Internal server error',
+    data: {},
+  });
+
+/**
+ * List the sessions of the logged in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response
+ */
+const getMySessions = async (req, res) => {
+  try {
+    const userId = getLoggedUserId(req);
+    if (!userId) {
+      return sendUserNotFound(res);
+    }
+
+    const sessions = await oauthTokenService.getUserSessions(userId);
+    return res.status(200).json({
+      status: 'success',
+      message: 'Sessions retrieved successfully',
+      data: sessions,
+    });
+  } catch (error) {
+    logger.error('Error in getMySessions controller:', error);
+    return sendServerError(res);
+  }
+};
+
+/**
+ * Revoke the sessions of the logged in user, for one client when `:clientId` is given
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response
+ */
+const revokeMySessions = async (req, res) => {
+  try {
+    const userId = getLoggedUserId(req);
+    if (!userId) {
+      return sendUserNotFound(res);
+    }
+
+    const revoked = await oauthTokenService.revokeUserSessions(userId, req.params.clientId);
+    return res.status(200).json({
+      status: 'success',
+      message: req.params.clientId
+        ? 'Session revoked successfully'
+        : 'Sessions revoked successfully',
+      data: { revoked },
+    });
+  } catch (error) {
+    logger.error('Error in revokeMySessions controller:', error);
+    return sendServerError(res);
+  }
+};
+
+/**
+ * List the sessions of a user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await userService.getUserById(id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    const sessions = await oauthTokenService.getUserSessions(String(user._id));
+    return res.status(200).json({
+      status: 'success',
+      message: 'Sessions retrieved successfully',
+      data: sessions,
+    });
+  } catch (error) {
+    logger.error(`Error in getUserSessions controller for ID ${req.params.id}:`, error);
+    return sendServerError(res);
+  }
+};
+
+/**
+ * Revoke the sessions of a user, for one client when `:clientId` is given
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response
+ */
+const revokeUserSessions = async (req, res) => {
+  try {
+    const { id, clientId } = req.params;
+
+    const user = await userService.getUserById(id);
+    if (!user) {
+      return sendUserNotFound(res);
+    }
+
+    const revoked = await oauthTokenService.revokeUserSessions(String(user._id), clientId);
+    return res.status(200).json({
+      status: 'success',
+      message: clientId ? 'Session revoked successfully' : 'Sessions revoked successfully',
+      data: { revoked },
+    });
+  } catch (error) {
+    logger.error(`Error in revokeUserSessions controller for ID ${req.params.id}:`, error);
+    return sendServerError(res);
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySessions,
+  getUserSessions,
+  revokeUserSessions,
+};
@@ -3,8 +3,9 @@ const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const { initializeDb } = require('./repository/baseRepository');
 const { initializeRedis } = require('./services/redisService');
-const { startJobProcessor } = require('./services/jobProcessorService');
+const { createJobWorker } = require('./services/jobWorkerService');
 const { initializeOAuthClients } = require('./services/oauthClientService');
+const { startSessionExpiryWatcher } = require('./services/assessmentSessionService');
 // Import models to ensure they are registered with Mongoose
 require('./models/userModel');
 require('./models/candidateSchema');
@@ -21,9 +22,18 @@ const {
   logicTagRoutes,
   logicQuestionRoutes,
   oauthRoutes,
+  oauthClientRoutes,
   userRoutes,
+  assessmentSessionRoutes,
+  assessmentTemplateRoutes,
+  jobRoutes,
+  applicationRoutes,
+  adaptiveSessionRoutes,
+  accountRoutes,
 } = require('./routes');
 const { swaggerDocs } = require('./config/swagger');
+const { PERMISSIONS } = require('./config/roleConfig');
+const { requirePermission } = require('./middlewares/permissionMiddleware');
 const { ensureDirectoriesExist } = require('./utils/ensureDirectories');
 const logger = require('./utils/logger');
 
@@ -50,7 +60,7 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
 const DB_NAME = process.env.DB_NAME || 'hirebot_db';
 const REDIS_HOST = process.env.REDIS_HOST || 'localhost';
 const REDIS_PORT = process.env.REDIS_PORT || 6379;
-const JOB_POLLING_INTERVAL = process.env.JOB_POLLING_INTERVAL || 5000;
+const SESSION_EXPIRY_CHECK_INTERVAL = process.env.SESSION_EXPIRY_CHECK_INTERVAL || 60000;
 
 // Middleware
 app.use(express.json());
@@ -75,6 +85,9 @@ app.use('/api/oauth', oauthRoutes);
 const publicUserRoutes = require('./routes/users/publicUserRoutes');
 app.use('/api/register', publicUserRoutes);
 
+// Public email verification and password reset routes
+app.use('/api/account', accountRoutes);
+
 // Protected routes (authentication required)
 // Apply the authentication middleware to all protected routes
 const authMethod =
@@ -93,6 +106,17 @@ app.use('/api/instruments', authMethod(), instrumentRoutes);
 app.use('/api/logic-tags', authMethod(), logicTagRoutes);
 app.use('/api/logic-questions', authMethod(), logicQuestionRoutes);
 app.use('/api/users', authMethod(), userRoutes);
+app.use('/api/assessment-sessions', authMethod(), assessmentSessionRoutes);
+app.use('/api/assessment-templates', authMethod(), assessmentTemplateRoutes);
+app.use('/api/jobs', authMethod(), jobRoutes);
+app.use('/api/applications', authMethod(), applicationRoutes);
+app.use('/api/adaptive-sessions', authMethod(), adaptiveSessionRoutes);
+app.use(
+  '/api/oauth/clients',
+  authMethod(),
+  requirePermission(PERMISSIONS.OAUTH_CLIENTS_MANAGE),
+  oauthClientRoutes
+);
 
 // Initialize application
 async function initializeApp() {
@@ -117,13 +141,18 @@ async function initializeApp() {
     await initializeOAuthClients();
     logger.info('OAuth clients initialized');
 
-    // Start the job processor
-    startJobProcessor({
-      pollingInterval: parseInt(JOB_POLLING_INTERVAL),
-    }).catch(err => {
-      logger.error('Error starting job processor:', err);
+    // Process jobs in the API process unless they run in separate worker processes
+    let jobWorker = null;
+    if (process.env.JOB_WORKER_IN_API !== 'false') {
+      jobWorker = createJobWorker();
+      await jobWorker.start();
+    }
+
+    // Close assessment sessions whose deadline has passed
+    startSessionExpiryWatcher({
+      interval: parseInt(SESSION_EXPIRY_CHECK_INTERVAL),
     });
-    logger.info('Job processor started');
+    logger.info('Assessment session expiry watcher started');
 
     // Initialize Swagger documentation
     swaggerDocs(app);
@@ -136,6 +165,9 @@ async function initializeApp() {
     // Handle a graceful shutdown
     process.on('SIGTERM', async () => {
       logger.info('SIGTERM received, shutting down gracefully');
+      if (jobWorker) {
+        await jobWorker.stop();
+      }
       await mongoose.disconnect();
       server.close(() => {
         logger.info('Server closed');
@@ -40,6 +40,11 @@ const getUserFromToken = async accessToken => {
       return null;
     }
 
+    // Service accounts have no user record; the token carries their identity
+    if (token.user.isServiceAccount) {
+      return token.user;
+    }
+
     const userId = token.user._id || token.user.id;
     if (!userId) {
       return null;
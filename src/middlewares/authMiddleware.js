@@ -3,7 +3,7 @@
  * @module middlewares/authMiddleware
  */
 
-const { getAccessToken } = require('../services/oauthTokenService');
+const { getAccessToken, recordAccessTokenUse } = require('../services/oauthTokenService');
 const logger = require('../utils/logger');
 
 /**
@@ -59,10 +59,14 @@ const verifyAccessToken = async (req, res, next) => {
       });
     }
 
+    await recordAccessTokenUse(accessToken);
+
     // Add user and client info to request object
     req.user = token.user;
     req.client = token.client;
     req.scope = token.scope;
+    // Same shape as the OAuth server's authenticate, so requireScope works for both
+    res.locals.oauth = { token };
 
     // Continue to the next middleware or route handler
     next();
@@ -145,6 +149,8 @@ const optionalAuth = async (req, res, next) => {
       req.user = token.user;
       req.client = token.client;
       req.scope = token.scope;
+      // Same shape as the OAuth server's authenticate, so requireScope works for both
+      res.locals.oauth = { token };
     }
 
     // Continue to the next middleware or route handler
@@ -0,0 +1,168 @@
+/**
+ * Permission Middleware
+ * @module middlewares/permissionMiddleware
+ *
+ * Role-based access control for authenticated routes. These middlewares run after
+ * compatAuthenticate, which sets req.loggedUser.
+ */
+
+const userService = require('../services/userService');
+const { CANDIDATE_SCOPED_ROLES, hasPermission } = require('../config/roleConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Send a 401 response for requests without a logged-in user
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendUnauthorized = res => {
+  return res.status(401).json({
+    status: 'error',
+    message: 'Unauthorized',
+  });
+};
+
+/**
+ * Send a 403 response
+ * @param {Object} res - Express response object
+ * @param {string} message - Reason the request is forbidden
+ * @returns {Object} Express response
+ */
+const sendForbidden = (res, message) => {
+  return res.status(403).json({
+    status: 'error',
+    message: 'Forbidden',
+    errors: [message],
+  });
+};
+
+/**
+ * Make sure req.loggedUser carries the user's role and candidate_id.
+ * Tokens only identify the user, so the role is read from the database the first
+ * time a request needs it; a role change therefore applies to existing tokens.
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Logged-in user with role, or null if there is none
+ */
+const resolveLoggedUser = async req => {
+  const loggedUser = req.loggedUser;
+  if (!loggedUser) {
+    return null;
+  }
+
+  if (loggedUser.role) {
+    return loggedUser;
+  }
+
+  const userId = loggedUser._id || loggedUser.id;
+  if (!userId) {
+    return null;
+  }
+
+  const user = await userService.getUserById(userId);
+  if (!user) {
+    return null;
+  }
+
+  req.loggedUser = user;
+  return user;
+};
+
+/**
+ * Check whether a user's candidate data access is limited to their own candidate_id
+ * @param {Object} user - Logged-in user
+ * @returns {boolean} True if the user may only access their own candidate data
+ */
+const isCandidateScoped = user => {
+  return CANDIDATE_SCOPED_ROLES.includes(user?.role);
+};
+
+/**
+ * Check whether a user may access data belonging to a candidate
+ * @param {Object} user - Logged-in user
+ * @param {string|Object|null} candidateId - Candidate the data belongs to
+ * @returns {boolean} True if access is allowed
+ */
+const canAccessCandidate = (user, candidateId) => {
+  if (!isCandidateScoped(user)) {
+    return true;
+  }
+
+  return !!user.candidate_id && !!candidateId && String(user.candidate_id) === String(candidateId);
+};
+
+/**
+ * Middleware that requires the logged-in user's role to grant every given permission
+ * @param {...string} permissions - Required permissions (see config/roleConfig PERMISSIONS)
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const user = await resolveLoggedUser(req);
+      if (!user) {
+        return sendUnauthorized(res);
+      }
+
+      const missing = permissions.filter(permission => !hasPermission(user.role, permission));
+      if (missing.length > 0) {
+        logger.warn(
+          `User ${user._id} (${user.role}) is missing permissions: ${missing.join(', ')}`
+        );
+        return sendForbidden(res, `Missing permission: ${missing.join(', ')}`);
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Error checking permissions:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Internal server error',
+      });
+    }
+  };
+};
+
+/**
+ * Middleware that limits candidate-scoped users to their own candidate data.
+ * Other roles pass through without the candidate ID being looked up.
+ * @param {Function} getCandidateId - Returns (or resolves to) the candidate ID the request
+ *   targets, or null when the request is not limited to a single candidate
+ * @returns {Function} Express middleware function
+ */
+const restrictToOwnCandidate = getCandidateId => {
+  return async (req, res, next) => {
+    try {
+      const user = await resolveLoggedUser(req);
+      if (!user) {
+        return sendUnauthorized(res);
+      }
+
+      if (!isCandidateScoped(user)) {
+        return next();
+      }
+
+      const candidateId = await getCandidateId(req);
+      if (!canAccessCandidate(user, candidateId)) {
+        logger.warn(`User ${user._id} attempted to access data of another candidate`);
+        return sendForbidden(res, 'You can only access your own candidate data');
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Error checking candidate ownership:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Internal server error',
+      });
+    }
+  };
+};
+
+module.exports = {
+  resolveLoggedUser,
+  isCandidateScoped,
+  canAccessCandidate,
+  requirePermission,
+  restrictToOwnCandidate,
+};
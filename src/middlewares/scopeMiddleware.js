@@ -0,0 +1,84 @@
+/**
+ * Scope Middleware
+ * @module middlewares/scopeMiddleware
+ *
+ * OAuth scope checks for authenticated routes. Scopes limit what a token may do on
+ * behalf of its user; they are checked in addition to the user's role permissions.
+ *
+ * Each resource router applies `requireScope({read, write})` to all of its routes, so tokens
+ * need the read scope for GET requests and the write scope otherwise. Routes that need
+ * another scope, such as the generation routes, require it themselves and are mounted
+ * before the router-level check.
+ */
+
+const { parseScope, hasScope } = require('../oauth/scopes');
+const logger = require('../utils/logger');
+
+/**
+ * HTTP methods that only read data
+ * @constant {Array<string>}
+ */
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the scope required for a request
+ * @param {string|Object} scope - A scope, or `{read, write}` scopes by request method
+ * @param {string} method - HTTP method of the request
+ * @returns {string} Required scope
+ */
+const getRequiredScope = (scope, method) => {
+  if (typeof scope === 'string') {
+    return scope;
+  }
+
+  return READ_METHODS.includes(method) ? scope.read : scope.write;
+};
+
+/**
+ * Send a 403 response for tokens without the required scope
+ * @param {Object} res - Express response object
+ * @param {string} scope - The missing scope
+ * @returns {Object} Express response
+ */
+const sendInsufficientScope = (res, scope) => {
+  res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+
+  return res.status(403).json({
+    status: 'error',
+    message: 'Forbidden',
+    errors: [`Missing scope: ${scope}`],
+  });
+};
+
+/**
+ * Require an OAuth scope on the access token of the request.
+ * Pass `{read, write}` to require the read scope for GET, HEAD and OPTIONS requests and
+ * the write scope otherwise. The `admin` scope satisfies every scope.
+ * Requests that were not authenticated with an access token are left to the
+ * authentication and permission middlewares.
+ * @param {string|Object} scope - Required scope, or `{read, write}` scopes
+ * @returns {Function} Express middleware function
+ */
+const requireScope = scope => {
+  return (req, res, next) => {
+    const token = res.locals.oauth?.token;
+    if (!token) {
+      next();
+      return;
+    }
+
+    const required = getRequiredScope(scope, req.method);
+    const granted = parseScope(token.scope) || [];
+
+    if (!hasScope(granted, required)) {
+      logger.debug(`Access token lacks scope ${required} for ${req.method} ${req.originalUrl}`);
+      return sendInsufficientScope(res, required);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requireScope,
+};
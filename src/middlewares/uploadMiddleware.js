@@ -0,0 +1,63 @@
+/**
+ * Upload Middleware
+ * @module middlewares/uploadMiddleware
+ *
+ * Reads multipart/form-data uploads. The text fields become req.body and the uploaded
+ * file req.file (`{ fieldName, fileName, contentType, content }`).
+ */
+
+const express = require('express');
+const { getMultipartBoundary, parseMultipartBody } = require('../utils/multipartParser');
+
+/**
+ * Default size limit of an upload
+ * @constant {string}
+ */
+const DEFAULT_UPLOAD_LIMIT = '5mb';
+
+/**
+ * Send a 400 response for an unusable upload
+ * @param {Object} res - Express response object
+ * @param {string} error - Reason the upload is rejected
+ * @returns {Object} Express response
+ */
+const sendUploadError = (res, error) => {
+  return res.status(400).json({
+    status: 'error',
+    message: 'Invalid upload.',
+    errors: [error],
+  });
+};
+
+/**
+ * Create middleware that reads a single file uploaded as multipart/form-data
+ * @param {string} fieldName - Form field holding the file
+ * @param {Object} [options={}] - Upload options
+ * @param {string} [options.limit='5mb'] - Maximum request body size
+ * @returns {Array<Function>} Express middlewares
+ */
+const uploadSingleFile = (fieldName, { limit = DEFAULT_UPLOAD_LIMIT } = {}) => {
+  return [
+    express.raw({ type: 'multipart/form-data', limit }),
+    (req, res, next) => {
+      const boundary = getMultipartBoundary(req.headers['content-type']);
+      if (!boundary || !Buffer.isBuffer(req.body)) {
+        return sendUploadError(res, 'Expected a multipart/form-data upload');
+      }
+
+      const { fields, files } = parseMultipartBody(req.body, boundary);
+      const file = files.find(upload => upload.fieldName === fieldName);
+      if (!file) {
+        return sendUploadError(res, `Missing file field: ${fieldName}`);
+      }
+
+      req.body = fields;
+      req.file = file;
+      return next();
+    },
+  ];
+};
+
+module.exports = {
+  uploadSingleFile,
+};
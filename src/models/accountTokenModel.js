@@ -0,0 +1,56 @@
+/**
+ * Account Token Model
+ * One-time tokens sent by email to verify an address or reset a password.
+ * Only the SHA-256 hash of a token is stored, so a database leak does not expose usable links.
+ * @module models/accountTokenModel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Purposes an account token can be issued for
+ * @constant {Object}
+ */
+const ACCOUNT_TOKEN_TYPES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+};
+
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(ACCOUNT_TOKEN_TYPES),
+      required: true,
+    },
+    token_hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Address the token was sent to; a verification token only verifies this address
+    email: {
+      type: String,
+      required: true,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true, collection: 'account_tokens' }
+);
+
+// Expired tokens are removed by MongoDB; used tokens are deleted when they are consumed
+accountTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+accountTokenSchema.index({ user_id: 1, type: 1 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
+module.exports.ACCOUNT_TOKEN_TYPES = ACCOUNT_TOKEN_TYPES;
@@ -0,0 +1,171 @@
+/**
+ * Adaptive Session Model
+ * @module models/adaptiveSessionModel
+ */
+
+const mongoose = require('mongoose');
+const { ObjectId } = mongoose.Schema.Types;
+
+/**
+ * Allowed adaptive session statuses
+ * @type {Array<string>}
+ */
+const ADAPTIVE_SESSION_STATUSES = ['in_progress', 'completed'];
+
+/**
+ * Schema for one question served in an adaptive session
+ * @type {mongoose.Schema}
+ */
+const adaptiveItemSchema = new mongoose.Schema(
+  {
+    question_id: {
+      type: ObjectId,
+      ref: 'Question',
+      required: true,
+    },
+    difficulty: {
+      type: String,
+    },
+    position_level: {
+      type: Number,
+    },
+    item_difficulty: {
+      type: Number,
+      required: true,
+    },
+    answer: {
+      type: Number,
+      default: null,
+    },
+    is_skip: {
+      type: Number,
+      default: 0,
+    },
+    is_correct: {
+      type: Boolean,
+      default: null,
+    },
+    served_at: {
+      type: Date,
+      default: Date.now,
+    },
+    answered_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Schema for adaptive session documents.
+ * Questions are served one at a time; after each answer the candidate's ability is
+ * re-estimated and the next question is picked to match it. The session stops once the
+ * estimate is precise enough or the item limit is reached.
+ * @type {mongoose.Schema}
+ */
+const adaptiveSessionSchema = new mongoose.Schema(
+  {
+    candidate_id: {
+      type: ObjectId,
+      ref: 'Candidate',
+      required: [true, 'Candidate ID is required'],
+    },
+    assigned_by: {
+      type: ObjectId,
+      ref: 'User',
+    },
+    topic_id: {
+      type: ObjectId,
+      ref: 'Topic',
+      default: null,
+    },
+    topic: {
+      type: String,
+      default: null,
+    },
+    language: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ADAPTIVE_SESSION_STATUSES,
+        message: `Status must be one of: ${ADAPTIVE_SESSION_STATUSES.join(', ')}`,
+      },
+      default: 'in_progress',
+    },
+    max_items: {
+      type: Number,
+      required: true,
+      min: [1, 'Maximum items must be at least 1'],
+    },
+    min_items: {
+      type: Number,
+      required: true,
+      min: [1, 'Minimum items must be at least 1'],
+    },
+    target_standard_error: {
+      type: Number,
+      required: true,
+      min: [0, 'Target standard error cannot be negative'],
+    },
+    start_level: {
+      type: Number,
+      required: true,
+    },
+    items: {
+      type: [adaptiveItemSchema],
+      default: [],
+    },
+    pending_question_id: {
+      type: ObjectId,
+      ref: 'Question',
+      default: null,
+    },
+    ability: {
+      type: Number,
+      default: null,
+    },
+    standard_error: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      position: { type: String, default: null },
+      position_level: { type: Number, default: null },
+      answered: { type: Number, default: 0 },
+      correct: { type: Number, default: 0 },
+      stop_reason: { type: String, default: null },
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: false,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: false },
+    id: false, // Disable the virtual id getter
+    collection: 'adaptive_sessions', // Set the collection name explicitly
+  }
+);
+
+adaptiveSessionSchema.index({ candidate_id: 1 });
+
+/**
+ * Adaptive Session model
+ * @type {mongoose.Model}
+ */
+const AdaptiveSession = mongoose.model('AdaptiveSession', adaptiveSessionSchema);
+
+module.exports = AdaptiveSession;
+module.exports.ADAPTIVE_SESSION_STATUSES = ADAPTIVE_SESSION_STATUSES;
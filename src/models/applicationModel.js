@@ -0,0 +1,77 @@
+/**
+ * Application Model
+ * @module models/applicationModel
+ */
+
+const mongoose = require('mongoose');
+const { PIPELINE_STAGES, INITIAL_STAGE } = require('../config/candidatePipelineConfig');
+const { ObjectId } = mongoose.Schema.Types;
+
+/**
+ * Schema for application documents.
+ * An application ties a candidate to a position they applied for. A candidate can
+ * apply for several positions; each application moves through the hiring pipeline
+ * on its own and can be given an assessment session and interviewers.
+ * @type {mongoose.Schema}
+ */
+const applicationSchema = new mongoose.Schema(
+  {
+    candidate_id: {
+      type: ObjectId,
+      ref: 'Candidate',
+      required: [true, 'Candidate ID is required'],
+    },
+    position_id: {
+      type: ObjectId,
+      ref: 'Position',
+      required: [true, 'Position ID is required'],
+    },
+    language_id: {
+      type: ObjectId,
+      ref: 'Language',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: PIPELINE_STAGES,
+        message: `Status must be one of: ${PIPELINE_STAGES.join(', ')}`,
+      },
+      default: INITIAL_STAGE,
+    },
+    assessment_session_id: {
+      type: ObjectId,
+      ref: 'AssessmentSession',
+      default: null,
+    },
+    interviewer_ids: {
+      type: [ObjectId],
+      ref: 'User',
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: false,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: false },
+    id: false, // Disable the virtual id getter
+    collection: 'applications', // Set the collection name explicitly
+  }
+);
+
+applicationSchema.index({ candidate_id: 1, position_id: 1 }, { unique: true });
+applicationSchema.index({ position_id: 1, status: 1 });
+
+/**
+ * Application model
+ * @type {mongoose.Model}
+ */
+const Application = mongoose.model('Application', applicationSchema);
+
+module.exports = Application;
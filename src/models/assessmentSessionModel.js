@@ -0,0 +1,133 @@
+/**
+ * Assessment Session Model
+ * @module models/assessmentSessionModel
+ */
+
+const mongoose = require('mongoose');
+const { ObjectId } = mongoose.Schema.Types;
+
+/**
+ * Allowed assessment session statuses
+ * @type {Array<string>}
+ */
+const SESSION_STATUSES = ['assigned', 'in_progress', 'completed', 'expired'];
+
+/**
+ * Schema for assessment session documents.
+ * A session is assigned to a candidate with a fixed set of items, started by the
+ * candidate (which fixes the deadline), filled in incrementally and finally turned
+ * into a document in the `submissions` collection.
+ * @type {mongoose.Schema}
+ */
+const assessmentSessionSchema = new mongoose.Schema(
+  {
+    candidate_id: {
+      type: ObjectId,
+      ref: 'Candidate',
+      required: [true, 'Candidate ID is required'],
+    },
+    assigned_by: {
+      type: ObjectId,
+      ref: 'User',
+    },
+    template_id: {
+      type: ObjectId,
+      ref: 'AssessmentTemplate',
+    },
+    application_id: {
+      type: ObjectId,
+      ref: 'Application',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: SESSION_STATUSES,
+        message: `Status must be one of: ${SESSION_STATUSES.join(', ')}`,
+      },
+      default: 'assigned',
+    },
+    time_limit_minutes: {
+      type: Number,
+      required: [true, 'Time limit is required'],
+      min: [1, 'Time limit must be at least 1 minute'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Time limit must be an integer',
+      },
+    },
+    question_ids: {
+      type: [ObjectId],
+      ref: 'Question',
+      default: [],
+    },
+    instrument_ids: {
+      type: [ObjectId],
+      ref: 'Instrument',
+      default: [],
+    },
+    logic_question_ids: {
+      type: [ObjectId],
+      ref: 'LogicQuestion',
+      default: [],
+    },
+    answers: {
+      type: [Object],
+      default: [],
+    },
+    instruments: {
+      type: [Object],
+      default: [],
+    },
+    logic_questions: {
+      type: [Object],
+      default: [],
+    },
+    essay: {
+      question: { type: String, default: null },
+      answer: { type: String, default: null },
+      is_skip: { type: Number, default: 0 },
+    },
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    deadline_at: {
+      type: Date,
+      default: null,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+    submission_id: {
+      type: ObjectId,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: false,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: false },
+    id: false, // Disable the virtual id getter
+    collection: 'assessment_sessions', // Set the collection name explicitly
+  }
+);
+
+assessmentSessionSchema.index({ status: 1, deadline_at: 1 });
+assessmentSessionSchema.index({ candidate_id: 1 });
+
+/**
+ * Assessment Session model
+ * @type {mongoose.Model}
+ */
+const AssessmentSession = mongoose.model('AssessmentSession', assessmentSessionSchema);
+
+module.exports = AssessmentSession;
+module.exports.SESSION_STATUSES = SESSION_STATUSES;
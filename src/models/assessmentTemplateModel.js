@@ -0,0 +1,206 @@
+/**
+ * Assessment Template Model
+ * @module models/assessmentTemplateModel
+ */
+
+const mongoose = require('mongoose');
+const { ObjectId } = mongoose.Schema.Types;
+
+/**
+ * Difficulty options for the question part of a template.
+ * 'mixed' spreads the questions evenly across easy, medium and hard.
+ * @type {Array<string>}
+ */
+const TEMPLATE_DIFFICULTIES = ['mixed', 'easy', 'medium', 'hard'];
+
+/**
+ * Validator for non-negative integer counts
+ * @type {Object}
+ */
+const countValidator = {
+  validator: Number.isInteger,
+  message: 'Count must be an integer',
+};
+
+/**
+ * Blueprint for the multiple-choice questions of an assessment
+ * @type {mongoose.Schema}
+ */
+const questionBlueprintSchema = new mongoose.Schema(
+  {
+    count: {
+      type: Number,
+      default: 0,
+      min: [0, 'Question count cannot be negative'],
+      validate: countValidator,
+    },
+    topic: {
+      type: String,
+      trim: true,
+    },
+    topic_id: {
+      type: ObjectId,
+      ref: 'Topic',
+    },
+    language: {
+      type: String,
+      trim: true,
+    },
+    language_id: {
+      type: ObjectId,
+      ref: 'Language',
+    },
+    position: {
+      type: String,
+      trim: true,
+    },
+    position_id: {
+      type: ObjectId,
+      ref: 'Position',
+    },
+    difficulty: {
+      type: String,
+      enum: {
+        values: TEMPLATE_DIFFICULTIES,
+        message: `Difficulty must be one of: ${TEMPLATE_DIFFICULTIES.join(', ')}`,
+      },
+      default: 'mixed',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Blueprint for the instruments of an assessment
+ * @type {mongoose.Schema}
+ */
+const instrumentBlueprintSchema = new mongoose.Schema(
+  {
+    count: {
+      type: Number,
+      default: 0,
+      min: [0, 'Instrument count cannot be negative'],
+      validate: countValidator,
+    },
+    instrument_tags: {
+      type: [ObjectId],
+      ref: 'InstrumentTag',
+      default: [],
+    },
+    type: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Blueprint for the logic questions of an assessment
+ * @type {mongoose.Schema}
+ */
+const logicQuestionBlueprintSchema = new mongoose.Schema(
+  {
+    count: {
+      type: Number,
+      default: 0,
+      min: [0, 'Logic question count cannot be negative'],
+      validate: countValidator,
+    },
+    min_level: {
+      type: Number,
+      min: [1, 'Level must be at least 1'],
+      max: [6, 'Level must be at most 6'],
+    },
+    max_level: {
+      type: Number,
+      min: [1, 'Level must be at least 1'],
+      max: [6, 'Level must be at most 6'],
+    },
+    tag_id: {
+      type: ObjectId,
+      ref: 'LogicTag',
+    },
+    type: {
+      type: String,
+      enum: {
+        values: ['multiple_choice', 'open_question'],
+        message: 'Type must be one of: multiple_choice, open_question',
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Schema for assessment template documents.
+ * A template describes how to pick the items of an assessment; the items themselves
+ * are chosen at random each time the template is used.
+ * @type {mongoose.Schema}
+ */
+const assessmentTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    questions: {
+      type: questionBlueprintSchema,
+      default: () => ({}),
+    },
+    instruments: {
+      type: instrumentBlueprintSchema,
+      default: () => ({}),
+    },
+    logic_questions: {
+      type: logicQuestionBlueprintSchema,
+      default: () => ({}),
+    },
+    essay_prompt: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    time_limit_minutes: {
+      type: Number,
+      min: [1, 'Time limit must be at least 1 minute'],
+      validate: {
+        validator: value => value === null || value === undefined || Number.isInteger(value),
+        message: 'Time limit must be an integer',
+      },
+    },
+    created_by: {
+      type: ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: false,
+      transform: (doc, ret) => {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: { virtuals: false },
+    id: false, // Disable the virtual id getter
+    collection: 'assessment_templates', // Set the collection name explicitly
+  }
+);
+
+/**
+ * Assessment template model
+ * @type {mongoose.Model}
+ */
+const AssessmentTemplate = mongoose.model('AssessmentTemplate', assessmentTemplateSchema);
+
+module.exports = AssessmentTemplate;
+module.exports.TEMPLATE_DIFFICULTIES = TEMPLATE_DIFFICULTIES;
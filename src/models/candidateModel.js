@@ -28,7 +28,8 @@
  * @property {string} [cv_url=''] - URL to the candidate's CV
  * @property {string} [portfolio_url=''] - URL to the candidate's portfolio
  * @property {string} [linkedin_url=''] - URL to the candidate's LinkedIn profile
- * @property {string} [status=''] - Current status of the candidate
+ * @property {string} [status='applied'] - Current pipeline stage (see config/candidatePipelineConfig)
+ * @property {Array<Object>} [status_history=[]] - Status changes, oldest first: from, to, note, changed_by, changed_at
  * @property {string} [createdAt=''] - Creation timestamp
  * @property {string} [updatedAt=''] - Last update timestamp
  */
@@ -59,7 +60,8 @@ const defaultValues = {
   cv_url: '',
   portfolio_url: '',
   linkedin_url: '',
-  status: '',
+  status: 'applied',
+  status_history: [],
   createdAt: '',
   updatedAt: '',
 };
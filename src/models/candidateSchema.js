@@ -5,6 +5,39 @@
 
 const mongoose = require('mongoose');
 const candidateModel = require('./candidateModel');
+const { PIPELINE_STAGES } = require('../config/candidatePipelineConfig');
+
+/**
+ * Schema for an entry of a candidate's status history
+ * @type {mongoose.Schema}
+ */
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+      enum: PIPELINE_STAGES,
+    },
+    note: {
+      type: String,
+      default: '',
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    changed_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 // Create a schema based on the existing candidate model definition
 const candidateSchema = new mongoose.Schema(
@@ -102,8 +135,13 @@ const candidateSchema = new mongoose.Schema(
     },
     status: {
       type: String,
+      enum: PIPELINE_STAGES,
       default: candidateModel.defaultValues.status,
     },
+    status_history: {
+      type: [statusChangeSchema],
+      default: candidateModel.defaultValues.status_history,
+    },
   },
   {
     timestamps: true,
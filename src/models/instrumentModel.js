@@ -56,6 +56,15 @@ const instrumentSchema = new mongoose.Schema(
         message: 'At least one tag is required',
       },
     },
+    reverseScored: {
+      type: Boolean,
+      default: false,
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: [0, 'Weight cannot be negative'],
+    },
   },
   {
     timestamps: true,
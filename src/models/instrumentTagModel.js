@@ -5,6 +5,29 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Schema for the norm bands of a tag. Normalized trait scores (0-100) below averageFrom
+ * are low, scores from highFrom on are high and scores in between are average.
+ * @type {mongoose.Schema}
+ */
+const normBandsSchema = new mongoose.Schema(
+  {
+    averageFrom: {
+      type: Number,
+      required: [true, 'Norm band averageFrom is required'],
+      min: 0,
+      max: 100,
+    },
+    highFrom: {
+      type: Number,
+      required: [true, 'Norm band highFrom is required'],
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Schema for instrument tag documents
  * @type {mongoose.Schema}
@@ -22,6 +45,10 @@ const instrumentTagSchema = new mongoose.Schema(
       required: [true, 'Tag description is required'],
       trim: true,
     },
+    normBands: {
+      type: normBandsSchema,
+      default: null,
+    },
   },
   {
     timestamps: true,
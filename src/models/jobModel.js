@@ -5,6 +5,42 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Job statuses. `retrying` jobs are waiting for their next attempt;
+ * `failed` jobs have used all attempts and were moved to the dead-letter list.
+ * @constant {Array<string>}
+ */
+const JOB_STATUSES = ['new', 'pending', 'processing', 'retrying', 'done', 'failed'];
+
+/**
+ * Schema for one processing attempt of a job
+ * @type {mongoose.Schema}
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    attempt: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'done', 'failed'],
+      default: 'processing',
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Job Schema
  * @type {mongoose.Schema}
@@ -21,9 +57,27 @@ const jobSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['new', 'pending', 'processing', 'done', 'failed'],
+      enum: JOB_STATUSES,
       default: 'new',
     },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      min: 1,
+    },
+    lastError: {
+      type: String,
+    },
+    nextRunAt: {
+      type: Date,
+    },
+    attemptHistory: {
+      type: [attemptSchema],
+      default: [],
+    },
   },
   {
     timestamps: {
@@ -40,3 +94,4 @@ const jobSchema = new mongoose.Schema(
 const Job = mongoose.model('Job', jobSchema);
 
 module.exports = Job;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -16,6 +16,8 @@ const OAuthAccessTokenSchema = new Schema(
     client: { type: Object, required: true }, // Client information
     user: { type: Object, required: true }, // User information
     scope: { type: String },
+    // Updated at most once per minute when the token authenticates a request
+    lastUsedAt: { type: Date },
     createdAt: { type: Date, default: Date.now },
   },
   {
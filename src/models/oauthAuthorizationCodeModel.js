@@ -17,6 +17,8 @@ const OAuthAuthorizationCodeSchema = new Schema(
     user: { type: Object, required: true }, // User information
     scope: { type: String },
     redirectUri: { type: String, required: true },
+    codeChallenge: { type: String }, // PKCE code challenge (S256)
+    codeChallengeMethod: { type: String, enum: ['S256'] },
     createdAt: { type: Date, default: Date.now },
   },
   {
@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { OAUTH_SCOPES } = require('../config/oauthConfig');
 const Schema = mongoose.Schema;
 
 /**
@@ -12,9 +13,18 @@ const Schema = mongoose.Schema;
 const OAuthClientSchema = new Schema(
   {
     clientId: { type: String, required: true, unique: true },
-    clientSecret: { type: String, required: true },
+    // Public clients (single-page and native apps) cannot keep a secret and must use PKCE
+    isPublic: { type: Boolean, default: false },
+    clientSecret: {
+      type: String,
+      required: function () {
+        return !this.isPublic;
+      },
+    },
     redirectUris: { type: [String], required: true },
     grants: { type: [String], required: true },
+    // Scopes the client may request; an empty list means the default scopes
+    scopes: { type: [{ type: String, enum: Object.values(OAUTH_SCOPES) }], default: [] },
     accessTokenLifetime: { type: Number },
     refreshTokenLifetime: { type: Number },
     createdAt: { type: Date, default: Date.now },
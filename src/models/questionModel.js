@@ -6,6 +6,14 @@
 const mongoose = require('mongoose');
 const { ObjectId } = mongoose.Schema.Types;
 
+/**
+ * Moderation states of a question. Only approved questions are served by search and
+ * picked for assessments; questions stored before the review workflow have no status
+ * and count as approved.
+ * @constant {Array<string>}
+ */
+const QUESTION_STATUSES = ['draft', 'pending_review', 'approved', 'rejected', 'retired'];
+
 /**
  * Schema for question documents
  * @type {mongoose.Schema}
@@ -96,6 +104,34 @@ const questionSchema = new mongoose.Schema(
         message: 'Position level must be an integer',
       },
     },
+    possible_duplicate_of: {
+      type: ObjectId,
+      ref: 'Question',
+    },
+    similarity_score: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: QUESTION_STATUSES,
+        message: `Status must be one of: ${QUESTION_STATUSES.join(', ')}`,
+      },
+      default: 'approved',
+    },
+    review_notes: {
+      type: String,
+      trim: true,
+    },
+    reviewed_by: {
+      type: ObjectId,
+      ref: 'User',
+    },
+    reviewed_at: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -111,3 +147,4 @@ const questionSchema = new mongoose.Schema(
 const Question = mongoose.model('Question', questionSchema);
 
 module.exports = Question;
+module.exports.QUESTION_STATUSES = QUESTION_STATUSES;
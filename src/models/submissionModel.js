@@ -29,9 +29,16 @@
  * @property {string} [essay.question=''] - Essay question
  * @property {string} [essay.answer=''] - Essay answer
  * @property {number} [essay.is_skip=0] - Whether the essay was skipped (0 or 1)
+ * @property {Object} [essay.grading] - Suggested and final score of the essay (see
+ *   service/submissionGradingService); open logic questions and open-ended instruments have
+ *   the same `grading` field
  * @property {Object} [review={}] - Review information
  * @property {string} [review.comment=''] - Review comment
  * @property {string} [review.status='submitted'] - Review status
+ * @property {string} [session_id] - ID of the assessment session that produced the submission
+ * @property {string} [application_id] - ID of the application (candidate and position) assessed
+ * @property {Object} [scores] - Server-computed score summary (see service/submissionScoringService)
+ * @property {Array<Object>} [grading_audit] - AI suggestions and reviewer decisions, oldest first
  */
 
 /**
@@ -95,6 +102,11 @@ const submissionModel = {
     min: 0,
     max: 4,
   },
+  scoring: {
+    answerPoint: 1,
+    logicQuestionPoint: 1,
+    essayPoint: 10,
+  },
 };
 
 module.exports = submissionModel;
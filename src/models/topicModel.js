@@ -0,0 +1,92 @@
+/**
+ * Topic Model
+ * @module models/topicModel
+ */
+
+const mongoose = require('mongoose');
+const formatSlug = require('../utils/formatSlug');
+
+/**
+ * Schema for topic documents
+ * @type {mongoose.Schema}
+ */
+const topicSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Topic title is required'],
+      trim: true,
+      unique: true,
+    },
+    slug: {
+      type: String,
+      required: [true, 'Topic slug is required'],
+      trim: true,
+      unique: true,
+      lowercase: true,
+    },
+    difficulty: {
+      type: Number,
+      required: [true, 'Topic difficulty is required'],
+      min: [1, 'Difficulty must be at least 1'],
+      max: [5, 'Difficulty must be at most 5'],
+    },
+    popularity: {
+      type: String,
+      required: [true, 'Topic popularity is required'],
+      enum: {
+        values: ['low', 'medium', 'high'],
+        message: 'Popularity must be one of: low, medium, high',
+      },
+    },
+    suitable_level: {
+      type: String,
+      required: [true, 'Suitable level is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      required: [true, 'Topic description is required'],
+      trim: true,
+    },
+    parent_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Topic',
+      default: null,
+    },
+    language_ids: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Language',
+      default: [],
+    },
+    position_ids: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'Position',
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+    collection: 'topics',
+  }
+);
+
+/**
+ * Pre-validate middleware to generate slug from title if not provided
+ */
+topicSchema.pre('validate', function (next) {
+  if (!this.slug && this.title) {
+    this.slug = formatSlug(this.title);
+  }
+  next();
+});
+
+/**
+ * Topic model
+ * @type {mongoose.Model}
+ */
+const Topic = mongoose.model('Topic', topicSchema);
+
+module.exports = Topic;
@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { USER_ROLES, DEFAULT_ROLE } = require('../config/roleConfig');
 
 const userSchema = new mongoose.Schema(
   {
@@ -31,6 +32,40 @@ const userSchema = new mongoose.Schema(
       ref: 'Candidate',
       default: null,
     },
+    role: {
+      type: String,
+      enum: {
+        values: USER_ROLES,
+        message: `Role must be one of: ${USER_ROLES.join(', ')}`,
+      },
+      default: DEFAULT_ROLE,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Failed password logins since the last successful one or lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Lockouts since the last successful login; each one doubles the lockout duration
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -43,6 +78,10 @@ userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
 
   try {
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+
     // Generate a salt and hash the password
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
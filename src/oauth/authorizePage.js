@@ -0,0 +1,132 @@
+/**
+ * HTML pages of the OAuth authorization endpoint
+ * @module oauth/authorizePage
+ */
+
+const { OAUTH_SCOPE_DESCRIPTIONS } = require('../config/oauthConfig');
+
+/**
+ * Characters that must be escaped in HTML text and attribute values
+ * @constant {Object}
+ */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped value
+ */
+const escapeHtml = value =>
+  String(value === undefined || value === null ? '' : value).replace(
+    /[&<>"']/g,
+    char => HTML_ESCAPES[char]
+  );
+
+/**
+ * Wrap page content in the shared layout
+ * @param {string} title - Page title (escaped by the caller)
+ * @param {string} content - Page body HTML
+ * @returns {string} The HTML document
+ */
+const layout = (title, content) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${title}</title>
+    <style>
+      body { font-family: Arial, sans-serif; margin: 20px; }
+      .container { max-width: 600px; margin: 0 auto; }
+      .error { color: #b71c1c; }
+      label { display: block; margin-top: 10px; }
+      input[type='text'], input[type='password'] { width: 100%; padding: 8px; box-sizing: border-box; }
+      .actions { margin-top: 20px; }
+      .btn { padding: 10px 15px; margin-right: 10px; cursor: pointer; border: none; color: white; }
+      .btn-approve { background-color: #4caf50; }
+      .btn-deny { background-color: #f44336; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+${content}
+    </div>
+  </body>
+</html>
+`;
+
+/**
+ * Render the login and consent page of an authorization request
+ * @param {Object} options - Page options
+ * @param {Object} options.client - The validated OAuth client
+ * @param {string} options.redirectUri - The validated redirect URI
+ * @param {Array<string>} options.scopes - The scopes that will be granted
+ * @param {Object} options.params - Authorization request parameters to carry in the form
+ * @param {string} options.csrfToken - CSRF token matching the cookie set with the page
+ * @param {string} [options.username] - Username to prefill after a failed login
+ * @param {string} [options.error] - Error message to show above the form
+ * @returns {string} The HTML document
+ */
+const renderConsentPage = ({ client, redirectUri, scopes, params, csrfToken, username, error }) => {
+  const scopeItems = scopes
+    .map(
+      scope =>
+        `<li>${escapeHtml(OAUTH_SCOPE_DESCRIPTIONS[scope] || scope)} <code>${escapeHtml(scope)}</code></li>`
+    )
+    .join('\n          ');
+
+  const hiddenFields = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}" />`
+    )
+    .join('\n        ');
+
+  return layout(
+    'Authorize Application',
+    `      <h1>Authorize Application</h1>
+      <p><strong>${escapeHtml(client.id)}</strong> is requesting access to your account.</p>
+      <p>It will be able to:</p>
+      <ul>
+          ${scopeItems}
+      </ul>
+      <p>After you decide you will be sent to ${escapeHtml(redirectUri)}</p>
+      ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+      <form method="post" action="/api/oauth/authorize">
+        ${hiddenFields}
+        <input type="hidden" name="csrf_token" value="${escapeHtml(csrfToken)}" />
+        <label for="username">Username or email</label>
+        <input type="text" id="username" name="username" value="${escapeHtml(username)}" autocomplete="username" />
+        <label for="password">Password</label>
+        <input type="password" id="password" name="password" autocomplete="current-password" />
+        <div class="actions">
+          <button type="submit" name="approved" value="true" class="btn btn-approve">Approve</button>
+          <button type="submit" name="approved" value="false" class="btn btn-deny">Deny</button>
+        </div>
+      </form>`
+  );
+};
+
+/**
+ * Render an error page for authorization requests that cannot be redirected to the client
+ * @param {string} message - Error message
+ * @returns {string} The HTML document
+ */
+const renderErrorPage = message =>
+  layout(
+    'Authorization Error',
+    `      <h1>Authorization Error</h1>
+      <p class="error">${escapeHtml(message)}</p>`
+  );
+
+module.exports = {
+  escapeHtml,
+  renderConsentPage,
+  renderErrorPage,
+};
@@ -4,6 +4,7 @@
  */
 
 const oauthClientService = require('../../services/oauthClientService');
+const { isServiceAccount, createServiceIdentity } = require('../serviceAccounts');
 const logger = require('../../utils/logger');
 
 /**
@@ -27,6 +28,21 @@ const getClient = async (clientId, clientSecret) => {
   }
 };
 
+/**
+ * Get the identity a client acts as with the client_credentials grant
+ * @param {Object} client - The authenticated client
+ * @returns {Promise<Object|false>} - The service identity, or false if the client is not a service account
+ */
+const getUserFromClient = async client => {
+  if (!isServiceAccount(client)) {
+    logger.debug(`OAuth client is not a service account: ${client.id}`);
+    return false;
+  }
+
+  return createServiceIdentity(client);
+};
+
 module.exports = {
   getClient,
+  getUserFromClient,
 };
@@ -3,7 +3,7 @@
  * @module oauth/models
  */
 
-const { getClient } = require('./clientModel');
+const { getClient, getUserFromClient } = require('./clientModel');
 const { getUser } = require('./userModel');
 const { getAccessToken, getRefreshToken, revokeToken, saveToken } = require('./tokenModel');
 const {
@@ -11,6 +11,7 @@ const {
   saveAuthorizationCode,
   revokeAuthorizationCode,
 } = require('./authCodeModel');
+const { validateScope } = require('./scopeModel');
 
 /**
  * OAuth model object that combines all model functions
@@ -19,6 +20,7 @@ const {
 const oauthModel = {
   // Client functions
   getClient,
+  getUserFromClient,
 
   // User functions
   getUser,
@@ -34,11 +36,8 @@ const oauthModel = {
   saveAuthorizationCode,
   revokeAuthorizationCode,
 
-  // Optional functions for additional grant types
-  // These can be implemented as needed
-
-  // validateScope: function(user, client, scope) {},
-  // verifyScope: function(token, scope) {},
+  // Scope functions; scopes are checked per route by the requireScope middleware
+  validateScope,
 };
 
 module.exports = oauthModel;
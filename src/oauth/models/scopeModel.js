@@ -0,0 +1,35 @@
+/**
+ * OAuth Scope Model Functions
+ * @module oauth/models/scopeModel
+ */
+
+const { parseScope, getClientScopes, narrowScopes } = require('../scopes');
+const logger = require('../../utils/logger');
+
+/**
+ * Narrow the requested scope to the scopes the client may request.
+ * Called by the OAuth server before a token is issued; the result is stored with the
+ * token and returned by the token endpoint.
+ * @param {Object} user - The user object
+ * @param {Object} client - The client object
+ * @param {string} [scope] - The requested scope, space-delimited
+ * @returns {Promise<string|false>} - The granted scope, or false if none can be granted
+ */
+const validateScope = async (user, client, scope) => {
+  const requested = parseScope(scope);
+  if (!requested) {
+    return false;
+  }
+
+  const granted = narrowScopes(requested, getClientScopes(client));
+  if (granted.length === 0) {
+    logger.debug(`No requested scope is allowed for OAuth client ${client.id}: ${scope}`);
+    return false;
+  }
+
+  return granted.join(' ');
+};
+
+module.exports = {
+  validateScope,
+};
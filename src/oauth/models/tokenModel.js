@@ -7,13 +7,19 @@ const oauthTokenService = require('../../services/oauthTokenService');
 const logger = require('../../utils/logger');
 
 /**
- * Get an access token
+ * Get an access token to authenticate a request; records the use of valid tokens
  * @param {string} accessToken - The access token to find
  * @returns {Promise<Object|null>} - The found token or null
  */
 const getAccessToken = async accessToken => {
   try {
-    return await oauthTokenService.getAccessToken(accessToken);
+    const token = await oauthTokenService.getAccessToken(accessToken);
+
+    if (token && token.accessTokenExpiresAt >= new Date()) {
+      await oauthTokenService.recordAccessTokenUse(accessToken);
+    }
+
+    return token;
   } catch (error) {
     logger.error('Error in getAccessToken OAuth model function:', error);
     throw error;
@@ -0,0 +1,58 @@
+/**
+ * PKCE (Proof Key for Code Exchange) helpers
+ * @module oauth/pkce
+ * @see https://datatracker.ietf.org/doc/html/rfc7636
+ */
+
+const crypto = require('crypto');
+
+/**
+ * The only supported code challenge method; `plain` is rejected
+ * @constant {string}
+ */
+const PKCE_METHOD = 'S256';
+
+/**
+ * Code verifiers and challenges use unreserved URI characters, 43 to 128 of them
+ * @constant {RegExp}
+ */
+const PKCE_VALUE_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+/**
+ * Check that a code verifier or code challenge is well formed
+ * @param {string} value - The code verifier or challenge
+ * @returns {boolean} True if the value is well formed
+ */
+const isValidPkceValue = value => typeof value === 'string' && PKCE_VALUE_PATTERN.test(value);
+
+/**
+ * Derive the S256 code challenge of a code verifier
+ * @param {string} codeVerifier - The code verifier
+ * @returns {string} Base64url-encoded SHA-256 digest of the verifier
+ */
+const createCodeChallenge = codeVerifier =>
+  crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+/**
+ * Check a code verifier against the code challenge stored with an authorization code
+ * @param {string} codeVerifier - The code verifier sent to the token endpoint
+ * @param {string} codeChallenge - The code challenge sent to the authorization endpoint
+ * @returns {boolean} True if the verifier matches the challenge
+ */
+const verifyCodeChallenge = (codeVerifier, codeChallenge) => {
+  if (!isValidPkceValue(codeVerifier) || typeof codeChallenge !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(createCodeChallenge(codeVerifier));
+  const actual = Buffer.from(codeChallenge);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  PKCE_METHOD,
+  isValidPkceValue,
+  createCodeChallenge,
+  verifyCodeChallenge,
+};
@@ -0,0 +1,77 @@
+/**
+ * OAuth scope helpers
+ * @module oauth/scopes
+ */
+
+const { OAUTH_SCOPES, DEFAULT_CLIENT_SCOPES } = require('../config/oauthConfig');
+
+/**
+ * Scope tokens are printable ASCII without spaces, quotes or backslashes (RFC 6749 section 3.3)
+ * @constant {RegExp}
+ */
+const SCOPE_TOKEN_PATTERN = /^[\x21\x23-\x5B\x5D-\x7E]+$/;
+
+/**
+ * Split a space-delimited scope string into unique scope tokens
+ * @param {string} [scope] - The scope string
+ * @returns {Array<string>|null} Scope tokens, or null if the string is malformed
+ */
+const parseScope = scope => {
+  if (scope === undefined || scope === null || scope === '') {
+    return [];
+  }
+
+  if (typeof scope !== 'string') {
+    return null;
+  }
+
+  const scopes = [...new Set(scope.split(' ').filter(Boolean))];
+  return scopes.every(token => SCOPE_TOKEN_PATTERN.test(token)) ? scopes : null;
+};
+
+/**
+ * List the values that are not in the scope catalogue
+ * @param {Array<string>} scopes - Scopes to check
+ * @returns {Array<string>} Unknown scopes
+ */
+const findUnknownScopes = scopes => {
+  const known = Object.values(OAUTH_SCOPES);
+  return scopes.filter(scope => !known.includes(scope));
+};
+
+/**
+ * Get the scopes a client may request; clients without a list get the default scopes
+ * @param {Object} client - The OAuth client
+ * @returns {Array<string>} Allowed scopes
+ */
+const getClientScopes = client =>
+  client && Array.isArray(client.scopes) && client.scopes.length > 0
+    ? client.scopes
+    : DEFAULT_CLIENT_SCOPES;
+
+/**
+ * Narrow requested scopes to those the client may request.
+ * A request without scopes gets every scope the client may request.
+ * @param {Array<string>} requested - Requested scopes
+ * @param {Array<string>} allowed - Scopes the client may request
+ * @returns {Array<string>} Granted scopes, empty if none of the requested scopes is allowed
+ */
+const narrowScopes = (requested, allowed) =>
+  requested.length > 0 ? requested.filter(scope => allowed.includes(scope)) : [...allowed];
+
+/**
+ * Check whether granted scopes satisfy a required scope; `admin` satisfies every scope
+ * @param {Array<string>} granted - Scopes of the token
+ * @param {string} required - Required scope
+ * @returns {boolean} True if the scope is granted
+ */
+const hasScope = (granted, required) =>
+  granted.includes(required) || granted.includes(OAUTH_SCOPES.ADMIN);
+
+module.exports = {
+  parseScope,
+  findUnknownScopes,
+  getClientScopes,
+  narrowScopes,
+  hasScope,
+};
@@ -34,6 +34,45 @@ const initializeOAuthServer = () => {
   }
 };
 
+/**
+ * Create the middleware that issues an authorization code once the user has approved the request.
+ * Expects `req.user` and `req.oauthAuthorization` (the PKCE challenge, if any) to be set.
+ * @param {OAuthServer} oauthServer - The OAuth server instance
+ * @returns {Function} Express middleware
+ */
+const createAuthorizeHandler = oauthServer => (req, res, next) =>
+  oauthServer.authorize({
+    authenticateHandler: {
+      handle: request => request.user,
+    },
+    // The model has no access to the request, so the PKCE challenge is added here
+    model: {
+      ...oauthModel,
+      saveAuthorizationCode: (code, client, user) =>
+        oauthModel.saveAuthorizationCode({ ...code, ...req.oauthAuthorization }, client, user),
+    },
+  })(req, res, next);
+
+/**
+ * Create the token endpoint middleware.
+ * Public clients exchange authorization codes without a secret once `req.oauthPublicClient`
+ * has been set by the PKCE check; every other request needs the configured client authentication.
+ * @param {OAuthServer} oauthServer - The OAuth server instance
+ * @returns {Function} Express middleware
+ */
+const createTokenHandler = oauthServer => {
+  const { requireClientAuthentication } = getOAuthConfig();
+  const confidentialClientHandler = oauthServer.token();
+  const publicClientHandler = oauthServer.token({
+    requireClientAuthentication: { ...requireClientAuthentication, authorization_code: false },
+  });
+
+  return (req, res, next) =>
+    (req.oauthPublicClient ? publicClientHandler : confidentialClientHandler)(req, res, next);
+};
+
 module.exports = {
   initializeOAuthServer,
+  createAuthorizeHandler,
+  createTokenHandler,
 };
@@ -0,0 +1,44 @@
+/**
+ * OAuth service account helpers
+ * Service accounts are OAuth clients that use the client_credentials grant. Their tokens
+ * are not tied to a user but to a service identity built from the client.
+ * @module oauth/serviceAccounts
+ */
+
+const { SERVICE_ACCOUNT_ROLE } = require('../config/roleConfig');
+
+/**
+ * Grant type used by service accounts
+ * @constant {string}
+ */
+const SERVICE_ACCOUNT_GRANT = 'client_credentials';
+
+/**
+ * Check whether a client is a service account
+ * @param {Object} client - The OAuth client
+ * @returns {boolean} True if the client may use the client_credentials grant
+ */
+const isServiceAccount = client =>
+  Boolean(client) && (client.grants || []).includes(SERVICE_ACCOUNT_GRANT);
+
+/**
+ * Build the identity a service account acts as.
+ * The identity takes the place of the user on tokens and in `req.loggedUser`; its `_id` is
+ * the client's database ID, so records created by the service (`created_by`, audit entries)
+ * point to the service account.
+ * @param {Object} client - The OAuth client, with its database `_id`
+ * @returns {Object} Service identity
+ */
+const createServiceIdentity = client => ({
+  _id: client._id,
+  username: `service:${client.id}`,
+  role: SERVICE_ACCOUNT_ROLE,
+  client_id: client.id,
+  isServiceAccount: true,
+});
+
+module.exports = {
+  SERVICE_ACCOUNT_GRANT,
+  isServiceAccount,
+  createServiceIdentity,
+};
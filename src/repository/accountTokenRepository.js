@@ -0,0 +1,66 @@
+/**
+ * Account Token Repository
+ * @module repository/accountTokenRepository
+ */
+
+const AccountToken = require('../models/accountTokenModel');
+const logger = require('../utils/logger');
+
+/**
+ * Save an account token
+ * @param {Object} tokenData - `user_id`, `type`, `token_hash`, `email` and `expires_at`
+ * @returns {Promise<Object>} - The saved token
+ */
+const createToken = async tokenData => {
+  try {
+    const token = await AccountToken.create(tokenData);
+    return token.toObject();
+  } catch (error) {
+    logger.error('Error saving account token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an unexpired token and return it, so each token can only be used once
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {string} type - Token type
+ * @returns {Promise<Object|null>} - The token, or null if it is unknown, used or expired
+ */
+const consumeToken = async (tokenHash, type) => {
+  try {
+    return await AccountToken.findOneAndDelete({
+      token_hash: tokenHash,
+      type,
+      expires_at: { $gt: new Date() },
+    })
+      .lean()
+      .exec();
+  } catch (error) {
+    logger.error('Error consuming account token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the tokens of a user
+ * @param {string} userId - The user ID
+ * @param {string} [type] - Only delete tokens of this type
+ * @returns {Promise<number>} - The number of deleted tokens
+ */
+const deleteUserTokens = async (userId, type) => {
+  try {
+    const filter = type ? { user_id: userId, type } : { user_id: userId };
+    const result = await AccountToken.deleteMany(filter);
+    return result.deletedCount;
+  } catch (error) {
+    logger.error(`Error deleting account tokens of user ${userId}:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createToken,
+  consumeToken,
+  deleteUserTokens,
+};
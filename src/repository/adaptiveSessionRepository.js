@@ -0,0 +1,68 @@
+/**
+ * Adaptive Session Repository Module
+ * @module repository/adaptiveSessionRepository
+ */
+
+const AdaptiveSession = require('../models/adaptiveSessionModel');
+const logger = require('../utils/logger');
+
+/**
+ * Create a new adaptive session
+ * @async
+ * @param {Object} sessionData - Data for the new session
+ * @returns {Promise<Object>} Created session document
+ */
+async function createAdaptiveSession(sessionData) {
+  logger.info(`Creating adaptive session for candidate ${sessionData.candidate_id}`);
+  return await AdaptiveSession.create(sessionData);
+}
+
+/**
+ * Get adaptive session by ID
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} Session document or null if not found
+ */
+async function getAdaptiveSessionById(id) {
+  logger.info(`Retrieving adaptive session with ID: ${id}`);
+  return await AdaptiveSession.findById(id);
+}
+
+/**
+ * Get adaptive sessions matching a filter, newest first
+ * @async
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {Promise<Array<Object>>} Array of session documents
+ */
+async function getAdaptiveSessions(filter = {}) {
+  logger.info('Retrieving adaptive sessions');
+  return await AdaptiveSession.find(filter).sort({ createdAt: -1 });
+}
+
+/**
+ * Atomically update an in-progress session only while its pending question is unchanged.
+ * Used so that two concurrent requests cannot both serve or answer a question.
+ * @async
+ * @param {string} id - Session ID
+ * @param {string|null} pendingQuestionId - Question the session must be waiting on, or null
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated session document or null if the session did not match
+ */
+async function transitionAdaptiveSession(id, pendingQuestionId, updateData) {
+  logger.info(`Updating adaptive session ${id}`);
+  return await AdaptiveSession.findOneAndUpdate(
+    { _id: id, status: 'in_progress', pending_question_id: pendingQuestionId },
+    updateData,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+}
+
+module.exports = {
+  createAdaptiveSession,
+  getAdaptiveSessionById,
+  getAdaptiveSessions,
+  transitionAdaptiveSession,
+};
@@ -0,0 +1,89 @@
+/**
+ * Application Repository Module
+ * @module repository/applicationRepository
+ */
+
+const Application = require('../models/applicationModel');
+const logger = require('../utils/logger');
+
+/**
+ * Create a new application
+ * @async
+ * @param {Object} applicationData - Data for the new application
+ * @returns {Promise<Object>} Created application document
+ */
+async function createApplication(applicationData) {
+  logger.info(
+    `Creating application of candidate ${applicationData.candidate_id} ` +
+      `for position ${applicationData.position_id}`
+  );
+  return await Application.create(applicationData);
+}
+
+/**
+ * Get application by ID
+ * @async
+ * @param {string} id - Application ID
+ * @returns {Promise<Object|null>} Application document or null if not found
+ */
+async function getApplicationById(id) {
+  logger.info(`Retrieving application with ID: ${id}`);
+  return await Application.findById(id);
+}
+
+/**
+ * Get the application of a candidate for a position
+ * @async
+ * @param {string} candidateId - Candidate ID
+ * @param {string} positionId - Position ID
+ * @returns {Promise<Object|null>} Application document or null if the candidate has not applied
+ */
+async function getApplicationByCandidateAndPosition(candidateId, positionId) {
+  return await Application.findOne({ candidate_id: candidateId, position_id: positionId });
+}
+
+/**
+ * Get applications matching a filter, newest first
+ * @async
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {Promise<Array<Object>>} Array of application documents
+ */
+async function getApplications(filter = {}) {
+  logger.info('Retrieving applications');
+  return await Application.find(filter).sort({ createdAt: -1 });
+}
+
+/**
+ * Update application by ID
+ * @async
+ * @param {string} id - Application ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated application document or null if not found
+ */
+async function updateApplication(id, updateData) {
+  logger.info(`Updating application with ID: ${id}`);
+  return await Application.findByIdAndUpdate(id, updateData, {
+    new: true,
+    runValidators: true,
+  });
+}
+
+/**
+ * Delete application by ID
+ * @async
+ * @param {string} id - Application ID
+ * @returns {Promise<Object|null>} Deleted application document or null if not found
+ */
+async function deleteApplication(id) {
+  logger.info(`Deleting application with ID: ${id}`);
+  return await Application.findByIdAndDelete(id);
+}
+
+module.exports = {
+  createApplication,
+  getApplicationById,
+  getApplicationByCandidateAndPosition,
+  getApplications,
+  updateApplication,
+  deleteApplication,
+};
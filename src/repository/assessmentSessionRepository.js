@@ -0,0 +1,96 @@
+/**
+ * Assessment Session Repository Module
+ * @module repository/assessmentSessionRepository
+ */
+
+const AssessmentSession = require('../models/assessmentSessionModel');
+const logger = require('../utils/logger');
+
+/**
+ * Create a new assessment session
+ * @async
+ * @param {Object} sessionData - Data for the new session
+ * @returns {Promise<Object>} Created session document
+ */
+async function createAssessmentSession(sessionData) {
+  logger.info(`Creating assessment session for candidate ${sessionData.candidate_id}`);
+  return await AssessmentSession.create(sessionData);
+}
+
+/**
+ * Get assessment session by ID
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} Session document or null if not found
+ */
+async function getAssessmentSessionById(id) {
+  logger.info(`Retrieving assessment session with ID: ${id}`);
+  return await AssessmentSession.findById(id);
+}
+
+/**
+ * Get assessment sessions matching a filter, newest first
+ * @async
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {Promise<Array<Object>>} Array of session documents
+ */
+async function getAssessmentSessions(filter = {}) {
+  logger.info('Retrieving assessment sessions');
+  return await AssessmentSession.find(filter).sort({ createdAt: -1 });
+}
+
+/**
+ * Update assessment session by ID
+ * @async
+ * @param {string} id - Session ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated session document or null if not found
+ */
+async function updateAssessmentSession(id, updateData) {
+  logger.info(`Updating assessment session with ID: ${id}`);
+  return await AssessmentSession.findByIdAndUpdate(id, updateData, {
+    new: true,
+    runValidators: true,
+  });
+}
+
+/**
+ * Atomically update a session only while it is in the expected status.
+ * Used to make status transitions safe against concurrent requests.
+ * @async
+ * @param {string} id - Session ID
+ * @param {string} expectedStatus - Status the session must currently have
+ * @param {Object} updateData - Data to update
+ * @param {Object} [conditions={}] - Additional conditions the session must match
+ * @returns {Promise<Object|null>} Updated session document or null if the session did not match
+ */
+async function transitionAssessmentSession(id, expectedStatus, updateData, conditions = {}) {
+  logger.info(`Updating assessment session ${id} in status: ${expectedStatus}`);
+  return await AssessmentSession.findOneAndUpdate(
+    { ...conditions, _id: id, status: expectedStatus },
+    updateData,
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+}
+
+/**
+ * Get in-progress sessions whose deadline has passed
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Array<Object>>} Array of expired session documents
+ */
+async function getExpiredAssessmentSessions(now = new Date()) {
+  return await AssessmentSession.find({ status: 'in_progress', deadline_at: { $lt: now } });
+}
+
+module.exports = {
+  createAssessmentSession,
+  getAssessmentSessionById,
+  getAssessmentSessions,
+  updateAssessmentSession,
+  transitionAssessmentSession,
+  getExpiredAssessmentSessions,
+};
@@ -0,0 +1,73 @@
+/**
+ * Assessment Template Repository Module
+ * @module repository/assessmentTemplateRepository
+ */
+
+const AssessmentTemplate = require('../models/assessmentTemplateModel');
+const logger = require('../utils/logger');
+
+/**
+ * Create a new assessment template
+ * @async
+ * @param {Object} templateData - Data for the new template
+ * @returns {Promise<Object>} Created template document
+ */
+async function createAssessmentTemplate(templateData) {
+  logger.info('Creating new assessment template');
+  return await AssessmentTemplate.create(templateData);
+}
+
+/**
+ * Get all assessment templates
+ * @async
+ * @returns {Promise<Array<Object>>} Array of template documents
+ */
+async function getAllAssessmentTemplates() {
+  logger.info('Retrieving all assessment templates');
+  return await AssessmentTemplate.find().sort({ name: 1 });
+}
+
+/**
+ * Get assessment template by ID
+ * @async
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} Template document or null if not found
+ */
+async function getAssessmentTemplateById(id) {
+  logger.info(`Retrieving assessment template with ID: ${id}`);
+  return await AssessmentTemplate.findById(id);
+}
+
+/**
+ * Update assessment template by ID
+ * @async
+ * @param {string} id - Template ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated template document or null if not found
+ */
+async function updateAssessmentTemplate(id, updateData) {
+  logger.info(`Updating assessment template with ID: ${id}`);
+  return await AssessmentTemplate.findByIdAndUpdate(id, updateData, {
+    new: true,
+    runValidators: true,
+  });
+}
+
+/**
+ * Delete assessment template by ID
+ * @async
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} Deleted template document or null if not found
+ */
+async function deleteAssessmentTemplate(id) {
+  logger.info(`Deleting assessment template with ID: ${id}`);
+  return await AssessmentTemplate.findByIdAndDelete(id);
+}
+
+module.exports = {
+  createAssessmentTemplate,
+  getAllAssessmentTemplates,
+  getAssessmentTemplateById,
+  updateAssessmentTemplate,
+  deleteAssessmentTemplate,
+};
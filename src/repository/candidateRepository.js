@@ -99,6 +99,29 @@ async function getCandidateById(id) {
   }
 }
 
+/**
+ * Get several candidates by ID
+ * @async
+ * @param {Array<string>} ids - Candidate IDs
+ * @returns {Promise<Array<Object>>} Candidates that exist, in no particular order
+ * @throws {Error} If retrieval fails
+ */
+async function getCandidatesByIds(ids) {
+  try {
+    const objectIds = ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+    if (objectIds.length === 0) {
+      return [];
+    }
+
+    return await baseRepository.findMany(candidateModel.collectionName, {
+      _id: { $in: objectIds },
+    });
+  } catch (error) {
+    logger.error('Error retrieving candidates by ID:', error);
+    throw error;
+  }
+}
+
 /**
  * Update a candidate in the database
  * @async
@@ -188,11 +211,88 @@ async function candidateExistsByEmail(email, excludeId = null) {
   }
 }
 
+/**
+ * Move a candidate to a new status and append the change to its status history.
+ * The update only applies while the candidate still has `currentStatus`, so two
+ * concurrent transitions cannot both succeed.
+ * @async
+ * @param {string} id - Candidate ID
+ * @param {string|null} currentStatus - Status the candidate must still have (null matches no status)
+ * @param {Object} change - Status history entry (from, to, note, changed_by, changed_at)
+ * @returns {Promise<Object|null>} Updated candidate, or null if it no longer has `currentStatus`
+ * @throws {Error} If the update fails
+ */
+async function updateCandidateStatus(id, currentStatus, change) {
+  try {
+    if (!ObjectId.isValid(id)) {
+      throw new Error('Invalid candidate ID');
+    }
+
+    const result = await baseRepository.updateOne(
+      candidateModel.collectionName,
+      { _id: new ObjectId(id), status: currentStatus },
+      {
+        $set: { status: change.to, updatedAt: change.changed_at.toISOString() },
+        $push: { status_history: change },
+      }
+    );
+
+    if (!result.acknowledged) {
+      throw new Error('Failed to update candidate status');
+    }
+
+    if (result.matchedCount === 0) {
+      return null;
+    }
+
+    return await getCandidateById(id);
+  } catch (error) {
+    logger.error(`Error updating status of candidate with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count candidates per interview level and status
+ * @async
+ * @param {Object} [filter={}] - Filter criteria for candidates
+ * @returns {Promise<Array<Object>>} Counts as `{ interview_level, status, count }`
+ * @throws {Error} If the aggregation fails
+ */
+async function countCandidatesByLevelAndStatus(filter = {}) {
+  try {
+    const collection = baseRepository.getCollection(candidateModel.collectionName);
+    const groups = await collection
+      .aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: { interview_level: '$interview_level', status: '$status' },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray();
+
+    return groups.map(group => ({
+      interview_level: group._id.interview_level,
+      status: group._id.status,
+      count: group.count,
+    }));
+  } catch (error) {
+    logger.error('Error counting candidates by level and status:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   insertCandidateToDB,
   getCandidateList,
   getCandidateById,
+  getCandidatesByIds,
   updateCandidateInDB,
   deleteCandidateById,
   candidateExistsByEmail,
+  updateCandidateStatus,
+  countCandidatesByLevelAndStatus,
 };
@@ -117,10 +117,130 @@ async function getJobsByTypeAndStatus(type, status) {
   }
 }
 
+/**
+ * Get jobs matching a filter, newest first
+ * @async
+ * @param {Object} [filter={}] - Filter criteria
+ * @param {Object} [options={}] - Query options
+ * @param {number} [options.skip=0] - Number of jobs to skip
+ * @param {number} [options.limit=0] - Maximum number of jobs to return (0 for all)
+ * @returns {Promise<Array<Object>>} Array of job documents
+ * @throws {Error} If retrieval fails
+ */
+async function getJobs(filter = {}, options = {}) {
+  try {
+    const { skip = 0, limit = 0 } = options;
+    return await Job.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit);
+  } catch (error) {
+    logger.error('Failed to get jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count jobs matching a filter
+ * @async
+ * @param {Object} [filter={}] - Filter criteria
+ * @returns {Promise<number>} Number of matching jobs
+ * @throws {Error} If counting fails
+ */
+async function countJobs(filter = {}) {
+  try {
+    return await Job.countDocuments(filter);
+  } catch (error) {
+    logger.error('Failed to count jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the start of a processing attempt: increments the attempt count,
+ * sets the status to processing and appends an entry to the attempt history
+ * @async
+ * @param {string} jobId - ID of the job
+ * @returns {Promise<Object|null>} Updated job document or null if not found
+ * @throws {Error} If the update fails
+ */
+async function startJobAttempt(jobId) {
+  try {
+    const job = await Job.findByIdAndUpdate(
+      jobId,
+      { $set: { status: 'processing' }, $inc: { attempts: 1 }, $unset: { nextRunAt: 1 } },
+      { new: true }
+    );
+
+    if (!job) {
+      logger.warn(`Job ${jobId} not found when starting an attempt`);
+      return null;
+    }
+
+    return await Job.findByIdAndUpdate(
+      jobId,
+      { $push: { attemptHistory: { attempt: job.attempts, startedAt: new Date() } } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Failed to start attempt for job ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record the result of a processing attempt
+ * @async
+ * @param {string} jobId - ID of the job
+ * @param {number} attempt - Attempt number returned by startJobAttempt
+ * @param {Object} result - Attempt result
+ * @param {string} result.status - New job status (done, retrying or failed)
+ * @param {string} [result.error] - Error message of a failed attempt
+ * @param {Date} [result.nextRunAt] - When a retrying job runs again
+ * @returns {Promise<Object|null>} Updated job document or null if not found
+ * @throws {Error} If the update fails
+ */
+async function finishJobAttempt(jobId, attempt, { status, error, nextRunAt }) {
+  try {
+    const update = {
+      status,
+      'attemptHistory.$.status': status === 'done' ? 'done' : 'failed',
+      'attemptHistory.$.finishedAt': new Date(),
+    };
+
+    if (error) {
+      update.lastError = error;
+      update['attemptHistory.$.error'] = error;
+    }
+
+    if (nextRunAt) {
+      update.nextRunAt = nextRunAt;
+    }
+
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, 'attemptHistory.attempt': attempt },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (job) {
+      logger.info(`Job ${jobId} attempt ${attempt} finished with status: ${status}`);
+    } else {
+      logger.warn(`Job ${jobId} attempt ${attempt} not found`);
+    }
+
+    return job;
+  } catch (updateError) {
+    logger.error(`Failed to finish attempt ${attempt} of job ${jobId}:`, updateError);
+    throw updateError;
+  }
+}
+
 module.exports = {
   createJob,
   getJobById,
   updateJobStatus,
   deleteJob,
   getJobsByTypeAndStatus,
+  getJobs,
+  countJobs,
+  startJobAttempt,
+  finishJobAttempt,
 };
@@ -5,6 +5,7 @@
 
 const OAuthClient = require('../models/oauthClientModel');
 const { getClientCredentials } = require('../config/oauthConfig');
+const { SERVICE_ACCOUNT_GRANT } = require('../oauth/serviceAccounts');
 const logger = require('../utils/logger');
 
 /**
@@ -24,14 +25,21 @@ const initializeOAuthClients = async () => {
         const newClient = new OAuthClient({
           clientId: client.id,
           clientSecret: client.secret,
+          isPublic: Boolean(client.isPublic),
           redirectUris: client.redirectUris || [],
           grants: client.grants || ['password', 'refresh_token'],
+          scopes: client.scopes || [],
           accessTokenLifetime: client.accessTokenLifetime,
           refreshTokenLifetime: client.refreshTokenLifetime,
         });
 
         await newClient.save();
         logger.info(`OAuth client created: ${client.id}`);
+      } else if (client.scopes && existingClient.scopes.length === 0) {
+        // Clients created before scopes existed get the configured scopes once
+        existingClient.scopes = client.scopes;
+        await existingClient.save();
+        logger.info(`OAuth client scopes initialized: ${client.id}`);
       } else {
         logger.debug(`OAuth client already exists: ${client.id}`);
       }
@@ -42,6 +50,29 @@ const initializeOAuthClients = async () => {
   }
 };
 
+/**
+ * Get all clients
+ * @param {Object} [filters] - Filters
+ * @param {boolean} [filters.serviceAccounts] - Only return service accounts (true) or only other clients (false)
+ * @returns {Promise<Array<Object>>} - The clients, sorted by client ID
+ */
+const getClients = async (filters = {}) => {
+  try {
+    const query = {};
+
+    if (filters.serviceAccounts === true) {
+      query.grants = SERVICE_ACCOUNT_GRANT;
+    } else if (filters.serviceAccounts === false) {
+      query.grants = { $ne: SERVICE_ACCOUNT_GRANT };
+    }
+
+    return await OAuthClient.find(query).sort({ clientId: 1 });
+  } catch (error) {
+    logger.error('Error getting OAuth clients:', error);
+    throw error;
+  }
+};
+
 /**
  * Get a client by client ID
  * @param {string} clientId - The client ID to find
@@ -80,9 +111,11 @@ const createClient = async clientData => {
   try {
     const client = new OAuthClient({
       clientId: clientData.clientId,
-      clientSecret: clientData.clientSecret,
+      clientSecret: clientData.isPublic ? undefined : clientData.clientSecret,
+      isPublic: Boolean(clientData.isPublic),
       redirectUris: clientData.redirectUris || [],
       grants: clientData.grants || ['password', 'refresh_token'],
+      scopes: clientData.scopes || [],
       accessTokenLifetime: clientData.accessTokenLifetime,
       refreshTokenLifetime: clientData.refreshTokenLifetime,
     });
@@ -131,6 +164,7 @@ const deleteClient = async clientId => {
 
 module.exports = {
   initializeOAuthClients,
+  getClients,
   getClientById,
   getClientByIdAndSecret,
   createClient,
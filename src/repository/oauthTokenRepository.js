@@ -36,7 +36,8 @@ const getAccessToken = async accessToken => {
     const token = await OAuthAccessToken.findOne({ accessToken });
 
     // If token exists and has a user with an _id, try to populate the candidate_id
-    if (token && token.user && token.user._id) {
+    // (service account tokens carry a service identity instead of a user)
+    if (token && token.user && token.user._id && !token.user.isServiceAccount) {
       // Get the User model
       const User = require('../models/userModel');
 
@@ -170,6 +171,106 @@ const revokeAuthorizationCode = async authorizationCode => {
   }
 };
 
+/**
+ * Revoke all access tokens, refresh tokens and authorization codes issued to a client
+ * @param {string} clientId - The client ID
+ * @returns {Promise<number>} - The number of revoked tokens and codes
+ */
+const revokeClientTokens = async clientId => {
+  try {
+    const filter = { 'client.id': clientId };
+    const results = await Promise.all([
+      OAuthAccessToken.deleteMany(filter),
+      OAuthRefreshToken.deleteMany(filter),
+      OAuthAuthorizationCode.deleteMany(filter),
+    ]);
+    return results.reduce((total, result) => total + result.deletedCount, 0);
+  } catch (error) {
+    logger.error('Error revoking client tokens from database:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the filter for the tokens of a user, optionally limited to one client
+ * @param {string} userId - The user ID
+ * @param {string} [clientId] - The client ID
+ * @returns {Object} - The filter
+ */
+const userTokensFilter = (userId, clientId) =>
+  clientId ? { 'user.id': userId, 'client.id': clientId } : { 'user.id': userId };
+
+/**
+ * Record that an access token was used, at most once per interval
+ * @param {string} accessToken - The access token
+ * @param {Date} usedAt - When the token was used
+ * @param {number} intervalMs - Minimum time between two updates
+ * @returns {Promise<void>}
+ */
+const touchAccessToken = async (accessToken, usedAt, intervalMs) => {
+  try {
+    await OAuthAccessToken.updateOne(
+      {
+        accessToken,
+        $or: [
+          { lastUsedAt: { $exists: false } },
+          { lastUsedAt: { $lt: new Date(usedAt.getTime() - intervalMs) } },
+        ],
+      },
+      { $set: { lastUsedAt: usedAt } }
+    );
+  } catch (error) {
+    logger.error('Error updating access token last use in database:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the unexpired access and refresh tokens of a user.
+ * The token values are not selected, so the result can be shown to the user.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - `{accessTokens, refreshTokens}`
+ */
+const getUserTokens = async userId => {
+  try {
+    const now = new Date();
+    const filter = userTokensFilter(userId);
+    const [accessTokens, refreshTokens] = await Promise.all([
+      OAuthAccessToken.find({ ...filter, accessTokenExpiresAt: { $gt: now } })
+        .select('client.id scope accessTokenExpiresAt lastUsedAt createdAt')
+        .lean(),
+      OAuthRefreshToken.find({ ...filter, refreshTokenExpiresAt: { $gt: now } })
+        .select('client.id scope refreshTokenExpiresAt createdAt')
+        .lean(),
+    ]);
+    return { accessTokens, refreshTokens };
+  } catch (error) {
+    logger.error('Error getting user tokens from database:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke the access tokens, refresh tokens and authorization codes of a user
+ * @param {string} userId - The user ID
+ * @param {string} [clientId] - Only revoke the tokens issued to this client
+ * @returns {Promise<number>} - The number of revoked tokens and codes
+ */
+const revokeUserTokens = async (userId, clientId) => {
+  try {
+    const filter = userTokensFilter(userId, clientId);
+    const results = await Promise.all([
+      OAuthAccessToken.deleteMany(filter),
+      OAuthRefreshToken.deleteMany(filter),
+      OAuthAuthorizationCode.deleteMany(filter),
+    ]);
+    return results.reduce((total, result) => total + result.deletedCount, 0);
+  } catch (error) {
+    logger.error('Error revoking user tokens from database:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   saveAccessToken,
   getAccessToken,
@@ -180,4 +281,8 @@ module.exports = {
   saveAuthorizationCode,
   getAuthorizationCode,
   revokeAuthorizationCode,
+  revokeClientTokens,
+  touchAccessToken,
+  getUserTokens,
+  revokeUserTokens,
 };
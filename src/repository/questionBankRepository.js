@@ -0,0 +1,62 @@
+/**
+ * Question Bank Repository Module
+ * Reads and upserts documents of the question bank collections (questions, logic questions
+ * and instruments) through their Mongoose models.
+ * @module repository/questionBankRepository
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Get all documents of a collection, oldest first
+ * @async
+ * @param {mongoose.Model} Model - Model of the collection
+ * @param {Array<string>} fields - Fields to return
+ * @returns {Promise<Array<Object>>} Plain documents
+ */
+async function findBankDocuments(Model, fields) {
+  logger.info(`Retrieving ${Model.collection.collectionName} for export`);
+  return await Model.find({}).select(fields.join(' ')).sort({ _id: 1 }).lean();
+}
+
+/**
+ * Find the document matching an import key
+ * @async
+ * @param {mongoose.Model} Model - Model of the collection
+ * @param {Object} filter - Import key
+ * @returns {Promise<Object|null>} `{ _id }` of the document, or null if there is none
+ */
+async function findBankDocument(Model, filter) {
+  return await Model.findOne(filter).select('_id').lean();
+}
+
+/**
+ * Update the document matching an import key, or insert it
+ * @async
+ * @param {mongoose.Model} Model - Model of the collection
+ * @param {Object} filter - Import key
+ * @param {Object} fields - Fields to set
+ * @param {Object} defaults - Fields only set when the document is inserted
+ * @returns {Promise<Object>} `{ created, id }`
+ */
+async function upsertBankDocument(Model, filter, fields, defaults) {
+  const update = { $set: fields };
+  if (Object.keys(defaults).length > 0) {
+    update.$setOnInsert = defaults;
+  }
+
+  const result = await Model.updateOne(filter, update, { upsert: true });
+
+  if (result.upsertedCount > 0) {
+    return { created: true, id: result.upsertedId };
+  }
+
+  const existing = await findBankDocument(Model, filter);
+  return { created: false, id: existing ? existing._id : null };
+}
+
+module.exports = {
+  findBankDocuments,
+  findBankDocument,
+  upsertBankDocument,
+};
@@ -9,6 +9,7 @@ const {
   findOne,
   findMany,
   updateOne,
+  updateMany,
   deleteOne,
   getCollection,
 } = require('./baseRepository');
@@ -136,9 +137,143 @@ async function deleteQuestionById(id) {
   }
 }
 
+/**
+ * Get the texts and scope fields of the questions matching a filter, oldest first
+ * @async
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {Promise<Array<Object>>} Questions with _id, question, topic, topic_id, language, position and createdAt
+ * @throws {Error} If retrieval fails
+ */
+async function getQuestionTexts(filter = {}) {
+  try {
+    return await findMany(COLLECTION_NAME, filter, {
+      projection: {
+        question: 1,
+        topic: 1,
+        topic_id: 1,
+        language: 1,
+        position: 1,
+        createdAt: 1,
+      },
+      sort: { createdAt: 1, _id: 1 },
+    });
+  } catch (error) {
+    logger.error('Error in getQuestionTexts repository:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the moderation status of the questions with the given IDs
+ * @async
+ * @param {Array<ObjectId>} ids - Question IDs
+ * @returns {Promise<Array<Object>>} Found questions with _id and status
+ * @throws {Error} If retrieval fails
+ */
+async function getQuestionStatuses(ids) {
+  try {
+    return await findMany(COLLECTION_NAME, { _id: { $in: ids } }, { projection: { status: 1 } });
+  } catch (error) {
+    logger.error('Error in getQuestionStatuses repository:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a review on the questions with the given IDs.
+ * Only questions whose status is still one of `fromStatuses` are updated, so a question
+ * reviewed concurrently by someone else is left alone.
+ * @async
+ * @param {Array<ObjectId>} ids - Question IDs
+ * @param {Array<string|null>} fromStatuses - Statuses the questions may have (null matches no status)
+ * @param {Object} review - Fields to set (status, review_notes, reviewed_by, reviewed_at)
+ * @returns {Promise<number>} Number of updated questions
+ * @throws {Error} If the update fails
+ */
+async function updateQuestionsReview(ids, fromStatuses, review) {
+  try {
+    const result = await updateMany(
+      COLLECTION_NAME,
+      { _id: { $in: ids }, status: { $in: fromStatuses } },
+      { $set: { ...review, updatedAt: new Date() } }
+    );
+
+    if (!result.acknowledged) {
+      throw new Error('Failed to update question reviews');
+    }
+
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error('Error in updateQuestionsReview repository:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the answer keys and labels of the questions matching a filter, oldest first
+ * @async
+ * @param {Object} [filter={}] - MongoDB filter
+ * @param {number} [limit=0] - Maximum number of questions; 0 for no limit
+ * @returns {Promise<Array<Object>>} Questions with _id, question, options, correctAnswer,
+ *   difficulty, topic, language, position and status
+ * @throws {Error} If retrieval fails
+ */
+async function getQuestionsForItemAnalysis(filter = {}, limit = 0) {
+  try {
+    return await findMany(COLLECTION_NAME, filter, {
+      projection: {
+        question: 1,
+        options: 1,
+        correctAnswer: 1,
+        difficulty: 1,
+        topic: 1,
+        language: 1,
+        position: 1,
+        status: 1,
+      },
+      sort: { createdAt: 1, _id: 1 },
+      limit,
+    });
+  } catch (error) {
+    logger.error('Error in getQuestionsForItemAnalysis repository:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get questions an adaptive session may serve next, without their answer keys
+ * @async
+ * @param {Object} [filter={}] - MongoDB filter
+ * @returns {Promise<Array<Object>>} Questions with _id, question, options, difficulty,
+ *   positionLevel, topic and language
+ * @throws {Error} If retrieval fails
+ */
+async function getQuestionsForAdaptiveDelivery(filter = {}) {
+  try {
+    return await findMany(COLLECTION_NAME, filter, {
+      projection: {
+        question: 1,
+        options: 1,
+        difficulty: 1,
+        positionLevel: 1,
+        topic: 1,
+        language: 1,
+      },
+    });
+  } catch (error) {
+    logger.error('Error in getQuestionsForAdaptiveDelivery repository:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   createQuestion,
   getQuestionById,
   updateQuestionById,
   deleteQuestionById,
+  getQuestionTexts,
+  getQuestionStatuses,
+  updateQuestionsReview,
+  getQuestionsForItemAnalysis,
+  getQuestionsForAdaptiveDelivery,
 };
@@ -0,0 +1,99 @@
+/**
+ * Seed Data Repository Module
+ * Reads and writes the reference collections loaded by the init commands (topics, positions
+ * and languages), and counts the documents that still refer to them.
+ * @module repository/seedDataRepository
+ */
+
+const {
+  getCollection,
+  findOne,
+  findMany,
+  insertOne,
+  updateOne,
+  deleteMany,
+} = require('./baseRepository');
+const logger = require('../utils/logger');
+
+/**
+ * Find the document matching a seed record
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {Object} filter - Match filter built from the record keys
+ * @returns {Promise<Object|null>} Matching document or null if there is none
+ */
+async function findSeedDocument(collectionName, filter) {
+  return await findOne(collectionName, filter);
+}
+
+/**
+ * Insert a seed document with its timestamps
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {Object} fields - Fields of the document
+ * @returns {Promise<import('mongodb').ObjectId>} ID of the inserted document
+ */
+async function insertSeedDocument(collectionName, fields) {
+  const now = new Date();
+  const result = await insertOne(collectionName, { ...fields, createdAt: now, updatedAt: now });
+  return result.insertedId;
+}
+
+/**
+ * Set the fields of an existing seed document, keeping its ID
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {import('mongodb').ObjectId} id - Document ID
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<import('mongodb').UpdateResult>} Result of the update operation
+ */
+async function updateSeedDocument(collectionName, id, fields) {
+  return await updateOne(
+    collectionName,
+    { _id: id },
+    { $set: { ...fields, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Get the seed documents whose IDs are not in a list
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {Array<import('mongodb').ObjectId>} ids - IDs to leave out
+ * @returns {Promise<Array<Object>>} Documents not in the list
+ */
+async function findSeedDocumentsExcept(collectionName, ids) {
+  return await findMany(collectionName, { _id: { $nin: ids } });
+}
+
+/**
+ * Count the documents of a collection matching a reference filter
+ * @async
+ * @param {string} collectionName - Referencing collection, such as questions or candidates
+ * @param {Object} filter - Reference filter
+ * @returns {Promise<number>} Number of referencing documents
+ */
+async function countSeedReferences(collectionName, filter) {
+  return await getCollection(collectionName).countDocuments(filter);
+}
+
+/**
+ * Delete seed documents by ID
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {Array<import('mongodb').ObjectId>} ids - IDs of the documents to delete
+ * @returns {Promise<import('mongodb').DeleteResult>} Result of the delete operation
+ */
+async function deleteSeedDocuments(collectionName, ids) {
+  logger.info(`Pruning ${ids.length} documents from ${collectionName}`);
+  return await deleteMany(collectionName, { _id: { $in: ids } });
+}
+
+module.exports = {
+  findSeedDocument,
+  insertSeedDocument,
+  updateSeedDocument,
+  findSeedDocumentsExcept,
+  countSeedReferences,
+  deleteSeedDocuments,
+};
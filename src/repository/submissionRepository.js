@@ -106,6 +106,113 @@ async function getSubmissionsByCandidateId(candidateId, enrich = false) {
   }
 }
 
+/**
+ * Get the submissions of several candidates, optionally limited to a creation date range.
+ * Submissions have no creation timestamp field, so the range is matched against the
+ * time embedded in their ObjectId.
+ * @async
+ * @param {Array<string>} candidateIds - Candidate IDs
+ * @param {Object} [range={}] - Date range
+ * @param {Date} [range.from] - Earliest creation time (inclusive)
+ * @param {Date} [range.to] - Latest creation time (exclusive)
+ * @returns {Promise<Array<Object>>} Array of submissions, oldest first
+ * @throws {Error} If retrieval fails
+ */
+async function getSubmissionsByCandidateIds(candidateIds, { from, to } = {}) {
+  try {
+    if (!Array.isArray(candidateIds) || candidateIds.length === 0) {
+      return [];
+    }
+
+    const filter = { candidate_id: { $in: candidateIds.map(String) } };
+    if (from || to) {
+      filter._id = {};
+      if (from) {
+        filter._id.$gte = ObjectId.createFromTime(Math.floor(from.getTime() / 1000));
+      }
+      if (to) {
+        filter._id.$lt = ObjectId.createFromTime(Math.ceil(to.getTime() / 1000));
+      }
+    }
+
+    return await baseRepository.findMany(submissionModel.collectionName, filter, {
+      sort: { _id: 1 },
+    });
+  } catch (error) {
+    logger.error('Error retrieving submissions of candidates:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent submission of each application
+ * @async
+ * @param {Array<string>} applicationIds - Application IDs
+ * @returns {Promise<Array<Object>>} Latest submissions as `{ application_id, submission_id, scores }`
+ * @throws {Error} If retrieval fails
+ */
+async function getLatestSubmissionsByApplicationIds(applicationIds) {
+  try {
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+      return [];
+    }
+
+    const collection = baseRepository.getCollection(submissionModel.collectionName);
+    const latest = await collection
+      .aggregate([
+        { $match: { application_id: { $in: applicationIds.map(String) } } },
+        // ObjectIds grow over time, so the highest _id is the newest submission
+        { $sort: { _id: -1 } },
+        {
+          $group: {
+            _id: '$application_id',
+            submission_id: { $first: '$_id' },
+            scores: { $first: '$scores' },
+          },
+        },
+      ])
+      .toArray();
+
+    return latest.map(entry => ({
+      application_id: entry._id,
+      submission_id: entry.submission_id,
+      scores: entry.scores || null,
+    }));
+  } catch (error) {
+    logger.error('Error retrieving latest submissions of applications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the answers of the submissions that include any of the given questions, newest first.
+ * Question IDs may be stored as strings or ObjectIds, so both are matched.
+ * @async
+ * @param {Array<string>} questionIds - Question IDs
+ * @param {number} [limit=0] - Maximum number of submissions; 0 for no limit
+ * @returns {Promise<Array<Object>>} Submissions with _id and answers
+ * @throws {Error} If retrieval fails
+ */
+async function getSubmissionAnswersByQuestionIds(questionIds, limit = 0) {
+  try {
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return [];
+    }
+
+    const ids = questionIds.map(String);
+    const objectIds = ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+
+    return await baseRepository.findMany(
+      submissionModel.collectionName,
+      { 'answers.question_id': { $in: [...ids, ...objectIds] } },
+      { projection: { answers: 1 }, sort: { _id: -1 }, limit }
+    );
+  } catch (error) {
+    logger.error('Error retrieving submission answers of questions:', error);
+    throw error;
+  }
+}
+
 /**
  * Check if a candidate exists in the database
  * @async
@@ -253,6 +360,9 @@ module.exports = {
   insertSubmissionToDB,
   getSubmissionById,
   getSubmissionsByCandidateId,
+  getSubmissionsByCandidateIds,
+  getLatestSubmissionsByApplicationIds,
+  getSubmissionAnswersByQuestionIds,
   candidateExists,
   questionsExist,
   instrumentsExist,
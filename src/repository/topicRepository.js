@@ -4,7 +4,16 @@
  */
 
 const { ObjectId } = require('mongodb');
-const { getCollection, deleteMany, insertMany, findMany, findOne } = require('./baseRepository');
+const {
+  getCollection,
+  insertOne,
+  deleteMany,
+  deleteOne,
+  insertMany,
+  updateOne,
+  findMany,
+  findOne,
+} = require('./baseRepository');
 const logger = require('../utils/logger');
 
 // Collection name for topics
@@ -37,14 +46,54 @@ async function insertTopics(topics) {
   return await insertMany(TOPICS_COLLECTION, topics);
 }
 
+/**
+ * Create a new topic
+ * @async
+ * @param {Object} topicData - Topic data to insert
+ * @returns {Promise<Object>} Created topic with ID
+ * @throws {Error} If topic creation fails
+ */
+async function createTopic(topicData) {
+  try {
+    logger.info('Creating new topic');
+    const now = new Date();
+    const topic = { ...topicData, createdAt: now, updatedAt: now };
+    const result = await insertOne(TOPICS_COLLECTION, topic);
+
+    if (!result.acknowledged) {
+      throw new Error('Failed to create topic');
+    }
+
+    return {
+      _id: result.insertedId,
+      ...topic,
+    };
+  } catch (error) {
+    logger.error('Error creating topic:', error);
+    throw error;
+  }
+}
+
 /**
  * Get all topics from the database
  * @async
+ * @param {Object} [filter={}] - Filter criteria
+ * @param {Object} [options={}] - Query options (sorting, pagination)
  * @returns {Promise<Array<Object>>} Array of topic objects
  */
-async function getAllTopics() {
+async function getAllTopics(filter = {}, options = {}) {
   logger.info('Retrieving all topics from the database');
-  return await findMany(TOPICS_COLLECTION, {});
+  return await findMany(TOPICS_COLLECTION, filter, options);
+}
+
+/**
+ * Count the topics matching a filter
+ * @async
+ * @param {Object} [filter={}] - Filter criteria
+ * @returns {Promise<number>} Number of matching topics
+ */
+async function countTopics(filter = {}) {
+  return await getCollection(TOPICS_COLLECTION).countDocuments(filter);
 }
 
 /**
@@ -87,10 +136,157 @@ async function getTopicByTitle(title) {
   }
 }
 
+/**
+ * Get a topic by slug
+ * @async
+ * @param {string} slug - Topic slug
+ * @returns {Promise<Object|null>} Topic object or null if not found
+ * @throws {Error} If retrieval fails
+ */
+async function getTopicBySlug(slug) {
+  try {
+    logger.info(`Retrieving topic with slug: ${slug}`);
+    return await findOne(TOPICS_COLLECTION, { slug });
+  } catch (error) {
+    logger.error(`Error retrieving topic with slug ${slug}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the direct subtopics of a topic
+ * @async
+ * @param {ObjectId} parentId - Parent topic ID
+ * @returns {Promise<Array<Object>>} Subtopics sorted by title
+ */
+async function getChildTopics(parentId) {
+  return await findMany(
+    TOPICS_COLLECTION,
+    { parent_id: parentId },
+    { projection: { title: 1, slug: 1 }, sort: { title: 1 } }
+  );
+}
+
+/**
+ * Update a topic by ID
+ * @async
+ * @param {string} id - Topic ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated topic or null if not found
+ * @throws {Error} If update fails
+ */
+async function updateTopic(id, updateData) {
+  try {
+    logger.info(`Updating topic with ID: ${id}`);
+
+    if (!ObjectId.isValid(id)) {
+      logger.warn(`Invalid topic ID format: ${id}`);
+      return null;
+    }
+
+    const result = await updateOne(
+      TOPICS_COLLECTION,
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          ...updateData,
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    if (!result.acknowledged) {
+      throw new Error(`Failed to update topic with ID ${id}`);
+    }
+
+    if (result.matchedCount === 0) {
+      logger.warn(`Topic with ID ${id} not found`);
+      return null;
+    }
+
+    return await getTopicById(id);
+  } catch (error) {
+    logger.error(`Error updating topic with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a topic by ID
+ * @async
+ * @param {string} id - Topic ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ * @throws {Error} If deletion fails
+ */
+async function deleteTopic(id) {
+  try {
+    logger.info(`Deleting topic with ID: ${id}`);
+
+    if (!ObjectId.isValid(id)) {
+      logger.warn(`Invalid topic ID format: ${id}`);
+      return false;
+    }
+
+    const result = await deleteOne(TOPICS_COLLECTION, { _id: new ObjectId(id) });
+
+    if (!result.acknowledged) {
+      throw new Error(`Failed to delete topic with ID ${id}`);
+    }
+
+    return result.deletedCount > 0;
+  } catch (error) {
+    logger.error(`Error deleting topic with ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count the questions of each topic. A question belongs to the topic of its `topic_id`,
+ * or, when it has none, to the topic with the title of its `topic`.
+ * @async
+ * @param {Array<Object>} topics - Topics with their `_id` and `title`
+ * @returns {Promise<Map<string, number>>} Question count by topic ID
+ */
+async function countQuestionsByTopic(topics) {
+  const counts = new Map(topics.map(topic => [topic._id.toString(), 0]));
+  if (topics.length === 0) {
+    return counts;
+  }
+
+  const groups = await getCollection('questions')
+    .aggregate([
+      {
+        $match: {
+          $or: [
+            { topic_id: { $in: topics.map(topic => topic._id) } },
+            { topic_id: null, topic: { $in: topics.map(topic => topic.title) } },
+          ],
+        },
+      },
+      { $group: { _id: { $ifNull: ['$topic_id', '$topic'] }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const countByKey = new Map(groups.map(group => [group._id.toString(), group.count]));
+  topics.forEach(topic => {
+    const id = topic._id.toString();
+    counts.set(id, (countByKey.get(id) || 0) + (countByKey.get(topic.title) || 0));
+  });
+
+  return counts;
+}
+
 module.exports = {
   clearAllTopics,
   insertTopics,
+  createTopic,
   getAllTopics,
+  countTopics,
   getTopicById,
   getTopicByTitle,
+  getTopicBySlug,
+  getChildTopics,
+  updateTopic,
+  deleteTopic,
+  countQuestionsByTopic,
 };
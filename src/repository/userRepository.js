@@ -154,6 +154,61 @@ const remove = async id => {
   }
 };
 
+/**
+ * Count a failed login of a user
+ * @param {string} id - The user ID
+ * @returns {Promise<Object|null>} - The user's `failedLoginAttempts` and `lockoutCount` after the update
+ */
+const incrementFailedLogins = async id => {
+  try {
+    return await User.findByIdAndUpdate(
+      id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true, projection: { failedLoginAttempts: 1, lockoutCount: 1 } }
+    )
+      .lean()
+      .exec();
+  } catch (error) {
+    logger.error(`Error counting failed login of user ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Lock a user out of password logins
+ * @param {string} id - The user ID
+ * @param {Date} lockedUntil - When the lockout ends
+ * @returns {Promise<void>}
+ */
+const lockUser = async (id, lockedUntil) => {
+  try {
+    await User.updateOne(
+      { _id: id },
+      { $set: { lockedUntil, failedLoginAttempts: 0 }, $inc: { lockoutCount: 1 } }
+    );
+  } catch (error) {
+    logger.error(`Error locking user ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Clear the failed logins and lockout of a user
+ * @param {string} id - The user ID
+ * @returns {Promise<void>}
+ */
+const resetFailedLogins = async id => {
+  try {
+    await User.updateOne(
+      { _id: id },
+      { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null } }
+    );
+  } catch (error) {
+    logger.error(`Error resetting failed logins of user ${id}:`, error);
+    throw error;
+  }
+};
+
 /**
  * List users with pagination, filtering and sorting
  * @param {Object} filters - The filters to apply
@@ -229,4 +284,7 @@ module.exports = {
   update,
   remove,
   list,
+  incrementFailedLogins,
+  lockUser,
+  resetFailedLogins,
 };
@@ -0,0 +1,185 @@
+/**
+ * Account Routes
+ * @module routes/account/accountRoutes
+ */
+
+const express = require('express');
+const {
+  verifyEmailController,
+  resendVerificationController,
+  forgotPasswordController,
+  resetPasswordController,
+  getPasswordPolicyController,
+} = require('../../controllers/account/accountController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/account/verify-email:
+ *   post:
+ *     summary: Verify an email address
+ *     description: Verifies the address a verification link was sent to. Each link works once and expires after EMAIL_VERIFICATION_TTL.
+ *     tags: [Account]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token from the verification link
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Email verified successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       format: email
+ *       400:
+ *         description: Missing, invalid, used or expired token
+ */
+router.post('/verify-email', verifyEmailController);
+
+/**
+ * @swagger
+ * /api/account/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification link
+ *     description: Sends a new verification link if the address belongs to an unverified account. The response is the same either way.
+ *     tags: [Account]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Request accepted
+ *       400:
+ *         description: Invalid email
+ */
+router.post('/verify-email/resend', resendVerificationController);
+
+/**
+ * @swagger
+ * /api/account/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Sends a password reset link if the address belongs to an account. The response is the same either way. Each link works once and expires after PASSWORD_RESET_TTL; requesting a new one invalidates the previous link.
+ *     tags: [Account]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Request accepted
+ *       400:
+ *         description: Invalid email
+ */
+router.post('/forgot-password', forgotPasswordController);
+
+/**
+ * @swagger
+ * /api/account/reset-password:
+ *   post:
+ *     summary: Reset a password
+ *     description: Sets a new password with the token from a password reset link. Failed logins and lockouts are cleared and all of the user's sessions are revoked.
+ *     tags: [Account]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token from the password reset link
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: The new password; must satisfy the password policy
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Missing, invalid, used or expired token, or a password that does not satisfy the policy
+ */
+router.post('/reset-password', resetPasswordController);
+
+/**
+ * @swagger
+ * /api/account/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     description: Returns the rules new passwords must satisfy, so clients can check them before sending
+ *     tags: [Account]
+ *     responses:
+ *       200:
+ *         description: Password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     minLength:
+ *                       type: integer
+ *                       example: 8
+ *                     requireLowercase:
+ *                       type: boolean
+ *                     requireUppercase:
+ *                       type: boolean
+ *                     requireNumber:
+ *                       type: boolean
+ *                     requireSymbol:
+ *                       type: boolean
+ *                     description:
+ *                       type: string
+ *                       example: Password must be at least 8 characters long
+ */
+router.get('/password-policy', getPasswordPolicyController);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Account Routes Index
+ * @module routes/account
+ */
+
+const express = require('express');
+const accountRoutes = require('./accountRoutes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Account
+ *   description: Public email verification and password reset endpoints
+ */
+
+// Mount the account routes
+router.use('/', accountRoutes);
+
+module.exports = router;
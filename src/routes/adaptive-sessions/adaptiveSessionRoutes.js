@@ -0,0 +1,323 @@
+/**
+ * Adaptive Session Routes
+ * @module routes/adaptive-sessions/adaptiveSessionRoutes
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+  createAdaptiveSessionController,
+  getAllAdaptiveSessionsController,
+  getAdaptiveSessionController,
+  getNextAdaptiveQuestionController,
+  answerAdaptiveQuestionController,
+} = require('../../controllers/adaptive-sessions/adaptiveSessionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+const { getAdaptiveSessionById } = require('../../repository/adaptiveSessionRepository');
+
+const router = express.Router();
+
+/**
+ * Resolve the candidate a requested adaptive session belongs to
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Candidate ID, or null if the session does not exist
+ */
+const getSessionCandidateId = async req => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  const session = await getAdaptiveSessionById(req.params.id);
+  return session ? session.candidate_id : null;
+};
+
+/**
+ * @swagger
+ * /api/adaptive-sessions:
+ *   post:
+ *     summary: Start an adaptive session for a candidate
+ *     description: |
+ *       Questions are served one at a time from the approved questions of the scope. Each
+ *       answer updates the candidate's ability estimate on the position level scale, and
+ *       the next question is the one whose difficulty is closest to it. The session stops
+ *       once the standard error of the estimate reaches target_standard_error (after at
+ *       least min_items answers), after max_items answers or when no question is left.
+ *     tags: [Adaptive Sessions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate_id
+ *             properties:
+ *               candidate_id:
+ *                 type: string
+ *               topic_id:
+ *                 type: string
+ *                 description: Only serve questions of this topic
+ *               topic:
+ *                 type: string
+ *                 description: Only serve questions of this topic name
+ *               language:
+ *                 type: string
+ *                 description: Only serve questions of this language
+ *               max_items:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 default: 20
+ *               min_items:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 5
+ *               target_standard_error:
+ *                 type: number
+ *                 default: 0.35
+ *                 description: Standard error of the ability estimate, in position levels
+ *               start_position:
+ *                 type: string
+ *                 enum: [intern, fresher, junior, middle, senior, expert]
+ *                 default: junior
+ *                 description: Position the first question targets
+ *     responses:
+ *       201:
+ *         description: Adaptive session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AdaptiveSession'
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Candidate not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission(PERMISSIONS.ASSESSMENTS_WRITE), createAdaptiveSessionController);
+
+/**
+ * @swagger
+ * /api/adaptive-sessions:
+ *   get:
+ *     summary: List adaptive sessions
+ *     tags: [Adaptive Sessions]
+ *     parameters:
+ *       - in: query
+ *         name: candidate_id
+ *         schema:
+ *           type: string
+ *         description: Filter by candidate ID
+ *     responses:
+ *       200:
+ *         description: List of adaptive sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdaptiveSession'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ASSESSMENTS_READ),
+  restrictToOwnCandidate(req => req.query.candidate_id),
+  getAllAdaptiveSessionsController
+);
+
+/**
+ * @swagger
+ * /api/adaptive-sessions/{id}:
+ *   get:
+ *     summary: Get an adaptive session with its ability estimate and result
+ *     tags: [Adaptive Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Adaptive session ID
+ *     responses:
+ *       200:
+ *         description: Adaptive session
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Adaptive session not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.ASSESSMENTS_READ),
+  restrictToOwnCandidate(getSessionCandidateId),
+  getAdaptiveSessionController
+);
+
+/**
+ * @swagger
+ * /api/adaptive-sessions/{id}/next:
+ *   post:
+ *     summary: Serve the next question of an adaptive session
+ *     description: |
+ *       Returns the question to answer, without its answer key. A question that was served
+ *       but not answered is served again. Once the session is completed, question is null
+ *       and the session holds the result.
+ *     tags: [Adaptive Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Adaptive session ID
+ *     responses:
+ *       200:
+ *         description: Next question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/AdaptiveSession'
+ *                     question:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         number:
+ *                           type: integer
+ *                           description: Position of the question in the session, from 1
+ *                         question:
+ *                           type: string
+ *                         options:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         difficulty:
+ *                           type: string
+ *                         positionLevel:
+ *                           type: integer
+ *                         topic:
+ *                           type: string
+ *                         language:
+ *                           type: string
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Adaptive session not found
+ *       409:
+ *         description: Other requests kept changing the session; try again
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/next',
+  requirePermission(PERMISSIONS.ASSESSMENTS_TAKE),
+  restrictToOwnCandidate(getSessionCandidateId),
+  getNextAdaptiveQuestionController
+);
+
+/**
+ * @swagger
+ * /api/adaptive-sessions/{id}/answers:
+ *   post:
+ *     summary: Answer the question being asked
+ *     description: |
+ *       Scores the answer, updates the ability estimate and completes the session when a
+ *       stopping rule is met. Skipped questions (answer null) count as wrong.
+ *     tags: [Adaptive Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Adaptive session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - question_id
+ *             properties:
+ *               question_id:
+ *                 type: string
+ *               answer:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 3
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated adaptive session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AdaptiveSession'
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Adaptive session not found
+ *       409:
+ *         description: Session finished, or the question is not the one being asked
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/answers',
+  requirePermission(PERMISSIONS.ASSESSMENTS_TAKE),
+  restrictToOwnCandidate(getSessionCandidateId),
+  answerAdaptiveQuestionController
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Adaptive Session Routes Index
+ * @module routes/adaptive-sessions
+ */
+
+const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+const adaptiveSessionRoutes = require('./adaptiveSessionRoutes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Adaptive Sessions
+ *   description: Assessments that adapt question difficulty to the candidate
+ */
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.ASSESSMENTS_READ, write: OAUTH_SCOPES.ASSESSMENTS_WRITE })
+);
+
+// Mount the adaptive session routes
+router.use('/', adaptiveSessionRoutes);
+
+module.exports = router;
@@ -0,0 +1,285 @@
+/**
+ * Application Routes
+ * @module routes/applications/applicationRoutes
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+  createApplicationController,
+  getAllApplicationsController,
+  getApplicationController,
+  updateApplicationController,
+  deleteApplicationController,
+} = require('../../controllers/applications/applicationController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+const { getApplicationById } = require('../../repository/applicationRepository');
+
+const router = express.Router();
+
+/**
+ * Resolve the candidate a requested application belongs to
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Candidate ID, or null if the application does not exist
+ */
+const getApplicationCandidateId = async req => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  const application = await getApplicationById(req.params.id);
+  return application ? application.candidate_id : null;
+};
+
+/**
+ * @swagger
+ * /api/applications:
+ *   post:
+ *     summary: Create an application of a candidate for a position
+ *     description: A candidate can apply for several positions, but only once for each.
+ *     tags: [Applications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate_id
+ *               - position_id
+ *             properties:
+ *               candidate_id:
+ *                 type: string
+ *               position_id:
+ *                 type: string
+ *               language_id:
+ *                 type: string
+ *                 description: Programming language the candidate applies with
+ *               status:
+ *                 type: string
+ *                 enum: [applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected]
+ *                 default: applied
+ *               assessment_session_id:
+ *                 type: string
+ *                 description: Assessment session of the same candidate
+ *               interviewer_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of users (not candidates) interviewing for this application
+ *     responses:
+ *       201:
+ *         description: Application created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid input data, or language, session or interviewers not found
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Candidate or position not found
+ *       409:
+ *         description: The candidate has already applied for the position
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission(PERMISSIONS.CANDIDATES_WRITE), createApplicationController);
+
+/**
+ * @swagger
+ * /api/applications:
+ *   get:
+ *     summary: List applications
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: query
+ *         name: candidate_id
+ *         schema:
+ *           type: string
+ *         description: Filter by candidate ID
+ *       - in: query
+ *         name: position_id
+ *         schema:
+ *           type: string
+ *         description: Filter by position ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by pipeline stage
+ *     responses:
+ *       200:
+ *         description: List of applications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.CANDIDATES_READ),
+  restrictToOwnCandidate(req => req.query.candidate_id),
+  getAllApplicationsController
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   get:
+ *     summary: Get an application by ID
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Application not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.CANDIDATES_READ),
+  restrictToOwnCandidate(getApplicationCandidateId),
+  getApplicationController
+);
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   put:
+ *     summary: Update an application
+ *     description: |
+ *       Changes the language, status, assessment session or interviewers of an application.
+ *       The candidate and position cannot be changed. Status changes follow the same
+ *       transitions as the candidate pipeline.
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               language_id:
+ *                 type: string
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected]
+ *               assessment_session_id:
+ *                 type: string
+ *                 nullable: true
+ *               interviewer_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Application updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Application'
+ *       400:
+ *         description: Invalid input data, or language, session or interviewers not found
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: The status change is not allowed
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', requirePermission(PERMISSIONS.CANDIDATES_WRITE), updateApplicationController);
+
+/**
+ * @swagger
+ * /api/applications/{id}:
+ *   delete:
+ *     summary: Delete an application
+ *     description: Submissions made for the application keep their application_id.
+ *     tags: [Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application deleted
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Application not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.CANDIDATES_WRITE), deleteApplicationController);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * Application Routes Index
+ * @module routes/applications
+ */
+
+const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+const applicationRoutes = require('./applicationRoutes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Applications
+ *   description: Applications of candidates for positions
+ */
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.CANDIDATES_READ, write: OAUTH_SCOPES.CANDIDATES_WRITE })
+);
+
+// Mount the application routes
+router.use('/', applicationRoutes);
+
+module.exports = router;
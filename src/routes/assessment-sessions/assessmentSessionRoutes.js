@@ -0,0 +1,431 @@
+/**
+ * Assessment Session Routes
+ * @module routes/assessment-sessions/assessmentSessionRoutes
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const {
+  createAssessmentSessionController,
+  getAllAssessmentSessionsController,
+  getAssessmentSessionController,
+  getAssessmentSessionItemsController,
+  startAssessmentSessionController,
+  saveAssessmentSessionAnswersController,
+  finishAssessmentSessionController,
+} = require('../../controllers/assessment-sessions/assessmentSessionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+const { getAssessmentSessionById } = require('../../repository/assessmentSessionRepository');
+
+const router = express.Router();
+
+/**
+ * Resolve the candidate a requested assessment session belongs to
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Candidate ID, or null if the session does not exist
+ */
+const getSessionCandidateId = async req => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  const session = await getAssessmentSessionById(req.params.id);
+  return session ? session.candidate_id : null;
+};
+
+/**
+ * @swagger
+ * /api/assessment-sessions:
+ *   post:
+ *     summary: Assign an assessment session to a candidate
+ *     tags: [Assessment Sessions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate_id
+ *             properties:
+ *               candidate_id:
+ *                 type: string
+ *                 description: ID of the candidate
+ *               application_id:
+ *                 type: string
+ *                 description: |
+ *                   Application of the candidate the assessment is for. The session becomes the
+ *                   application's assigned assessment and its submission references the application.
+ *               question_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               instrument_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               logic_question_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               essay_question:
+ *                 type: string
+ *               time_limit_minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Defaults to ASSESSMENT_TIME_LIMIT_MINUTES (60)
+ *     responses:
+ *       201:
+ *         description: Assessment session assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AssessmentSession'
+ *       400:
+ *         description: Invalid input data, or questions, instruments or logic questions not found
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Candidate or application not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  createAssessmentSessionController
+);
+
+/**
+ * @swagger
+ * /api/assessment-sessions:
+ *   get:
+ *     summary: List assessment sessions
+ *     tags: [Assessment Sessions]
+ *     parameters:
+ *       - in: query
+ *         name: candidate_id
+ *         schema:
+ *           type: string
+ *         description: Filter by candidate ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [assigned, in_progress, completed, expired]
+ *         description: Filter by session status
+ *     responses:
+ *       200:
+ *         description: List of assessment sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssessmentSession'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ASSESSMENTS_READ),
+  restrictToOwnCandidate(req => req.query.candidate_id),
+  getAllAssessmentSessionsController
+);
+
+/**
+ * @swagger
+ * /api/assessment-sessions/{id}:
+ *   get:
+ *     summary: Get an assessment session by ID
+ *     description: An in-progress session whose deadline has passed is closed before it is returned.
+ *     tags: [Assessment Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment session ID
+ *     responses:
+ *       200:
+ *         description: Assessment session details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AssessmentSession'
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment session not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.ASSESSMENTS_READ),
+  restrictToOwnCandidate(getSessionCandidateId),
+  getAssessmentSessionController
+);
+
+/**
+ * @swagger
+ * /api/assessment-sessions/{id}/items:
+ *   get:
+ *     summary: Get the items of an in-progress assessment session
+ *     description: >
+ *       Returns the assigned questions, instruments, logic questions and essay question in the
+ *       assigned order, for the candidate taking the session. Answer keys, explanations and
+ *       scoring keys are left out.
+ *     tags: [Assessment Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment session ID
+ *     responses:
+ *       200:
+ *         description: Items of the session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session_id:
+ *                       type: string
+ *                     deadline_at:
+ *                       type: string
+ *                       format: date-time
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     instruments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     logic_questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     essay_question:
+ *                       type: string
+ *                       nullable: true
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment session not found
+ *       409:
+ *         description: Session not started, already finished, or past its deadline
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/items',
+  requirePermission(PERMISSIONS.ASSESSMENTS_TAKE),
+  restrictToOwnCandidate(getSessionCandidateId),
+  getAssessmentSessionItemsController
+);
+
+/**
+ * @swagger
+ * /api/assessment-sessions/{id}/start:
+ *   post:
+ *     summary: Start an assessment session
+ *     description: Records started_at and sets deadline_at from the session's time limit.
+ *     tags: [Assessment Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment session ID
+ *     responses:
+ *       200:
+ *         description: Assessment session started
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment session not found
+ *       409:
+ *         description: Assessment session has already been started
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/start',
+  requirePermission(PERMISSIONS.ASSESSMENTS_TAKE),
+  restrictToOwnCandidate(getSessionCandidateId),
+  startAssessmentSessionController
+);
+
+/**
+ * @swagger
+ * /api/assessment-sessions/{id}/answers:
+ *   put:
+ *     summary: Save answers to an in-progress assessment session
+ *     description: >
+ *       Entries replace earlier entries for the same item. Only items assigned to the
+ *       session are accepted, and answers are rejected once the deadline has passed.
+ *     tags: [Assessment Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question_id:
+ *                       type: string
+ *                     answer:
+ *                       type: integer
+ *                       nullable: true
+ *                     other:
+ *                       type: string
+ *                     is_skip:
+ *                       type: integer
+ *                       enum: [0, 1]
+ *               instruments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     instrument_id:
+ *                       type: string
+ *                     answer:
+ *                       type: integer
+ *                       nullable: true
+ *                     other:
+ *                       type: string
+ *                     is_skip:
+ *                       type: integer
+ *                       enum: [0, 1]
+ *               logic_questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     logic_question_id:
+ *                       type: string
+ *                     answer:
+ *                       type: string
+ *                     other:
+ *                       type: string
+ *                     is_skip:
+ *                       type: integer
+ *                       enum: [0, 1]
+ *               essay:
+ *                 type: object
+ *                 properties:
+ *                   answer:
+ *                     type: string
+ *                   is_skip:
+ *                     type: integer
+ *                     enum: [0, 1]
+ *     responses:
+ *       200:
+ *         description: Answers saved
+ *       400:
+ *         description: Invalid answers or items not assigned to the session
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment session not found
+ *       409:
+ *         description: Session not started, already finished, or past its deadline
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/answers',
+  requirePermission(PERMISSIONS.ASSESSMENTS_TAKE),
+  restrictToOwnCandidate(getSessionCandidateId),
+  saveAssessmentSessionAnswersController
+);
+
+/**
+ * @swagger
+ * /api/assessment-sessions/{id}/finish:
+ *   post:
+ *     summary: Finish an assessment session
+ *     description: >
+ *       Closes the session and stores its answers as a scored submission. Assigned items
+ *       that were never answered are recorded as skipped.
+ *     tags: [Assessment Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment session ID
+ *     responses:
+ *       200:
+ *         description: Assessment session finished (status is expired if the deadline had passed)
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment session not found
+ *       409:
+ *         description: Session not started or already finished
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/finish',
+  requirePermission(PERMISSIONS.ASSESSMENTS_TAKE),
+  restrictToOwnCandidate(getSessionCandidateId),
+  finishAssessmentSessionController
+);
+
+module.exports = router;
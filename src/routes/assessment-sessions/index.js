@@ -0,0 +1,27 @@
+/**
+ * Assessment Session Routes Index
+ * @module routes/assessment-sessions
+ */
+
+const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+const assessmentSessionRoutes = require('./assessmentSessionRoutes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Assessment Sessions
+ *   description: Timed assessment sessions assigned to candidates
+ */
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.ASSESSMENTS_READ, write: OAUTH_SCOPES.ASSESSMENTS_WRITE })
+);
+
+// Mount the assessment session routes
+router.use('/', assessmentSessionRoutes);
+
+module.exports = router;
@@ -0,0 +1,384 @@
+/**
+ * Assessment Template Routes
+ * @module routes/assessment-templates/assessmentTemplateRoutes
+ */
+
+const express = require('express');
+const {
+  createAssessmentTemplateController,
+  getAllAssessmentTemplatesController,
+  getAssessmentTemplateController,
+  updateAssessmentTemplateController,
+  deleteAssessmentTemplateController,
+  generateAssessmentController,
+  assignAssessmentTemplateController,
+} = require('../../controllers/assessment-templates/assessmentTemplateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/assessment-templates:
+ *   post:
+ *     summary: Create an assessment template
+ *     tags: [Assessment Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Junior backend screening
+ *               description:
+ *                 type: string
+ *               questions:
+ *                 type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     example: 10
+ *                   topic_id:
+ *                     type: string
+ *                   position:
+ *                     type: string
+ *                     example: junior
+ *                   difficulty:
+ *                     type: string
+ *                     enum: [mixed, easy, medium, hard]
+ *               instruments:
+ *                 type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     example: 5
+ *                   instrument_tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               logic_questions:
+ *                 type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     example: 3
+ *                   min_level:
+ *                     type: integer
+ *                     example: 2
+ *                   max_level:
+ *                     type: integer
+ *                     example: 4
+ *               essay_prompt:
+ *                 type: string
+ *               time_limit_minutes:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Assessment template created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AssessmentTemplate'
+ *       400:
+ *         description: Invalid input data or duplicate name
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  createAssessmentTemplateController
+);
+
+/**
+ * @swagger
+ * /api/assessment-templates:
+ *   get:
+ *     summary: Get all assessment templates
+ *     tags: [Assessment Templates]
+ *     responses:
+ *       200:
+ *         description: List of assessment templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssessmentTemplate'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  getAllAssessmentTemplatesController
+);
+
+/**
+ * @swagger
+ * /api/assessment-templates/{id}:
+ *   get:
+ *     summary: Get an assessment template by ID
+ *     tags: [Assessment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment template ID
+ *     responses:
+ *       200:
+ *         description: Assessment template details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AssessmentTemplate'
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment template not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  getAssessmentTemplateController
+);
+
+/**
+ * @swagger
+ * /api/assessment-templates/{id}:
+ *   put:
+ *     summary: Update an assessment template
+ *     description: A section blueprint sent in the body replaces the stored one as a whole.
+ *     tags: [Assessment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssessmentTemplate'
+ *     responses:
+ *       200:
+ *         description: Assessment template updated
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment template not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  updateAssessmentTemplateController
+);
+
+/**
+ * @swagger
+ * /api/assessment-templates/{id}:
+ *   delete:
+ *     summary: Delete an assessment template
+ *     tags: [Assessment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment template ID
+ *     responses:
+ *       200:
+ *         description: Assessment template deleted
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment template not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  deleteAssessmentTemplateController
+);
+
+/**
+ * @swagger
+ * /api/assessment-templates/{id}/generate:
+ *   post:
+ *     summary: Generate a randomized item set from a template
+ *     description: >
+ *       Picks random questions, instruments and logic questions that match the template
+ *       without assigning them to anyone. Each call returns a different selection.
+ *       Questions are returned without their correct answers.
+ *     tags: [Assessment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment template ID
+ *     responses:
+ *       200:
+ *         description: Generated item set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     template_id:
+ *                       type: string
+ *                     question_ids:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     instrument_ids:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     logic_question_ids:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     essay_question:
+ *                       type: string
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     instruments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     logic_questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid ID format or not enough items match the template
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment template not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/generate',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  generateAssessmentController
+);
+
+/**
+ * @swagger
+ * /api/assessment-templates/{id}/assign:
+ *   post:
+ *     summary: Assign an assessment generated from a template to a candidate
+ *     description: >
+ *       Generates a randomized item set from the template and creates an assessment
+ *       session for the candidate with those items.
+ *     tags: [Assessment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assessment template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate_id
+ *             properties:
+ *               candidate_id:
+ *                 type: string
+ *               application_id:
+ *                 type: string
+ *                 description: Application of the candidate the assessment is for
+ *               time_limit_minutes:
+ *                 type: integer
+ *                 description: Overrides the template's time limit
+ *     responses:
+ *       201:
+ *         description: Assessment session created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/AssessmentSession'
+ *       400:
+ *         description: Invalid input data or not enough items match the template
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Assessment template, candidate or application not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/assign',
+  requirePermission(PERMISSIONS.ASSESSMENTS_WRITE),
+  assignAssessmentTemplateController
+);
+
+module.exports = router;
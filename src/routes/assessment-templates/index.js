@@ -0,0 +1,27 @@
+/**
+ * Assessment Template Routes Index
+ * @module routes/assessment-templates
+ */
+
+const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+const assessmentTemplateRoutes = require('./assessmentTemplateRoutes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Assessment Templates
+ *   description: Blueprints for assembling randomized assessments
+ */
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.ASSESSMENTS_READ, write: OAUTH_SCOPES.ASSESSMENTS_WRITE })
+);
+
+// Mount the assessment template routes
+router.use('/', assessmentTemplateRoutes);
+
+module.exports = router;
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { createCandidate } = require('../../controllers/candidates/createCandidateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -85,7 +87,9 @@ const { createCandidate } = require('../../controllers/candidates/createCandidat
  *                 example: "https://linkedin.com/in/nguyenvana"
  *               status:
  *                 type: string
- *                 example: "pending"
+ *                 description: Pipeline stage to start in; later changes go through POST /api/candidates/{id}/transition
+ *                 enum: [applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected]
+ *                 default: applied
  *           example:
  *             email: "nguyenvana@example.com"
  *             full_name: "Nguyễn Văn A"
@@ -100,11 +104,13 @@ const { createCandidate } = require('../../controllers/candidates/createCandidat
  *         description: Candidate created successfully
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       409:
  *         description: Candidate with this email already exists
  *       500:
  *         description: Server error
  */
-router.post('/', createCandidate);
+router.post('/', requirePermission(PERMISSIONS.CANDIDATES_WRITE), createCandidate);
 
 module.exports = router;
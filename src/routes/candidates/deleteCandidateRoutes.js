@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { deleteCandidate } = require('../../controllers/candidates/deleteCandidateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -22,11 +24,13 @@ const { deleteCandidate } = require('../../controllers/candidates/deleteCandidat
  *     responses:
  *       200:
  *         description: Candidate deleted successfully
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Candidate not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', deleteCandidate);
+router.delete('/:id', requirePermission(PERMISSIONS.CANDIDATES_WRITE), deleteCandidate);
 
 module.exports = router;
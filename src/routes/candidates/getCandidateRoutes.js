@@ -8,6 +8,11 @@ const router = express.Router();
 const {
   getCandidateByIdController,
 } = require('../../controllers/candidates/getCandidateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -24,11 +29,18 @@ const {
  *     responses:
  *       200:
  *         description: Candidate details
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Candidate not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', getCandidateByIdController);
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.CANDIDATES_READ),
+  restrictToOwnCandidate(req => req.params.id),
+  getCandidateByIdController
+);
 
 module.exports = router;
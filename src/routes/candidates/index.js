@@ -4,12 +4,15 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const router = express.Router();
 const listCandidatesRoutes = require('./listCandidatesRoutes');
 const getCandidateRoutes = require('./getCandidateRoutes');
 const createCandidateRoutes = require('./createCandidateRoutes');
 const updateCandidateRoutes = require('./updateCandidateRoutes');
 const deleteCandidateRoutes = require('./deleteCandidateRoutes');
+const transitionCandidateRoutes = require('./transitionCandidateRoutes');
 
 /**
  * @swagger
@@ -18,11 +21,16 @@ const deleteCandidateRoutes = require('./deleteCandidateRoutes');
  *   description: Candidate management endpoints
  */
 
+router.use(
+  requireScope({ read: OAUTH_SCOPES.CANDIDATES_READ, write: OAUTH_SCOPES.CANDIDATES_WRITE })
+);
+
 // Mount the candidate routes
 router.use('/', listCandidatesRoutes);
 router.use('/', getCandidateRoutes);
 router.use('/', createCandidateRoutes);
 router.use('/', updateCandidateRoutes);
 router.use('/', deleteCandidateRoutes);
+router.use('/', transitionCandidateRoutes);
 
 module.exports = router;
@@ -6,6 +6,11 @@
 const express = require('express');
 const router = express.Router();
 const { getAllCandidates } = require('../../controllers/candidates/listCandidatesController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -43,7 +48,11 @@ const { getAllCandidates } = require('../../controllers/candidates/listCandidate
  *         name: status
  *         schema:
  *           type: string
- *         description: Filter candidates by status (exact match)
+ *         description: |
+ *           Filter candidates by pipeline stage, several separated by commas
+ *           (applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected).
+ *           Candidates whose status is not a stage count as applied.
+ *         example: screening,interview
  *       - in: query
  *         name: sort_by
  *         schema:
@@ -88,9 +97,42 @@ const { getAllCandidates } = require('../../controllers/candidates/listCandidate
  *                     total_pages:
  *                       type: integer
  *                       example: 3
+ *                 pipeline:
+ *                   type: object
+ *                   description: Candidates per pipeline stage, matching the name and email filters (not the status filter)
+ *                   properties:
+ *                     stages:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       example: { applied: 12, screening: 4, assessment_sent: 3, assessment_done: 1, interview: 2, offer: 1, hired: 0, rejected: 5 }
+ *                     levels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           interview_level:
+ *                             type: string
+ *                             example: junior
+ *                           total:
+ *                             type: integer
+ *                             example: 9
+ *                           stages:
+ *                             type: object
+ *                             additionalProperties:
+ *                               type: integer
+ *       400:
+ *         description: Unknown status
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', getAllCandidates);
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.CANDIDATES_READ),
+  restrictToOwnCandidate(() => null),
+  getAllCandidates
+);
 
 module.exports = router;
@@ -0,0 +1,113 @@
+/**
+ * Transition Candidate Routes
+ * @module routes/candidates/transitionCandidateRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  transitionCandidateController,
+} = require('../../controllers/candidates/transitionCandidateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+/**
+ * @swagger
+ * /api/candidates/{id}/transition:
+ *   post:
+ *     summary: Move a candidate to another pipeline stage
+ *     description: |
+ *       Changes the candidate's status if the pipeline allows moving from the current
+ *       stage to the requested one, and appends the change to `status_history` with
+ *       the acting user, the note and a timestamp. Candidates whose status is not a
+ *       pipeline stage are treated as `applied`.
+ *
+ *       Default transitions (change them with CANDIDATE_PIPELINE_TRANSITIONS):
+ *       applied → screening, rejected; screening → assessment_sent, interview, rejected;
+ *       assessment_sent → assessment_done, rejected; assessment_done → interview, offer, rejected;
+ *       interview → assessment_sent, offer, rejected; offer → hired, rejected; rejected → applied.
+ *     tags: [Candidates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The candidate ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected]
+ *                 example: screening
+ *               note:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: CV matches the backend role
+ *     responses:
+ *       200:
+ *         description: Candidate moved to the new stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: screening
+ *                     status_history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                             nullable: true
+ *                             example: applied
+ *                           to:
+ *                             type: string
+ *                             example: screening
+ *                           note:
+ *                             type: string
+ *                           changed_by:
+ *                             type: string
+ *                             nullable: true
+ *                           changed_at:
+ *                             type: string
+ *                             format: date-time
+ *                 message:
+ *                   type: string
+ *                   example: Candidate moved to screening
+ *       400:
+ *         description: Invalid ID, status or note
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Candidate not found
+ *       409:
+ *         description: Transition not allowed from the current stage, or the status changed concurrently
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/transition',
+  requirePermission(PERMISSIONS.CANDIDATES_WRITE),
+  transitionCandidateController
+);
+
+module.exports = router;
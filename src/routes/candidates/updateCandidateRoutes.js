@@ -6,12 +6,17 @@
 const express = require('express');
 const router = express.Router();
 const { updateCandidate } = require('../../controllers/candidates/updateCandidateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
  * /api/candidates/{id}:
  *   put:
  *     summary: Update a candidate
+ *     description: |
+ *       Updates the candidate's details. `status` and `status_history` are ignored;
+ *       change the status with POST /api/candidates/{id}/transition.
  *     tags: [Candidates]
  *     parameters:
  *       - in: path
@@ -100,15 +105,11 @@ const { updateCandidate } = require('../../controllers/candidates/updateCandidat
  *               linkedin_url:
  *                 type: string
  *                 example: "https://linkedin.com/in/nguyenvana"
- *               status:
- *                 type: string
- *                 example: "interviewed"
  *           example:
  *             full_name: "Nguyễn Văn A (Updated)"
  *             email: "nguyenvana.updated@example.com"
  *             skills: ["JavaScript", "React", "Redux", "Node.js"]
  *             interview_level: "mid"
- *             status: "interviewed"
  *             interview_score: 8.5
  *             interview_feedback: "Excellent candidate with strong frontend skills"
  *     responses:
@@ -116,6 +117,8 @@ const { updateCandidate } = require('../../controllers/candidates/updateCandidat
  *         description: Candidate updated successfully
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Candidate not found
  *       409:
@@ -123,6 +126,6 @@ const { updateCandidate } = require('../../controllers/candidates/updateCandidat
  *       500:
  *         description: Server error
  */
-router.put('/:id', updateCandidate);
+router.put('/:id', requirePermission(PERMISSIONS.CANDIDATES_WRITE), updateCandidate);
 
 module.exports = router;
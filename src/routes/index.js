@@ -16,7 +16,14 @@ const instrumentRoutes = require('./instruments');
 const logicTagRoutes = require('./logic-tags');
 const logicQuestionRoutes = require('./logic-questions');
 const oauthRoutes = require('./oauth');
+const oauthClientRoutes = require('./oauth/clientRoutes');
 const userRoutes = require('./users');
+const assessmentSessionRoutes = require('./assessment-sessions');
+const assessmentTemplateRoutes = require('./assessment-templates');
+const jobRoutes = require('./jobs');
+const applicationRoutes = require('./applications');
+const adaptiveSessionRoutes = require('./adaptive-sessions');
+const accountRoutes = require('./account');
 
 /**
  * Creates a router for question routes
@@ -108,6 +115,16 @@ const createOAuthRouter = () => {
   return router;
 };
 
+/**
+ * Creates a router for OAuth client management routes
+ * @returns {Object} Express router for OAuth client routes
+ */
+const createOAuthClientRouter = () => {
+  const router = express.Router();
+  router.use('/', oauthClientRoutes);
+  return router;
+};
+
 /**
  * Creates a router for user routes
  * @returns {Object} Express router for user routes
@@ -118,6 +135,66 @@ const createUserRouter = () => {
   return router;
 };
 
+/**
+ * Creates a router for assessment session routes
+ * @returns {Object} Express router for assessment session routes
+ */
+const createAssessmentSessionRouter = () => {
+  const router = express.Router();
+  router.use('/', assessmentSessionRoutes);
+  return router;
+};
+
+/**
+ * Creates a router for assessment template routes
+ * @returns {Object} Express router for assessment template routes
+ */
+const createAssessmentTemplateRouter = () => {
+  const router = express.Router();
+  router.use('/', assessmentTemplateRoutes);
+  return router;
+};
+
+/**
+ * Creates a router for job routes
+ * @returns {Object} Express router for job routes
+ */
+const createJobRouter = () => {
+  const router = express.Router();
+  router.use('/', jobRoutes);
+  return router;
+};
+
+/**
+ * Creates a router for application routes
+ * @returns {Object} Express router for application routes
+ */
+const createApplicationRouter = () => {
+  const router = express.Router();
+  router.use('/', applicationRoutes);
+  return router;
+};
+
+/**
+ * Creates a router for adaptive session routes
+ * @returns {Object} Express router for adaptive session routes
+ */
+const createAdaptiveSessionRouter = () => {
+  const router = express.Router();
+  router.use('/', adaptiveSessionRoutes);
+  return router;
+};
+
+/**
+ * Creates a router for account routes
+ * @returns {Object} Express router for account routes
+ */
+const createAccountRouter = () => {
+  const router = express.Router();
+  router.use('/', accountRoutes);
+  return router;
+};
+
 module.exports = {
   healthCheckRoutes,
   candidateRoutes,
@@ -131,5 +208,12 @@ module.exports = {
   logicTagRoutes: createLogicTagRouter(),
   logicQuestionRoutes: createLogicQuestionRouter(),
   oauthRoutes: createOAuthRouter(),
+  oauthClientRoutes: createOAuthClientRouter(),
   userRoutes: createUserRouter(),
+  assessmentSessionRoutes: createAssessmentSessionRouter(),
+  assessmentTemplateRoutes: createAssessmentTemplateRouter(),
+  jobRoutes: createJobRouter(),
+  applicationRoutes: createApplicationRouter(),
+  adaptiveSessionRoutes: createAdaptiveSessionRouter(),
+  accountRoutes: createAccountRouter(),
 };
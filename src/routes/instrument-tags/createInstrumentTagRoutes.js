@@ -7,6 +7,8 @@ const express = require('express');
 const {
   createInstrumentTagController,
 } = require('../../controllers/instrument-tags/createInstrumentTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -35,6 +37,19 @@ const router = express.Router();
  *                 type: string
  *                 description: A description of the tag
  *                 example: "Tags related to personality tests and measurements."
+ *               normBands:
+ *                 type: object
+ *                 nullable: true
+ *                 description: |
+ *                   Norm bands for normalized trait scores (0-100). Scores below averageFrom
+ *                   are low, scores from highFrom on are high. Send null to remove them.
+ *                 properties:
+ *                   averageFrom:
+ *                     type: number
+ *                     example: 40
+ *                   highFrom:
+ *                     type: number
+ *                     example: 70
  *     responses:
  *       201:
  *         description: Instrument tag created successfully
@@ -84,6 +99,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Tag name is required", "Tag description is required"]
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -103,6 +120,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.post('/', createInstrumentTagController);
+router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), createInstrumentTagController);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   deleteInstrumentTagController,
 } = require('../../controllers/instrument-tags/deleteInstrumentTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -76,6 +78,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Invalid tag ID format"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Instrument tag not found
  *         content:
@@ -113,6 +117,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.delete('/:id', deleteInstrumentTagController);
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), deleteInstrumentTagController);
 
 module.exports = router;
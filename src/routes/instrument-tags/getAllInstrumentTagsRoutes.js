@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getAllInstrumentTagsController,
 } = require('../../controllers/instrument-tags/getAllInstrumentTagsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -50,6 +52,8 @@ const router = express.Router();
  *                         type: string
  *                         format: date-time
  *                         example: "2025-05-08T10:00:00Z"
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -69,6 +73,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.get('/', getAllInstrumentTagsController);
+router.get('/', requirePermission(PERMISSIONS.CATALOG_READ), getAllInstrumentTagsController);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getInstrumentTagController,
 } = require('../../controllers/instrument-tags/getInstrumentTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -73,6 +75,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Invalid tag ID format"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Instrument tag not found
  *         content:
@@ -110,6 +114,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.get('/:id', getInstrumentTagController);
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_READ), getInstrumentTagController);
 
 module.exports = router;
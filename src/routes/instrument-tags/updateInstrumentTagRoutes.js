@@ -7,6 +7,8 @@ const express = require('express');
 const {
   updateInstrumentTagController,
 } = require('../../controllers/instrument-tags/updateInstrumentTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -42,6 +44,19 @@ const router = express.Router();
  *                 type: string
  *                 description: A description of the tag
  *                 example: "Updated tags related to personality tests and measurements."
+ *               normBands:
+ *                 type: object
+ *                 nullable: true
+ *                 description: |
+ *                   Norm bands for normalized trait scores (0-100). Scores below averageFrom
+ *                   are low, scores from highFrom on are high. Send null to remove them.
+ *                 properties:
+ *                   averageFrom:
+ *                     type: number
+ *                     example: 40
+ *                   highFrom:
+ *                     type: number
+ *                     example: 70
  *     responses:
  *       200:
  *         description: Instrument tag updated successfully
@@ -91,6 +106,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Tag name is required", "Tag description is required"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Instrument tag not found
  *         content:
@@ -128,6 +145,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.put('/:id', updateInstrumentTagController);
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), updateInstrumentTagController);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   createInstrumentController,
 } = require('../../controllers/instruments/createInstrumentController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -54,6 +56,15 @@ const router = express.Router();
  *                 items:
  *                   type: string
  *                 example: ["60b6e98e99f1c5a0b8b7f1c8", "60b6e98e99f1c5a0b8b7f1c9"]
+ *               reverseScored:
+ *                 type: boolean
+ *                 description: Mirror responses on the scale when computing trait scores
+ *                 default: false
+ *               weight:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Weight of the instrument in the trait scores of its tags
+ *                 default: 1
  *     responses:
  *       201:
  *         description: Instrument created successfully
@@ -125,6 +136,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Question ID is required", "Question text is required", "At least one tag is required"]
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -144,6 +157,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.post('/', createInstrumentController);
+router.post('/', requirePermission(PERMISSIONS.INSTRUMENTS_WRITE), createInstrumentController);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   deleteInstrumentController,
 } = require('../../controllers/instruments/deleteInstrumentController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -89,6 +91,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Invalid instrument ID format"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Instrument not found
  *         content:
@@ -126,6 +130,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.delete('/:id', deleteInstrumentController);
+router.delete('/:id', requirePermission(PERMISSIONS.INSTRUMENTS_WRITE), deleteInstrumentController);
 
 module.exports = router;
@@ -0,0 +1,102 @@
+/**
+ * Generate Instruments Routes
+ * @module routes/instruments/generateInstrumentsRoutes
+ */
+
+const express = require('express');
+const {
+  generateInstrumentsController,
+} = require('../../controllers/instruments/generateInstrumentsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/instruments/generate:
+ *   post:
+ *     summary: Generate instruments with an LLM
+ *     description: |
+ *       Queues a job that generates instruments for the given tags. The job validates each
+ *       generated item against the instrument schema, skips items that duplicate existing
+ *       instruments with the same tags, and stores the rest with a generated questionId.
+ *     tags: [Instruments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 description: Instrument tag IDs the items belong to
+ *                 items:
+ *                   type: string
+ *                 example: ["60b6e98e99f1c5a0b8b7f1c8"]
+ *               type:
+ *                 type: string
+ *                 enum: [scale, multiple-choice, open-ended, boolean]
+ *                 description: Item type (the model picks one per item if omitted)
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 default: 10
+ *                 description: Number of items to generate
+ *               provider:
+ *                 type: string
+ *                 description: LLM provider the job generates with (defaults to the LLM_PROVIDER setting)
+ *                 enum: [gemini, openai, ollama, fixture]
+ *               model:
+ *                 type: string
+ *                 description: Model the job generates with (defaults to the provider's configured model)
+ *     responses:
+ *       202:
+ *         description: Generation job created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       example: instrument-generation
+ *                     status:
+ *                       type: string
+ *                       example: new
+ *                     payload:
+ *                       type: object
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - Invalid input data or unknown tags
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/generate',
+  requireScope(OAUTH_SCOPES.QUESTIONS_GENERATE),
+  requirePermission(PERMISSIONS.INSTRUMENTS_WRITE, PERMISSIONS.QUESTIONS_GENERATE),
+  generateInstrumentsController
+);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getAllInstrumentsController,
 } = require('../../controllers/instruments/getAllInstrumentsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -131,6 +133,8 @@ const router = express.Router();
  *                     total_pages:
  *                       type: integer
  *                       example: 3
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -150,6 +154,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.get('/', getAllInstrumentsController);
+router.get('/', requirePermission(PERMISSIONS.INSTRUMENTS_READ), getAllInstrumentsController);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getInstrumentController,
 } = require('../../controllers/instruments/getInstrumentController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -95,6 +97,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Invalid instrument ID format"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Instrument not found
  *         content:
@@ -132,6 +136,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.get('/:id', getInstrumentController);
+router.get('/:id', requirePermission(PERMISSIONS.INSTRUMENTS_READ), getInstrumentController);
 
 module.exports = router;
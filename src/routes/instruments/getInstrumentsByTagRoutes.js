@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getInstrumentsByTagController,
 } = require('../../controllers/instruments/getInstrumentsByTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -137,6 +139,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Invalid tag ID format"]
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -156,6 +160,10 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.get('/tag/:tagId', getInstrumentsByTagController);
+router.get(
+  '/tag/:tagId',
+  requirePermission(PERMISSIONS.INSTRUMENTS_READ),
+  getInstrumentsByTagController
+);
 
 module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Instrument Import and Export Routes
+ * @module routes/instruments/importExportInstrumentsRoutes
+ */
+
+const express = require('express');
+const {
+  createImportController,
+  createExportController,
+} = require('../../controllers/question-bank/questionBankController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { uploadSingleFile } = require('../../middlewares/uploadMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/instruments/export:
+ *   get:
+ *     summary: Export all instruments
+ *     description: |
+ *       Downloads all instruments as JSON, CSV or GIFT. In CSV, tags are separated by
+ *       semicolons and options are a JSON array. In GIFT, the questionId is the question
+ *       title and options are written as answers without credit.
+ *     tags: [Instruments]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Exported file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Instrument'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/export',
+  requirePermission(PERMISSIONS.INSTRUMENTS_WRITE),
+  createExportController('instruments')
+);
+
+/**
+ * @swagger
+ * /api/instruments/import:
+ *   post:
+ *     summary: Import instruments from a file
+ *     description: |
+ *       Upserts the instruments of a JSON, CSV or GIFT file. A record with an `_id` updates
+ *       that instrument; one without updates the instrument with the same questionId, or
+ *       is created. Each record is validated against the instrument schema and gets a line
+ *       in the report; invalid records are skipped.
+ *     tags: [Instruments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionBankImportUpload'
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/QuestionBankImportResult'
+ *       400:
+ *         description: Missing file, unknown format or unreadable file
+ *       403:
+ *         description: Insufficient permissions
+ *       413:
+ *         description: File larger than 5 MB
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/import',
+  requirePermission(PERMISSIONS.INSTRUMENTS_WRITE),
+  uploadSingleFile('file'),
+  createImportController('instruments')
+);
+
+module.exports = router;
@@ -4,7 +4,11 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const createInstrumentRoutes = require('./createInstrumentRoutes');
+const generateInstrumentsRoutes = require('./generateInstrumentsRoutes');
+const importExportInstrumentsRoutes = require('./importExportInstrumentsRoutes');
 const getAllInstrumentsRoutes = require('./getAllInstrumentsRoutes');
 const getInstrumentRoutes = require('./getInstrumentRoutes');
 const getInstrumentsByTagRoutes = require('./getInstrumentsByTagRoutes');
@@ -20,8 +24,16 @@ const router = express.Router();
  *   description: API endpoints for managing instruments (assessment questions)
  */
 
+// Generation routes check the questions:generate scope themselves
+router.use(generateInstrumentsRoutes);
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.QUESTIONS_READ, write: OAUTH_SCOPES.QUESTIONS_WRITE })
+);
+
 // Mount the individual route modules
 router.use(createInstrumentRoutes);
+router.use(importExportInstrumentsRoutes);
 router.use(getAllInstrumentsRoutes);
 router.use(getInstrumentRoutes);
 router.use(getInstrumentsByTagRoutes);
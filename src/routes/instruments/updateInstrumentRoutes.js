@@ -7,6 +7,8 @@ const express = require('express');
 const {
   updateInstrumentController,
 } = require('../../controllers/instruments/updateInstrumentController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -56,6 +58,15 @@ const router = express.Router();
  *                 items:
  *                   type: string
  *                 example: ["60b6e98e99f1c5a0b8b7f1c8", "60b6e98e99f1c5a0b8b7f1c9"]
+ *               reverseScored:
+ *                 type: boolean
+ *                 description: Mirror responses on the scale when computing trait scores
+ *                 default: false
+ *               weight:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Weight of the instrument in the trait scores of its tags
+ *                 default: 1
  *     responses:
  *       200:
  *         description: Instrument updated successfully
@@ -127,6 +138,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Question ID is required", "Question text is required", "At least one tag is required"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Instrument not found
  *         content:
@@ -164,6 +177,6 @@ const router = express.Router();
  *                     type: string
  *                   example: ["Internal server error"]
  */
-router.put('/:id', updateInstrumentController);
+router.put('/:id', requirePermission(PERMISSIONS.INSTRUMENTS_WRITE), updateInstrumentController);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Job Routes Index
+ * @module routes/jobs
+ */
+
+const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+const jobRoutes = require('./jobRoutes');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background jobs created by question and item generation requests
+ */
+
+// Jobs are created by generation requests, so they share the generate scope
+router.use(requireScope(OAUTH_SCOPES.QUESTIONS_GENERATE));
+
+// Mount the job routes
+router.use('/', jobRoutes);
+
+module.exports = router;
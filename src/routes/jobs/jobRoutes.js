@@ -0,0 +1,185 @@
+/**
+ * Job Routes
+ * @module routes/jobs/jobRoutes
+ */
+
+const express = require('express');
+const {
+  getJobsController,
+  getJobController,
+  getWorkersController,
+} = require('../../controllers/jobs/jobController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List jobs
+ *     description: Lists background jobs, newest first
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only jobs of this type (e.g. question-request)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, pending, processing, retrying, done, failed]
+ *         description: Only jobs with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationInfo'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', requirePermission(PERMISSIONS.JOBS_READ), getJobsController);
+
+/**
+ * @swagger
+ * /api/jobs/workers:
+ *   get:
+ *     summary: List job workers
+ *     description: >
+ *       Returns the registered job workers with their last heartbeat and running jobs,
+ *       and the number of waiting, delayed and dead-lettered jobs. Workers whose heartbeat
+ *       expired have `alive: false`; their jobs are re-queued by the next live worker.
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Workers retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     workers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           alive:
+ *                             type: boolean
+ *                           pid:
+ *                             type: integer
+ *                           hostname:
+ *                             type: string
+ *                           startedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastHeartbeat:
+ *                             type: string
+ *                             format: date-time
+ *                           concurrency:
+ *                             type: integer
+ *                           activeJobs:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 jobId:
+ *                                   type: string
+ *                                 startedAt:
+ *                                   type: string
+ *                                   format: date-time
+ *                           reserved:
+ *                             type: integer
+ *                             description: Jobs held in the worker's processing list
+ *                     queue:
+ *                       type: object
+ *                       properties:
+ *                         waiting:
+ *                           type: integer
+ *                         delayed:
+ *                           type: integer
+ *                         deadLetter:
+ *                           type: integer
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/workers', requirePermission(PERMISSIONS.JOBS_READ), getWorkersController);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a job
+ *     description: Returns a job with its attempt history and last error
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid job ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', requirePermission(PERMISSIONS.JOBS_READ), getJobController);
+
+module.exports = router;
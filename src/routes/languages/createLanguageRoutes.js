@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { createLanguageController } = require('../../controllers/languages');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -73,11 +75,13 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Language'
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       409:
  *         description: Language with the same name or slug already exists
  *       500:
  *         description: Server error
  */
-router.post('/', createLanguageController);
+router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), createLanguageController);
 
 module.exports = router;
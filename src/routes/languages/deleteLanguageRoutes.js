@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { deleteLanguageController } = require('../../controllers/languages');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -35,11 +37,13 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: Language deleted successfully.
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Language not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', deleteLanguageController);
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), deleteLanguageController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getAllLanguagesController } = require('../../controllers/languages');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -100,9 +102,11 @@ const router = express.Router();
  *                     total_pages:
  *                       type: integer
  *                       example: 3
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', getAllLanguagesController);
+router.get('/', requirePermission(PERMISSIONS.CATALOG_READ), getAllLanguagesController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getLanguageByIdController } = require('../../controllers/languages');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -34,11 +36,13 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/Language'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Language not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', getLanguageByIdController);
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_READ), getLanguageByIdController);
 
 module.exports = router;
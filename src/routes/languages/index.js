@@ -4,6 +4,8 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const getAllLanguagesRoutes = require('./getAllLanguagesRoutes');
 const getLanguageByIdRoutes = require('./getLanguageByIdRoutes');
 const createLanguageRoutes = require('./createLanguageRoutes');
@@ -19,6 +21,8 @@ const router = express.Router();
  *   description: API endpoints for managing programming languages
  */
 
+router.use(requireScope({ read: OAUTH_SCOPES.CATALOG_READ, write: OAUTH_SCOPES.CATALOG_WRITE }));
+
 // Mount the individual route modules
 router.use(getAllLanguagesRoutes);
 router.use(getLanguageByIdRoutes);
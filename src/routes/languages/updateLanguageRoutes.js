@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { updateLanguageController } = require('../../controllers/languages');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -72,6 +74,8 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Language'
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Language not found
  *       409:
@@ -79,6 +83,6 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.put('/:id', updateLanguageController);
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), updateLanguageController);
 
 module.exports = router;
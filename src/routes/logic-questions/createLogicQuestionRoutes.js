@@ -7,6 +7,8 @@ const express = require('express');
 const {
   createLogicQuestionController,
 } = require('../../controllers/logic-questions/createLogicQuestionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -42,6 +44,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -49,6 +53,10 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', createLogicQuestionController);
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_WRITE),
+  createLogicQuestionController
+);
 
 module.exports = router;
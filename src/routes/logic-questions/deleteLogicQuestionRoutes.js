@@ -7,6 +7,8 @@ const express = require('express');
 const {
   deleteLogicQuestionController,
 } = require('../../controllers/logic-questions/deleteLogicQuestionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -37,6 +39,8 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/LogicQuestion'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Logic question not found
  *         content:
@@ -56,6 +60,10 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', deleteLogicQuestionController);
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_WRITE),
+  deleteLogicQuestionController
+);
 
 module.exports = router;
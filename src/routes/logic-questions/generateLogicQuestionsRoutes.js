@@ -0,0 +1,115 @@
+/**
+ * Generate Logic Questions Routes
+ * @module routes/logic-questions/generateLogicQuestionsRoutes
+ */
+
+const express = require('express');
+const {
+  generateLogicQuestionsController,
+} = require('../../controllers/logic-questions/generateLogicQuestionsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/logic-questions/generate:
+ *   post:
+ *     summary: Generate logic questions with an LLM
+ *     description: |
+ *       Queues a job that generates logic questions for the given tags. The job validates
+ *       each generated question against the logic question schema, skips questions that
+ *       duplicate existing questions with the same tags, and stores the rest.
+ *     tags: [Logic Questions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tag_ids
+ *             properties:
+ *               tag_ids:
+ *                 type: array
+ *                 description: Logic tag IDs the questions belong to
+ *                 items:
+ *                   type: string
+ *                 example: ["60d21b4667d0d8992e610c85"]
+ *               level:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 6
+ *                 description: Difficulty level (the model picks one per question if omitted)
+ *               type:
+ *                 type: string
+ *                 enum: [multiple_choice, open_question]
+ *                 description: Question type (both types are allowed if omitted)
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 default: 10
+ *                 description: Number of questions to generate
+ *               provider:
+ *                 type: string
+ *                 description: LLM provider the job generates with (defaults to the LLM_PROVIDER setting)
+ *                 enum: [gemini, openai, ollama, fixture]
+ *               model:
+ *                 type: string
+ *                 description: Model the job generates with (defaults to the provider's configured model)
+ *     responses:
+ *       202:
+ *         description: Generation job created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       example: logic-question-generation
+ *                     status:
+ *                       type: string
+ *                       example: new
+ *                     payload:
+ *                       type: object
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Bad request - Invalid input data or unknown tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  '/generate',
+  requireScope(OAUTH_SCOPES.QUESTIONS_GENERATE),
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_WRITE, PERMISSIONS.QUESTIONS_GENERATE),
+  generateLogicQuestionsController
+);
+
+module.exports = router;
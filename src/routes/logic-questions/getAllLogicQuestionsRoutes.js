@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getAllLogicQuestionsController,
 } = require('../../controllers/logic-questions/getAllLogicQuestionsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -93,9 +95,15 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/PaginationInfo'
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', getAllLogicQuestionsController);
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_READ),
+  getAllLogicQuestionsController
+);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getLogicQuestionController,
 } = require('../../controllers/logic-questions/getLogicQuestionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -37,6 +39,8 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/LogicQuestion'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Logic question not found
  *         content:
@@ -56,6 +60,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', getLogicQuestionController);
+router.get('/:id', requirePermission(PERMISSIONS.LOGIC_QUESTIONS_READ), getLogicQuestionController);
 
 module.exports = router;
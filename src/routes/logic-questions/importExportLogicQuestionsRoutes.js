@@ -0,0 +1,108 @@
+/**
+ * Logic Question Import and Export Routes
+ * @module routes/logic-questions/importExportLogicQuestionsRoutes
+ */
+
+const express = require('express');
+const {
+  createImportController,
+  createExportController,
+} = require('../../controllers/question-bank/questionBankController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { uploadSingleFile } = require('../../middlewares/uploadMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/logic-questions/export:
+ *   get:
+ *     summary: Export all logic questions
+ *     description: |
+ *       Downloads all logic questions, with their correct choices, as JSON, CSV or GIFT.
+ *       In CSV, tag_ids are separated by semicolons and choices are a JSON array. In GIFT,
+ *       open questions are essays and questions with several correct choices use weights.
+ *     tags: [Logic Questions]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Exported file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LogicQuestion'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/export',
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_WRITE),
+  createExportController('logic_questions')
+);
+
+/**
+ * @swagger
+ * /api/logic-questions/import:
+ *   post:
+ *     summary: Import logic questions from a file
+ *     description: |
+ *       Upserts the logic questions of a JSON, CSV or GIFT file. A record with an `_id`
+ *       updates that question; one without updates the question with the same text, or is
+ *       created. Each record is validated against the logic question schema and gets a
+ *       line in the report; invalid records are skipped.
+ *     tags: [Logic Questions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionBankImportUpload'
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/QuestionBankImportResult'
+ *       400:
+ *         description: Missing file, unknown format or unreadable file
+ *       403:
+ *         description: Insufficient permissions
+ *       413:
+ *         description: File larger than 5 MB
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/import',
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_WRITE),
+  uploadSingleFile('file'),
+  createImportController('logic_questions')
+);
+
+module.exports = router;
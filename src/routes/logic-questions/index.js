@@ -4,7 +4,11 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const createLogicQuestionRoutes = require('./createLogicQuestionRoutes');
+const generateLogicQuestionsRoutes = require('./generateLogicQuestionsRoutes');
+const importExportLogicQuestionsRoutes = require('./importExportLogicQuestionsRoutes');
 const getAllLogicQuestionsRoutes = require('./getAllLogicQuestionsRoutes');
 const getLogicQuestionRoutes = require('./getLogicQuestionRoutes');
 const updateLogicQuestionRoutes = require('./updateLogicQuestionRoutes');
@@ -12,8 +16,16 @@ const deleteLogicQuestionRoutes = require('./deleteLogicQuestionRoutes');
 
 const router = express.Router();
 
+// Generation routes check the questions:generate scope themselves
+router.use(generateLogicQuestionsRoutes);
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.QUESTIONS_READ, write: OAUTH_SCOPES.QUESTIONS_WRITE })
+);
+
 // Mount the individual route modules
 router.use(createLogicQuestionRoutes);
+router.use(importExportLogicQuestionsRoutes);
 router.use(getAllLogicQuestionsRoutes);
 router.use(getLogicQuestionRoutes);
 router.use(updateLogicQuestionRoutes);
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   updateLogicQuestionController,
 } = require('../../controllers/logic-questions/updateLogicQuestionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -43,6 +45,8 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/LogicQuestion'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Logic question not found
  *         content:
@@ -62,6 +66,10 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', updateLogicQuestionController);
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.LOGIC_QUESTIONS_WRITE),
+  updateLogicQuestionController
+);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   createLogicTagController,
 } = require('../../controllers/logic-tags/createLogicTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -42,6 +44,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -49,6 +53,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', createLogicTagController);
+router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), createLogicTagController);
 
 module.exports = router;
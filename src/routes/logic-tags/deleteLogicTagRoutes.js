@@ -7,6 +7,8 @@ const express = require('express');
 const {
   deleteLogicTagController,
 } = require('../../controllers/logic-tags/deleteLogicTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -37,6 +39,8 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/LogicTag'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Logic tag not found
  *         content:
@@ -56,6 +60,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', deleteLogicTagController);
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), deleteLogicTagController);
 
 module.exports = router;
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   getAllLogicTagsController,
 } = require('../../controllers/logic-tags/getAllLogicTagsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -32,6 +34,8 @@ const router = express.Router();
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/LogicTag'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -39,6 +43,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', getAllLogicTagsController);
+router.get('/', requirePermission(PERMISSIONS.CATALOG_READ), getAllLogicTagsController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getLogicTagController } = require('../../controllers/logic-tags/getLogicTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -35,6 +37,8 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/LogicTag'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Logic tag not found
  *         content:
@@ -54,6 +58,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', getLogicTagController);
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_READ), getLogicTagController);
 
 module.exports = router;
@@ -4,6 +4,8 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const createLogicTagRoutes = require('./createLogicTagRoutes');
 const getAllLogicTagsRoutes = require('./getAllLogicTagsRoutes');
 const getLogicTagRoutes = require('./getLogicTagRoutes');
@@ -12,6 +14,8 @@ const deleteLogicTagRoutes = require('./deleteLogicTagRoutes');
 
 const router = express.Router();
 
+router.use(requireScope({ read: OAUTH_SCOPES.CATALOG_READ, write: OAUTH_SCOPES.CATALOG_WRITE }));
+
 // Mount the individual route modules
 router.use(createLogicTagRoutes);
 router.use(getAllLogicTagsRoutes);
@@ -7,6 +7,8 @@ const express = require('express');
 const {
   updateLogicTagController,
 } = require('../../controllers/logic-tags/updateLogicTagController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -43,6 +45,8 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/LogicTag'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Logic tag not found
  *         content:
@@ -62,6 +66,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', updateLogicTagController);
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), updateLogicTagController);
 
 module.exports = router;
@@ -9,7 +9,7 @@ const {
   renderAuthorizationForm,
   handleAuthorizationDecision,
 } = require('../../controllers/oauth/authorizeController');
-const { initializeOAuthServer } = require('../../oauth/server');
+const { initializeOAuthServer, createAuthorizeHandler } = require('../../oauth/server');
 
 // Initialize OAuth server
 const oauthServer = initializeOAuthServer();
@@ -18,8 +18,12 @@ const oauthServer = initializeOAuthServer();
  * @swagger
  * /api/oauth/authorize:
  *   get:
- *     summary: OAuth 2.0 authorization endpoint (form)
- *     description: Renders the authorization form for the user to approve or deny
+ *     summary: OAuth 2.0 authorization endpoint (login and consent form)
+ *     description: >
+ *       Validates the client and redirect URI, then renders a page where the user logs in and
+ *       approves or denies the requested scopes. Requests with an unknown client or an
+ *       unregistered redirect URI get an error page; other invalid requests are redirected to
+ *       the client with an `error` parameter. Public clients must send a PKCE code challenge.
  *     tags: [OAuth]
  *     parameters:
  *       - in: query
@@ -37,25 +41,38 @@ const oauthServer = initializeOAuthServer();
  *         description: The client ID
  *       - in: query
  *         name: redirect_uri
- *         required: true
  *         schema:
  *           type: string
- *         description: The redirect URI
+ *         description: The redirect URI; must match one registered for the client and may only be omitted when a single one is registered
  *       - in: query
  *         name: scope
  *         schema:
  *           type: string
- *         description: The requested scope
+ *         description: The requested scopes, separated by spaces
  *       - in: query
  *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: An opaque value returned to the client with the code
+ *       - in: query
+ *         name: code_challenge
+ *         schema:
+ *           type: string
+ *         description: PKCE code challenge, the base64url SHA-256 digest of the code verifier (required for public clients)
+ *       - in: query
+ *         name: code_challenge_method
  *         schema:
  *           type: string
- *         description: An opaque value used for security
+ *           enum: [S256]
+ *         description: PKCE code challenge method (required with code_challenge)
  *     responses:
  *       200:
- *         description: Authorization form rendered successfully
+ *         description: Login and consent page rendered successfully
+ *       302:
+ *         description: Redirects to the client with an error for invalid requests
  *       400:
- *         description: Invalid request
+ *         description: Unknown client or unregistered redirect URI (error page)
  */
 router.get('/', renderAuthorizationForm);
 
@@ -64,7 +81,10 @@ router.get('/', renderAuthorizationForm);
  * /api/oauth/authorize:
  *   post:
  *     summary: OAuth 2.0 authorization endpoint (decision)
- *     description: Handles the user's decision to approve or deny the authorization
+ *     description: >
+ *       Handles the consent form. The CSRF token must match the cookie set with the form.
+ *       An approval logs the user in with their credentials and redirects to the client with
+ *       an authorization code; a denial redirects with `error=access_denied`.
  *     tags: [OAuth]
  *     requestBody:
  *       required: true
@@ -88,34 +108,43 @@ router.get('/', renderAuthorizationForm);
  *                 description: The requested scope
  *               state:
  *                 type: string
- *                 description: An opaque value used for security
+ *                 description: An opaque value returned to the client with the code
+ *               code_challenge:
+ *                 type: string
+ *                 description: PKCE code challenge
+ *               code_challenge_method:
+ *                 type: string
+ *                 enum: [S256]
+ *                 description: PKCE code challenge method
+ *               csrf_token:
+ *                 type: string
+ *                 description: CSRF token rendered in the form
+ *               username:
+ *                 type: string
+ *                 description: Username or email of the user (for approvals)
+ *               password:
+ *                 type: string
+ *                 description: Password of the user (for approvals)
  *               approved:
  *                 type: string
  *                 enum: [true, false]
  *                 description: Whether the user approved the authorization
  *             required:
  *               - client_id
- *               - redirect_uri
  *               - response_type
+ *               - state
+ *               - csrf_token
  *               - approved
  *     responses:
  *       302:
  *         description: Redirects to the redirect URI with authorization code or error
  *       400:
- *         description: Invalid request
+ *         description: Unknown client or unregistered redirect URI (error page)
+ *       401:
+ *         description: Invalid credentials; the form is rendered again
+ *       403:
+ *         description: Missing or invalid CSRF token
  */
-router.post(
-  '/',
-  handleAuthorizationDecision,
-  oauthServer.authorize({
-    authenticateHandler: {
-      handle: req => {
-        // The user is set in the handleAuthorizationDecision middleware
-        // if the user approved the authorization
-        return req.user;
-      },
-    },
-  })
-);
+router.post('/', handleAuthorizationDecision, createAuthorizeHandler(oauthServer));
 
 module.exports = router;
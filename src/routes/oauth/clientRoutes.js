@@ -12,21 +12,34 @@ const {
   updateClient,
   deleteClient,
 } = require('../../controllers/oauth/clientController');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+
+// Client management requires the admin scope
+router.use(requireScope(OAUTH_SCOPES.ADMIN));
 
 /**
  * @swagger
  * /api/oauth/clients:
  *   get:
  *     summary: Get all OAuth clients
- *     description: Returns a list of all OAuth clients
+ *     description: Returns a list of all OAuth clients, including service accounts
  *     tags: [OAuth]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serviceAccounts
+ *         schema:
+ *           type: boolean
+ *         description: Only return service accounts (true) or only other clients (false)
  *     responses:
  *       200:
  *         description: List of OAuth clients
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or missing admin scope
  *       500:
  *         description: Server error
  */
@@ -53,7 +66,11 @@ router.get('/', getClients);
  *                 description: The client ID
  *               clientSecret:
  *                 type: string
- *                 description: The client secret
+ *                 description: The client secret (not used by public clients)
+ *               isPublic:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Public clients (single-page and native apps) have no secret and must use the authorization code grant with PKCE
  *               redirectUris:
  *                 type: array
  *                 items:
@@ -63,18 +80,25 @@ router.get('/', getClients);
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [password, refresh_token, authorization_code]
- *                 description: The grant types
+ *                   enum: [password, refresh_token, authorization_code, client_credentials]
+ *                 description: The grant types; clients with client_credentials are service accounts and must be confidential
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [questions:read, questions:write, questions:generate, catalog:read, catalog:write, candidates:read, candidates:write, submissions:read, submissions:write, assessments:read, assessments:write, profile, admin]
+ *                 description: The scopes the client may request; when empty, every scope except admin
  *             required:
  *               - clientId
- *               - clientSecret
  *     responses:
  *       201:
  *         description: OAuth client created successfully
  *       400:
- *         description: Invalid request
+ *         description: Invalid request or unknown scopes
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or missing admin scope
  *       409:
  *         description: OAuth client already exists
  *       500:
@@ -103,6 +127,8 @@ router.post('/', createClient);
  *         description: OAuth client
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or missing admin scope
  *       404:
  *         description: OAuth client not found
  *       500:
@@ -142,15 +168,23 @@ router.get('/:clientId', getClientById);
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [password, refresh_token, authorization_code]
- *                 description: The grant types
+ *                   enum: [password, refresh_token, authorization_code, client_credentials]
+ *                 description: The grant types; clients with client_credentials are service accounts and must be confidential
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [questions:read, questions:write, questions:generate, catalog:read, catalog:write, candidates:read, candidates:write, submissions:read, submissions:write, assessments:read, assessments:write, profile, admin]
+ *                 description: The scopes the client may request; when empty, every scope except admin
  *     responses:
  *       200:
  *         description: OAuth client updated successfully
  *       400:
- *         description: Invalid request
+ *         description: Invalid request or unknown scopes
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or missing admin scope
  *       404:
  *         description: OAuth client not found
  *       500:
@@ -179,6 +213,8 @@ router.put('/:clientId', updateClient);
  *         description: OAuth client deleted successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or missing admin scope
  *       404:
  *         description: OAuth client not found
  *       500:
@@ -7,7 +7,7 @@ const express = require('express');
 const router = express.Router();
 const tokenRoutes = require('./tokenRoutes');
 const authorizeRoutes = require('./authorizeRoutes');
-const clientRoutes = require('./clientRoutes');
+const introspectRoutes = require('./introspectRoutes');
 
 /**
  * @swagger
@@ -17,8 +17,9 @@ const clientRoutes = require('./clientRoutes');
  */
 
 // Mount the OAuth routes
+// Client management (/clients) is mounted separately in src/index.js behind authentication
 router.use('/token', tokenRoutes);
 router.use('/authorize', authorizeRoutes);
-router.use('/clients', clientRoutes);
+router.use('/introspect', introspectRoutes);
 
 module.exports = router;
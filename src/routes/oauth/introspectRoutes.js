@@ -0,0 +1,79 @@
+/**
+ * OAuth Token Introspection Routes
+ * @module routes/oauth/introspectRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { handleTokenIntrospection } = require('../../controllers/oauth/tokenController');
+
+/**
+ * @swagger
+ * /api/oauth/introspect:
+ *   post:
+ *     summary: OAuth 2.0 token introspection endpoint
+ *     description: Lets resource servers check an access or refresh token (RFC 7662). The caller authenticates as a confidential client with client_id and client_secret in the body or with HTTP Basic authentication. Expired, revoked and unknown tokens are reported as inactive.
+ *     tags: [OAuth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token to introspect
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *                 description: The type of the token; the other type is tried as well
+ *               client_id:
+ *                 type: string
+ *                 description: The client ID (unless HTTP Basic authentication is used)
+ *               client_secret:
+ *                 type: string
+ *                 description: The client secret (unless HTTP Basic authentication is used)
+ *             required:
+ *               - token
+ *     responses:
+ *       200:
+ *         description: Introspection result; only `active` is returned for inactive tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: boolean
+ *                   example: true
+ *                 scope:
+ *                   type: string
+ *                   example: questions:read profile
+ *                 client_id:
+ *                   type: string
+ *                   example: web-client
+ *                 username:
+ *                   type: string
+ *                   example: johndoe
+ *                 sub:
+ *                   type: string
+ *                   description: ID of the user, or of the client for service accounts
+ *                   example: 60d21b4667d0d8992e610c85
+ *                 token_type:
+ *                   type: string
+ *                   enum: [Bearer, refresh_token]
+ *                 exp:
+ *                   type: integer
+ *                   description: Expiry time in seconds since the epoch
+ *                 iat:
+ *                   type: integer
+ *                   description: Issue time in seconds since the epoch
+ *       400:
+ *         description: Invalid request - the token parameter is missing
+ *       401:
+ *         description: Client authentication failed
+ */
+router.post('/', handleTokenIntrospection);
+
+module.exports = router;
@@ -7,9 +7,10 @@ const express = require('express');
 const router = express.Router();
 const {
   handleTokenRequest,
+  verifyCodeVerifier,
   handleTokenRevocation,
 } = require('../../controllers/oauth/tokenController');
-const { initializeOAuthServer } = require('../../oauth/server');
+const { initializeOAuthServer, createTokenHandler } = require('../../oauth/server');
 
 // Initialize OAuth server
 const oauthServer = initializeOAuthServer();
@@ -19,7 +20,7 @@ const oauthServer = initializeOAuthServer();
  * /api/oauth/token:
  *   post:
  *     summary: OAuth 2.0 token endpoint
- *     description: Obtain an access token using various grant types (password, refresh_token, authorization_code)
+ *     description: Obtain an access token using various grant types (password, refresh_token, authorization_code, client_credentials). Service accounts use client_credentials with their client secret; their tokens are not tied to a user and have no refresh token.
  *     tags: [OAuth]
  *     requestBody:
  *       required: true
@@ -30,14 +31,14 @@ const oauthServer = initializeOAuthServer();
  *             properties:
  *               grant_type:
  *                 type: string
- *                 enum: [password, refresh_token, authorization_code]
+ *                 enum: [password, refresh_token, authorization_code, client_credentials]
  *                 description: The grant type
  *               client_id:
  *                 type: string
  *                 description: The client ID
  *               client_secret:
  *                 type: string
- *                 description: The client secret
+ *                 description: The client secret (omitted by public clients exchanging a PKCE authorization code)
  *               username:
  *                 type: string
  *                 description: The username (for password grant)
@@ -53,10 +54,16 @@ const oauthServer = initializeOAuthServer();
  *               redirect_uri:
  *                 type: string
  *                 description: The redirect URI (for authorization_code grant)
+ *               code_verifier:
+ *                 type: string
+ *                 description: The PKCE code verifier, required when the authorization request sent a code_challenge
+ *               scope:
+ *                 type: string
+ *                 description: Space-delimited scopes to request (for password and client_credentials grants); defaults to every scope the client may request
+ *                 example: questions:read questions:write
  *             required:
  *               - grant_type
  *               - client_id
- *               - client_secret
  *     responses:
  *       200:
  *         description: Access token generated successfully
@@ -77,19 +84,23 @@ const oauthServer = initializeOAuthServer();
  *                 refresh_token:
  *                   type: string
  *                   description: The refresh token (if applicable)
+ *                 scope:
+ *                   type: string
+ *                   description: Space-delimited scopes granted to the token
+ *                   example: questions:read questions:write
  *       400:
- *         description: Invalid request
+ *         description: Invalid request (error invalid_scope when none of the requested scopes is allowed)
  *       401:
  *         description: Unauthorized
  */
-router.post('/', handleTokenRequest, oauthServer.token());
+router.post('/', handleTokenRequest, verifyCodeVerifier, createTokenHandler(oauthServer));
 
 /**
  * @swagger
- * /api/oauth/revoke:
+ * /api/oauth/token/revoke:
  *   post:
  *     summary: OAuth 2.0 token revocation endpoint
- *     description: Revoke an access token or refresh token
+ *     description: Revoke an access token or refresh token issued to the calling client (RFC 7009). The client authenticates with client_id and client_secret in the body or with HTTP Basic authentication; public clients send their client_id only.
  *     tags: [OAuth]
  *     requestBody:
  *       required: true
@@ -113,23 +124,14 @@ router.post('/', handleTokenRequest, oauthServer.token());
  *                 description: The client secret
  *             required:
  *               - token
- *               - client_id
- *               - client_secret
  *     responses:
  *       200:
- *         description: Token revoked successfully
+ *         description: Token revoked, or the token was unknown or belongs to another client
  *       400:
  *         description: Invalid request
  *       401:
- *         description: Unauthorized
+ *         description: Client authentication failed
  */
-router.post('/revoke', handleTokenRevocation, (req, res) => {
-  // The token revocation is handled by the controller
-  // This is just a placeholder for the response
-  res.status(200).json({
-    status: 'success',
-    message: 'Token revoked successfully',
-  });
-});
+router.post('/revoke', handleTokenRevocation);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { createPositionController } = require('../../controllers/positions');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -64,11 +66,13 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Position'
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       409:
  *         description: Position with the same slug already exists
  *       500:
  *         description: Server error
  */
-router.post('/', createPositionController);
+router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), createPositionController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { deletePositionController } = require('../../controllers/positions');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -35,11 +37,13 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: Position deleted successfully.
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Position not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', deletePositionController);
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), deletePositionController);
 
 module.exports = router;
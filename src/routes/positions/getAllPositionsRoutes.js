@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getAllPositionsController } = require('../../controllers/positions');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -90,9 +92,11 @@ const router = express.Router();
  *                     total_pages:
  *                       type: integer
  *                       example: 3
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', getAllPositionsController);
+router.get('/', requirePermission(PERMISSIONS.CATALOG_READ), getAllPositionsController);
 
 module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * Get Position Applications Routes
+ * @module routes/positions/getPositionApplicationsRoutes
+ */
+
+const express = require('express');
+const {
+  getPositionApplicationsController,
+} = require('../../controllers/applications/applicationController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/positions/{id}/applications:
+ *   get:
+ *     summary: List the applicants of a position
+ *     description: |
+ *       Returns the applications for the position, newest first, with the candidate's
+ *       contact details and the scores of the latest submission made for each application.
+ *     tags: [Positions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Position ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by pipeline stage
+ *     responses:
+ *       200:
+ *         description: Applications of the position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Application'
+ *                       - type: object
+ *                         properties:
+ *                           candidate:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               full_name:
+ *                                 type: string
+ *                               email:
+ *                                 type: string
+ *                               interview_level:
+ *                                 type: string
+ *                           latest_submission:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Null if no submission references the application yet
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               scores:
+ *                                 type: object
+ *                                 description: Score summary computed when the submission was scored
+ *       400:
+ *         description: Invalid ID format or filter
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Position not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/applications',
+  requireScope(OAUTH_SCOPES.CANDIDATES_READ),
+  requirePermission(PERMISSIONS.CANDIDATES_READ),
+  restrictToOwnCandidate(() => null),
+  getPositionApplicationsController
+);
+
+module.exports = router;
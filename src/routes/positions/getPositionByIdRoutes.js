@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getPositionByIdController } = require('../../controllers/positions');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -34,11 +36,13 @@ const router = express.Router();
  *                   example: success
  *                 data:
  *                   $ref: '#/components/schemas/Position'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Position not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', getPositionByIdController);
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_READ), getPositionByIdController);
 
 module.exports = router;
@@ -4,11 +4,14 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const getAllPositionsRoutes = require('./getAllPositionsRoutes');
 const getPositionByIdRoutes = require('./getPositionByIdRoutes');
 const createPositionRoutes = require('./createPositionRoutes');
 const updatePositionRoutes = require('./updatePositionRoutes');
 const deletePositionRoutes = require('./deletePositionRoutes');
+const getPositionApplicationsRoutes = require('./getPositionApplicationsRoutes');
 
 const router = express.Router();
 
@@ -19,6 +22,12 @@ const router = express.Router();
  *   description: API endpoints for managing positions
  */
 
+// Applications of a position are candidate data and require the candidates scope,
+// so they are mounted before the catalog scope applies
+router.use(getPositionApplicationsRoutes);
+
+router.use(requireScope({ read: OAUTH_SCOPES.CATALOG_READ, write: OAUTH_SCOPES.CATALOG_WRITE }));
+
 // Mount the individual route modules
 router.use(getAllPositionsRoutes);
 router.use(getPositionByIdRoutes);
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { updatePositionController } = require('../../controllers/positions');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -64,6 +66,8 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Position'
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Position not found
  *       409:
@@ -71,6 +75,6 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.put('/:id', updatePositionController);
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), updatePositionController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { analyzeQuestionsController } = require('../../controllers/questions/analyzeController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -64,6 +66,8 @@ const router = express.Router();
  *                     averagePerPosition:
  *                       type: number
  *                       example: 83.33
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -80,6 +84,6 @@ const router = express.Router();
  *                 error:
  *                   type: string
  */
-router.get('/analyze', analyzeQuestionsController);
+router.get('/analyze', requirePermission(PERMISSIONS.QUESTIONS_READ), analyzeQuestionsController);
 
 module.exports = router;
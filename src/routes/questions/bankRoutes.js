@@ -0,0 +1,174 @@
+/**
+ * Question Bank Import and Export Routes
+ * @module routes/questions/bankRoutes
+ */
+
+const express = require('express');
+const {
+  createImportController,
+  createExportController,
+} = require('../../controllers/question-bank/questionBankController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { uploadSingleFile } = require('../../middlewares/uploadMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionBankImportUpload:
+ *       type: object
+ *       required:
+ *         - file
+ *       properties:
+ *         file:
+ *           type: string
+ *           format: binary
+ *           description: JSON, CSV or GIFT file
+ *         format:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           description: Defaults to the format of the file extension (.json, .csv, .gift or .txt)
+ *         dry_run:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *           description: Validate and report without writing
+ *     QuestionBankImportResult:
+ *       type: object
+ *       properties:
+ *         summary:
+ *           type: object
+ *           properties:
+ *             collection:
+ *               type: string
+ *               enum: [questions, logic_questions, instruments]
+ *             format:
+ *               type: string
+ *               enum: [json, csv, gift]
+ *             dry_run:
+ *               type: boolean
+ *             total:
+ *               type: integer
+ *             created:
+ *               type: integer
+ *             updated:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *         report:
+ *           type: array
+ *           description: One line per record of the file
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *                 description: Line of the file the record starts on
+ *               action:
+ *                 type: string
+ *                 enum: [create, update, error]
+ *                 description: What was done, or with dry_run what would be done
+ *               _id:
+ *                 type: string
+ *                 nullable: true
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /api/questions/export:
+ *   get:
+ *     summary: Export all questions
+ *     description: |
+ *       Downloads all questions, with their answer keys, as JSON, CSV or GIFT. GIFT files
+ *       can be imported into Moodle; fields GIFT has no syntax for are kept in a
+ *       `// meta:` comment above each question.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, gift]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Exported file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Question'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/export',
+  requirePermission(PERMISSIONS.QUESTIONS_WRITE),
+  createExportController('questions')
+);
+
+/**
+ * @swagger
+ * /api/questions/import:
+ *   post:
+ *     summary: Import questions from a file
+ *     description: |
+ *       Upserts the questions of a JSON, CSV or GIFT file. A record with an `_id` updates
+ *       that question; one without updates the question with the same text, topic and
+ *       language, or is created. Each record is validated against the question schema and
+ *       gets a line in the report; invalid records are skipped.
+ *     tags: [Questions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionBankImportUpload'
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/QuestionBankImportResult'
+ *       400:
+ *         description: Missing file, unknown format or unreadable file
+ *       403:
+ *         description: Insufficient permissions
+ *       413:
+ *         description: File larger than 5 MB
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/import',
+  requirePermission(PERMISSIONS.QUESTIONS_WRITE),
+  uploadSingleFile('file'),
+  createImportController('questions')
+);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+/**
+ * Duplicate Questions Routes
+ * @module routes/questions/duplicateRoutes
+ */
+
+const express = require('express');
+const {
+  getDuplicateQuestionsController,
+} = require('../../controllers/questions/duplicateController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/questions/duplicates:
+ *   get:
+ *     summary: Report near-duplicate questions
+ *     description: |
+ *       Groups questions of the same topic and language whose texts are at least
+ *       `threshold` similar (Jaccard similarity of character shingles). Questions in
+ *       a group are listed oldest first, so all but the first are candidates for removal.
+ *       Groups are sorted by size, largest first.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: query
+ *         name: topic_id
+ *         schema:
+ *           type: string
+ *         description: Only questions of this topic
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *         description: Only questions of this topic name
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only questions of this language
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           minimum: 0.5
+ *           maximum: 1
+ *         description: Minimum similarity (defaults to QUESTION_SIMILARITY_THRESHOLD, 0.7)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Groups per page
+ *     responses:
+ *       200:
+ *         description: Duplicate report created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Duplicate questions report created successfully.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       topic:
+ *                         type: string
+ *                         example: JavaScript Closures
+ *                       language:
+ *                         type: string
+ *                         example: JavaScript
+ *                       similarity:
+ *                         type: number
+ *                         description: Highest similarity within the group
+ *                         example: 0.86
+ *                       questions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             question:
+ *                               type: string
+ *                             position:
+ *                               type: string
+ *                             createdAt:
+ *                               type: string
+ *                               format: date-time
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     threshold:
+ *                       type: number
+ *                       example: 0.7
+ *                     scanned:
+ *                       type: integer
+ *                       description: Number of questions compared
+ *                     groups:
+ *                       type: integer
+ *                     duplicates:
+ *                       type: integer
+ *                       description: Questions that duplicate the first question of their group
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationInfo'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/duplicates',
+  requirePermission(PERMISSIONS.QUESTIONS_READ),
+  getDuplicateQuestionsController
+);
+
+module.exports = router;
@@ -6,6 +6,10 @@
 const express = require('express');
 const { generateQuestionsController } = require('../../controllers/questions/generateController');
 const objectIdResolverMiddleware = require('../../middlewares/objectIdResolver');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 
 const router = express.Router();
 
@@ -13,7 +17,7 @@ const router = express.Router();
  * @swagger
  * /api/questions/generate:
  *   post:
- *     summary: Generate multiple-choice questions using Gemini AI
+ *     summary: Generate multiple-choice questions using an LLM provider
  *     description: Generates technical interview questions based on provided parameters
  *     tags: [Questions]
  *     requestBody:
@@ -51,6 +55,13 @@ const router = express.Router();
  *                 type: string
  *                 description: The ID of the position (optional, will be resolved from position if not provided)
  *                 example: "60d21b4667d0d8992e610c87"
+ *               provider:
+ *                 type: string
+ *                 description: LLM provider to generate with (defaults to the LLM_PROVIDER setting)
+ *                 enum: [gemini, openai, ollama, fixture]
+ *               model:
+ *                 type: string
+ *                 description: Model to generate with (defaults to the provider's configured model)
  *     responses:
  *       200:
  *         description: Questions generated successfully
@@ -110,9 +121,51 @@ const router = express.Router();
  *                         example: 3
  *                       difficultyLevel:
  *                         type: integer
+ *                       possible_duplicate_of:
+ *                         type: string
+ *                         description: Similar existing question (only when QUESTION_DUPLICATE_MODE is flag)
+ *                       similarity_score:
+ *                         type: number
+ *                         description: Similarity to possible_duplicate_of
  *                       createdAt:
  *                         type: string
  *                         format: date-time
+ *                 duplicates:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Generated questions too similar to questions of the same topic and language
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                       enum: [reject, flag]
+ *                     threshold:
+ *                       type: number
+ *                       example: 0.7
+ *                     dropped:
+ *                       type: integer
+ *                       description: Near-duplicates that were not stored
+ *                     flagged:
+ *                       type: integer
+ *                       description: Near-duplicates stored with possible_duplicate_of
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           question:
+ *                             type: string
+ *                           similar_to:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               question:
+ *                                 type: string
+ *                           similarity:
+ *                             type: number
+ *                           action:
+ *                             type: string
+ *                             enum: [dropped, flagged]
  *       400:
  *         description: Bad request - validation error
  *         content:
@@ -130,6 +183,8 @@ const router = express.Router();
  *                   type: array
  *                   items:
  *                     type: string
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -157,6 +212,12 @@ const router = express.Router();
  *                   type: string
  *                   example: Failed to generate questions from AI.
  */
-router.post('/generate', objectIdResolverMiddleware, generateQuestionsController);
+router.post(
+  '/generate',
+  requireScope(OAUTH_SCOPES.QUESTIONS_GENERATE),
+  requirePermission(PERMISSIONS.QUESTIONS_GENERATE),
+  objectIdResolverMiddleware,
+  generateQuestionsController
+);
 
 module.exports = router;
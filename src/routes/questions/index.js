@@ -4,10 +4,16 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const generateRoutes = require('./generateRoutes');
 const searchRoutes = require('./searchRoutes');
 const requestRoutes = require('./requestRoutes');
 const analyzeRoutes = require('./analyzeRoutes');
+const duplicateRoutes = require('./duplicateRoutes');
+const reviewRoutes = require('./reviewRoutes');
+const statsRoutes = require('./statsRoutes');
+const bankRoutes = require('./bankRoutes');
 const questionRoutes = require('./questionRoutes');
 
 const router = express.Router();
@@ -19,11 +25,21 @@ const router = express.Router();
  *   description: API endpoints for generating and managing questions
  */
 
-// Mount the individual route modules
+// Generation routes check the questions:generate scope themselves
 router.use(generateRoutes);
-router.use(searchRoutes);
 router.use(requestRoutes);
+
+router.use(
+  requireScope({ read: OAUTH_SCOPES.QUESTIONS_READ, write: OAUTH_SCOPES.QUESTIONS_WRITE })
+);
+
+// Mount the individual route modules
+router.use(searchRoutes);
 router.use(analyzeRoutes);
+router.use(duplicateRoutes);
+router.use(reviewRoutes);
+router.use(statsRoutes);
+router.use(bankRoutes);
 router.use(questionRoutes);
 
 module.exports = router;
@@ -10,6 +10,8 @@ const {
   updateQuestionController,
   deleteQuestionController,
 } = require('../../controllers/questions/questionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -84,6 +86,13 @@ const router = express.Router();
  *                 description: Level (1 = Intern, 2 = Junior, etc.)
  *                 minimum: 1
  *                 example: 2
+ *               status:
+ *                 type: string
+ *                 description: |
+ *                   Moderation status. Only approved questions are served by search and
+ *                   assessments. Later status changes go through the review endpoints.
+ *                 enum: [draft, pending_review, approved]
+ *                 default: approved
  *     responses:
  *       201:
  *         description: Question created successfully
@@ -158,6 +167,8 @@ const router = express.Router();
  *                   items:
  *                     type: string
  *                   example: ["Options must contain exactly 4 items", "Difficulty must be one of: easy, medium, hard"]
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -175,7 +186,7 @@ const router = express.Router();
  *                   type: string
  *                   example: Database connection error
  */
-router.post('/', createQuestionController);
+router.post('/', requirePermission(PERMISSIONS.QUESTIONS_WRITE), createQuestionController);
 
 /**
  * @swagger
@@ -247,6 +258,8 @@ router.post('/', createQuestionController);
  *                       type: string
  *                       format: date-time
  *                       example: "2023-01-01T00:00:00.000Z"
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Question not found
  *         content:
@@ -277,14 +290,16 @@ router.post('/', createQuestionController);
  *                   type: string
  *                   example: Database connection error
  */
-router.get('/:id', getQuestionController);
+router.get('/:id', requirePermission(PERMISSIONS.QUESTIONS_READ), getQuestionController);
 
 /**
  * @swagger
  * /api/questions/{id}:
  *   put:
  *     summary: Update a question by ID
- *     description: Update an existing question with the provided data
+ *     description: |
+ *       Update an existing question with the provided data. The moderation status and
+ *       review fields are left unchanged; use the review endpoints to change them.
  *     tags: [Questions]
  *     parameters:
  *       - in: path
@@ -431,6 +446,8 @@ router.get('/:id', getQuestionController);
  *                   items:
  *                     type: string
  *                   example: ["Options must contain exactly 4 items", "Difficulty must be one of: easy, medium, hard"]
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Question not found
  *         content:
@@ -461,7 +478,7 @@ router.get('/:id', getQuestionController);
  *                   type: string
  *                   example: Database connection error
  */
-router.put('/:id', updateQuestionController);
+router.put('/:id', requirePermission(PERMISSIONS.QUESTIONS_WRITE), updateQuestionController);
 
 /**
  * @swagger
@@ -497,6 +514,8 @@ router.put('/:id', updateQuestionController);
  *                     success:
  *                       type: boolean
  *                       example: true
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Question not found
  *         content:
@@ -527,6 +546,6 @@ router.put('/:id', updateQuestionController);
  *                   type: string
  *                   example: Database connection error
  */
-router.delete('/:id', deleteQuestionController);
+router.delete('/:id', requirePermission(PERMISSIONS.QUESTIONS_WRITE), deleteQuestionController);
 
 module.exports = router;
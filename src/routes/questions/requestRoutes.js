@@ -7,6 +7,10 @@ const express = require('express');
 const {
   processQuestionRequestController,
 } = require('../../controllers/questions/requestController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 
 const router = express.Router();
 
@@ -45,6 +49,13 @@ const router = express.Router();
  *                 type: string
  *                 description: Programming language for the questions
  *                 required: true
+ *               provider:
+ *                 type: string
+ *                 description: LLM provider the jobs generate with (defaults to the LLM_PROVIDER setting)
+ *                 enum: [gemini, openai, ollama, fixture]
+ *               model:
+ *                 type: string
+ *                 description: Model the jobs generate with (defaults to the provider's configured model)
  *     responses:
  *       200:
  *         description: Question request jobs created successfully
@@ -68,9 +79,16 @@ const router = express.Router();
  *                         type: object
  *       400:
  *         description: Invalid request parameters
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.post('/request', processQuestionRequestController);
+router.post(
+  '/request',
+  requireScope(OAUTH_SCOPES.QUESTIONS_GENERATE),
+  requirePermission(PERMISSIONS.QUESTIONS_WRITE),
+  processQuestionRequestController
+);
 
 module.exports = router;
@@ -0,0 +1,277 @@
+/**
+ * Question Review Routes
+ * @module routes/questions/reviewRoutes
+ */
+
+const express = require('express');
+const {
+  approveQuestionController,
+  rejectQuestionController,
+  retireQuestionController,
+  bulkReviewQuestionsController,
+} = require('../../controllers/questions/reviewController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionReview:
+ *       type: object
+ *       properties:
+ *         notes:
+ *           type: string
+ *           maxLength: 2000
+ *           description: Reviewer notes, stored as review_notes
+ *           example: Distractor B is also correct for ES2022.
+ *     QuestionReviewResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: success
+ *         message:
+ *           type: string
+ *           example: Question approved successfully.
+ *         data:
+ *           type: object
+ *           description: The reviewed question
+ *           properties:
+ *             _id:
+ *               type: string
+ *             question:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [draft, pending_review, approved, rejected, retired]
+ *             review_notes:
+ *               type: string
+ *               nullable: true
+ *             reviewed_by:
+ *               type: string
+ *               description: ID of the reviewing user
+ *             reviewed_at:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/questions/review:
+ *   post:
+ *     summary: Review several questions at once
+ *     description: |
+ *       Approves, rejects or retires up to 100 questions. Questions that do not exist or
+ *       whose status does not allow the action are skipped and listed with the reason.
+ *       The notes are recorded on every updated question.
+ *     tags: [Questions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *               - action
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject, retire]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Questions reviewed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Questions reviewed successfully.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       example: approve
+ *                     status:
+ *                       type: string
+ *                       example: approved
+ *                     requested:
+ *                       type: integer
+ *                       example: 3
+ *                     updated:
+ *                       type: integer
+ *                       example: 2
+ *                     skipped:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           reason:
+ *                             type: string
+ *                             example: Cannot approve a question with status approved
+ *       400:
+ *         description: Invalid request body
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/review',
+  requirePermission(PERMISSIONS.QUESTIONS_REVIEW),
+  bulkReviewQuestionsController
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/approve:
+ *   post:
+ *     summary: Approve a question
+ *     description: |
+ *       Approves a draft, pending, rejected or retired question so that it is served by
+ *       search and picked for assessments.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The question ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionReview'
+ *     responses:
+ *       200:
+ *         description: Question approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuestionReviewResponse'
+ *       400:
+ *         description: Invalid ID or notes
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: The question is already approved
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/approve',
+  requirePermission(PERMISSIONS.QUESTIONS_REVIEW),
+  approveQuestionController
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/reject:
+ *   post:
+ *     summary: Reject a question
+ *     description: Rejects a draft, pending or approved question.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The question ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionReview'
+ *     responses:
+ *       200:
+ *         description: Question rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuestionReviewResponse'
+ *       400:
+ *         description: Invalid ID or notes
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: The question is already rejected or retired
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/reject',
+  requirePermission(PERMISSIONS.QUESTIONS_REVIEW),
+  rejectQuestionController
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/retire:
+ *   post:
+ *     summary: Retire a question
+ *     description: |
+ *       Retires an approved question. Retired questions are no longer served but stay
+ *       available to the submissions that reference them.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The question ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionReview'
+ *     responses:
+ *       200:
+ *         description: Question retired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuestionReviewResponse'
+ *       400:
+ *         description: Invalid ID or notes
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: The question is not approved
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/retire',
+  requirePermission(PERMISSIONS.QUESTIONS_REVIEW),
+  retireQuestionController
+);
+
+module.exports = router;
@@ -6,6 +6,8 @@
 const express = require('express');
 const { searchQuestionsController } = require('../../controllers/questions/searchController');
 const multiObjectIdResolverMiddleware = require('../../middlewares/multiObjectIdResolver');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -23,6 +25,9 @@ const router = express.Router();
  *
  *       Topic, language, and position parameters are all optional and support multiple values separated by commas.
  *       All searches are case-insensitive.
+ *
+ *       Only approved questions are returned unless `status` is given; searching other
+ *       statuses requires the `questions:review` permission.
  *     tags: [Questions]
  *     parameters:
  *       - in: query
@@ -120,6 +125,17 @@ const router = express.Router();
  *           type: string
  *         description: Comma-separated list of question IDs to exclude from the results
  *         example: 5f9d88b3e5daad3f349c2e2d,5f9d88b3e5daad3f349c2e2e
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: approved
+ *         description: |
+ *           Comma-separated moderation statuses to include (draft, pending_review, approved,
+ *           rejected, retired) or 'all'. Statuses other than approved require the
+ *           questions:review permission.
+ *         example: pending_review
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -242,6 +258,8 @@ const router = express.Router();
  *                   type: array
  *                   items:
  *                     type: string
+ *       403:
+ *         description: Insufficient permissions, or a status other than approved without the questions:review permission
  *       500:
  *         description: Server error
  *         content:
@@ -262,6 +280,11 @@ const router = express.Router();
  *                   example: Database connection error
  *                   description: Detailed error information
  */
-router.get('/search', multiObjectIdResolverMiddleware, searchQuestionsController);
+router.get(
+  '/search',
+  requirePermission(PERMISSIONS.QUESTIONS_READ),
+  multiObjectIdResolverMiddleware,
+  searchQuestionsController
+);
 
 module.exports = router;
@@ -0,0 +1,264 @@
+/**
+ * Question Statistics Routes
+ * @module routes/questions/statsRoutes
+ */
+
+const express = require('express');
+const {
+  getQuestionStatsController,
+  getItemAnalysisReportController,
+} = require('../../controllers/questions/statsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuestionStats:
+ *       type: object
+ *       description: |
+ *         Item statistics computed from the answers in submissions, scored against the
+ *         current answer key
+ *       properties:
+ *         question_id:
+ *           type: string
+ *         question:
+ *           type: string
+ *         difficulty:
+ *           type: string
+ *           description: Labeled difficulty
+ *           enum: [easy, medium, hard]
+ *         topic:
+ *           type: string
+ *         language:
+ *           type: string
+ *         exposure:
+ *           type: integer
+ *           description: Submissions that included the question
+ *         responses:
+ *           type: integer
+ *           description: Submissions that answered the question
+ *         skipped:
+ *           type: integer
+ *         skip_rate:
+ *           type: number
+ *           nullable: true
+ *           example: 0.05
+ *         correct:
+ *           type: integer
+ *         p_value:
+ *           type: number
+ *           nullable: true
+ *           description: Proportion of responses that are correct
+ *           example: 0.62
+ *         point_biserial:
+ *           type: number
+ *           nullable: true
+ *           description: |
+ *             Correlation between answering correctly and the number of other questions
+ *             of the submission answered correctly; null when either does not vary
+ *           example: 0.31
+ *         options:
+ *           type: array
+ *           description: How often each option was chosen
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               text:
+ *                 type: string
+ *               is_correct:
+ *                 type: boolean
+ *               count:
+ *                 type: integer
+ *               rate:
+ *                 type: number
+ *                 nullable: true
+ *         observed_difficulty:
+ *           type: string
+ *           nullable: true
+ *           enum: [easy, medium, hard]
+ *           description: Difficulty matching the p-value (easy from 0.7, medium from 0.4)
+ *         difficulty_mismatch:
+ *           type: boolean
+ *           description: |
+ *             True when the question has at least min_responses responses and its observed
+ *             difficulty differs from its label
+ */
+
+/**
+ * @swagger
+ * /api/questions/stats:
+ *   get:
+ *     summary: Report item statistics of the question bank
+ *     description: |
+ *       Computes the statistics of every matching question, in creation order, and returns
+ *       one page of them. Use `flagged=true` to list the questions whose labeled difficulty
+ *       disagrees with how candidates performed. Reports are limited to 1000 questions, and
+ *       the statistics come from the 5000 most recent submissions that include them.
+ *       Requires the question review permission, since the statistics include the answer keys.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: query
+ *         name: topic_id
+ *         schema:
+ *           type: string
+ *         description: Only questions of this topic
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *         description: Only questions of this topic name
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only questions of this language
+ *       - in: query
+ *         name: position
+ *         schema:
+ *           type: string
+ *         description: Only questions of this position
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         description: Only questions with this labeled difficulty
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Only questions whose difficulty is (true) or is not (false) flagged
+ *       - in: query
+ *         name: min_responses
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *         description: Responses a question needs before its difficulty is flagged
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Questions per page
+ *     responses:
+ *       200:
+ *         description: Item analysis report created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Item analysis report created successfully.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuestionStats'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     min_responses:
+ *                       type: integer
+ *                       example: 20
+ *                     questions:
+ *                       type: integer
+ *                       description: Matching questions
+ *                     answered:
+ *                       type: integer
+ *                       description: Matching questions with at least one response
+ *                     flagged:
+ *                       type: integer
+ *                       description: Matching questions whose difficulty is flagged
+ *                     submissions:
+ *                       type: integer
+ *                       description: Submissions that included a matching question
+ *                     submissions_limited:
+ *                       type: boolean
+ *                       description: Whether older submissions were left out
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationInfo'
+ *       400:
+ *         description: Invalid query parameters, or more than 1000 matching questions
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/stats',
+  requirePermission(PERMISSIONS.QUESTIONS_REVIEW),
+  getItemAnalysisReportController
+);
+
+/**
+ * @swagger
+ * /api/questions/{id}/stats:
+ *   get:
+ *     summary: Get the item statistics of a question
+ *     description: |
+ *       Computed from the 5000 most recent submissions that include the question. Requires
+ *       the question review permission, since the statistics include the answer key.
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *       - in: query
+ *         name: min_responses
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *         description: Responses the question needs before its difficulty is flagged
+ *     responses:
+ *       200:
+ *         description: Question statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Question statistics computed successfully.
+ *                 data:
+ *                   $ref: '#/components/schemas/QuestionStats'
+ *       400:
+ *         description: Invalid question ID or query parameters
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/stats',
+  requirePermission(PERMISSIONS.QUESTIONS_REVIEW),
+  getQuestionStatsController
+);
+
+module.exports = router;
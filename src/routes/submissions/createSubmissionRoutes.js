@@ -6,12 +6,15 @@
 const express = require('express');
 const router = express.Router();
 const { createSubmission } = require('../../controllers/submissions/createSubmissionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
  * /api/submissions:
  *   post:
  *     summary: Create a new submission
+ *     description: Staff only. Candidates submit their answers through assessment sessions.
  *     tags: [Submissions]
  *     requestBody:
  *       required: true
@@ -25,6 +28,9 @@ const { createSubmission } = require('../../controllers/submissions/createSubmis
  *               candidate_id:
  *                 type: string
  *                 description: ID of the candidate
+ *               application_id:
+ *                 type: string
+ *                 description: ID of the candidate's application the submission is for
  *               answers:
  *                 type: array
  *                 items:
@@ -48,7 +54,7 @@ const { createSubmission } = require('../../controllers/submissions/createSubmis
  *                       type: number
  *                       minimum: 0
  *                       default: 0
- *                       description: Score given to the answer
+ *                       description: Ignored; the score is computed by the server
  *                     is_skip:
  *                       type: integer
  *                       enum: [0, 1]
@@ -76,7 +82,7 @@ const { createSubmission } = require('../../controllers/submissions/createSubmis
  *                       type: number
  *                       minimum: 0
  *                       default: 0
- *                       description: Score given to the instrument response
+ *                       description: Ignored; the score is computed by the server
  *                     is_skip:
  *                       type: integer
  *                       enum: [0, 1]
@@ -101,7 +107,7 @@ const { createSubmission } = require('../../controllers/submissions/createSubmis
  *                       type: number
  *                       minimum: 0
  *                       default: 0
- *                       description: Score given to the logic question response
+ *                       description: Ignored; the score is computed by the server
  *                     is_skip:
  *                       type: integer
  *                       enum: [0, 1]
@@ -133,11 +139,13 @@ const { createSubmission } = require('../../controllers/submissions/createSubmis
  *         description: Submission created successfully
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       404:
- *         description: Candidate, question, instrument, or logic question not found
+ *         description: Candidate, application, question, instrument, or logic question not found
  *       500:
  *         description: Server error
  */
-router.post('/', createSubmission);
+router.post('/', requirePermission(PERMISSIONS.SUBMISSIONS_CREATE), createSubmission);
 
 module.exports = router;
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { deleteSubmission } = require('../../controllers/submissions/deleteSubmissionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -25,11 +27,13 @@ const { deleteSubmission } = require('../../controllers/submissions/deleteSubmis
  *         description: Submission deleted successfully
  *       400:
  *         description: Invalid submission ID format
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Submission not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', deleteSubmission);
+router.delete('/:id', requirePermission(PERMISSIONS.SUBMISSIONS_WRITE), deleteSubmission);
 
 module.exports = router;
@@ -0,0 +1,121 @@
+/**
+ * Get Candidate Ranking Routes
+ * @module routes/submissions/getCandidateRankingRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getCandidateRankingController,
+} = require('../../controllers/submissions/getCandidateRankingController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+
+/**
+ * @swagger
+ * /api/submissions/ranking:
+ *   get:
+ *     summary: Compare and rank the candidates of an interview level
+ *     description: |
+ *       Aggregates the submissions of every candidate with the given interview level and
+ *       ranks the candidates by overall score (technical and logic; instruments are not
+ *       scored). Each row holds the technical score by topic and difficulty, the logic score
+ *       by logic tag, the instrument profile by instrument tag and the percentile rank within
+ *       the cohort. Submissions are scored against the current answer keys. Candidates
+ *       without submissions in the date range are left out.
+ *     tags: [Submissions]
+ *     parameters:
+ *       - in: query
+ *         name: interview_level
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interview level of the cohort
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count submissions created on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count submissions created before this date; a date without a time includes the whole day
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [overall, technical, logic, percentile, full_name, last_submitted_at]
+ *           default: overall
+ *       - in: query
+ *         name: sort_direction
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv downloads the ranking with one column per topic, difficulty and tag
+ *     responses:
+ *       200:
+ *         description: Candidate ranking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CandidateRanking'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     interview_level:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     candidates:
+ *                       type: integer
+ *                     submissions:
+ *                       type: integer
+ *                     sort_by:
+ *                       type: string
+ *                     sort_direction:
+ *                       type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/ranking',
+  requirePermission(PERMISSIONS.SUBMISSIONS_READ),
+  restrictToOwnCandidate(() => null),
+  getCandidateRankingController
+);
+
+module.exports = router;
@@ -8,6 +8,11 @@ const router = express.Router();
 const {
   getCandidateSubmissions,
 } = require('../../controllers/submissions/getCandidateSubmissionsController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -73,11 +78,18 @@ const {
  *                       candidate:
  *                         type: object
  *                         description: Candidate data (when enrich=true)
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Candidate not found
  *       500:
  *         description: Server error
  */
-router.get('/candidate/:candidateId', getCandidateSubmissions);
+router.get(
+  '/candidate/:candidateId',
+  requirePermission(PERMISSIONS.SUBMISSIONS_READ),
+  restrictToOwnCandidate(req => req.params.candidateId),
+  getCandidateSubmissions
+);
 
 module.exports = router;
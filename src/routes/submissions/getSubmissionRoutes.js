@@ -8,6 +8,23 @@ const router = express.Router();
 const {
   getSubmissionByIdController,
 } = require('../../controllers/submissions/getSubmissionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+const { getSubmissionById } = require('../../repository/submissionRepository');
+
+/**
+ * Resolve the candidate a requested submission belongs to
+ * @async
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Candidate ID, or null if the submission does not exist
+ */
+const getSubmissionCandidateId = async req => {
+  const submission = await getSubmissionById(req.params.id);
+  return submission ? submission.candidate_id : null;
+};
 
 /**
  * @swagger
@@ -71,14 +88,44 @@ const {
  *                       type: object
  *                     review:
  *                       type: object
+ *                     scores:
+ *                       type: object
+ *                       description: >
+ *                         Server-computed score summary with per-section totals for answers,
+ *                         logic_questions, essay and instruments, and an overall score
+ *                       properties:
+ *                         answers:
+ *                           type: object
+ *                         logic_questions:
+ *                           type: object
+ *                         essay:
+ *                           type: object
+ *                         instruments:
+ *                           type: object
+ *                         overall:
+ *                           type: object
+ *                           properties:
+ *                             point:
+ *                               type: number
+ *                             max_point:
+ *                               type: number
+ *                             percentage:
+ *                               type: number
  *                     candidate:
  *                       type: object
  *                       description: Candidate data (when enrich=true)
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Submission not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', getSubmissionByIdController);
+router.get(
+  '/:id',
+  requirePermission(PERMISSIONS.SUBMISSIONS_READ),
+  restrictToOwnCandidate(getSubmissionCandidateId),
+  getSubmissionByIdController
+);
 
 module.exports = router;
@@ -4,12 +4,16 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const router = express.Router();
 const createSubmissionRoutes = require('./createSubmissionRoutes');
+const getCandidateRankingRoutes = require('./getCandidateRankingRoutes');
 const getSubmissionRoutes = require('./getSubmissionRoutes');
 const getCandidateSubmissionsRoutes = require('./getCandidateSubmissionsRoutes');
 const updateSubmissionRoutes = require('./updateSubmissionRoutes');
 const deleteSubmissionRoutes = require('./deleteSubmissionRoutes');
+const submissionGradingRoutes = require('./submissionGradingRoutes');
 
 /**
  * @swagger
@@ -18,11 +22,18 @@ const deleteSubmissionRoutes = require('./deleteSubmissionRoutes');
  *   description: Submission management endpoints
  */
 
+router.use(
+  requireScope({ read: OAUTH_SCOPES.SUBMISSIONS_READ, write: OAUTH_SCOPES.SUBMISSIONS_WRITE })
+);
+
 // Mount the submission routes
 router.use('/', createSubmissionRoutes);
+// Before getSubmissionRoutes so /ranking is not taken for a submission ID
+router.use('/', getCandidateRankingRoutes);
 router.use('/', getSubmissionRoutes);
 router.use('/', getCandidateSubmissionsRoutes);
 router.use('/', updateSubmissionRoutes);
 router.use('/', deleteSubmissionRoutes);
+router.use('/', submissionGradingRoutes);
 
 module.exports = router;
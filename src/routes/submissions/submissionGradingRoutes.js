@@ -0,0 +1,243 @@
+/**
+ * Submission Grading Routes
+ * @module routes/submissions/submissionGradingRoutes
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  requestSubmissionGradingController,
+  getSubmissionGradingController,
+  reviewGradingController,
+} = require('../../controllers/submissions/submissionGradingController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../middlewares/permissionMiddleware');
+
+/**
+ * @swagger
+ * /api/submissions/{id}/grading:
+ *   post:
+ *     summary: Queue AI grading of a submission's free-text answers
+ *     description: |
+ *       Creates a `submission-grading` job that sends the essay, open logic questions and
+ *       open-ended instrument responses to the LLM with a rubric. Logic questions are graded
+ *       against their answer_explanation. The suggested score, rationale and confidence are
+ *       stored as `grading` on each item; items a reviewer has already scored are skipped.
+ *     tags: [Submissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Submission ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rubric:
+ *                 type: string
+ *                 description: Rubric for the essay
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, openai, ollama, fixture]
+ *               model:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Grading job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid input, or nothing to grade
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Submission not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/:id/grading',
+  requirePermission(PERMISSIONS.SUBMISSIONS_WRITE),
+  restrictToOwnCandidate(() => null),
+  requestSubmissionGradingController
+);
+
+/**
+ * @swagger
+ * /api/submissions/{id}/grading:
+ *   get:
+ *     summary: Get the graded items of a submission with the audit of AI and final scores
+ *     tags: [Submissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Submission ID
+ *     responses:
+ *       200:
+ *         description: Gradable items, summary and audit trail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           item_type:
+ *                             type: string
+ *                             enum: [essay, logic_question, instrument]
+ *                           item_id:
+ *                             type: string
+ *                             nullable: true
+ *                           prompt:
+ *                             type: string
+ *                           answer:
+ *                             type: string
+ *                           max_score:
+ *                             type: number
+ *                           grading:
+ *                             $ref: '#/components/schemas/Grading'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         items:
+ *                           type: integer
+ *                         suggested:
+ *                           type: integer
+ *                         reviewed:
+ *                           type: integer
+ *                         overridden:
+ *                           type: integer
+ *                         mean_absolute_difference:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Mean difference between suggested and final scores
+ *                     audit:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           item_type:
+ *                             type: string
+ *                           item_id:
+ *                             type: string
+ *                             nullable: true
+ *                           action:
+ *                             type: string
+ *                             enum: [suggested, reviewed]
+ *                           suggested_score:
+ *                             type: number
+ *                             nullable: true
+ *                           final_score:
+ *                             type: number
+ *                             nullable: true
+ *                           confidence:
+ *                             type: number
+ *                             nullable: true
+ *                           user_id:
+ *                             type: string
+ *                             nullable: true
+ *                           created_at:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Submission not found
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  '/:id/grading',
+  requirePermission(PERMISSIONS.SUBMISSIONS_READ),
+  restrictToOwnCandidate(() => null),
+  getSubmissionGradingController
+);
+
+/**
+ * @swagger
+ * /api/submissions/{id}/grading:
+ *   put:
+ *     summary: Record the reviewer's final score for a graded item
+ *     description: |
+ *       The final score replaces the AI suggestion, which is kept for the audit. Reviewed
+ *       open logic questions count towards the submission's scores, which are recomputed.
+ *     tags: [Submissions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Submission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - item_type
+ *               - final_score
+ *             properties:
+ *               item_type:
+ *                 type: string
+ *                 enum: [essay, logic_question, instrument]
+ *               item_id:
+ *                 type: string
+ *                 description: Logic question or instrument ID (not needed for the essay)
+ *               final_score:
+ *                 type: number
+ *                 description: From 0 to the item's max_score
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           Updated submission. The final score counts towards `scores.essay`,
+ *           `scores.logic_questions` or `scores.instruments`.
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Submission or item not found
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  '/:id/grading',
+  requirePermission(PERMISSIONS.SUBMISSIONS_WRITE),
+  restrictToOwnCandidate(() => null),
+  reviewGradingController
+);
+
+module.exports = router;
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const { updateSubmission } = require('../../controllers/submissions/updateSubmissionController');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 /**
  * @swagger
@@ -50,7 +52,7 @@ const { updateSubmission } = require('../../controllers/submissions/updateSubmis
  *                       type: number
  *                       minimum: 0
  *                       default: 0
- *                       description: Score given to the answer
+ *                       description: Ignored; the score is computed by the server
  *                     is_skip:
  *                       type: integer
  *                       enum: [0, 1]
@@ -78,7 +80,7 @@ const { updateSubmission } = require('../../controllers/submissions/updateSubmis
  *                       type: number
  *                       minimum: 0
  *                       default: 0
- *                       description: Score given to the instrument response
+ *                       description: Ignored; the score is computed by the server
  *                     is_skip:
  *                       type: integer
  *                       enum: [0, 1]
@@ -103,7 +105,7 @@ const { updateSubmission } = require('../../controllers/submissions/updateSubmis
  *                       type: number
  *                       minimum: 0
  *                       default: 0
- *                       description: Score given to the logic question response
+ *                       description: Ignored; the score is computed by the server
  *                     is_skip:
  *                       type: integer
  *                       enum: [0, 1]
@@ -135,11 +137,13 @@ const { updateSubmission } = require('../../controllers/submissions/updateSubmis
  *         description: Submission updated successfully
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Submission, question, instrument, or logic question not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', updateSubmission);
+router.put('/:id', requirePermission(PERMISSIONS.SUBMISSIONS_WRITE), updateSubmission);
 
 module.exports = router;
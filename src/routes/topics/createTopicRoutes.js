@@ -0,0 +1,54 @@
+/**
+ * Create Topic Routes
+ * @module routes/topics/createTopicRoutes
+ */
+
+const express = require('express');
+const { createTopicController } = require('../../controllers/topics');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/topics:
+ *   post:
+ *     summary: Create a new topic
+ *     tags: [Topics]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TopicInput'
+ *               - required: [title, difficulty, popularity, suitable_level, description]
+ *     responses:
+ *       201:
+ *         description: Topic created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Topic created successfully.
+ *                 data:
+ *                   $ref: '#/components/schemas/Topic'
+ *       400:
+ *         description: Invalid input data, or a parent, language or position that does not exist
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Topic with the same title or slug already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/', requirePermission(PERMISSIONS.CATALOG_WRITE), createTopicController);
+
+module.exports = router;
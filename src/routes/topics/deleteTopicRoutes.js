@@ -0,0 +1,51 @@
+/**
+ * Delete Topic Routes
+ * @module routes/topics/deleteTopicRoutes
+ */
+
+const express = require('express');
+const { deleteTopicController } = require('../../controllers/topics');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/topics/{id}:
+ *   delete:
+ *     summary: Delete a topic by ID
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Topic deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Topic deleted successfully.
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Topic not found
+ *       409:
+ *         description: Topic still has subtopics or questions
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), deleteTopicController);
+
+module.exports = router;
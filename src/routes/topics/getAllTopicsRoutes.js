@@ -4,7 +4,9 @@
  */
 
 const express = require('express');
-const { getAllTopicsController } = require('../../controllers/topics/getAllTopicsController');
+const { getAllTopicsController } = require('../../controllers/topics');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -13,39 +15,84 @@ const router = express.Router();
  * /api/topics:
  *   get:
  *     summary: Get all topics
- *     description: Retrieve a list of all available topics
+ *     description: Retrieve a paginated list of topics, each with its number of questions
  *     tags: [Topics]
+ *     parameters:
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Filter topics by title (case-insensitive)
+ *       - in: query
+ *         name: slug
+ *         schema:
+ *           type: string
+ *         description: Filter topics by slug (case-insensitive)
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: integer
+ *         description: Filter topics by difficulty
+ *       - in: query
+ *         name: popularity
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high]
+ *         description: Filter topics by popularity
+ *       - in: query
+ *         name: suitable_level
+ *         schema:
+ *           type: string
+ *         description: Filter topics by suitable level
+ *       - in: query
+ *         name: parent_id
+ *         schema:
+ *           type: string
+ *         description: List the subtopics of a topic, or the root topics with `null`
+ *       - in: query
+ *         name: language_id
+ *         schema:
+ *           type: string
+ *         description: Filter topics linked to a language
+ *       - in: query
+ *         name: position_id
+ *         schema:
+ *           type: string
+ *         description: Filter topics linked to a position
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: page_size
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           default: title
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sort_direction
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Sort direction (ascending or descending)
  *     responses:
  *       200:
  *         description: A list of topics
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       title:
- *                         type: string
- *                         example: "Biến và kiểu dữ liệu"
- *                       difficulty:
- *                         type: number
- *                         example: 1
- *                       popularity:
- *                         type: string
- *                         example: "low"
- *                       suitable_level:
- *                         type: string
- *                         example: "intern"
- *                       description:
- *                         type: string
- *                         example: "Chủ đề liên quan đến biến và kiểu dữ liệu, thường gặp trong phỏng vấn lập trình viên."
+ *               $ref: '#/components/schemas/TopicList'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -60,6 +107,6 @@ const router = express.Router();
  *                   type: string
  *                   example: Failed to retrieve topics.
  */
-router.get('/', getAllTopicsController);
+router.get('/', requirePermission(PERMISSIONS.CATALOG_READ), getAllTopicsController);
 
 module.exports = router;
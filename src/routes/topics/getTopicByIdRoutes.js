@@ -0,0 +1,49 @@
+/**
+ * Get Topic By ID Routes
+ * @module routes/topics/getTopicByIdRoutes
+ */
+
+const express = require('express');
+const { getTopicByIdController } = require('../../controllers/topics');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/topics/{id}:
+ *   get:
+ *     summary: Get a topic by ID
+ *     description: Retrieve a topic with its question count, its ancestors and its direct subtopics
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Topic details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicDetail'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Topic not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', requirePermission(PERMISSIONS.CATALOG_READ), getTopicByIdController);
+
+module.exports = router;
@@ -4,7 +4,13 @@
  */
 
 const express = require('express');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const getAllTopicsRoutes = require('./getAllTopicsRoutes');
+const getTopicByIdRoutes = require('./getTopicByIdRoutes');
+const createTopicRoutes = require('./createTopicRoutes');
+const updateTopicRoutes = require('./updateTopicRoutes');
+const deleteTopicRoutes = require('./deleteTopicRoutes');
 
 const router = express.Router();
 
@@ -15,7 +21,13 @@ const router = express.Router();
  *   description: API endpoints for managing topics
  */
 
+router.use(requireScope({ read: OAUTH_SCOPES.CATALOG_READ, write: OAUTH_SCOPES.CATALOG_WRITE }));
+
 // Mount the individual route modules
 router.use(getAllTopicsRoutes);
+router.use(getTopicByIdRoutes);
+router.use(createTopicRoutes);
+router.use(updateTopicRoutes);
+router.use(deleteTopicRoutes);
 
 module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Update Topic Routes
+ * @module routes/topics/updateTopicRoutes
+ */
+
+const express = require('express');
+const { updateTopicController } = require('../../controllers/topics');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/topics/{id}:
+ *   put:
+ *     summary: Update a topic by ID
+ *     description: Only the fields sent are changed. Set `parent_id` to null to make the topic a root topic.
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TopicInput'
+ *     responses:
+ *       200:
+ *         description: Topic updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Topic updated successfully.
+ *                 data:
+ *                   $ref: '#/components/schemas/Topic'
+ *       400:
+ *         description: Invalid input data, a missing reference, or a parent that is the topic itself or one of its subtopics
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Topic not found
+ *       409:
+ *         description: Topic with the same title or slug already exists
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', requirePermission(PERMISSIONS.CATALOG_WRITE), updateTopicController);
+
+module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { createUserController } = require('../../controllers/users');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -35,6 +37,10 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 format: password
+ *               role:
+ *                 type: string
+ *                 enum: [admin, recruiter, interviewer, candidate]
+ *                 default: candidate
  *     responses:
  *       201:
  *         description: User created
@@ -63,6 +69,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -70,6 +78,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', createUserController);
+router.post('/', requirePermission(PERMISSIONS.USERS_WRITE), createUserController);
 
 module.exports = router;
@@ -6,6 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const { getLoggedUser } = require('../../controllers/users/getLoggedUserController');
+const { getMySessions, revokeMySessions } = require('../../controllers/users');
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 
 /**
  * @swagger
@@ -92,6 +95,179 @@ const { getLoggedUser } = require('../../controllers/users/getLoggedUserControll
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/me', getLoggedUser);
+router.get('/me', requireScope(OAUTH_SCOPES.PROFILE), getLoggedUser);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSession:
+ *       type: object
+ *       description: The OAuth tokens a user holds for one client
+ *       properties:
+ *         client_id:
+ *           type: string
+ *           example: web-client
+ *         issued_at:
+ *           type: string
+ *           format: date-time
+ *           description: Issue time of the oldest token of the session
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Last time an access token of the session was used (recorded at most once a minute)
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           description: Expiry of the longest-lived token of the session
+ *         access_tokens:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               issued_at:
+ *                 type: string
+ *                 format: date-time
+ *               last_used_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *         refresh_tokens:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               issued_at:
+ *                 type: string
+ *                 format: date-time
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *
+ * /api/users/me/sessions:
+ *   get:
+ *     summary: List the logged in user's sessions
+ *     description: Lists the unexpired access and refresh tokens of the current user grouped by OAuth client, most recently used first. Token values are never returned.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Sessions retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSession'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Revoke all of the logged in user's sessions
+ *     description: Revokes every access token, refresh token and authorization code of the current user, including the token used for this request. Use it after a password change to sign out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Sessions revoked successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       description: Number of revoked tokens and codes
+ *                       example: 4
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/me/sessions', requireScope(OAUTH_SCOPES.PROFILE), getMySessions);
+router.delete('/me/sessions', requireScope(OAUTH_SCOPES.PROFILE), revokeMySessions);
+
+/**
+ * @swagger
+ * /api/users/me/sessions/{clientId}:
+ *   delete:
+ *     summary: Revoke one of the logged in user's sessions
+ *     description: Revokes the access tokens, refresh tokens and authorization codes the current user holds for one OAuth client
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID of the session
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully; `revoked` is 0 when there was no such session
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/me/sessions/:clientId', requireScope(OAUTH_SCOPES.PROFILE), revokeMySessions);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { deleteUserController } = require('../../controllers/users');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -46,6 +48,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: User not found
  *         content:
@@ -59,6 +63,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', deleteUserController);
+router.delete('/:id', requirePermission(PERMISSIONS.USERS_WRITE), deleteUserController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getUserByIdController } = require('../../controllers/users');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -45,6 +47,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: User not found
  *         content:
@@ -58,6 +62,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', getUserByIdController);
+router.get('/:id', requirePermission(PERMISSIONS.USERS_READ), getUserByIdController);
 
 module.exports = router;
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { getUsersController } = require('../../controllers/users');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -66,6 +68,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  *         content:
@@ -73,6 +77,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', getUsersController);
+router.get('/', requirePermission(PERMISSIONS.USERS_READ), getUsersController);
 
 module.exports = router;
@@ -5,12 +5,15 @@
 
 const express = require('express');
 const router = express.Router();
+const { OAUTH_SCOPES } = require('../../config/oauthConfig');
+const { requireScope } = require('../../middlewares/scopeMiddleware');
 const currentUserRoutes = require('./currentUserRoutes');
 const getUsersRoutes = require('./getUsersRoutes');
 const getUserByIdRoutes = require('./getUserByIdRoutes');
 const createUserRoutes = require('./createUserRoutes');
 const updateUserRoutes = require('./updateUserRoutes');
 const deleteUserRoutes = require('./deleteUserRoutes');
+const userSessionRoutes = require('./userSessionRoutes');
 
 /**
  * @swagger
@@ -22,11 +25,15 @@ const deleteUserRoutes = require('./deleteUserRoutes');
 // Mount current user routes first to ensure proper route matching
 router.use(currentUserRoutes);
 
+// Managing other users requires the admin scope
+router.use(requireScope(OAUTH_SCOPES.ADMIN));
+
 // Mount other user routes
 router.use(getUsersRoutes);
 router.use(getUserByIdRoutes);
 router.use(createUserRoutes);
 router.use(updateUserRoutes);
 router.use(deleteUserRoutes);
+router.use(userSessionRoutes);
 
 module.exports = router;
@@ -12,7 +12,7 @@ const { createUserController } = require('../../controllers/users/createUserCont
  * /api/register:
  *   post:
  *     summary: Create a new user (public endpoint)
- *     description: Creates a new user and automatically links them to a candidate with the same email. If no candidate exists, a new one is created.
+ *     description: Creates a new user and automatically links them to a candidate with the same email. If no candidate exists, a new one is created. A verification link is emailed to the user (see /api/account/verify-email). The password must satisfy the password policy (see /api/account/password-policy).
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -5,6 +5,8 @@
 
 const express = require('express');
 const { updateUserController } = require('../../controllers/users');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
 
 const router = express.Router();
 
@@ -38,6 +40,9 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 format: password
+ *               role:
+ *                 type: string
+ *                 enum: [admin, recruiter, interviewer, candidate]
  *     responses:
  *       200:
  *         description: User updated
@@ -66,6 +71,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: User not found
  *         content:
@@ -79,6 +86,6 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', updateUserController);
+router.put('/:id', requirePermission(PERMISSIONS.USERS_WRITE), updateUserController);
 
 module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * User Session Routes
+ * @module routes/users/userSessionRoutes
+ */
+
+const express = require('express');
+const { getUserSessions, revokeUserSessions } = require('../../controllers/users');
+const { PERMISSIONS } = require('../../config/roleConfig');
+const { requirePermission } = require('../../middlewares/permissionMiddleware');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's sessions
+ *     description: Lists the unexpired access and refresh tokens of a user grouped by OAuth client
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Sessions retrieved successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSession'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundResponse'
+ *   delete:
+ *     summary: Revoke all of a user's sessions
+ *     description: Revokes every access token, refresh token and authorization code of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully; `data.revoked` is the number of revoked tokens and codes
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundResponse'
+ */
+router.get('/:id/sessions', requirePermission(PERMISSIONS.USERS_READ), getUserSessions);
+router.delete('/:id/sessions', requirePermission(PERMISSIONS.USERS_WRITE), revokeUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{clientId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions
+ *     description: Revokes the access tokens, refresh tokens and authorization codes a user holds for one OAuth client
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID of the session
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully; `data.revoked` is 0 when there was no such session
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnauthorizedError'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundResponse'
+ */
+router.delete(
+  '/:id/sessions/:clientId',
+  requirePermission(PERMISSIONS.USERS_WRITE),
+  revokeUserSessions
+);
+
+module.exports = router;
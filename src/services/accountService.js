@@ -0,0 +1,356 @@
+/**
+ * Account Service
+ * Email verification and password reset with one-time tokens sent by email.
+ * @module services/accountService
+ */
+
+const crypto = require('crypto');
+const userRepository = require('../repository/userRepository');
+const accountTokenRepository = require('../repository/accountTokenRepository');
+const { ACCOUNT_TOKEN_TYPES } = require('../models/accountTokenModel');
+const { getAccountConfig } = require('../config/accountConfig');
+const { sendEmail } = require('./email');
+const oauthTokenService = require('./oauthTokenService');
+const { isValidPassword, describePasswordPolicy } = require('../utils/passwordPolicy');
+const { findOrCreateCandidateForUser } = require('../utils/userCandidateUtils');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the account service
+ * @constant {Object}
+ */
+const ACCOUNT_ERRORS = {
+  INVALID_EMAIL: 'A valid email is required',
+  MISSING_TOKEN: 'Token is required',
+  INVALID_TOKEN: 'The link is invalid or has expired',
+  USER_NOT_FOUND: 'User not found',
+  ALREADY_VERIFIED: 'Email is already verified',
+  EMAIL_NOT_SENT: 'The email could not be sent',
+};
+
+/**
+ * Paths of the pages that handle the links, relative to ACCOUNT_LINK_BASE_URL
+ * @constant {Object}
+ */
+const LINK_PATHS = {
+  [ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION]: '/verify-email',
+  [ACCOUNT_TOKEN_TYPES.PASSWORD_RESET]: '/reset-password',
+};
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - The token sent to the user
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Describe a duration for an email, e.g. "24 hours" or "30 minutes"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Description
+ */
+const describeDuration = ms => {
+  const hours = ms / (60 * 60 * 1000);
+  if (Number.isInteger(hours)) {
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  const minutes = Math.max(1, Math.round(ms / (60 * 1000)));
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+/**
+ * Issue a one-time token for a user and build the link that uses it.
+ * Earlier tokens of the same type are deleted, so only the latest link works.
+ * @param {Object} user - The user
+ * @param {string} type - Token type
+ * @param {number} ttl - Lifetime of the token in milliseconds
+ * @returns {Promise<string>} The link to send
+ */
+const issueTokenLink = async (user, type, ttl) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await accountTokenRepository.deleteUserTokens(user._id, type);
+  await accountTokenRepository.createToken({
+    user_id: user._id,
+    type,
+    token_hash: hashToken(token),
+    email: user.email,
+    expires_at: new Date(Date.now() + ttl),
+  });
+
+  const url = new URL(`${getAccountConfig().linkBaseUrl}${LINK_PATHS[type]}`);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Check the format of an email address
+ * @param {*} email - The value to check
+ * @returns {boolean} True if it looks like an email address
+ */
+const isValidEmail = email => typeof email === 'string' && /^\S+@\S+\.\S+$/.test(email);
+
+/**
+ * Send a user a link to verify their email address
+ * @async
+ * @param {Object} user - The user, with `_id`, `username` and `email`
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function sendVerificationEmail(user) {
+  try {
+    if (user.emailVerified) {
+      return { success: false, errors: [ACCOUNT_ERRORS.ALREADY_VERIFIED] };
+    }
+
+    const { emailVerificationTtl } = getAccountConfig();
+    const link = await issueTokenLink(
+      user,
+      ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION,
+      emailVerificationTtl
+    );
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm your email address by opening this link:',
+        link,
+        '',
+        `The link expires in ${describeDuration(emailVerificationTtl)}.`,
+      ].join('\n'),
+    });
+
+    return { success: true, data: { email: user.email } };
+  } catch (error) {
+    logger.error(`Error sending verification email to user ${user._id}:`, error);
+    return { success: false, errors: [ACCOUNT_ERRORS.EMAIL_NOT_SENT] };
+  }
+}
+
+/**
+ * Send a new verification link to an address.
+ * The result does not tell whether the address belongs to an unverified user.
+ * @async
+ * @param {string} email - The email address
+ * @returns {Promise<Object>} Result object with success flag and errors
+ */
+async function resendVerificationEmail(email) {
+  try {
+    if (!isValidEmail(email)) {
+      return { success: false, errors: [ACCOUNT_ERRORS.INVALID_EMAIL] };
+    }
+
+    const user = await userRepository.findByEmail(email);
+    if (user && !user.emailVerified) {
+      // Sent in the background so the response takes as long as for an unknown address.
+      // It never rejects: a failed delivery is logged.
+      sendVerificationEmail(user);
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Error resending verification email:', error);
+    return { success: false, errors: [`Error resending verification email: ${error.message}`] };
+  }
+}
+
+/**
+ * Link a user whose email was just verified to the candidate with that address.
+ * A failure is logged and does not undo the verification.
+ * @async
+ * @param {Object} user - The user, before the verification was stored
+ * @returns {Promise<void>}
+ */
+async function linkVerifiedCandidate(user) {
+  if (user.candidate_id) {
+    return;
+  }
+
+  try {
+    await findOrCreateCandidateForUser({ ...user, emailVerified: true });
+  } catch (error) {
+    logger.error(`Error linking user ${user._id} to a candidate after verification:`, error);
+  }
+}
+
+/**
+ * Verify an email address with a token from a verification link
+ * @async
+ * @param {string} token - The token
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function verifyEmail(token) {
+  try {
+    if (!token || typeof token !== 'string') {
+      return { success: false, errors: [ACCOUNT_ERRORS.MISSING_TOKEN] };
+    }
+
+    const accountToken = await accountTokenRepository.consumeToken(
+      hashToken(token),
+      ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION
+    );
+    const user = accountToken && (await userRepository.findById(accountToken.user_id));
+
+    // The link only verifies the address it was sent to
+    if (!user || user.email !== accountToken.email) {
+      return { success: false, errors: [ACCOUNT_ERRORS.INVALID_TOKEN] };
+    }
+
+    await userRepository.update(user._id, { emailVerified: true, emailVerifiedAt: new Date() });
+    await linkVerifiedCandidate(user);
+    logger.info(`Verified email of user ${user.username}`);
+
+    return { success: true, data: { email: user.email } };
+  } catch (error) {
+    logger.error('Error verifying email:', error);
+    return { success: false, errors: [`Error verifying email: ${error.message}`] };
+  }
+}
+
+/**
+ * Send a user a password reset link. It never rejects: failures are logged, since the caller
+ * does not wait for the email.
+ * @async
+ * @param {Object} user - The user, with `_id`, `username` and `email`
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(user) {
+  try {
+    const { passwordResetTtl } = getAccountConfig();
+    const link = await issueTokenLink(user, ACCOUNT_TOKEN_TYPES.PASSWORD_RESET, passwordResetTtl);
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. To choose a new password, open this link:',
+        link,
+        '',
+        `The link expires in ${describeDuration(passwordResetTtl)} and can only be used once.`,
+        'If you did not ask for this, you can ignore this email.',
+      ].join('\n'),
+    });
+  } catch (error) {
+    logger.error(`Error sending password reset email to user ${user._id}:`, error);
+  }
+}
+
+/**
+ * Send a password reset link to an address.
+ * The result does not tell whether the address belongs to a user.
+ * @async
+ * @param {string} email - The email address
+ * @returns {Promise<Object>} Result object with success flag and errors
+ */
+async function requestPasswordReset(email) {
+  try {
+    if (!isValidEmail(email)) {
+      return { success: false, errors: [ACCOUNT_ERRORS.INVALID_EMAIL] };
+    }
+
+    const user = await userRepository.findByEmail(email);
+    if (!user) {
+      logger.debug(`Password reset requested for unknown email: ${email}`);
+      return { success: true };
+    }
+
+    // Sent in the background so the response takes as long as for an unknown address
+    sendPasswordResetEmail(user);
+
+    return { success: true };
+  } catch (error) {
+    logger.error('Error requesting password reset:', error);
+    return { success: false, errors: [`Error requesting password reset: ${error.message}`] };
+  }
+}
+
+/**
+ * Set a new password with a token from a password reset link.
+ * The user's failed logins and lockout are cleared and all of their sessions are revoked.
+ * @async
+ * @param {string} token - The token
+ * @param {string} password - The new password
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function resetPassword(token, password) {
+  try {
+    if (!token || typeof token !== 'string') {
+      return { success: false, errors: [ACCOUNT_ERRORS.MISSING_TOKEN] };
+    }
+
+    // Checked before the token is used, so the user can retry with a better password
+    if (!isValidPassword(password)) {
+      return { success: false, errors: [describePasswordPolicy()] };
+    }
+
+    const accountToken = await accountTokenRepository.consumeToken(
+      hashToken(token),
+      ACCOUNT_TOKEN_TYPES.PASSWORD_RESET
+    );
+    const user = accountToken && (await userRepository.findById(accountToken.user_id));
+    if (!user) {
+      return { success: false, errors: [ACCOUNT_ERRORS.INVALID_TOKEN] };
+    }
+
+    const changes = { password };
+    // Opening the link proves the user controls the address it was sent to
+    if (!user.emailVerified && user.email === accountToken.email) {
+      changes.emailVerified = true;
+      changes.emailVerifiedAt = new Date();
+    }
+
+    await userRepository.update(user._id, changes);
+    if (changes.emailVerified) {
+      await linkVerifiedCandidate(user);
+    }
+    await userRepository.resetFailedLogins(user._id);
+    const revoked = await oauthTokenService.revokeUserSessions(String(user._id));
+    logger.info(`Reset password of user ${user.username} and revoked ${revoked} tokens`);
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your password was changed',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'The password of your account was just changed and you were signed out everywhere.',
+          'If you did not do this, reset your password again and contact an administrator.',
+        ].join('\n'),
+      });
+    } catch (error) {
+      logger.error(`Error sending password change notice to user ${user._id}:`, error);
+    }
+
+    return { success: true, data: { email: user.email } };
+  } catch (error) {
+    logger.error('Error resetting password:', error);
+    return { success: false, errors: [`Error resetting password: ${error.message}`] };
+  }
+}
+
+/**
+ * Get the password policy, so clients can check passwords before sending them
+ * @returns {Object} Result object with success flag and data
+ */
+function getPasswordPolicy() {
+  const { passwordPolicy } = getAccountConfig();
+  return {
+    success: true,
+    data: { ...passwordPolicy, description: describePasswordPolicy(passwordPolicy) },
+  };
+}
+
+module.exports = {
+  ACCOUNT_ERRORS,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  getPasswordPolicy,
+};
@@ -0,0 +1,707 @@
+/**
+ * Adaptive Session Service Module
+ * Serves questions one at a time and adapts their difficulty to the candidate. Ability is
+ * estimated on the position level scale of positionConfig (intern 1 to expert 6) with a
+ * one-parameter logistic (Rasch) model: a question's difficulty is its positionLevel,
+ * shifted down for `easy` and up for `hard` questions. After each answer the expected a
+ * posteriori (EAP) estimate and its standard error are updated, and the next question is
+ * the unserved one whose difficulty is closest to the estimate.
+ * @module service/adaptiveSessionService
+ */
+
+const {
+  createAdaptiveSession,
+  getAdaptiveSessionById,
+  getAdaptiveSessions,
+  transitionAdaptiveSession,
+} = require('../repository/adaptiveSessionRepository');
+const {
+  getQuestionById,
+  getQuestionsForAdaptiveDelivery,
+} = require('../repository/questionRepository');
+const { candidateExists } = require('../repository/submissionRepository');
+const { buildScopeFilter } = require('./questionDuplicateService');
+const { buildStatusFilter } = require('../utils/questionSearchQueryBuilder');
+const { shuffleArray } = require('../utils/randomSortingUtils');
+const { isValidObjectId, toObjectId } = require('../utils/validateObjectId');
+const { DEFAULT_POSITION_LEVELS, getPositionLevel } = require('../config/positionConfig');
+const submissionModel = require('../models/submissionModel');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const ADAPTIVE_SESSION_ERRORS = {
+  INVALID_ID: 'Invalid adaptive session ID format',
+  NOT_FOUND: 'Adaptive session not found',
+  CANDIDATE_NOT_FOUND: 'Candidate not found',
+  ALREADY_FINISHED: 'Adaptive session is already finished',
+  NO_PENDING_QUESTION: 'No question is waiting for an answer; request the next question first',
+  QUESTION_MISMATCH: 'question_id does not match the question being asked',
+  CONCURRENT_UPDATE: 'The session is being changed by another request; try again',
+};
+
+/**
+ * Default stopping rule and starting point of a session
+ * @constant {Object}
+ */
+const ADAPTIVE_DEFAULTS = {
+  max_items: 20,
+  min_items: 5,
+  target_standard_error: 0.35,
+  start_position: 'junior',
+};
+
+/**
+ * Highest number of questions a session may serve
+ * @constant {number}
+ */
+const MAX_ADAPTIVE_ITEMS = 50;
+
+/**
+ * Number of times the next question is selected when other requests keep changing the session
+ * @constant {number}
+ */
+const MAX_SERVE_ATTEMPTS = 3;
+
+/**
+ * Shift of a question's difficulty from its position level, by difficulty label
+ * @constant {Object}
+ */
+const DIFFICULTY_OFFSETS = {
+  easy: -0.5,
+  medium: 0,
+  hard: 0.5,
+};
+
+/**
+ * Discrimination shared by all questions (1.7 approximates the normal ogive)
+ * @constant {number}
+ */
+const DISCRIMINATION = 1.7;
+
+/**
+ * Standard deviation of the prior ability distribution, in position levels
+ * @constant {number}
+ */
+const PRIOR_STANDARD_DEVIATION = 1.5;
+
+/**
+ * Prior standard deviations the ability grid extends on each side of the start level
+ * @constant {number}
+ */
+const PRIOR_GRID_DEVIATIONS = 4;
+
+/**
+ * Spacing of the ability grid the posterior is evaluated on
+ * @constant {number}
+ */
+const GRID_STEP = 0.05;
+
+/**
+ * Reasons a session stops
+ * @constant {Object}
+ */
+const STOP_REASONS = {
+  TARGET_PRECISION: 'target_precision',
+  MAX_ITEMS: 'max_items',
+  POOL_EXHAUSTED: 'pool_exhausted',
+};
+
+/**
+ * Round an estimate to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundEstimate(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the positions of positionConfig ordered by level
+ * @returns {Array<Object>} `{ position, level }` from lowest to highest level
+ */
+function getPositionScale() {
+  return Object.keys(DEFAULT_POSITION_LEVELS)
+    .map(position => ({ position, level: getPositionLevel(position) }))
+    .sort((a, b) => a.level - b.level);
+}
+
+/**
+ * Map an ability estimate to the position with the nearest level
+ * @param {number} ability - Ability on the position level scale
+ * @returns {Object} `{ position, level }`
+ */
+function mapAbilityToPosition(ability) {
+  return getPositionScale().reduce((best, candidate) =>
+    Math.abs(candidate.level - ability) < Math.abs(best.level - ability) ? candidate : best
+  );
+}
+
+/**
+ * Get the difficulty of a question on the position level scale
+ * @param {Object} question - Question with positionLevel and difficulty
+ * @returns {number} Item difficulty
+ */
+function getItemDifficulty(question) {
+  const level = Number.isFinite(question.positionLevel)
+    ? question.positionLevel
+    : getPositionLevel(ADAPTIVE_DEFAULTS.start_position);
+  return level + (DIFFICULTY_OFFSETS[question.difficulty] || 0);
+}
+
+/**
+ * Probability of a correct answer under the Rasch model
+ * @param {number} ability - Candidate ability
+ * @param {number} itemDifficulty - Item difficulty
+ * @returns {number} Probability between 0 and 1
+ */
+function getCorrectProbability(ability, itemDifficulty) {
+  return 1 / (1 + Math.exp(-DISCRIMINATION * (ability - itemDifficulty)));
+}
+
+/**
+ * Estimate ability from the answered items (expected a posteriori with a normal prior).
+ * With no answers the estimate is the prior: the start level and the prior deviation.
+ * @param {Array<Object>} items - Answered items with item_difficulty and is_correct
+ * @param {number} startLevel - Mean of the prior
+ * @returns {Object} `{ ability, standard_error }`
+ */
+function estimateAbility(items, startLevel) {
+  // Cover the scale and the bulk of the prior, so the prior is not truncated at the edges
+  const levels = getPositionScale().map(({ level }) => level);
+  const priorSpan = PRIOR_GRID_DEVIATIONS * PRIOR_STANDARD_DEVIATION;
+  const min = Math.min(Math.min(...levels) - 1, startLevel - priorSpan);
+  const max = Math.max(Math.max(...levels) + 1, startLevel + priorSpan);
+
+  let weightSum = 0;
+  let mean = 0;
+  let secondMoment = 0;
+  for (let theta = min; theta <= max + GRID_STEP / 2; theta += GRID_STEP) {
+    let logWeight = -((theta - startLevel) ** 2) / (2 * PRIOR_STANDARD_DEVIATION ** 2);
+    items.forEach(item => {
+      const probability = getCorrectProbability(theta, item.item_difficulty);
+      logWeight += Math.log(item.is_correct ? probability : 1 - probability);
+    });
+
+    const weight = Math.exp(logWeight);
+    weightSum += weight;
+    mean += weight * theta;
+    secondMoment += weight * theta * theta;
+  }
+
+  mean /= weightSum;
+  const variance = Math.max(secondMoment / weightSum - mean * mean, 0);
+
+  return { ability: roundEstimate(mean), standard_error: roundEstimate(Math.sqrt(variance)) };
+}
+
+/**
+ * Pick the question whose difficulty is closest to the ability estimate.
+ * Questions at the same distance are chosen between at random.
+ * @param {Array<Object>} questions - Questions that may be served
+ * @param {number} ability - Current ability estimate
+ * @returns {Object|null} Selected question or null if there is none
+ */
+function selectNextQuestion(questions, ability) {
+  let selected = null;
+  let bestDistance = Infinity;
+
+  shuffleArray(questions).forEach(question => {
+    const distance = Math.abs(getItemDifficulty(question) - ability);
+    if (distance < bestDistance) {
+      selected = question;
+      bestDistance = distance;
+    }
+  });
+
+  return selected;
+}
+
+/**
+ * Get the reason a session should stop after its latest answer, if any
+ * @param {Object} session - Session settings (min_items, max_items, target_standard_error)
+ * @param {number} answered - Number of answered items
+ * @param {number} standardError - Current standard error
+ * @returns {string|null} Stop reason or null to continue
+ */
+function getStopReason(session, answered, standardError) {
+  if (answered >= session.max_items) {
+    return STOP_REASONS.MAX_ITEMS;
+  }
+  if (answered >= session.min_items && standardError <= session.target_standard_error) {
+    return STOP_REASONS.TARGET_PRECISION;
+  }
+  return null;
+}
+
+/**
+ * Convert a stored item to a plain object
+ * @param {Object} item - Item subdocument or object
+ * @returns {Object} Plain item
+ */
+function toPlainItem(item) {
+  return typeof item.toObject === 'function' ? item.toObject() : { ...item };
+}
+
+/**
+ * Build the update that completes a session with its proficiency estimate
+ * @param {Array<Object>} items - Items of the session
+ * @param {number} ability - Final ability estimate
+ * @param {string} stopReason - Reason the session stopped
+ * @returns {Object} Fields to set
+ */
+function buildCompletion(items, ability, stopReason) {
+  const answered = items.filter(item => item.answered_at);
+  const { position, level } = mapAbilityToPosition(ability);
+
+  return {
+    status: 'completed',
+    finished_at: new Date(),
+    result: {
+      position,
+      position_level: level,
+      answered: answered.length,
+      correct: answered.filter(item => item.is_correct).length,
+      stop_reason: stopReason,
+    },
+  };
+}
+
+/**
+ * Format a question for the candidate, without its answer key
+ * @param {Object} question - Question document
+ * @param {number} number - Position of the question in the session, from 1
+ * @returns {Object} Served question
+ */
+function formatServedQuestion(question, number) {
+  return {
+    _id: question._id,
+    number,
+    question: question.question,
+    options: question.options,
+    difficulty: question.difficulty,
+    positionLevel: question.positionLevel,
+    topic: question.topic,
+    language: question.language,
+  };
+}
+
+/**
+ * Validate the data of a new adaptive session
+ * @param {Object} sessionData - Session data
+ * @returns {Object} `{ errors, settings }` with the settings to store
+ */
+function validateAdaptiveSessionData(sessionData = {}) {
+  const errors = [];
+  const positions = Object.keys(DEFAULT_POSITION_LEVELS);
+  const settings = {
+    max_items:
+      sessionData.max_items !== undefined ? sessionData.max_items : ADAPTIVE_DEFAULTS.max_items,
+    min_items:
+      sessionData.min_items !== undefined ? sessionData.min_items : ADAPTIVE_DEFAULTS.min_items,
+    target_standard_error:
+      sessionData.target_standard_error !== undefined
+        ? sessionData.target_standard_error
+        : ADAPTIVE_DEFAULTS.target_standard_error,
+    start_position: sessionData.start_position || ADAPTIVE_DEFAULTS.start_position,
+  };
+
+  if (!sessionData.candidate_id) {
+    errors.push('Missing required field: candidate_id');
+  } else if (!isValidObjectId(sessionData.candidate_id)) {
+    errors.push('Invalid candidate_id format');
+  }
+
+  if (sessionData.topic_id !== undefined && !isValidObjectId(sessionData.topic_id)) {
+    errors.push('Invalid topic_id format');
+  }
+
+  ['topic', 'language'].forEach(field => {
+    if (
+      sessionData[field] !== undefined &&
+      (typeof sessionData[field] !== 'string' || !sessionData[field].trim())
+    ) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+
+  if (
+    !Number.isInteger(settings.max_items) ||
+    settings.max_items < 1 ||
+    settings.max_items > MAX_ADAPTIVE_ITEMS
+  ) {
+    errors.push(`max_items must be an integer between 1 and ${MAX_ADAPTIVE_ITEMS}`);
+  } else if (
+    !Number.isInteger(settings.min_items) ||
+    settings.min_items < 1 ||
+    settings.min_items > settings.max_items
+  ) {
+    errors.push('min_items must be an integer between 1 and max_items');
+  }
+
+  if (
+    typeof settings.target_standard_error !== 'number' ||
+    settings.target_standard_error <= 0 ||
+    settings.target_standard_error > PRIOR_STANDARD_DEVIATION
+  ) {
+    errors.push(
+      `target_standard_error must be a number greater than 0 and at most ${PRIOR_STANDARD_DEVIATION}`
+    );
+  }
+
+  if (!positions.includes(settings.start_position)) {
+    errors.push(`start_position must be one of: ${positions.join(', ')}`);
+  }
+
+  return { errors, settings };
+}
+
+/**
+ * Start an adaptive session for a candidate
+ * @async
+ * @param {Object} sessionData - Session data
+ * @param {string} sessionData.candidate_id - Candidate taking the session
+ * @param {string} [sessionData.topic_id] - Only serve questions of this topic
+ * @param {string} [sessionData.topic] - Only serve questions of this topic name
+ * @param {string} [sessionData.language] - Only serve questions of this language
+ * @param {number} [sessionData.max_items=20] - Stop after this many answers
+ * @param {number} [sessionData.min_items=5] - Answers needed before stopping on precision
+ * @param {number} [sessionData.target_standard_error=0.35] - Stop once the standard error
+ *   of the estimate is this small
+ * @param {string} [sessionData.start_position='junior'] - Position the first question targets
+ * @param {string} [assignedBy] - ID of the user starting the session
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function createSession(sessionData = {}, assignedBy) {
+  try {
+    const { errors, settings } = validateAdaptiveSessionData(sessionData);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    if (!(await candidateExists(sessionData.candidate_id))) {
+      return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.CANDIDATE_NOT_FOUND] };
+    }
+
+    const startLevel = getPositionLevel(settings.start_position);
+    const session = await createAdaptiveSession({
+      candidate_id: sessionData.candidate_id,
+      assigned_by: isValidObjectId(assignedBy) ? assignedBy : undefined,
+      topic_id: sessionData.topic_id || null,
+      topic: sessionData.topic ? sessionData.topic.trim() : null,
+      language: sessionData.language ? sessionData.language.trim() : null,
+      max_items: settings.max_items,
+      min_items: settings.min_items,
+      target_standard_error: settings.target_standard_error,
+      start_level: startLevel,
+      ability: startLevel,
+      standard_error: PRIOR_STANDARD_DEVIATION,
+    });
+    logger.info(`Adaptive session ${session._id} started`);
+
+    return { success: true, data: session };
+  } catch (error) {
+    logger.error('Error starting adaptive session:', error);
+    return {
+      success: false,
+      errors: [`Error starting adaptive session: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Load a session by ID
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function loadSession(id) {
+  if (!isValidObjectId(id)) {
+    return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.INVALID_ID] };
+  }
+
+  const session = await getAdaptiveSessionById(id);
+  if (!session) {
+    return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.NOT_FOUND] };
+  }
+
+  return { success: true, data: session };
+}
+
+/**
+ * Get adaptive session by ID
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getSessionById(id) {
+  try {
+    return await loadSession(id);
+  } catch (error) {
+    logger.error(`Error getting adaptive session with ID ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting adaptive session: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get adaptive sessions, optionally filtered by candidate
+ * @async
+ * @param {Object} [queryParams={}] - Query parameters
+ * @param {string} [queryParams.candidate_id] - Candidate ID filter
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getSessions(queryParams = {}) {
+  try {
+    const filter = {};
+
+    if (queryParams.candidate_id !== undefined) {
+      if (!isValidObjectId(queryParams.candidate_id)) {
+        return { success: false, errors: ['Invalid candidate_id format'] };
+      }
+      filter.candidate_id = queryParams.candidate_id;
+    }
+
+    const sessions = await getAdaptiveSessions(filter);
+    logger.info(`Retrieved ${sessions.length} adaptive sessions`);
+
+    return { success: true, data: sessions };
+  } catch (error) {
+    logger.error('Error getting adaptive sessions:', error);
+    return {
+      success: false,
+      errors: [`Error getting adaptive sessions: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Find the unserved questions of the session's scope, near the ability estimate first.
+ * If no question is within a level of the estimate, the whole scope is searched.
+ * @async
+ * @param {Object} session - Session document
+ * @returns {Promise<Array<Object>>} Questions that may be served
+ */
+async function findCandidateQuestions(session) {
+  const filter = {
+    ...buildScopeFilter({
+      topic_id: session.topic_id,
+      topic: session.topic,
+      language: session.language,
+    }),
+    ...buildStatusFilter(['approved']),
+    _id: { $nin: (session.items || []).map(item => toObjectId(item.question_id)) },
+  };
+
+  const nearby = await getQuestionsForAdaptiveDelivery({
+    ...filter,
+    positionLevel: {
+      $gte: Math.floor(session.ability) - 1,
+      $lte: Math.ceil(session.ability) + 1,
+    },
+  });
+  return nearby.length > 0 ? nearby : await getQuestionsForAdaptiveDelivery(filter);
+}
+
+/**
+ * Serve the next question of a session. A question that was served but not answered yet
+ * is served again. When no question is left the session is completed.
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data (`{ session, question }`,
+ *   question null once the session is completed), and errors
+ */
+async function getNextQuestion(id) {
+  try {
+    for (let attempt = 0; attempt < MAX_SERVE_ATTEMPTS; attempt++) {
+      const loaded = await loadSession(id);
+      if (!loaded.success) {
+        return loaded;
+      }
+
+      const session = loaded.data;
+      if (session.status === 'completed') {
+        return { success: true, data: { session, question: null } };
+      }
+
+      if (session.pending_question_id) {
+        const pending = await getQuestionById(String(session.pending_question_id));
+        return {
+          success: true,
+          data: {
+            session,
+            question: pending && formatServedQuestion(pending, session.items.length),
+          },
+        };
+      }
+
+      const question = selectNextQuestion(await findCandidateQuestions(session), session.ability);
+      if (!question) {
+        const completed = await transitionAdaptiveSession(
+          session._id,
+          null,
+          buildCompletion(session.items, session.ability, STOP_REASONS.POOL_EXHAUSTED)
+        );
+        logger.info(`Adaptive session ${id} completed: no questions left`);
+        return { success: true, data: { session: completed || session, question: null } };
+      }
+
+      const served = await transitionAdaptiveSession(session._id, null, {
+        pending_question_id: question._id,
+        $push: {
+          items: {
+            question_id: question._id,
+            difficulty: question.difficulty,
+            position_level: question.positionLevel,
+            item_difficulty: getItemDifficulty(question),
+            served_at: new Date(),
+          },
+        },
+      });
+
+      if (served) {
+        return {
+          success: true,
+          data: { session: served, question: formatServedQuestion(question, served.items.length) },
+        };
+      }
+
+      // Another request served a question first; load the session again to serve that one
+    }
+
+    logger.warn(`Gave up serving the next question of adaptive session ${id} after retries`);
+    return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.CONCURRENT_UPDATE] };
+  } catch (error) {
+    logger.error(`Error serving next question of adaptive session ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error serving next question: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Validate an answer to the pending question
+ * @param {Object} answerData - Answer data
+ * @returns {Array<string>} Validation errors
+ */
+function validateAnswerData(answerData = {}) {
+  const errors = [];
+  const { min, max } = submissionModel.answerValueRange;
+
+  if (!answerData.question_id) {
+    errors.push('Missing required field: question_id');
+  }
+
+  if (
+    answerData.answer !== null &&
+    answerData.answer !== undefined &&
+    (!Number.isInteger(answerData.answer) || answerData.answer < min || answerData.answer > max)
+  ) {
+    errors.push(`answer must be an integer between ${min} and ${max}, or null to skip`);
+  }
+
+  return errors;
+}
+
+/**
+ * Answer the pending question, update the ability estimate and stop the session once the
+ * estimate is precise enough or the item limit is reached. Skipped questions count as wrong.
+ * @async
+ * @param {string} id - Session ID
+ * @param {Object} answerData - Answer data
+ * @param {string} answerData.question_id - Question being answered
+ * @param {number|null} [answerData.answer] - Selected option (0-3), or null to skip
+ * @returns {Promise<Object>} Result object with success flag, data (updated session), and errors
+ */
+async function answerQuestion(id, answerData = {}) {
+  try {
+    const errors = validateAnswerData(answerData);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const loaded = await loadSession(id);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const session = loaded.data;
+    if (session.status === 'completed') {
+      return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.ALREADY_FINISHED] };
+    }
+    if (!session.pending_question_id) {
+      return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.NO_PENDING_QUESTION] };
+    }
+    if (String(session.pending_question_id) !== String(answerData.question_id)) {
+      return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.QUESTION_MISMATCH] };
+    }
+
+    const question = await getQuestionById(String(session.pending_question_id));
+    const selected = Number.isInteger(answerData.answer) ? answerData.answer : null;
+    const items = session.items.map(toPlainItem);
+    const pendingItem = items[items.length - 1];
+    Object.assign(pendingItem, {
+      answer: selected,
+      is_skip: selected === null ? 1 : 0,
+      is_correct: selected !== null && !!question && selected === question.correctAnswer,
+      answered_at: new Date(),
+    });
+
+    const answered = items.filter(item => item.answered_at);
+    const estimate = estimateAbility(answered, session.start_level);
+    const stopReason = getStopReason(session, answered.length, estimate.standard_error);
+
+    const update = {
+      items,
+      pending_question_id: null,
+      ability: estimate.ability,
+      standard_error: estimate.standard_error,
+      ...(stopReason && buildCompletion(items, estimate.ability, stopReason)),
+    };
+
+    const updated = await transitionAdaptiveSession(
+      session._id,
+      session.pending_question_id,
+      update
+    );
+    if (!updated) {
+      return { success: false, errors: [ADAPTIVE_SESSION_ERRORS.NO_PENDING_QUESTION] };
+    }
+
+    logger.info(
+      `Adaptive session ${id}: ${answered.length} answered, ability ${estimate.ability} ` +
+        `(SE ${estimate.standard_error})${stopReason ? `, completed (${stopReason})` : ''}`
+    );
+
+    return { success: true, data: updated };
+  } catch (error) {
+    logger.error(`Error answering question of adaptive session ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error answering question: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  ADAPTIVE_SESSION_ERRORS,
+  ADAPTIVE_DEFAULTS,
+  STOP_REASONS,
+  getPositionScale,
+  mapAbilityToPosition,
+  getItemDifficulty,
+  estimateAbility,
+  selectNextQuestion,
+  getStopReason,
+  validateAdaptiveSessionData,
+  createSession,
+  getSessionById,
+  getSessions,
+  getNextQuestion,
+  answerQuestion,
+};
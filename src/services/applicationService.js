@@ -0,0 +1,529 @@
+/**
+ * Application Service Module
+ * Links candidates to the positions they apply for. Each application has its own
+ * pipeline status, assessment session and interviewers.
+ * @module service/applicationService
+ */
+
+const {
+  createApplication,
+  getApplicationById,
+  getApplicationByCandidateAndPosition,
+  getApplications,
+  updateApplication,
+  deleteApplication,
+} = require('../repository/applicationRepository');
+const { getCandidateById, getCandidatesByIds } = require('../repository/candidateRepository');
+const { getPositionById } = require('../repository/positionRepository');
+const { getLanguageById } = require('../repository/languageRepository');
+const { getAssessmentSessionById } = require('../repository/assessmentSessionRepository');
+const { getLatestSubmissionsByApplicationIds } = require('../repository/submissionRepository');
+const userRepository = require('../repository/userRepository');
+const { getCandidatePipelineConfig } = require('../config/candidatePipelineConfig');
+const { ROLES } = require('../config/roleConfig');
+const { isValidObjectId } = require('../utils/validateObjectId');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const APPLICATION_ERRORS = {
+  INVALID_ID: 'Invalid application ID format',
+  NOT_FOUND: 'Application not found',
+  CANDIDATE_NOT_FOUND: 'Candidate not found',
+  POSITION_NOT_FOUND: 'Position not found',
+  ALREADY_APPLIED: 'Candidate has already applied for this position',
+  INVALID_TRANSITION: 'Transition not allowed',
+};
+
+/**
+ * Fields that can be changed after an application is created
+ * @constant {Array<string>}
+ */
+const UPDATABLE_FIELDS = ['language_id', 'status', 'assessment_session_id', 'interviewer_ids'];
+
+/**
+ * Convert a Mongoose document to a plain object if needed
+ * @param {Object} document - Mongoose document or plain object
+ * @returns {Object} Plain object
+ */
+function toPlainObject(document) {
+  return document.toObject ? document.toObject() : document;
+}
+
+/**
+ * Validate application data
+ * @param {Object} applicationData - Application data to validate
+ * @param {boolean} [isUpdate=false] - Whether the data updates an existing application
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateApplicationData(applicationData, isUpdate = false) {
+  const errors = [];
+  const { stages } = getCandidatePipelineConfig();
+
+  ['candidate_id', 'position_id'].forEach(field => {
+    if (isUpdate) {
+      if (applicationData[field] !== undefined) {
+        errors.push(`Field ${field} cannot be changed`);
+      }
+    } else if (!applicationData[field]) {
+      errors.push(`Missing required field: ${field}`);
+    } else if (!isValidObjectId(applicationData[field])) {
+      errors.push(`Invalid ${field} format`);
+    }
+  });
+
+  ['language_id', 'assessment_session_id'].forEach(field => {
+    const value = applicationData[field];
+    if (value !== undefined && value !== null && !isValidObjectId(value)) {
+      errors.push(`Invalid ${field} format`);
+    }
+  });
+
+  if (applicationData.status !== undefined && !stages.includes(applicationData.status)) {
+    errors.push(`Status must be one of: ${stages.join(', ')}`);
+  }
+
+  if (applicationData.interviewer_ids !== undefined) {
+    if (!Array.isArray(applicationData.interviewer_ids)) {
+      errors.push('Field interviewer_ids must be an array');
+    } else if (!applicationData.interviewer_ids.every(id => isValidObjectId(id))) {
+      errors.push('Field interviewer_ids contains an invalid ID');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Check that the language, assessment session and interviewers of an application exist
+ * @async
+ * @param {Object} applicationData - Application data
+ * @param {string} candidateId - Candidate the application belongs to
+ * @returns {Promise<Array<string>>} Errors for missing or mismatched references
+ */
+async function checkReferences(applicationData, candidateId) {
+  const errors = [];
+
+  if (applicationData.language_id && !(await getLanguageById(applicationData.language_id))) {
+    errors.push(`Language not found: ${applicationData.language_id}`);
+  }
+
+  if (applicationData.assessment_session_id) {
+    const session = await getAssessmentSessionById(applicationData.assessment_session_id);
+    if (!session) {
+      errors.push(`Assessment session not found: ${applicationData.assessment_session_id}`);
+    } else if (String(session.candidate_id) !== String(candidateId)) {
+      errors.push('Assessment session belongs to another candidate');
+    }
+  }
+
+  if (Array.isArray(applicationData.interviewer_ids)) {
+    const missingIds = [];
+    for (const id of applicationData.interviewer_ids) {
+      const user = await userRepository.findById(id);
+      if (!user || user.role === ROLES.CANDIDATE) {
+        missingIds.push(String(id));
+      }
+    }
+    if (missingIds.length > 0) {
+      errors.push(`Interviewers not found: ${missingIds.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Pick the fields of an application that can be set, dropping duplicate interviewers
+ * @param {Object} applicationData - Application data
+ * @returns {Object} Fields to store
+ */
+function pickApplicationFields(applicationData) {
+  const fields = {};
+
+  UPDATABLE_FIELDS.forEach(field => {
+    if (applicationData[field] !== undefined) {
+      fields[field] = applicationData[field];
+    }
+  });
+
+  if (Array.isArray(fields.interviewer_ids)) {
+    fields.interviewer_ids = [...new Set(fields.interviewer_ids.map(String))];
+  }
+
+  return fields;
+}
+
+/**
+ * Create an application of a candidate for a position
+ * @async
+ * @param {Object} applicationData - Application data
+ * @param {string} applicationData.candidate_id - Candidate ID
+ * @param {string} applicationData.position_id - Position ID
+ * @param {string} [applicationData.language_id] - Language the candidate applies with
+ * @param {string} [applicationData.status] - Pipeline stage, defaults to the initial stage
+ * @param {string} [applicationData.assessment_session_id] - Assigned assessment session
+ * @param {Array<string>} [applicationData.interviewer_ids] - Assigned interviewers
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function createNewApplication(applicationData = {}) {
+  try {
+    const validation = validateApplicationData(applicationData);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors,
+      };
+    }
+
+    const { candidate_id, position_id } = applicationData;
+
+    if (!(await getCandidateById(candidate_id))) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.CANDIDATE_NOT_FOUND],
+      };
+    }
+
+    if (!(await getPositionById(position_id))) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.POSITION_NOT_FOUND],
+      };
+    }
+
+    if (await getApplicationByCandidateAndPosition(candidate_id, position_id)) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.ALREADY_APPLIED],
+      };
+    }
+
+    const errors = await checkReferences(applicationData, candidate_id);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        errors,
+      };
+    }
+
+    const application = await createApplication({
+      ...pickApplicationFields(applicationData),
+      candidate_id,
+      position_id,
+    });
+    logger.info(`Application ${application._id} created`);
+
+    return {
+      success: true,
+      data: application,
+    };
+  } catch (error) {
+    // Two requests for the same candidate and position raced past the check above
+    if (error.code === 11000) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.ALREADY_APPLIED],
+      };
+    }
+
+    logger.error('Error creating application:', error);
+    return {
+      success: false,
+      errors: [`Error creating application: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get applications, optionally filtered by candidate, position and status
+ * @async
+ * @param {Object} [queryParams={}] - Query parameters
+ * @param {string} [queryParams.candidate_id] - Candidate ID filter
+ * @param {string} [queryParams.position_id] - Position ID filter
+ * @param {string} [queryParams.status] - Status filter
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getAllApplications(queryParams = {}) {
+  try {
+    const filter = {};
+
+    for (const field of ['candidate_id', 'position_id']) {
+      if (queryParams[field] !== undefined) {
+        if (!isValidObjectId(queryParams[field])) {
+          return {
+            success: false,
+            errors: [`Invalid ${field} format`],
+          };
+        }
+        filter[field] = queryParams[field];
+      }
+    }
+
+    if (queryParams.status !== undefined) {
+      const { stages } = getCandidatePipelineConfig();
+      if (!stages.includes(queryParams.status)) {
+        return {
+          success: false,
+          errors: [`Status must be one of: ${stages.join(', ')}`],
+        };
+      }
+      filter.status = queryParams.status;
+    }
+
+    const applications = await getApplications(filter);
+    logger.info(`Retrieved ${applications.length} applications`);
+
+    return {
+      success: true,
+      data: applications,
+    };
+  } catch (error) {
+    logger.error('Error getting applications:', error);
+    return {
+      success: false,
+      errors: [`Error getting applications: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Load an application by ID
+ * @async
+ * @param {string} id - Application ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function loadApplication(id) {
+  if (!isValidObjectId(id)) {
+    return {
+      success: false,
+      errors: [APPLICATION_ERRORS.INVALID_ID],
+    };
+  }
+
+  const application = await getApplicationById(id);
+  if (!application) {
+    return {
+      success: false,
+      errors: [APPLICATION_ERRORS.NOT_FOUND],
+    };
+  }
+
+  return {
+    success: true,
+    data: application,
+  };
+}
+
+/**
+ * Get application by ID
+ * @async
+ * @param {string} id - Application ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getApplication(id) {
+  try {
+    return await loadApplication(id);
+  } catch (error) {
+    logger.error(`Error getting application with ID ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting application: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Update an application. Status changes must be allowed by the candidate pipeline.
+ * @async
+ * @param {string} id - Application ID
+ * @param {Object} updateData - Fields to update (language_id, status, assessment_session_id,
+ *   interviewer_ids)
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function updateExistingApplication(id, updateData = {}) {
+  try {
+    const result = await loadApplication(id);
+    if (!result.success) {
+      return result;
+    }
+
+    const validation = validateApplicationData(updateData, true);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors,
+      };
+    }
+
+    const application = result.data;
+    const { status } = updateData;
+    if (status !== undefined && status !== application.status) {
+      const allowed = getCandidatePipelineConfig().transitions[application.status] || [];
+      if (!allowed.includes(status)) {
+        return {
+          success: false,
+          errors: [
+            APPLICATION_ERRORS.INVALID_TRANSITION,
+            `Cannot move an application from ${application.status} to ${status}` +
+              (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''),
+          ],
+        };
+      }
+    }
+
+    const errors = await checkReferences(updateData, application.candidate_id);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        errors,
+      };
+    }
+
+    const updated = await updateApplication(id, pickApplicationFields(updateData));
+    if (!updated) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.NOT_FOUND],
+      };
+    }
+
+    return {
+      success: true,
+      data: updated,
+    };
+  } catch (error) {
+    logger.error(`Error updating application with ID ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error updating application: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Delete an application. Submissions keep their application_id.
+ * @async
+ * @param {string} id - Application ID
+ * @returns {Promise<Object>} Result object with success flag, the deleted application, and errors
+ */
+async function deleteExistingApplication(id) {
+  try {
+    if (!isValidObjectId(id)) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.INVALID_ID],
+      };
+    }
+
+    const deleted = await deleteApplication(id);
+    if (!deleted) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.NOT_FOUND],
+      };
+    }
+
+    return {
+      success: true,
+      data: deleted,
+    };
+  } catch (error) {
+    logger.error(`Error deleting application with ID ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error deleting application: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get the applicants of a position with their contact details and the scores of the
+ * latest submission made for each application
+ * @async
+ * @param {string} positionId - Position ID
+ * @param {Object} [queryParams={}] - Query parameters
+ * @param {string} [queryParams.status] - Status filter
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getPositionApplications(positionId, queryParams = {}) {
+  try {
+    if (!isValidObjectId(positionId)) {
+      return {
+        success: false,
+        errors: ['Invalid position ID format'],
+      };
+    }
+
+    if (!(await getPositionById(positionId))) {
+      return {
+        success: false,
+        errors: [APPLICATION_ERRORS.POSITION_NOT_FOUND],
+      };
+    }
+
+    const result = await getAllApplications({
+      status: queryParams.status,
+      position_id: positionId,
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const applications = result.data.map(toPlainObject);
+    const [candidates, latestSubmissions] = await Promise.all([
+      getCandidatesByIds(applications.map(application => String(application.candidate_id))),
+      getLatestSubmissionsByApplicationIds(
+        applications.map(application => String(application._id))
+      ),
+    ]);
+
+    const candidatesById = new Map(candidates.map(candidate => [String(candidate._id), candidate]));
+    const latestByApplication = new Map(
+      latestSubmissions.map(latest => [String(latest.application_id), latest])
+    );
+
+    return {
+      success: true,
+      data: applications.map(application => {
+        const candidate = candidatesById.get(String(application.candidate_id));
+        const latest = latestByApplication.get(String(application._id));
+
+        return {
+          ...application,
+          candidate: candidate
+            ? {
+                _id: candidate._id,
+                full_name: candidate.full_name,
+                email: candidate.email,
+                interview_level: candidate.interview_level,
+              }
+            : null,
+          latest_submission: latest ? { _id: latest.submission_id, scores: latest.scores } : null,
+        };
+      }),
+    };
+  } catch (error) {
+    logger.error(`Error getting applications of position ${positionId}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting position applications: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  APPLICATION_ERRORS,
+  validateApplicationData,
+  createNewApplication,
+  getAllApplications,
+  getApplication,
+  updateExistingApplication,
+  deleteExistingApplication,
+  getPositionApplications,
+};
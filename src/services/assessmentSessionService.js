@@ -0,0 +1,774 @@
+/**
+ * Assessment Session Service Module
+ * @module service/assessmentSessionService
+ */
+
+const {
+  createAssessmentSession,
+  getAssessmentSessionById,
+  getAssessmentSessions,
+  updateAssessmentSession,
+  transitionAssessmentSession,
+  getExpiredAssessmentSessions,
+} = require('../repository/assessmentSessionRepository');
+const {
+  insertSubmissionToDB,
+  candidateExists,
+  questionsExist,
+  instrumentsExist,
+  logicQuestionsExist,
+} = require('../repository/submissionRepository');
+const { getApplicationById, updateApplication } = require('../repository/applicationRepository');
+const { validateSubmissionInput } = require('../utils/submissionValidator');
+const { isValidObjectId } = require('../utils/validateObjectId');
+const {
+  fetchQuestionsByIds,
+  fetchInstrumentsByIds,
+  fetchLogicQuestionsByIds,
+} = require('../utils/submissionEnricher');
+const { scoreSubmission, stripScoredFields } = require('./submissionScoringService');
+const { SESSION_STATUSES } = require('../models/assessmentSessionModel');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const SESSION_ERRORS = {
+  INVALID_ID: 'Invalid assessment session ID format',
+  NOT_FOUND: 'Assessment session not found',
+  CANDIDATE_NOT_FOUND: 'Candidate not found',
+  APPLICATION_NOT_FOUND: 'Application not found',
+  ALREADY_STARTED: 'Assessment session has already been started',
+  NOT_STARTED: 'Assessment session has not been started',
+  ALREADY_FINISHED: 'Assessment session is already finished',
+  DEADLINE_PASSED: 'Assessment session deadline has passed',
+};
+
+/**
+ * Sections of a session, with the ID field used by each entry and the list of assigned IDs
+ * @constant {Array<Object>}
+ */
+const SECTIONS = [
+  { field: 'answers', idField: 'question_id', assignedField: 'question_ids' },
+  { field: 'instruments', idField: 'instrument_id', assignedField: 'instrument_ids' },
+  {
+    field: 'logic_questions',
+    idField: 'logic_question_id',
+    assignedField: 'logic_question_ids',
+  },
+];
+
+/**
+ * Get the default session time limit from the environment
+ * @returns {number} Time limit in minutes
+ */
+function getDefaultTimeLimitMinutes() {
+  const value = parseInt(process.env.ASSESSMENT_TIME_LIMIT_MINUTES, 10);
+  return Number.isInteger(value) && value > 0 ? value : 60;
+}
+
+/**
+ * Check whether an in-progress session has run past its deadline
+ * @param {Object} session - Session document
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if the deadline has passed
+ */
+function isPastDeadline(session, now = new Date()) {
+  return (
+    session.status === 'in_progress' &&
+    !!session.deadline_at &&
+    new Date(session.deadline_at).getTime() <= now.getTime()
+  );
+}
+
+/**
+ * Normalize a list of IDs from the request body
+ * @param {*} ids - Array of IDs or undefined
+ * @returns {Array<string>} Array of ID strings
+ */
+function normalizeIds(ids) {
+  return Array.isArray(ids) ? ids.map(id => String(id)) : [];
+}
+
+/**
+ * Validate assessment session assignment data
+ * @param {Object} sessionData - Session data to validate
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateAssignmentData(sessionData) {
+  const errors = [];
+
+  if (!sessionData.candidate_id) {
+    errors.push('Candidate ID is required');
+  } else if (!isValidObjectId(sessionData.candidate_id)) {
+    errors.push('Invalid candidate_id format');
+  }
+
+  SECTIONS.forEach(({ assignedField }) => {
+    const ids = sessionData[assignedField];
+    if (ids === undefined) {
+      return;
+    }
+    if (!Array.isArray(ids)) {
+      errors.push(`Field ${assignedField} must be an array`);
+    } else if (!ids.every(id => isValidObjectId(id))) {
+      errors.push(`Field ${assignedField} contains an invalid ID`);
+    }
+  });
+
+  const hasItems =
+    SECTIONS.some(({ assignedField }) => normalizeIds(sessionData[assignedField]).length > 0) ||
+    !!sessionData.essay_question;
+  if (!hasItems) {
+    errors.push('At least one question, instrument, logic question or essay is required');
+  }
+
+  if (sessionData.template_id !== undefined && !isValidObjectId(sessionData.template_id)) {
+    errors.push('Invalid template_id format');
+  }
+
+  if (sessionData.application_id !== undefined && !isValidObjectId(sessionData.application_id)) {
+    errors.push('Invalid application_id format');
+  }
+
+  if (
+    sessionData.time_limit_minutes !== undefined &&
+    !(Number.isInteger(sessionData.time_limit_minutes) && sessionData.time_limit_minutes > 0)
+  ) {
+    errors.push('Time limit must be a positive integer number of minutes');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Assign an assessment session to a candidate
+ * @async
+ * @param {Object} sessionData - Session data
+ * @param {string} sessionData.candidate_id - Candidate ID
+ * @param {Array<string>} [sessionData.question_ids] - Assigned question IDs
+ * @param {Array<string>} [sessionData.instrument_ids] - Assigned instrument IDs
+ * @param {Array<string>} [sessionData.logic_question_ids] - Assigned logic question IDs
+ * @param {string} [sessionData.essay_question] - Essay prompt
+ * @param {string} [sessionData.template_id] - Template the items were drawn from
+ * @param {string} [sessionData.application_id] - Application the assessment is for; the session
+ *   becomes the application's assigned assessment
+ * @param {number} [sessionData.time_limit_minutes] - Time limit, defaults to ASSESSMENT_TIME_LIMIT_MINUTES
+ * @param {string} [assignedBy] - ID of the user assigning the session
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function assignSession(sessionData, assignedBy) {
+  try {
+    const validation = validateAssignmentData(sessionData);
+    if (!validation.isValid) {
+      logger.warn('Invalid assessment session data:', validation.errors);
+      return {
+        success: false,
+        errors: validation.errors,
+      };
+    }
+
+    if (!(await candidateExists(sessionData.candidate_id))) {
+      return {
+        success: false,
+        errors: [SESSION_ERRORS.CANDIDATE_NOT_FOUND],
+      };
+    }
+
+    if (sessionData.application_id !== undefined) {
+      const application = await getApplicationById(sessionData.application_id);
+      if (!application) {
+        return {
+          success: false,
+          errors: [SESSION_ERRORS.APPLICATION_NOT_FOUND],
+        };
+      }
+      if (String(application.candidate_id) !== String(sessionData.candidate_id)) {
+        return {
+          success: false,
+          errors: ['Application belongs to another candidate'],
+        };
+      }
+    }
+
+    const questionIds = normalizeIds(sessionData.question_ids);
+    const instrumentIds = normalizeIds(sessionData.instrument_ids);
+    const logicQuestionIds = normalizeIds(sessionData.logic_question_ids);
+
+    const existenceChecks = [
+      ['Questions', await questionsExist(questionIds)],
+      ['Instruments', await instrumentsExist(instrumentIds)],
+      ['Logic questions', await logicQuestionsExist(logicQuestionIds)],
+    ];
+    const errors = existenceChecks
+      .filter(([, result]) => !result.exists)
+      .map(([label, result]) => `${label} not found: ${result.missingIds.join(', ')}`);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        errors,
+      };
+    }
+
+    const session = await createAssessmentSession({
+      candidate_id: sessionData.candidate_id,
+      assigned_by: isValidObjectId(assignedBy) ? assignedBy : undefined,
+      template_id: sessionData.template_id,
+      application_id: sessionData.application_id,
+      time_limit_minutes: sessionData.time_limit_minutes || getDefaultTimeLimitMinutes(),
+      question_ids: questionIds,
+      instrument_ids: instrumentIds,
+      logic_question_ids: logicQuestionIds,
+      essay: {
+        question: sessionData.essay_question || null,
+        answer: null,
+        is_skip: 0,
+      },
+    });
+    logger.info(`Assessment session ${session._id} assigned`);
+
+    if (sessionData.application_id !== undefined) {
+      await updateApplication(sessionData.application_id, { assessment_session_id: session._id });
+    }
+
+    return {
+      success: true,
+      data: session,
+    };
+  } catch (error) {
+    logger.error('Error assigning assessment session:', error);
+    return {
+      success: false,
+      errors: [`Error assigning assessment session: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Fill in skipped entries for assigned items the candidate never answered
+ * @param {Object} session - Session document
+ * @param {Object} section - Section definition from SECTIONS
+ * @returns {Array<Object>} Entries for every assigned item
+ */
+function buildSectionEntries(session, { field, idField, assignedField }) {
+  const saved = Array.isArray(session[field]) ? session[field] : [];
+  const savedById = new Map(saved.map(entry => [String(entry[idField]), entry]));
+
+  return (session[assignedField] || []).map(id => {
+    const entry = savedById.get(String(id));
+    if (entry) {
+      return { ...entry, [idField]: String(id) };
+    }
+    return { [idField]: String(id), answer: null, other: '', is_skip: 1 };
+  });
+}
+
+/**
+ * Close a session and record its answers as a scored submission
+ * @async
+ * @param {Object} session - Session document in the in_progress status
+ * @param {string} status - Final status ('completed' or 'expired')
+ * @returns {Promise<Object>} Final session document
+ */
+async function finalizeSession(session, status) {
+  const claimed = await transitionAssessmentSession(session._id, 'in_progress', {
+    status,
+    finished_at: new Date(),
+  });
+
+  // Another request or the expiry watcher finalized the session first
+  if (!claimed) {
+    return await getAssessmentSessionById(session._id);
+  }
+
+  const essayQuestion = claimed.essay?.question || null;
+  const essayAnswer = claimed.essay?.answer || null;
+  const submissionData = {
+    candidate_id: String(claimed.candidate_id),
+    session_id: String(claimed._id),
+    ...(claimed.application_id && { application_id: String(claimed.application_id) }),
+    essay: {
+      question: essayQuestion,
+      answer: essayAnswer,
+      is_skip: essayQuestion && !essayAnswer ? 1 : claimed.essay?.is_skip || 0,
+    },
+  };
+  SECTIONS.forEach(section => {
+    submissionData[section.field] = buildSectionEntries(claimed, section);
+  });
+
+  const scoredSubmission = await scoreSubmission(submissionData);
+  const submission = await insertSubmissionToDB(scoredSubmission);
+  logger.info(`Assessment session ${claimed._id} ${status}, submission ${submission._id} created`);
+
+  return await updateAssessmentSession(claimed._id, { submission_id: submission._id });
+}
+
+/**
+ * Load a session, closing it first if its deadline has passed
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function loadSession(id) {
+  if (!isValidObjectId(id)) {
+    return {
+      success: false,
+      errors: [SESSION_ERRORS.INVALID_ID],
+    };
+  }
+
+  let session = await getAssessmentSessionById(id);
+  if (!session) {
+    return {
+      success: false,
+      errors: [SESSION_ERRORS.NOT_FOUND],
+    };
+  }
+
+  if (isPastDeadline(session)) {
+    session = await finalizeSession(session, 'expired');
+  }
+
+  return {
+    success: true,
+    data: session,
+  };
+}
+
+/**
+ * Get assessment session by ID
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getSessionById(id) {
+  try {
+    return await loadSession(id);
+  } catch (error) {
+    logger.error(`Error getting assessment session with ID ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting assessment session: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Item formatters for the candidate, keyed by session section. They copy only the fields needed
+ * to answer, so answer keys, explanations and scoring keys are never sent.
+ * @constant {Object}
+ */
+const ITEM_FORMATTERS = {
+  answers: question => ({
+    _id: question._id,
+    question: question.question,
+    options: question.options,
+    difficulty: question.difficulty,
+    category: question.category,
+    topic: question.topic,
+  }),
+  instruments: instrument => ({
+    _id: instrument._id,
+    questionText: instrument.questionText,
+    type: instrument.type,
+    options: instrument.options,
+  }),
+  logic_questions: logicQuestion => ({
+    _id: logicQuestion._id,
+    question: logicQuestion.question,
+    description: logicQuestion.description,
+    type: logicQuestion.type,
+    level: logicQuestion.level,
+    choices: (logicQuestion.choices || []).map(choice => ({ text: choice.text })),
+  }),
+};
+
+/**
+ * Get the items assigned to an in-progress session, in the assigned order and without their
+ * answer keys, so the candidate can answer them
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getSessionItems(id) {
+  try {
+    const result = await loadSession(id);
+    if (!result.success) {
+      return result;
+    }
+
+    const session = result.data;
+    const closedError = getClosedSessionError(session);
+    if (closedError) {
+      return {
+        success: false,
+        errors: [closedError],
+      };
+    }
+
+    const [questionMap, instrumentMap, logicQuestionMap] = await Promise.all([
+      fetchQuestionsByIds(normalizeIds(session.question_ids)),
+      fetchInstrumentsByIds(normalizeIds(session.instrument_ids)),
+      fetchLogicQuestionsByIds(normalizeIds(session.logic_question_ids)),
+    ]);
+    const itemMaps = {
+      answers: questionMap,
+      instruments: instrumentMap,
+      logic_questions: logicQuestionMap,
+    };
+
+    const items = {};
+    SECTIONS.forEach(({ field, assignedField }) => {
+      items[field] = normalizeIds(session[assignedField])
+        .filter(itemId => itemMaps[field][itemId])
+        .map(itemId => ITEM_FORMATTERS[field](itemMaps[field][itemId]));
+    });
+
+    return {
+      success: true,
+      data: {
+        session_id: session._id,
+        deadline_at: session.deadline_at,
+        questions: items.answers,
+        instruments: items.instruments,
+        logic_questions: items.logic_questions,
+        essay_question: session.essay?.question || null,
+      },
+    };
+  } catch (error) {
+    logger.error(`Error getting items of assessment session ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting assessment session items: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get assessment sessions, optionally filtered by candidate and status
+ * @async
+ * @param {Object} [queryParams={}] - Query parameters
+ * @param {string} [queryParams.candidate_id] - Candidate ID filter
+ * @param {string} [queryParams.status] - Status filter
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getSessions(queryParams = {}) {
+  try {
+    const filter = {};
+
+    if (queryParams.candidate_id !== undefined) {
+      if (!isValidObjectId(queryParams.candidate_id)) {
+        return {
+          success: false,
+          errors: ['Invalid candidate_id format'],
+        };
+      }
+      filter.candidate_id = queryParams.candidate_id;
+    }
+
+    if (queryParams.status !== undefined) {
+      if (!SESSION_STATUSES.includes(queryParams.status)) {
+        return {
+          success: false,
+          errors: [`Status must be one of: ${SESSION_STATUSES.join(', ')}`],
+        };
+      }
+      filter.status = queryParams.status;
+    }
+
+    const sessions = await getAssessmentSessions(filter);
+    logger.info(`Retrieved ${sessions.length} assessment sessions`);
+
+    return {
+      success: true,
+      data: sessions,
+    };
+  } catch (error) {
+    logger.error('Error getting assessment sessions:', error);
+    return {
+      success: false,
+      errors: [`Error getting assessment sessions: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Start an assigned session, fixing its deadline from the time limit
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function startSession(id) {
+  try {
+    const result = await loadSession(id);
+    if (!result.success) {
+      return result;
+    }
+
+    const session = result.data;
+    if (session.status !== 'assigned') {
+      return {
+        success: false,
+        errors: [SESSION_ERRORS.ALREADY_STARTED],
+      };
+    }
+
+    const startedAt = new Date();
+    const started = await transitionAssessmentSession(session._id, 'assigned', {
+      status: 'in_progress',
+      started_at: startedAt,
+      deadline_at: new Date(startedAt.getTime() + session.time_limit_minutes * 60 * 1000),
+    });
+
+    if (!started) {
+      return {
+        success: false,
+        errors: [SESSION_ERRORS.ALREADY_STARTED],
+      };
+    }
+
+    logger.info(`Assessment session ${id} started, deadline ${started.deadline_at.toISOString()}`);
+    return {
+      success: true,
+      data: started,
+    };
+  } catch (error) {
+    logger.error(`Error starting assessment session ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error starting assessment session: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get the reason a session cannot accept answers or be finished, if any
+ * @param {Object} session - Session document
+ * @returns {string|null} Error message or null if the session is in progress
+ */
+function getClosedSessionError(session) {
+  if (session.status === 'assigned') {
+    return SESSION_ERRORS.NOT_STARTED;
+  }
+  if (session.status === 'expired') {
+    return SESSION_ERRORS.DEADLINE_PASSED;
+  }
+  if (session.status === 'completed') {
+    return SESSION_ERRORS.ALREADY_FINISHED;
+  }
+  return null;
+}
+
+/**
+ * Save answers to an in-progress session. Entries replace earlier entries for the same item.
+ * @async
+ * @param {string} id - Session ID
+ * @param {Object} answerData - Answers to save
+ * @param {Array<Object>} [answerData.answers] - Question answers
+ * @param {Array<Object>} [answerData.instruments] - Instrument responses
+ * @param {Array<Object>} [answerData.logic_questions] - Logic question responses
+ * @param {Object} [answerData.essay] - Essay answer ({ answer, is_skip })
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function saveSessionAnswers(id, answerData = {}) {
+  try {
+    const result = await loadSession(id);
+    if (!result.success) {
+      return result;
+    }
+
+    const session = result.data;
+    const closedError = getClosedSessionError(session);
+    if (closedError) {
+      return {
+        success: false,
+        errors: [closedError],
+      };
+    }
+
+    const validation = validateSubmissionInput({
+      candidate_id: String(session.candidate_id),
+      answers: answerData.answers,
+      instruments: answerData.instruments,
+      logic_questions: answerData.logic_questions,
+      essay: answerData.essay,
+    });
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors,
+      };
+    }
+
+    // Points are computed when the session is finished and grades are added by reviewers
+    const clientData = stripScoredFields(answerData);
+    const errors = [];
+    const update = {};
+    SECTIONS.forEach(({ field, idField, assignedField }) => {
+      if (!Array.isArray(clientData[field])) {
+        return;
+      }
+
+      const assignedIds = new Set((session[assignedField] || []).map(String));
+      const entries = new Map((session[field] || []).map(entry => [String(entry[idField]), entry]));
+
+      clientData[field].forEach(entry => {
+        const itemId = String(entry[idField]);
+        if (!assignedIds.has(itemId)) {
+          errors.push(`${idField} ${itemId} is not part of this assessment session`);
+          return;
+        }
+
+        entries.set(itemId, { ...entry, [idField]: itemId, answered_at: new Date() });
+      });
+
+      update[field] = Array.from(entries.values());
+    });
+
+    if (answerData.essay && typeof answerData.essay === 'object') {
+      update.essay = {
+        question: session.essay?.question || null,
+        answer: answerData.essay.answer !== undefined ? answerData.essay.answer : null,
+        is_skip: answerData.essay.is_skip !== undefined ? answerData.essay.is_skip : 0,
+      };
+    }
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        errors,
+      };
+    }
+
+    // Only accept the answers if the session is still running when they are written
+    const saved = await transitionAssessmentSession(session._id, 'in_progress', update, {
+      deadline_at: { $gt: new Date() },
+    });
+    if (!saved) {
+      return {
+        success: false,
+        errors: [SESSION_ERRORS.DEADLINE_PASSED],
+      };
+    }
+
+    return {
+      success: true,
+      data: saved,
+    };
+  } catch (error) {
+    logger.error(`Error saving answers for assessment session ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error saving assessment session answers: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Finish an in-progress session and create its submission
+ * @async
+ * @param {string} id - Session ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function finishSession(id) {
+  try {
+    const result = await loadSession(id);
+    if (!result.success) {
+      return result;
+    }
+
+    const session = result.data;
+
+    // A session that ran out of time was already closed by loadSession
+    if (session.status === 'expired') {
+      return result;
+    }
+
+    const closedError = getClosedSessionError(session);
+    if (closedError) {
+      return {
+        success: false,
+        errors: [closedError],
+      };
+    }
+
+    const finished = await finalizeSession(session, 'completed');
+
+    return {
+      success: true,
+      data: finished,
+    };
+  } catch (error) {
+    logger.error(`Error finishing assessment session ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error finishing assessment session: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Close every in-progress session whose deadline has passed
+ * @async
+ * @returns {Promise<number>} Number of sessions closed
+ */
+async function closeExpiredSessions() {
+  const sessions = await getExpiredAssessmentSessions(new Date());
+  let closed = 0;
+
+  for (const session of sessions) {
+    try {
+      await finalizeSession(session, 'expired');
+      closed++;
+    } catch (error) {
+      logger.error(`Error closing expired assessment session ${session._id}:`, error);
+    }
+  }
+
+  if (closed > 0) {
+    logger.info(`Closed ${closed} expired assessment sessions`);
+  }
+
+  return closed;
+}
+
+/**
+ * Periodically close expired sessions
+ * @param {Object} [options={}] - Watcher options
+ * @param {number} [options.interval=60000] - Check interval in milliseconds
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startSessionExpiryWatcher(options = {}) {
+  const interval = options.interval || 60000;
+
+  const timer = setInterval(() => {
+    closeExpiredSessions().catch(error => {
+      logger.error('Error in assessment session expiry watcher:', error);
+    });
+  }, interval);
+  timer.unref();
+
+  logger.info(`Assessment session expiry watcher started (interval: ${interval}ms)`);
+  return timer;
+}
+
+module.exports = {
+  SESSION_ERRORS,
+  getDefaultTimeLimitMinutes,
+  isPastDeadline,
+  validateAssignmentData,
+  assignSession,
+  getSessionById,
+  getSessionItems,
+  getSessions,
+  startSession,
+  saveSessionAnswers,
+  finishSession,
+  closeExpiredSessions,
+  startSessionExpiryWatcher,
+};
@@ -0,0 +1,638 @@
+/**
+ * Assessment Template Service Module
+ * @module service/assessmentTemplateService
+ */
+
+const {
+  createAssessmentTemplate,
+  getAllAssessmentTemplates,
+  getAssessmentTemplateById,
+  updateAssessmentTemplate,
+  deleteAssessmentTemplate,
+} = require('../repository/assessmentTemplateRepository');
+const { searchQuestions } = require('./questionSearchService');
+const { getAllInstrumentItems } = require('./instrumentService');
+const { getQuestionsWithRandomSort } = require('./logicQuestionQueryService');
+const { assignSession } = require('./assessmentSessionService');
+const { buildFilter } = require('../utils/logicQuestionQueryBuilder');
+const { isValidObjectId } = require('../utils/validateObjectId');
+const { TEMPLATE_DIFFICULTIES } = require('../models/assessmentTemplateModel');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const TEMPLATE_ERRORS = {
+  INVALID_ID: 'Invalid assessment template ID format',
+  NOT_FOUND: 'Assessment template not found',
+};
+
+/**
+ * Difficulties a 'mixed' question blueprint is spread across, in the order leftover
+ * questions are handed out
+ * @constant {Array<string>}
+ */
+const MIXED_DIFFICULTY_ORDER = ['medium', 'easy', 'hard'];
+
+/**
+ * Blueprint fields that hold ObjectIds, per section
+ * @constant {Object}
+ */
+const BLUEPRINT_ID_FIELDS = {
+  questions: ['topic_id', 'language_id', 'position_id'],
+  instruments: [],
+  logic_questions: ['tag_id'],
+};
+
+/**
+ * Check that a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a non-negative integer
+ */
+function isValidCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate the blueprint of one template section
+ * @param {string} section - Section name ('questions', 'instruments' or 'logic_questions')
+ * @param {Object} blueprint - Section blueprint
+ * @returns {Array<string>} Validation errors
+ */
+function validateBlueprint(section, blueprint) {
+  const errors = [];
+
+  if (typeof blueprint !== 'object' || blueprint === null || Array.isArray(blueprint)) {
+    return [`Field ${section} must be an object`];
+  }
+
+  if (blueprint.count !== undefined && !isValidCount(blueprint.count)) {
+    errors.push(`Field ${section}.count must be a non-negative integer`);
+  }
+
+  BLUEPRINT_ID_FIELDS[section].forEach(field => {
+    if (blueprint[field] && !isValidObjectId(blueprint[field])) {
+      errors.push(`Invalid ${section}.${field} format`);
+    }
+  });
+
+  if (section === 'questions' && blueprint.difficulty !== undefined) {
+    if (!TEMPLATE_DIFFICULTIES.includes(blueprint.difficulty)) {
+      errors.push(`Field questions.difficulty must be one of: ${TEMPLATE_DIFFICULTIES.join(', ')}`);
+    }
+  }
+
+  if (section === 'instruments' && blueprint.instrument_tags !== undefined) {
+    if (
+      !Array.isArray(blueprint.instrument_tags) ||
+      !blueprint.instrument_tags.every(id => isValidObjectId(id))
+    ) {
+      errors.push('Field instruments.instrument_tags must be an array of valid IDs');
+    }
+  }
+
+  if (section === 'logic_questions') {
+    ['min_level', 'max_level'].forEach(field => {
+      const level = blueprint[field];
+      if (level !== undefined && !(Number.isInteger(level) && level >= 1 && level <= 6)) {
+        errors.push(`Field logic_questions.${field} must be an integer between 1 and 6`);
+      }
+    });
+    if (
+      Number.isInteger(blueprint.min_level) &&
+      Number.isInteger(blueprint.max_level) &&
+      blueprint.min_level > blueprint.max_level
+    ) {
+      errors.push('Field logic_questions.min_level cannot be greater than max_level');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate assessment template data
+ * @param {Object} templateData - Template data to validate
+ * @param {boolean} [isUpdate=false] - Whether this is an update (fields are optional)
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateTemplateData(templateData, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || templateData.name !== undefined) {
+    if (typeof templateData.name !== 'string' || templateData.name.trim() === '') {
+      errors.push('Template name is required');
+    }
+  }
+
+  Object.keys(BLUEPRINT_ID_FIELDS).forEach(section => {
+    if (templateData[section] !== undefined) {
+      errors.push(...validateBlueprint(section, templateData[section]));
+    }
+  });
+
+  if (
+    templateData.time_limit_minutes !== undefined &&
+    templateData.time_limit_minutes !== null &&
+    !(Number.isInteger(templateData.time_limit_minutes) && templateData.time_limit_minutes > 0)
+  ) {
+    errors.push('Time limit must be a positive integer number of minutes');
+  }
+
+  if (!isUpdate) {
+    const hasItems =
+      Object.keys(BLUEPRINT_ID_FIELDS).some(section => templateData[section]?.count > 0) ||
+      !!templateData.essay_prompt;
+    if (!hasItems) {
+      errors.push(
+        'A template must include at least one question, instrument, logic question or essay'
+      );
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Split a question count across difficulties
+ * @param {number} count - Number of questions
+ * @param {string} [difficulty='mixed'] - Blueprint difficulty
+ * @returns {Array<Array>} Pairs of [difficulty, count]
+ */
+function getDifficultyShares(count, difficulty = 'mixed') {
+  if (difficulty !== 'mixed') {
+    return [[difficulty, count]];
+  }
+
+  const base = Math.floor(count / MIXED_DIFFICULTY_ORDER.length);
+  const remainder = count % MIXED_DIFFICULTY_ORDER.length;
+
+  return MIXED_DIFFICULTY_ORDER.map((level, index) => [
+    level,
+    base + (index < remainder ? 1 : 0),
+  ]).filter(([, share]) => share > 0);
+}
+
+/**
+ * Pick random questions for a template, topping up from any difficulty if a
+ * difficulty runs short
+ * @async
+ * @param {Object} blueprint - Question blueprint
+ * @returns {Promise<Array<Object>>} Selected questions (without answers)
+ */
+async function selectQuestions(blueprint) {
+  const count = blueprint.count || 0;
+  if (count === 0) {
+    return [];
+  }
+
+  const baseParams = {
+    topic: blueprint.topic || undefined,
+    topic_id: blueprint.topic_id ? String(blueprint.topic_id) : undefined,
+    language: blueprint.language || undefined,
+    language_id: blueprint.language_id ? String(blueprint.language_id) : undefined,
+    position: blueprint.position || undefined,
+    position_id: blueprint.position_id ? String(blueprint.position_id) : undefined,
+    sort_by: 'random',
+    page: 1,
+    mode: 'compact',
+  };
+
+  const selected = [];
+  const fetchQuestions = async (pageSize, difficulty) => {
+    const result = await searchQuestions({
+      ...baseParams,
+      difficulty,
+      page_size: pageSize,
+      ignore_question_ids: selected.map(question => String(question._id)),
+    });
+    selected.push(...result.questions);
+  };
+
+  for (const [difficulty, share] of getDifficultyShares(count, blueprint.difficulty)) {
+    await fetchQuestions(share, difficulty);
+  }
+
+  // Fill any gap left by a difficulty without enough questions
+  if (selected.length < count && (blueprint.difficulty || 'mixed') === 'mixed') {
+    await fetchQuestions(count - selected.length);
+  }
+
+  return selected;
+}
+
+/**
+ * Pick random instruments for a template
+ * @async
+ * @param {Object} blueprint - Instrument blueprint
+ * @returns {Promise<Array<Object>>} Selected instruments
+ * @throws {Error} If the instruments cannot be retrieved
+ */
+async function selectInstruments(blueprint) {
+  const count = blueprint.count || 0;
+  if (count === 0) {
+    return [];
+  }
+
+  const result = await getAllInstrumentItems({
+    instrument_tags: (blueprint.instrument_tags || []).map(String).join(',') || undefined,
+    type: blueprint.type || undefined,
+    sort_by: 'random',
+    page: 1,
+    page_size: count,
+  });
+
+  if (!result.success) {
+    throw new Error(`Failed to select instruments: ${result.errors.join(', ')}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Pick random logic questions for a template
+ * @async
+ * @param {Object} blueprint - Logic question blueprint
+ * @returns {Promise<Array<Object>>} Selected logic questions
+ */
+async function selectLogicQuestions(blueprint) {
+  const count = blueprint.count || 0;
+  if (count === 0) {
+    return [];
+  }
+
+  const filter = buildFilter({
+    tag_id: blueprint.tag_id ? String(blueprint.tag_id) : undefined,
+    type: blueprint.type,
+  });
+
+  if (blueprint.min_level || blueprint.max_level) {
+    filter.level = {
+      $gte: blueprint.min_level || 1,
+      $lte: blueprint.max_level || 6,
+    };
+  }
+
+  return await getQuestionsWithRandomSort(filter, {
+    page: 1,
+    page_size: count,
+    limit: count,
+    skip: 0,
+  });
+}
+
+/**
+ * Turn a template into a concrete, randomized set of items
+ * @async
+ * @param {Object} template - Template document
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function assembleTemplate(template) {
+  const questionsBlueprint = template.questions || {};
+  const instrumentsBlueprint = template.instruments || {};
+  const logicQuestionsBlueprint = template.logic_questions || {};
+
+  const questions = await selectQuestions(questionsBlueprint);
+  const instruments = await selectInstruments(instrumentsBlueprint);
+  const logicQuestions = await selectLogicQuestions(logicQuestionsBlueprint);
+
+  const errors = [
+    ['questions', questions, questionsBlueprint],
+    ['instruments', instruments, instrumentsBlueprint],
+    ['logic questions', logicQuestions, logicQuestionsBlueprint],
+  ]
+    .filter(([, items, blueprint]) => items.length < (blueprint.count || 0))
+    .map(
+      ([label, items, blueprint]) =>
+        `Not enough ${label} match the template: found ${items.length} of ${blueprint.count}`
+    );
+
+  if (errors.length > 0) {
+    logger.warn(`Assessment template ${template._id} cannot be filled:`, errors);
+    return {
+      success: false,
+      errors,
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      template_id: template._id,
+      question_ids: questions.map(question => String(question._id)),
+      instrument_ids: instruments.map(instrument => String(instrument._id)),
+      logic_question_ids: logicQuestions.map(question => String(question._id)),
+      essay_question: template.essay_prompt || null,
+      questions,
+      instruments,
+      logic_questions: logicQuestions,
+    },
+  };
+}
+
+/**
+ * Load a template by ID
+ * @async
+ * @param {string} id - Template ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function loadTemplate(id) {
+  if (!isValidObjectId(id)) {
+    return {
+      success: false,
+      errors: [TEMPLATE_ERRORS.INVALID_ID],
+    };
+  }
+
+  const template = await getAssessmentTemplateById(id);
+  if (!template) {
+    return {
+      success: false,
+      errors: [TEMPLATE_ERRORS.NOT_FOUND],
+    };
+  }
+
+  return {
+    success: true,
+    data: template,
+  };
+}
+
+/**
+ * Create a new assessment template
+ * @async
+ * @param {Object} templateData - Template data
+ * @param {string} [createdBy] - ID of the user creating the template
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function createTemplate(templateData, createdBy) {
+  try {
+    const validation = validateTemplateData(templateData);
+    if (!validation.isValid) {
+      logger.warn('Invalid assessment template data:', validation.errors);
+      return {
+        success: false,
+        errors: validation.errors,
+      };
+    }
+
+    const template = await createAssessmentTemplate({
+      ...templateData,
+      created_by: isValidObjectId(createdBy) ? createdBy : undefined,
+    });
+    logger.info('Assessment template created successfully');
+
+    return {
+      success: true,
+      data: template,
+    };
+  } catch (error) {
+    logger.error('Error creating assessment template:', error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return {
+        success: false,
+        errors: ['Template with this name already exists'],
+      };
+    }
+
+    return {
+      success: false,
+      errors: [`Error creating assessment template: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get all assessment templates
+ * @async
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getAllTemplates() {
+  try {
+    const templates = await getAllAssessmentTemplates();
+    logger.info(`Retrieved ${templates.length} assessment templates`);
+
+    return {
+      success: true,
+      data: templates,
+    };
+  } catch (error) {
+    logger.error('Error getting all assessment templates:', error);
+
+    return {
+      success: false,
+      errors: [`Error getting all assessment templates: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get assessment template by ID
+ * @async
+ * @param {string} id - Template ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getTemplateById(id) {
+  try {
+    return await loadTemplate(id);
+  } catch (error) {
+    logger.error(`Error getting assessment template with ID ${id}:`, error);
+
+    return {
+      success: false,
+      errors: [`Error getting assessment template: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Update an assessment template. Section blueprints are replaced as a whole.
+ * @async
+ * @param {string} id - Template ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function updateTemplate(id, updateData) {
+  try {
+    if (!isValidObjectId(id)) {
+      return {
+        success: false,
+        errors: [TEMPLATE_ERRORS.INVALID_ID],
+      };
+    }
+
+    const validation = validateTemplateData(updateData, true);
+    if (!validation.isValid) {
+      logger.warn('Invalid assessment template update data:', validation.errors);
+      return {
+        success: false,
+        errors: validation.errors,
+      };
+    }
+
+    // The creator is fixed when the template is created
+    const data = { ...updateData };
+    delete data.created_by;
+
+    const template = await updateAssessmentTemplate(id, data);
+    if (!template) {
+      return {
+        success: false,
+        errors: [TEMPLATE_ERRORS.NOT_FOUND],
+      };
+    }
+
+    logger.info(`Assessment template with ID ${id} updated successfully`);
+    return {
+      success: true,
+      data: template,
+    };
+  } catch (error) {
+    logger.error(`Error updating assessment template with ID ${id}:`, error);
+
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return {
+        success: false,
+        errors: ['Template with this name already exists'],
+      };
+    }
+
+    return {
+      success: false,
+      errors: [`Error updating assessment template: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Delete an assessment template
+ * @async
+ * @param {string} id - Template ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function deleteTemplate(id) {
+  try {
+    if (!isValidObjectId(id)) {
+      return {
+        success: false,
+        errors: [TEMPLATE_ERRORS.INVALID_ID],
+      };
+    }
+
+    const template = await deleteAssessmentTemplate(id);
+    if (!template) {
+      return {
+        success: false,
+        errors: [TEMPLATE_ERRORS.NOT_FOUND],
+      };
+    }
+
+    logger.info(`Assessment template with ID ${id} deleted successfully`);
+    return {
+      success: true,
+      data: template,
+    };
+  } catch (error) {
+    logger.error(`Error deleting assessment template with ID ${id}:`, error);
+
+    return {
+      success: false,
+      errors: [`Error deleting assessment template: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Generate a randomized item set from a template without assigning it
+ * @async
+ * @param {string} id - Template ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function generateFromTemplate(id) {
+  try {
+    const result = await loadTemplate(id);
+    if (!result.success) {
+      return result;
+    }
+
+    return await assembleTemplate(result.data);
+  } catch (error) {
+    logger.error(`Error generating assessment from template ${id}:`, error);
+
+    return {
+      success: false,
+      errors: [`Error generating assessment from template: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Generate a randomized item set from a template and assign it to a candidate
+ * as an assessment session
+ * @async
+ * @param {string} id - Template ID
+ * @param {Object} assignmentData - Assignment data
+ * @param {string} assignmentData.candidate_id - Candidate ID
+ * @param {string} [assignmentData.application_id] - Application the assessment is for
+ * @param {number} [assignmentData.time_limit_minutes] - Overrides the template's time limit
+ * @param {string} [assignedBy] - ID of the user assigning the assessment
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function assignTemplate(id, assignmentData = {}, assignedBy) {
+  try {
+    const result = await loadTemplate(id);
+    if (!result.success) {
+      return result;
+    }
+
+    const template = result.data;
+    const assembled = await assembleTemplate(template);
+    if (!assembled.success) {
+      return assembled;
+    }
+
+    const { question_ids, instrument_ids, logic_question_ids, essay_question } = assembled.data;
+    return await assignSession(
+      {
+        candidate_id: assignmentData.candidate_id,
+        application_id: assignmentData.application_id,
+        template_id: String(template._id),
+        question_ids,
+        instrument_ids,
+        logic_question_ids,
+        essay_question,
+        time_limit_minutes:
+          assignmentData.time_limit_minutes ?? template.time_limit_minutes ?? undefined,
+      },
+      assignedBy
+    );
+  } catch (error) {
+    logger.error(`Error assigning assessment template ${id}:`, error);
+
+    return {
+      success: false,
+      errors: [`Error assigning assessment template: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  TEMPLATE_ERRORS,
+  validateTemplateData,
+  getDifficultyShares,
+  assembleTemplate,
+  createTemplate,
+  getAllTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  generateFromTemplate,
+  assignTemplate,
+};
@@ -0,0 +1,173 @@
+/**
+ * Candidate Pipeline Service
+ * Moves candidates through the hiring pipeline and summarizes how many candidates
+ * are in each stage.
+ * @module service/candidatePipelineService
+ */
+
+const {
+  getCandidateById,
+  updateCandidateStatus,
+  countCandidatesByLevelAndStatus,
+} = require('../repository/candidateRepository');
+const { getCandidatePipelineConfig } = require('../config/candidatePipelineConfig');
+const { isValidObjectId, toObjectId } = require('../utils/validateObjectId');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const PIPELINE_ERRORS = {
+  INVALID_ID: 'Invalid candidate ID format',
+  NOT_FOUND: 'Candidate not found',
+  INVALID_TRANSITION: 'Transition not allowed',
+  CONFLICT: 'The candidate status was changed by another request',
+};
+
+/**
+ * Maximum length of a transition note
+ * @constant {number}
+ */
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Get the pipeline stage of a status. Statuses outside the pipeline, such as the
+ * free-form statuses stored before it existed, count as the initial stage.
+ * @param {string} [status] - Stored candidate status
+ * @param {Object} [config=getCandidatePipelineConfig()] - Pipeline configuration
+ * @returns {string} Pipeline stage
+ */
+function getCandidateStage(status, config = getCandidatePipelineConfig()) {
+  return config.stages.includes(status) ? status : config.initialStage;
+}
+
+/**
+ * Validate a transition request
+ * @param {Object} transition - Transition data
+ * @param {Object} config - Pipeline configuration
+ * @returns {Array<string>} Validation errors
+ */
+function validateTransition({ status, note }, config) {
+  const errors = [];
+
+  if (!config.stages.includes(status)) {
+    errors.push(`Status must be one of: ${config.stages.join(', ')}`);
+  }
+
+  if (note !== undefined && note !== null) {
+    if (typeof note !== 'string') {
+      errors.push('Note must be a string');
+    } else if (note.length > MAX_NOTE_LENGTH) {
+      errors.push(`Note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Move a candidate to another pipeline stage and record the change in its status history
+ * @async
+ * @param {string} id - Candidate ID
+ * @param {Object} transition - Transition data
+ * @param {string} transition.status - Target stage
+ * @param {string} [transition.note] - Reason for the change
+ * @param {string} [userId] - ID of the user making the change
+ * @returns {Promise<Object>} Result object with success flag, the updated candidate, and errors
+ */
+async function transitionCandidate(id, { status, note } = {}, userId) {
+  try {
+    if (!isValidObjectId(id)) {
+      return { success: false, errors: [PIPELINE_ERRORS.INVALID_ID] };
+    }
+
+    const config = getCandidatePipelineConfig();
+    const errors = validateTransition({ status, note }, config);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const candidate = await getCandidateById(id);
+    if (!candidate) {
+      return { success: false, errors: [PIPELINE_ERRORS.NOT_FOUND] };
+    }
+
+    const currentStage = getCandidateStage(candidate.status, config);
+    const allowed = config.transitions[currentStage] || [];
+    if (!allowed.includes(status)) {
+      return {
+        success: false,
+        errors: [
+          PIPELINE_ERRORS.INVALID_TRANSITION,
+          `Cannot move a candidate from ${currentStage} to ${status}` +
+            (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''),
+        ],
+      };
+    }
+
+    const change = {
+      from: candidate.status || null,
+      to: status,
+      note: typeof note === 'string' ? note.trim() : '',
+      changed_by: isValidObjectId(userId) ? toObjectId(userId) : null,
+      changed_at: new Date(),
+    };
+
+    const updated = await updateCandidateStatus(id, candidate.status ?? null, change);
+    if (!updated) {
+      return { success: false, errors: [PIPELINE_ERRORS.CONFLICT] };
+    }
+
+    logger.info(`Candidate ${id} moved from ${currentStage} to ${status}`, { changedBy: userId });
+
+    return { success: true, data: updated };
+  } catch (error) {
+    logger.error(`Error changing status of candidate ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error changing candidate status: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Count candidates per pipeline stage, overall and per interview level
+ * @async
+ * @param {Object} [filter={}] - Filter criteria for candidates
+ * @returns {Promise<Object>} `{ stages, levels }` where `stages` maps each stage to its count and
+ * `levels` lists `{ interview_level, total, stages }` sorted by interview level
+ * @throws {Error} If the counts cannot be retrieved
+ */
+async function getPipelineCounts(filter = {}) {
+  const config = getCandidatePipelineConfig();
+  const emptyStages = () => Object.fromEntries(config.stages.map(stage => [stage, 0]));
+
+  const stages = emptyStages();
+  const levels = new Map();
+
+  for (const { interview_level, status, count } of await countCandidatesByLevelAndStatus(filter)) {
+    const level = interview_level || '';
+    if (!levels.has(level)) {
+      levels.set(level, { interview_level: level, total: 0, stages: emptyStages() });
+    }
+
+    const stage = getCandidateStage(status, config);
+    const levelCounts = levels.get(level);
+    levelCounts.total += count;
+    levelCounts.stages[stage] += count;
+    stages[stage] += count;
+  }
+
+  return {
+    stages,
+    levels: [...levels.values()].sort((a, b) => a.interview_level.localeCompare(b.interview_level)),
+  };
+}
+
+module.exports = {
+  PIPELINE_ERRORS,
+  getCandidateStage,
+  transitionCandidate,
+  getPipelineCounts,
+};
@@ -0,0 +1,523 @@
+/**
+ * Candidate Ranking Service Module
+ * Compares the candidates of an interview level side by side from their submissions:
+ * technical score by topic and difficulty, logic score by logic tag, instrument profile
+ * by instrument tag and percentile rank within the cohort.
+ * @module service/candidateRankingService
+ */
+
+const { getCandidateList } = require('../repository/candidateRepository');
+const { getSubmissionsByCandidateIds } = require('../repository/submissionRepository');
+const { getLogicTagsByIds } = require('../repository/logicTagRepository');
+const { getInstrumentTagsByIds } = require('../repository/instrumentTagRepository');
+const {
+  fetchQuestionsByIds,
+  fetchInstrumentsByIds,
+  fetchLogicQuestionsByIds,
+} = require('../utils/submissionEnricher');
+const { isSkipped, calculateScores } = require('./submissionScoringService');
+const submissionModel = require('../models/submissionModel');
+const { formatCsv } = require('../utils/csvFormatter');
+const logger = require('../utils/logger');
+
+/**
+ * Fields the ranking can be sorted by
+ * @constant {Array<string>}
+ */
+const RANKING_SORT_FIELDS = [
+  'overall',
+  'technical',
+  'logic',
+  'percentile',
+  'full_name',
+  'last_submitted_at',
+];
+
+/**
+ * Output formats of the ranking report
+ * @constant {Array<string>}
+ */
+const RANKING_FORMATS = ['json', 'csv'];
+
+/**
+ * Label used for items without a topic, difficulty or tag
+ * @constant {string}
+ */
+const UNCATEGORIZED = 'uncategorized';
+
+/**
+ * Round a score to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse a date query parameter. A date without a time used as the end of the range
+ * covers the whole day.
+ * @param {string} value - Date string
+ * @param {boolean} [isEnd=false] - Whether the date ends the range
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDateParam(value, isEnd = false) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  if (isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return date;
+}
+
+/**
+ * Validate the ranking query parameters
+ * @param {Object} queryParams - Query parameters
+ * @returns {Object} `{ errors, params }` with the normalized parameters
+ */
+function validateRankingQuery(queryParams = {}) {
+  const errors = [];
+  const params = {
+    interviewLevel:
+      typeof queryParams.interview_level === 'string' ? queryParams.interview_level.trim() : '',
+    from: null,
+    to: null,
+    sortBy: queryParams.sort_by || 'overall',
+    sortDirection: queryParams.sort_direction || 'desc',
+    format: queryParams.format || 'json',
+  };
+
+  if (!params.interviewLevel) {
+    errors.push('Missing required parameter: interview_level');
+  }
+
+  if (queryParams.from !== undefined) {
+    params.from = parseDateParam(queryParams.from);
+    if (!params.from) {
+      errors.push('from must be a valid date');
+    }
+  }
+
+  if (queryParams.to !== undefined) {
+    params.to = parseDateParam(queryParams.to, true);
+    if (!params.to) {
+      errors.push('to must be a valid date');
+    }
+  }
+
+  if (params.from && params.to && params.from >= params.to) {
+    errors.push('from must be before to');
+  }
+
+  if (!RANKING_SORT_FIELDS.includes(params.sortBy)) {
+    errors.push(`sort_by must be one of: ${RANKING_SORT_FIELDS.join(', ')}`);
+  }
+
+  if (!['asc', 'desc'].includes(params.sortDirection)) {
+    errors.push('sort_direction must be asc or desc');
+  }
+
+  if (!RANKING_FORMATS.includes(params.format)) {
+    errors.push(`format must be one of: ${RANKING_FORMATS.join(', ')}`);
+  }
+
+  return { errors, params };
+}
+
+/**
+ * Create an empty score bucket
+ * @returns {Object} Bucket with zero points
+ */
+function createBucket() {
+  return { point: 0, max_point: 0, percentage: 0 };
+}
+
+/**
+ * Add a scored entry to the bucket of a key
+ * @param {Object} buckets - Buckets keyed by label
+ * @param {string} key - Bucket label
+ * @param {number} point - Points earned
+ * @param {number} maxPoint - Points available
+ */
+function addToBucket(buckets, key, point, maxPoint) {
+  if (!buckets[key]) {
+    buckets[key] = createBucket();
+  }
+  buckets[key].point += point;
+  buckets[key].max_point += maxPoint;
+}
+
+/**
+ * Round the points of a bucket and compute its percentage
+ * @param {Object} bucket - Score bucket
+ * @returns {Object} Finished bucket
+ */
+function finishBucket(bucket) {
+  const point = roundScore(bucket.point);
+  return {
+    ...bucket,
+    point,
+    percentage: bucket.max_point > 0 ? roundScore((point / bucket.max_point) * 100) : 0,
+  };
+}
+
+/**
+ * Finish every bucket of a map
+ * @param {Object} buckets - Buckets keyed by label
+ * @returns {Object} Finished buckets
+ */
+function finishBuckets(buckets) {
+  return Object.fromEntries(
+    Object.entries(buckets).map(([key, bucket]) => [key, finishBucket(bucket)])
+  );
+}
+
+/**
+ * Get the names of the tags an item references
+ * @param {Array} tagIds - Tag IDs of the item
+ * @param {Map<string, string>} tagNames - Tag names keyed by ID
+ * @returns {Array<string>} Tag names, or the uncategorized label if the item has none
+ */
+function getTagLabels(tagIds, tagNames) {
+  const labels = (Array.isArray(tagIds) ? tagIds : [])
+    .map(id => tagNames.get(String(id)))
+    .filter(Boolean);
+  return labels.length > 0 ? [...new Set(labels)] : [UNCATEGORIZED];
+}
+
+/**
+ * Aggregate the submissions of one candidate
+ * @param {Object} candidate - Candidate document
+ * @param {Array<Object>} submissions - Scored submissions of the candidate
+ * @param {Object} maps - Item documents and tag names
+ * @returns {Object} Ranking row without rank and percentile
+ */
+function buildCandidateRow(
+  candidate,
+  submissions,
+  { questionMap, logicQuestionMap, instrumentMap, logicTagNames, instrumentTagNames }
+) {
+  const { answerPoint, logicQuestionPoint } = submissionModel.scoring;
+  const { max: instrumentMax } = submissionModel.instrumentValueRange;
+
+  const technical = createBucket();
+  const byTopic = {};
+  const byDifficulty = {};
+  const logic = createBucket();
+  const byLogicTag = {};
+  const byInstrumentTag = {};
+
+  submissions.forEach(submission => {
+    (submission.answers || []).forEach(entry => {
+      // Ungraded answers (e.g. deleted questions) are left out, as in the submission scores
+      if (entry.is_correct === null && !isSkipped(entry)) {
+        return;
+      }
+      const question = questionMap[entry.question_id] || {};
+      technical.point += entry.point;
+      technical.max_point += answerPoint;
+      addToBucket(byTopic, question.topic || UNCATEGORIZED, entry.point, answerPoint);
+      addToBucket(byDifficulty, question.difficulty || UNCATEGORIZED, entry.point, answerPoint);
+    });
+
+    (submission.logic_questions || []).forEach(entry => {
+      if (entry.is_correct === null && !isSkipped(entry)) {
+        return;
+      }
+      const logicQuestion = logicQuestionMap[entry.logic_question_id] || {};
+      logic.point += entry.point;
+      logic.max_point += logicQuestionPoint;
+      getTagLabels(logicQuestion.tag_ids, logicTagNames).forEach(label => {
+        addToBucket(byLogicTag, label, entry.point, logicQuestionPoint);
+      });
+    });
+
+    (submission.instruments || []).forEach(entry => {
+      const instrument = instrumentMap[entry.instrument_id];
+      if (isSkipped(entry) || !instrument) {
+        return;
+      }
+      getTagLabels(instrument.tags, instrumentTagNames).forEach(label => {
+        addToBucket(byInstrumentTag, label, entry.point, instrumentMax);
+      });
+    });
+  });
+
+  const overall = createBucket();
+  overall.point = technical.point + logic.point;
+  overall.max_point = technical.max_point + logic.max_point;
+
+  return {
+    candidate: {
+      _id: candidate._id,
+      full_name: candidate.full_name || '',
+      email: candidate.email,
+      interview_level: candidate.interview_level,
+    },
+    submission_count: submissions.length,
+    last_submitted_at: submissions[submissions.length - 1]._id.getTimestamp(),
+    overall: finishBucket(overall),
+    technical: {
+      ...finishBucket(technical),
+      by_topic: finishBuckets(byTopic),
+      by_difficulty: finishBuckets(byDifficulty),
+    },
+    logic: {
+      ...finishBucket(logic),
+      by_tag: finishBuckets(byLogicTag),
+    },
+    instruments: {
+      by_tag: Object.fromEntries(
+        Object.entries(byInstrumentTag).map(([label, bucket]) => [
+          label,
+          {
+            ...finishBucket(bucket),
+            // Mean response on the 0-4 scale
+            average: roundScore((bucket.point / bucket.max_point) * instrumentMax),
+          },
+        ])
+      ),
+    },
+  };
+}
+
+/**
+ * Add the rank and percentile rank of each row within the cohort, by overall percentage.
+ * The percentile counts the candidates scoring lower plus half of those with the same score,
+ * so a cohort of one sits at the 50th percentile.
+ * @param {Array<Object>} rows - Ranking rows
+ * @returns {Array<Object>} Rows with rank and percentile
+ */
+function addRanks(rows) {
+  const scores = rows.map(row => row.overall.percentage);
+
+  return rows.map(row => {
+    const score = row.overall.percentage;
+    const below = scores.filter(other => other < score).length;
+    const equal = scores.filter(other => other === score).length;
+
+    return {
+      rank: scores.filter(other => other > score).length + 1,
+      percentile: roundScore(((below + equal / 2) / scores.length) * 100),
+      ...row,
+    };
+  });
+}
+
+/**
+ * Get the value a row is sorted by
+ * @param {Object} row - Ranking row
+ * @param {string} sortBy - Sort field
+ * @returns {number|string} Sort value
+ */
+function getSortValue(row, sortBy) {
+  switch (sortBy) {
+    case 'technical':
+    case 'logic':
+    case 'overall':
+      return row[sortBy].percentage;
+    case 'percentile':
+      return row.percentile;
+    case 'full_name':
+      return row.candidate.full_name.toLowerCase();
+    default:
+      return row.last_submitted_at.getTime();
+  }
+}
+
+/**
+ * Sort ranking rows; ties keep the overall rank order
+ * @param {Array<Object>} rows - Ranking rows
+ * @param {string} sortBy - Sort field
+ * @param {string} sortDirection - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted rows
+ */
+function sortRows(rows, sortBy, sortDirection) {
+  const direction = sortDirection === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const valueA = getSortValue(a, sortBy);
+    const valueB = getSortValue(b, sortBy);
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return a.rank - b.rank;
+  });
+}
+
+/**
+ * Build the CSV export of a ranking. Breakdown columns are named after the topic,
+ * difficulty or tag they hold and contain percentages (instrument tags: mean response).
+ * @param {Array<Object>} rows - Ranking rows
+ * @returns {string} CSV text
+ */
+function formatRankingCsv(rows) {
+  const collectKeys = getBreakdown =>
+    [...new Set(rows.flatMap(row => Object.keys(getBreakdown(row))))].sort();
+
+  const breakdowns = [
+    ['topic', row => row.technical.by_topic, 'percentage'],
+    ['difficulty', row => row.technical.by_difficulty, 'percentage'],
+    ['logic_tag', row => row.logic.by_tag, 'percentage'],
+    ['instrument_tag', row => row.instruments.by_tag, 'average'],
+  ].map(([prefix, getBreakdown, field]) => ({
+    prefix,
+    getBreakdown,
+    field,
+    keys: collectKeys(getBreakdown),
+  }));
+
+  const headers = [
+    'rank',
+    'percentile',
+    'candidate_id',
+    'full_name',
+    'email',
+    'submission_count',
+    'last_submitted_at',
+    'overall_percentage',
+    'technical_percentage',
+    'logic_percentage',
+    ...breakdowns.flatMap(({ prefix, keys }) => keys.map(key => `${prefix}:${key}`)),
+  ];
+
+  const csvRows = rows.map(row => [
+    row.rank,
+    row.percentile,
+    String(row.candidate._id),
+    row.candidate.full_name,
+    row.candidate.email,
+    row.submission_count,
+    row.last_submitted_at,
+    row.overall.percentage,
+    row.technical.percentage,
+    row.logic.percentage,
+    ...breakdowns.flatMap(({ getBreakdown, field, keys }) =>
+      keys.map(key => getBreakdown(row)[key]?.[field] ?? null)
+    ),
+  ]);
+
+  return formatCsv(headers, csvRows);
+}
+
+/**
+ * Get the ranking of the candidates of an interview level from their submissions.
+ * Only candidates with at least one submission in the date range are ranked.
+ * @async
+ * @param {Object} [queryParams={}] - Query parameters
+ * @param {string} queryParams.interview_level - Interview level of the cohort
+ * @param {string} [queryParams.from] - Only count submissions created on or after this date
+ * @param {string} [queryParams.to] - Only count submissions created before this date; a date
+ *   without a time includes the whole day
+ * @param {string} [queryParams.sort_by='overall'] - Sort field (see RANKING_SORT_FIELDS)
+ * @param {string} [queryParams.sort_direction='desc'] - Sort direction
+ * @param {string} [queryParams.format='json'] - 'json' for rows, 'csv' for a CSV export
+ * @returns {Promise<Object>} Result object with success flag, data (rows or CSV text), summary
+ *   and errors
+ */
+async function getCandidateRanking(queryParams = {}) {
+  try {
+    const { errors, params } = validateRankingQuery(queryParams);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        errors,
+      };
+    }
+
+    const { candidates } = await getCandidateList({
+      filter: { interview_level: params.interviewLevel },
+    });
+    const submissions = await getSubmissionsByCandidateIds(
+      candidates.map(candidate => String(candidate._id)),
+      { from: params.from, to: params.to }
+    );
+
+    const collectIds = (field, idField) => [
+      ...new Set(
+        submissions.flatMap(submission =>
+          (submission[field] || []).map(entry => String(entry[idField]))
+        )
+      ),
+    ];
+
+    const [questionMap, logicQuestionMap, instrumentMap] = await Promise.all([
+      fetchQuestionsByIds(collectIds('answers', 'question_id')),
+      fetchLogicQuestionsByIds(collectIds('logic_questions', 'logic_question_id')),
+      fetchInstrumentsByIds(collectIds('instruments', 'instrument_id')),
+    ]);
+
+    const logicTagIds = [
+      ...new Set(Object.values(logicQuestionMap).flatMap(item => (item.tag_ids || []).map(String))),
+    ];
+    const instrumentTagIds = [
+      ...new Set(Object.values(instrumentMap).flatMap(item => (item.tags || []).map(String))),
+    ];
+    const [logicTags, instrumentTags] = await Promise.all([
+      logicTagIds.length > 0 ? getLogicTagsByIds(logicTagIds) : [],
+      instrumentTagIds.length > 0 ? getInstrumentTagsByIds(instrumentTagIds) : [],
+    ]);
+
+    const maps = {
+      questionMap,
+      logicQuestionMap,
+      instrumentMap,
+      logicTagNames: new Map(logicTags.map(tag => [String(tag._id), tag.name])),
+      instrumentTagNames: new Map(instrumentTags.map(tag => [String(tag._id), tag.name])),
+    };
+
+    // Score against the current answer keys so older submissions are comparable
+    const submissionsByCandidate = new Map();
+    submissions.forEach(submission => {
+      const key = String(submission.candidate_id);
+      if (!submissionsByCandidate.has(key)) {
+        submissionsByCandidate.set(key, []);
+      }
+      submissionsByCandidate.get(key).push(calculateScores(submission, maps));
+    });
+
+    const rows = candidates
+      .filter(candidate => submissionsByCandidate.has(String(candidate._id)))
+      .map(candidate =>
+        buildCandidateRow(candidate, submissionsByCandidate.get(String(candidate._id)), maps)
+      );
+    const ranked = sortRows(addRanks(rows), params.sortBy, params.sortDirection);
+
+    logger.info(
+      `Ranked ${ranked.length} candidates of level ${params.interviewLevel} ` +
+        `from ${submissions.length} submissions`
+    );
+
+    return {
+      success: true,
+      data: params.format === 'csv' ? formatRankingCsv(ranked) : ranked,
+      format: params.format,
+      summary: {
+        interview_level: params.interviewLevel,
+        from: params.from,
+        to: params.to,
+        candidates: ranked.length,
+        submissions: submissions.length,
+        sort_by: params.sortBy,
+        sort_direction: params.sortDirection,
+      },
+    };
+  } catch (error) {
+    logger.error('Error creating candidate ranking:', error);
+    return {
+      success: false,
+      errors: [`Error creating candidate ranking: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  RANKING_SORT_FIELDS,
+  validateRankingQuery,
+  addRanks,
+  formatRankingCsv,
+  getCandidateRanking,
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Email transport registry.
+ * Every transport exposes the same interface, `{ name, send(message, config) }`, and the
+ * transport is picked with EMAIL_TRANSPORT: smtp for real delivery, file or console for
+ * local development and tests.
+ */
+
+const { EMAIL_TRANSPORT_NAMES, getEmailConfig } = require('../../config/emailConfig');
+const smtpTransport = require('./transports/smtpTransport');
+const fileTransport = require('./transports/fileTransport');
+const consoleTransport = require('./transports/consoleTransport');
+const logger = require('../../utils/logger');
+
+/**
+ * Registered transports by name
+ * @type {Object<string, Object>}
+ */
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport,
+};
+
+/**
+ * Returns a transport by name
+ *
+ * @param {string} [transportName] - Transport name (defaults to env var EMAIL_TRANSPORT, then console)
+ * @returns {Object} The transport
+ * @throws {Error} If the transport is unknown
+ */
+function getTransport(transportName) {
+  const resolvedName = transportName || getEmailConfig().transport;
+  const transport = transports[resolvedName];
+
+  if (!transport) {
+    throw new Error(
+      `Unknown email transport: ${resolvedName}. Must be one of: ${EMAIL_TRANSPORT_NAMES.join(', ')}`
+    );
+  }
+
+  return transport;
+}
+
+/**
+ * Sends a plain text email with the configured transport
+ *
+ * @param {Object} message - The message
+ * @param {string|Array<string>} message.to - Recipient address or addresses
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.from] - Sender (defaults to env var EMAIL_FROM)
+ * @param {Object} [options] - Send options
+ * @param {string} [options.transport] - Transport name (defaults to env var EMAIL_TRANSPORT)
+ * @returns {Promise<Object>} The transport's result, with the `accepted` recipients
+ * @throws {Error} If the message is incomplete, the transport is unknown or sending fails
+ */
+async function sendEmail(message, options = {}) {
+  const config = getEmailConfig();
+  const transport = getTransport(options.transport || config.transport);
+  const to = [].concat(message.to || []).filter(Boolean);
+
+  if (to.length === 0 || !message.subject || typeof message.text !== 'string') {
+    throw new Error('An email needs a recipient, a subject and a text body');
+  }
+
+  const result = await transport.send(
+    { from: message.from || config.from, to, subject: message.subject, text: message.text },
+    config
+  );
+  logger.info(
+    `Sent email "${message.subject}" to ${to.join(', ')} with the ${transport.name} transport`
+  );
+
+  return result;
+}
+
+module.exports = {
+  getTransport,
+  sendEmail,
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Console email transport for local development.
+ * Logs each message instead of sending it. This is the default transport, so no
+ * email leaves a development machine until SMTP is configured.
+ */
+
+const logger = require('../../../utils/logger');
+
+/**
+ * Transport name used in EMAIL_TRANSPORT
+ * @type {string}
+ */
+const name = 'console';
+
+/**
+ * Logs a message
+ *
+ * @param {Object} message - The message, with `from`, `to` (array), `subject` and `text`
+ * @returns {Promise<Object>} `{accepted}`: the recipients
+ */
+async function send(message) {
+  logger.info(
+    [
+      `Email to ${message.to.join(', ')} (console transport, not sent)`,
+      `From: ${message.from}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+    ].join('\n')
+  );
+
+  return { accepted: message.to };
+}
+
+module.exports = {
+  name,
+  send,
+};
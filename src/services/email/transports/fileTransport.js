@@ -0,0 +1,41 @@
+/**
+ * @fileoverview File email transport for local development and tests.
+ * Writes each message as a JSON file to EMAIL_FILE_DIR instead of sending it, so
+ * verification and password reset links can be read from disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Transport name used in EMAIL_TRANSPORT
+ * @type {string}
+ */
+const name = 'file';
+
+/**
+ * Writes a message to the email directory
+ *
+ * @param {Object} message - The message, with `from`, `to` (array), `subject` and `text`
+ * @param {Object} config - Email configuration
+ * @returns {Promise<Object>} `{accepted, file}`: the recipients and the written file
+ */
+async function send(message, config) {
+  const sentAt = new Date();
+  // Timestamped names keep the files in the order they were sent
+  const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto
+    .randomBytes(4)
+    .toString('hex')}.json`;
+  const file = path.join(config.fileDir, fileName);
+
+  await fs.mkdir(config.fileDir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+
+  return { accepted: message.to, file };
+}
+
+module.exports = {
+  name,
+  send,
+};
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview SMTP email transport.
+ * Speaks just enough SMTP (RFC 5321) to hand a plain text message to a relay: EHLO,
+ * STARTTLS when the server offers it, AUTH PLAIN or LOGIN, MAIL, RCPT and DATA.
+ * Set SMTP_SECURE=true (the default on port 465) to use TLS from the start.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Transport name used in EMAIL_TRANSPORT
+ * @type {string}
+ */
+const name = 'smtp';
+
+/**
+ * Extracts the bare address from a `Name <address>` mailbox
+ * @param {string} mailbox - Mailbox as written in a header
+ * @returns {string} The address
+ */
+function getAddress(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Value safe to use in a header
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Builds the MIME source of a plain text message.
+ * The body is base64 encoded, so it needs no dot-stuffing and may contain any character.
+ * @param {Object} message - The message
+ * @returns {string} Message source with CRLF line endings
+ */
+function formatMessage(message) {
+  const domain = getAddress(message.from).split('@')[1] || os.hostname();
+  const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n'))
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Reads SMTP replies from a socket
+ * @param {Object} socket - Connected socket
+ * @returns {Object} `{read(), detach()}`; read resolves with the next `{code, text}` reply
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      // The last line of a reply has a space (or nothing) after the code, others a dash
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({
+          code: parseInt(line.slice(0, 3), 10),
+          text: lines.map(replyLine => replyLine.slice(4)).join('\n'),
+        });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = error => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP connection closed unexpectedly'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    read: () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      }),
+    detach: () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    },
+  };
+}
+
+/**
+ * Opens a connection to the SMTP server.
+ * Gives up after `smtpTimeout`, so an unreachable host does not wait for the OS TCP timeout.
+ * @param {Object} config - Email configuration
+ * @returns {Promise<Object>} Connected socket
+ */
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const options = { host: config.smtpHost, port: config.smtpPort, servername: config.smtpHost };
+    const onTimeout = () =>
+      socket.destroy(
+        new Error(
+          `Could not connect to SMTP server ${config.smtpHost}:${config.smtpPort} ` +
+            `within ${config.smtpTimeout}ms`
+        )
+      );
+    const onConnect = () => {
+      socket.setTimeout(0);
+      socket.removeListener('timeout', onTimeout);
+      socket.removeListener('error', reject);
+      resolve(socket);
+    };
+
+    const socket = config.smtpSecure
+      ? tls.connect(options, onConnect)
+      : net.connect(options, onConnect);
+    socket.once('error', reject);
+    socket.setTimeout(config.smtpTimeout, onTimeout);
+  });
+}
+
+/**
+ * Upgrades a connection to TLS after STARTTLS
+ * @param {Object} socket - Plain socket
+ * @param {Object} config - Email configuration
+ * @returns {Promise<Object>} TLS socket
+ */
+function upgradeToTls(socket, config) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: config.smtpHost }, () =>
+      resolve(secureSocket)
+    );
+    secureSocket.once('error', reject);
+  });
+}
+
+/**
+ * Sends a message through the configured SMTP server
+ *
+ * @param {Object} message - The message, with `from`, `to` (array), `subject` and `text`
+ * @param {Object} config - Email configuration
+ * @returns {Promise<Object>} `{accepted}`: the recipients the server accepted
+ * @throws {Error} If the server is not configured, cannot be reached or refuses the message
+ */
+async function send(message, config) {
+  if (!config.smtpHost) {
+    throw new Error('SMTP_HOST must be set to send email with the smtp transport');
+  }
+
+  let socket = await connect(config);
+  socket.setTimeout(config.smtpTimeout, () =>
+    socket.destroy(new Error(`SMTP server did not respond within ${config.smtpTimeout}ms`))
+  );
+  let reader = createReplyReader(socket);
+
+  const expect = async (step, expectedCodes) => {
+    const reply = await reader.read();
+    if (!expectedCodes.includes(reply.code)) {
+      throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+  const command = (line, step, expectedCodes) => {
+    socket.write(`${line}\r\n`);
+    return expect(step, expectedCodes);
+  };
+
+  try {
+    await expect('greeting', [220]);
+    let capabilities = await command(`EHLO ${os.hostname()}`, 'EHLO', [250]);
+
+    if (!config.smtpSecure && /^STARTTLS$/im.test(capabilities.text)) {
+      await command('STARTTLS', 'STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, config);
+      reader = createReplyReader(socket);
+      capabilities = await command(`EHLO ${os.hostname()}`, 'EHLO', [250]);
+    }
+
+    if (config.smtpUser) {
+      if (/^AUTH\b.*\bPLAIN\b/im.test(capabilities.text)) {
+        const credentials = Buffer.from(`\0${config.smtpUser}\0${config.smtpPassword}`);
+        await command(`AUTH PLAIN ${credentials.toString('base64')}`, 'AUTH', [235]);
+      } else {
+        await command('AUTH LOGIN', 'AUTH', [334]);
+        await command(Buffer.from(config.smtpUser).toString('base64'), 'AUTH', [334]);
+        await command(Buffer.from(config.smtpPassword).toString('base64'), 'AUTH', [235]);
+      }
+    }
+
+    await command(`MAIL FROM:<${getAddress(message.from)}>`, 'MAIL FROM', [250]);
+    for (const recipient of message.to) {
+      await command(`RCPT TO:<${getAddress(recipient)}>`, 'RCPT TO', [250, 251]);
+    }
+    await command('DATA', 'DATA', [354]);
+    await command(`${formatMessage(message)}\r\n.`, 'message transfer', [250]);
+
+    // The message is queued at this point, so a server that hangs up early is not an error
+    await command('QUIT', 'QUIT', [221]).catch(() => {});
+    return { accepted: message.to };
+  } finally {
+    reader.detach();
+    socket.end();
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  name,
+  send,
+  formatMessage,
+};
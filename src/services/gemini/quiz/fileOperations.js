@@ -8,16 +8,18 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../../utils/logger');
 const { searchQuestions } = require('../../questionSearchService');
+const { QUESTION_STATUSES } = require('../../../models/questionModel');
 
 /**
- * Reads and parses the question format JSON file
+ * Reads and parses a question format JSON file from src/config
  *
+ * @param {string} [fileName='question-format.json'] - Format file to load
  * @returns {Promise<Object>} The parsed question format configuration
  * @throws {Error} If the file cannot be read or parsed
  */
-async function loadQuestionFormat() {
+async function loadQuestionFormat(fileName = 'question-format.json') {
   try {
-    const formatPath = path.resolve(process.cwd(), 'src/config/question-format.json');
+    const formatPath = path.resolve(process.cwd(), `src/config/${fileName}`);
     const formatData = await fs.readFile(formatPath, 'utf8');
     return JSON.parse(formatData);
   } catch (error) {
@@ -42,6 +44,8 @@ async function loadExistingQuestions(_, options = {}) {
         page: 1,
         page_size: 1000,
         mode: 'minimalist',
+        // Questions still in review or rejected should not be generated again either
+        status: QUESTION_STATUSES,
       });
       return result?.questions?.map(q => q.question) || [];
     } catch (error) {
@@ -4,7 +4,7 @@
  */
 
 const dotenv = require('dotenv');
-const { generateContent } = require('../geminiClient');
+const { getProvider, generateText } = require('../../llm');
 const logger = require('../../../utils/logger');
 const {
   loadQuestionFormat,
@@ -28,12 +28,13 @@ if (process.env.NODE_ENV === 'testing') {
 }
 
 /**
- * Generates quiz questions using Gemini AI
+ * Generates quiz questions using the selected LLM provider (Gemini by default)
  *
  * @param {Object} options - Additional options for generation
- * @param {number} [options.temperature] - Controls randomness (defaults to env var GEMINI_TEMPERATURE)
- * @param {number} [options.maxOutputTokens] - Maximum tokens in response (defaults to env var GEMINI_MAX_OUTPUT_TOKENS)
- * @param {string} [options.model] - The model to use (defaults to env var GEMINI_MODEL)
+ * @param {string} [options.provider] - LLM provider: gemini, openai, ollama or fixture (defaults to env var LLM_PROVIDER)
+ * @param {number} [options.temperature] - Controls randomness (defaults to the provider's configuration)
+ * @param {number} [options.maxOutputTokens] - Maximum tokens in response (defaults to the provider's configuration)
+ * @param {string} [options.model] - The model to use (defaults to the provider's default model)
  * @param {string} [options.topic] - The topic for which questions should be generated
  * @param {string} [options.language] - The programming language for the questions
  * @param {string} [options.position] - The target position level
@@ -49,6 +50,10 @@ async function generateQuizQuestions(options = {}) {
       `Options: Topic=${options.topic}, Language=${options.language}, Position=${options.position}, DifficultyText=${options.difficultyText}, PositionInstruction=${options.positionInstruction}`
     );
 
+    // Resolve the provider first so an unknown provider fails before any work is done
+    const provider = getProvider(options.provider);
+    logger.info(`Using LLM provider: ${provider.name}`);
+
     // Load question format
     logger.info('Loading question format');
     const questionFormat = await loadQuestionFormat();
@@ -59,7 +64,7 @@ async function generateQuizQuestions(options = {}) {
     logger.info(`Loaded ${existingQuestions.length} existing questions`);
 
     // Construct the prompt with all options
-    logger.info('Constructing prompt for Gemini AI');
+    logger.info('Constructing prompt for the LLM provider');
     const prompt = constructPrompt(questionFormat, existingQuestions, {
       topic: options.topic,
       language: options.language,
@@ -69,8 +74,8 @@ async function generateQuizQuestions(options = {}) {
     });
     logger.info('Prompt constructed successfully');
 
-    // Generate content using Gemini AI
-    const generatedContent = await sendRequestToGemini(prompt, options);
+    // Generate content using the LLM provider
+    const generatedContent = await sendRequestToProvider(provider, prompt, options);
 
     // Validate the generated content
     logger.info('Validating generated content');
@@ -103,15 +108,16 @@ async function generateQuizQuestions(options = {}) {
 }
 
 /**
- * Sends a request to Gemini AI and handles logging
+ * Sends a request to an LLM provider and handles logging
  *
- * @param {string} prompt - The prompt to send to Gemini
+ * @param {Object} provider - The LLM provider (see services/llm)
+ * @param {string} prompt - The prompt to send
  * @param {Object} options - Options for the request
  * @returns {Promise<string>} The generated content
  * @throws {Error} If the request fails
  */
-async function sendRequestToGemini(prompt, options) {
-  logger.info('Sending request to Gemini AI');
+async function sendRequestToProvider(provider, prompt, options) {
+  logger.info(`Sending request to ${provider.displayName}`);
 
   // Create a unique request ID for tracking
   const requestId = Date.now().toString();
@@ -121,6 +127,7 @@ async function sendRequestToGemini(prompt, options) {
     timestamp: new Date().toISOString(),
     requestId,
     options: {
+      provider: provider.name,
       topic: options.topic,
       language: options.language,
       position: options.position,
@@ -133,55 +140,56 @@ async function sendRequestToGemini(prompt, options) {
   };
 
   // Log the prompt to individual files
-  await logger.logToFile('gemini-prompts.log', `REQUEST ID: ${requestId} - PROMPT:`, prompt);
+  await logger.logToFile('llm-prompts.log', `REQUEST ID: ${requestId} - PROMPT:`, prompt);
 
   // Log to the combined conversation log file
   await logger.logToFile(
-    'gemini-conversations.log',
+    'llm-conversations.log',
     `REQUEST ID: ${requestId} - METADATA:`,
     pagination
   );
-  await logger.logToFile('gemini-conversations.log', `REQUEST ID: ${requestId} - PROMPT:`, prompt);
+  await logger.logToFile('llm-conversations.log', `REQUEST ID: ${requestId} - PROMPT:`, prompt);
 
   try {
-    const generatedContent = await generateContent(prompt, {
+    const generatedContent = await generateText(prompt, {
+      provider: provider.name,
       temperature: options.temperature,
       maxOutputTokens: options.maxOutputTokens,
       model: options.model,
       maxRetries: 3,
       retryDelay: 1000,
     });
-    logger.info('Successfully received response from Gemini AI');
+    logger.info(`Successfully received response from ${provider.displayName}`);
 
     // Log the response to individual files
     await logger.logToFile(
-      'gemini-responses.log',
+      'llm-responses.log',
       `REQUEST ID: ${requestId} - RESPONSE:`,
       generatedContent
     );
 
     // Log to the combined conversation log file
     await logger.logToFile(
-      'gemini-conversations.log',
+      'llm-conversations.log',
       `REQUEST ID: ${requestId} - RESPONSE:`,
       generatedContent
     );
 
     return generatedContent;
   } catch (error) {
-    logger.error('Failed to generate content from Gemini AI:', error);
+    logger.error(`Failed to generate content from ${provider.displayName}:`, error);
 
     // Log the error to individual files
-    await logger.logToFile('gemini-errors.log', `REQUEST ID: ${requestId} - ERROR:`, error.message);
+    await logger.logToFile('llm-errors.log', `REQUEST ID: ${requestId} - ERROR:`, error.message);
 
     // Log to the combined conversation log file
     await logger.logToFile(
-      'gemini-conversations.log',
+      'llm-conversations.log',
       `REQUEST ID: ${requestId} - ERROR:`,
       error.message
     );
 
-    throw new Error(`Failed to generate content from Gemini API: ${error.message}`);
+    throw new Error(`Failed to generate content from ${provider.displayName}: ${error.message}`);
   }
 }
 
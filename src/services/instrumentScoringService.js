@@ -0,0 +1,195 @@
+/**
+ * Instrument Scoring Service Module
+ * Interprets psychometric instrument responses: applies reverse keying and item weights and
+ * computes a trait score for each instrument tag, classified by the tag's norm bands.
+ * @module service/instrumentScoringService
+ */
+
+const submissionModel = require('../models/submissionModel');
+const { getInstrumentTagsByIds } = require('../repository/instrumentTagRepository');
+const { fetchInstrumentsByIds } = require('../utils/submissionEnricher');
+const logger = require('../utils/logger');
+
+/**
+ * Norm band labels, from lowest to highest
+ * @constant {Object}
+ */
+const NORM_BANDS = {
+  LOW: 'low',
+  AVERAGE: 'average',
+  HIGH: 'high',
+};
+
+/**
+ * Round a score to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the keyed value of an instrument response. Reverse-keyed items are mirrored on the
+ * response scale, so agreeing with a negatively worded item lowers the trait score.
+ * @param {Object} entry - Instrument entry from the submission
+ * @param {Object|undefined} instrument - Instrument document
+ * @returns {number|null} Keyed value, or null if the entry has no scorable answer
+ */
+function getKeyedValue(entry, instrument) {
+  const { min, max } = submissionModel.instrumentValueRange;
+
+  if (entry.is_skip === 1 || !instrument || !Number.isInteger(entry.answer)) {
+    return null;
+  }
+
+  return instrument.reverseScored ? max + min - entry.answer : entry.answer;
+}
+
+/**
+ * Get the weight of an instrument in its trait scores
+ * @param {Object} instrument - Instrument document
+ * @returns {number} Item weight, 1 when not set
+ */
+function getItemWeight(instrument) {
+  return typeof instrument.weight === 'number' && instrument.weight >= 0 ? instrument.weight : 1;
+}
+
+/**
+ * Classify a normalized trait score by the norm bands of its tag
+ * @param {number} normalized - Normalized score (0-100)
+ * @param {Object|null} normBands - Norm bands with averageFrom and highFrom
+ * @returns {string|null} Band label, or null if the tag has no norm bands
+ */
+function getNormBand(normalized, normBands) {
+  if (!normBands || typeof normBands.averageFrom !== 'number') {
+    return null;
+  }
+
+  if (normalized < normBands.averageFrom) {
+    return NORM_BANDS.LOW;
+  }
+  return normalized < normBands.highFrom ? NORM_BANDS.AVERAGE : NORM_BANDS.HIGH;
+}
+
+/**
+ * Compute the trait score of every instrument tag answered in a submission.
+ * `sum` is the weighted sum of keyed values, `mean` the weighted mean on the response
+ * scale and `normalized` the mean rescaled to 0-100. Only scale instruments count: the
+ * answers of other types (option indexes, 0/1, text) are not positions on the scale.
+ * @param {Array<Object>} instruments - Instrument entries from the submission
+ * @param {Object} instrumentMap - Instrument documents keyed by ID
+ * @param {Object} [instrumentTagMap={}] - Instrument tag documents keyed by ID
+ * @returns {Array<Object>} Trait scores ordered by tag name
+ */
+function calculateTraitScores(instruments, instrumentMap, instrumentTagMap = {}) {
+  const { min, max } = submissionModel.instrumentValueRange;
+  const traits = new Map();
+
+  (Array.isArray(instruments) ? instruments : []).forEach(entry => {
+    const instrument = instrumentMap[entry.instrument_id];
+    if (!instrument || instrument.type !== 'scale') {
+      return;
+    }
+
+    const value = getKeyedValue(entry, instrument);
+    if (value === null) {
+      return;
+    }
+
+    const weight = getItemWeight(instrument);
+    (instrument.tags || []).forEach(tagId => {
+      const key = String(tagId);
+      if (!traits.has(key)) {
+        traits.set(key, { answered: 0, weightedSum: 0, totalWeight: 0 });
+      }
+      const trait = traits.get(key);
+      trait.answered += 1;
+      trait.weightedSum += weight * value;
+      trait.totalWeight += weight;
+    });
+  });
+
+  return [...traits.entries()]
+    .filter(([, trait]) => trait.totalWeight > 0)
+    .map(([tagId, trait]) => {
+      const tag = instrumentTagMap[tagId];
+      const mean = trait.weightedSum / trait.totalWeight;
+      const normalized = roundScore(((mean - min) / (max - min)) * 100);
+
+      return {
+        tag_id: tagId,
+        tag_name: tag ? tag.name : null,
+        answered: trait.answered,
+        sum: roundScore(trait.weightedSum),
+        mean: roundScore(mean),
+        normalized,
+        band: getNormBand(normalized, tag && tag.normBands),
+      };
+    })
+    .sort((a, b) => String(a.tag_name).localeCompare(String(b.tag_name)));
+}
+
+/**
+ * Fetch instrument tags as a map keyed by ID
+ * @async
+ * @param {Array<string>} tagIds - Instrument tag IDs
+ * @returns {Promise<Object>} Instrument tag documents keyed by ID
+ */
+async function fetchInstrumentTagsByIds(tagIds) {
+  const uniqueIds = [...new Set(tagIds.map(String))];
+  if (uniqueIds.length === 0) {
+    return {};
+  }
+
+  const tags = await getInstrumentTagsByIds(uniqueIds);
+  return Object.fromEntries(tags.map(tag => [String(tag._id), tag]));
+}
+
+/**
+ * Get the trait scores of a stored submission. Scores stored at submission time are reused;
+ * submissions scored before trait scoring existed are scored from their instruments.
+ * Tag names and norm bands always come from the current tags, so changed norms apply to
+ * past submissions.
+ * @async
+ * @param {Object} submission - Submission document
+ * @returns {Promise<Array<Object>>} Trait scores
+ */
+async function getSubmissionTraitScores(submission) {
+  let traits = submission.scores && submission.scores.traits;
+
+  if (!Array.isArray(traits)) {
+    const instruments = Array.isArray(submission.instruments) ? submission.instruments : [];
+    const instrumentMap = await fetchInstrumentsByIds(
+      instruments.map(entry => entry.instrument_id)
+    );
+    traits = calculateTraitScores(instruments, instrumentMap);
+  }
+
+  if (traits.length === 0) {
+    return [];
+  }
+
+  const instrumentTagMap = await fetchInstrumentTagsByIds(traits.map(trait => trait.tag_id));
+  logger.info(`Retrieved ${traits.length} trait scores for submission ${submission._id}`);
+
+  return traits
+    .map(trait => {
+      const tag = instrumentTagMap[String(trait.tag_id)];
+      return {
+        ...trait,
+        tag_name: tag ? tag.name : trait.tag_name,
+        band: getNormBand(trait.normalized, tag && tag.normBands),
+      };
+    })
+    .sort((a, b) => String(a.tag_name).localeCompare(String(b.tag_name)));
+}
+
+module.exports = {
+  NORM_BANDS,
+  getKeyedValue,
+  getNormBand,
+  calculateTraitScores,
+  fetchInstrumentTagsByIds,
+  getSubmissionTraitScores,
+};
@@ -81,6 +81,21 @@ function validateInstrumentData(instrumentData) {
     errors.push('At least one tag is required');
   }
 
+  // Check scoring options if provided
+  if (
+    instrumentData.reverseScored !== undefined &&
+    typeof instrumentData.reverseScored !== 'boolean'
+  ) {
+    errors.push('reverseScored must be a boolean');
+  }
+
+  if (
+    instrumentData.weight !== undefined &&
+    (typeof instrumentData.weight !== 'number' || !(instrumentData.weight >= 0))
+  ) {
+    errors.push('Weight must be a non-negative number');
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -39,6 +39,18 @@ function validateInstrumentTagData(tagData) {
     errors.push('Tag description cannot be empty');
   }
 
+  // Norm bands are optional; null removes them
+  if (tagData.normBands !== undefined && tagData.normBands !== null) {
+    const { averageFrom, highFrom } = tagData.normBands;
+    const isPercentage = value => typeof value === 'number' && value >= 0 && value <= 100;
+
+    if (!isPercentage(averageFrom) || !isPercentage(highFrom)) {
+      errors.push('Norm bands averageFrom and highFrom must be numbers between 0 and 100');
+    } else if (averageFrom > highFrom) {
+      errors.push('Norm band averageFrom cannot be greater than highFrom');
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -0,0 +1,406 @@
+/**
+ * Item Analysis Service
+ * Classical item statistics for multiple-choice questions, computed from the answers in
+ * submissions: exposure, skip rate, p-value (proportion correct), point-biserial
+ * discrimination and how often each option was chosen. Questions whose labeled difficulty
+ * disagrees with their observed p-value are flagged.
+ * @module service/itemAnalysisService
+ */
+
+const {
+  getQuestionById,
+  getQuestionsForItemAnalysis,
+} = require('../repository/questionRepository');
+const { getSubmissionAnswersByQuestionIds } = require('../repository/submissionRepository');
+const { fetchQuestionsByIds } = require('../utils/submissionEnricher');
+const { isSkipped } = require('./submissionScoringService');
+const { buildScopeFilter } = require('./questionDuplicateService');
+const { parsePaginationParams, calculatePaginationMetadata } = require('../utils/paginationUtils');
+const { isValidObjectId } = require('../utils/validateObjectId');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const ITEM_ANALYSIS_ERRORS = {
+  INVALID_ID: 'Invalid question ID format',
+  NOT_FOUND: 'Question not found',
+};
+
+/**
+ * Questions a report may analyze; broader reports must be narrowed with filters
+ * @constant {number}
+ */
+const MAX_REPORT_QUESTIONS = 1000;
+
+/**
+ * Submissions the statistics are computed from: the most recent ones that include the
+ * analyzed questions
+ * @constant {number}
+ */
+const MAX_ANALYZED_SUBMISSIONS = 5000;
+
+/**
+ * Lowest p-value expected of each labeled difficulty; a question is observed as the
+ * easiest difficulty whose threshold its p-value reaches
+ * @constant {Array<Object>}
+ */
+const DIFFICULTY_P_VALUE_THRESHOLDS = [
+  { difficulty: 'easy', minPValue: 0.7 },
+  { difficulty: 'medium', minPValue: 0.4 },
+  { difficulty: 'hard', minPValue: 0 },
+];
+
+/**
+ * Responses a question needs before its difficulty is compared with its label
+ * @constant {number}
+ */
+const DEFAULT_MIN_RESPONSES = 20;
+
+/**
+ * Round a statistic to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundStat(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the difficulty that matches an observed p-value
+ * @param {number} pValue - Proportion of correct responses
+ * @returns {string} easy, medium or hard
+ */
+function getObservedDifficulty(pValue) {
+  return DIFFICULTY_P_VALUE_THRESHOLDS.find(({ minPValue }) => pValue >= minPValue).difficulty;
+}
+
+/**
+ * Pearson correlation between a dichotomous item score and a total score
+ * @param {Array<Object>} pairs - `{ item, total }` with item 0 or 1
+ * @returns {number|null} Point-biserial correlation, or null if either score does not vary
+ */
+function calculatePointBiserial(pairs) {
+  const n = pairs.length;
+  if (n < 2) {
+    return null;
+  }
+
+  const meanItem = pairs.reduce((sum, pair) => sum + pair.item, 0) / n;
+  const meanTotal = pairs.reduce((sum, pair) => sum + pair.total, 0) / n;
+  let covariance = 0;
+  let varianceItem = 0;
+  let varianceTotal = 0;
+
+  pairs.forEach(({ item, total }) => {
+    covariance += (item - meanItem) * (total - meanTotal);
+    varianceItem += (item - meanItem) ** 2;
+    varianceTotal += (total - meanTotal) ** 2;
+  });
+
+  if (varianceItem === 0 || varianceTotal === 0) {
+    return null;
+  }
+
+  return roundStat(covariance / Math.sqrt(varianceItem * varianceTotal));
+}
+
+/**
+ * Score the answers of each submission against the current answer keys.
+ * A question answered twice in one submission only counts once.
+ * @param {Array<Object>} submissions - Submissions with their answers
+ * @param {Object} questionMap - Questions keyed by ID
+ * @returns {Array<Object>} Per submission, `{ responses, total }` where responses are keyed by
+ *   question ID (`{ skipped, selected, correct }`) and total is the number of correct answers
+ */
+function scoreResponses(submissions, questionMap) {
+  return submissions.map(submission => {
+    const responses = {};
+    let total = 0;
+
+    (submission.answers || []).forEach(answer => {
+      const questionId = String(answer.question_id);
+      const question = questionMap[questionId];
+      if (!question || responses[questionId]) {
+        return;
+      }
+
+      const skipped = isSkipped(answer);
+      const correct = !skipped && answer.answer === question.correctAnswer;
+      responses[questionId] = { skipped, selected: skipped ? null : answer.answer, correct };
+      total += correct ? 1 : 0;
+    });
+
+    return { responses, total };
+  });
+}
+
+/**
+ * Compute the statistics of one question.
+ * Discrimination correlates each response with the rest score (correct answers to the
+ * submission's other questions), so the item does not inflate its own correlation.
+ * @param {Object} question - Question document with options and correctAnswer
+ * @param {Array<Object>} scored - Scored submissions (see scoreResponses)
+ * @param {number} [minResponses=DEFAULT_MIN_RESPONSES] - Responses needed to flag the difficulty
+ * @returns {Object} Item statistics
+ */
+function calculateItemStats(question, scored, minResponses = DEFAULT_MIN_RESPONSES) {
+  const questionId = String(question._id);
+  const options = Array.isArray(question.options) ? question.options : [];
+  const optionCounts = options.map(() => 0);
+  const pairs = [];
+  let exposure = 0;
+  let skipped = 0;
+
+  scored.forEach(({ responses, total }) => {
+    const response = responses[questionId];
+    if (!response) {
+      return;
+    }
+
+    exposure += 1;
+    if (response.skipped) {
+      skipped += 1;
+      return;
+    }
+
+    if (Number.isInteger(response.selected) && response.selected < optionCounts.length) {
+      optionCounts[response.selected] += 1;
+    }
+    const item = response.correct ? 1 : 0;
+    pairs.push({ item, total: total - item });
+  });
+
+  const responses = pairs.length;
+  const correct = pairs.filter(pair => pair.item === 1).length;
+  const pValue = responses > 0 ? roundStat(correct / responses) : null;
+  const observedDifficulty = pValue !== null ? getObservedDifficulty(pValue) : null;
+
+  return {
+    question_id: question._id,
+    question: question.question,
+    difficulty: question.difficulty,
+    topic: question.topic,
+    language: question.language,
+    exposure,
+    responses,
+    skipped,
+    skip_rate: exposure > 0 ? roundStat(skipped / exposure) : null,
+    correct,
+    p_value: pValue,
+    point_biserial: calculatePointBiserial(pairs),
+    options: options.map((text, index) => ({
+      index,
+      text,
+      is_correct: index === question.correctAnswer,
+      count: optionCounts[index],
+      rate: responses > 0 ? roundStat(optionCounts[index] / responses) : null,
+    })),
+    observed_difficulty: observedDifficulty,
+    difficulty_mismatch:
+      responses >= minResponses &&
+      observedDifficulty !== null &&
+      observedDifficulty !== question.difficulty,
+  };
+}
+
+/**
+ * Load and score the most recent submissions that include any of the given questions
+ * (at most MAX_ANALYZED_SUBMISSIONS)
+ * @async
+ * @param {Array<Object>} questions - Analyzed questions
+ * @returns {Promise<Array<Object>>} Scored submissions (see scoreResponses)
+ */
+async function loadScoredResponses(questions) {
+  const submissions = await getSubmissionAnswersByQuestionIds(
+    questions.map(question => String(question._id)),
+    MAX_ANALYZED_SUBMISSIONS
+  );
+
+  // Rest scores need the answer keys of every question in those submissions
+  const otherIds = new Set();
+  submissions.forEach(submission =>
+    (submission.answers || []).forEach(answer => otherIds.add(String(answer.question_id)))
+  );
+  questions.forEach(question => otherIds.delete(String(question._id)));
+
+  const questionMap = {
+    ...(await fetchQuestionsByIds([...otherIds])),
+    ...Object.fromEntries(questions.map(question => [String(question._id), question])),
+  };
+
+  return scoreResponses(submissions, questionMap);
+}
+
+/**
+ * Parse the minimum number of responses for difficulty flags
+ * @param {*} value - Query parameter
+ * @param {Array<string>} errors - Validation errors, appended to
+ * @returns {number} Minimum number of responses
+ */
+function parseMinResponses(value, errors) {
+  if (value === undefined) {
+    return DEFAULT_MIN_RESPONSES;
+  }
+
+  const minResponses = Number(value);
+  if (!Number.isInteger(minResponses) || minResponses < 1) {
+    errors.push('min_responses must be a positive integer');
+  }
+  return minResponses;
+}
+
+/**
+ * Get the item statistics of a question
+ * @async
+ * @param {string} id - Question ID
+ * @param {Object} [query={}] - Query parameters
+ * @param {number} [query.min_responses=20] - Responses needed to flag the difficulty
+ * @returns {Promise<Object>} Result object with success flag, data (statistics), and errors
+ */
+async function getQuestionStats(id, query = {}) {
+  try {
+    const errors = [];
+    if (!isValidObjectId(id)) {
+      errors.push(ITEM_ANALYSIS_ERRORS.INVALID_ID);
+    }
+    const minResponses = parseMinResponses(query.min_responses, errors);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const question = await getQuestionById(id);
+    if (!question) {
+      return { success: false, errors: [ITEM_ANALYSIS_ERRORS.NOT_FOUND] };
+    }
+
+    const scored = await loadScoredResponses([question]);
+    logger.info(`Computed item statistics of question ${id} from ${scored.length} submissions`);
+
+    return { success: true, data: calculateItemStats(question, scored, minResponses) };
+  } catch (error) {
+    logger.error(`Error computing item statistics of question ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error computing item statistics: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Validate the query of the item analysis report
+ * @param {Object} query - Query parameters
+ * @returns {Object} `{ errors, minResponses }`
+ */
+function validateReportQuery(query) {
+  const errors = [];
+  const difficulties = DIFFICULTY_P_VALUE_THRESHOLDS.map(({ difficulty }) => difficulty);
+
+  if (query.topic_id !== undefined && !isValidObjectId(query.topic_id)) {
+    errors.push('Invalid topic ID format');
+  }
+
+  if (query.difficulty !== undefined && !difficulties.includes(query.difficulty)) {
+    errors.push(`difficulty must be one of: ${difficulties.join(', ')}`);
+  }
+
+  if (query.flagged !== undefined && !['true', 'false'].includes(String(query.flagged))) {
+    errors.push('flagged must be true or false');
+  }
+
+  const minResponses = parseMinResponses(query.min_responses, errors);
+
+  return { errors, minResponses };
+}
+
+/**
+ * Report the item statistics of the question bank.
+ * Statistics are computed for every matching question and then paginated, so reports
+ * matching more than MAX_REPORT_QUESTIONS questions are refused.
+ * @async
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} [query.topic_id] - Only questions of this topic
+ * @param {string} [query.topic] - Only questions of this topic name
+ * @param {string} [query.language] - Only questions of this language
+ * @param {string} [query.position] - Only questions of this position
+ * @param {string} [query.difficulty] - Only questions with this labeled difficulty
+ * @param {string} [query.flagged] - 'true' for only questions whose difficulty is flagged
+ * @param {number} [query.min_responses=20] - Responses needed to flag the difficulty
+ * @param {number} [query.page=1] - Page number
+ * @param {number} [query.page_size=20] - Questions per page (max 100)
+ * @returns {Promise<Object>} Result object with success flag, data, summary, pagination, and errors
+ */
+async function getItemAnalysisReport(query = {}) {
+  try {
+    const { errors, minResponses } = validateReportQuery(query);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const filter = buildScopeFilter({
+      topic_id: query.topic_id,
+      topic: query.topic,
+      language: query.language,
+    });
+    if (query.position) filter.position = query.position;
+    if (query.difficulty) filter.difficulty = query.difficulty;
+
+    // One more than the limit tells whether the report is too broad
+    const questions = await getQuestionsForItemAnalysis(filter, MAX_REPORT_QUESTIONS + 1);
+    if (questions.length > MAX_REPORT_QUESTIONS) {
+      return {
+        success: false,
+        errors: [
+          `The report matches more than ${MAX_REPORT_QUESTIONS} questions; narrow it with ` +
+            'topic_id, topic, language, position or difficulty',
+        ],
+      };
+    }
+
+    const scored = questions.length > 0 ? await loadScoredResponses(questions) : [];
+    const stats = questions.map(question => calculateItemStats(question, scored, minResponses));
+
+    let items = stats;
+    if (query.flagged !== undefined) {
+      const flagged = String(query.flagged) === 'true';
+      items = stats.filter(item => item.difficulty_mismatch === flagged);
+    }
+
+    const { page, pageSize } = parsePaginationParams(query);
+    const start = (page - 1) * pageSize;
+
+    return {
+      success: true,
+      data: items.slice(start, start + pageSize),
+      summary: {
+        min_responses: minResponses,
+        questions: questions.length,
+        answered: stats.filter(item => item.responses > 0).length,
+        flagged: stats.filter(item => item.difficulty_mismatch).length,
+        submissions: scored.length,
+        submissions_limited: scored.length >= MAX_ANALYZED_SUBMISSIONS,
+      },
+      pagination: calculatePaginationMetadata(items.length, page, pageSize),
+    };
+  } catch (error) {
+    logger.error('Error creating item analysis report:', error);
+    return {
+      success: false,
+      errors: [`Error creating item analysis report: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  ITEM_ANALYSIS_ERRORS,
+  DEFAULT_MIN_RESPONSES,
+  MAX_REPORT_QUESTIONS,
+  MAX_ANALYZED_SUBMISSIONS,
+  getObservedDifficulty,
+  calculatePointBiserial,
+  scoreResponses,
+  calculateItemStats,
+  getQuestionStats,
+  getItemAnalysisReport,
+};
@@ -0,0 +1,568 @@
+/**
+ * Item Generation Service
+ * Generates logic questions and instruments with the configured LLM provider.
+ * Generated items are validated against the Mongoose schemas and de-duplicated
+ * against existing items with the same tags before they are stored.
+ * @module service/itemGenerationService
+ */
+
+const crypto = require('crypto');
+const LogicQuestion = require('../models/logicQuestionModel');
+const Instrument = require('../models/instrumentModel');
+const { createJob } = require('../repository/jobRepository');
+const { addToQueue } = require('../utils/redisQueueHelper');
+const { createLogicQuestion, getLogicQuestions } = require('../repository/logicQuestionRepository');
+const { checkLogicTagsExist } = require('../repository/logicTagRepository');
+const { createInstrument, getAllInstruments } = require('../repository/instrumentRepository');
+const { getInstrumentTagsByIds } = require('../repository/instrumentTagRepository');
+const { generateText } = require('./llm');
+const { loadQuestionFormat } = require('./gemini/quiz/fileOperations');
+const { extractJsonFromCodeBlocks, extractArrayContent } = require('./gemini/quiz/extractors');
+const { parseJsonContent, extractQuestionsArray } = require('./gemini/quiz/parsers');
+const { getLLMProviderNames } = require('../config/llmConfig');
+const { areValidObjectIds, toObjectIds } = require('../utils/validateObjectId');
+const { normalizeText, createSimilarityIndex } = require('../utils/textSimilarity');
+const { getDuplicateDetectionConfig } = require('../config/duplicateDetectionConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Job types processed by the job processor
+ * @constant {Object}
+ */
+const ITEM_JOB_TYPES = {
+  LOGIC_QUESTION: 'logic-question-generation',
+  INSTRUMENT: 'instrument-generation',
+};
+
+/**
+ * Number of items requested when the request does not specify a count
+ * @constant {number}
+ */
+const DEFAULT_ITEM_COUNT = 10;
+
+/**
+ * Maximum number of items a single request may ask for
+ * @constant {number}
+ */
+const MAX_ITEM_COUNT = 50;
+
+/**
+ * Maximum number of existing items listed in the prompt
+ * @constant {number}
+ */
+const MAX_EXISTING_ITEMS = 1000;
+
+const LOGIC_QUESTION_TYPES = ['multiple_choice', 'open_question'];
+const INSTRUMENT_TYPES = ['scale', 'multiple-choice', 'open-ended', 'boolean'];
+
+const LOGIC_QUESTION_PROMPT_TEMPLATE = `
+Generate {count} unique logic and reasoning questions for candidate assessments covering: {tags}.
+{levelInstruction}{typeInstruction}
+Respond with a JSON array only, following this JSON schema:
+{schema}
+
+Example:
+{example}
+
+Do not repeat or rephrase any of these existing questions:
+{existingItems}`;
+
+const INSTRUMENT_PROMPT_TEMPLATE = `
+Generate {count} unique psychometric instrument items (self-assessment statements or questions) measuring: {tags}.
+{typeInstruction}
+Respond with a JSON array only, following this JSON schema:
+{schema}
+
+Example:
+{example}
+
+Do not repeat or rephrase any of these existing items:
+{existingItems}`;
+
+/**
+ * Normalizes item text for duplicate detection: case, punctuation and whitespace are ignored
+ * @param {string} text - Item text
+ * @returns {string} Normalized text
+ */
+function normalizeItemText(text) {
+  return normalizeText(text);
+}
+
+/**
+ * Validates the options shared by all generation requests
+ * @param {Object} body - Request body
+ * @param {Array<string>} errors - Error list to append to
+ * @returns {void}
+ */
+function validateCommonParams(body, errors) {
+  const { count, provider, model } = body;
+
+  if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_ITEM_COUNT)) {
+    errors.push(`Count must be an integer between 1 and ${MAX_ITEM_COUNT}`);
+  }
+
+  const providerNames = getLLMProviderNames();
+  if (provider !== undefined && !providerNames.includes(provider)) {
+    errors.push(`Provider must be one of: ${providerNames.join(', ')}`);
+  }
+
+  if (model !== undefined && (typeof model !== 'string' || model.trim() === '')) {
+    errors.push('Model must be a non-empty string');
+  }
+}
+
+/**
+ * Validates a logic question generation request
+ * @param {Object} body - Request body
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateLogicQuestionGenerationRequest(body = {}) {
+  const { tag_ids, level, type } = body;
+  const errors = [];
+
+  if (!Array.isArray(tag_ids) || tag_ids.length === 0) {
+    errors.push('At least one tag ID is required');
+  } else if (!areValidObjectIds(tag_ids)) {
+    errors.push('One or more tag IDs are invalid');
+  }
+
+  if (level !== undefined && (!Number.isInteger(level) || level < 1 || level > 6)) {
+    errors.push('Difficulty level must be an integer between 1 and 6');
+  }
+
+  if (type !== undefined && !LOGIC_QUESTION_TYPES.includes(type)) {
+    errors.push(`Question type must be one of: ${LOGIC_QUESTION_TYPES.join(', ')}`);
+  }
+
+  validateCommonParams(body, errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates an instrument generation request
+ * @param {Object} body - Request body
+ * @returns {Object} Validation result with isValid flag and errors array
+ */
+function validateInstrumentGenerationRequest(body = {}) {
+  const { tags, type } = body;
+  const errors = [];
+
+  if (!Array.isArray(tags) || tags.length === 0) {
+    errors.push('At least one tag ID is required');
+  } else if (!areValidObjectIds(tags)) {
+    errors.push('One or more tag IDs are invalid');
+  }
+
+  if (type !== undefined && !INSTRUMENT_TYPES.includes(type)) {
+    errors.push(`Type must be one of: ${INSTRUMENT_TYPES.join(', ')}`);
+  }
+
+  validateCommonParams(body, errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Loads the logic tags of a request
+ * @async
+ * @param {Array<string>} tagIds - Logic tag IDs
+ * @returns {Promise<Object>} Result object with success flag, data (tags), and errors
+ */
+async function loadLogicTags(tagIds) {
+  const result = await checkLogicTagsExist(tagIds);
+  if (!result.success) {
+    return { success: false, errors: ['One or more tags do not exist'] };
+  }
+  return { success: true, data: result.data };
+}
+
+/**
+ * Loads the instrument tags of a request
+ * @async
+ * @param {Array<string>} tagIds - Instrument tag IDs
+ * @returns {Promise<Object>} Result object with success flag, data (tags), and errors
+ */
+async function loadInstrumentTags(tagIds) {
+  const tags = await getInstrumentTagsByIds(tagIds);
+  if (tags.length !== tagIds.length) {
+    const foundIds = tags.map(tag => tag._id.toString());
+    const missingIds = tagIds.filter(id => !foundIds.includes(id.toString()));
+    return {
+      success: false,
+      errors: [`The following tag IDs do not exist: ${missingIds.join(', ')}`],
+    };
+  }
+  return { success: true, data: tags };
+}
+
+/**
+ * Creates a generation job and adds it to the queue
+ * @async
+ * @param {string} type - Job type
+ * @param {Object} payload - Job payload
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueueGenerationJob(type, payload) {
+  const job = await createJob({ type, payload, status: 'new' });
+
+  await addToQueue({
+    _id: job._id.toString(),
+    type: job.type,
+    payload: job.payload,
+  });
+
+  return job;
+}
+
+/**
+ * Builds the job payload shared by all generation requests.
+ * The LLM selection is only stored when requested, so the worker falls back to its defaults.
+ * @param {Object} params - Request parameters
+ * @param {Object} payload - Item specific payload
+ * @returns {Object} Job payload
+ */
+function buildJobPayload(params, payload) {
+  const jobPayload = { ...payload, count: params.count || DEFAULT_ITEM_COUNT };
+
+  if (params.provider) jobPayload.provider = params.provider;
+  if (params.model) jobPayload.model = params.model;
+
+  return jobPayload;
+}
+
+/**
+ * Creates a job that generates logic questions
+ * @async
+ * @param {Object} params - Request parameters
+ * @param {Array<string>} params.tag_ids - Logic tag IDs the questions belong to
+ * @param {number} [params.level] - Difficulty level (1-6); the model picks one per question if omitted
+ * @param {string} [params.type] - Question type; both types are allowed if omitted
+ * @param {number} [params.count=10] - Number of questions to generate
+ * @param {string} [params.provider] - LLM provider the job should use
+ * @param {string} [params.model] - Model the job should use
+ * @returns {Promise<Object>} Result object with success flag, data (job), and errors
+ */
+async function requestLogicQuestionGeneration(params) {
+  try {
+    const validation = validateLogicQuestionGenerationRequest(params);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const tagsResult = await loadLogicTags(params.tag_ids);
+    if (!tagsResult.success) {
+      return tagsResult;
+    }
+
+    const payload = { tag_ids: params.tag_ids };
+    if (params.level !== undefined) payload.level = params.level;
+    if (params.type) payload.type = params.type;
+
+    const job = await enqueueGenerationJob(
+      ITEM_JOB_TYPES.LOGIC_QUESTION,
+      buildJobPayload(params, payload)
+    );
+    logger.info(`Created logic question generation job ${job._id}`);
+
+    return { success: true, data: job };
+  } catch (error) {
+    logger.error('Error requesting logic question generation:', error);
+    return {
+      success: false,
+      errors: [`Error requesting logic question generation: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Creates a job that generates instruments
+ * @async
+ * @param {Object} params - Request parameters
+ * @param {Array<string>} params.tags - Instrument tag IDs the items belong to
+ * @param {string} [params.type] - Item type; the model picks one per item if omitted
+ * @param {number} [params.count=10] - Number of items to generate
+ * @param {string} [params.provider] - LLM provider the job should use
+ * @param {string} [params.model] - Model the job should use
+ * @returns {Promise<Object>} Result object with success flag, data (job), and errors
+ */
+async function requestInstrumentGeneration(params) {
+  try {
+    const validation = validateInstrumentGenerationRequest(params);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const tagsResult = await loadInstrumentTags(params.tags);
+    if (!tagsResult.success) {
+      return tagsResult;
+    }
+
+    const payload = { tags: params.tags };
+    if (params.type) payload.type = params.type;
+
+    const job = await enqueueGenerationJob(
+      ITEM_JOB_TYPES.INSTRUMENT,
+      buildJobPayload(params, payload)
+    );
+    logger.info(`Created instrument generation job ${job._id}`);
+
+    return { success: true, data: job };
+  } catch (error) {
+    logger.error('Error requesting instrument generation:', error);
+    return {
+      success: false,
+      errors: [`Error requesting instrument generation: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Fills a prompt template
+ * @param {string} template - Prompt template
+ * @param {Object} format - Item format loaded from src/config
+ * @param {Array<string>} existingItems - Texts of existing items
+ * @param {Object} replacements - Other placeholder values
+ * @returns {string} The prompt
+ */
+function buildItemPrompt(template, format, existingItems, replacements) {
+  let prompt = template
+    .replace('{schema}', JSON.stringify(format.schema))
+    .replace('{example}', JSON.stringify(format.example, null, 2))
+    .replace('{existingItems}', existingItems.map(text => `- ${text}`).join('\n') || '- (none)');
+
+  for (const [key, value] of Object.entries(replacements)) {
+    prompt = prompt.replace(`{${key}}`, value);
+  }
+
+  return prompt;
+}
+
+/**
+ * Extracts the generated items array from an LLM response
+ * @param {string} content - Generated content
+ * @returns {Array<Object>} Generated items
+ * @throws {Error} If the content does not contain a JSON array of items
+ */
+function parseGeneratedItems(content) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Generated content is empty or not a string');
+  }
+
+  const originalContent = content.trim();
+  const contentToProcess = extractArrayContent(extractJsonFromCodeBlocks(originalContent));
+  const items = extractQuestionsArray(parseJsonContent(contentToProcess, originalContent), true);
+
+  return items.filter(item => item && typeof item === 'object');
+}
+
+/**
+ * Validates generated documents, drops near-duplicates and stores the rest.
+ * Items at least QUESTION_SIMILARITY_THRESHOLD similar to an existing item or an
+ * earlier item of the batch count as duplicates.
+ * @async
+ * @param {Array<Object>} docs - Candidate documents
+ * @param {Object} options - Storage options
+ * @param {mongoose.Model} options.Model - Model the documents are validated against
+ * @param {Function} options.getText - Returns the text used for duplicate detection
+ * @param {Array<string>} options.existingTexts - Texts of existing items
+ * @param {Function} options.create - Repository function that stores a document
+ * @returns {Promise<Object>} Created documents, duplicate texts and invalid items
+ */
+async function storeGeneratedItems(docs, { Model, getText, existingTexts, create }) {
+  const index = createSimilarityIndex({ threshold: getDuplicateDetectionConfig().threshold });
+  existingTexts.forEach(text => index.add(text));
+  const created = [];
+  const duplicates = [];
+  const invalid = [];
+
+  for (const doc of docs) {
+    const validationError = new Model(doc).validateSync();
+    if (validationError) {
+      invalid.push({
+        item: doc,
+        errors: Object.values(validationError.errors).map(error => error.message),
+      });
+      continue;
+    }
+
+    if (index.findMostSimilar(getText(doc))) {
+      duplicates.push(getText(doc));
+      continue;
+    }
+
+    try {
+      created.push(await create(doc));
+      index.add(getText(doc));
+    } catch (error) {
+      invalid.push({ item: doc, errors: [error.message] });
+    }
+  }
+
+  return { created, duplicates, invalid };
+}
+
+/**
+ * Generates logic questions and stores the valid, new ones
+ * @async
+ * @param {Object} payload - Generation parameters (see requestLogicQuestionGeneration)
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function generateLogicQuestions(payload) {
+  try {
+    const validation = validateLogicQuestionGenerationRequest(payload);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const tagsResult = await loadLogicTags(payload.tag_ids);
+    if (!tagsResult.success) {
+      return tagsResult;
+    }
+
+    const tagIds = toObjectIds(payload.tag_ids);
+    const existing = await getLogicQuestions(
+      { tag_ids: { $in: tagIds } },
+      { limit: MAX_EXISTING_ITEMS }
+    );
+    const existingTexts = existing.map(question => question.question);
+
+    const format = await loadQuestionFormat('logic-question-format.json');
+    const prompt = buildItemPrompt(LOGIC_QUESTION_PROMPT_TEMPLATE, format, existingTexts, {
+      count: payload.count || DEFAULT_ITEM_COUNT,
+      tags: tagsResult.data.map(tag => tag.name).join(', '),
+      levelInstruction: payload.level
+        ? `All questions must have difficulty level ${payload.level} on a scale from 1 to 6. `
+        : 'Spread the questions over difficulty levels 1 to 6. ',
+      typeInstruction: payload.type ? `All questions must be of type "${payload.type}".` : '',
+    });
+
+    const content = await generateText(prompt, {
+      provider: payload.provider,
+      model: payload.model,
+      maxRetries: 3,
+      retryDelay: 1000,
+    });
+
+    const docs = parseGeneratedItems(content)
+      .filter(item => !payload.type || item.type === payload.type)
+      .map(item => ({
+        question: item.question,
+        level: payload.level || item.level,
+        tag_ids: tagIds,
+        type: item.type,
+        choices: item.type === 'multiple_choice' ? item.choices : [],
+        answer_explanation: item.answer_explanation,
+      }));
+
+    const result = await storeGeneratedItems(docs, {
+      Model: LogicQuestion,
+      getText: doc => doc.question,
+      existingTexts,
+      create: createLogicQuestion,
+    });
+
+    logger.info(
+      `Generated ${result.created.length} logic questions (${result.duplicates.length} duplicates, ${result.invalid.length} invalid)`
+    );
+
+    return { success: true, data: result };
+  } catch (error) {
+    logger.error('Error generating logic questions:', error);
+    return {
+      success: false,
+      errors: [`Error generating logic questions: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Generates instruments and stores the valid, new ones.
+ * Generated instruments get a random `gen-` prefixed questionId.
+ * @async
+ * @param {Object} payload - Generation parameters (see requestInstrumentGeneration)
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function generateInstruments(payload) {
+  try {
+    const validation = validateInstrumentGenerationRequest(payload);
+    if (!validation.isValid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const tagsResult = await loadInstrumentTags(payload.tags);
+    if (!tagsResult.success) {
+      return tagsResult;
+    }
+
+    const tagIds = toObjectIds(payload.tags);
+    const existing = await getAllInstruments(
+      { tags: { $in: tagIds } },
+      { limit: MAX_EXISTING_ITEMS }
+    );
+    const existingTexts = existing.map(instrument => instrument.questionText);
+
+    const format = await loadQuestionFormat('instrument-format.json');
+    const prompt = buildItemPrompt(INSTRUMENT_PROMPT_TEMPLATE, format, existingTexts, {
+      count: payload.count || DEFAULT_ITEM_COUNT,
+      tags: tagsResult.data.map(tag => tag.name).join(', '),
+      typeInstruction: payload.type ? `All items must be of type "${payload.type}".` : '',
+    });
+
+    const content = await generateText(prompt, {
+      provider: payload.provider,
+      model: payload.model,
+      maxRetries: 3,
+      retryDelay: 1000,
+    });
+
+    const docs = parseGeneratedItems(content)
+      .filter(item => !payload.type || item.type === payload.type)
+      .map(item => ({
+        questionId: `gen-${crypto.randomBytes(6).toString('hex')}`,
+        questionText: item.questionText,
+        type: item.type,
+        options: ['scale', 'multiple-choice'].includes(item.type) ? item.options : [],
+        tags: tagIds,
+      }));
+
+    const result = await storeGeneratedItems(docs, {
+      Model: Instrument,
+      getText: doc => doc.questionText,
+      existingTexts,
+      create: createInstrument,
+    });
+
+    logger.info(
+      `Generated ${result.created.length} instruments (${result.duplicates.length} duplicates, ${result.invalid.length} invalid)`
+    );
+
+    return { success: true, data: result };
+  } catch (error) {
+    logger.error('Error generating instruments:', error);
+    return {
+      success: false,
+      errors: [`Error generating instruments: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  ITEM_JOB_TYPES,
+  DEFAULT_ITEM_COUNT,
+  MAX_ITEM_COUNT,
+  normalizeItemText,
+  validateLogicQuestionGenerationRequest,
+  validateInstrumentGenerationRequest,
+  requestLogicQuestionGeneration,
+  requestInstrumentGeneration,
+  parseGeneratedItems,
+  generateLogicQuestions,
+  generateInstruments,
+};
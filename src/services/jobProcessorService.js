@@ -3,50 +3,103 @@
  * @module service/jobProcessorService
  */
 
-const { getFromQueue, DEFAULT_QUEUE } = require('../utils/redisQueueHelper');
-const { updateJobStatus, getJobById } = require('../repository/jobRepository');
+const {
+  DEFAULT_QUEUE,
+  acknowledgeQueueItem,
+  releaseQueueItem,
+  scheduleRetry,
+  addToDeadLetterQueue,
+} = require('../utils/redisQueueHelper');
+const { getJobById, startJobAttempt, finishJobAttempt } = require('../repository/jobRepository');
+const { getJobQueueConfig, getRetryDelay } = require('../config/jobQueueConfig');
 const { validateGenerateRequest } = require('../utils/generateRequestValidator');
 const { generateAndStoreQuestions } = require('../services/questionGenerationService');
+const {
+  ITEM_JOB_TYPES,
+  generateLogicQuestions,
+  generateInstruments,
+} = require('../services/itemGenerationService');
+const { GRADING_JOB_TYPE, gradeSubmission } = require('../services/submissionGradingService');
 const logger = require('../utils/logger');
 const { ObjectId } = require('mongodb');
 
 /**
- * Flag to control the job processor loop
- * @type {boolean}
+ * Run the handler for a job's type
+ * @async
+ * @param {Object} job - Job to run
+ * @returns {Promise<void>}
+ * @throws {Error} If the job fails; errors with `retryable: false` are not retried
  */
-let isProcessing = false;
+async function runJob(job) {
+  switch (job.type) {
+    case 'question-request':
+      await processQuestionRequest(job);
+      break;
+    case ITEM_JOB_TYPES.LOGIC_QUESTION:
+      await processItemGeneration(job, generateLogicQuestions);
+      break;
+    case ITEM_JOB_TYPES.INSTRUMENT:
+      await processItemGeneration(job, generateInstruments);
+      break;
+    case GRADING_JOB_TYPE:
+      await processSubmissionGrading(job);
+      break;
+    // Add more job types here as needed
+    default: {
+      logger.warn(`Unknown job type: ${job.type}`, { jobId: job._id });
+      const error = new Error(`Unknown job type: ${job.type}`);
+      error.retryable = false;
+      throw error;
+    }
+  }
+}
 
 /**
- * Process a job based on its type
+ * Process a job based on its type.
+ * Failed attempts are retried with exponential backoff until the job's maximum number
+ * of attempts is reached; the job is then marked failed and moved to the dead-letter list.
+ * Every attempt and its error are recorded on the job document.
  * @async
  * @param {Object} job - Job to process
+ * @param {Object} [options={}] - Processing options
+ * @param {string} [options.queueName=DEFAULT_QUEUE] - Queue retries and dead letters go to
  * @returns {Promise<boolean>} True if job was processed successfully
- * @throws {Error} If job processing fails
+ * @throws {Error} If the job's state cannot be recorded
  */
-async function processJob(job) {
-  try {
-    // Update job status to processing
-    await updateJobStatus(job._id, 'processing');
-
-    // Process based on job type
-    switch (job.type) {
-      case 'question-request':
-        await processQuestionRequest(job);
-        break;
-      // Add more job types here as needed
-      default:
-        logger.warn(`Unknown job type: ${job.type}`, { jobId: job._id });
-        await updateJobStatus(job._id, 'failed');
-        return false;
-    }
+async function processJob(job, options = {}) {
+  const queueName = options.queueName || DEFAULT_QUEUE;
+  const config = getJobQueueConfig();
+
+  const startedJob = await startJobAttempt(job._id);
+  if (!startedJob) {
+    logger.warn(`Job not found in database: ${job._id}`);
+    return false;
+  }
+  const attempt = startedJob.attempts;
 
-    // Update job status to done
-    await updateJobStatus(job._id, 'done');
+  try {
+    await runJob(job);
+    await finishJobAttempt(job._id, attempt, { status: 'done' });
     return true;
   } catch (error) {
-    logger.error(`Error processing job ${job._id}:`, error);
-    // Update job status to failed
-    await updateJobStatus(job._id, 'failed');
+    logger.error(`Error processing job ${job._id} (attempt ${attempt}):`, error);
+
+    const queueItem = { _id: job._id.toString(), type: job.type, payload: job.payload };
+    const maxAttempts = job.maxAttempts || config.maxAttempts;
+
+    if (error.retryable !== false && attempt < maxAttempts) {
+      const nextRunAt = new Date(Date.now() + getRetryDelay(attempt, config));
+      await finishJobAttempt(job._id, attempt, {
+        status: 'retrying',
+        error: error.message,
+        nextRunAt,
+      });
+      await scheduleRetry(queueItem, nextRunAt.getTime(), queueName);
+    } else {
+      await finishJobAttempt(job._id, attempt, { status: 'failed', error: error.message });
+      await addToDeadLetterQueue(queueItem, queueName);
+    }
+
     return false;
   }
 }
@@ -61,10 +114,13 @@ async function processQuestionRequest(job) {
   const payload = {
     jobId: job._id,
     topicId: job.payload.topic_id,
+    topic_id: job.payload.topic_id,
     topic: '',
     limit: job.payload.limit,
     position: job.payload.position,
     language: job.payload.language,
+    provider: job.payload.provider,
+    model: job.payload.model,
     timestamp: new Date().toISOString(),
   };
 
@@ -88,7 +144,7 @@ async function processQuestionRequest(job) {
 
     if (validation.isValid) {
       // 4. Generate and store questions
-      await generateAndStoreQuestions(payload);
+      const { questions, duplicates } = await generateAndStoreQuestions(payload);
 
       // 5. Log to a specific file for question requests
       await logger.logToFile(
@@ -100,6 +156,10 @@ async function processQuestionRequest(job) {
           limit: job.payload.limit,
           position: job.payload.position,
           language: job.payload.language,
+          provider: job.payload.provider,
+          model: job.payload.model,
+          stored: questions.length,
+          duplicatesDropped: duplicates ? duplicates.dropped : 0,
           timestamp: new Date().toISOString(),
         }
       );
@@ -113,67 +173,91 @@ async function processQuestionRequest(job) {
 }
 
 /**
- * Start the job processor
+ * Process a logic question or instrument generation job
  * @async
- * @param {Object} [options={}] - Processor options
- * @param {number} [options.pollingInterval=5000] - Polling interval in milliseconds
- * @param {string} [options.queueName=DEFAULT_QUEUE] - Name of the queue to process
+ * @param {Object} job - Generation job
+ * @param {Function} generate - Item generation function called with the job payload
  * @returns {Promise<void>}
+ * @throws {Error} If generation fails
  */
-async function startJobProcessor(options = {}) {
-  const pollingInterval = options.pollingInterval || 5000;
-  const queueName = options.queueName || DEFAULT_QUEUE;
+async function processItemGeneration(job, generate) {
+  logger.info(`Processing ${job.type} job: ${job._id}`, job.payload);
 
-  if (isProcessing) {
-    logger.warn('Job processor is already running');
-    return;
-  }
+  const result = await generate(job.payload);
 
-  isProcessing = true;
-  logger.info(`Starting job processor for queue: ${queueName}`);
+  if (!result.success) {
+    throw new Error(`Item generation failed: ${result.errors.join(', ')}`);
+  }
 
-  // Start the processing loop
-  while (isProcessing) {
-    try {
-      // Get a job from the queue
-      const queueItem = await getFromQueue(queueName);
+  await logger.logToFile('item-generation.log', `Processed ${job.type} job`, {
+    jobId: job._id,
+    created: result.data.created.length,
+    duplicates: result.data.duplicates.length,
+    invalid: result.data.invalid.length,
+    timestamp: new Date().toISOString(),
+  });
+}
 
-      if (queueItem) {
-        logger.info(`Processing job from queue: ${queueItem._id}`);
+/**
+ * Process a submission grading job
+ * @async
+ * @param {Object} job - Grading job
+ * @returns {Promise<void>}
+ * @throws {Error} If no item could be graded
+ */
+async function processSubmissionGrading(job) {
+  logger.info(`Processing ${job.type} job: ${job._id}`, job.payload);
 
-        // Get the full job from MongoDB
-        const job = await getJobById(queueItem._id);
+  const result = await gradeSubmission(job.payload);
 
-        if (job) {
-          await processJob(job);
-        } else {
-          logger.warn(`Job not found in database: ${queueItem._id}`);
-        }
-      }
-
-      // Wait before checking for more jobs
-      await new Promise(resolve => setTimeout(resolve, pollingInterval));
-    } catch (error) {
-      logger.error('Error in job processor loop:', error);
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, pollingInterval));
-    }
+  if (!result.success) {
+    throw new Error(`Submission grading failed: ${result.errors.join(', ')}`);
   }
+
+  await logger.logToFile('submission-grading.log', `Processed ${job.type} job`, {
+    jobId: job._id,
+    submissionId: job.payload.submission_id,
+    graded: result.data.graded.length,
+    skipped: result.data.skipped.length,
+    failed: result.data.failed.length,
+    timestamp: new Date().toISOString(),
+  });
 }
 
 /**
- * Stop the job processor
- * @returns {void}
+ * Process an item reserved from a queue and acknowledge it.
+ * If the job's state cannot be recorded, the item is put back at the front of the queue.
+ * @async
+ * @param {Object} reserved - Item returned by reserveFromQueue
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {string} [workerId] - Worker that reserved the item
+ * @returns {Promise<void>}
  */
-function stopJobProcessor() {
-  if (isProcessing) {
-    isProcessing = false;
-    logger.info('Stopping job processor');
+async function processQueueItem(reserved, queueName = DEFAULT_QUEUE, workerId) {
+  const { item, raw } = reserved;
+  logger.info(`Processing job from queue: ${item._id}`);
+
+  try {
+    // Get the full job from MongoDB
+    const job = await getJobById(item._id);
+
+    if (!job) {
+      logger.warn(`Job not found in database: ${item._id}`);
+    } else if (job.status === 'done') {
+      // A worker stopped after finishing the job but before acknowledging it
+      logger.info(`Skipping job ${item._id} that is already done`);
+    } else {
+      await processJob(job, { queueName });
+    }
+
+    await acknowledgeQueueItem(raw, queueName, workerId);
+  } catch (error) {
+    logger.error(`Error processing queue item ${item._id}:`, error);
+    await releaseQueueItem(raw, queueName, workerId);
   }
 }
 
 module.exports = {
-  startJobProcessor,
-  stopJobProcessor,
   processJob,
+  processQueueItem,
 };
@@ -0,0 +1,138 @@
+/**
+ * Job Service
+ * Read access to the jobs created by the question and item generation requests.
+ * @module service/jobService
+ */
+
+const { getJobs, countJobs, getJobById } = require('../repository/jobRepository');
+const { JOB_STATUSES } = require('../models/jobModel');
+const { getWorkers, getQueueStats } = require('../utils/redisQueueHelper');
+const {
+  parsePaginationParams,
+  calculatePaginationMetadata,
+  generatePaginationOptions,
+} = require('../utils/paginationUtils');
+const { isValidObjectId } = require('../utils/validateObjectId');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the job service
+ * @constant {Object}
+ */
+const JOB_ERRORS = {
+  INVALID_ID: 'Invalid job ID format',
+  NOT_FOUND: 'Job not found',
+};
+
+/**
+ * List jobs, newest first
+ * @async
+ * @param {Object} [queryParams={}] - Query parameters
+ * @param {string} [queryParams.type] - Only jobs of this type
+ * @param {string} [queryParams.status] - Only jobs with this status
+ * @param {number} [queryParams.page=1] - Page number
+ * @param {number} [queryParams.page_size=20] - Jobs per page (max 100)
+ * @returns {Promise<Object>} Result object with success flag, data, pagination, and errors
+ */
+async function getJobList(queryParams = {}) {
+  try {
+    const filter = {};
+
+    if (queryParams.type !== undefined) {
+      filter.type = String(queryParams.type);
+    }
+
+    if (queryParams.status !== undefined) {
+      if (!JOB_STATUSES.includes(queryParams.status)) {
+        return {
+          success: false,
+          errors: [`Status must be one of: ${JOB_STATUSES.join(', ')}`],
+        };
+      }
+      filter.status = queryParams.status;
+    }
+
+    const { page, pageSize } = parsePaginationParams(queryParams);
+    const [jobs, total] = await Promise.all([
+      getJobs(filter, generatePaginationOptions(page, pageSize)),
+      countJobs(filter),
+    ]);
+
+    return {
+      success: true,
+      data: jobs,
+      pagination: calculatePaginationMetadata(total, page, pageSize),
+    };
+  } catch (error) {
+    logger.error('Error getting jobs:', error);
+    return {
+      success: false,
+      errors: [`Error getting jobs: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get a job with its attempt history
+ * @async
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getJob(id) {
+  try {
+    if (!isValidObjectId(id)) {
+      return {
+        success: false,
+        errors: [JOB_ERRORS.INVALID_ID],
+      };
+    }
+
+    const job = await getJobById(id);
+    if (!job) {
+      return {
+        success: false,
+        errors: [JOB_ERRORS.NOT_FOUND],
+      };
+    }
+
+    return {
+      success: true,
+      data: job,
+    };
+  } catch (error) {
+    logger.error(`Error getting job with ID ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting job: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get the job workers with their heartbeat and the number of queued jobs
+ * @async
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function getWorkerStatus() {
+  try {
+    const [workers, queue] = await Promise.all([getWorkers(), getQueueStats()]);
+
+    return {
+      success: true,
+      data: { workers, queue },
+    };
+  } catch (error) {
+    logger.error('Error getting job workers:', error);
+    return {
+      success: false,
+      errors: [`Error getting job workers: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  JOB_ERRORS,
+  getJobList,
+  getJob,
+  getWorkerStatus,
+};
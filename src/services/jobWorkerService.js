@@ -0,0 +1,248 @@
+/**
+ * Job Worker Service
+ * Runs queued jobs with a configurable number of concurrent slots. Each slot waits
+ * on the queue with a blocking pop on its own Redis connection. The worker
+ * publishes a heartbeat so that other workers can recover the jobs of a worker
+ * that crashed or got stuck.
+ * @module service/jobWorkerService
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { getRedisClient } = require('./redisService');
+const { processQueueItem } = require('./jobProcessorService');
+const {
+  DEFAULT_QUEUE,
+  reserveFromQueue,
+  releaseQueueItem,
+  requeueProcessingItems,
+  recordWorkerHeartbeat,
+  removeWorker,
+  recoverDeadWorkers,
+  promoteDueRetries,
+} = require('../utils/redisQueueHelper');
+const { getJobQueueConfig } = require('../config/jobQueueConfig');
+const logger = require('../utils/logger');
+
+/**
+ * Generate a worker ID that is unique across hosts and restarts
+ * @returns {string} Worker ID
+ */
+function generateWorkerId() {
+  return `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Create a job worker
+ * @param {Object} [options={}] - Worker options; unset values come from getJobQueueConfig
+ * @param {string} [options.queueName=DEFAULT_QUEUE] - Name of the queue to process
+ * @param {string} [options.workerId] - Worker ID (generated if omitted)
+ * @param {number} [options.concurrency] - Number of jobs processed at the same time
+ * @param {number} [options.blockTimeout] - Seconds a slot waits on the queue per blocking pop
+ * @param {number} [options.heartbeatInterval] - Milliseconds between heartbeats
+ * @param {number} [options.heartbeatTimeout] - Milliseconds without heartbeat after which the worker is considered dead
+ * @param {number} [options.shutdownTimeout] - Milliseconds to wait for running jobs when stopping
+ * @returns {Object} Worker with `id`, `start()`, `stop()` and `getActiveJobs()`
+ */
+function createJobWorker(options = {}) {
+  const config = { ...getJobQueueConfig(), ...options };
+  const queueName = options.queueName || DEFAULT_QUEUE;
+  const id = options.workerId || generateWorkerId();
+  const startedAt = new Date().toISOString();
+
+  /** Jobs currently processed, by slot number */
+  const activeJobs = new Map();
+  let clients = [];
+  let slots = [];
+  let heartbeatTimer = null;
+  let running = false;
+
+  /**
+   * Jobs the worker is processing
+   * @returns {Array<Object>} Job IDs with the time processing started
+   */
+  function getActiveJobs() {
+    return [...activeJobs.values()];
+  }
+
+  /**
+   * Refresh the heartbeat with the worker's current state
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function sendHeartbeat() {
+    await recordWorkerHeartbeat(
+      id,
+      {
+        pid: process.pid,
+        hostname: os.hostname(),
+        startedAt,
+        concurrency: config.concurrency,
+        activeJobs: getActiveJobs(),
+      },
+      config.heartbeatTimeout,
+      queueName
+    );
+  }
+
+  /**
+   * Periodic maintenance: heartbeat, due retries and recovery of dead workers
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function tick() {
+    try {
+      await sendHeartbeat();
+      await promoteDueRetries(queueName);
+      await recoverDeadWorkers(queueName);
+    } catch (error) {
+      logger.error(`Error in job worker ${id} maintenance:`, error);
+    }
+  }
+
+  /**
+   * Reserve and process jobs until the worker is stopped
+   * @async
+   * @param {number} slot - Slot number
+   * @param {Object} client - Dedicated Redis connection for blocking pops
+   * @returns {Promise<void>}
+   */
+  async function runSlot(slot, client) {
+    while (running) {
+      try {
+        const reserved = await reserveFromQueue(queueName, {
+          workerId: id,
+          timeout: config.blockTimeout,
+          client,
+        });
+
+        if (!reserved) {
+          continue;
+        }
+
+        // The worker was stopped while this slot was waiting
+        if (!running) {
+          await releaseQueueItem(reserved.raw, queueName, id);
+          break;
+        }
+
+        activeJobs.set(slot, { jobId: reserved.item._id, startedAt: new Date().toISOString() });
+        try {
+          await processQueueItem(reserved, queueName, id);
+        } finally {
+          activeJobs.delete(slot);
+        }
+      } catch (error) {
+        logger.error(`Error in job worker ${id} slot ${slot}:`, error);
+        // Wait before retrying, e.g. while Redis is unreachable
+        await new Promise(resolve => setTimeout(resolve, config.blockTimeout * 1000));
+      }
+    }
+  }
+
+  /**
+   * Start the worker.
+   * Items left by dead workers, and by processors that used the shared processing
+   * list of earlier versions, are re-queued first.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    if (running) {
+      logger.warn(`Job worker ${id} is already running`);
+      return;
+    }
+
+    running = true;
+    await recoverDeadWorkers(queueName);
+    await requeueProcessingItems(queueName);
+    await sendHeartbeat();
+
+    heartbeatTimer = setInterval(tick, config.heartbeatInterval);
+    heartbeatTimer.unref();
+
+    const redis = getRedisClient();
+    clients = Array.from({ length: config.concurrency }, () => redis.duplicate());
+    slots = clients.map((client, slot) => runSlot(slot, client));
+
+    logger.info(
+      `Job worker ${id} started for queue '${queueName}' (concurrency: ${config.concurrency})`
+    );
+  }
+
+  /**
+   * Put back the items the worker still holds and unregister it. Only called once every slot
+   * has settled, so none of these items is still being processed.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function unregister() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+
+    try {
+      await requeueProcessingItems(queueName, id);
+      await removeWorker(id, queueName);
+    } catch (error) {
+      logger.error(`Error unregistering job worker ${id}:`, error);
+    }
+
+    clients.forEach(client => client.disconnect());
+    clients = [];
+    slots = [];
+    logger.info(`Job worker ${id} stopped`);
+  }
+
+  /**
+   * Stop the worker gracefully. Running jobs may finish within the shutdown timeout.
+   * Jobs still running after it stay reserved by the worker, which keeps its heartbeat
+   * until they settle; if the process exits first, the heartbeat expires and the jobs are
+   * recovered as the items of a dead worker.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!running) {
+      return;
+    }
+
+    running = false;
+    // Only the heartbeat keeps running, so that no other worker takes over the running jobs
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = setInterval(() => {
+      sendHeartbeat().catch(error => logger.error(`Error in job worker ${id} heartbeat:`, error));
+    }, config.heartbeatInterval);
+    heartbeatTimer.unref();
+    logger.info(`Stopping job worker ${id}, waiting for ${activeJobs.size} running jobs`);
+
+    // Slots never reject: errors are logged and the slot keeps going until stopped
+    const settled = Promise.all(slots);
+    let timeoutHandle;
+    const drained = await Promise.race([
+      settled.then(() => true),
+      new Promise(resolve => {
+        timeoutHandle = setTimeout(() => resolve(false), config.shutdownTimeout);
+      }),
+    ]);
+    clearTimeout(timeoutHandle);
+
+    if (!drained) {
+      logger.warn(`Job worker ${id} stopped with running jobs`, { activeJobs: getActiveJobs() });
+      settled.then(unregister);
+      return;
+    }
+
+    await unregister();
+  }
+
+  return {
+    id,
+    start,
+    stop,
+    getActiveJobs,
+  };
+}
+
+module.exports = {
+  createJobWorker,
+};
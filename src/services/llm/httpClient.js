@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Minimal JSON-over-HTTP client shared by the HTTP-based LLM providers.
+ * Supports both http (local servers such as Ollama) and https endpoints.
+ */
+
+const http = require('http');
+const https = require('https');
+const logger = require('../../utils/logger');
+
+/**
+ * Sends a JSON POST request and parses the JSON response
+ *
+ * @param {string} url - Full URL to call
+ * @param {Object} data - Request payload
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout=60000] - Timeout in milliseconds
+ * @param {string} [options.serviceName='LLM API'] - Name used in error messages
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {Error} If the request fails, times out or returns a non-2xx status
+ */
+function postJson(url, data, options = {}) {
+  const { headers = {}, timeout = 60000, serviceName = 'LLM API' } = options;
+  const client = url.startsWith('https:') ? https : http;
+  const body = JSON.stringify(data);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers,
+        },
+        timeout,
+      },
+      res => {
+        let responseData = '';
+
+        res.on('data', chunk => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          if (!responseData || responseData.trim() === '') {
+            reject(new Error(`Empty response received from ${serviceName}`));
+            return;
+          }
+
+          let parsedData;
+          try {
+            parsedData = JSON.parse(responseData);
+          } catch (error) {
+            reject(
+              new Error(
+                `Failed to parse ${serviceName} response: ${error.message}. Raw response: ${responseData.substring(0, 200)}...`
+              )
+            );
+            return;
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(parsedData);
+          } else {
+            reject(
+              new Error(
+                `${serviceName} request failed with status ${res.statusCode}: ${JSON.stringify(parsedData).substring(0, 500)}`
+              )
+            );
+          }
+        });
+      }
+    );
+
+    req.on('error', error => {
+      reject(new Error(`Request to ${serviceName} failed: ${error.message}`));
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error(`Request to ${serviceName} timed out after ${timeout / 1000} seconds`));
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Runs an async function, retrying with exponential backoff when it throws
+ *
+ * @param {Function} fn - Async function to run; receives the attempt number
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxRetries=3] - Maximum number of attempts
+ * @param {number} [options.retryDelay=1000] - Initial delay between attempts in milliseconds
+ * @param {string} [options.serviceName='LLM API'] - Name used in log messages
+ * @returns {Promise<*>} The result of the first successful attempt
+ * @throws {Error} The last error once all attempts have failed
+ */
+async function withRetries(fn, options = {}) {
+  const maxRetries = options.maxRetries || 3;
+  const retryDelay = options.retryDelay || 1000;
+  const serviceName = options.serviceName || 'LLM API';
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      logger.info(`Attempt ${attempt}/${maxRetries} to generate content with ${serviceName}`);
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      logger.error(`Attempt ${attempt} failed: ${error.message}`);
+
+      if (attempt < maxRetries) {
+        const backoffDelay = retryDelay * Math.pow(2, attempt - 1);
+        logger.info(`Retrying in ${backoffDelay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+      }
+    }
+  }
+
+  throw new Error(`Failed to generate content after ${maxRetries} attempts: ${lastError.message}`);
+}
+
+module.exports = {
+  postJson,
+  withRetries,
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview LLM provider registry.
+ * Every provider exposes the same interface, `{ name, displayName, getDefaultModel(),
+ * generate(prompt, options) }`, so callers can pick the provider and model per request.
+ */
+
+const { getLLMConfig, getLLMProviderNames } = require('../../config/llmConfig');
+const geminiProvider = require('./providers/geminiProvider');
+const openaiProvider = require('./providers/openaiProvider');
+const ollamaProvider = require('./providers/ollamaProvider');
+const fixtureProvider = require('./providers/fixtureProvider');
+const logger = require('../../utils/logger');
+
+/**
+ * Providers that call a model, by name
+ * @type {Object<string, Object>}
+ */
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openaiProvider.name]: openaiProvider,
+  [ollamaProvider.name]: ollamaProvider,
+};
+
+/**
+ * Get the available providers by name. The fixture provider is only added where
+ * getLLMConfig().fixturesEnabled allows it, so production never serves canned responses.
+ * @returns {Object<string, Object>} Providers by name
+ */
+function getProviders() {
+  return getLLMConfig().fixturesEnabled
+    ? { ...providers, [fixtureProvider.name]: fixtureProvider }
+    : providers;
+}
+
+/**
+ * Returns a provider by name
+ *
+ * @param {string} [providerName] - Provider name (defaults to env var LLM_PROVIDER, then gemini)
+ * @returns {Object} The provider
+ * @throws {Error} If the provider is unknown
+ */
+function getProvider(providerName) {
+  const resolvedName = providerName || getLLMConfig().provider;
+  const provider = getProviders()[resolvedName];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider: ${resolvedName}. Must be one of: ${getLLMProviderNames().join(', ')}`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Generates text for a prompt with the selected provider.
+ * When LLM_RECORD_FIXTURES is true, responses from real providers are also recorded
+ * so they can be replayed later with the fixture provider.
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.provider] - Provider name (defaults to env var LLM_PROVIDER)
+ * @param {string} [options.model] - Model to use (defaults to the provider's default model)
+ * @param {number} [options.temperature] - Controls randomness
+ * @param {number} [options.maxOutputTokens] - Maximum tokens in response
+ * @param {number} [options.maxRetries] - Maximum number of attempts
+ * @param {number} [options.retryDelay] - Delay between attempts in milliseconds
+ * @returns {Promise<string>} The generated text
+ * @throws {Error} If the provider is unknown or generation fails
+ */
+async function generateText(prompt, options = {}) {
+  const { provider: providerName, ...providerOptions } = options;
+  const provider = getProvider(providerName);
+
+  const generatedText = await provider.generate(prompt, providerOptions);
+
+  if (getLLMConfig().recordFixtures && provider !== fixtureProvider) {
+    try {
+      await fixtureProvider.recordResponse(prompt, generatedText);
+    } catch (error) {
+      logger.warn(`Failed to record LLM response: ${error.message}`);
+    }
+  }
+
+  return generatedText;
+}
+
+module.exports = {
+  getProvider,
+  generateText,
+};
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Deterministic fixture LLM provider.
+ * Replays responses recorded on disk instead of calling a model, so the generation
+ * pipeline can run offline and in tests.
+ *
+ * Fixtures live in `<LLM_FIXTURES_DIR>/<fixture set>/`, where the fixture set is the
+ * requested model (default: `default`). For each prompt the provider returns
+ * `<sha256(prompt) prefix>.txt` if it exists, otherwise `default.txt`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getLLMConfig } = require('../../../config/llmConfig');
+const logger = require('../../../utils/logger');
+
+/**
+ * Provider name used in requests and job payloads
+ * @type {string}
+ */
+const name = 'fixture';
+
+/**
+ * Human-readable name used in log and error messages
+ * @type {string}
+ */
+const displayName = 'fixture provider';
+
+/**
+ * Fixture set used when a request does not specify a model
+ * @type {string}
+ */
+const DEFAULT_FIXTURE_SET = 'default';
+
+/**
+ * Fixture set names are used as directory names, so they are limited to safe characters
+ * @type {RegExp}
+ */
+const FIXTURE_SET_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Returns the fixture set used when a request does not specify one
+ * @returns {string} Default fixture set name
+ */
+function getDefaultModel() {
+  return DEFAULT_FIXTURE_SET;
+}
+
+/**
+ * Computes the key a prompt's recorded response is stored under
+ * @param {string} prompt - The prompt
+ * @returns {string} First 16 hex characters of the prompt's SHA-256 hash
+ */
+function getPromptKey(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16);
+}
+
+/**
+ * Resolves the directory of a fixture set
+ * @param {string} [fixtureSet] - Fixture set name
+ * @returns {string} Absolute directory path
+ * @throws {Error} If the fixture set name is not a plain directory name
+ */
+function getFixtureSetDir(fixtureSet = DEFAULT_FIXTURE_SET) {
+  if (!FIXTURE_SET_PATTERN.test(fixtureSet) || fixtureSet.includes('..')) {
+    throw new Error(`Invalid fixture set name: ${fixtureSet}`);
+  }
+
+  return path.join(getLLMConfig().fixturesDir, fixtureSet);
+}
+
+/**
+ * Returns the recorded response for a prompt
+ *
+ * @param {string} prompt - The prompt
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.model] - Fixture set to read from (default: `default`)
+ * @returns {Promise<string>} The recorded response
+ * @throws {Error} If no response was recorded for the prompt and the set has no default
+ */
+async function generate(prompt, options = {}) {
+  const fixtureSet = options.model || DEFAULT_FIXTURE_SET;
+  const dir = getFixtureSetDir(fixtureSet);
+  const key = getPromptKey(prompt);
+
+  for (const fileName of [`${key}.txt`, 'default.txt']) {
+    try {
+      const content = await fs.readFile(path.join(dir, fileName), 'utf8');
+      logger.info(`Replaying recorded response ${fixtureSet}/${fileName}`);
+      return content;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`No recorded response for prompt ${key} in fixture set ${fixtureSet}`);
+}
+
+/**
+ * Records a response so it can be replayed for the same prompt
+ *
+ * @param {string} prompt - The prompt
+ * @param {string} response - The response to record
+ * @param {string} [fixtureSet] - Fixture set to record into (default: `default`)
+ * @returns {Promise<string>} Path of the recorded file
+ */
+async function recordResponse(prompt, response, fixtureSet = DEFAULT_FIXTURE_SET) {
+  const dir = getFixtureSetDir(fixtureSet);
+  const filePath = path.join(dir, `${getPromptKey(prompt)}.txt`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(filePath, response, 'utf8');
+  logger.info(`Recorded LLM response to ${filePath}`);
+
+  return filePath;
+}
+
+module.exports = {
+  name,
+  displayName,
+  DEFAULT_FIXTURE_SET,
+  getDefaultModel,
+  getPromptKey,
+  generate,
+  recordResponse,
+};
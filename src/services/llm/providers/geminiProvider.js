@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Gemini LLM provider.
+ * Thin adapter over the existing Gemini client, which handles its own retries.
+ */
+
+const geminiClient = require('../../gemini/geminiClient');
+
+/**
+ * Provider name used in requests and job payloads
+ * @type {string}
+ */
+const name = 'gemini';
+
+/**
+ * Human-readable name used in log and error messages
+ * @type {string}
+ */
+const displayName = 'Gemini API';
+
+/**
+ * Returns the model used when a request does not specify one
+ * @returns {string} Default model name
+ */
+function getDefaultModel() {
+  return geminiClient.DEFAULT_MODEL;
+}
+
+/**
+ * Generates text for a prompt with Gemini
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options] - Generation options (model, temperature, maxOutputTokens, maxRetries, retryDelay)
+ * @returns {Promise<string>} The generated text
+ * @throws {Error} If generation fails after all retries
+ */
+async function generate(prompt, options = {}) {
+  return await geminiClient.generateContent(prompt, options);
+}
+
+module.exports = {
+  name,
+  displayName,
+  getDefaultModel,
+  generate,
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Ollama LLM provider.
+ * Talks to a local Ollama-style HTTP server through its /api/generate endpoint.
+ */
+
+const { getLLMConfig } = require('../../../config/llmConfig');
+const { postJson, withRetries } = require('../httpClient');
+
+/**
+ * Provider name used in requests and job payloads
+ * @type {string}
+ */
+const name = 'ollama';
+
+/**
+ * Human-readable name used in log and error messages
+ * @type {string}
+ */
+const displayName = 'Ollama API';
+
+/**
+ * Returns the model used when a request does not specify one
+ * @returns {string} Default model name
+ */
+function getDefaultModel() {
+  return getLLMConfig().ollamaModel;
+}
+
+/**
+ * Generates text for a prompt with an Ollama server
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.model] - The model to use (defaults to env var OLLAMA_MODEL)
+ * @param {number} [options.temperature] - Controls randomness
+ * @param {number} [options.maxOutputTokens] - Maximum tokens in response
+ * @param {number} [options.maxRetries] - Maximum number of attempts (default: 3)
+ * @param {number} [options.retryDelay] - Initial delay between attempts in milliseconds (default: 1000)
+ * @returns {Promise<string>} The generated text
+ * @throws {Error} If generation fails after all retries
+ */
+async function generate(prompt, options = {}) {
+  const config = getLLMConfig();
+  const model = options.model || config.ollamaModel;
+  const url = `${config.ollamaBaseUrl.replace(/\/$/, '')}/api/generate`;
+
+  const generationOptions = {};
+  if (options.temperature !== undefined) generationOptions.temperature = options.temperature;
+  if (options.maxOutputTokens) generationOptions.num_predict = options.maxOutputTokens;
+
+  const requestData = {
+    model,
+    prompt,
+    stream: false,
+    options: generationOptions,
+  };
+
+  try {
+    return await withRetries(
+      async () => {
+        const response = await postJson(url, requestData, {
+          timeout: config.requestTimeout,
+          serviceName: displayName,
+        });
+
+        if (!response.response || response.response.trim() === '') {
+          throw new Error(
+            `Unexpected response structure from ${displayName}: ${JSON.stringify(response).substring(0, 200)}...`
+          );
+        }
+
+        return response.response;
+      },
+      { maxRetries: options.maxRetries, retryDelay: options.retryDelay, serviceName: displayName }
+    );
+  } catch (error) {
+    throw new Error(`${error.message} (Model: ${model})`);
+  }
+}
+
+module.exports = {
+  name,
+  displayName,
+  getDefaultModel,
+  generate,
+};
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview OpenAI-compatible LLM provider.
+ * Works with any server that implements the chat completions endpoint
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, ...).
+ */
+
+const { getLLMConfig } = require('../../../config/llmConfig');
+const { postJson, withRetries } = require('../httpClient');
+
+/**
+ * Provider name used in requests and job payloads
+ * @type {string}
+ */
+const name = 'openai';
+
+/**
+ * Human-readable name used in log and error messages
+ * @type {string}
+ */
+const displayName = 'OpenAI-compatible API';
+
+/**
+ * Returns the model used when a request does not specify one
+ * @returns {string} Default model name
+ */
+function getDefaultModel() {
+  return getLLMConfig().openaiModel;
+}
+
+/**
+ * Generates text for a prompt with a chat completions endpoint
+ *
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.model] - The model to use (defaults to env var OPENAI_MODEL)
+ * @param {number} [options.temperature] - Controls randomness
+ * @param {number} [options.maxOutputTokens] - Maximum tokens in response
+ * @param {number} [options.maxRetries] - Maximum number of attempts (default: 3)
+ * @param {number} [options.retryDelay] - Initial delay between attempts in milliseconds (default: 1000)
+ * @returns {Promise<string>} The generated text
+ * @throws {Error} If generation fails after all retries
+ */
+async function generate(prompt, options = {}) {
+  const config = getLLMConfig();
+  const model = options.model || config.openaiModel;
+  const url = `${config.openaiBaseUrl.replace(/\/$/, '')}/chat/completions`;
+
+  const requestData = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+  };
+  if (options.temperature !== undefined) requestData.temperature = options.temperature;
+  if (options.maxOutputTokens) requestData.max_tokens = options.maxOutputTokens;
+
+  // Local OpenAI-compatible servers usually run without an API key
+  const headers = config.openaiApiKey ? { Authorization: `Bearer ${config.openaiApiKey}` } : {};
+
+  try {
+    return await withRetries(
+      async () => {
+        const response = await postJson(url, requestData, {
+          headers,
+          timeout: config.requestTimeout,
+          serviceName: displayName,
+        });
+
+        const generatedText = response.choices?.[0]?.message?.content;
+        if (!generatedText || generatedText.trim() === '') {
+          throw new Error(
+            `Unexpected response structure from ${displayName}: ${JSON.stringify(response).substring(0, 200)}...`
+          );
+        }
+
+        return generatedText;
+      },
+      { maxRetries: options.maxRetries, retryDelay: options.retryDelay, serviceName: displayName }
+    );
+  } catch (error) {
+    throw new Error(`${error.message} (Model: ${model})`);
+  }
+}
+
+module.exports = {
+  name,
+  displayName,
+  getDefaultModel,
+  generate,
+};
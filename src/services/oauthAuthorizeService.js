@@ -0,0 +1,186 @@
+/**
+ * OAuth Authorization Service
+ * Validates authorization code requests before the consent page is shown
+ * @module services/oauthAuthorizeService
+ */
+
+const oauthClientService = require('./oauthClientService');
+const { PKCE_METHOD, isValidPkceValue } = require('../oauth/pkce');
+const { parseScope, getClientScopes, narrowScopes } = require('../oauth/scopes');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages for authorization requests
+ * @constant {Object}
+ */
+const AUTHORIZE_ERRORS = {
+  MISSING_CLIENT_ID: 'Missing parameter: client_id',
+  INVALID_CLIENT: 'Unknown client',
+  MISSING_REDIRECT_URI: 'Missing parameter: redirect_uri (the client has several registered)',
+  INVALID_REDIRECT_URI: 'The redirect_uri is not registered for this client',
+  UNAUTHORIZED_CLIENT: 'The client is not allowed to use the authorization code grant',
+  UNSUPPORTED_RESPONSE_TYPE: 'Unsupported response_type; only code is supported',
+  MISSING_STATE: 'Missing parameter: state',
+  INVALID_SCOPE: 'Invalid scope: the scope is malformed or not allowed for this client',
+  PKCE_REQUIRED: 'Public clients must send a code_challenge',
+  INVALID_CODE_CHALLENGE: 'Invalid parameter: code_challenge',
+  UNSUPPORTED_CODE_CHALLENGE_METHOD: `Unsupported code_challenge_method; only ${PKCE_METHOD} is supported`,
+};
+
+/**
+ * Build a failed validation result
+ * @param {string} message - Error message
+ * @param {string} error - OAuth error code
+ * @param {string} [redirectUri] - Validated redirect URI; errors without one must not redirect
+ * @returns {Object} Failed validation result
+ */
+const fail = (message, error, redirectUri) => ({
+  success: false,
+  errors: [message],
+  error,
+  redirectUri,
+});
+
+/**
+ * Resolve the redirect URI of an authorization request against the client's registered URIs.
+ * The URI must match a registered one exactly; it may only be omitted when a single one is registered.
+ * @param {Object} client - The OAuth client
+ * @param {string} [redirectUri] - The requested redirect URI
+ * @returns {Object} Result with the redirect URI or an error message
+ */
+const resolveRedirectUri = (client, redirectUri) => {
+  const registered = client.redirectUris || [];
+
+  if (!redirectUri) {
+    return registered.length === 1
+      ? { redirectUri: registered[0] }
+      : { error: AUTHORIZE_ERRORS.MISSING_REDIRECT_URI };
+  }
+
+  return registered.includes(redirectUri)
+    ? { redirectUri }
+    : { error: AUTHORIZE_ERRORS.INVALID_REDIRECT_URI };
+};
+
+/**
+ * Validate an authorization code request.
+ * Errors about the client or redirect URI are returned without a redirect URI: the user
+ * agent must not be sent to an unverified location. Later errors carry the redirect URI
+ * so they can be reported to the client.
+ * @param {Object} params - Query or form parameters of the authorization request
+ * @returns {Promise<Object>} `{success, data}` with the client, redirect URI, scopes and PKCE
+ * parameters, or `{success: false, errors, error, redirectUri}`
+ */
+const validateAuthorizationRequest = async params => {
+  try {
+    const {
+      client_id: clientId,
+      redirect_uri: requestedRedirectUri,
+      response_type: responseType,
+      scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    } = params;
+
+    if (!clientId || typeof clientId !== 'string') {
+      return fail(AUTHORIZE_ERRORS.MISSING_CLIENT_ID, 'invalid_request');
+    }
+
+    const client = await oauthClientService.getClientById(clientId);
+    if (!client) {
+      return fail(AUTHORIZE_ERRORS.INVALID_CLIENT, 'invalid_client');
+    }
+
+    const { redirectUri, error } = resolveRedirectUri(client, requestedRedirectUri);
+    if (error) {
+      return fail(error, 'invalid_request');
+    }
+
+    if (!(client.grants || []).includes('authorization_code')) {
+      return fail(AUTHORIZE_ERRORS.UNAUTHORIZED_CLIENT, 'unauthorized_client', redirectUri);
+    }
+
+    if (responseType !== 'code') {
+      return fail(
+        AUTHORIZE_ERRORS.UNSUPPORTED_RESPONSE_TYPE,
+        'unsupported_response_type',
+        redirectUri
+      );
+    }
+
+    if (!state) {
+      return fail(AUTHORIZE_ERRORS.MISSING_STATE, 'invalid_request', redirectUri);
+    }
+
+    // Scopes the client may not request are dropped; a request without scopes gets all allowed
+    const requestedScopes = parseScope(scope);
+    const scopes = requestedScopes && narrowScopes(requestedScopes, getClientScopes(client));
+    if (!scopes || scopes.length === 0) {
+      return fail(AUTHORIZE_ERRORS.INVALID_SCOPE, 'invalid_scope', redirectUri);
+    }
+
+    if (codeChallengeMethod && codeChallengeMethod !== PKCE_METHOD) {
+      return fail(
+        AUTHORIZE_ERRORS.UNSUPPORTED_CODE_CHALLENGE_METHOD,
+        'invalid_request',
+        redirectUri
+      );
+    }
+
+    if (codeChallenge) {
+      // Without a method the challenge would be `plain`, which is not supported
+      if (!codeChallengeMethod) {
+        return fail(
+          AUTHORIZE_ERRORS.UNSUPPORTED_CODE_CHALLENGE_METHOD,
+          'invalid_request',
+          redirectUri
+        );
+      }
+      if (!isValidPkceValue(codeChallenge)) {
+        return fail(AUTHORIZE_ERRORS.INVALID_CODE_CHALLENGE, 'invalid_request', redirectUri);
+      }
+    } else if (client.isPublic) {
+      return fail(AUTHORIZE_ERRORS.PKCE_REQUIRED, 'invalid_request', redirectUri);
+    }
+
+    return {
+      success: true,
+      data: {
+        client,
+        redirectUri,
+        scopes,
+        state,
+        codeChallenge: codeChallenge || undefined,
+        codeChallengeMethod: codeChallenge ? PKCE_METHOD : undefined,
+      },
+    };
+  } catch (error) {
+    logger.error('Error validating authorization request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the URL the user agent is sent back to after an authorization decision
+ * @param {string} redirectUri - The validated redirect URI
+ * @param {Object} params - Query parameters to add; undefined values are skipped
+ * @returns {string} The redirect URL
+ */
+const buildAuthorizationRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  return url.toString();
+};
+
+module.exports = {
+  AUTHORIZE_ERRORS,
+  validateAuthorizationRequest,
+  buildAuthorizationRedirect,
+};
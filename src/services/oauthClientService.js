@@ -4,8 +4,43 @@
  */
 
 const oauthClientRepository = require('../repository/oauthClientRepository');
+const oauthTokenService = require('./oauthTokenService');
+const { getClientScopes } = require('../oauth/scopes');
+const { SERVICE_ACCOUNT_GRANT, isServiceAccount } = require('../oauth/serviceAccounts');
 const logger = require('../utils/logger');
 
+/**
+ * Format a client document for the OAuth server and the client routes
+ * @param {Object} client - The client document
+ * @returns {Object} - The formatted client
+ */
+const formatClient = client => ({
+  _id: client._id,
+  id: client.clientId,
+  isPublic: Boolean(client.isPublic),
+  isServiceAccount: isServiceAccount(client),
+  redirectUris: client.redirectUris,
+  grants: client.grants,
+  scopes: getClientScopes(client),
+  accessTokenLifetime: client.accessTokenLifetime,
+  refreshTokenLifetime: client.refreshTokenLifetime,
+});
+
+/**
+ * Make sure public clients are not given the client_credentials grant:
+ * without a secret anyone could act as the service account
+ * @param {boolean} isPublic - Whether the client is public
+ * @param {Array<string>} [grants] - The client's grants
+ * @throws {Error} With status 400 if a public client would get the grant
+ */
+const assertValidGrants = (isPublic, grants) => {
+  if (isPublic && (grants || []).includes(SERVICE_ACCOUNT_GRANT)) {
+    const error = new Error(`Public clients cannot use the ${SERVICE_ACCOUNT_GRANT} grant`);
+    error.status = 400; // Bad Request
+    throw error;
+  }
+};
+
 /**
  * Initialize OAuth clients in the database
  * @returns {Promise<void>}
@@ -20,6 +55,22 @@ const initializeOAuthClients = async () => {
   }
 };
 
+/**
+ * Get all OAuth clients
+ * @param {Object} [filters] - Filters
+ * @param {boolean} [filters.serviceAccounts] - Only return service accounts (true) or only other clients (false)
+ * @returns {Promise<Array<Object>>} - The clients
+ */
+const getClients = async (filters = {}) => {
+  try {
+    const clients = await oauthClientRepository.getClients(filters);
+    return clients.map(formatClient);
+  } catch (error) {
+    logger.error('Error getting OAuth clients:', error);
+    throw error;
+  }
+};
+
 /**
  * Get a client by client ID
  * @param {string} clientId - The client ID to find
@@ -35,13 +86,7 @@ const getClientById = async clientId => {
     }
 
     // Format client for OAuth server
-    return {
-      id: client.clientId,
-      redirectUris: client.redirectUris,
-      grants: client.grants,
-      accessTokenLifetime: client.accessTokenLifetime,
-      refreshTokenLifetime: client.refreshTokenLifetime,
-    };
+    return formatClient(client);
   } catch (error) {
     logger.error('Error getting OAuth client:', error);
     throw error;
@@ -64,13 +109,7 @@ const getClientByIdAndSecret = async (clientId, clientSecret) => {
     }
 
     // Format client for OAuth server
-    return {
-      id: client.clientId,
-      redirectUris: client.redirectUris,
-      grants: client.grants,
-      accessTokenLifetime: client.accessTokenLifetime,
-      refreshTokenLifetime: client.refreshTokenLifetime,
-    };
+    return formatClient(client);
   } catch (error) {
     logger.error('Error getting OAuth client by ID and secret:', error);
     throw error;
@@ -93,15 +132,13 @@ const createClient = async clientData => {
       throw error;
     }
 
+    assertValidGrants(clientData.isPublic, clientData.grants);
+
     const client = await oauthClientRepository.createClient(clientData);
 
     // Format client for response
     return {
-      id: client.clientId,
-      redirectUris: client.redirectUris,
-      grants: client.grants,
-      accessTokenLifetime: client.accessTokenLifetime,
-      refreshTokenLifetime: client.refreshTokenLifetime,
+      ...formatClient(client),
       createdAt: client.createdAt,
     };
   } catch (error) {
@@ -126,15 +163,13 @@ const updateClient = async (clientId, clientData) => {
       return null;
     }
 
+    assertValidGrants(existingClient.isPublic, clientData.grants);
+
     const client = await oauthClientRepository.updateClient(clientId, clientData);
 
     // Format client for response
     return {
-      id: client.clientId,
-      redirectUris: client.redirectUris,
-      grants: client.grants,
-      accessTokenLifetime: client.accessTokenLifetime,
-      refreshTokenLifetime: client.refreshTokenLifetime,
+      ...formatClient(client),
       updatedAt: client.updatedAt,
     };
   } catch (error) {
@@ -144,13 +179,20 @@ const updateClient = async (clientId, clientData) => {
 };
 
 /**
- * Delete an OAuth client
+ * Delete an OAuth client and revoke the tokens issued to it
  * @param {string} clientId - The client ID to delete
  * @returns {Promise<boolean>} - True if client was deleted, false otherwise
  */
 const deleteClient = async clientId => {
   try {
-    return await oauthClientRepository.deleteClient(clientId);
+    const deleted = await oauthClientRepository.deleteClient(clientId);
+
+    if (deleted) {
+      // Tokens of service accounts stay valid until revoked, so remove them with the client
+      await oauthTokenService.revokeClientTokens(clientId);
+    }
+
+    return deleted;
   } catch (error) {
     logger.error('Error deleting OAuth client:', error);
     throw error;
@@ -159,6 +201,7 @@ const deleteClient = async clientId => {
 
 module.exports = {
   initializeOAuthClients,
+  getClients,
   getClientById,
   getClientByIdAndSecret,
   createClient,
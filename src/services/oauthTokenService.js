@@ -6,6 +6,12 @@
 const oauthTokenRepository = require('../repository/oauthTokenRepository');
 const logger = require('../utils/logger');
 
+/**
+ * Minimum time between two updates of an access token's last use
+ * @constant {number}
+ */
+const TOKEN_USE_INTERVAL_MS = 60 * 1000;
+
 /**
  * Save an access token
  * @param {Object} token - The token object to save
@@ -52,6 +58,7 @@ const getAccessToken = async accessToken => {
       client: token.client,
       user: token.user,
       scope: token.scope,
+      createdAt: token.createdAt,
     };
   } catch (error) {
     logger.error('Error getting access token:', error);
@@ -119,6 +126,7 @@ const getRefreshToken = async refreshToken => {
       client: token.client,
       user: token.user,
       scope: token.scope,
+      createdAt: token.createdAt,
     };
   } catch (error) {
     logger.error('Error getting refresh token:', error);
@@ -151,11 +159,13 @@ const saveAuthorizationCode = async (code, client, user) => {
   try {
     const codeData = {
       authorizationCode: code.authorizationCode,
-      authorizationCodeExpiresAt: code.authorizationCodeExpiresAt,
+      authorizationCodeExpiresAt: code.expiresAt,
       client: client,
       user: user,
       scope: code.scope,
       redirectUri: code.redirectUri,
+      codeChallenge: code.codeChallenge,
+      codeChallengeMethod: code.codeChallengeMethod,
     };
 
     await oauthTokenRepository.saveAuthorizationCode(codeData);
@@ -183,11 +193,13 @@ const getAuthorizationCode = async authorizationCode => {
 
     return {
       authorizationCode: code.authorizationCode,
-      authorizationCodeExpiresAt: code.authorizationCodeExpiresAt,
+      expiresAt: code.authorizationCodeExpiresAt,
       client: code.client,
       user: code.user,
       scope: code.scope,
       redirectUri: code.redirectUri,
+      codeChallenge: code.codeChallenge,
+      codeChallengeMethod: code.codeChallengeMethod,
     };
   } catch (error) {
     logger.error('Error getting authorization code:', error);
@@ -209,6 +221,210 @@ const revokeAuthorizationCode = async authorizationCode => {
   }
 };
 
+/**
+ * Revoke all tokens and authorization codes issued to a client
+ * @param {string} clientId - The client ID
+ * @returns {Promise<number>} - The number of revoked tokens and codes
+ */
+const revokeClientTokens = async clientId => {
+  try {
+    const revoked = await oauthTokenRepository.revokeClientTokens(clientId);
+    logger.info(`Revoked ${revoked} tokens of OAuth client ${clientId}`);
+    return revoked;
+  } catch (error) {
+    logger.error('Error revoking client tokens:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record that an access token authenticated a request.
+ * The last use is only written once per minute to keep authentication cheap.
+ * @param {string} accessToken - The access token
+ * @returns {Promise<void>}
+ */
+const recordAccessTokenUse = async accessToken => {
+  try {
+    await oauthTokenRepository.touchAccessToken(accessToken, new Date(), TOKEN_USE_INTERVAL_MS);
+  } catch (error) {
+    // A failed update must not fail the request the token authenticates
+    logger.error('Error recording access token use:', error);
+  }
+};
+
+/**
+ * Convert a date to seconds since the epoch, as used by token introspection
+ * @param {Date} [date] - The date
+ * @returns {number|undefined} - Seconds since the epoch
+ */
+const toEpochSeconds = date => (date ? Math.floor(new Date(date).getTime() / 1000) : undefined);
+
+/**
+ * Describe a token for an introspection response (RFC 7662)
+ * @param {string} token - The access or refresh token
+ * @param {string} [tokenTypeHint] - `access_token` or `refresh_token`; the other type is tried as well
+ * @returns {Promise<Object>} - `{active: false}`, or `{active: true, ...}` with the token's scope,
+ * client, user and times
+ */
+const introspectToken = async (token, tokenTypeHint) => {
+  try {
+    const lookups = [
+      async () => {
+        const accessToken = await getAccessToken(token);
+        return accessToken && { ...accessToken, expiresAt: accessToken.accessTokenExpiresAt };
+      },
+      async () => {
+        const refreshToken = await getRefreshToken(token);
+        return refreshToken && { ...refreshToken, expiresAt: refreshToken.refreshTokenExpiresAt };
+      },
+    ];
+    if (tokenTypeHint === 'refresh_token') {
+      lookups.reverse();
+    }
+
+    let found = null;
+    for (const lookup of lookups) {
+      found = await lookup();
+      if (found) {
+        break;
+      }
+    }
+
+    if (!found || new Date(found.expiresAt) <= new Date()) {
+      return { active: false };
+    }
+
+    const user = found.user || {};
+    return {
+      active: true,
+      scope: found.scope,
+      client_id: found.client?.id,
+      username: user.username,
+      sub: user.id || (user._id && String(user._id)),
+      token_type: found.accessToken ? 'Bearer' : 'refresh_token',
+      exp: toEpochSeconds(found.expiresAt),
+      iat: toEpochSeconds(found.createdAt),
+    };
+  } catch (error) {
+    logger.error('Error introspecting token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke an access or refresh token on behalf of the client it was issued to (RFC 7009).
+ * Tokens of other clients are left alone.
+ * @param {string} token - The access or refresh token
+ * @param {string} clientId - The authenticated client
+ * @param {string} [tokenTypeHint] - `access_token` or `refresh_token`; the other type is tried as well
+ * @returns {Promise<boolean>} - True if a token was revoked
+ */
+const revokeTokenOfClient = async (token, clientId, tokenTypeHint) => {
+  try {
+    const revocations = [
+      async () => {
+        const accessToken = await getAccessToken(token);
+        return accessToken?.client?.id === clientId && revokeAccessToken(token);
+      },
+      async () => {
+        const refreshToken = await getRefreshToken(token);
+        return refreshToken?.client?.id === clientId && revokeRefreshToken(token);
+      },
+    ];
+    if (tokenTypeHint === 'refresh_token') {
+      revocations.reverse();
+    }
+
+    for (const revoke of revocations) {
+      if (await revoke()) {
+        return true;
+      }
+    }
+    return false;
+  } catch (error) {
+    logger.error('Error revoking token of client:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the sessions of a user: unexpired tokens grouped by the client they were issued to
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - Sessions with `client_id`, `issued_at`, `last_used_at`,
+ * `expires_at` and the access and refresh tokens, most recently used first
+ */
+const getUserSessions = async userId => {
+  try {
+    const { accessTokens, refreshTokens } = await oauthTokenRepository.getUserTokens(userId);
+    const sessions = new Map();
+
+    const getSession = clientId => {
+      if (!sessions.has(clientId)) {
+        sessions.set(clientId, { client_id: clientId, access_tokens: [], refresh_tokens: [] });
+      }
+      return sessions.get(clientId);
+    };
+
+    accessTokens.forEach(token => {
+      getSession(token.client?.id).access_tokens.push({
+        id: String(token._id),
+        scope: token.scope,
+        issued_at: token.createdAt,
+        last_used_at: token.lastUsedAt || null,
+        expires_at: token.accessTokenExpiresAt,
+      });
+    });
+    refreshTokens.forEach(token => {
+      getSession(token.client?.id).refresh_tokens.push({
+        id: String(token._id),
+        scope: token.scope,
+        issued_at: token.createdAt,
+        expires_at: token.refreshTokenExpiresAt,
+      });
+    });
+
+    const latest = dates => dates.filter(Boolean).sort((a, b) => b - a)[0] || null;
+
+    return [...sessions.values()]
+      .map(session => {
+        const tokens = [...session.access_tokens, ...session.refresh_tokens];
+        const issuedAt = tokens.map(token => token.issued_at).filter(Boolean);
+        return {
+          client_id: session.client_id,
+          // The session started with its oldest token; refresh tokens are replaced on use
+          issued_at: issuedAt.sort((a, b) => a - b)[0] || null,
+          last_used_at: latest(session.access_tokens.map(token => token.last_used_at)),
+          expires_at: latest(tokens.map(token => token.expires_at)),
+          access_tokens: session.access_tokens,
+          refresh_tokens: session.refresh_tokens,
+        };
+      })
+      .sort((a, b) => (b.last_used_at || b.issued_at || 0) - (a.last_used_at || a.issued_at || 0));
+  } catch (error) {
+    logger.error('Error getting user sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke the sessions of a user
+ * @param {string} userId - The user ID
+ * @param {string} [clientId] - Only revoke the session of this client; all sessions when omitted
+ * @returns {Promise<number>} - The number of revoked tokens and codes
+ */
+const revokeUserSessions = async (userId, clientId) => {
+  try {
+    const revoked = await oauthTokenRepository.revokeUserTokens(userId, clientId);
+    logger.info(
+      `Revoked ${revoked} tokens of user ${userId}${clientId ? ` for OAuth client ${clientId}` : ''}`
+    );
+    return revoked;
+  } catch (error) {
+    logger.error('Error revoking user sessions:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   saveAccessToken,
   getAccessToken,
@@ -219,4 +435,10 @@ module.exports = {
   saveAuthorizationCode,
   getAuthorizationCode,
   revokeAuthorizationCode,
+  revokeClientTokens,
+  recordAccessTokenUse,
+  introspectToken,
+  revokeTokenOfClient,
+  getUserSessions,
+  revokeUserSessions,
 };
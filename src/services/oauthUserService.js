@@ -4,10 +4,12 @@
  */
 
 const userService = require('./userService');
+const { getAccountConfig } = require('../config/accountConfig');
 const logger = require('../utils/logger');
 
 /**
- * Get a user by username and password
+ * Get a user by username and password.
+ * With REQUIRE_EMAIL_VERIFICATION, users who have not verified their email are refused.
  * @param {string} username - The username to find
  * @param {string} password - The password to match
  * @returns {Promise<Object|null>} - The found user or null
@@ -22,6 +24,11 @@ const getUserByCredentials = async (username, password) => {
       return null;
     }
 
+    if (getAccountConfig().requireEmailVerification && !user.emailVerified) {
+      logger.debug(`Refused login of user with unverified email: ${username}`);
+      return null;
+    }
+
     // Return user in the format expected by OAuth
     return {
       id: user._id.toString(),
@@ -0,0 +1,825 @@
+/**
+ * Question Bank Service Module
+ * Imports and exports the question bank (questions, logic questions and instruments) as
+ * JSON, CSV or GIFT. Imports are upserts: each record is validated against the Mongoose
+ * schema of its collection, then matched on `_id` or, without one, on a natural key.
+ * Every record gets a line in the import report.
+ * @module service/questionBankService
+ */
+
+const path = require('path');
+const Question = require('../models/questionModel');
+const LogicQuestion = require('../models/logicQuestionModel');
+const Instrument = require('../models/instrumentModel');
+const {
+  findBankDocuments,
+  findBankDocument,
+  upsertBankDocument,
+} = require('../repository/questionBankRepository');
+const { formatCsv, parseCsv, restoreCsvValue } = require('../utils/csvFormatter');
+const { formatGift, parseGift } = require('../utils/giftFormat');
+const { isValidObjectId } = require('../utils/validateObjectId');
+const { REVIEW_FIELDS } = require('./questionService');
+const logger = require('../utils/logger');
+
+/**
+ * Supported file formats
+ * @constant {Array<string>}
+ */
+const BANK_FORMATS = ['json', 'csv', 'gift'];
+
+/**
+ * Format of a file by its extension
+ * @constant {Object}
+ */
+const FORMAT_BY_EXTENSION = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.gift': 'gift',
+  '.txt': 'gift',
+};
+
+/**
+ * Content type of an exported file by format
+ * @constant {Object}
+ */
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  gift: 'text/plain',
+};
+
+/**
+ * Prefix of the GIFT comment holding the fields GIFT has no syntax for
+ * @constant {string}
+ */
+const GIFT_META_PREFIX = 'meta:';
+
+/**
+ * Fields managed by MongoDB and Mongoose, never set from a file
+ * @constant {Array<string>}
+ */
+const MANAGED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Pick the defined values of some fields of an object
+ * @param {Object} source - Source object
+ * @param {Array<string>} fields - Fields to pick
+ * @returns {Object} Picked fields
+ */
+function pickFields(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+    return picked;
+  }, {});
+}
+
+/**
+ * Convert ObjectIds and dates of an exported value to JSON values
+ * @param {*} value - Value to convert
+ * @returns {*} JSON value
+ */
+function toJsonValue(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read a text cell of a CSV row
+ * @param {Object} row - Cells by column
+ * @param {string} column - Column name
+ * @returns {string|undefined} Cell text, or undefined if the cell is empty
+ */
+function readText(row, column) {
+  return row[column] === undefined || row[column] === '' ? undefined : row[column];
+}
+
+/**
+ * Read a number cell of a CSV row. Text that is not a number is kept so that the
+ * schema reports it.
+ * @param {Object} row - Cells by column
+ * @param {string} column - Column name
+ * @returns {number|string|undefined} Cell value
+ */
+function readNumber(row, column) {
+  const text = readText(row, column);
+  return text === undefined || Number.isNaN(Number(text)) ? text : Number(text);
+}
+
+/**
+ * Read a boolean cell of a CSV row (`true`/`false` or `1`/`0`)
+ * @param {Object} row - Cells by column
+ * @param {string} column - Column name
+ * @returns {boolean|string|undefined} Cell value
+ */
+function readBoolean(row, column) {
+  const text = readText(row, column);
+  if (text === undefined) {
+    return undefined;
+  }
+  if (/^(true|1)$/i.test(text.trim())) {
+    return true;
+  }
+  if (/^(false|0)$/i.test(text.trim())) {
+    return false;
+  }
+  return text;
+}
+
+/**
+ * Read a cell holding IDs separated by semicolons
+ * @param {Object} row - Cells by column
+ * @param {string} column - Column name
+ * @returns {Array<string>|undefined} IDs
+ */
+function readIdList(row, column) {
+  const text = readText(row, column);
+  return text === undefined
+    ? undefined
+    : text
+        .split(';')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Read a cell holding a JSON array
+ * @param {Object} row - Cells by column
+ * @param {string} column - Column name
+ * @returns {Array|undefined} Parsed array
+ * @throws {Error} If the cell is not a JSON array
+ */
+function readJsonList(row, column) {
+  const text = readText(row, column);
+  if (text === undefined) {
+    return undefined;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch {
+    value = null;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${column} must be a JSON array`);
+  }
+  return value;
+}
+
+/**
+ * Join IDs for a CSV cell
+ * @param {Array} ids - IDs
+ * @returns {string} IDs separated by semicolons
+ */
+function joinIds(ids) {
+  return (ids || []).map(String).join(';');
+}
+
+/**
+ * Read the fields stored in the meta comment of a GIFT question
+ * @param {Array<string>} comments - Comment lines of the question
+ * @returns {Object} Meta fields
+ * @throws {Error} If the meta comment is not a JSON object
+ */
+function readGiftMeta(comments) {
+  const comment = comments.find(text => text.startsWith(GIFT_META_PREFIX));
+  if (!comment) {
+    return {};
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(comment.slice(GIFT_META_PREFIX.length));
+  } catch {
+    meta = null;
+  }
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new Error('The meta comment must hold a JSON object');
+  }
+  return meta;
+}
+
+/**
+ * Build the meta comment of a GIFT question
+ * @param {Object} doc - Document
+ * @param {Array<string>} fields - Fields to store in the comment
+ * @returns {string} Comment text
+ */
+function buildGiftMeta(doc, fields) {
+  return `${GIFT_META_PREFIX} ${JSON.stringify(toJsonValue(pickFields(doc, fields)))}`;
+}
+
+/**
+ * Fields of questions stored in the GIFT meta comment
+ * @constant {Array<string>}
+ */
+const QUESTION_META_FIELDS = [
+  'difficulty',
+  'category',
+  'topic',
+  'topic_id',
+  'language',
+  'language_id',
+  'position',
+  'position_id',
+  'positionLevel',
+  'status',
+];
+
+/**
+ * Import and export settings of each question bank collection.
+ * `keyFields` identify a record that has no `_id`. `insertOnlyFields` are imported into new
+ * documents only, so re-importing a record cannot change them.
+ * @constant {Object}
+ */
+const BANK_COLLECTIONS = {
+  questions: {
+    model: Question,
+    fields: [
+      '_id',
+      'question',
+      'options',
+      'correctAnswer',
+      'explanation',
+      'difficulty',
+      'category',
+      'topic',
+      'topic_id',
+      'language',
+      'language_id',
+      'position',
+      'position_id',
+      'positionLevel',
+      'status',
+    ],
+    keyFields: ['question', 'topic', 'language'],
+    // The moderation status of existing questions only changes through the review workflow
+    insertOnlyFields: REVIEW_FIELDS,
+    csvColumns: [
+      '_id',
+      'question',
+      'option_1',
+      'option_2',
+      'option_3',
+      'option_4',
+      'correctAnswer',
+      'explanation',
+      'difficulty',
+      'category',
+      'topic',
+      'topic_id',
+      'language',
+      'language_id',
+      'position',
+      'position_id',
+      'positionLevel',
+      'status',
+    ],
+    toCsvRow: doc => {
+      const options = doc.options || [];
+      return [
+        doc._id,
+        doc.question,
+        options[0],
+        options[1],
+        options[2],
+        options[3],
+        doc.correctAnswer,
+        doc.explanation,
+        doc.difficulty,
+        doc.category,
+        doc.topic,
+        doc.topic_id,
+        doc.language,
+        doc.language_id,
+        doc.position,
+        doc.position_id,
+        doc.positionLevel,
+        doc.status,
+      ];
+    },
+    fromCsvRow: row => {
+      const options = ['option_1', 'option_2', 'option_3', 'option_4'].map(
+        column => row[column] || ''
+      );
+      return {
+        _id: readText(row, '_id'),
+        question: readText(row, 'question'),
+        options: options.some(Boolean) ? options : undefined,
+        correctAnswer: readNumber(row, 'correctAnswer'),
+        explanation: readText(row, 'explanation'),
+        difficulty: readText(row, 'difficulty'),
+        category: readText(row, 'category'),
+        topic: readText(row, 'topic'),
+        topic_id: readText(row, 'topic_id'),
+        language: readText(row, 'language'),
+        language_id: readText(row, 'language_id'),
+        position: readText(row, 'position'),
+        position_id: readText(row, 'position_id'),
+        positionLevel: readNumber(row, 'positionLevel'),
+        status: readText(row, 'status'),
+      };
+    },
+    toGift: doc => ({
+      comments: [buildGiftMeta(doc, QUESTION_META_FIELDS)],
+      title: String(doc._id),
+      text: doc.question,
+      answers: (doc.options || []).map((text, index) => ({
+        text,
+        correct: index === doc.correctAnswer,
+      })),
+      feedback: doc.explanation,
+    }),
+    fromGift: (question, meta) => {
+      const correct = question.answers.filter(answer => answer.correct);
+      if (correct.length !== 1) {
+        throw new Error('Exactly one answer must be marked correct');
+      }
+      return {
+        ...pickFields(meta, QUESTION_META_FIELDS),
+        _id: isValidObjectId(question.title) ? question.title : undefined,
+        question: question.text,
+        options: question.answers.map(answer => answer.text),
+        correctAnswer: question.answers.indexOf(correct[0]),
+        explanation: question.feedback || undefined,
+      };
+    },
+  },
+  logic_questions: {
+    model: LogicQuestion,
+    fields: ['_id', 'question', 'level', 'type', 'tag_ids', 'choices', 'answer_explanation'],
+    keyFields: ['question'],
+    csvColumns: ['_id', 'question', 'level', 'type', 'tag_ids', 'choices', 'answer_explanation'],
+    toCsvRow: doc => [
+      doc._id,
+      doc.question,
+      doc.level,
+      doc.type,
+      joinIds(doc.tag_ids),
+      doc.choices && doc.choices.length > 0 ? JSON.stringify(toJsonValue(doc.choices)) : '',
+      doc.answer_explanation,
+    ],
+    fromCsvRow: row => ({
+      _id: readText(row, '_id'),
+      question: readText(row, 'question'),
+      level: readNumber(row, 'level'),
+      type: readText(row, 'type'),
+      tag_ids: readIdList(row, 'tag_ids'),
+      choices: readJsonList(row, 'choices'),
+      answer_explanation: readText(row, 'answer_explanation'),
+    }),
+    toGift: doc => {
+      const choices = doc.type === 'multiple_choice' ? doc.choices || [] : [];
+      const correctCount = choices.filter(choice => choice.is_correct).length;
+      // Several correct choices are written as a multiple-answer question with weights
+      const weight = Math.round((100 / Math.max(correctCount, 1)) * 100000) / 100000;
+      return {
+        comments: [buildGiftMeta(doc, ['level', 'type', 'tag_ids'])],
+        title: String(doc._id),
+        text: doc.question,
+        answers: choices.map(choice =>
+          correctCount > 1 && choice.is_correct
+            ? { text: choice.text, weight }
+            : { text: choice.text, correct: choice.is_correct }
+        ),
+        feedback: doc.answer_explanation,
+      };
+    },
+    fromGift: (question, meta) => ({
+      ...pickFields(meta, ['level', 'tag_ids']),
+      _id: isValidObjectId(question.title) ? question.title : undefined,
+      question: question.text,
+      type: meta.type || (question.type === 'essay' ? 'open_question' : 'multiple_choice'),
+      choices: question.answers.map(answer => ({ text: answer.text, is_correct: answer.correct })),
+      answer_explanation: question.feedback || undefined,
+    }),
+  },
+  instruments: {
+    model: Instrument,
+    fields: [
+      '_id',
+      'questionId',
+      'questionText',
+      'type',
+      'options',
+      'tags',
+      'reverseScored',
+      'weight',
+    ],
+    keyFields: ['questionId'],
+    csvColumns: [
+      '_id',
+      'questionId',
+      'questionText',
+      'type',
+      'options',
+      'tags',
+      'reverseScored',
+      'weight',
+    ],
+    toCsvRow: doc => [
+      doc._id,
+      doc.questionId,
+      doc.questionText,
+      doc.type,
+      doc.options && doc.options.length > 0 ? JSON.stringify(doc.options) : '',
+      joinIds(doc.tags),
+      doc.reverseScored,
+      doc.weight,
+    ],
+    fromCsvRow: row => ({
+      _id: readText(row, '_id'),
+      questionId: readText(row, 'questionId'),
+      questionText: readText(row, 'questionText'),
+      type: readText(row, 'type'),
+      options: readJsonList(row, 'options'),
+      tags: readIdList(row, 'tags'),
+      reverseScored: readBoolean(row, 'reverseScored'),
+      weight: readNumber(row, 'weight'),
+    }),
+    // Instruments have no correct option, so all options are written as wrong answers
+    toGift: doc => ({
+      comments: [buildGiftMeta(doc, ['_id', 'type', 'tags', 'reverseScored', 'weight'])],
+      title: doc.questionId,
+      text: doc.questionText,
+      answers: (doc.options || []).map(text => ({ text, correct: false })),
+    }),
+    fromGift: (question, meta) => ({
+      ...pickFields(meta, ['_id', 'type', 'tags', 'reverseScored', 'weight']),
+      questionId: question.title || undefined,
+      questionText: question.text,
+      options:
+        question.answers.length > 0 ? question.answers.map(answer => answer.text) : undefined,
+    }),
+  },
+};
+
+/**
+ * Error messages returned by the service
+ * @constant {Object}
+ */
+const QUESTION_BANK_ERRORS = {
+  UNKNOWN_COLLECTION: `collection must be one of: ${Object.keys(BANK_COLLECTIONS).join(', ')}`,
+  INVALID_FORMAT: `format must be one of: ${BANK_FORMATS.join(', ')}`,
+  EMPTY_FILE: 'The file contains no records',
+};
+
+/**
+ * Resolve the format of a file from an explicit format or the file extension
+ * @param {string} [format] - Requested format
+ * @param {string} [fileName] - File name
+ * @returns {string|null} Format, or null if it is unknown
+ */
+function resolveFormat(format, fileName) {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    return BANK_FORMATS.includes(normalized) ? normalized : null;
+  }
+  return fileName ? FORMAT_BY_EXTENSION[path.extname(fileName).toLowerCase()] || null : null;
+}
+
+/**
+ * Find the line each element of the top-level JSON array starts on
+ * @param {string} text - JSON text
+ * @returns {Array<number>} Line of each element (from 1)
+ */
+function getJsonElementLines(text) {
+  const lines = [];
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let expectElement = false;
+
+  for (const char of text) {
+    if (char === '\n') {
+      line += 1;
+    }
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+    if (/\s/.test(char)) {
+      continue;
+    }
+
+    if (depth === 1 && expectElement && char !== ']') {
+      lines.push(line);
+      expectElement = false;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth += 1;
+      expectElement = depth === 1;
+    } else if (char === ']' || char === '}') {
+      depth -= 1;
+    } else if (char === ',' && depth === 1) {
+      expectElement = true;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Map a file record to an import entry, catching mapping errors
+ * @param {number} line - Line of the record
+ * @param {Function} mapRecord - Maps the source to a record
+ * @returns {Object} `{ line, record }` or `{ line, errors }`
+ */
+function toEntry(line, mapRecord) {
+  try {
+    return { line, record: mapRecord() };
+  } catch (error) {
+    return { line, errors: [error.message] };
+  }
+}
+
+/**
+ * Parse a question bank file into import entries
+ * @param {Object} bank - Collection settings
+ * @param {string} content - File content
+ * @param {string} format - File format
+ * @returns {Array<Object>} Entries as `{ line, record }` or, if the record could not be
+ *   read, `{ line, errors }`
+ * @throws {Error} If the file cannot be parsed at all
+ */
+function parseBankFile(bank, content, format) {
+  const text = content.replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+      throw new Error('The JSON file must contain an array of records');
+    }
+
+    const lines = getJsonElementLines(text);
+    return data.map((item, index) =>
+      toEntry(lines[index], () => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          throw new Error('Record must be an object');
+        }
+        return pickFields(item, bank.fields);
+      })
+    );
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.values.map(column => column.trim());
+    return rows.map(({ line, values }) =>
+      toEntry(line, () => {
+        const row = {};
+        columns.forEach((column, index) => {
+          row[column] = values[index] === undefined ? undefined : restoreCsvValue(values[index]);
+        });
+        return bank.fromCsvRow(row);
+      })
+    );
+  }
+
+  return parseGift(text).map(question =>
+    toEntry(question.line, () => {
+      if (question.error) {
+        throw new Error(question.error);
+      }
+      return bank.fromGift(question, readGiftMeta(question.comments));
+    })
+  );
+}
+
+/**
+ * Serialize documents of a collection
+ * @param {Object} bank - Collection settings
+ * @param {Array<Object>} docs - Documents
+ * @param {string} format - File format
+ * @returns {string} File content
+ */
+function serializeBank(bank, docs, format) {
+  if (format === 'csv') {
+    return formatCsv(bank.csvColumns, docs.map(bank.toCsvRow));
+  }
+  if (format === 'gift') {
+    return formatGift(docs.map(bank.toGift));
+  }
+  return JSON.stringify(toJsonValue(docs.map(doc => pickFields(doc, bank.fields))), null, 2) + '\n';
+}
+
+/**
+ * Get the messages of a Mongoose validation error
+ * @param {Error} validationError - Validation error
+ * @returns {Array<string>} Messages, one per invalid field
+ */
+function getValidationMessages(validationError) {
+  return Object.values(validationError.errors).map(error => error.message);
+}
+
+/**
+ * Validate and upsert one import entry
+ * @async
+ * @param {Object} bank - Collection settings
+ * @param {Object} entry - Import entry
+ * @param {Map<string, number>} seenKeys - Keys of earlier records with their lines
+ * @param {boolean} dryRun - Only report what would be done
+ * @returns {Promise<Object>} Report line as `{ line, action, _id, errors }`, action being
+ *   `create`, `update` or `error`
+ */
+async function importEntry(bank, entry, seenKeys, dryRun) {
+  const { line } = entry;
+  if (entry.errors) {
+    return { line, action: 'error', _id: null, errors: entry.errors };
+  }
+
+  const record = Object.fromEntries(
+    Object.entries(entry.record).filter(([, value]) => value !== undefined)
+  );
+  const document = new bank.model(record);
+  const validationError = document.validateSync();
+  if (validationError) {
+    return { line, action: 'error', _id: null, errors: getValidationMessages(validationError) };
+  }
+
+  const filter =
+    record._id !== undefined ? { _id: document._id } : pickFields(document, bank.keyFields);
+  const key = JSON.stringify(filter);
+  if (seenKeys.has(key)) {
+    return {
+      line,
+      action: 'error',
+      _id: null,
+      errors: [`Same record as line ${seenKeys.get(key)}`],
+    };
+  }
+  seenKeys.set(key, line);
+
+  // Fields of the file are set; schema defaults and insert-only fields only apply to new documents
+  const values = document.toObject({ virtuals: false });
+  const insertOnlyFields = bank.insertOnlyFields || [];
+  const fields = {};
+  const defaults = {};
+  Object.keys(values).forEach(field => {
+    if (MANAGED_FIELDS.includes(field) || !bank.model.schema.path(field)) {
+      return;
+    }
+    if (record[field] !== undefined && !insertOnlyFields.includes(field)) {
+      fields[field] = values[field];
+    } else {
+      defaults[field] = values[field];
+    }
+  });
+
+  try {
+    if (dryRun) {
+      const existing = await findBankDocument(bank.model, filter);
+      return {
+        line,
+        action: existing ? 'update' : 'create',
+        _id: existing ? existing._id : filter._id || null,
+        errors: [],
+      };
+    }
+
+    const { created, id } = await upsertBankDocument(bank.model, filter, fields, defaults);
+    return { line, action: created ? 'create' : 'update', _id: id, errors: [] };
+  } catch (error) {
+    logger.warn(`Failed to import line ${line}:`, error.message);
+    return { line, action: 'error', _id: null, errors: [error.message] };
+  }
+}
+
+/**
+ * Import a question bank file
+ * @async
+ * @param {string} collection - Collection: questions, logic_questions or instruments
+ * @param {string} content - File content
+ * @param {Object} [options={}] - Import options
+ * @param {string} [options.format] - File format; defaults to the format of the file extension
+ * @param {string} [options.fileName] - Name of the file
+ * @param {boolean} [options.dryRun=false] - Validate and report without writing
+ * @returns {Promise<Object>} Result object with success flag, data (`{ summary, report }`),
+ *   and errors
+ */
+async function importQuestionBank(collection, content, options = {}) {
+  try {
+    const bank = BANK_COLLECTIONS[collection];
+    if (!bank) {
+      return { success: false, errors: [QUESTION_BANK_ERRORS.UNKNOWN_COLLECTION] };
+    }
+
+    const format = resolveFormat(options.format, options.fileName);
+    if (!format) {
+      return { success: false, errors: [QUESTION_BANK_ERRORS.INVALID_FORMAT] };
+    }
+
+    let entries;
+    try {
+      entries = parseBankFile(bank, String(content || ''), format);
+    } catch (error) {
+      return { success: false, errors: [error.message] };
+    }
+    if (entries.length === 0) {
+      return { success: false, errors: [QUESTION_BANK_ERRORS.EMPTY_FILE] };
+    }
+
+    const dryRun = options.dryRun === true;
+    const seenKeys = new Map();
+    const report = [];
+    for (const entry of entries) {
+      report.push(await importEntry(bank, entry, seenKeys, dryRun));
+    }
+
+    const count = action => report.filter(item => item.action === action).length;
+    const summary = {
+      collection,
+      format,
+      dry_run: dryRun,
+      total: report.length,
+      created: count('create'),
+      updated: count('update'),
+      failed: count('error'),
+    };
+    logger.info(
+      `Imported ${collection}${dryRun ? ' (dry run)' : ''}: ${summary.created} created, ` +
+        `${summary.updated} updated, ${summary.failed} failed`
+    );
+
+    return { success: true, data: { summary, report } };
+  } catch (error) {
+    logger.error(`Error importing ${collection}:`, error);
+    return {
+      success: false,
+      errors: [`Error importing question bank: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Export a question bank collection
+ * @async
+ * @param {string} collection - Collection: questions, logic_questions or instruments
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.format='json'] - File format
+ * @returns {Promise<Object>} Result object with success flag, data (`{ content, fileName,
+ *   contentType, count }`), and errors
+ */
+async function exportQuestionBank(collection, options = {}) {
+  try {
+    const bank = BANK_COLLECTIONS[collection];
+    if (!bank) {
+      return { success: false, errors: [QUESTION_BANK_ERRORS.UNKNOWN_COLLECTION] };
+    }
+
+    const format = resolveFormat(options.format || 'json');
+    if (!format) {
+      return { success: false, errors: [QUESTION_BANK_ERRORS.INVALID_FORMAT] };
+    }
+
+    const docs = await findBankDocuments(bank.model, bank.fields);
+    logger.info(`Exported ${docs.length} ${collection} as ${format}`);
+
+    return {
+      success: true,
+      data: {
+        content: serializeBank(bank, docs, format),
+        fileName: `${collection}.${format}`,
+        contentType: CONTENT_TYPES[format],
+        count: docs.length,
+      },
+    };
+  } catch (error) {
+    logger.error(`Error exporting ${collection}:`, error);
+    return {
+      success: false,
+      errors: [`Error exporting question bank: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  QUESTION_BANK_ERRORS,
+  BANK_FORMATS,
+  BANK_COLLECTIONS,
+  resolveFormat,
+  parseBankFile,
+  serializeBank,
+  importQuestionBank,
+  exportQuestionBank,
+};
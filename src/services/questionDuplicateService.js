@@ -0,0 +1,254 @@
+/**
+ * Question Duplicate Service
+ * Finds near-duplicate questions within a topic and language, both for generated
+ * questions before they are stored and for the existing question bank.
+ * @module service/questionDuplicateService
+ */
+
+const { getQuestionTexts } = require('../repository/questionRepository');
+const {
+  MIN_SIMILARITY_THRESHOLD,
+  normalizeText,
+  createSimilarityIndex,
+  findDuplicateGroups,
+} = require('../utils/textSimilarity');
+const { getDuplicateDetectionConfig } = require('../config/duplicateDetectionConfig');
+const { parsePaginationParams, calculatePaginationMetadata } = require('../utils/paginationUtils');
+const { isValidObjectId, toObjectId } = require('../utils/validateObjectId');
+const logger = require('../utils/logger');
+
+/**
+ * Escape special characters for use in a regular expression
+ * @param {string} string - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Round a similarity to two decimals for responses
+ * @param {number} similarity - Similarity between 0 and 1
+ * @returns {number} Rounded similarity
+ */
+function roundSimilarity(similarity) {
+  return Math.round(similarity * 100) / 100;
+}
+
+/**
+ * Build the filter for the questions of a topic and language.
+ * Questions generated without a topic ID are matched by topic name.
+ * @param {Object} scope - Scope of the questions
+ * @param {string|ObjectId} [scope.topic_id] - Topic ID
+ * @param {string} [scope.topic] - Topic name
+ * @param {string} [scope.language] - Language name
+ * @returns {Object} MongoDB filter
+ */
+function buildScopeFilter({ topic_id, topic, language }) {
+  const filter = {};
+  const topicConditions = [];
+
+  if (topic_id && isValidObjectId(topic_id)) {
+    topicConditions.push({ topic_id: toObjectId(topic_id) });
+  }
+  if (topic) {
+    topicConditions.push({ topic: new RegExp(`^${escapeRegExp(topic)}$`, 'i') });
+  }
+
+  if (topicConditions.length === 1) {
+    Object.assign(filter, topicConditions[0]);
+  } else if (topicConditions.length > 1) {
+    filter.$or = topicConditions;
+  }
+
+  if (language) {
+    filter.language = new RegExp(`^${escapeRegExp(language)}$`, 'i');
+  }
+
+  return filter;
+}
+
+/**
+ * Check generated questions against the questions of the same topic and language.
+ * Questions too similar to an existing question are dropped in `reject` mode and stored
+ * with `possible_duplicate_of` and `similarity_score` in `flag` mode. Questions that repeat
+ * another question of the same batch are always dropped.
+ * @async
+ * @param {Array<Object>} questions - Generated questions
+ * @param {Object} scope - Topic and language of the questions (topic_id, topic, language)
+ * @param {Object} [options={}] - Overrides of the duplicate detection configuration
+ * @param {number} [options.threshold] - Minimum similarity of near-duplicates
+ * @param {string} [options.mode] - `reject` or `flag`
+ * @returns {Promise<Object>} `{ questions, duplicates }` with the questions to store and the duplicate report
+ * @throws {Error} If the existing questions cannot be loaded
+ */
+async function filterSimilarQuestions(questions, scope, options = {}) {
+  const { threshold, mode } = { ...getDuplicateDetectionConfig(), ...options };
+  const existingQuestions = await getQuestionTexts(buildScopeFilter(scope));
+
+  const index = createSimilarityIndex({ threshold });
+  for (const existing of existingQuestions) {
+    index.add(existing.question, { _id: existing._id, question: existing.question });
+  }
+
+  const accepted = [];
+  const items = [];
+
+  for (const question of questions) {
+    const match = index.findMostSimilar(question.question);
+
+    if (match) {
+      const flag = mode === 'flag' && match.data._id;
+      items.push({
+        question: question.question,
+        similar_to: match.data,
+        similarity: roundSimilarity(match.similarity),
+        action: flag ? 'flagged' : 'dropped',
+      });
+
+      if (!flag) {
+        continue;
+      }
+
+      accepted.push({
+        ...question,
+        possible_duplicate_of: match.data._id,
+        similarity_score: roundSimilarity(match.similarity),
+      });
+    } else {
+      accepted.push(question);
+    }
+
+    index.add(question.question, { question: question.question });
+  }
+
+  const dropped = items.filter(item => item.action === 'dropped').length;
+  if (items.length > 0) {
+    logger.info(
+      `Found ${items.length} near-duplicate generated questions (${dropped} dropped, threshold ${threshold})`,
+      { topic: scope.topic, language: scope.language }
+    );
+  }
+
+  return {
+    questions: accepted,
+    duplicates: {
+      mode,
+      threshold,
+      dropped,
+      flagged: items.length - dropped,
+      items,
+    },
+  };
+}
+
+/**
+ * Validate the query of the duplicate report
+ * @param {Object} query - Query parameters
+ * @returns {Array<string>} Validation errors
+ */
+function validateDuplicateReportQuery(query) {
+  const errors = [];
+
+  if (query.threshold !== undefined) {
+    const threshold = Number(query.threshold);
+    if (Number.isNaN(threshold) || threshold < MIN_SIMILARITY_THRESHOLD || threshold > 1) {
+      errors.push(`Threshold must be a number between ${MIN_SIMILARITY_THRESHOLD} and 1`);
+    }
+  }
+
+  if (query.topic_id !== undefined && !isValidObjectId(query.topic_id)) {
+    errors.push('Invalid topic ID format');
+  }
+
+  return errors;
+}
+
+/**
+ * Report groups of near-duplicate questions in the question bank.
+ * Questions are only compared within the same topic and language. Each group lists
+ * its questions oldest first, so all but the first are candidates for removal.
+ * @async
+ * @param {Object} [query={}] - Query parameters
+ * @param {string} [query.topic_id] - Only questions of this topic
+ * @param {string} [query.topic] - Only questions of this topic name
+ * @param {string} [query.language] - Only questions of this language
+ * @param {number} [query.threshold] - Minimum similarity (defaults to QUESTION_SIMILARITY_THRESHOLD)
+ * @param {number} [query.page=1] - Page number
+ * @param {number} [query.page_size=20] - Groups per page (max 100)
+ * @returns {Promise<Object>} Result object with success flag, data, summary, pagination, and errors
+ */
+async function getDuplicateReport(query = {}) {
+  try {
+    const errors = validateDuplicateReportQuery(query);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const threshold =
+      query.threshold !== undefined
+        ? Number(query.threshold)
+        : getDuplicateDetectionConfig().threshold;
+    const questions = await getQuestionTexts(
+      buildScopeFilter({ topic_id: query.topic_id, topic: query.topic, language: query.language })
+    );
+
+    const scopes = new Map();
+    for (const question of questions) {
+      const key = `${normalizeText(question.topic)}|${normalizeText(question.language)}`;
+      if (!scopes.has(key)) {
+        scopes.set(key, []);
+      }
+      scopes.get(key).push(question);
+    }
+
+    const groups = [];
+    for (const scopeQuestions of scopes.values()) {
+      for (const group of findDuplicateGroups(scopeQuestions, {
+        getText: question => question.question,
+        threshold,
+      })) {
+        groups.push({
+          topic: group.items[0].topic,
+          language: group.items[0].language,
+          similarity: roundSimilarity(group.similarity),
+          questions: group.items.map(({ _id, question, position, createdAt }) => ({
+            _id,
+            question,
+            position,
+            createdAt,
+          })),
+        });
+      }
+    }
+
+    groups.sort((a, b) => b.questions.length - a.questions.length || b.similarity - a.similarity);
+
+    const { page, pageSize } = parsePaginationParams(query);
+    const start = (page - 1) * pageSize;
+
+    return {
+      success: true,
+      data: groups.slice(start, start + pageSize),
+      summary: {
+        threshold,
+        scanned: questions.length,
+        groups: groups.length,
+        duplicates: groups.reduce((total, group) => total + group.questions.length - 1, 0),
+      },
+      pagination: calculatePaginationMetadata(groups.length, page, pageSize),
+    };
+  } catch (error) {
+    logger.error('Error creating duplicate question report:', error);
+    return {
+      success: false,
+      errors: [`Error creating duplicate question report: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  buildScopeFilter,
+  filterSimilarQuestions,
+  getDuplicateReport,
+};
@@ -5,6 +5,7 @@
 
 const { generateQuizQuestions } = require('./gemini/quizQuestionCreator');
 const { insertMany } = require('../repository/baseRepository');
+const { filterSimilarQuestions } = require('./questionDuplicateService');
 const { getPositionMetadata, formatPositionForDisplay } = require('../utils/positionUtils');
 const logger = require('../utils/logger');
 const { ObjectId } = require('mongodb');
@@ -15,9 +16,11 @@ const { ObjectId } = require('mongodb');
  * @param {string} params.topic - The topic for questions
  * @param {string} params.language - The programming language
  * @param {string} params.position - The position level
+ * @param {string} [params.provider] - LLM provider (defaults to env var LLM_PROVIDER)
+ * @param {string} [params.model] - Model to use (defaults to the provider's default model)
  * @returns {Promise<Array>} - Array of generated questions with metadata
  */
-const generateQuestions = async ({ topic, language, position }) => {
+const generateQuestions = async ({ topic, language, position, provider, model }) => {
   const positionLowerCase = position.toLowerCase();
 
   // Get position metadata (now async)
@@ -31,6 +34,8 @@ const generateQuestions = async ({ topic, language, position }) => {
     position: positionLowerCase,
     difficultyText,
     positionInstruction,
+    provider,
+    model,
     // You can adjust these parameters based on your needs
     temperature: 0.7,
     maxOutputTokens: 8192,
@@ -98,6 +103,8 @@ const prepareQuestionsWithMetadata = (
     position: positionText,
     position_id: convertedPositionId,
     positionLevel,
+    // Generated questions are only served once a reviewer approves them
+    status: 'pending_review',
     createdAt: timestamp,
   }));
 };
@@ -122,9 +129,11 @@ const storeQuestions = async questions => {
 };
 
 /**
- * Complete process to generate and store questions
+ * Complete process to generate and store questions.
+ * Generated questions too similar to questions of the same topic and language are
+ * dropped or flagged before they are stored (see questionDuplicateService).
  * @param {Object} params - Parameters for question generation
- * @returns {Promise<Array>} - Generated and stored questions with metadata
+ * @returns {Promise<Object>} - `{ questions, duplicates }` with the stored questions and the duplicate report
  */
 const generateAndStoreQuestions = async params => {
   try {
@@ -150,7 +159,7 @@ const generateAndStoreQuestions = async params => {
 
     if (!questions || questions.length === 0) {
       logger.warn('No questions were generated');
-      return [];
+      return { questions: [], duplicates: null };
     }
 
     // Prepare questions with metadata
@@ -164,11 +173,17 @@ const generateAndStoreQuestions = async params => {
       positionLevel,
     });
 
+    // Drop or flag near-duplicates of existing questions
+    const { questions: newQuestions, duplicates } = await filterSimilarQuestions(
+      questionsWithMetadata,
+      { topic_id, topic, language }
+    );
+
     // Store questions
-    await storeQuestions(questionsWithMetadata);
-    logger.info(`Successfully stored ${questionsWithMetadata.length} questions`);
+    await storeQuestions(newQuestions);
+    logger.info(`Successfully stored ${newQuestions.length} questions`);
 
-    return questionsWithMetadata;
+    return { questions: newQuestions, duplicates };
   } catch (error) {
     logger.error('Error in generateAndStoreQuestions:', error);
     throw error;
@@ -16,12 +16,14 @@ const logger = require('../utils/logger');
  * @param {number} [requestData.limit=10] - Limit of questions per topic
  * @param {string} requestData.position - Position level (intern, fresher, junior, middle, senior, expert)
  * @param {string} requestData.language - Programming language
+ * @param {string} [requestData.provider] - LLM provider the jobs should use
+ * @param {string} [requestData.model] - Model the jobs should use
  * @returns {Promise<Array<Object>>} Array of created jobs
  * @throws {Error} If processing fails
  */
 async function processQuestionRequest(requestData) {
   try {
-    const { topics = [], limit = 10, position, language } = requestData;
+    const { topics = [], limit = 10, position, language, provider, model } = requestData;
     const createdJobs = [];
 
     // If topics array is empty, retrieve all topics from MongoDB
@@ -45,6 +47,10 @@ async function processQuestionRequest(requestData) {
         status: 'new',
       };
 
+      // Only store the LLM selection when it was requested, so the worker falls back to its defaults
+      if (provider) jobData.payload.provider = provider;
+      if (model) jobData.payload.model = model;
+
       const job = await createJob(jobData);
 
       // Add to Redis queue
@@ -0,0 +1,256 @@
+/**
+ * Question Review Service
+ * Moderation of questions: reviewers approve, reject or retire questions one at a time
+ * or in bulk. Only approved questions are served by search and picked for assessments.
+ * @module service/questionReviewService
+ */
+
+const {
+  getQuestionById,
+  getQuestionStatuses,
+  updateQuestionsReview,
+} = require('../repository/questionRepository');
+const { isValidObjectId, toObjectId } = require('../utils/validateObjectId');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages returned by the service, used by controllers to pick a status code
+ * @constant {Object}
+ */
+const REVIEW_ERRORS = {
+  INVALID_ID: 'Invalid question ID format',
+  NOT_FOUND: 'Question not found',
+  INVALID_TRANSITION: 'The question status does not allow this review action',
+};
+
+/**
+ * Review actions with the status they set and the statuses they apply to.
+ * Questions without a status were stored before the review workflow and count as approved.
+ * @constant {Object}
+ */
+const REVIEW_ACTIONS = {
+  approve: { status: 'approved', from: ['draft', 'pending_review', 'rejected', 'retired'] },
+  reject: { status: 'rejected', from: ['draft', 'pending_review', 'approved'] },
+  retire: { status: 'retired', from: ['approved'] },
+};
+
+/**
+ * Maximum number of questions reviewed in one bulk request
+ * @constant {number}
+ */
+const MAX_BULK_REVIEW = 100;
+
+/**
+ * Maximum length of reviewer notes
+ * @constant {number}
+ */
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Get the moderation status of a question
+ * @param {Object} question - Question document
+ * @returns {string} Status, 'approved' for questions stored before the review workflow
+ */
+function getQuestionStatus(question) {
+  return question.status || 'approved';
+}
+
+/**
+ * Get the statuses a review action applies to, as matched in the database
+ * @param {string} action - Review action
+ * @returns {Array<string|null>} Statuses; null matches questions without a status
+ */
+function getMatchingStatuses(action) {
+  const { from } = REVIEW_ACTIONS[action];
+  return from.includes('approved') ? [...from, null] : from;
+}
+
+/**
+ * Validate a review action and its notes
+ * @param {string} action - Review action
+ * @param {*} notes - Reviewer notes
+ * @returns {Array<string>} Validation errors
+ */
+function validateReview(action, notes) {
+  const errors = [];
+
+  if (!REVIEW_ACTIONS[action]) {
+    errors.push(`Action must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`);
+  }
+
+  if (notes !== undefined && notes !== null) {
+    if (typeof notes !== 'string') {
+      errors.push('Notes must be a string');
+    } else if (notes.length > MAX_NOTES_LENGTH) {
+      errors.push(`Notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the fields a review sets on a question
+ * @param {string} action - Review action
+ * @param {string} [notes] - Reviewer notes
+ * @param {string} [reviewerId] - ID of the reviewing user
+ * @returns {Object} Review fields
+ */
+function buildReview(action, notes, reviewerId) {
+  return {
+    status: REVIEW_ACTIONS[action].status,
+    review_notes: typeof notes === 'string' && notes.trim() !== '' ? notes.trim() : null,
+    reviewed_by: isValidObjectId(reviewerId) ? toObjectId(reviewerId) : null,
+    reviewed_at: new Date(),
+  };
+}
+
+/**
+ * Approve, reject or retire a question
+ * @async
+ * @param {string} id - Question ID
+ * @param {string} action - Review action ('approve', 'reject' or 'retire')
+ * @param {Object} [reviewData={}] - Review data
+ * @param {string} [reviewData.notes] - Reviewer notes
+ * @param {string} [reviewerId] - ID of the reviewing user
+ * @returns {Promise<Object>} Result object with success flag, the reviewed question, and errors
+ */
+async function reviewQuestion(id, action, { notes } = {}, reviewerId) {
+  try {
+    if (!isValidObjectId(id)) {
+      return { success: false, errors: [REVIEW_ERRORS.INVALID_ID] };
+    }
+
+    const errors = validateReview(action, notes);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const question = await getQuestionById(id);
+    if (!question) {
+      return { success: false, errors: [REVIEW_ERRORS.NOT_FOUND] };
+    }
+
+    const currentStatus = getQuestionStatus(question);
+    const updated = REVIEW_ACTIONS[action].from.includes(currentStatus)
+      ? await updateQuestionsReview(
+          [toObjectId(id)],
+          getMatchingStatuses(action),
+          buildReview(action, notes, reviewerId)
+        )
+      : 0;
+
+    if (updated === 0) {
+      return {
+        success: false,
+        errors: [
+          REVIEW_ERRORS.INVALID_TRANSITION,
+          `Cannot ${action} a question with status ${currentStatus}`,
+        ],
+      };
+    }
+
+    logger.info(`Question ${id} ${REVIEW_ACTIONS[action].status} (was ${currentStatus})`, {
+      reviewedBy: reviewerId,
+    });
+
+    return { success: true, data: await getQuestionById(id) };
+  } catch (error) {
+    logger.error(`Error reviewing question ${id}:`, error);
+    return {
+      success: false,
+      errors: [`Error reviewing question: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Approve, reject or retire several questions at once.
+ * Questions that do not exist or whose status does not allow the action are skipped
+ * and listed with the reason.
+ * @async
+ * @param {Object} reviewData - Review data
+ * @param {Array<string>} reviewData.ids - Question IDs (at most MAX_BULK_REVIEW)
+ * @param {string} reviewData.action - Review action ('approve', 'reject' or 'retire')
+ * @param {string} [reviewData.notes] - Reviewer notes, recorded on every question
+ * @param {string} [reviewerId] - ID of the reviewing user
+ * @returns {Promise<Object>} Result object with success flag, data, and errors
+ */
+async function reviewQuestions({ ids, action, notes } = {}, reviewerId) {
+  try {
+    const errors = validateReview(action, notes);
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      errors.push('Field ids must be a non-empty array of question IDs');
+    } else if (ids.length > MAX_BULK_REVIEW) {
+      errors.push(`At most ${MAX_BULK_REVIEW} questions can be reviewed at once`);
+    } else if (!ids.every(id => isValidObjectId(id))) {
+      errors.push(REVIEW_ERRORS.INVALID_ID);
+    }
+
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const questions = await getQuestionStatuses(uniqueIds.map(toObjectId));
+    const statuses = new Map(
+      questions.map(question => [String(question._id), getQuestionStatus(question)])
+    );
+
+    const skipped = [];
+    const eligibleIds = [];
+    for (const id of uniqueIds) {
+      if (!statuses.has(id)) {
+        skipped.push({ _id: id, reason: REVIEW_ERRORS.NOT_FOUND });
+      } else if (!REVIEW_ACTIONS[action].from.includes(statuses.get(id))) {
+        skipped.push({
+          _id: id,
+          reason: `Cannot ${action} a question with status ${statuses.get(id)}`,
+        });
+      } else {
+        eligibleIds.push(id);
+      }
+    }
+
+    const updated =
+      eligibleIds.length > 0
+        ? await updateQuestionsReview(
+            eligibleIds.map(toObjectId),
+            getMatchingStatuses(action),
+            buildReview(action, notes, reviewerId)
+          )
+        : 0;
+
+    logger.info(`Bulk review: ${updated} questions ${REVIEW_ACTIONS[action].status}`, {
+      requested: uniqueIds.length,
+      skipped: skipped.length,
+      reviewedBy: reviewerId,
+    });
+
+    return {
+      success: true,
+      data: {
+        action,
+        status: REVIEW_ACTIONS[action].status,
+        requested: uniqueIds.length,
+        updated,
+        skipped,
+      },
+    };
+  } catch (error) {
+    logger.error('Error reviewing questions:', error);
+    return {
+      success: false,
+      errors: [`Error reviewing questions: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  REVIEW_ERRORS,
+  REVIEW_ACTIONS,
+  MAX_BULK_REVIEW,
+  reviewQuestion,
+  reviewQuestions,
+};
@@ -4,7 +4,11 @@
  */
 
 const { findMany, getCollection } = require('../repository/baseRepository');
-const { buildMongoQuery, convertToObjectIds } = require('../utils/questionSearchQueryBuilder');
+const {
+  buildMongoQuery,
+  buildStatusFilter,
+  convertToObjectIds,
+} = require('../utils/questionSearchQueryBuilder');
 const logger = require('../utils/logger');
 
 /**
@@ -23,6 +27,8 @@ const logger = require('../utils/logger');
  * @param {number} searchParams.page_size - Number of items per page
  * @param {string} searchParams.mode - Response mode ('full', 'compact', or 'minimalist')
  * @param {string[]} searchParams.ignore_question_ids - Array of question IDs to exclude from results
+ * @param {string} [searchParams.difficulty] - Difficulty to filter by (easy, medium or hard)
+ * @param {string[]} [searchParams.status=['approved']] - Moderation statuses to include
  * @returns {Promise<Object>} Search results with pagination information
  */
 async function searchQuestions(searchParams) {
@@ -40,6 +46,8 @@ async function searchQuestions(searchParams) {
       page_size,
       mode = 'full', // Default to full mode if not specified
       ignore_question_ids = [], // Default to empty array if not specified
+      difficulty,
+      status = ['approved'], // Only serve reviewed questions unless asked otherwise
     } = searchParams;
 
     // Build the MongoDB query
@@ -79,6 +87,23 @@ async function searchQuestions(searchParams) {
       }
     }
 
+    // Add filter to only include questions of the requested difficulty
+    if (difficulty) {
+      if (filter.$and) {
+        filter.$and.push({ difficulty });
+      } else {
+        filter.difficulty = difficulty;
+      }
+    }
+
+    // Add filter to only include questions with the requested moderation status
+    const statusFilter = buildStatusFilter(status);
+    if (filter.$and) {
+      filter.$and.push(statusFilter);
+    } else {
+      Object.assign(filter, statusFilter);
+    }
+
     // Get collection for operations
     const collection = getCollection('questions');
 
@@ -12,7 +12,14 @@ const {
 const logger = require('../utils/logger');
 
 /**
- * Create a new question
+ * Fields only changed through the review workflow (see questionReviewService)
+ * @constant {Array<string>}
+ */
+const REVIEW_FIELDS = ['status', 'review_notes', 'reviewed_by', 'reviewed_at'];
+
+/**
+ * Create a new question.
+ * Questions are approved unless created as `draft` or `pending_review`.
  * @async
  * @param {Object} questionData - Question data to create
  * @returns {Promise<Object>} Created question
@@ -22,6 +29,7 @@ async function createNewQuestion(questionData) {
   try {
     // Normalize data before saving
     const normalizedData = normalizeQuestionData(questionData);
+    normalizedData.status = questionData.status || 'approved';
 
     // Create the question
     const createdQuestion = await createQuestion(normalizedData);
@@ -49,7 +57,7 @@ async function getQuestion(id) {
 }
 
 /**
- * Update a question by ID
+ * Update a question by ID. The moderation status and review fields are not changed.
  * @async
  * @param {string} id - Question ID
  * @param {Object} updateData - Data to update
@@ -93,6 +101,9 @@ async function deleteQuestion(id) {
 function normalizeQuestionData(data) {
   const normalized = { ...data };
 
+  // Review fields are set by reviewers only
+  REVIEW_FIELDS.forEach(field => delete normalized[field]);
+
   // Trim string fields
   const stringFields = [
     'question',
@@ -134,6 +145,7 @@ function normalizeQuestionData(data) {
 }
 
 module.exports = {
+  REVIEW_FIELDS,
   createNewQuestion,
   getQuestion,
   updateQuestion,
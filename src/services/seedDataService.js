@@ -0,0 +1,256 @@
+/**
+ * Seed Data Service Module
+ * Loads the reference collections (topics, positions and languages) from seed records without
+ * replacing them: each record updates the document with the same key, keeping its `_id`, or is
+ * inserted. Pruning removes documents missing from the seed, unless questions or candidates
+ * still refer to them.
+ * @module service/seedDataService
+ */
+
+const { isDeepStrictEqual } = require('util');
+const {
+  findSeedDocument,
+  insertSeedDocument,
+  updateSeedDocument,
+  findSeedDocumentsExcept,
+  countSeedReferences,
+  deleteSeedDocuments,
+} = require('../repository/seedDataRepository');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages for seed data operations
+ * @constant {Object}
+ */
+const SEED_DATA_ERRORS = {
+  UNKNOWN_COLLECTION: 'Invalid collection. Must be one of: topics, positions, languages',
+  MISSING_KEY: 'Every record needs a value for one of its key fields',
+};
+
+/**
+ * Seed collections: the fields a record is matched on, in order of preference, and the
+ * documents that refer to an existing document. Questions store both the ID and the name
+ * of what they refer to; candidates only store names.
+ * @constant {Object}
+ */
+const SEED_COLLECTIONS = {
+  topics: {
+    keyFields: ['slug', 'title'],
+    references: topic => ({
+      questions: { $or: [{ topic_id: topic._id }, { topic: topic.title }] },
+      candidates: { assigned_topics: { $in: [topic.title, String(topic._id)] } },
+    }),
+  },
+  positions: {
+    keyFields: ['slug'],
+    references: position => ({
+      questions: {
+        $or: [
+          { position_id: position._id },
+          { position: { $in: [position.slug, position.title] } },
+        ],
+      },
+      candidates: { interview_level: { $in: [position.slug, position.title] } },
+    }),
+  },
+  languages: {
+    keyFields: ['slug', 'name'],
+    references: language => ({
+      questions: { $or: [{ language_id: language._id }, { language: language.name }] },
+      candidates: { programming_languages: language.name },
+    }),
+  },
+};
+
+/**
+ * Key fields of a record that have a value
+ * @param {Object} record - Seed record
+ * @param {Array<string>} keyFields - Key fields of the collection
+ * @returns {Array<string>} Key fields set on the record
+ */
+function getRecordKeys(record, keyFields) {
+  return keyFields.filter(field => record[field] !== undefined && record[field] !== '');
+}
+
+/**
+ * Check that every record has a key and that no key value is used twice in the seed
+ * @param {Array<Object>} records - Seed records
+ * @param {Array<string>} keyFields - Key fields of the collection
+ * @returns {Array<string>} Error messages
+ */
+function validateSeedKeys(records, keyFields) {
+  const errors = [];
+  if (records.some(record => getRecordKeys(record, keyFields).length === 0)) {
+    errors.push(`${SEED_DATA_ERRORS.MISSING_KEY} (${keyFields.join(', ')})`);
+  }
+
+  keyFields.forEach(field => {
+    const seen = new Set();
+    const duplicates = new Set();
+    records.forEach(record => {
+      const value = record[field];
+      if (value === undefined || value === '') return;
+      if (seen.has(value)) duplicates.add(value);
+      seen.add(value);
+    });
+    if (duplicates.size > 0) {
+      errors.push(`Duplicate ${field} values found in file: ${[...duplicates].join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Insert a seed record, or update the document with the same key if any field differs
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {Object} record - Seed record
+ * @param {Array<string>} keyFields - Key fields of the collection
+ * @returns {Promise<Object>} `{ action: created|updated|unchanged, _id }`
+ */
+async function upsertSeedRecord(collectionName, record, keyFields) {
+  const { _id, createdAt, updatedAt, ...fields } = record;
+  const conditions = getRecordKeys(fields, keyFields).map(field => ({ [field]: fields[field] }));
+  const existing = await findSeedDocument(
+    collectionName,
+    conditions.length === 1 ? conditions[0] : { $or: conditions }
+  );
+
+  if (!existing) {
+    return { action: 'created', _id: await insertSeedDocument(collectionName, fields) };
+  }
+
+  const changed = Object.keys(fields).some(
+    field => !isDeepStrictEqual(existing[field], fields[field])
+  );
+  if (!changed) {
+    return { action: 'unchanged', _id: existing._id };
+  }
+
+  await updateSeedDocument(collectionName, existing._id, fields);
+  return { action: 'updated', _id: existing._id };
+}
+
+/**
+ * Count the questions and candidates that refer to a seed document
+ * @async
+ * @param {Object} collection - Seed collection definition
+ * @param {Object} document - Seed document
+ * @returns {Promise<Object>} Number of references by collection, only those above zero
+ */
+async function countReferences(collection, document) {
+  const references = {};
+  for (const [collectionName, filter] of Object.entries(collection.references(document))) {
+    const count = await countSeedReferences(collectionName, filter);
+    if (count > 0) {
+      references[collectionName] = count;
+    }
+  }
+  return references;
+}
+
+/**
+ * Delete the documents of a seed collection that are not in the seed, keeping those
+ * still referenced by questions or candidates
+ * @async
+ * @param {string} collectionName - Seed collection
+ * @param {Array<import('mongodb').ObjectId>} seededIds - IDs of the documents in the seed
+ * @returns {Promise<Object>} `{ pruned, kept }`, where kept lists `{ _id, key, references }`
+ */
+async function pruneSeedDocuments(collectionName, seededIds) {
+  const collection = SEED_COLLECTIONS[collectionName];
+  const candidates = await findSeedDocumentsExcept(collectionName, seededIds);
+  const removable = [];
+  const kept = [];
+
+  for (const document of candidates) {
+    const references = await countReferences(collection, document);
+    if (Object.keys(references).length === 0) {
+      removable.push(document._id);
+    } else {
+      const [keyField] = getRecordKeys(document, collection.keyFields);
+      kept.push({ _id: document._id, key: keyField ? document[keyField] : null, references });
+    }
+  }
+
+  if (removable.length > 0) {
+    await deleteSeedDocuments(collectionName, removable);
+  }
+
+  return { pruned: removable.length, kept };
+}
+
+/**
+ * Load seed records into a reference collection
+ * @async
+ * @param {string} collectionName - Collection: topics, positions or languages
+ * @param {Array<Object>} records - Seed records, already validated
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.prune=false] - Delete unreferenced documents missing from the seed
+ * @returns {Promise<Object>} `{ success, data, errors }` where data holds the counts
+ *   `{ total, created, updated, unchanged, pruned, kept }`
+ */
+async function syncSeedData(collectionName, records, { prune = false } = {}) {
+  const collection = SEED_COLLECTIONS[collectionName];
+  if (!collection) {
+    return { success: false, errors: [SEED_DATA_ERRORS.UNKNOWN_COLLECTION] };
+  }
+
+  const errors = validateSeedKeys(records, collection.keyFields);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const data = { total: records.length, created: 0, updated: 0, unchanged: 0, pruned: 0, kept: [] };
+  const seededIds = [];
+
+  for (const record of records) {
+    const { action, _id } = await upsertSeedRecord(collectionName, record, collection.keyFields);
+    data[action] += 1;
+    seededIds.push(_id);
+  }
+
+  if (prune) {
+    Object.assign(data, await pruneSeedDocuments(collectionName, seededIds));
+  }
+
+  logger.info(
+    `Synced ${collectionName}: ${data.created} created, ${data.updated} updated, ` +
+      `${data.unchanged} unchanged, ${data.pruned} pruned`
+  );
+
+  return { success: true, data };
+}
+
+/**
+ * Describe the result of a seed in printable lines
+ * @param {string} label - Plural name of the seeded documents, such as `topics`
+ * @param {Object} data - Result data of {@link syncSeedData}
+ * @returns {Array<string>} Summary lines
+ */
+function formatSeedSummary(label, data) {
+  const lines = [
+    `- Total ${label} in file: ${data.total}`,
+    `- Created: ${data.created}`,
+    `- Updated: ${data.updated}`,
+    `- Unchanged: ${data.unchanged}`,
+    `- Pruned: ${data.pruned}`,
+  ];
+
+  data.kept.forEach(item => {
+    const references = Object.entries(item.references)
+      .map(([collectionName, count]) => `${count} ${collectionName}`)
+      .join(', ');
+    lines.push(`- Not pruned, still referenced by ${references}: ${item.key || item._id}`);
+  });
+
+  return lines;
+}
+
+module.exports = {
+  SEED_DATA_ERRORS,
+  SEED_COLLECTIONS,
+  syncSeedData,
+  formatSeedSummary,
+};
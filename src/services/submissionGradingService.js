@@ -0,0 +1,676 @@
+/**
+ * Submission Grading Service
+ * Suggests scores for free-text answers with the configured LLM provider: the essay,
+ * logic questions of type `open_question` and open-ended instruments. Suggestions are stored
+ * on each item as `grading` and only count once a reviewer has confirmed or overridden them.
+ * Every suggestion and review is recorded in the submission's `grading_audit`.
+ * @module service/submissionGradingService
+ */
+
+const { ObjectId } = require('mongodb');
+const baseRepository = require('../repository/baseRepository');
+const { getSubmissionById } = require('../repository/submissionRepository');
+const { createJob } = require('../repository/jobRepository');
+const { addToQueue } = require('../utils/redisQueueHelper');
+const { fetchInstrumentsByIds, fetchLogicQuestionsByIds } = require('../utils/submissionEnricher');
+const { isValidObjectId, toObjectId } = require('../utils/validateObjectId');
+const { scoreSubmission } = require('./submissionScoringService');
+const { generateText } = require('./llm');
+const { extractJsonFromCodeBlocks } = require('./gemini/quiz/extractors');
+const { parseJsonContent } = require('./gemini/quiz/parsers');
+const { getLLMProviderNames } = require('../config/llmConfig');
+const submissionModel = require('../models/submissionModel');
+const logger = require('../utils/logger');
+
+/**
+ * Job type processed by the job processor
+ * @constant {string}
+ */
+const GRADING_JOB_TYPE = 'submission-grading';
+
+/**
+ * Kinds of items that can be graded
+ * @constant {Object}
+ */
+const GRADING_ITEM_TYPES = {
+  ESSAY: 'essay',
+  LOGIC_QUESTION: 'logic_question',
+  INSTRUMENT: 'instrument',
+};
+
+/**
+ * Grading statuses. `suggested` scores come from the LLM and do not count yet;
+ * reviewed items are `accepted` (suggestion kept), `overridden` or `manual` (no suggestion).
+ * @constant {Object}
+ */
+const GRADING_STATUSES = {
+  SUGGESTED: 'suggested',
+  ACCEPTED: 'accepted',
+  OVERRIDDEN: 'overridden',
+  MANUAL: 'manual',
+};
+
+/**
+ * Error messages returned by the grading service
+ * @constant {Object}
+ */
+const GRADING_ERRORS = {
+  INVALID_ID: 'Invalid submission ID format',
+  NOT_FOUND: 'Submission not found',
+  NOTHING_TO_GRADE: 'Submission has no essay or open-ended answers to grade',
+  ITEM_NOT_FOUND: 'Item not found in submission',
+};
+
+/**
+ * Maximum length of a rubric sent with a grading request
+ * @constant {number}
+ */
+const MAX_RUBRIC_LENGTH = 5000;
+
+/**
+ * Rubric used when neither the request nor the item provides one
+ * @constant {string}
+ */
+const DEFAULT_RUBRIC =
+  'Judge relevance to the prompt, correctness, depth of reasoning and clarity of expression.';
+
+const GRADING_PROMPT_TEMPLATE = `
+You are grading a candidate's answer in a technical hiring assessment.
+
+Prompt:
+{prompt}
+
+Grading rubric:
+{rubric}
+
+Candidate answer:
+"""
+{answer}
+"""
+
+Score the answer from 0 to {maxScore}. Respond with a JSON object only, in this format:
+{"score": <number from 0 to {maxScore}>, "rationale": "<two or three sentences>", "confidence": <number from 0 to 1>}`;
+
+/**
+ * Round a score to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the text of a free-text response
+ * @param {*} value - Response value
+ * @returns {string} Trimmed text, empty if the value is not text
+ */
+function getAnswerText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Collect the items of a submission that need a human or AI grader
+ * @param {Object} submission - Submission document
+ * @param {Object} maps - Referenced documents
+ * @param {Object} maps.logicQuestionMap - Logic questions keyed by ID
+ * @param {Object} maps.instrumentMap - Instruments keyed by ID
+ * @param {string} [rubric] - Rubric for the essay
+ * @returns {Array<Object>} Gradable items with their path in the submission
+ */
+function getGradableItems(submission, { logicQuestionMap = {}, instrumentMap = {} }, rubric) {
+  const { scoring, instrumentValueRange } = submissionModel;
+  const items = [];
+
+  const essay = submission.essay || {};
+  if (essay.is_skip !== 1 && getAnswerText(essay.answer)) {
+    items.push({
+      item_type: GRADING_ITEM_TYPES.ESSAY,
+      item_id: null,
+      path: 'essay',
+      prompt: essay.question || 'Write an essay.',
+      answer: getAnswerText(essay.answer),
+      rubric: rubric || DEFAULT_RUBRIC,
+      max_score: scoring.essayPoint,
+      grading: essay.grading || null,
+    });
+  }
+
+  (submission.logic_questions || []).forEach((entry, index) => {
+    const logicQuestion = logicQuestionMap[entry.logic_question_id];
+    if (
+      !logicQuestion ||
+      logicQuestion.type !== 'open_question' ||
+      entry.is_skip === 1 ||
+      !getAnswerText(entry.answer)
+    ) {
+      return;
+    }
+
+    items.push({
+      item_type: GRADING_ITEM_TYPES.LOGIC_QUESTION,
+      item_id: String(entry.logic_question_id),
+      path: `logic_questions.${index}`,
+      prompt: [logicQuestion.question, logicQuestion.description].filter(Boolean).join('\n'),
+      answer: getAnswerText(entry.answer),
+      rubric: logicQuestion.answer_explanation || DEFAULT_RUBRIC,
+      max_score: scoring.logicQuestionPoint,
+      grading: entry.grading || null,
+    });
+  });
+
+  (submission.instruments || []).forEach((entry, index) => {
+    const instrument = instrumentMap[entry.instrument_id];
+    // Open-ended responses are written in `other`
+    const answer = getAnswerText(entry.other) || getAnswerText(entry.answer);
+    if (!instrument || instrument.type !== 'open-ended' || entry.is_skip === 1 || !answer) {
+      return;
+    }
+
+    items.push({
+      item_type: GRADING_ITEM_TYPES.INSTRUMENT,
+      item_id: String(entry.instrument_id),
+      path: `instruments.${index}`,
+      prompt: instrument.questionText,
+      answer,
+      rubric: DEFAULT_RUBRIC,
+      max_score: instrumentValueRange.max,
+      grading: entry.grading || null,
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Fetch the logic questions and instruments a submission references
+ * @async
+ * @param {Object} submission - Submission document
+ * @returns {Promise<Object>} `{ logicQuestionMap, instrumentMap }`
+ */
+async function fetchGradingMaps(submission) {
+  const [logicQuestionMap, instrumentMap] = await Promise.all([
+    fetchLogicQuestionsByIds(
+      (submission.logic_questions || []).map(entry => entry.logic_question_id)
+    ),
+    fetchInstrumentsByIds((submission.instruments || []).map(entry => entry.instrument_id)),
+  ]);
+
+  return { logicQuestionMap, instrumentMap };
+}
+
+/**
+ * Load a submission by ID
+ * @async
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<Object>} `{ submission }` or `{ errors }`
+ */
+async function loadSubmission(submissionId) {
+  if (!isValidObjectId(submissionId)) {
+    return { errors: [GRADING_ERRORS.INVALID_ID] };
+  }
+
+  const submission = await getSubmissionById(submissionId);
+  if (!submission) {
+    return { errors: [GRADING_ERRORS.NOT_FOUND] };
+  }
+
+  return { submission };
+}
+
+/**
+ * Build the grading prompt for an item
+ * @param {Object} item - Gradable item
+ * @returns {string} Prompt
+ */
+function buildGradingPrompt(item) {
+  const replacements = {
+    prompt: item.prompt,
+    rubric: item.rubric,
+    answer: item.answer,
+    maxScore: String(item.max_score),
+  };
+
+  return GRADING_PROMPT_TEMPLATE.trim().replace(
+    /\{(prompt|rubric|answer|maxScore)\}/g,
+    (_, key) => replacements[key]
+  );
+}
+
+/**
+ * Parse the grader's reply
+ * @param {string} content - Generated content
+ * @param {number} maxScore - Highest score of the item
+ * @returns {Object} `{ suggested_score, rationale, confidence }`, clamped to their ranges
+ * @throws {Error} If the reply has no numeric score
+ */
+function parseGradingResponse(content, maxScore) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Grading response is empty or not a string');
+  }
+
+  const originalContent = content.trim();
+  const parsed = parseJsonContent(extractJsonFromCodeBlocks(originalContent), originalContent);
+  const score = Number(parsed && parsed.score);
+  if (!parsed || typeof parsed !== 'object' || !Number.isFinite(score)) {
+    throw new Error('Grading response has no numeric score');
+  }
+
+  const confidence = Number(parsed.confidence);
+
+  return {
+    suggested_score: roundScore(Math.min(Math.max(score, 0), maxScore)),
+    rationale: typeof parsed.rationale === 'string' ? parsed.rationale.trim() : '',
+    confidence: Number.isFinite(confidence)
+      ? roundScore(Math.min(Math.max(confidence, 0), 1))
+      : null,
+  };
+}
+
+/**
+ * Validate a grading request
+ * @param {Object} params - Request parameters
+ * @returns {Array<string>} Validation errors
+ */
+function validateGradingRequest(params = {}) {
+  const errors = [];
+  const { rubric, provider, model } = params;
+
+  if (
+    rubric !== undefined &&
+    (typeof rubric !== 'string' || !rubric.trim() || rubric.length > MAX_RUBRIC_LENGTH)
+  ) {
+    errors.push(`Rubric must be a non-empty string of at most ${MAX_RUBRIC_LENGTH} characters`);
+  }
+
+  const providerNames = getLLMProviderNames();
+  if (provider !== undefined && !providerNames.includes(provider)) {
+    errors.push(`Provider must be one of: ${providerNames.join(', ')}`);
+  }
+
+  if (model !== undefined && (typeof model !== 'string' || model.trim() === '')) {
+    errors.push('Model must be a non-empty string');
+  }
+
+  return errors;
+}
+
+/**
+ * Creates a job that grades the free-text answers of a submission
+ * @async
+ * @param {string} submissionId - Submission ID
+ * @param {Object} [params={}] - Request parameters
+ * @param {string} [params.rubric] - Rubric for the essay; logic questions use their answer_explanation
+ * @param {string} [params.provider] - LLM provider the job should use
+ * @param {string} [params.model] - Model the job should use
+ * @returns {Promise<Object>} Result object with success flag, data (job), and errors
+ */
+async function requestSubmissionGrading(submissionId, params = {}) {
+  try {
+    const errors = validateGradingRequest(params);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const loaded = await loadSubmission(submissionId);
+    if (loaded.errors) {
+      return { success: false, errors: loaded.errors };
+    }
+
+    const items = getGradableItems(loaded.submission, await fetchGradingMaps(loaded.submission));
+    if (items.length === 0) {
+      return { success: false, errors: [GRADING_ERRORS.NOTHING_TO_GRADE] };
+    }
+
+    const payload = { submission_id: String(submissionId) };
+    if (params.rubric) payload.rubric = params.rubric.trim();
+    if (params.provider) payload.provider = params.provider;
+    if (params.model) payload.model = params.model;
+
+    const job = await createJob({ type: GRADING_JOB_TYPE, payload, status: 'new' });
+    await addToQueue({ _id: job._id.toString(), type: job.type, payload: job.payload });
+    logger.info(`Created grading job ${job._id} for submission ${submissionId}`);
+
+    return { success: true, data: job };
+  } catch (error) {
+    logger.error(`Error requesting grading of submission ${submissionId}:`, error);
+    return {
+      success: false,
+      errors: [`Error requesting submission grading: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Grade the free-text answers of a submission and store the suggestions.
+ * Items a reviewer has already scored are left alone.
+ * @async
+ * @param {Object} payload - Job payload (see requestSubmissionGrading)
+ * @returns {Promise<Object>} Result object with success flag, data (graded, skipped and failed
+ *   items), and errors
+ */
+async function gradeSubmission(payload) {
+  try {
+    const loaded = await loadSubmission(payload.submission_id);
+    if (loaded.errors) {
+      return { success: false, errors: loaded.errors };
+    }
+
+    const items = getGradableItems(
+      loaded.submission,
+      await fetchGradingMaps(loaded.submission),
+      payload.rubric
+    );
+
+    const update = {};
+    const auditEntries = [];
+    const result = { graded: [], skipped: [], failed: [] };
+
+    for (const item of items) {
+      const itemRef = { item_type: item.item_type, item_id: item.item_id };
+
+      if (
+        item.grading &&
+        item.grading.final_score !== null &&
+        item.grading.final_score !== undefined
+      ) {
+        result.skipped.push(itemRef);
+        continue;
+      }
+
+      try {
+        const content = await generateText(buildGradingPrompt(item), {
+          provider: payload.provider,
+          model: payload.model,
+          temperature: 0.2,
+          maxRetries: 3,
+          retryDelay: 1000,
+        });
+        const suggestion = parseGradingResponse(content, item.max_score);
+        const gradedAt = new Date();
+
+        update[`${item.path}.grading`] = {
+          ...suggestion,
+          max_score: item.max_score,
+          provider: payload.provider || null,
+          model: payload.model || null,
+          graded_at: gradedAt,
+          final_score: null,
+          reviewed_by: null,
+          reviewed_at: null,
+          comment: '',
+          status: GRADING_STATUSES.SUGGESTED,
+        };
+        auditEntries.push({
+          ...itemRef,
+          action: 'suggested',
+          suggested_score: suggestion.suggested_score,
+          final_score: null,
+          confidence: suggestion.confidence,
+          user_id: null,
+          created_at: gradedAt,
+        });
+        result.graded.push({ ...itemRef, ...suggestion });
+      } catch (error) {
+        logger.warn(`Failed to grade ${item.path} of submission ${payload.submission_id}:`, error);
+        result.failed.push({ ...itemRef, error: error.message });
+      }
+    }
+
+    if (auditEntries.length > 0) {
+      await baseRepository.updateOne(
+        submissionModel.collectionName,
+        { _id: new ObjectId(payload.submission_id) },
+        { $set: update, $push: { grading_audit: { $each: auditEntries } } }
+      );
+    }
+
+    if (result.failed.length > 0 && result.graded.length === 0) {
+      return {
+        success: false,
+        errors: result.failed.map(item => `${item.item_type} ${item.item_id || ''}: ${item.error}`),
+      };
+    }
+
+    logger.info(
+      `Graded submission ${payload.submission_id}: ${result.graded.length} graded, ` +
+        `${result.skipped.length} already reviewed, ${result.failed.length} failed`
+    );
+
+    return { success: true, data: result };
+  } catch (error) {
+    logger.error(`Error grading submission ${payload.submission_id}:`, error);
+    return {
+      success: false,
+      errors: [`Error grading submission: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Validate a review of a graded item
+ * @param {Object} reviewData - Review data
+ * @param {number} [maxScore] - Highest score of the item, when known
+ * @returns {Array<string>} Validation errors
+ */
+function validateReviewData(reviewData = {}, maxScore) {
+  const errors = [];
+  const itemTypes = Object.values(GRADING_ITEM_TYPES);
+
+  if (!itemTypes.includes(reviewData.item_type)) {
+    errors.push(`item_type must be one of: ${itemTypes.join(', ')}`);
+  } else if (reviewData.item_type !== GRADING_ITEM_TYPES.ESSAY && !reviewData.item_id) {
+    errors.push('Missing required field: item_id');
+  }
+
+  if (typeof reviewData.final_score !== 'number' || reviewData.final_score < 0) {
+    errors.push('final_score must be a non-negative number');
+  } else if (maxScore !== undefined && reviewData.final_score > maxScore) {
+    errors.push(`final_score cannot be greater than ${maxScore}`);
+  }
+
+  if (reviewData.comment !== undefined && typeof reviewData.comment !== 'string') {
+    errors.push('comment must be a string');
+  }
+
+  return errors;
+}
+
+/**
+ * Record a reviewer's final score for a graded item. The final score replaces the suggestion;
+ * open logic questions then count towards the submission's scores, which are recomputed.
+ * @async
+ * @param {string} submissionId - Submission ID
+ * @param {Object} reviewData - Review data
+ * @param {string} reviewData.item_type - essay, logic_question or instrument
+ * @param {string} [reviewData.item_id] - Logic question or instrument ID (not for the essay)
+ * @param {number} reviewData.final_score - Final score, from 0 to the item's maximum
+ * @param {string} [reviewData.comment] - Reviewer comment
+ * @param {string} [userId] - ID of the reviewer
+ * @returns {Promise<Object>} Result object with success flag, data (updated submission), and errors
+ */
+async function reviewGrading(submissionId, reviewData = {}, userId) {
+  try {
+    const errors = validateReviewData(reviewData);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const loaded = await loadSubmission(submissionId);
+    if (loaded.errors) {
+      return { success: false, errors: loaded.errors };
+    }
+    const { submission } = loaded;
+
+    const item = getGradableItems(submission, await fetchGradingMaps(submission)).find(
+      candidate =>
+        candidate.item_type === reviewData.item_type &&
+        (candidate.item_type === GRADING_ITEM_TYPES.ESSAY ||
+          candidate.item_id === String(reviewData.item_id))
+    );
+    if (!item) {
+      return { success: false, errors: [GRADING_ERRORS.ITEM_NOT_FOUND] };
+    }
+
+    const rangeErrors = validateReviewData(reviewData, item.max_score);
+    if (rangeErrors.length > 0) {
+      return { success: false, errors: rangeErrors };
+    }
+
+    const previous = item.grading || {};
+    const hasSuggestion = typeof previous.suggested_score === 'number';
+    const reviewedAt = new Date();
+    const reviewedBy = isValidObjectId(userId) ? toObjectId(userId) : null;
+    let status = GRADING_STATUSES.MANUAL;
+    if (hasSuggestion) {
+      status =
+        previous.suggested_score === reviewData.final_score
+          ? GRADING_STATUSES.ACCEPTED
+          : GRADING_STATUSES.OVERRIDDEN;
+    }
+
+    const grading = {
+      suggested_score: null,
+      rationale: '',
+      confidence: null,
+      ...previous,
+      max_score: item.max_score,
+      final_score: reviewData.final_score,
+      reviewed_by: reviewedBy,
+      reviewed_at: reviewedAt,
+      comment: reviewData.comment || '',
+      status,
+    };
+
+    // Apply the grading to a copy of the submission so the scores can be recomputed
+    const updated = {
+      ...submission,
+      logic_questions: [...(submission.logic_questions || [])],
+      instruments: [...(submission.instruments || [])],
+    };
+    if (item.item_type === GRADING_ITEM_TYPES.ESSAY) {
+      updated.essay = { ...submission.essay, grading };
+    } else {
+      const [section, index] = item.path.split('.');
+      updated[section][index] = { ...updated[section][index], grading };
+    }
+    const scored = await scoreSubmission(updated);
+
+    await baseRepository.updateOne(
+      submissionModel.collectionName,
+      { _id: new ObjectId(submissionId) },
+      {
+        $set: {
+          essay: updated.essay,
+          logic_questions: scored.logic_questions,
+          instruments: scored.instruments,
+          scores: scored.scores,
+        },
+        $push: {
+          grading_audit: {
+            item_type: item.item_type,
+            item_id: item.item_id,
+            action: 'reviewed',
+            suggested_score: hasSuggestion ? previous.suggested_score : null,
+            final_score: reviewData.final_score,
+            confidence: hasSuggestion ? previous.confidence : null,
+            user_id: reviewedBy,
+            created_at: reviewedAt,
+          },
+        },
+      }
+    );
+
+    logger.info(`Reviewed ${item.path} of submission ${submissionId}: ${status}`);
+
+    return { success: true, data: await getSubmissionById(submissionId) };
+  } catch (error) {
+    logger.error(`Error reviewing grading of submission ${submissionId}:`, error);
+    return {
+      success: false,
+      errors: [`Error reviewing grading: ${error.message}`],
+    };
+  }
+}
+
+/**
+ * Get the graded items of a submission with the audit of AI and final scores
+ * @async
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<Object>} Result object with success flag, data (`items`, `summary` and
+ *   `audit`), and errors
+ */
+async function getSubmissionGrading(submissionId) {
+  try {
+    const loaded = await loadSubmission(submissionId);
+    if (loaded.errors) {
+      return { success: false, errors: loaded.errors };
+    }
+    const { submission } = loaded;
+
+    const items = getGradableItems(submission, await fetchGradingMaps(submission)).map(
+      ({ item_type, item_id, prompt, answer, max_score, grading }) => ({
+        item_type,
+        item_id,
+        prompt,
+        answer,
+        max_score,
+        grading,
+      })
+    );
+
+    const compared = items
+      .map(item => item.grading)
+      .filter(
+        grading =>
+          grading &&
+          typeof grading.suggested_score === 'number' &&
+          typeof grading.final_score === 'number'
+      );
+    const totalDifference = compared.reduce(
+      (sum, grading) => sum + Math.abs(grading.final_score - grading.suggested_score),
+      0
+    );
+
+    return {
+      success: true,
+      data: {
+        items,
+        summary: {
+          items: items.length,
+          suggested: items.filter(
+            item => item.grading && typeof item.grading.suggested_score === 'number'
+          ).length,
+          reviewed: items.filter(
+            item => item.grading && typeof item.grading.final_score === 'number'
+          ).length,
+          overridden: compared.filter(grading => grading.status === GRADING_STATUSES.OVERRIDDEN)
+            .length,
+          mean_absolute_difference:
+            compared.length > 0 ? roundScore(totalDifference / compared.length) : null,
+        },
+        audit: submission.grading_audit || [],
+      },
+    };
+  } catch (error) {
+    logger.error(`Error getting grading of submission ${submissionId}:`, error);
+    return {
+      success: false,
+      errors: [`Error getting submission grading: ${error.message}`],
+    };
+  }
+}
+
+module.exports = {
+  GRADING_JOB_TYPE,
+  GRADING_ITEM_TYPES,
+  GRADING_STATUSES,
+  GRADING_ERRORS,
+  getGradableItems,
+  buildGradingPrompt,
+  parseGradingResponse,
+  requestSubmissionGrading,
+  gradeSubmission,
+  reviewGrading,
+  getSubmissionGrading,
+};
@@ -0,0 +1,446 @@
+/**
+ * Submission Scoring Service Module
+ * @module service/submissionScoringService
+ */
+
+const submissionModel = require('../models/submissionModel');
+const {
+  fetchQuestionsByIds,
+  fetchInstrumentsByIds,
+  fetchLogicQuestionsByIds,
+} = require('../utils/submissionEnricher');
+const {
+  getKeyedValue,
+  calculateTraitScores,
+  fetchInstrumentTagsByIds,
+} = require('./instrumentScoringService');
+const logger = require('../utils/logger');
+
+/**
+ * Submission sections scored per item, with the field holding each item's ID
+ * @type {Array<{field: string, idField: string}>}
+ */
+const SCORED_SECTIONS = [
+  { field: 'answers', idField: 'question_id' },
+  { field: 'instruments', idField: 'instrument_id' },
+  { field: 'logic_questions', idField: 'logic_question_id' },
+];
+
+/**
+ * Round a score to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check whether a submission entry counts as skipped
+ * @param {Object} entry - Answer, instrument or logic question entry
+ * @returns {boolean} True if the entry was skipped or left unanswered
+ */
+function isSkipped(entry) {
+  return (
+    entry.is_skip === 1 ||
+    entry.answer === null ||
+    entry.answer === undefined ||
+    entry.answer === ''
+  );
+}
+
+/**
+ * Parse a logic question answer string (e.g. 'true,false,true') into booleans
+ * @param {string} answer - Comma-separated answer string
+ * @returns {Array<boolean>} Selected flag for each choice, in choice order
+ */
+function parseLogicAnswer(answer) {
+  if (typeof answer !== 'string') {
+    return [];
+  }
+
+  return answer.split(',').map(value => value.trim().toLowerCase() === 'true');
+}
+
+/**
+ * Score a multiple-choice answer against the question's correct answer
+ * @param {Object} answer - Answer entry from the submission
+ * @param {Object|undefined} question - Question document
+ * @returns {{point: number, is_correct: boolean|null}} Score for the answer
+ */
+function scoreAnswer(answer, question) {
+  if (isSkipped(answer) || !question) {
+    return { point: 0, is_correct: null };
+  }
+
+  const isCorrect = answer.answer === question.correctAnswer;
+
+  return {
+    point: isCorrect ? submissionModel.scoring.answerPoint : 0,
+    is_correct: isCorrect,
+  };
+}
+
+/**
+ * Score a logic question answer against the choices' correctness flags.
+ * Each correct choice selected is worth an equal share of the question's points and each wrong
+ * choice selected takes one share away, floored at zero, so a partially correct selection earns
+ * partial credit while a blank answer earns none.
+ * @param {Object} entry - Logic question entry from the submission
+ * @param {Object|undefined} logicQuestion - Logic question document
+ * @returns {{point: number, is_correct: boolean|null}} Score for the entry
+ */
+function scoreLogicQuestion(entry, logicQuestion) {
+  if (isSkipped(entry) || !logicQuestion) {
+    return { point: 0, is_correct: null };
+  }
+
+  // Open questions cannot be graded automatically; they count once a reviewer has scored them
+  const choices = Array.isArray(logicQuestion.choices) ? logicQuestion.choices : [];
+  if (logicQuestion.type !== 'multiple_choice' || choices.length === 0) {
+    const finalScore = entry.grading && entry.grading.final_score;
+    if (typeof finalScore !== 'number') {
+      return { point: 0, is_correct: null };
+    }
+
+    const { logicQuestionPoint } = submissionModel.scoring;
+    return {
+      point: roundScore(Math.min(finalScore, logicQuestionPoint)),
+      is_correct: finalScore >= logicQuestionPoint,
+    };
+  }
+
+  const selected = parseLogicAnswer(entry.answer);
+  const isSelected = index => selected[index] === true;
+  const correctCount = choices.filter(choice => choice.is_correct).length;
+  const correctSelected = choices.filter(
+    (choice, index) => choice.is_correct && isSelected(index)
+  ).length;
+  const wrongSelected = choices.filter(
+    (choice, index) => !choice.is_correct && isSelected(index)
+  ).length;
+  const isCorrect = correctSelected === correctCount && wrongSelected === 0;
+
+  // A question without correct choices is only answered correctly by selecting nothing
+  let share = isCorrect ? 1 : 0;
+  if (correctCount > 0) {
+    share = Math.max(0, correctSelected - wrongSelected) / correctCount;
+  }
+
+  return {
+    point: roundScore(share * submissionModel.scoring.logicQuestionPoint),
+    is_correct: isCorrect,
+  };
+}
+
+/**
+ * Check whether an instrument response counts as skipped.
+ * Open-ended responses are written in `other`, so they count as answered when either field
+ * has text.
+ * @param {Object} entry - Instrument entry from the submission
+ * @param {Object|undefined} instrument - Instrument document
+ * @returns {boolean} True if the response was skipped or left unanswered
+ */
+function isInstrumentSkipped(entry, instrument) {
+  if (!instrument || instrument.type !== 'open-ended') {
+    return isSkipped(entry);
+  }
+
+  const hasText = value => typeof value === 'string' && value.trim() !== '';
+  return entry.is_skip === 1 || (!hasText(entry.other) && !hasText(entry.answer));
+}
+
+/**
+ * Score an instrument response. Instruments have no correct answer, so the
+ * point is the selected position on the response scale, mirrored for
+ * reverse-keyed instruments. Open-ended responses have no position on the scale; they
+ * count once a reviewer has scored them.
+ * @param {Object} entry - Instrument entry from the submission
+ * @param {Object|undefined} instrument - Instrument document
+ * @returns {{point: number, ungraded: boolean}} Score for the entry
+ */
+function scoreInstrument(entry, instrument) {
+  if (isInstrumentSkipped(entry, instrument)) {
+    return { point: 0, ungraded: false };
+  }
+
+  if (instrument && instrument.type === 'open-ended') {
+    const finalScore = entry.grading && entry.grading.final_score;
+    if (typeof finalScore !== 'number') {
+      return { point: 0, ungraded: true };
+    }
+
+    const { max } = submissionModel.instrumentValueRange;
+    return { point: roundScore(Math.min(finalScore, max)), ungraded: false };
+  }
+
+  const value = getKeyedValue(entry, instrument);
+  return { point: value === null ? 0 : value, ungraded: false };
+}
+
+/**
+ * Summarize the essay. Essays cannot be graded automatically, so they count once a reviewer
+ * has scored them; a skipped essay counts as zero.
+ * @param {Object|undefined} essay - Essay of the submission
+ * @returns {Object} Essay summary: point, max_point, total, graded, skipped and ungraded
+ */
+function scoreEssay(essay) {
+  const summary = { point: 0, max_point: 0, total: 0, graded: 0, skipped: 0, ungraded: 0 };
+  // Submissions without an essay store an empty one
+  if (!essay || (!essay.question && essay.is_skip !== 1 && isSkipped(essay))) {
+    return summary;
+  }
+
+  const { essayPoint } = submissionModel.scoring;
+  const finalScore = essay.grading && essay.grading.final_score;
+  summary.total = 1;
+
+  if (isSkipped(essay)) {
+    summary.skipped = 1;
+    summary.max_point = essayPoint;
+  } else if (typeof finalScore === 'number') {
+    summary.graded = 1;
+    summary.point = roundScore(Math.min(finalScore, essayPoint));
+    summary.max_point = essayPoint;
+  } else {
+    summary.ungraded = 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Create an empty section summary
+ * @returns {Object} Section summary with zeroed counters
+ */
+function createSectionSummary() {
+  return {
+    point: 0,
+    max_point: 0,
+    total: 0,
+    correct: 0,
+    partial: 0,
+    incorrect: 0,
+    skipped: 0,
+    ungraded: 0,
+  };
+}
+
+/**
+ * Calculate points and score summaries for a submission from pre-fetched documents
+ * @param {Object} submission - Submission data
+ * @param {Object} maps - Documents keyed by ID
+ * @param {Object} [maps.questionMap={}] - Questions keyed by ID
+ * @param {Object} [maps.instrumentMap={}] - Instruments keyed by ID
+ * @param {Object} [maps.logicQuestionMap={}] - Logic questions keyed by ID
+ * @param {Object} [maps.instrumentTagMap={}] - Instrument tags keyed by ID, for trait names
+ *   and norm bands
+ * @returns {Object} Submission with recomputed points and a `scores` summary
+ */
+function calculateScores(
+  submission,
+  { questionMap = {}, instrumentMap = {}, logicQuestionMap = {}, instrumentTagMap = {} }
+) {
+  const { answerPoint, logicQuestionPoint } = submissionModel.scoring;
+  const { max: instrumentMax } = submissionModel.instrumentValueRange;
+  const scoredSubmission = { ...submission };
+
+  const answersSummary = createSectionSummary();
+  if (Array.isArray(submission.answers)) {
+    scoredSubmission.answers = submission.answers.map(answer => {
+      const { point, is_correct } = scoreAnswer(answer, questionMap[answer.question_id]);
+
+      answersSummary.total += 1;
+      if (isSkipped(answer)) {
+        answersSummary.skipped += 1;
+      } else if (is_correct === null) {
+        answersSummary.ungraded += 1;
+      } else {
+        answersSummary[is_correct ? 'correct' : 'incorrect'] += 1;
+      }
+      if (is_correct !== null || isSkipped(answer)) {
+        answersSummary.max_point += answerPoint;
+      }
+      answersSummary.point += point;
+
+      return { ...answer, point, is_correct };
+    });
+  }
+
+  const logicSummary = createSectionSummary();
+  if (Array.isArray(submission.logic_questions)) {
+    scoredSubmission.logic_questions = submission.logic_questions.map(entry => {
+      const { point, is_correct } = scoreLogicQuestion(
+        entry,
+        logicQuestionMap[entry.logic_question_id]
+      );
+
+      logicSummary.total += 1;
+      if (isSkipped(entry)) {
+        logicSummary.skipped += 1;
+      } else if (is_correct === null) {
+        logicSummary.ungraded += 1;
+      } else if (is_correct) {
+        logicSummary.correct += 1;
+      } else {
+        logicSummary[point > 0 ? 'partial' : 'incorrect'] += 1;
+      }
+      if (is_correct !== null || isSkipped(entry)) {
+        logicSummary.max_point += logicQuestionPoint;
+      }
+      logicSummary.point += point;
+
+      return { ...entry, point, is_correct };
+    });
+  }
+
+  const instrumentsSummary = {
+    point: 0,
+    max_point: 0,
+    total: 0,
+    answered: 0,
+    skipped: 0,
+    ungraded: 0,
+  };
+  if (Array.isArray(submission.instruments)) {
+    scoredSubmission.instruments = submission.instruments.map(entry => {
+      const instrument = instrumentMap[entry.instrument_id];
+      const { point, ungraded } = scoreInstrument(entry, instrument);
+
+      instrumentsSummary.total += 1;
+      if (isInstrumentSkipped(entry, instrument)) {
+        instrumentsSummary.skipped += 1;
+      } else {
+        instrumentsSummary.answered += 1;
+        if (ungraded) {
+          instrumentsSummary.ungraded += 1;
+        } else {
+          instrumentsSummary.max_point += instrumentMax;
+        }
+      }
+      instrumentsSummary.point += point;
+
+      return { ...entry, point };
+    });
+  }
+
+  answersSummary.point = roundScore(answersSummary.point);
+  logicSummary.point = roundScore(logicSummary.point);
+  instrumentsSummary.point = roundScore(instrumentsSummary.point);
+  const essaySummary = scoreEssay(submission.essay);
+
+  // Instruments measure traits rather than correctness, so they are not part of the overall score
+  const overallPoint = roundScore(answersSummary.point + logicSummary.point + essaySummary.point);
+  const overallMax = answersSummary.max_point + logicSummary.max_point + essaySummary.max_point;
+
+  scoredSubmission.scores = {
+    answers: answersSummary,
+    logic_questions: logicSummary,
+    essay: essaySummary,
+    instruments: instrumentsSummary,
+    traits: calculateTraitScores(submission.instruments, instrumentMap, instrumentTagMap),
+    overall: {
+      point: overallPoint,
+      max_point: overallMax,
+      percentage: overallMax > 0 ? roundScore((overallPoint / overallMax) * 100) : 0,
+    },
+  };
+
+  return scoredSubmission;
+}
+
+/**
+ * Remove the fields the server computes from client-supplied submission data. Points and
+ * correctness are recomputed on scoring and grades are only written by the grading service, so
+ * the grades already stored on the submission are kept for the items that are resubmitted.
+ * @param {Object} submissionData - Client-supplied submission data
+ * @param {Object} [storedSubmission={}] - Stored submission the data updates
+ * @returns {Object} Copy of the submission data without client points, correctness and grades
+ */
+function stripScoredFields(submissionData, storedSubmission = {}) {
+  const stripEntry = (entry, grading) => {
+    const stripped = { ...entry };
+    delete stripped.point;
+    delete stripped.is_correct;
+    delete stripped.grading;
+    return grading ? { ...stripped, grading } : stripped;
+  };
+  const sanitized = { ...submissionData };
+
+  SCORED_SECTIONS.forEach(({ field, idField }) => {
+    if (!Array.isArray(submissionData[field])) {
+      return;
+    }
+
+    const storedGradings = new Map(
+      (storedSubmission[field] || [])
+        .filter(entry => entry && entry.grading)
+        .map(entry => [String(entry[idField]), entry.grading])
+    );
+    sanitized[field] = submissionData[field].map(entry =>
+      entry && typeof entry === 'object'
+        ? stripEntry(entry, storedGradings.get(String(entry[idField])))
+        : entry
+    );
+  });
+
+  if (submissionData.essay && typeof submissionData.essay === 'object') {
+    sanitized.essay = stripEntry(submissionData.essay, storedSubmission.essay?.grading);
+  }
+
+  return sanitized;
+}
+
+/**
+ * Score a submission by looking up the referenced questions, instruments and logic questions
+ * @async
+ * @param {Object} submission - Submission data
+ * @returns {Promise<Object>} Submission with server-computed points and a `scores` summary
+ */
+async function scoreSubmission(submission) {
+  const questionIds = Array.isArray(submission.answers)
+    ? submission.answers.map(answer => answer.question_id)
+    : [];
+  const instrumentIds = Array.isArray(submission.instruments)
+    ? submission.instruments.map(instrument => instrument.instrument_id)
+    : [];
+  const logicQuestionIds = Array.isArray(submission.logic_questions)
+    ? submission.logic_questions.map(logicQuestion => logicQuestion.logic_question_id)
+    : [];
+
+  const [questionMap, instrumentMap, logicQuestionMap] = await Promise.all([
+    fetchQuestionsByIds(questionIds),
+    fetchInstrumentsByIds(instrumentIds),
+    fetchLogicQuestionsByIds(logicQuestionIds),
+  ]);
+
+  const instrumentTagMap = await fetchInstrumentTagsByIds(
+    Object.values(instrumentMap).flatMap(instrument => instrument.tags || [])
+  );
+
+  const scoredSubmission = calculateScores(submission, {
+    questionMap,
+    instrumentMap,
+    logicQuestionMap,
+    instrumentTagMap,
+  });
+
+  logger.info(
+    `Scored submission for candidate ${submission.candidate_id}: ` +
+      `${scoredSubmission.scores.overall.point}/${scoredSubmission.scores.overall.max_point}`
+  );
+
+  return scoredSubmission;
+}
+
+module.exports = {
+  isSkipped,
+  parseLogicAnswer,
+  scoreAnswer,
+  scoreLogicQuestion,
+  scoreInstrument,
+  scoreEssay,
+  calculateScores,
+  stripScoredFields,
+  scoreSubmission,
+};
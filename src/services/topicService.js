@@ -0,0 +1,481 @@
+/**
+ * Topic Service Module
+ * Topics form a hierarchy through `parent_id` (e.g. "JavaScript > Async") and link to the
+ * languages and positions they apply to. Listings and details carry the number of questions
+ * of each topic.
+ * @module service/topicService
+ */
+
+const { ObjectId } = require('mongodb');
+const Topic = require('../models/topicModel');
+const {
+  createTopic,
+  getAllTopics,
+  countTopics,
+  getTopicById,
+  getTopicByTitle,
+  getTopicBySlug,
+  getChildTopics,
+  updateTopic,
+  deleteTopic,
+  countQuestionsByTopic,
+} = require('../repository/topicRepository');
+const { getLanguageById } = require('../repository/languageRepository');
+const { getPositionById } = require('../repository/positionRepository');
+const formatSlug = require('../utils/formatSlug');
+const logger = require('../utils/logger');
+
+/**
+ * Error messages for topic relationships
+ * @constant {Object}
+ */
+const TOPIC_ERRORS = {
+  INVALID_PARENT_ID: 'Invalid parent topic ID',
+  PARENT_NOT_FOUND: 'Parent topic not found',
+  PARENT_CYCLE: 'A topic cannot be placed under itself or one of its subtopics',
+  INVALID_LANGUAGE_IDS: 'language_ids must be an array of valid IDs',
+  INVALID_POSITION_IDS: 'position_ids must be an array of valid IDs',
+  LANGUAGES_NOT_FOUND: 'Languages not found',
+  POSITIONS_NOT_FOUND: 'Positions not found',
+  HAS_SUBTOPICS: 'Topic has subtopics; move or delete them first',
+  HAS_QUESTIONS: 'Topic is used by questions and cannot be deleted',
+};
+
+/**
+ * Fields of a topic that can be set through the API
+ * @constant {Array<string>}
+ */
+const TOPIC_FIELDS = [
+  'title',
+  'slug',
+  'difficulty',
+  'popularity',
+  'suitable_level',
+  'description',
+  'parent_id',
+  'language_ids',
+  'position_ids',
+];
+
+/**
+ * Create an error carrying the HTTP status the controllers respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with a `status`
+ */
+function createTopicError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Convert a list of ID strings to unique ObjectIds
+ * @param {*} ids - Value of language_ids or position_ids
+ * @param {string} message - Error message when the value is not a list of valid IDs
+ * @returns {Array<ObjectId>} ObjectIds
+ * @throws {Error} If the value is not an array of valid IDs
+ */
+function toObjectIds(ids, message) {
+  if (!Array.isArray(ids) || ids.some(id => !ObjectId.isValid(id))) {
+    throw createTopicError(message, 400);
+  }
+  return [...new Set(ids.map(id => id.toString()))].map(id => new ObjectId(id));
+}
+
+/**
+ * Keep the settable fields of the request data and convert the references to ObjectIds
+ * @param {Object} data - Topic data from the request
+ * @returns {Object} Topic fields to store
+ * @throws {Error} If an ID is invalid
+ */
+function normalizeTopicData(data) {
+  const topicData = {};
+  TOPIC_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      topicData[field] = data[field];
+    }
+  });
+
+  if (topicData.slug !== undefined) {
+    topicData.slug = formatSlug(topicData.slug);
+  }
+
+  if (topicData.parent_id !== undefined) {
+    if (topicData.parent_id === null || topicData.parent_id === '') {
+      topicData.parent_id = null;
+    } else if (ObjectId.isValid(topicData.parent_id)) {
+      topicData.parent_id = new ObjectId(topicData.parent_id);
+    } else {
+      throw createTopicError(TOPIC_ERRORS.INVALID_PARENT_ID, 400);
+    }
+  }
+
+  if (topicData.language_ids !== undefined) {
+    topicData.language_ids = toObjectIds(topicData.language_ids, TOPIC_ERRORS.INVALID_LANGUAGE_IDS);
+  }
+
+  if (topicData.position_ids !== undefined) {
+    topicData.position_ids = toObjectIds(topicData.position_ids, TOPIC_ERRORS.INVALID_POSITION_IDS);
+  }
+
+  return topicData;
+}
+
+/**
+ * Check that the title and slug are not used by another topic
+ * @async
+ * @param {Object} topicData - Topic fields to store
+ * @param {string} [id] - ID of the topic being updated
+ * @throws {Error} If another topic has the same title or slug
+ */
+async function checkUniqueFields(topicData, id) {
+  if (topicData.title !== undefined) {
+    const topicWithTitle = await getTopicByTitle(topicData.title);
+    if (topicWithTitle && topicWithTitle._id.toString() !== id) {
+      throw createTopicError(`Topic with title '${topicData.title}' already exists`, 409);
+    }
+  }
+
+  if (topicData.slug !== undefined) {
+    const topicWithSlug = await getTopicBySlug(topicData.slug);
+    if (topicWithSlug && topicWithSlug._id.toString() !== id) {
+      throw createTopicError(`Topic with slug '${topicData.slug}' already exists`, 409);
+    }
+  }
+}
+
+/**
+ * Check that the parent, languages and positions of a topic exist, and that the parent
+ * is not the topic itself or one of its subtopics
+ * @async
+ * @param {Object} topicData - Topic fields to store
+ * @param {string} [id] - ID of the topic being updated
+ * @throws {Error} If a reference is missing or the hierarchy would contain a cycle
+ */
+async function checkRelations(topicData, id) {
+  if (topicData.parent_id) {
+    let ancestorId = topicData.parent_id.toString();
+    const visited = new Set();
+
+    while (ancestorId && !visited.has(ancestorId)) {
+      if (ancestorId === id) {
+        throw createTopicError(TOPIC_ERRORS.PARENT_CYCLE, 400);
+      }
+      visited.add(ancestorId);
+
+      const ancestor = await getTopicById(ancestorId);
+      if (!ancestor) {
+        if (visited.size === 1) {
+          throw createTopicError(TOPIC_ERRORS.PARENT_NOT_FOUND, 400);
+        }
+        break;
+      }
+      ancestorId = ancestor.parent_id ? ancestor.parent_id.toString() : null;
+    }
+  }
+
+  const references = [
+    [topicData.language_ids, getLanguageById, TOPIC_ERRORS.LANGUAGES_NOT_FOUND],
+    [topicData.position_ids, getPositionById, TOPIC_ERRORS.POSITIONS_NOT_FOUND],
+  ];
+
+  for (const [ids, getById, message] of references) {
+    const missing = [];
+    for (const referenceId of ids || []) {
+      if (!(await getById(referenceId.toString()))) {
+        missing.push(referenceId.toString());
+      }
+    }
+    if (missing.length > 0) {
+      throw createTopicError(`${message}: ${missing.join(', ')}`, 400);
+    }
+  }
+}
+
+/**
+ * Get the ancestors of a topic, from the root down to its parent
+ * @async
+ * @param {Object} topic - Topic
+ * @returns {Promise<Array<Object>>} Ancestors as `{ _id, title, slug }`
+ */
+async function getTopicAncestors(topic) {
+  const ancestors = [];
+  const visited = new Set([topic._id.toString()]);
+  let parentId = topic.parent_id;
+
+  while (parentId && !visited.has(parentId.toString())) {
+    visited.add(parentId.toString());
+    const parent = await getTopicById(parentId.toString());
+    if (!parent) break;
+    ancestors.unshift({ _id: parent._id, title: parent.title, slug: parent.slug });
+    parentId = parent.parent_id;
+  }
+
+  return ancestors;
+}
+
+/**
+ * Create a new topic
+ * @async
+ * @param {Object} topicData - Topic data to create
+ * @returns {Promise<Object>} Created topic
+ * @throws {Error} If validation fails or creation fails
+ */
+async function createTopicService(topicData) {
+  try {
+    logger.info('Creating new topic in service');
+
+    const data = normalizeTopicData(topicData);
+    if (!data.slug && data.title) {
+      data.slug = formatSlug(data.title);
+    }
+
+    // Validate using Mongoose model
+    const topic = new Topic(data);
+    await topic.validate();
+
+    await checkUniqueFields(data);
+    await checkRelations(data);
+
+    return await createTopic({
+      ...data,
+      parent_id: data.parent_id || null,
+      language_ids: data.language_ids || [],
+      position_ids: data.position_ids || [],
+    });
+  } catch (error) {
+    logger.error('Error in create topic service:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all topics with optional filtering, each with its `question_count`
+ * @async
+ * @param {Object} [queryParams={}] - Query parameters for filtering
+ * @returns {Promise<Object>} Object containing topics array and total count
+ * @throws {Error} If retrieval fails
+ */
+async function getAllTopicsService(queryParams = {}) {
+  try {
+    logger.info('Getting all topics in service with params:', queryParams);
+
+    // Build filter object from query parameters
+    const filter = buildFilterFromQuery(queryParams);
+
+    // Build options object (sorting, pagination)
+    const options = buildOptionsFromQuery(queryParams);
+
+    const [topics, totalCount] = await Promise.all([
+      getAllTopics(filter, options),
+      countTopics(filter),
+    ]);
+    const questionCounts = await countQuestionsByTopic(topics);
+
+    return {
+      topics: topics.map(topic => ({
+        ...topic,
+        question_count: questionCounts.get(topic._id.toString()) || 0,
+      })),
+      totalCount,
+    };
+  } catch (error) {
+    logger.error('Error in get all topics service:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a topic by ID with its question count, its ancestors and its direct subtopics
+ * @async
+ * @param {string} id - Topic ID
+ * @returns {Promise<Object|null>} Topic object or null if not found
+ * @throws {Error} If retrieval fails
+ */
+async function getTopicByIdService(id) {
+  try {
+    logger.info(`Getting topic by ID in service: ${id}`);
+
+    const topic = await getTopicById(id);
+    if (!topic) {
+      return null;
+    }
+
+    const [questionCounts, ancestors, children] = await Promise.all([
+      countQuestionsByTopic([topic]),
+      getTopicAncestors(topic),
+      getChildTopics(topic._id),
+    ]);
+
+    return {
+      ...topic,
+      question_count: questionCounts.get(topic._id.toString()) || 0,
+      path: [...ancestors.map(ancestor => ancestor.title), topic.title].join(' > '),
+      ancestors,
+      children,
+    };
+  } catch (error) {
+    logger.error(`Error in get topic by ID service for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a topic by ID
+ * @async
+ * @param {string} id - Topic ID
+ * @param {Object} updateData - Data to update
+ * @returns {Promise<Object|null>} Updated topic or null if not found
+ * @throws {Error} If validation fails or update fails
+ */
+async function updateTopicService(id, updateData) {
+  try {
+    logger.info(`Updating topic in service with ID: ${id}`);
+
+    // Get existing topic to validate the update
+    const existingTopic = await getTopicById(id);
+
+    if (!existingTopic) {
+      logger.warn(`Topic with ID ${id} not found for update`);
+      return null;
+    }
+
+    const data = normalizeTopicData(updateData);
+
+    // Generate slug if title is updated but slug is not provided
+    if (data.title && data.title !== existingTopic.title && !data.slug) {
+      data.slug = formatSlug(data.title);
+    }
+
+    // Validate the updated data using Mongoose model
+    const { _id, ...existingTopicWithoutId } = existingTopic;
+    const topic = new Topic({ ...existingTopicWithoutId, ...data });
+    await topic.validate();
+
+    await checkUniqueFields(data, id);
+    await checkRelations(data, id);
+
+    // Update topic using repository
+    return await updateTopic(id, data);
+  } catch (error) {
+    logger.error(`Error in update topic service for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a topic by ID. Topics with subtopics or questions are kept, so that nothing is
+ * left pointing to a missing topic.
+ * @async
+ * @param {string} id - Topic ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ * @throws {Error} If the topic is still in use or deletion fails
+ */
+async function deleteTopicService(id) {
+  try {
+    logger.info(`Deleting topic in service with ID: ${id}`);
+
+    const topic = await getTopicById(id);
+    if (!topic) {
+      return false;
+    }
+
+    const children = await getChildTopics(topic._id);
+    if (children.length > 0) {
+      throw createTopicError(TOPIC_ERRORS.HAS_SUBTOPICS, 409);
+    }
+
+    const questionCounts = await countQuestionsByTopic([topic]);
+    if (questionCounts.get(topic._id.toString()) > 0) {
+      throw createTopicError(TOPIC_ERRORS.HAS_QUESTIONS, 409);
+    }
+
+    return await deleteTopic(id);
+  } catch (error) {
+    logger.error(`Error in delete topic service for ID ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Build filter object from query parameters
+ * @param {Object} queryParams - Query parameters
+ * @returns {Object} Filter object for MongoDB query
+ */
+function buildFilterFromQuery(queryParams) {
+  const filter = {};
+
+  // Add filters based on query parameters
+  if (queryParams.title) {
+    filter.title = { $regex: queryParams.title, $options: 'i' };
+  }
+
+  if (queryParams.slug) {
+    filter.slug = { $regex: queryParams.slug, $options: 'i' };
+  }
+
+  if (queryParams.difficulty) {
+    filter.difficulty = parseInt(queryParams.difficulty);
+  }
+
+  if (queryParams.popularity) {
+    filter.popularity = queryParams.popularity;
+  }
+
+  if (queryParams.suitable_level) {
+    filter.suitable_level = queryParams.suitable_level;
+  }
+
+  // `parent_id=null` lists the root topics
+  if (queryParams.parent_id === 'null') {
+    filter.parent_id = null;
+  } else if (ObjectId.isValid(queryParams.parent_id)) {
+    filter.parent_id = new ObjectId(queryParams.parent_id);
+  }
+
+  if (ObjectId.isValid(queryParams.language_id)) {
+    filter.language_ids = new ObjectId(queryParams.language_id);
+  }
+
+  if (ObjectId.isValid(queryParams.position_id)) {
+    filter.position_ids = new ObjectId(queryParams.position_id);
+  }
+
+  return filter;
+}
+
+/**
+ * Build options object from query parameters
+ * @param {Object} queryParams - Query parameters
+ * @returns {Object} Options object for MongoDB query
+ */
+function buildOptionsFromQuery(queryParams) {
+  const options = {};
+
+  // Add sorting
+  if (queryParams.sort_by) {
+    const sort_direction = queryParams.sort_direction === 'desc' ? -1 : 1;
+    options.sort = { [queryParams.sort_by]: sort_direction };
+  } else {
+    // Default sort by title ascending
+    options.sort = { title: 1 };
+  }
+
+  // Add pagination
+  const page = parseInt(queryParams.page) || 1;
+  const page_size = parseInt(queryParams.page_size) || parseInt(queryParams.limit) || 10;
+  options.skip = (page - 1) * page_size;
+  options.limit = page_size;
+
+  return options;
+}
+
+module.exports = {
+  TOPIC_ERRORS,
+  createTopicService,
+  getAllTopicsService,
+  getTopicByIdService,
+  updateTopicService,
+  deleteTopicService,
+};
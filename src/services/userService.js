@@ -4,6 +4,9 @@
  */
 
 const userRepository = require('../repository/userRepository');
+const { USER_ROLES } = require('../config/roleConfig');
+const { getAccountConfig } = require('../config/accountConfig');
+const { isValidPassword, describePasswordPolicy } = require('../utils/passwordPolicy');
 const logger = require('../utils/logger');
 
 /**
@@ -17,13 +20,12 @@ const isValidEmail = email => {
 };
 
 /**
- * Validate password strength
- * @param {string} password - The password to validate
+ * Validate a user role
+ * @param {string} role - The role to validate
  * @returns {boolean} - True if valid, false otherwise
  */
-const isValidPassword = password => {
-  // Password must be at least 8 characters
-  return password && password.length >= 8;
+const isValidRole = role => {
+  return USER_ROLES.includes(role);
 };
 
 /**
@@ -85,7 +87,12 @@ const createUser = async userData => {
 
     // Validate password
     if (!isValidPassword(userData.password)) {
-      throw new Error('Password must be at least 8 characters long');
+      throw new Error(describePasswordPolicy());
+    }
+
+    // Validate role if provided
+    if (userData.role !== undefined && !isValidRole(userData.role)) {
+      throw new Error(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
     }
 
     // Check if email already exists
@@ -129,15 +136,28 @@ const updateUser = async (id, userData) => {
 
     // Validate password if provided
     if (userData.password && !isValidPassword(userData.password)) {
-      throw new Error('Password must be at least 8 characters long');
+      throw new Error(describePasswordPolicy());
     }
 
+    // Validate role if provided
+    if (userData.role !== undefined && !isValidRole(userData.role)) {
+      throw new Error(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
+    }
+
+    const changes = { ...userData };
+
     // Check if email already exists (if changing email)
     if (userData.email) {
       const existingEmail = await userRepository.findByEmail(userData.email);
       if (existingEmail && existingEmail._id.toString() !== id) {
         throw new Error('Email already in use');
       }
+
+      // A new address has to be verified again
+      if (!existingEmail) {
+        changes.emailVerified = false;
+        changes.emailVerifiedAt = null;
+      }
     }
 
     // Check if username already exists (if changing username)
@@ -149,7 +169,7 @@ const updateUser = async (id, userData) => {
     }
 
     // Update user
-    const user = await userRepository.update(id, userData);
+    const user = await userRepository.update(id, changes);
     if (!user) return null;
 
     // Return user without password
@@ -194,7 +214,33 @@ const listUsers = async (filters = {}, pagination = {}, sort = {}) => {
 };
 
 /**
- * Validate user credentials
+ * Count a failed password login and lock the user out after too many in a row.
+ * Each lockout since the last successful login doubles the lockout duration, up to the maximum.
+ * @param {Object} user - The user
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async user => {
+  const { maxAttempts, duration, maxDuration } = getAccountConfig().lockout;
+  if (!maxAttempts) {
+    return;
+  }
+
+  const attempts = await userRepository.incrementFailedLogins(user._id);
+  if (!attempts || attempts.failedLoginAttempts < maxAttempts) {
+    return;
+  }
+
+  const lockoutDuration = Math.min(duration * 2 ** (attempts.lockoutCount || 0), maxDuration);
+  await userRepository.lockUser(user._id, new Date(Date.now() + lockoutDuration));
+  logger.warn(
+    `Locked user ${user.username} for ${Math.round(lockoutDuration / 1000)}s after ${attempts.failedLoginAttempts} failed logins`
+  );
+};
+
+/**
+ * Validate user credentials.
+ * Locked out users are refused without checking the password, and a wrong password counts
+ * towards the lockout (see LOGIN_MAX_ATTEMPTS).
  * @param {string} usernameOrEmail - The username or email
  * @param {string} password - The password to validate
  * @returns {Promise<Object|null>} - The user if valid, null otherwise
@@ -215,9 +261,21 @@ const validateUserCredentials = async (usernameOrEmail, password) => {
     // If user not found or password doesn't match
     if (!user) return null;
 
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      logger.warn(`Refused login of locked out user ${user.username}`);
+      return null;
+    }
+
     // Compare password
     const isMatch = await user.comparePassword(password);
-    if (!isMatch) return null;
+    if (!isMatch) {
+      await recordFailedLogin(user);
+      return null;
+    }
+
+    if (user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) {
+      await userRepository.resetFailedLogins(user._id);
+    }
 
     // Return user without password
     const userObject = user.toObject();
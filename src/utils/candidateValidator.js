@@ -4,6 +4,7 @@
  */
 
 const candidateModel = require('../models/candidateModel');
+const { PIPELINE_STAGES } = require('../config/candidatePipelineConfig');
 const logger = require('./logger');
 
 /**
@@ -67,6 +68,19 @@ function validateCandidateInput(candidateData) {
   };
 }
 
+/**
+ * Validates the pipeline stage a candidate is created in
+ * @param {*} status - Status to validate (optional)
+ * @returns {Array<string>} Validation errors
+ */
+function validateCandidateStatus(status) {
+  if (status === undefined || PIPELINE_STAGES.includes(status)) {
+    return [];
+  }
+
+  return [`Status must be one of: ${PIPELINE_STAGES.join(', ')}`];
+}
+
 /**
  * Formats candidate data with default values for missing fields
  * @param {Object} candidateData - Raw candidate data
@@ -104,6 +118,10 @@ function sanitizeUpdateData(updateData) {
   // Don't allow updating createdAt
   delete sanitized.createdAt;
 
+  // Status changes go through the pipeline transitions, which check and record them
+  delete sanitized.status;
+  delete sanitized.status_history;
+
   // Always update the updatedAt timestamp
   sanitized.updatedAt = new Date().toISOString();
 
@@ -112,6 +130,7 @@ function sanitizeUpdateData(updateData) {
 
 module.exports = {
   validateCandidateInput,
+  validateCandidateStatus,
   formatCandidateDefaults,
   sanitizeUpdateData,
   isValidEmail,
@@ -0,0 +1,121 @@
+/**
+ * CSV Formatting and Parsing Utility
+ * @module utils/csvFormatter
+ */
+
+/**
+ * Escape a value for a CSV cell. Values containing a comma, quote or line break are
+ * quoted, and cells that a spreadsheet would run as a formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<*>>} rows - Rows of cell values, in header order
+ * @returns {string} CSV text with CRLF line endings
+ */
+function formatCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Undo the formula guard of escapeCsvValue on a parsed cell
+ * @param {string} text - Cell text
+ * @returns {string} Original text
+ */
+function restoreCsvValue(text) {
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Parse CSV text. Quoted cells may contain commas, doubled quotes and line breaks.
+ * Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows as `{ line, values }`, line being where the row starts (from 1)
+ * @throws {Error} If a quoted cell is not closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let rowHasContent = false;
+
+  const endRow = () => {
+    if (rowHasContent) {
+      rows.push({ line: rowLine, values: [...values, value] });
+    }
+    values = [];
+    value = '';
+    rowHasContent = false;
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '\r' && text[index + 1] === '\n') {
+      continue;
+    }
+    if (char === '\n' || char === '\r') {
+      endRow();
+      line += 1;
+      rowLine = line;
+      continue;
+    }
+
+    rowHasContent = true;
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quoted value starting on line ${rowLine}`);
+  }
+  endRow();
+
+  return rows;
+}
+
+module.exports = {
+  escapeCsvValue,
+  formatCsv,
+  restoreCsvValue,
+  parseCsv,
+};
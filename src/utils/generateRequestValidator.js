@@ -4,6 +4,7 @@
  */
 
 const { VALID_POSITIONS } = require('./positionUtils');
+const { getLLMProviderNames } = require('../config/llmConfig');
 
 /**
  * Validates the request body for generating questions
@@ -11,7 +12,7 @@ const { VALID_POSITIONS } = require('./positionUtils');
  * @returns {Object} - Validation result with errors array
  */
 const validateGenerateRequest = requestBody => {
-  const { topic, language, position } = requestBody;
+  const { topic, language, position, provider, model } = requestBody;
   const validationErrors = [];
 
   if (!topic || typeof topic !== 'string') {
@@ -35,6 +36,16 @@ const validateGenerateRequest = requestBody => {
     validationErrors.push(`Position must be one of: ${VALID_POSITIONS.join(', ')}`);
   }
 
+  // Provider and model are optional and fall back to the configured defaults
+  const providerNames = getLLMProviderNames();
+  if (provider !== undefined && !providerNames.includes(provider)) {
+    validationErrors.push(`Provider must be one of: ${providerNames.join(', ')}`);
+  }
+
+  if (model !== undefined && (typeof model !== 'string' || model.trim() === '')) {
+    validationErrors.push('Model must be a non-empty string');
+  }
+
   return {
     isValid: validationErrors.length === 0,
     errors: validationErrors,
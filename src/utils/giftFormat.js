@@ -0,0 +1,246 @@
+/**
+ * GIFT Format Utility
+ * Reads and writes the subset of the Moodle GIFT format used by the question bank:
+ * comment lines, an optional `::title::`, the question text and an answer block with
+ * `=` (correct), `~` (wrong) or `~%weight%` answers and `####` general feedback. An empty
+ * answer block is an essay question and `{T}`/`{F}` a true/false question.
+ * @module utils/giftFormat
+ */
+
+/**
+ * Characters with a special meaning in GIFT, escaped with a backslash
+ * @constant {RegExp}
+ */
+const SPECIAL_CHARACTERS = /[~=#{}:]/g;
+
+/**
+ * Escape text for GIFT. Line breaks are written as `\n` so a question stays on one block.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeGiftText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(SPECIAL_CHARACTERS, match => `\\${match}`)
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Unescape GIFT text
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeGiftText(text) {
+  return text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char)).trim();
+}
+
+/**
+ * Find the first unescaped occurrence of a string
+ * @param {string} text - Text to search
+ * @param {string} search - String to find
+ * @param {number} [from=0] - Index to start at
+ * @returns {number} Index, or -1 if not found
+ */
+function indexOfUnescaped(text, search, from = 0) {
+  for (let index = from; index < text.length; index += 1) {
+    if (text[index] === '\\') {
+      index += 1;
+    } else if (text.startsWith(search, index)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Format a question as a GIFT block
+ * @param {Object} question - Question to format
+ * @param {Array<string>} [question.comments] - Comment lines, without the leading `//`
+ * @param {string} [question.title] - Question title
+ * @param {string} question.text - Question text
+ * @param {Array<Object>} [question.answers] - Answers as `{ text, correct }`, or
+ *   `{ text, weight }` with a weight in percent; no answers makes an essay question
+ * @param {string} [question.feedback] - General feedback
+ * @returns {string} GIFT block
+ */
+function formatGiftQuestion({ comments = [], title, text, answers = [], feedback }) {
+  const lines = comments.map(comment => `// ${comment}`);
+  const head = `${title ? `::${escapeGiftText(title)}::` : ''}${escapeGiftText(text)}`;
+
+  const body = answers.map(answer => {
+    if (answer.weight !== undefined) {
+      return `  ~%${answer.weight}%${escapeGiftText(answer.text)}`;
+    }
+    return `  ${answer.correct ? '=' : '~'}${escapeGiftText(answer.text)}`;
+  });
+  if (feedback) {
+    body.push(`  ####${escapeGiftText(feedback)}`);
+  }
+
+  if (body.length === 0) {
+    lines.push(`${head} {}`);
+  } else {
+    lines.push(`${head} {`, ...body, '}');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format questions as a GIFT document
+ * @param {Array<Object>} questions - Questions, see formatGiftQuestion
+ * @returns {string} GIFT text
+ */
+function formatGift(questions) {
+  return questions.map(formatGiftQuestion).join('\n\n') + '\n';
+}
+
+/**
+ * Parse the answer block of a question
+ * @param {string} block - Text between the braces
+ * @returns {Object} `{ type, answers, feedback }`
+ */
+function parseAnswerBlock(block) {
+  let answerText = block;
+  let feedback = null;
+  const feedbackIndex = indexOfUnescaped(block, '####');
+  if (feedbackIndex !== -1) {
+    answerText = block.slice(0, feedbackIndex);
+    feedback = unescapeGiftText(block.slice(feedbackIndex + 4));
+  }
+
+  const trimmed = answerText.trim();
+  if (!trimmed) {
+    return { type: 'essay', answers: [], feedback };
+  }
+  if (/^(T|TRUE|F|FALSE)$/i.test(trimmed)) {
+    const isTrue = /^T/i.test(trimmed);
+    return {
+      type: 'truefalse',
+      answers: [
+        { text: 'True', correct: isTrue },
+        { text: 'False', correct: !isTrue },
+      ],
+      feedback,
+    };
+  }
+
+  const answers = [];
+  let current = null;
+  for (let index = 0; index < answerText.length; index += 1) {
+    const char = answerText[index];
+    if (char === '\\') {
+      if (current) {
+        current.raw += answerText.slice(index, index + 2);
+      }
+      index += 1;
+    } else if (char === '=' || char === '~') {
+      current = { marker: char, raw: '' };
+      answers.push(current);
+    } else if (current) {
+      current.raw += char;
+    }
+  }
+
+  return {
+    type: 'multichoice',
+    answers: answers.map(({ marker, raw }) => {
+      // Drop per-answer feedback
+      const feedbackStart = indexOfUnescaped(raw, '#');
+      const content = feedbackStart === -1 ? raw : raw.slice(0, feedbackStart);
+      const weight = content.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      const text = unescapeGiftText(weight ? content.slice(weight[0].length) : content);
+
+      if (weight) {
+        return { text, correct: Number(weight[1]) > 0, weight: Number(weight[1]) };
+      }
+      return { text, correct: marker === '=' };
+    }),
+    feedback,
+  };
+}
+
+/**
+ * Parse one question block
+ * @param {Array<string>} lines - Lines of the block
+ * @param {number} line - Line the block starts on (from 1)
+ * @returns {Object} Parsed question, with `error` set if it could not be read
+ */
+function parseGiftBlock(lines, line) {
+  const comments = [];
+  const content = [];
+  lines.forEach(text => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('//')) {
+      comments.push(trimmed.slice(2).trim());
+    } else if (!trimmed.startsWith('$CATEGORY:')) {
+      content.push(text);
+    }
+  });
+
+  const question = { line, comments, title: null, text: '', answers: [], feedback: null };
+  let source = content.join('\n').trim();
+  if (!source) {
+    return null;
+  }
+
+  if (source.startsWith('::')) {
+    const titleEnd = indexOfUnescaped(source, '::', 2);
+    if (titleEnd !== -1) {
+      question.title = unescapeGiftText(source.slice(2, titleEnd));
+      source = source.slice(titleEnd + 2);
+    }
+  }
+
+  const open = indexOfUnescaped(source, '{');
+  const close = open === -1 ? -1 : indexOfUnescaped(source, '}', open);
+  if (open === -1 || close === -1) {
+    return { ...question, error: 'Missing answer block in braces' };
+  }
+
+  question.text = unescapeGiftText(source.slice(0, open));
+  return { ...question, ...parseAnswerBlock(source.slice(open + 1, close)) };
+}
+
+/**
+ * Parse a GIFT document. Questions are separated by blank lines.
+ * @param {string} text - GIFT text
+ * @returns {Array<Object>} Questions as `{ line, comments, title, text, type, answers,
+ *   feedback }`, type being `multichoice`, `truefalse` or `essay`; questions that could
+ *   not be read have an `error` instead
+ */
+function parseGift(text) {
+  const questions = [];
+  let block = [];
+  let blockLine = 1;
+
+  const endBlock = () => {
+    const question = block.length > 0 ? parseGiftBlock(block, blockLine) : null;
+    if (question) {
+      questions.push(question);
+    }
+    block = [];
+  };
+
+  text.split(/\r?\n/).forEach((lineText, index) => {
+    if (!lineText.trim()) {
+      endBlock();
+      return;
+    }
+    if (block.length === 0) {
+      blockLine = index + 1;
+    }
+    block.push(lineText);
+  });
+  endBlock();
+
+  return questions;
+}
+
+module.exports = {
+  escapeGiftText,
+  unescapeGiftText,
+  formatGiftQuestion,
+  formatGift,
+  parseGift,
+};
@@ -0,0 +1,99 @@
+/**
+ * Multipart Form Data Parser
+ * @module utils/multipartParser
+ */
+
+/**
+ * Get the boundary of a multipart/form-data content type
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Boundary, or null if the content type is not multipart/form-data
+ */
+function getMultipartBoundary(contentType) {
+  if (!contentType || !/^multipart\/form-data/i.test(contentType)) {
+    return null;
+  }
+
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Parse the headers of a part
+ * @param {string} headerText - Header lines of the part
+ * @returns {Object} `{ name, fileName, contentType }`
+ */
+function parsePartHeaders(headerText) {
+  const part = { name: null, fileName: null, contentType: null };
+
+  headerText.split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const header = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (header === 'content-disposition') {
+      const name = value.match(/\bname="([^"]*)"/i);
+      const fileName = value.match(/\bfilename="([^"]*)"/i);
+      part.name = name ? name[1] : null;
+      part.fileName = fileName ? fileName[1] : null;
+    } else if (header === 'content-type') {
+      part.contentType = value;
+    }
+  });
+
+  return part;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} boundary - Multipart boundary
+ * @returns {Object} `{ fields, files }`: text fields by name, and files as
+ *   `{ fieldName, fileName, contentType, content }` with the content as a Buffer
+ */
+function parseMultipartBody(body, boundary) {
+  const fields = {};
+  const files = [];
+  const delimiter = Buffer.from(`--${boundary}`);
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // The closing delimiter is followed by "--"
+    if (body.slice(partStart, partStart + 2).toString() === '--') {
+      break;
+    }
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) {
+      break;
+    }
+
+    // Parts start after the CRLF of the delimiter and end before the CRLF of the next one
+    const part = body.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const { name, fileName, contentType } = parsePartHeaders(
+        part.slice(0, headerEnd).toString('utf8')
+      );
+      const content = part.slice(headerEnd + 4);
+
+      if (name && fileName !== null) {
+        files.push({ fieldName: name, fileName, contentType, content });
+      } else if (name) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+module.exports = {
+  getMultipartBoundary,
+  parseMultipartBody,
+};
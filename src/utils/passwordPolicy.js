@@ -0,0 +1,56 @@
+/**
+ * Password Policy Utilities
+ * @module utils/passwordPolicy
+ */
+
+const { getAccountConfig } = require('../config/accountConfig');
+
+/**
+ * Character class rules of the password policy, in the order they are described
+ * @constant {Array<Object>}
+ */
+const CHARACTER_RULES = [
+  { option: 'requireLowercase', pattern: /[a-z]/, description: 'a lowercase letter' },
+  { option: 'requireUppercase', pattern: /[A-Z]/, description: 'an uppercase letter' },
+  { option: 'requireNumber', pattern: /[0-9]/, description: 'a number' },
+  { option: 'requireSymbol', pattern: /[^A-Za-z0-9]/, description: 'a symbol' },
+];
+
+/**
+ * Describe what the password policy requires, e.g.
+ * "Password must be at least 10 characters long and contain an uppercase letter and a number"
+ * @param {Object} [policy] - Password policy (defaults to the configured policy)
+ * @returns {string} Description of the policy
+ */
+const describePasswordPolicy = (policy = getAccountConfig().passwordPolicy) => {
+  const required = CHARACTER_RULES.filter(rule => policy[rule.option]).map(
+    rule => rule.description
+  );
+  const length = `Password must be at least ${policy.minLength} characters long`;
+
+  if (required.length === 0) {
+    return length;
+  }
+
+  const last = required.pop();
+  return `${length} and contain ${required.length ? `${required.join(', ')} and ${last}` : last}`;
+};
+
+/**
+ * Check a password against the password policy
+ * @param {string} password - The password to check
+ * @param {Object} [policy] - Password policy (defaults to the configured policy)
+ * @returns {boolean} True if the password satisfies the policy
+ */
+const isValidPassword = (password, policy = getAccountConfig().passwordPolicy) => {
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    return false;
+  }
+
+  return CHARACTER_RULES.every(rule => !policy[rule.option] || rule.pattern.test(password));
+};
+
+module.exports = {
+  describePasswordPolicy,
+  isValidPassword,
+};
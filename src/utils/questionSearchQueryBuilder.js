@@ -226,7 +226,24 @@ function buildMongoQuery(
   return { filter, sortOptions, skip, limit };
 }
 
+/**
+ * Builds the filter condition for the moderation status of questions
+ * @param {Array<string>} [statuses=['approved']] - Statuses to include
+ * @returns {Object} MongoDB filter condition on `status`
+ */
+function buildStatusFilter(statuses = ['approved']) {
+  const values = [...statuses];
+
+  // Questions stored before the review workflow have no status and count as approved
+  if (values.includes('approved')) {
+    values.push(null);
+  }
+
+  return { status: { $in: values } };
+}
+
 module.exports = {
   buildMongoQuery,
+  buildStatusFilter,
   convertToObjectIds,
 };
@@ -3,6 +3,8 @@
  * @module utils/questionSearchValidator
  */
 
+const { QUESTION_STATUSES } = require('../models/questionModel');
+
 /**
  * Validates search parameters from the request query
  * @param {Object} query - The request query object
@@ -138,6 +140,27 @@ function validateSearchParams(query) {
     params.ignore_question_ids = []; // Default value is an empty array
   }
 
+  // Optional status parameter (comma-separated statuses or 'all'); only approved
+  // questions are searched when it is omitted
+  if (params.status !== undefined) {
+    if (typeof params.status !== 'string') {
+      errors.push('status must be a string of comma-separated statuses');
+    } else if (params.status.trim().toLowerCase() === 'all') {
+      params.status = [...QUESTION_STATUSES];
+    } else {
+      const statuses = params.status
+        .split(',')
+        .map(status => status.trim().toLowerCase())
+        .filter(Boolean);
+
+      if (statuses.length === 0 || statuses.some(status => !QUESTION_STATUSES.includes(status))) {
+        errors.push(`status must be 'all' or one or more of: ${QUESTION_STATUSES.join(', ')}`);
+      } else {
+        params.status = statuses;
+      }
+    }
+  }
+
   return { params, errors };
 }
 
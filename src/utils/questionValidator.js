@@ -3,12 +3,19 @@
  * @module utils/questionValidator
  */
 
+/**
+ * Moderation statuses a question can be created with
+ * @constant {Array<string>}
+ */
+const CREATE_STATUSES = ['draft', 'pending_review', 'approved'];
+
 /**
  * Validates question data for creation or update
  * @param {Object} data - Question data to validate
+ * @param {boolean} [isUpdate=false] - Whether this is an update (the status is then ignored)
  * @returns {Object} Validation result with errors array and isValid flag
  */
-function validateQuestionData(data) {
+function validateQuestionData(data, isUpdate = false) {
   const errors = [];
 
   // Check if data is provided
@@ -82,6 +89,11 @@ function validateQuestionData(data) {
     errors.push('Position level must be an integer greater than or equal to 1');
   }
 
+  // Validate status (optional, only set on creation)
+  if (!isUpdate && data.status !== undefined && !CREATE_STATUSES.includes(data.status)) {
+    errors.push(`Status must be one of: ${CREATE_STATUSES.join(', ')}`);
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
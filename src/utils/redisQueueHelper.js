@@ -12,6 +12,26 @@ const logger = require('./logger');
  */
 const DEFAULT_QUEUE = 'queues';
 
+/**
+ * Names of the Redis keys that belong to a queue.
+ * Reserved items are held in a processing list until they are acknowledged,
+ * retries wait in the delayed sorted set (scored by due time) and items that
+ * used all attempts end up in the dead-letter list. Each worker has its own
+ * processing list and heartbeat key; the ids of registered workers are kept in a set.
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {string} [workerId] - Worker the processing list and heartbeat belong to
+ * @returns {Object} Key names: processing, delayed, deadLetter, workers and heartbeat
+ */
+function getQueueKeys(queueName = DEFAULT_QUEUE, workerId) {
+  return {
+    processing: workerId ? `${queueName}:processing:${workerId}` : `${queueName}:processing`,
+    delayed: `${queueName}:delayed`,
+    deadLetter: `${queueName}:dead`,
+    workers: `${queueName}:workers`,
+    heartbeat: workerId ? `${queueName}:heartbeat:${workerId}` : null,
+  };
+}
+
 /**
  * Add a new item to a Redis queue
  * @async
@@ -175,8 +195,342 @@ async function getQueueLength(queueName = DEFAULT_QUEUE) {
   }
 }
 
+/**
+ * Reserve the next item of a queue. The item is atomically moved to the processing
+ * list, so it survives a worker crash until acknowledgeQueueItem is called.
+ * Items that cannot be parsed are moved to the dead-letter list.
+ * With a timeout the call blocks until an item arrives; blocking commands hold their
+ * connection, so pass a dedicated client (see getRedisClient().duplicate()).
+ * @async
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {Object} [options={}] - Reserve options
+ * @param {string} [options.workerId] - Worker whose processing list receives the item
+ * @param {number} [options.timeout] - Seconds to wait for an item (no waiting if omitted)
+ * @param {Object} [options.client] - Redis client to run the command on
+ * @returns {Promise<Object|null>} `{ item, raw }` with the parsed and raw item, or null if the queue is empty
+ * @throws {Error} If reserving fails
+ */
+async function reserveFromQueue(queueName = DEFAULT_QUEUE, options = {}) {
+  try {
+    const redis = options.client || getRedisClient();
+    const keys = getQueueKeys(queueName, options.workerId);
+    const raw = options.timeout
+      ? await redis.blmove(queueName, keys.processing, 'LEFT', 'RIGHT', options.timeout)
+      : await redis.lmove(queueName, keys.processing, 'LEFT', 'RIGHT');
+
+    if (!raw) {
+      return null;
+    }
+
+    try {
+      return { item: JSON.parse(raw), raw };
+    } catch (parseError) {
+      logger.error(`Failed to parse queue item from '${queueName}':`, parseError);
+      await redis.rpush(keys.deadLetter, raw);
+      await redis.lrem(keys.processing, 1, raw);
+      return null;
+    }
+  } catch (error) {
+    logger.error(`Failed to reserve item from queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a reserved item from the processing list once it has been handled
+ * @async
+ * @param {string} raw - Raw item returned by reserveFromQueue
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {string} [workerId] - Worker that reserved the item
+ * @returns {Promise<number>} Number of items removed
+ * @throws {Error} If acknowledging fails
+ */
+async function acknowledgeQueueItem(raw, queueName = DEFAULT_QUEUE, workerId) {
+  try {
+    const redis = getRedisClient();
+    return await redis.lrem(getQueueKeys(queueName, workerId).processing, 1, raw);
+  } catch (error) {
+    logger.error(`Failed to acknowledge item of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Put a reserved item back at the front of its queue
+ * @async
+ * @param {string} raw - Raw item returned by reserveFromQueue
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {string} [workerId] - Worker that reserved the item
+ * @returns {Promise<void>}
+ * @throws {Error} If releasing fails
+ */
+async function releaseQueueItem(raw, queueName = DEFAULT_QUEUE, workerId) {
+  try {
+    const redis = getRedisClient();
+    const removed = await redis.lrem(getQueueKeys(queueName, workerId).processing, 1, raw);
+    if (removed > 0) {
+      await redis.lpush(queueName, raw);
+    }
+  } catch (error) {
+    logger.error(`Failed to release item of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Move every item left in a processing list back to the front of the queue.
+ * Used to recover jobs that were in flight when a worker crashed or stopped.
+ * @async
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {string} [workerId] - Worker whose processing list is recovered
+ * @returns {Promise<number>} Number of recovered items
+ * @throws {Error} If recovering fails
+ */
+async function requeueProcessingItems(queueName = DEFAULT_QUEUE, workerId) {
+  try {
+    const redis = getRedisClient();
+    const keys = getQueueKeys(queueName, workerId);
+    let count = 0;
+
+    while (await redis.lmove(keys.processing, queueName, 'RIGHT', 'LEFT')) {
+      count++;
+    }
+
+    if (count > 0) {
+      logger.info(`Recovered ${count} in-flight items into queue '${queueName}'`, { workerId });
+    }
+
+    return count;
+  } catch (error) {
+    logger.error(`Failed to recover in-flight items of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Register a worker and refresh its heartbeat. The heartbeat key expires after `ttl`
+ * milliseconds, so a worker that stops sending heartbeats is considered dead.
+ * @async
+ * @param {string} workerId - Worker ID
+ * @param {Object} info - Worker state stored with the heartbeat
+ * @param {number} ttl - Milliseconds until the heartbeat expires
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<void>}
+ * @throws {Error} If recording fails
+ */
+async function recordWorkerHeartbeat(workerId, info, ttl, queueName = DEFAULT_QUEUE) {
+  try {
+    const redis = getRedisClient();
+    const keys = getQueueKeys(queueName, workerId);
+    // Write the heartbeat first so the worker is never registered without one
+    await redis.set(
+      keys.heartbeat,
+      JSON.stringify({ ...info, lastHeartbeat: new Date().toISOString() }),
+      'PX',
+      ttl
+    );
+    await redis.sadd(keys.workers, workerId);
+  } catch (error) {
+    logger.error(`Failed to record heartbeat of worker ${workerId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Unregister a worker and delete its heartbeat
+ * @async
+ * @param {string} workerId - Worker ID
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<void>}
+ * @throws {Error} If removing fails
+ */
+async function removeWorker(workerId, queueName = DEFAULT_QUEUE) {
+  try {
+    const redis = getRedisClient();
+    const keys = getQueueKeys(queueName, workerId);
+    await redis.srem(keys.workers, workerId);
+    await redis.del(keys.heartbeat);
+  } catch (error) {
+    logger.error(`Failed to remove worker ${workerId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the registered workers of a queue with their last heartbeat.
+ * Workers whose heartbeat has expired are returned with `alive: false`.
+ * @async
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<Array<Object>>} Workers with id, alive flag, heartbeat data and number of reserved items
+ * @throws {Error} If reading fails
+ */
+async function getWorkers(queueName = DEFAULT_QUEUE) {
+  try {
+    const redis = getRedisClient();
+    const workerIds = await redis.smembers(getQueueKeys(queueName).workers);
+
+    return await Promise.all(
+      workerIds.sort().map(async workerId => {
+        const keys = getQueueKeys(queueName, workerId);
+        const [heartbeat, reserved] = await Promise.all([
+          redis.get(keys.heartbeat),
+          redis.llen(keys.processing),
+        ]);
+
+        let info = {};
+        if (heartbeat) {
+          try {
+            info = JSON.parse(heartbeat);
+          } catch (parseError) {
+            logger.error(`Failed to parse heartbeat of worker ${workerId}:`, parseError);
+          }
+        }
+
+        return { id: workerId, alive: Boolean(heartbeat), ...info, reserved };
+      })
+    );
+  } catch (error) {
+    logger.error(`Failed to get workers of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Re-queue the items reserved by workers whose heartbeat has expired and unregister them
+ * @async
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<number>} Number of recovered items
+ * @throws {Error} If recovering fails
+ */
+async function recoverDeadWorkers(queueName = DEFAULT_QUEUE) {
+  try {
+    const redis = getRedisClient();
+    const workerIds = await redis.smembers(getQueueKeys(queueName).workers);
+    let count = 0;
+
+    for (const workerId of workerIds) {
+      if (await redis.exists(getQueueKeys(queueName, workerId).heartbeat)) {
+        continue;
+      }
+
+      logger.warn(`Worker ${workerId} stopped sending heartbeats, recovering its items`);
+      count += await requeueProcessingItems(queueName, workerId);
+      await redis.srem(getQueueKeys(queueName).workers, workerId);
+    }
+
+    return count;
+  } catch (error) {
+    logger.error(`Failed to recover dead workers of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the number of items waiting, scheduled for retry and dead-lettered in a queue
+ * @async
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<Object>} Counts: waiting, delayed and deadLetter
+ * @throws {Error} If reading fails
+ */
+async function getQueueStats(queueName = DEFAULT_QUEUE) {
+  try {
+    const redis = getRedisClient();
+    const keys = getQueueKeys(queueName);
+    const [waiting, delayed, deadLetter] = await Promise.all([
+      redis.llen(queueName),
+      redis.zcard(keys.delayed),
+      redis.llen(keys.deadLetter),
+    ]);
+
+    return { waiting, delayed, deadLetter };
+  } catch (error) {
+    logger.error(`Failed to get stats of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Schedule an item to be added back to its queue later
+ * @async
+ * @param {Object} item - Item to schedule
+ * @param {number} runAt - Timestamp in milliseconds when the item is due
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<void>}
+ * @throws {Error} If scheduling fails
+ */
+async function scheduleRetry(item, runAt, queueName = DEFAULT_QUEUE) {
+  try {
+    const redis = getRedisClient();
+    await redis.zadd(getQueueKeys(queueName).delayed, runAt, JSON.stringify(item));
+    logger.info(`Scheduled item for retry in queue '${queueName}'`, {
+      itemId: item._id,
+      runAt: new Date(runAt).toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to schedule retry in queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Move scheduled items that are due back to the end of their queue
+ * @async
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @param {number} [now=Date.now()] - Current timestamp in milliseconds
+ * @returns {Promise<number>} Number of items moved
+ * @throws {Error} If moving fails
+ */
+async function promoteDueRetries(queueName = DEFAULT_QUEUE, now = Date.now()) {
+  try {
+    const redis = getRedisClient();
+    const { delayed } = getQueueKeys(queueName);
+    const dueItems = await redis.zrangebyscore(delayed, 0, now);
+    let count = 0;
+
+    for (const raw of dueItems) {
+      // Only the worker that removes the item re-queues it
+      if ((await redis.zrem(delayed, raw)) > 0) {
+        await redis.rpush(queueName, raw);
+        count++;
+      }
+    }
+
+    return count;
+  } catch (error) {
+    logger.error(`Failed to promote due retries of queue '${queueName}':`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add an item to the dead-letter list of a queue
+ * @async
+ * @param {Object} item - Item that used all attempts
+ * @param {string} [queueName=DEFAULT_QUEUE] - Name of the queue
+ * @returns {Promise<number>} Length of the dead-letter list
+ * @throws {Error} If adding fails
+ */
+async function addToDeadLetterQueue(item, queueName = DEFAULT_QUEUE) {
+  const { deadLetter } = getQueueKeys(queueName);
+  logger.warn(`Moving item ${item._id} to dead-letter list '${deadLetter}'`);
+  return addToQueue(item, deadLetter);
+}
+
 module.exports = {
   DEFAULT_QUEUE,
+  getQueueKeys,
+  reserveFromQueue,
+  acknowledgeQueueItem,
+  releaseQueueItem,
+  requeueProcessingItems,
+  recordWorkerHeartbeat,
+  removeWorker,
+  getWorkers,
+  recoverDeadWorkers,
+  getQueueStats,
+  scheduleRetry,
+  promoteDueRetries,
+  addToDeadLetterQueue,
   addToQueue,
   getFromQueue,
   getAllQueueItems,
@@ -126,6 +126,8 @@ async function fetchInstrumentsByIds(instrumentIds) {
           type: 1,
           options: 1,
           tags: 1,
+          reverseScored: 1,
+          weight: 1,
         },
       }
     );
@@ -196,7 +198,8 @@ async function fetchLogicQuestionsByIds(logicQuestionIds) {
 }
 
 /**
- * Enrich a single submission with candidate, question, instrument, and logic question data
+ * Enrich a single submission with candidate, question, instrument, and logic question data,
+ * plus its score summary
  * @async
  * @param {Object} submission - Submission to enrich
  * @returns {Promise<Object>} Enriched submission
@@ -287,6 +290,16 @@ async function enrichSubmission(submission) {
       });
     }
 
+    // Expose the score summary, computing it for submissions stored before server-side scoring
+    if (!enrichedSubmission.scores) {
+      const { calculateScores } = require('../services/submissionScoringService');
+      enrichedSubmission.scores = calculateScores(submission, {
+        questionMap,
+        instrumentMap,
+        logicQuestionMap,
+      }).scores;
+    }
+
     return enrichedSubmission;
   } catch (error) {
     logger.error(`Error enriching submission:`, error);
@@ -88,6 +88,14 @@ function validateSubmissionInput(submissionData) {
     errors.push('Invalid candidate_id format');
   }
 
+  // Validate application_id if present
+  if (
+    submissionData.application_id !== undefined &&
+    !isValidObjectId(submissionData.application_id)
+  ) {
+    errors.push('Invalid application_id format');
+  }
+
   // Validate answers array if present
   if (submissionData.answers) {
     if (!Array.isArray(submissionData.answers)) {
@@ -0,0 +1,265 @@
+/**
+ * Text Similarity Utilities
+ * Near-duplicate detection for question texts. Texts are normalized and split into
+ * character shingles; MinHash signatures with locality-sensitive hashing (LSH) select
+ * candidate pairs, and candidates are compared with the exact Jaccard similarity of
+ * their shingles.
+ * @module utils/textSimilarity
+ */
+
+/**
+ * Number of characters per shingle
+ * @constant {number}
+ */
+const SHINGLE_SIZE = 3;
+
+/**
+ * Number of MinHash values per signature
+ * @constant {number}
+ */
+const NUM_HASHES = 64;
+
+/**
+ * Number of MinHash values per LSH band. With 16 bands of 4 rows, pairs with a
+ * similarity of 0.5 or more are found with high probability.
+ * @constant {number}
+ */
+const ROWS_PER_BAND = 4;
+
+/**
+ * Lowest similarity threshold the LSH settings find reliably
+ * @constant {number}
+ */
+const MIN_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Finalizer of MurmurHash3, spreads the bits of a 32-bit integer
+ * @param {number} value - 32-bit integer
+ * @returns {number} Mixed unsigned 32-bit integer
+ */
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seeds of the MinHash functions; fixed so signatures are stable between runs
+ * @constant {Array<number>}
+ */
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) =>
+  mix32(Math.imul(i + 1, 0x9e3779b9))
+);
+
+/**
+ * Normalizes text for comparison: case, punctuation and whitespace are ignored
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Splits normalized text into overlapping character shingles
+ * @param {string} text - Text to split
+ * @param {number} [size=SHINGLE_SIZE] - Characters per shingle
+ * @returns {Set<string>} Shingles; texts shorter than a shingle form a single shingle
+ */
+function getShingles(text, size = SHINGLE_SIZE) {
+  const normalized = normalizeText(text);
+  const shingles = new Set();
+
+  if (normalized.length <= size) {
+    shingles.add(normalized);
+    return shingles;
+  }
+
+  for (let i = 0; i + size <= normalized.length; i++) {
+    shingles.add(normalized.slice(i, i + size));
+  }
+
+  return shingles;
+}
+
+/**
+ * Jaccard similarity of two shingle sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+
+  let intersection = 0;
+  for (const shingle of a) {
+    if (b.has(shingle)) {
+      intersection++;
+    }
+  }
+
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Computes the MinHash signature of a shingle set
+ * @param {Set<string>} shingles - Shingles of a text
+ * @returns {Uint32Array} Signature with NUM_HASHES values
+ */
+function computeMinHash(shingles) {
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+
+  for (const shingle of shingles) {
+    const hash = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mix32(hash ^ HASH_SEEDS[i]);
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Creates an index that finds the indexed text most similar to a given text
+ * @param {Object} [options={}] - Index options
+ * @param {number} [options.threshold=0.7] - Minimum similarity of a match
+ * @returns {Object} Index with `add(text, data)`, `findMostSimilar(text)` and `size()`
+ */
+function createSimilarityIndex(options = {}) {
+  const threshold = options.threshold ?? 0.7;
+  const entries = [];
+  const buckets = new Map();
+
+  const getBandKeys = signature => {
+    const keys = [];
+    for (let start = 0; start < NUM_HASHES; start += ROWS_PER_BAND) {
+      keys.push(`${start}:${signature.subarray(start, start + ROWS_PER_BAND).join(',')}`);
+    }
+    return keys;
+  };
+
+  return {
+    /**
+     * Adds a text to the index
+     * @param {string} text - Text to index
+     * @param {*} [data] - Data returned with matches of this text
+     * @returns {void}
+     */
+    add(text, data) {
+      const shingles = getShingles(text);
+      const index = entries.push({ text, data, shingles }) - 1;
+
+      for (const key of getBandKeys(computeMinHash(shingles))) {
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        buckets.get(key).push(index);
+      }
+    },
+
+    /**
+     * Finds the indexed text most similar to a text
+     * @param {string} text - Text to look up
+     * @returns {Object|null} `{ text, data, similarity }` of the best match at or above the threshold
+     */
+    findMostSimilar(text) {
+      const shingles = getShingles(text);
+      const candidates = new Set();
+
+      for (const key of getBandKeys(computeMinHash(shingles))) {
+        for (const index of buckets.get(key) || []) {
+          candidates.add(index);
+        }
+      }
+
+      let best = null;
+      for (const index of candidates) {
+        const entry = entries[index];
+        const similarity = jaccardSimilarity(shingles, entry.shingles);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { text: entry.text, data: entry.data, similarity };
+        }
+      }
+
+      return best;
+    },
+
+    /**
+     * Number of indexed texts
+     * @returns {number} Index size
+     */
+    size() {
+      return entries.length;
+    },
+  };
+}
+
+/**
+ * Groups items whose texts are near-duplicates of each other.
+ * An item joins the group of the earlier item it is most similar to, so each group
+ * starts with its oldest item when the items are sorted by age.
+ * @param {Array<Object>} items - Items to group
+ * @param {Object} options - Grouping options
+ * @param {Function} options.getText - Returns the text of an item
+ * @param {number} [options.threshold=0.7] - Minimum similarity of near-duplicates
+ * @returns {Array<Object>} Groups of two or more items: `{ items, similarity }` with the highest similarity in the group
+ */
+function findDuplicateGroups(items, { getText, threshold = 0.7 }) {
+  const index = createSimilarityIndex({ threshold });
+  const groups = [];
+
+  for (const item of items) {
+    const text = getText(item);
+    const match = index.findMostSimilar(text);
+
+    if (match) {
+      const group = match.data;
+      if (group.items.length === 1) {
+        groups.push(group);
+      }
+      group.items.push(item);
+      group.similarity = Math.max(group.similarity, match.similarity);
+      index.add(text, group);
+    } else {
+      index.add(text, { items: [item], similarity: 0 });
+    }
+  }
+
+  return groups;
+}
+
+module.exports = {
+  MIN_SIMILARITY_THRESHOLD,
+  normalizeText,
+  getShingles,
+  jaccardSimilarity,
+  computeMinHash,
+  createSimilarityIndex,
+  findDuplicateGroups,
+};
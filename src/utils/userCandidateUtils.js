@@ -57,10 +57,12 @@ async function linkUserToCandidate(userId, candidateId) {
 }
 
 /**
- * Find or create a candidate for a user and link them
+ * Find or create a candidate for a user and link them.
+ * A user is only linked to an existing candidate once they have verified that they own its
+ * email address; until then they are left unlinked, since candidate emails are unique.
  * @async
  * @param {Object} user - The user object
- * @returns {Promise<Object>} - The updated user with candidate_id
+ * @returns {Promise<Object>} - The updated user with candidate_id, or the user unchanged
  */
 async function findOrCreateCandidateForUser(user) {
   try {
@@ -68,6 +70,13 @@ async function findOrCreateCandidateForUser(user) {
     const existingCandidate = await findCandidateByEmail(user.email);
 
     if (existingCandidate) {
+      if (!user.emailVerified) {
+        logger.info(
+          `User ${user._id} is linked to candidate ${existingCandidate._id} once their email is verified`
+        );
+        return user;
+      }
+
       // If candidate exists, link the user to this candidate
       return await linkUserToCandidate(user._id, existingCandidate._id);
     } else {
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Standalone job worker process.
+ * Processes queued jobs outside the API process; run it as its own PM2 app
+ * (see ecosystem.config.js) and scale it with JOB_WORKER_CONCURRENCY or more instances.
+ * @module worker
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const { initializeDb } = require('./repository/baseRepository');
+const { initializeRedis, closeRedisConnection } = require('./services/redisService');
+const { createJobWorker } = require('./services/jobWorkerService');
+const { ensureDirectoriesExist } = require('./utils/ensureDirectories');
+const logger = require('./utils/logger');
+
+// Load environment variables
+// Use .env.testing for test environments, otherwise use .env
+if (process.env.NODE_ENV === 'testing') {
+  dotenv.config({ path: '.env.testing' });
+} else {
+  dotenv.config();
+}
+
+// Connection details
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+const DB_NAME = process.env.DB_NAME || 'hirebot_db';
+const REDIS_HOST = process.env.REDIS_HOST || 'localhost';
+const REDIS_PORT = process.env.REDIS_PORT || 6379;
+
+/**
+ * Connect to MongoDB and Redis, start the worker and drain it on SIGTERM or SIGINT
+ * @async
+ * @returns {Promise<Object>} The started worker
+ */
+async function main() {
+  try {
+    await ensureDirectoriesExist();
+
+    await initializeDb(MONGODB_URI, DB_NAME);
+    await mongoose.connect(MONGODB_URI, { dbName: DB_NAME });
+    logger.info('Mongoose connected to MongoDB');
+
+    await initializeRedis({
+      host: REDIS_HOST,
+      port: REDIS_PORT,
+    });
+    logger.info('Redis initialized');
+
+    const worker = createJobWorker();
+    await worker.start();
+
+    const shutdown = async signal => {
+      logger.info(`${signal} received, draining job worker`);
+      try {
+        await worker.stop();
+        await mongoose.disconnect();
+        await closeRedisConnection();
+        process.exit(0);
+      } catch (error) {
+        logger.error('Error stopping job worker:', error);
+        process.exit(1);
+      }
+    };
+
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+
+    return worker;
+  } catch (error) {
+    logger.error('Failed to start job worker:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
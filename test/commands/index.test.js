@@ -7,11 +7,18 @@ const { executeCommand } = require('../../src/commands');
 const { initTopicsCommand } = require('../../src/commands/topicCommands');
 const { initPositionsCommand } = require('../../src/commands/positionCommands');
 const { initLanguagesCommand } = require('../../src/commands/languageCommands');
+const { setUserRoleCommand } = require('../../src/commands/userCommands');
+const {
+  importQuestionBankCommand,
+  exportQuestionBankCommand,
+} = require('../../src/commands/questionBankCommands');
 
 // Mock dependencies
 jest.mock('../../src/commands/topicCommands');
 jest.mock('../../src/commands/positionCommands');
 jest.mock('../../src/commands/languageCommands');
+jest.mock('../../src/commands/userCommands');
+jest.mock('../../src/commands/questionBankCommands');
 
 describe('Commands Index Module', () => {
   // Reset all mocks before each test
@@ -74,6 +81,30 @@ describe('Commands Index Module', () => {
       expect(initLanguagesCommand).toHaveBeenCalledWith(['path/to/languages.json']);
     });
 
+    test('should execute setUserRoleCommand correctly', async () => {
+      setUserRoleCommand.mockResolvedValue({ username: 'admin', role: 'admin' });
+
+      await executeCommand('app:set-user-role', ['admin@example.com', 'admin']);
+
+      expect(setUserRoleCommand).toHaveBeenCalledTimes(1);
+      expect(setUserRoleCommand).toHaveBeenCalledWith(['admin@example.com', 'admin']);
+    });
+
+    test('should execute the question bank commands correctly', async () => {
+      importQuestionBankCommand.mockResolvedValue({ summary: {}, report: [] });
+      exportQuestionBankCommand.mockResolvedValue({ count: 2, format: 'csv' });
+
+      await executeCommand('app:import-bank', ['questions', 'questions.csv', '--dry-run']);
+      await executeCommand('app:export-bank', ['instruments', 'instruments.csv']);
+
+      expect(importQuestionBankCommand).toHaveBeenCalledWith([
+        'questions',
+        'questions.csv',
+        '--dry-run',
+      ]);
+      expect(exportQuestionBankCommand).toHaveBeenCalledWith(['instruments', 'instruments.csv']);
+    });
+
     test('should throw error for unknown command', async () => {
       // Attempt to execute an unknown command
       await expect(executeCommand('unknown:command', [])).rejects.toThrow(
@@ -19,12 +19,20 @@ jest.mock('path', () => ({
 jest.mock('../../src/utils/languageValidator');
 jest.mock('../../src/utils/fileParser');
 jest.mock('../../src/utils/logger');
-jest.mock('../../src/models/languageModel');
+jest.mock('../../src/repository/seedDataRepository');
 
 // Import dependencies
 const fs = require('fs').promises;
 const { validateLanguagesData } = require('../../src/utils/languageValidator');
 const { fileExists } = require('../../src/utils/fileParser');
+const {
+  findSeedDocument,
+  insertSeedDocument,
+  updateSeedDocument,
+  findSeedDocumentsExcept,
+  countSeedReferences,
+  deleteSeedDocuments,
+} = require('../../src/repository/seedDataRepository');
 
 // Import the module to test
 const { initLanguagesCommand } = require('../../src/commands/languageCommands');
@@ -46,12 +54,6 @@ describe('Language Commands Tests', () => {
     },
   ];
 
-  // Mock the Language model
-  const mockLanguage = {
-    findOne: jest.fn(),
-    insertMany: jest.fn(),
-  };
-
   // Reset all mocks before each test
   beforeEach(() => {
     jest.clearAllMocks();
@@ -61,9 +63,9 @@ describe('Language Commands Tests', () => {
     validateLanguagesData.mockReturnValue({ isValid: true, errors: [] });
     console.log = jest.fn();
 
-    // Mock Language model methods
-    mockLanguage.findOne.mockResolvedValue(null);
-    mockLanguage.insertMany.mockResolvedValue(sampleLanguages);
+    // Mock seed data repository methods
+    findSeedDocument.mockResolvedValue(null);
+    insertSeedDocument.mockResolvedValue('new-id');
 
     // Mock fs.readFile to return valid JSON
     fs.readFile.mockResolvedValue(JSON.stringify(sampleLanguages));
@@ -112,11 +114,6 @@ describe('Language Commands Tests', () => {
       // Mock validation success
       validateLanguagesData.mockReturnValue({ isValid: true, errors: [] });
 
-      // Mock Language model methods
-      const Language = require('../../src/models/languageModel');
-      Language.findOne.mockResolvedValue(null);
-      Language.insertMany.mockResolvedValue(sampleLanguages);
-
       // Execute command
       const result = await initLanguagesCommand(['/path/to/valid.json']);
 
@@ -125,41 +122,65 @@ describe('Language Commands Tests', () => {
       expect(fs.readFile).toHaveBeenCalled();
       expect(validateLanguagesData).toHaveBeenCalledWith(sampleLanguages);
 
+      // Verify database operations
+      expect(findSeedDocument).toHaveBeenCalledWith('languages', {
+        $or: [{ slug: 'javascript' }, { name: 'JavaScript' }],
+      });
+
       // Verify result
       expect(result).toEqual({
-        inserted: 2,
-        skipped: 0,
         total: 2,
+        created: 2,
+        updated: 0,
+        unchanged: 0,
+        pruned: 0,
+        kept: [],
       });
     });
 
-    test('should handle duplicate languages', async () => {
-      // Mock file exists
-      fileExists.mockResolvedValue(true);
+    test('should generate the slug of languages without one', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify([{ name: 'Visual Basic' }]));
 
-      // Mock fs.readFile to return valid JSON
-      fs.readFile.mockResolvedValue(JSON.stringify(sampleLanguages));
-
-      // Mock validation success
-      validateLanguagesData.mockReturnValue({ isValid: true, errors: [] });
+      await initLanguagesCommand(['/path/to/valid.json']);
 
-      // Mock Language model methods to find duplicates
-      const Language = require('../../src/models/languageModel');
-      Language.findOne.mockImplementation(query => {
-        if (query.name === 'Python') {
-          return Promise.resolve({ name: 'Python', slug: 'python' });
-        }
-        return Promise.resolve(null);
+      expect(insertSeedDocument).toHaveBeenCalledWith('languages', {
+        name: 'Visual Basic',
+        slug: 'visual-basic',
       });
+    });
 
-      Language.insertMany.mockResolvedValue([sampleLanguages[0]]);
+    test('should keep existing languages and report them as unchanged', async () => {
+      findSeedDocument.mockImplementation((collectionName, filter) =>
+        Promise.resolve(
+          filter.$or[1].name === 'Python' ? { _id: 'python-id', ...sampleLanguages[1] } : null
+        )
+      );
 
-      // Execute command
       const result = await initLanguagesCommand(['/path/to/valid.json']);
 
-      // Verify result
-      expect(result.inserted).toBeLessThan(2); // Should be less than total languages
-      expect(result.skipped).toBeGreaterThan(0); // Should have skipped some languages
+      expect(insertSeedDocument).toHaveBeenCalledTimes(1);
+      expect(updateSeedDocument).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ created: 1, unchanged: 1 }));
+      expect(console.log).toHaveBeenCalledWith('- Unchanged: 1');
+    });
+
+    test('should prune only the languages nothing refers to', async () => {
+      findSeedDocumentsExcept.mockResolvedValue([
+        { _id: 'cobol-id', name: 'COBOL', slug: 'cobol' },
+        { _id: 'go-id', name: 'Go', slug: 'go' },
+      ]);
+      countSeedReferences.mockImplementation((collectionName, filter) =>
+        Promise.resolve(
+          collectionName === 'candidates' && filter.programming_languages === 'Go' ? 2 : 0
+        )
+      );
+
+      const result = await initLanguagesCommand(['/path/to/valid.json', '--prune']);
+
+      expect(findSeedDocumentsExcept).toHaveBeenCalledWith('languages', ['new-id', 'new-id']);
+      expect(deleteSeedDocuments).toHaveBeenCalledWith('languages', ['cobol-id']);
+      expect(result.pruned).toBe(1);
+      expect(result.kept).toEqual([{ _id: 'go-id', key: 'go', references: { candidates: 2 } }]);
     });
 
     test('should handle database errors during language insertion', async () => {
@@ -172,12 +193,8 @@ describe('Language Commands Tests', () => {
       // Mock validation success
       validateLanguagesData.mockReturnValue({ isValid: true, errors: [] });
 
-      // Mock Language model methods
-      const Language = require('../../src/models/languageModel');
-      Language.findOne.mockResolvedValue(null);
-
       // Mock database error
-      Language.insertMany.mockRejectedValue(new Error('Database connection failed'));
+      insertSeedDocument.mockRejectedValue(new Error('Database connection failed'));
 
       // Execute command and expect error
       await expect(initLanguagesCommand(['/path/to/valid.json'])).rejects.toThrow(
@@ -5,14 +5,18 @@
 
 const { readJsonFile, fileExists } = require('../../src/utils/fileParser');
 const { validatePositionsData } = require('../../src/utils/positionValidator');
-const { clearAllPositions, insertPositions } = require('../../src/repository/positionRepository');
+const {
+  findSeedDocument,
+  insertSeedDocument,
+  updateSeedDocument,
+} = require('../../src/repository/seedDataRepository');
 const logger = require('../../src/utils/logger');
 const { initPositionsCommand } = require('../../src/commands/positionCommands');
 
 // Mock dependencies
 jest.mock('../../src/utils/fileParser');
 jest.mock('../../src/utils/positionValidator');
-jest.mock('../../src/repository/positionRepository');
+jest.mock('../../src/repository/seedDataRepository');
 jest.mock('../../src/utils/logger');
 
 describe('Position Commands Tests', () => {
@@ -42,8 +46,9 @@ describe('Position Commands Tests', () => {
     fileExists.mockResolvedValue(true);
     readJsonFile.mockResolvedValue(samplePositions);
     validatePositionsData.mockReturnValue({ isValid: true, errors: [] });
-    clearAllPositions.mockResolvedValue({ acknowledged: true, deletedCount: 0 });
-    insertPositions.mockResolvedValue({ acknowledged: true, insertedCount: 2 });
+    console.log = jest.fn();
+    findSeedDocument.mockResolvedValue(null);
+    insertSeedDocument.mockResolvedValue('new-id');
   });
 
   describe('initPositionsCommand', () => {
@@ -83,12 +88,13 @@ describe('Position Commands Tests', () => {
       expect(validatePositionsData).toHaveBeenCalledWith(samplePositions);
 
       // Verify database operations
-      expect(clearAllPositions).toHaveBeenCalled();
-      expect(insertPositions).toHaveBeenCalled();
+      expect(findSeedDocument).toHaveBeenCalledWith('positions', { slug: 'frontend-developer' });
+      expect(insertSeedDocument).toHaveBeenCalledTimes(2);
 
       // Verify result
       expect(result.success).toBe(true);
       expect(result.message).toBe('Successfully initialized 2 positions');
+      expect(result).toEqual(expect.objectContaining({ created: 2, updated: 0, unchanged: 0 }));
     });
 
     test('should process valid file with object format', async () => {
@@ -100,11 +106,7 @@ describe('Position Commands Tests', () => {
 
       // Verify operations
       expect(validatePositionsData).toHaveBeenCalledWith({ positions: samplePositions });
-      expect(insertPositions).toHaveBeenCalled();
-
-      // Verify the positions were processed correctly
-      const insertedPositions = insertPositions.mock.calls[0][0];
-      expect(insertedPositions).toHaveLength(2);
+      expect(insertSeedDocument).toHaveBeenCalledTimes(2);
 
       // Verify result
       expect(result.success).toBe(true);
@@ -114,25 +116,22 @@ describe('Position Commands Tests', () => {
       // Execute command
       await initPositionsCommand(['/path/to/valid.json']);
 
-      // Verify the positions were processed correctly
-      const insertedPositions = insertPositions.mock.calls[0][0];
-
       // Check that the second position has positionLevel mapped from level
-      expect(insertedPositions[1].positionLevel).toBe('mid');
+      expect(insertSeedDocument.mock.calls[1][1].positionLevel).toBe('mid');
     });
 
-    test('should add timestamps to positions', async () => {
-      // Execute command
-      await initPositionsCommand(['/path/to/valid.json']);
+    test('should update existing positions in place and count unchanged ones', async () => {
+      const [frontend, backend] = samplePositions;
+      findSeedDocument
+        .mockResolvedValueOnce({ _id: 'frontend-id', ...frontend, description: 'Old text' })
+        .mockResolvedValueOnce({ _id: 'backend-id', ...backend, positionLevel: 'mid' });
 
-      // Verify the positions were processed correctly
-      const insertedPositions = insertPositions.mock.calls[0][0];
+      const result = await initPositionsCommand(['/path/to/valid.json']);
 
-      // Check that timestamps were added
-      expect(insertedPositions[0].createdAt).toBeInstanceOf(Date);
-      expect(insertedPositions[0].updatedAt).toBeInstanceOf(Date);
-      expect(insertedPositions[1].createdAt).toBeInstanceOf(Date);
-      expect(insertedPositions[1].updatedAt).toBeInstanceOf(Date);
+      expect(updateSeedDocument).toHaveBeenCalledTimes(1);
+      expect(updateSeedDocument).toHaveBeenCalledWith('positions', 'frontend-id', frontend);
+      expect(insertSeedDocument).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ created: 0, updated: 1, unchanged: 1 }));
     });
 
     test('should throw error when duplicate slugs are found in file', async () => {
@@ -156,13 +155,13 @@ describe('Position Commands Tests', () => {
 
       // Execute command and expect error
       await expect(initPositionsCommand(['/path/to/duplicate-slugs.json'])).rejects.toThrow(
-        'Duplicate slugs found in file: developer'
+        'Invalid positions data: Duplicate slug values found in file: developer'
       );
     });
 
     test('should handle database errors during position insertion', async () => {
       // Mock database error
-      insertPositions.mockRejectedValue(new Error('Database connection failed'));
+      insertSeedDocument.mockRejectedValue(new Error('Database connection failed'));
 
       // Execute command and expect error
       await expect(initPositionsCommand(['/path/to/valid.json'])).rejects.toThrow(
@@ -178,13 +177,14 @@ describe('Position Commands Tests', () => {
       expect(logger.info).toHaveBeenCalledWith(
         'Initializing positions from file: /path/to/valid.json'
       );
-      expect(logger.info).toHaveBeenCalledWith('Existing positions cleared successfully');
-      expect(logger.info).toHaveBeenCalledWith('Successfully inserted 2 positions');
+      expect(logger.info).toHaveBeenCalledWith(
+        'Synced positions: 2 created, 0 updated, 0 unchanged, 0 pruned'
+      );
     });
 
     test('should log errors when they occur', async () => {
       // Mock database error
-      insertPositions.mockRejectedValue(new Error('Database connection failed'));
+      insertSeedDocument.mockRejectedValue(new Error('Database connection failed'));
 
       // Execute command and catch error
       try {
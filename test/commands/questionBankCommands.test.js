@@ -0,0 +1,106 @@
+/**
+ * Tests for the questionBankCommands module
+ * @module test/commands/questionBankCommands.test
+ */
+
+jest.mock('fs/promises');
+jest.mock('../../src/utils/fileParser');
+jest.mock('../../src/services/questionBankService', () => ({
+  ...jest.requireActual('../../src/services/questionBankService'),
+  importQuestionBank: jest.fn(),
+  exportQuestionBank: jest.fn(),
+}));
+jest.mock('../../src/utils/logger');
+
+const fs = require('fs/promises');
+const { fileExists } = require('../../src/utils/fileParser');
+const {
+  importQuestionBank,
+  exportQuestionBank,
+} = require('../../src/services/questionBankService');
+const {
+  importQuestionBankCommand,
+  exportQuestionBankCommand,
+} = require('../../src/commands/questionBankCommands');
+
+describe('Question Bank Commands Tests', () => {
+  const importData = {
+    summary: { total: 2, created: 1, updated: 0, failed: 1 },
+    report: [
+      { line: 2, action: 'create', _id: '60d21b4667d0d8992e610a01', errors: [] },
+      { line: 3, action: 'error', _id: null, errors: ['Question text is required'] },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+  });
+
+  describe('importQuestionBankCommand', () => {
+    test('should throw error when arguments are missing', async () => {
+      await expect(importQuestionBankCommand(['questions'])).rejects.toThrow(
+        'Usage: app:import-bank'
+      );
+    });
+
+    test('should throw error when the file does not exist', async () => {
+      fileExists.mockResolvedValue(false);
+
+      await expect(importQuestionBankCommand(['questions', 'missing.csv'])).rejects.toThrow(
+        'File not found: missing.csv'
+      );
+    });
+
+    test('should print a line per record and fail when records were rejected', async () => {
+      fileExists.mockResolvedValue(true);
+      fs.readFile.mockResolvedValue('question\n...');
+      importQuestionBank.mockResolvedValue({ success: true, data: importData });
+
+      await expect(
+        importQuestionBankCommand(['instruments', 'bank.txt', '--format=csv', '--dry-run'])
+      ).rejects.toThrow('1 of 2 records could not be imported');
+
+      expect(importQuestionBank).toHaveBeenCalledWith('instruments', 'question\n...', {
+        format: 'csv',
+        fileName: 'bank.txt',
+        dryRun: true,
+      });
+      expect(console.log).toHaveBeenCalledWith('Line 2: create 60d21b4667d0d8992e610a01');
+      expect(console.log).toHaveBeenCalledWith('Line 3: error - Question text is required');
+    });
+
+    test('should return the report when every record was imported', async () => {
+      const data = {
+        summary: { ...importData.summary, failed: 0 },
+        report: [importData.report[0]],
+      };
+      fileExists.mockResolvedValue(true);
+      fs.readFile.mockResolvedValue('[]');
+      importQuestionBank.mockResolvedValue({ success: true, data });
+
+      await expect(importQuestionBankCommand(['questions', 'bank.json'])).resolves.toEqual(data);
+    });
+  });
+
+  describe('exportQuestionBankCommand', () => {
+    test('should throw error for an unknown collection', async () => {
+      await expect(exportQuestionBankCommand(['users', 'users.json'])).rejects.toThrow(
+        'Invalid collection'
+      );
+    });
+
+    test('should write the export in the format of the file extension', async () => {
+      exportQuestionBank.mockResolvedValue({
+        success: true,
+        data: { content: 'a,b\r\n', count: 3 },
+      });
+
+      const result = await exportQuestionBankCommand(['logic_questions', 'out/logic.csv']);
+
+      expect(exportQuestionBank).toHaveBeenCalledWith('logic_questions', { format: 'csv' });
+      expect(fs.writeFile).toHaveBeenCalledWith('out/logic.csv', 'a,b\r\n', 'utf8');
+      expect(result).toEqual({ count: 3, format: 'csv' });
+    });
+  });
+});
@@ -5,14 +5,17 @@
 
 const { readJsonFile, fileExists } = require('../../src/utils/fileParser');
 const { validateTopicsData } = require('../../src/utils/topicValidator');
-const { clearAllTopics, insertTopics } = require('../../src/repository/topicRepository');
+const { syncSeedData } = require('../../src/services/seedDataService');
 const logger = require('../../src/utils/logger');
 const { initTopicsCommand } = require('../../src/commands/topicCommands');
 
 // Mock dependencies
 jest.mock('../../src/utils/fileParser');
 jest.mock('../../src/utils/topicValidator');
-jest.mock('../../src/repository/topicRepository');
+jest.mock('../../src/services/seedDataService', () => ({
+  ...jest.requireActual('../../src/services/seedDataService'),
+  syncSeedData: jest.fn(),
+}));
 jest.mock('../../src/utils/logger');
 
 describe('Topic Commands Tests', () => {
@@ -36,6 +39,8 @@ describe('Topic Commands Tests', () => {
     ],
   };
 
+  const syncData = { total: 2, created: 1, updated: 1, unchanged: 0, pruned: 0, kept: [] };
+
   // Reset all mocks before each test
   beforeEach(() => {
     jest.clearAllMocks();
@@ -44,8 +49,8 @@ describe('Topic Commands Tests', () => {
     fileExists.mockResolvedValue(true);
     readJsonFile.mockResolvedValue(validTopicsData);
     validateTopicsData.mockReturnValue({ isValid: true, errors: [] });
-    clearAllTopics.mockResolvedValue({ acknowledged: true, deletedCount: 0 });
-    insertTopics.mockResolvedValue({ acknowledged: true, insertedCount: 2 });
+    console.log = jest.fn();
+    syncSeedData.mockResolvedValue({ success: true, data: syncData });
   });
 
   describe('initTopicsCommand', () => {
@@ -85,17 +90,50 @@ describe('Topic Commands Tests', () => {
       expect(validateTopicsData).toHaveBeenCalledWith(validTopicsData);
 
       // Verify database operations
-      expect(clearAllTopics).toHaveBeenCalled();
-      expect(insertTopics).toHaveBeenCalledWith(validTopicsData.topics);
+      expect(syncSeedData).toHaveBeenCalledWith(
+        'topics',
+        [
+          { ...validTopicsData.topics[0], slug: 'javascript' },
+          { ...validTopicsData.topics[1], slug: 'react' },
+        ],
+        { prune: false }
+      );
 
       // Verify result
       expect(result.success).toBe(true);
       expect(result.message).toBe('Successfully initialized 2 topics');
+      expect(result).toEqual(expect.objectContaining({ created: 1, updated: 1, unchanged: 0 }));
+      expect(console.log).toHaveBeenCalledWith('- Updated: 1');
+    });
+
+    test('should prune topics with --prune and list those still referenced', async () => {
+      const kept = [{ _id: 'id-1', key: 'Closures', references: { questions: 3, candidates: 1 } }];
+      syncSeedData.mockResolvedValue({ success: true, data: { ...syncData, pruned: 2, kept } });
+
+      const result = await initTopicsCommand(['--prune', '/path/to/valid.json']);
+
+      expect(fileExists).toHaveBeenCalledWith('/path/to/valid.json');
+      expect(syncSeedData).toHaveBeenCalledWith('topics', expect.any(Array), { prune: true });
+      expect(result.pruned).toBe(2);
+      expect(console.log).toHaveBeenCalledWith(
+        '- Not pruned, still referenced by 3 questions, 1 candidates: Closures'
+      );
+    });
+
+    test('should throw error when the seed keys are invalid', async () => {
+      syncSeedData.mockResolvedValue({
+        success: false,
+        errors: ['Duplicate title values found in file: React'],
+      });
+
+      await expect(initTopicsCommand(['/path/to/valid.json'])).rejects.toThrow(
+        'Invalid topics data: Duplicate title values found in file: React'
+      );
     });
 
     test('should handle database errors during topic insertion', async () => {
       // Mock database error
-      insertTopics.mockRejectedValue(new Error('Database connection failed'));
+      syncSeedData.mockRejectedValue(new Error('Database connection failed'));
 
       // Execute command and expect error
       await expect(initTopicsCommand(['/path/to/valid.json'])).rejects.toThrow(
@@ -111,13 +149,11 @@ describe('Topic Commands Tests', () => {
       expect(logger.info).toHaveBeenCalledWith(
         'Initializing topics from file: /path/to/valid.json'
       );
-      expect(logger.info).toHaveBeenCalledWith('Existing topics cleared successfully');
-      expect(logger.info).toHaveBeenCalledWith('Successfully inserted 2 topics');
     });
 
     test('should log errors when they occur', async () => {
       // Mock database error
-      insertTopics.mockRejectedValue(new Error('Database connection failed'));
+      syncSeedData.mockRejectedValue(new Error('Database connection failed'));
 
       // Execute command and catch error
       try {
@@ -145,7 +181,7 @@ describe('Topic Commands Tests', () => {
     test('should handle empty topics array', async () => {
       // Mock empty topics array
       readJsonFile.mockResolvedValue({ topics: [] });
-      insertTopics.mockResolvedValue({ acknowledged: true, insertedCount: 0 });
+      syncSeedData.mockResolvedValue({ success: true, data: { ...syncData, total: 0 } });
 
       // Execute command
       const result = await initTopicsCommand(['/path/to/empty.json']);
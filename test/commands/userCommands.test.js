@@ -0,0 +1,51 @@
+/**
+ * Tests for the userCommands module
+ * @module test/commands/userCommands.test
+ */
+
+jest.mock('../../src/services/userService');
+jest.mock('../../src/utils/logger');
+
+const userService = require('../../src/services/userService');
+const { setUserRoleCommand } = require('../../src/commands/userCommands');
+
+describe('User Commands Tests', () => {
+  const user = { _id: '60d21b4667d0d8992e610c85', username: 'johndoe' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+  });
+
+  describe('setUserRoleCommand', () => {
+    test('should throw error when arguments are missing', async () => {
+      await expect(setUserRoleCommand(['johndoe'])).rejects.toThrow(
+        'Usage: app:set-user-role <email|username> <role>'
+      );
+    });
+
+    test('should throw error for an invalid role', async () => {
+      await expect(setUserRoleCommand(['johndoe', 'owner'])).rejects.toThrow('Invalid role');
+      expect(userService.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should throw error when the user does not exist', async () => {
+      userService.getUserByUsername.mockResolvedValue(null);
+
+      await expect(setUserRoleCommand(['johndoe', 'admin'])).rejects.toThrow(
+        'User not found: johndoe'
+      );
+    });
+
+    test('should find users by email and update their role', async () => {
+      userService.getUserByEmail.mockResolvedValue(user);
+      userService.updateUser.mockResolvedValue({ ...user, role: 'admin' });
+
+      const result = await setUserRoleCommand(['john@example.com', 'admin']);
+
+      expect(userService.getUserByEmail).toHaveBeenCalledWith('john@example.com');
+      expect(userService.updateUser).toHaveBeenCalledWith(user._id, { role: 'admin' });
+      expect(result).toEqual({ ...user, role: 'admin' });
+    });
+  });
+});
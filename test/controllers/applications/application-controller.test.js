@@ -0,0 +1,108 @@
+/**
+ * Tests for Application Controller
+ */
+
+const {
+  getErrorStatusCode,
+  createApplicationController,
+  updateApplicationController,
+  getPositionApplicationsController,
+} = require('../../../src/controllers/applications/applicationController');
+const {
+  APPLICATION_ERRORS,
+  createNewApplication,
+  updateExistingApplication,
+  getPositionApplications,
+} = require('../../../src/services/applicationService');
+
+// Mock dependencies
+jest.mock('../../../src/services/applicationService');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Application Controller', () => {
+  const applicationId = '60d21b4667d0d8992e610c8a';
+  let req;
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: applicationId },
+      query: {},
+      body: {},
+      loggedUser: { _id: '60d21b4667d0d8992e610c85' },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('getErrorStatusCode', () => {
+    it('should map service errors to status codes', () => {
+      expect(getErrorStatusCode([APPLICATION_ERRORS.POSITION_NOT_FOUND])).toBe(404);
+      expect(getErrorStatusCode([APPLICATION_ERRORS.ALREADY_APPLIED])).toBe(409);
+      expect(getErrorStatusCode(['Invalid position_id format'])).toBe(400);
+    });
+  });
+
+  describe('createApplicationController', () => {
+    it('should create an application and return 201', async () => {
+      req.body = {
+        candidate_id: '60d21b4667d0d8992e610c86',
+        position_id: '60d21b4667d0d8992e610c87',
+      };
+      createNewApplication.mockResolvedValue({ success: true, data: { _id: applicationId } });
+
+      await createApplicationController(req, res);
+
+      expect(createNewApplication).toHaveBeenCalledWith(req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { _id: applicationId } });
+    });
+
+    it('should return 409 when the candidate already applied', async () => {
+      createNewApplication.mockResolvedValue({
+        success: false,
+        errors: [APPLICATION_ERRORS.ALREADY_APPLIED],
+      });
+
+      await createApplicationController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Failed to create application.',
+        errors: [APPLICATION_ERRORS.ALREADY_APPLIED],
+      });
+    });
+  });
+
+  describe('updateApplicationController', () => {
+    it('should return 500 when the service throws', async () => {
+      updateExistingApplication.mockRejectedValue(new Error('boom'));
+
+      await updateApplicationController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getPositionApplicationsController', () => {
+    it('should list the applications of the position', async () => {
+      req.query = { status: 'interview' };
+      getPositionApplications.mockResolvedValue({ success: true, data: [] });
+
+      await getPositionApplicationsController(req, res);
+
+      expect(getPositionApplications).toHaveBeenCalledWith(applicationId, { status: 'interview' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for Assessment Session Controller
+ */
+
+const {
+  getErrorStatusCode,
+  createAssessmentSessionController,
+  getAllAssessmentSessionsController,
+  getAssessmentSessionController,
+  startAssessmentSessionController,
+  saveAssessmentSessionAnswersController,
+  finishAssessmentSessionController,
+} = require('../../../src/controllers/assessment-sessions/assessmentSessionController');
+const {
+  SESSION_ERRORS,
+  assignSession,
+  getSessions,
+  getSessionById,
+  startSession,
+  saveSessionAnswers,
+  finishSession,
+} = require('../../../src/services/assessmentSessionService');
+const logger = require('../../../src/utils/logger');
+
+// Mock dependencies
+jest.mock('../../../src/services/assessmentSessionService');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Assessment Session Controller', () => {
+  const sessionId = '60d21b4667d0d8992e610c90';
+  let req;
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: sessionId },
+      query: {},
+      body: {},
+      loggedUser: { _id: '60d21b4667d0d8992e610c85' },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('getErrorStatusCode', () => {
+    it('should map service errors to status codes', () => {
+      expect(getErrorStatusCode([SESSION_ERRORS.NOT_FOUND])).toBe(404);
+      expect(getErrorStatusCode([SESSION_ERRORS.DEADLINE_PASSED])).toBe(409);
+      expect(getErrorStatusCode(['Invalid candidate_id format'])).toBe(400);
+    });
+  });
+
+  describe('createAssessmentSessionController', () => {
+    it('should assign a session and return 201', async () => {
+      req.body = { candidate_id: '60d21b4667d0d8992e610c86', question_ids: [] };
+      assignSession.mockResolvedValue({ success: true, data: { _id: sessionId } });
+
+      await createAssessmentSessionController(req, res);
+
+      expect(assignSession).toHaveBeenCalledWith(req.body, '60d21b4667d0d8992e610c85');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { _id: sessionId } });
+    });
+
+    it('should return 404 when the candidate does not exist', async () => {
+      assignSession.mockResolvedValue({
+        success: false,
+        errors: [SESSION_ERRORS.CANDIDATE_NOT_FOUND],
+      });
+
+      await createAssessmentSessionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Failed to assign assessment session.',
+        errors: [SESSION_ERRORS.CANDIDATE_NOT_FOUND],
+      });
+    });
+
+    it('should return 500 when the service throws', async () => {
+      assignSession.mockRejectedValue(new Error('Database error'));
+
+      await createAssessmentSessionController(req, res);
+
+      expect(logger.error).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getAllAssessmentSessionsController', () => {
+    it('should pass query filters to the service', async () => {
+      req.query = { status: 'in_progress' };
+      getSessions.mockResolvedValue({ success: true, data: [] });
+
+      await getAllAssessmentSessionsController(req, res);
+
+      expect(getSessions).toHaveBeenCalledWith({ status: 'in_progress' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('getAssessmentSessionController', () => {
+    it('should return 404 when the session does not exist', async () => {
+      getSessionById.mockResolvedValue({ success: false, errors: [SESSION_ERRORS.NOT_FOUND] });
+
+      await getAssessmentSessionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('startAssessmentSessionController', () => {
+    it('should return 409 when the session was already started', async () => {
+      startSession.mockResolvedValue({ success: false, errors: [SESSION_ERRORS.ALREADY_STARTED] });
+
+      await startAssessmentSessionController(req, res);
+
+      expect(startSession).toHaveBeenCalledWith(sessionId);
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('saveAssessmentSessionAnswersController', () => {
+    it('should save answers and return 200', async () => {
+      req.body = { answers: [] };
+      saveSessionAnswers.mockResolvedValue({ success: true, data: { _id: sessionId } });
+
+      await saveAssessmentSessionAnswersController(req, res);
+
+      expect(saveSessionAnswers).toHaveBeenCalledWith(sessionId, { answers: [] });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 409 when the deadline has passed', async () => {
+      saveSessionAnswers.mockResolvedValue({
+        success: false,
+        errors: [SESSION_ERRORS.DEADLINE_PASSED],
+      });
+
+      await saveAssessmentSessionAnswersController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('finishAssessmentSessionController', () => {
+    it('should finish the session and return 200', async () => {
+      const finished = { _id: sessionId, status: 'completed', submission_id: 'submission-id' };
+      finishSession.mockResolvedValue({ success: true, data: finished });
+
+      await finishAssessmentSessionController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: finished });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for Assessment Template Controller
+ */
+
+const {
+  getErrorStatusCode,
+  createAssessmentTemplateController,
+  getAllAssessmentTemplatesController,
+  getAssessmentTemplateController,
+  updateAssessmentTemplateController,
+  deleteAssessmentTemplateController,
+  generateAssessmentController,
+  assignAssessmentTemplateController,
+} = require('../../../src/controllers/assessment-templates/assessmentTemplateController');
+const {
+  TEMPLATE_ERRORS,
+  createTemplate,
+  getAllTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  generateFromTemplate,
+  assignTemplate,
+} = require('../../../src/services/assessmentTemplateService');
+const { SESSION_ERRORS } = require('../../../src/services/assessmentSessionService');
+const logger = require('../../../src/utils/logger');
+
+// Mock dependencies
+jest.mock('../../../src/services/assessmentTemplateService');
+jest.mock('../../../src/services/assessmentSessionService');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Assessment Template Controller', () => {
+  const templateId = '60d21b4667d0d8992e610c88';
+  let req;
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: templateId },
+      body: {},
+      loggedUser: { _id: '60d21b4667d0d8992e610c85' },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('getErrorStatusCode', () => {
+    it('should map service errors to status codes', () => {
+      expect(getErrorStatusCode([TEMPLATE_ERRORS.NOT_FOUND])).toBe(404);
+      expect(getErrorStatusCode([SESSION_ERRORS.CANDIDATE_NOT_FOUND])).toBe(404);
+      expect(getErrorStatusCode(['Template name is required'])).toBe(400);
+    });
+  });
+
+  describe('createAssessmentTemplateController', () => {
+    it('should create a template and return 201', async () => {
+      req.body = { name: 'Screening', essay_prompt: 'Tell us about yourself' };
+      createTemplate.mockResolvedValue({ success: true, data: { _id: templateId } });
+
+      await createAssessmentTemplateController(req, res);
+
+      expect(createTemplate).toHaveBeenCalledWith(req.body, '60d21b4667d0d8992e610c85');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { _id: templateId } });
+    });
+
+    it('should return 400 for invalid data', async () => {
+      createTemplate.mockResolvedValue({ success: false, errors: ['Template name is required'] });
+
+      await createAssessmentTemplateController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Failed to create assessment template.',
+        errors: ['Template name is required'],
+      });
+    });
+
+    it('should return 500 when the service throws', async () => {
+      createTemplate.mockRejectedValue(new Error('Database error'));
+
+      await createAssessmentTemplateController(req, res);
+
+      expect(logger.error).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('getAllAssessmentTemplatesController', () => {
+    it('should return all templates', async () => {
+      getAllTemplates.mockResolvedValue({ success: true, data: [] });
+
+      await getAllAssessmentTemplatesController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ status: 'success', data: [] });
+    });
+  });
+
+  describe('getAssessmentTemplateController', () => {
+    it('should return 404 when the template does not exist', async () => {
+      getTemplateById.mockResolvedValue({ success: false, errors: [TEMPLATE_ERRORS.NOT_FOUND] });
+
+      await getAssessmentTemplateController(req, res);
+
+      expect(getTemplateById).toHaveBeenCalledWith(templateId);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('updateAssessmentTemplateController', () => {
+    it('should update the template', async () => {
+      req.body = { description: 'Updated' };
+      updateTemplate.mockResolvedValue({ success: true, data: { _id: templateId } });
+
+      await updateAssessmentTemplateController(req, res);
+
+      expect(updateTemplate).toHaveBeenCalledWith(templateId, { description: 'Updated' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('deleteAssessmentTemplateController', () => {
+    it('should delete the template', async () => {
+      deleteTemplate.mockResolvedValue({ success: true, data: { _id: templateId } });
+
+      await deleteAssessmentTemplateController(req, res);
+
+      expect(deleteTemplate).toHaveBeenCalledWith(templateId);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('generateAssessmentController', () => {
+    it('should return 400 when not enough items match the template', async () => {
+      const errors = ['Not enough questions match the template: found 2 of 10'];
+      generateFromTemplate.mockResolvedValue({ success: false, errors });
+
+      await generateAssessmentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Failed to generate assessment from template.',
+        errors,
+      });
+    });
+  });
+
+  describe('assignAssessmentTemplateController', () => {
+    it('should create an assessment session and return 201', async () => {
+      req.body = { candidate_id: '60d21b4667d0d8992e610c86' };
+      assignTemplate.mockResolvedValue({ success: true, data: { _id: 'session-id' } });
+
+      await assignAssessmentTemplateController(req, res);
+
+      expect(assignTemplate).toHaveBeenCalledWith(templateId, req.body, '60d21b4667d0d8992e610c85');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 404 when the candidate does not exist', async () => {
+      assignTemplate.mockResolvedValue({
+        success: false,
+        errors: [SESSION_ERRORS.CANDIDATE_NOT_FOUND],
+      });
+
+      await assignAssessmentTemplateController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for the question review controller
+ */
+
+const {
+  getErrorStatusCode,
+  approveQuestionController,
+  rejectQuestionController,
+  bulkReviewQuestionsController,
+} = require('../../../src/controllers/questions/reviewController');
+const {
+  REVIEW_ERRORS,
+  reviewQuestion,
+  reviewQuestions,
+} = require('../../../src/services/questionReviewService');
+
+// Mock dependencies
+jest.mock('../../../src/services/questionReviewService');
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Question Review Controller', () => {
+  const questionId = '60d21b4667d0d8992e610c88';
+  const reviewerId = '60d21b4667d0d8992e610c85';
+  let req;
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: questionId },
+      body: { notes: 'Checked against the docs' },
+      loggedUser: { _id: reviewerId },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  it('should map service errors to status codes', () => {
+    expect(getErrorStatusCode([REVIEW_ERRORS.NOT_FOUND])).toBe(404);
+    expect(getErrorStatusCode([REVIEW_ERRORS.INVALID_TRANSITION, 'details'])).toBe(409);
+    expect(getErrorStatusCode(['Notes must be a string'])).toBe(400);
+  });
+
+  it('should approve a question as the logged-in user', async () => {
+    const question = { _id: questionId, status: 'approved' };
+    reviewQuestion.mockResolvedValue({ success: true, data: question });
+
+    await approveQuestionController(req, res);
+
+    expect(reviewQuestion).toHaveBeenCalledWith(questionId, 'approve', req.body, reviewerId);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 'success',
+      message: 'Question approved successfully.',
+      data: question,
+    });
+  });
+
+  it('should return 409 when the status does not allow the action', async () => {
+    const errors = [
+      REVIEW_ERRORS.INVALID_TRANSITION,
+      'Cannot reject a question with status retired',
+    ];
+    reviewQuestion.mockResolvedValue({ success: false, errors });
+
+    await rejectQuestionController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 'error',
+      message: 'Failed to reject question.',
+      errors,
+    });
+  });
+
+  it('should review questions in bulk and handle unexpected errors', async () => {
+    const summary = { action: 'reject', status: 'rejected', requested: 2, updated: 2, skipped: [] };
+    reviewQuestions.mockResolvedValueOnce({ success: true, data: summary });
+    req.body = { ids: [questionId, reviewerId], action: 'reject' };
+
+    await bulkReviewQuestionsController(req, res);
+
+    expect(reviewQuestions).toHaveBeenCalledWith(req.body, reviewerId);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: summary }));
+
+    reviewQuestions.mockRejectedValueOnce(new Error('Database down'));
+    await bulkReviewQuestionsController(req, res);
+
+    expect(res.status).toHaveBeenLastCalledWith(500);
+  });
+});
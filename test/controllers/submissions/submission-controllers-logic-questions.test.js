@@ -8,6 +8,7 @@ const {
 } = require('../../../src/controllers/submissions/createSubmissionController');
 const submissionRepository = require('../../../src/repository/submissionRepository');
 const submissionValidator = require('../../../src/utils/submissionValidator');
+const baseRepository = require('../../../src/repository/baseRepository');
 
 // Mock dependencies
 jest.mock('../../../src/repository/submissionRepository');
@@ -79,6 +80,28 @@ describe('Submission Controllers - Logic Questions', () => {
         missingIds: [],
       });
       submissionRepository.insertSubmissionToDB.mockResolvedValue(createdSubmission);
+      baseRepository.findMany.mockImplementation(collection => {
+        if (collection === 'questions') {
+          return Promise.resolve([
+            { _id: new ObjectId('507f1f77bcf86cd799439012'), correctAnswer: 2 },
+          ]);
+        }
+        if (collection === 'logic_questions') {
+          return Promise.resolve([
+            {
+              _id: new ObjectId('507f1f77bcf86cd799439015'),
+              type: 'multiple_choice',
+              choices: [
+                { text: 'A', is_correct: true },
+                { text: 'B', is_correct: false },
+                { text: 'C', is_correct: true },
+                { text: 'D', is_correct: true },
+              ],
+            },
+          ]);
+        }
+        return Promise.resolve([]);
+      });
 
       // Execute
       await createSubmission(req, res);
@@ -90,7 +113,17 @@ describe('Submission Controllers - Logic Questions', () => {
         data: createdSubmission,
         message: 'Submission created successfully',
       });
-      expect(submissionRepository.insertSubmissionToDB).toHaveBeenCalledWith(req.body);
+
+      // Points are computed on the server; the logic question earns partial credit (2 of 3 correct choices)
+      const inserted = submissionRepository.insertSubmissionToDB.mock.calls[0][0];
+      expect(inserted.answers[0]).toMatchObject({ point: 1, is_correct: true });
+      expect(inserted.logic_questions[0]).toMatchObject({
+        answer: 'true,false,true',
+        point: 0.67,
+        is_correct: false,
+      });
+      expect(inserted.scores.logic_questions).toMatchObject({ partial: 1, max_point: 1 });
+      expect(inserted.scores.overall).toEqual({ point: 1.67, max_point: 2, percentage: 83.5 });
       expect(submissionRepository.logicQuestionsExist).toHaveBeenCalledWith([
         '507f1f77bcf86cd799439015',
       ]);
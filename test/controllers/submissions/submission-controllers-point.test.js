@@ -41,7 +41,7 @@ describe('Submission Controllers - Point Field', () => {
   });
 
   describe('createSubmission', () => {
-    test('should create a submission with point fields', async () => {
+    test('should replace client point fields with server-computed scores', async () => {
       // Mock data
       req.body = {
         candidate_id: '507f1f77bcf86cd799439011',
@@ -83,6 +83,17 @@ describe('Submission Controllers - Point Field', () => {
         missingIds: [],
       });
       submissionRepository.insertSubmissionToDB.mockResolvedValue(createdSubmission);
+      baseRepository.findMany.mockImplementation(collection => {
+        if (collection === 'questions') {
+          return Promise.resolve([
+            { _id: new ObjectId('507f1f77bcf86cd799439012'), correctAnswer: 1 },
+          ]);
+        }
+        if (collection === 'instruments') {
+          return Promise.resolve([{ _id: new ObjectId('507f1f77bcf86cd799439013') }]);
+        }
+        return Promise.resolve([]);
+      });
 
       // Execute
       await createSubmission(req, res);
@@ -94,7 +105,58 @@ describe('Submission Controllers - Point Field', () => {
         data: createdSubmission,
         message: 'Submission created successfully',
       });
-      expect(submissionRepository.insertSubmissionToDB).toHaveBeenCalledWith(req.body);
+
+      // Client-supplied points are replaced by server-computed ones
+      const inserted = submissionRepository.insertSubmissionToDB.mock.calls[0][0];
+      expect(inserted.answers[0]).toMatchObject({ answer: 2, point: 0, is_correct: false });
+      expect(inserted.instruments[0]).toMatchObject({ answer: 3, point: 3 });
+      expect(inserted.scores.answers).toMatchObject({ point: 0, max_point: 1, incorrect: 1 });
+      expect(inserted.scores.instruments).toMatchObject({ point: 3, max_point: 4, answered: 1 });
+    });
+
+    test('should ignore grades sent by the client', async () => {
+      const forgedGrading = { suggested_score: 10, final_score: 10, status: 'confirmed' };
+      req.body = {
+        candidate_id: '507f1f77bcf86cd799439011',
+        logic_questions: [
+          {
+            logic_question_id: '507f1f77bcf86cd799439015',
+            answer: 'My explanation',
+            is_skip: 0,
+            is_correct: true,
+            grading: forgedGrading,
+          },
+        ],
+        essay: {
+          question: 'Describe a project',
+          answer: 'My essay',
+          is_skip: 0,
+          grading: forgedGrading,
+        },
+      };
+
+      submissionValidator.validateSubmissionInput.mockReturnValue({ isValid: true, errors: [] });
+      submissionRepository.candidateExists.mockResolvedValue(true);
+      submissionRepository.logicQuestionsExist.mockResolvedValue({ exists: true, missingIds: [] });
+      submissionRepository.insertSubmissionToDB.mockImplementation(async submission => submission);
+      baseRepository.findMany.mockImplementation(collection =>
+        Promise.resolve(
+          collection === 'logic_questions'
+            ? [{ _id: new ObjectId('507f1f77bcf86cd799439015'), type: 'open_question' }]
+            : []
+        )
+      );
+
+      await createSubmission(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const inserted = submissionRepository.insertSubmissionToDB.mock.calls[0][0];
+      expect(inserted.logic_questions[0]).not.toHaveProperty('grading');
+      expect(inserted.logic_questions[0]).toMatchObject({ point: 0, is_correct: null });
+      expect(inserted.essay).not.toHaveProperty('grading');
+      expect(inserted.scores.logic_questions).toMatchObject({ point: 0, ungraded: 1 });
+      expect(inserted.scores.essay).toMatchObject({ point: 0, ungraded: 1 });
+      expect(inserted.scores.overall.point).toBe(0);
     });
 
     test('should reject a submission with invalid point values', async () => {
@@ -213,6 +275,39 @@ describe('Submission Controllers - Point Field', () => {
       expect(baseRepository.updateOne).toHaveBeenCalled();
     });
 
+    test('should keep stored grades and ignore grades sent by the client', async () => {
+      const submissionId = '507f1f77bcf86cd799439014';
+      const storedGrading = { suggested_score: 2, final_score: 2, status: 'confirmed' };
+      req.params = { id: submissionId };
+      req.body = {
+        essay: {
+          question: 'Describe a project',
+          answer: 'My essay',
+          is_skip: 0,
+          grading: { final_score: 10 },
+        },
+      };
+      const existingSubmission = {
+        _id: new ObjectId(submissionId),
+        candidate_id: '507f1f77bcf86cd799439011',
+        answers: [],
+        essay: { question: 'Describe a project', answer: 'My essay', grading: storedGrading },
+      };
+
+      submissionRepository.getSubmissionById.mockResolvedValue(existingSubmission);
+      submissionValidator.sanitizeUpdateData.mockReturnValue(req.body);
+      submissionValidator.validateSubmissionInput.mockReturnValue({ isValid: true, errors: [] });
+      baseRepository.findMany.mockResolvedValue([]);
+      baseRepository.updateOne.mockResolvedValue({ acknowledged: true });
+
+      await updateSubmission(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { $set } = baseRepository.updateOne.mock.calls[0][2];
+      expect($set.essay.grading).toEqual(storedGrading);
+      expect($set.scores.essay).toMatchObject({ point: 2, graded: 1 });
+    });
+
     test('should reject an update with invalid point values', async () => {
       // Mock data
       const submissionId = '507f1f77bcf86cd799439014';
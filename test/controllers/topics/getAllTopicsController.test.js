@@ -8,11 +8,11 @@ const {
   formatSuccessResponse,
   formatErrorResponse,
 } = require('../../../src/controllers/topics/getAllTopicsController');
-const { getAllTopics } = require('../../../src/repository/topicRepository');
+const { getAllTopicsService } = require('../../../src/services/topicService');
 const logger = require('../../../src/utils/logger');
 
 // Mock dependencies
-jest.mock('../../../src/repository/topicRepository');
+jest.mock('../../../src/services/topicService');
 jest.mock('../../../src/utils/logger');
 
 describe('Get All Topics Controller', () => {
@@ -43,11 +43,13 @@ describe('Get All Topics Controller', () => {
 
   describe('formatSuccessResponse', () => {
     test('should format success response correctly', () => {
-      const response = formatSuccessResponse(sampleTopics);
+      const pagination = { total: 2, page: 1, page_size: 10, total_pages: 1 };
+      const response = formatSuccessResponse(sampleTopics, pagination);
 
       expect(response).toEqual({
         status: 'success',
         data: sampleTopics,
+        pagination,
       });
     });
 
@@ -57,6 +59,7 @@ describe('Get All Topics Controller', () => {
       expect(response).toEqual({
         status: 'success',
         data: [],
+        pagination: {},
       });
     });
 
@@ -67,11 +70,13 @@ describe('Get All Topics Controller', () => {
       expect(responseNull).toEqual({
         status: 'success',
         data: null,
+        pagination: {},
       });
 
       expect(responseUndefined).toEqual({
         status: 'success',
         data: undefined,
+        pagination: {},
       });
     });
   });
@@ -106,7 +111,7 @@ describe('Get All Topics Controller', () => {
     let res;
 
     beforeEach(() => {
-      req = {};
+      req = { query: {} };
       res = {
         status: jest.fn().mockReturnThis(),
         json: jest.fn(),
@@ -115,46 +120,49 @@ describe('Get All Topics Controller', () => {
 
     test('should return topics with 200 status code on success', async () => {
       // Setup mock implementation
-      getAllTopics.mockResolvedValue(sampleTopics);
+      getAllTopicsService.mockResolvedValue({ topics: sampleTopics, totalCount: 12 });
+      req.query = { page: '2', page_size: '5', popularity: 'high' };
 
       // Call the controller
       await getAllTopicsController(req, res);
 
       // Verify response
-      expect(getAllTopics).toHaveBeenCalledTimes(1);
+      expect(getAllTopicsService).toHaveBeenCalledWith(req.query);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         status: 'success',
         data: sampleTopics,
+        pagination: { total: 12, page: 2, page_size: 5, total_pages: 3 },
       });
     });
 
     test('should return empty array with 200 status code when no topics exist', async () => {
       // Setup mock implementation
-      getAllTopics.mockResolvedValue([]);
+      getAllTopicsService.mockResolvedValue({ topics: [], totalCount: 0 });
 
       // Call the controller
       await getAllTopicsController(req, res);
 
       // Verify response
-      expect(getAllTopics).toHaveBeenCalledTimes(1);
+      expect(getAllTopicsService).toHaveBeenCalledTimes(1);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         status: 'success',
         data: [],
+        pagination: { total: 0, page: 1, page_size: 10, total_pages: 0 },
       });
     });
 
     test('should return error with 500 status code on failure', async () => {
       // Setup mock implementation
       const error = new Error('Database connection failed');
-      getAllTopics.mockRejectedValue(error);
+      getAllTopicsService.mockRejectedValue(error);
 
       // Call the controller
       await getAllTopicsController(req, res);
 
       // Verify response
-      expect(getAllTopics).toHaveBeenCalledTimes(1);
+      expect(getAllTopicsService).toHaveBeenCalledTimes(1);
       expect(logger.error).toHaveBeenCalledWith('Error retrieving topics:', error);
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.json).toHaveBeenCalledWith({
@@ -166,7 +174,7 @@ describe('Get All Topics Controller', () => {
 
     test('should handle unexpected errors gracefully', async () => {
       // Setup mock implementation for unexpected error
-      getAllTopics.mockImplementation(() => {
+      getAllTopicsService.mockImplementation(() => {
         throw new Error('Unexpected error');
       });
 
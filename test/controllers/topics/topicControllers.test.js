@@ -0,0 +1,139 @@
+/**
+ * Tests for the topic create, get, update and delete controllers
+ * @module test/controllers/topics/topicControllers.test
+ */
+
+const {
+  createTopicController,
+  getTopicByIdController,
+  updateTopicController,
+  deleteTopicController,
+} = require('../../../src/controllers/topics');
+const {
+  createTopicService,
+  getTopicByIdService,
+  updateTopicService,
+  deleteTopicService,
+} = require('../../../src/services/topicService');
+
+// Mock dependencies
+jest.mock('../../../src/services/topicService');
+jest.mock('../../../src/utils/logger');
+
+/**
+ * Create an error with the HTTP status the topic service attaches
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with a status
+ */
+const statusError = (message, status) => Object.assign(new Error(message), { status });
+
+describe('Topic Controllers', () => {
+  const topic = { _id: '60d21b4667d0d8992e610c81', title: 'Async', slug: 'async' };
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+  });
+
+  describe('createTopicController', () => {
+    test('should respond with 201 and the created topic', async () => {
+      createTopicService.mockResolvedValue(topic);
+
+      await createTopicController({ body: { title: 'Async' } }, res);
+
+      expect(createTopicService).toHaveBeenCalledWith({ title: 'Async' });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'success',
+        message: 'Topic created successfully.',
+        data: topic,
+      });
+    });
+
+    test('should respond with the status of service errors and 400 for validation errors', async () => {
+      createTopicService.mockRejectedValueOnce(
+        statusError("Topic with title 'Async' already exists", 409)
+      );
+      await createTopicController({ body: { title: 'Async' } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(409);
+
+      const validationError = new Error('Validation failed');
+      validationError.name = 'ValidationError';
+      validationError.errors = { title: { message: 'Topic title is required' } };
+      createTopicService.mockRejectedValueOnce(validationError);
+      await createTopicController({ body: {} }, res);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+      expect(res.json).toHaveBeenLastCalledWith({
+        status: 'error',
+        message: 'Validation error.',
+        errors: ['Topic title is required'],
+      });
+
+      createTopicService.mockRejectedValueOnce(new Error('Database down'));
+      await createTopicController({ body: {} }, res);
+      expect(res.status).toHaveBeenLastCalledWith(500);
+    });
+  });
+
+  describe('getTopicByIdController', () => {
+    test('should respond with the topic or 404', async () => {
+      getTopicByIdService.mockResolvedValueOnce(topic).mockResolvedValueOnce(null);
+
+      await getTopicByIdController({ params: { id: topic._id } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(200);
+      expect(res.json).toHaveBeenLastCalledWith({ status: 'success', data: topic });
+
+      await getTopicByIdController({ params: { id: topic._id } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+    });
+  });
+
+  describe('updateTopicController', () => {
+    test('should require update data and respond with 404 for missing topics', async () => {
+      await updateTopicController({ params: { id: topic._id }, body: {} }, res);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+      expect(updateTopicService).not.toHaveBeenCalled();
+
+      updateTopicService.mockResolvedValueOnce(null);
+      await updateTopicController({ params: { id: topic._id }, body: { difficulty: 2 } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+    });
+
+    test('should respond with 400 when the new parent would create a cycle', async () => {
+      updateTopicService.mockRejectedValueOnce(
+        statusError('A topic cannot be placed under itself or one of its subtopics', 400)
+      );
+
+      await updateTopicController({ params: { id: topic._id }, body: { parent_id: 'x' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'A topic cannot be placed under itself or one of its subtopics',
+      });
+    });
+  });
+
+  describe('deleteTopicController', () => {
+    test('should respond with 200, 404 or 409', async () => {
+      deleteTopicService
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false)
+        .mockRejectedValueOnce(statusError('Topic has subtopics; move or delete them first', 409));
+
+      await deleteTopicController({ params: { id: topic._id } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(200);
+
+      await deleteTopicController({ params: { id: topic._id } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+
+      await deleteTopicController({ params: { id: topic._id } }, res);
+      expect(res.status).toHaveBeenLastCalledWith(409);
+    });
+  });
+});
@@ -116,6 +116,7 @@ describe('fileOperations', () => {
         page: 1,
         page_size: 1000,
         mode: 'minimalist',
+        status: ['draft', 'pending_review', 'approved', 'rejected', 'retired'],
       });
       expect(result).toEqual(['question1', 'question2', 'question3']);
     });
@@ -5,6 +5,7 @@
 
 const request = require('supertest');
 const express = require('express');
+const { authenticate } = require('../../mocks/oauthMiddleware');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const instrumentRoutes = require('../../../src/routes/instruments');
@@ -31,7 +32,7 @@ describe('Instrument Routes', () => {
     // Create Express app
     app = express();
     app.use(express.json());
-    app.use('/api/instruments', instrumentRoutes);
+    app.use('/api/instruments', authenticate(), instrumentRoutes);
 
     // Setup MongoDB Memory Server
     mongoServer = await MongoMemoryServer.create();
@@ -5,6 +5,7 @@
 
 const request = require('supertest');
 const express = require('express');
+const { authenticate } = require('../../mocks/oauthMiddleware');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const instrumentTagRoutes = require('../../../src/routes/instrument-tags');
@@ -29,7 +30,7 @@ describe('Instrument Tag Routes', () => {
     // Create Express app
     app = express();
     app.use(express.json());
-    app.use('/api/instrument-tags', instrumentTagRoutes);
+    app.use('/api/instrument-tags', authenticate(), instrumentTagRoutes);
 
     // Setup MongoDB Memory Server
     mongoServer = await MongoMemoryServer.create();
@@ -113,6 +113,25 @@ describe('Instrument Tag Service', () => {
         });
       });
 
+      it('should validate norm bands', async () => {
+        // Arrange
+        const tagData = {
+          name: 'Personality',
+          description: 'Tags related to personality tests and measurements.',
+          normBands: { averageFrom: 70, highFrom: 40 },
+        };
+
+        // Act
+        const result = await createTag(tagData);
+
+        // Assert
+        expect(createInstrumentTag).not.toHaveBeenCalled();
+        expect(result).toEqual({
+          success: false,
+          errors: ['Norm band averageFrom cannot be greater than highFrom'],
+        });
+      });
+
       it('should handle duplicate name error', async () => {
         // Arrange
         const tagData = {
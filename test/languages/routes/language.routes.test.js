@@ -5,6 +5,7 @@
 
 const request = require('supertest');
 const express = require('express');
+const { authenticate } = require('../../mocks/oauthMiddleware');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
@@ -58,7 +59,7 @@ describe('Language Routes', () => {
 
     // Mount language routes
     const languageRoutes = require('../../../src/routes/languages');
-    app.use('/api/languages', languageRoutes);
+    app.use('/api/languages', authenticate(), languageRoutes);
   });
 
   // Clean up after tests
@@ -0,0 +1,190 @@
+/**
+ * Tests for the LLM provider layer
+ * @module test/llm/llm-providers
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getProvider, generateText } = require('../../src/services/llm');
+const { getLLMProviderNames } = require('../../src/config/llmConfig');
+const { postJson } = require('../../src/services/llm/httpClient');
+const geminiClient = require('../../src/services/gemini/geminiClient');
+const fixtureProvider = require('../../src/services/llm/providers/fixtureProvider');
+
+jest.mock('../../src/services/gemini/geminiClient', () => ({
+  generateContent: jest.fn(),
+  DEFAULT_MODEL: 'gemini-2.0-flash',
+}));
+jest.mock('../../src/services/llm/httpClient', () => ({
+  postJson: jest.fn(),
+  withRetries: jest.fn(fn => fn(1)),
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('LLM Providers', () => {
+  const originalEnv = process.env;
+  let fixturesDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    process.env = {
+      ...originalEnv,
+      LLM_PROVIDER: '',
+      LLM_RECORD_FIXTURES: 'false',
+      LLM_FIXTURES_DIR: fixturesDir,
+      OPENAI_API_BASE_URL: 'http://localhost:8080/v1/',
+      OPENAI_API_KEY: 'test-key',
+      OPENAI_MODEL: 'gpt-test',
+      OLLAMA_BASE_URL: 'http://localhost:11434',
+      OLLAMA_MODEL: 'llama-test',
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getProvider', () => {
+    it('should default to Gemini', () => {
+      expect(getProvider().name).toBe('gemini');
+    });
+
+    it('should use the LLM_PROVIDER setting', () => {
+      process.env.LLM_PROVIDER = 'ollama';
+
+      expect(getProvider().name).toBe('ollama');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => getProvider('claude')).toThrow(
+        'Unknown LLM provider: claude. Must be one of: gemini, openai, ollama, fixture'
+      );
+    });
+
+    it('should only offer the fixture provider in tests, development or when enabled', () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(() => getProvider('fixture')).toThrow(
+        'Unknown LLM provider: fixture. Must be one of: gemini, openai, ollama'
+      );
+      expect(getLLMProviderNames()).not.toContain('fixture');
+
+      process.env.LLM_PROVIDER = 'fixture';
+      expect(() => getProvider()).toThrow('Unknown LLM provider: fixture');
+
+      process.env.LLM_ENABLE_FIXTURES = 'true';
+      expect(getProvider().name).toBe('fixture');
+
+      delete process.env.LLM_ENABLE_FIXTURES;
+      process.env.NODE_ENV = 'development';
+      expect(getProvider('fixture').name).toBe('fixture');
+    });
+  });
+
+  describe('generateText', () => {
+    it('should pass the options without the provider name to the provider', async () => {
+      geminiClient.generateContent.mockResolvedValue('Generated text');
+
+      const result = await generateText('Prompt', { provider: 'gemini', model: 'gemini-pro' });
+
+      expect(result).toBe('Generated text');
+      expect(geminiClient.generateContent).toHaveBeenCalledWith('Prompt', { model: 'gemini-pro' });
+    });
+
+    it('should record responses for replay when LLM_RECORD_FIXTURES is enabled', async () => {
+      process.env.LLM_RECORD_FIXTURES = 'true';
+      geminiClient.generateContent.mockResolvedValue('Recorded text');
+
+      await generateText('Prompt to record');
+
+      await expect(generateText('Prompt to record', { provider: 'fixture' })).resolves.toBe(
+        'Recorded text'
+      );
+    });
+  });
+
+  describe('openai provider', () => {
+    it('should call the chat completions endpoint', async () => {
+      postJson.mockResolvedValue({ choices: [{ message: { content: 'Chat response' } }] });
+
+      const result = await generateText('Prompt', {
+        provider: 'openai',
+        temperature: 0.2,
+        maxOutputTokens: 500,
+      });
+
+      expect(result).toBe('Chat response');
+      expect(postJson).toHaveBeenCalledWith(
+        'http://localhost:8080/v1/chat/completions',
+        {
+          model: 'gpt-test',
+          messages: [{ role: 'user', content: 'Prompt' }],
+          temperature: 0.2,
+          max_tokens: 500,
+        },
+        expect.objectContaining({ headers: { Authorization: 'Bearer test-key' } })
+      );
+    });
+
+    it('should fail on an unexpected response structure', async () => {
+      postJson.mockResolvedValue({ choices: [] });
+
+      await expect(generateText('Prompt', { provider: 'openai', model: 'other' })).rejects.toThrow(
+        'Unexpected response structure from OpenAI-compatible API'
+      );
+    });
+  });
+
+  describe('ollama provider', () => {
+    it('should call the generate endpoint without streaming', async () => {
+      postJson.mockResolvedValue({ response: 'Ollama response' });
+
+      const result = await generateText('Prompt', {
+        provider: 'ollama',
+        model: 'mistral',
+        maxOutputTokens: 256,
+      });
+
+      expect(result).toBe('Ollama response');
+      expect(postJson).toHaveBeenCalledWith(
+        'http://localhost:11434/api/generate',
+        { model: 'mistral', prompt: 'Prompt', stream: false, options: { num_predict: 256 } },
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('fixture provider', () => {
+    it('should replay the response recorded for the prompt', async () => {
+      const setDir = path.join(fixturesDir, 'default');
+      await fs.mkdir(setDir);
+      await fs.writeFile(path.join(setDir, `${fixtureProvider.getPromptKey('Prompt')}.txt`), 'A');
+      await fs.writeFile(path.join(setDir, 'default.txt'), 'B');
+
+      await expect(generateText('Prompt', { provider: 'fixture' })).resolves.toBe('A');
+      await expect(generateText('Other prompt', { provider: 'fixture' })).resolves.toBe('B');
+    });
+
+    it('should fail when nothing was recorded', async () => {
+      await expect(generateText('Prompt', { provider: 'fixture', model: 'empty' })).rejects.toThrow(
+        'No recorded response for prompt'
+      );
+    });
+
+    it('should reject fixture set names that are not plain directory names', async () => {
+      await expect(
+        generateText('Prompt', { provider: 'fixture', model: '../secrets' })
+      ).rejects.toThrow('Invalid fixture set name: ../secrets');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the Permission Middleware
+ * @module test/middlewares/permissionMiddleware
+ */
+
+const {
+  requirePermission,
+  restrictToOwnCandidate,
+} = require('../../src/middlewares/permissionMiddleware');
+const { PERMISSIONS, hasPermission } = require('../../src/config/roleConfig');
+const userService = require('../../src/services/userService');
+const { createMockResponse, createMockNext } = require('../helpers/middlewareTestHelpers');
+
+jest.mock('../../src/services/userService');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Permission Middleware', () => {
+  const userId = '60d21b4667d0d8992e610c85';
+  const candidateId = '60d21b4667d0d8992e610c86';
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = createMockResponse();
+    next = createMockNext();
+  });
+
+  describe('role permissions', () => {
+    it('should keep user management for admins', () => {
+      expect(hasPermission('admin', PERMISSIONS.USERS_WRITE)).toBe(true);
+      expect(hasPermission('recruiter', PERMISSIONS.USERS_WRITE)).toBe(false);
+      expect(hasPermission('recruiter', PERMISSIONS.QUESTIONS_GENERATE)).toBe(true);
+    });
+
+    it('should not let candidates or interviewers change the question bank', () => {
+      expect(hasPermission('candidate', PERMISSIONS.QUESTIONS_WRITE)).toBe(false);
+      expect(hasPermission('interviewer', PERMISSIONS.QUESTIONS_GENERATE)).toBe(false);
+      expect(hasPermission('candidate', PERMISSIONS.ASSESSMENTS_TAKE)).toBe(true);
+      expect(hasPermission(undefined, PERMISSIONS.QUESTIONS_READ)).toBe(false);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should call next when the role has the permission', async () => {
+      const req = { loggedUser: { _id: userId, role: 'recruiter' } };
+
+      await requirePermission(PERMISSIONS.QUESTIONS_WRITE)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(userService.getUserById).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when the role lacks the permission', async () => {
+      const req = { loggedUser: { _id: userId, role: 'candidate' } };
+
+      await requirePermission(PERMISSIONS.QUESTIONS_WRITE)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Forbidden',
+        errors: ['Missing permission: questions:write'],
+      });
+    });
+
+    it('should load the role of token users from the database', async () => {
+      const req = { loggedUser: { id: userId, username: 'johndoe' } };
+      const user = { _id: userId, username: 'johndoe', role: 'admin' };
+      userService.getUserById.mockResolvedValue(user);
+
+      await requirePermission(PERMISSIONS.USERS_READ)(req, res, next);
+
+      expect(userService.getUserById).toHaveBeenCalledWith(userId);
+      expect(req.loggedUser).toBe(user);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should return 401 when there is no logged user', async () => {
+      await requirePermission(PERMISSIONS.QUESTIONS_READ)({}, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the user cannot be loaded', async () => {
+      const req = { loggedUser: { id: userId } };
+      userService.getUserById.mockRejectedValue(new Error('Database error'));
+
+      await requirePermission(PERMISSIONS.QUESTIONS_READ)(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('restrictToOwnCandidate', () => {
+    it('should let candidates access their own data', async () => {
+      const req = { loggedUser: { _id: userId, role: 'candidate', candidate_id: candidateId } };
+
+      await restrictToOwnCandidate(() => candidateId)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it("should return 403 for another candidate's data", async () => {
+      const req = { loggedUser: { _id: userId, role: 'candidate', candidate_id: candidateId } };
+
+      await restrictToOwnCandidate(async () => '60d21b4667d0d8992e610c99')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Forbidden',
+        errors: ['You can only access your own candidate data'],
+      });
+    });
+
+    it('should return 403 for candidates on requests not limited to one candidate', async () => {
+      const req = { loggedUser: { _id: userId, role: 'candidate', candidate_id: candidateId } };
+
+      await restrictToOwnCandidate(() => null)(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should not look up the candidate for other roles', async () => {
+      const req = { loggedUser: { _id: userId, role: 'interviewer' } };
+      const getCandidateId = jest.fn();
+
+      await restrictToOwnCandidate(getCandidateId)(req, res, next);
+
+      expect(getCandidateId).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the Scope Middleware
+ * @module test/middlewares/scopeMiddleware
+ */
+
+const { requireScope } = require('../../src/middlewares/scopeMiddleware');
+const { OAUTH_SCOPES } = require('../../src/config/oauthConfig');
+const { validateScope } = require('../../src/oauth/models/scopeModel');
+const { createMockResponse, createMockNext } = require('../helpers/middlewareTestHelpers');
+
+jest.mock('../../src/utils/logger', () => ({
+  debug: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Scope Middleware', () => {
+  const questionScopes = { read: OAUTH_SCOPES.QUESTIONS_READ, write: OAUTH_SCOPES.QUESTIONS_WRITE };
+  let res;
+  let next;
+
+  /**
+   * Give the mock response an access token with the given scope
+   * @param {string} [scope] - Space-delimited scope of the token
+   */
+  const authenticateWith = scope => {
+    res.locals = { oauth: { token: { accessToken: 'abc', scope } } };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = createMockResponse();
+    res.set = jest.fn().mockReturnValue(res);
+    res.locals = {};
+    next = createMockNext();
+  });
+
+  describe('requireScope', () => {
+    it('should require the read scope for GET and the write scope otherwise', () => {
+      authenticateWith('questions:read profile');
+
+      requireScope(questionScopes)({ method: 'GET', originalUrl: '/api/questions' }, res, next);
+      expect(next).toHaveBeenCalledWith();
+
+      requireScope(questionScopes)({ method: 'POST', originalUrl: '/api/questions' }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.set).toHaveBeenCalledWith(
+        'WWW-Authenticate',
+        'Bearer error="insufficient_scope", scope="questions:write"'
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'Forbidden',
+        errors: ['Missing scope: questions:write'],
+      });
+    });
+
+    it('should let the admin scope satisfy every scope', () => {
+      authenticateWith('admin');
+
+      requireScope(OAUTH_SCOPES.QUESTIONS_GENERATE)({ method: 'POST' }, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject tokens issued without a scope', () => {
+      authenticateWith(undefined);
+
+      requireScope(OAUTH_SCOPES.PROFILE)({ method: 'GET' }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should leave requests without an access token to the authentication middleware', () => {
+      requireScope(OAUTH_SCOPES.ADMIN)({ method: 'DELETE' }, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateScope', () => {
+    const client = { id: 'limited-client', scopes: ['questions:read', 'profile'] };
+
+    it('should narrow requested scopes to the scopes of the client', async () => {
+      expect(await validateScope({}, client, 'questions:read questions:write')).toBe(
+        'questions:read'
+      );
+      expect(await validateScope({}, client, undefined)).toBe('questions:read profile');
+    });
+
+    it('should refuse requests without an allowed scope', async () => {
+      expect(await validateScope({}, client, 'admin')).toBe(false);
+      expect(await validateScope({}, client, 'questions:"read"')).toBe(false);
+    });
+
+    it('should give clients without a scope list every scope except admin', async () => {
+      const granted = await validateScope({}, { id: 'legacy-client' }, '');
+
+      expect(granted.split(' ')).toContain(OAUTH_SCOPES.QUESTIONS_GENERATE);
+      expect(granted.split(' ')).not.toContain(OAUTH_SCOPES.ADMIN);
+    });
+  });
+});
@@ -13,11 +13,13 @@ const authenticate = () => {
       _id: '60d21b4667d0d8992e610c85',
       username: 'johndoe',
       email: 'test@example.com',
+      role: 'admin',
     };
     req.loggedUser = {
       _id: '60d21b4667d0d8992e610c85',
       username: 'johndoe',
       email: 'test@example.com',
+      role: 'admin',
     };
     next();
   };
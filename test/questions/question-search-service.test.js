@@ -598,4 +598,45 @@ describe('Question Search Service', () => {
     // Verify that findMany was called
     expect(findMany).toHaveBeenCalled();
   });
+
+  it('should filter questions by difficulty', async () => {
+    const searchParams = {
+      position: 'junior',
+      sort_by: 'question',
+      sort_direction: 'asc',
+      page: 1,
+      page_size: 5,
+      difficulty: 'hard',
+    };
+
+    findMany.mockResolvedValueOnce([]);
+
+    await searchQuestions(searchParams);
+
+    const filter = findMany.mock.calls[findMany.mock.calls.length - 1][1];
+    expect(filter.$and).toContainEqual({ difficulty: 'hard' });
+  });
+
+  it('should only include approved questions by default', async () => {
+    findMany.mockResolvedValueOnce([]);
+
+    await searchQuestions({ sort_by: 'question', page: 1, page_size: 5 });
+
+    const filter = findMany.mock.calls[findMany.mock.calls.length - 1][1];
+    expect(filter.status).toEqual({ $in: ['approved', null] });
+  });
+
+  it('should include the requested moderation statuses', async () => {
+    findMany.mockResolvedValueOnce([]);
+
+    await searchQuestions({
+      sort_by: 'question',
+      page: 1,
+      page_size: 5,
+      status: ['pending_review'],
+    });
+
+    const filter = findMany.mock.calls[findMany.mock.calls.length - 1][1];
+    expect(filter.status).toEqual({ $in: ['pending_review'] });
+  });
 });
@@ -331,6 +331,29 @@ describe('Quiz Question Creator Tests', () => {
       });
     });
 
+    test('should generate quiz questions offline with the fixture provider', async () => {
+      process.env.LLM_FIXTURES_DIR = path.join(__dirname, '../fixtures/llm');
+
+      const result = await generateQuizQuestions({
+        provider: 'fixture',
+        model: 'quiz-questions',
+        topic: 'JavaScript',
+        language: 'English',
+        position: 'junior',
+      });
+
+      expect(result.questions).toHaveLength(2);
+      expect(result.questions[0].correctAnswer).toBe(2);
+      expect(generateContent).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown provider before generating', async () => {
+      await expect(generateQuizQuestions({ provider: 'unknown' })).rejects.toThrow(
+        'Failed to generate quiz questions: Unknown LLM provider: unknown'
+      );
+      expect(generateContent).not.toHaveBeenCalled();
+    });
+
     test('should handle errors during generation', async () => {
       // Mock the generateContent function to throw an error
       generateContent.mockRejectedValue(new Error('API error'));
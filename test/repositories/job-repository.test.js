@@ -12,6 +12,10 @@ const {
   updateJobStatus,
   deleteJob,
   getJobsByTypeAndStatus,
+  getJobs,
+  countJobs,
+  startJobAttempt,
+  finishJobAttempt,
 } = require('../../src/repository/jobRepository');
 
 // Mock the logger to prevent console output during tests
@@ -208,4 +212,69 @@ describe('Job Repository Tests', () => {
       expect(jobs.length).toBe(0);
     });
   });
+
+  describe('getJobs and countJobs', () => {
+    test('should page through matching jobs, newest first', async () => {
+      const first = await createJob(sampleJobData);
+      const second = await createJob(sampleJobData);
+      await createJob({ ...sampleJobData, status: 'done' });
+
+      const jobs = await getJobs({ status: 'new' }, { skip: 0, limit: 1 });
+
+      expect(jobs.length).toBe(1);
+      expect([first._id.toString(), second._id.toString()]).toContain(jobs[0]._id.toString());
+      expect(await countJobs({ status: 'new' })).toBe(2);
+    });
+  });
+
+  describe('job attempts', () => {
+    test('should record the start of an attempt', async () => {
+      const createdJob = await createJob(sampleJobData);
+
+      const job = await startJobAttempt(createdJob._id);
+
+      expect(job.status).toBe('processing');
+      expect(job.attempts).toBe(1);
+      expect(job.attemptHistory.length).toBe(1);
+      expect(job.attemptHistory[0].attempt).toBe(1);
+      expect(job.attemptHistory[0].startedAt).toBeInstanceOf(Date);
+    });
+
+    test('should record a failed attempt with its error', async () => {
+      const createdJob = await createJob(sampleJobData);
+      await startJobAttempt(createdJob._id);
+      const nextRunAt = new Date(Date.now() + 30000);
+
+      const job = await finishJobAttempt(createdJob._id, 1, {
+        status: 'retrying',
+        error: 'LLM unavailable',
+        nextRunAt,
+      });
+
+      expect(job.status).toBe('retrying');
+      expect(job.lastError).toBe('LLM unavailable');
+      expect(job.nextRunAt.getTime()).toBe(nextRunAt.getTime());
+      expect(job.attemptHistory[0].status).toBe('failed');
+      expect(job.attemptHistory[0].error).toBe('LLM unavailable');
+      expect(job.attemptHistory[0].finishedAt).toBeInstanceOf(Date);
+    });
+
+    test('should keep the history of earlier attempts', async () => {
+      const createdJob = await createJob(sampleJobData);
+      await startJobAttempt(createdJob._id);
+      await finishJobAttempt(createdJob._id, 1, { status: 'retrying', error: 'Timeout' });
+      await startJobAttempt(createdJob._id);
+
+      const job = await finishJobAttempt(createdJob._id, 2, { status: 'done' });
+
+      expect(job.status).toBe('done');
+      expect(job.attempts).toBe(2);
+      expect(job.nextRunAt).toBeUndefined();
+      expect(job.attemptHistory.map(attempt => attempt.status)).toEqual(['failed', 'done']);
+    });
+
+    test('should return null for a non-existent job', async () => {
+      expect(await startJobAttempt(new mongoose.Types.ObjectId())).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,274 @@
+/**
+ * Tests that candidate tokens cannot read answer keys or bypass assessment sessions
+ */
+
+const request = require('supertest');
+const express = require('express');
+const oauthTokenRepository = require('../../src/repository/oauthTokenRepository');
+const userService = require('../../src/services/userService');
+const questionService = require('../../src/services/questionService');
+const logicQuestionService = require('../../src/services/logicQuestionService');
+const submissionRepository = require('../../src/repository/submissionRepository');
+const assessmentSessionRepository = require('../../src/repository/assessmentSessionRepository');
+const baseRepository = require('../../src/repository/baseRepository');
+const { compatAuthenticate } = require('../../src/middlewares/compatAuthMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/repository/oauthTokenRepository');
+jest.mock('../../src/services/userService');
+jest.mock('../../src/services/questionService');
+jest.mock('../../src/services/logicQuestionService');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/repository/assessmentSessionRepository');
+jest.mock('../../src/repository/baseRepository');
+jest.mock('../../src/utils/logger');
+
+// Create an Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/questions', compatAuthenticate(), require('../../src/routes/questions'));
+app.use('/api/logic-questions', compatAuthenticate(), require('../../src/routes/logic-questions'));
+app.use('/api/submissions', compatAuthenticate(), require('../../src/routes/submissions'));
+app.use(
+  '/api/assessment-sessions',
+  compatAuthenticate(),
+  require('../../src/routes/assessment-sessions')
+);
+
+describe('Candidate access', () => {
+  const questionId = '64b7f0c2a1b2c3d4e5f60730';
+  const users = {
+    '64b7f0c2a1b2c3d4e5f60720': {
+      _id: '64b7f0c2a1b2c3d4e5f60720',
+      username: 'candidate',
+      role: 'candidate',
+      candidate_id: '64b7f0c2a1b2c3d4e5f60740',
+    },
+    '64b7f0c2a1b2c3d4e5f60721': {
+      _id: '64b7f0c2a1b2c3d4e5f60721',
+      username: 'recruiter',
+      role: 'recruiter',
+    },
+  };
+  const tokens = {
+    'candidate-token': '64b7f0c2a1b2c3d4e5f60720',
+    'recruiter-token': '64b7f0c2a1b2c3d4e5f60721',
+  };
+  const scope =
+    'questions:read questions:write submissions:read submissions:write assessments:read';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthTokenRepository.getAccessToken.mockImplementation(accessToken =>
+      Promise.resolve(
+        tokens[accessToken]
+          ? {
+              accessToken,
+              accessTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+              client: { id: 'web-client' },
+              user: { id: tokens[accessToken], username: users[tokens[accessToken]].username },
+              scope,
+            }
+          : null
+      )
+    );
+    oauthTokenRepository.touchAccessToken.mockResolvedValue();
+    userService.getUserById.mockImplementation(id => Promise.resolve(users[id] || null));
+
+    questionService.getQuestion.mockResolvedValue({
+      _id: questionId,
+      question: 'What is a closure?',
+      options: ['A', 'B', 'C', 'D'],
+      correctAnswer: 2,
+    });
+    logicQuestionService.getQuestionById.mockResolvedValue({
+      success: true,
+      data: { _id: questionId, choices: [{ text: 'Yes', is_correct: true }] },
+    });
+  });
+
+  it('should not give candidates the answer key of a question', async () => {
+    const res = await request(app)
+      .get(`/api/questions/${questionId}`)
+      .set('Authorization', 'Bearer candidate-token');
+
+    expect(res.status).toBe(403);
+    expect(res.body.correctAnswer).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toContain('correctAnswer');
+    expect(questionService.getQuestion).not.toHaveBeenCalled();
+
+    const search = await request(app)
+      .get('/api/questions/search')
+      .set('Authorization', 'Bearer candidate-token');
+    expect(search.status).toBe(403);
+  });
+
+  it('should not give candidates the answer key of a logic question', async () => {
+    const res = await request(app)
+      .get(`/api/logic-questions/${questionId}`)
+      .set('Authorization', 'Bearer candidate-token');
+
+    expect(res.status).toBe(403);
+    expect(JSON.stringify(res.body)).not.toContain('is_correct');
+    expect(logicQuestionService.getQuestionById).not.toHaveBeenCalled();
+
+    const list = await request(app)
+      .get('/api/logic-questions')
+      .set('Authorization', 'Bearer candidate-token');
+    expect(list.status).toBe(403);
+  });
+
+  it('should keep item statistics, which include the answer keys, for reviewers', async () => {
+    for (const path of ['/api/questions/stats', `/api/questions/${questionId}/stats`]) {
+      const res = await request(app).get(path).set('Authorization', 'Bearer candidate-token');
+
+      expect(res.status).toBe(403);
+      expect(res.body.errors).toEqual(['Missing permission: questions:review']);
+    }
+  });
+
+  it('should not let candidates create submissions outside assessment sessions', async () => {
+    const res = await request(app)
+      .post('/api/submissions')
+      .set('Authorization', 'Bearer candidate-token')
+      .send({ candidate_id: users['64b7f0c2a1b2c3d4e5f60720'].candidate_id });
+
+    expect(res.status).toBe(403);
+    expect(res.body.errors).toEqual(['Missing permission: submissions:create']);
+    expect(submissionRepository.insertSubmissionToDB).not.toHaveBeenCalled();
+  });
+
+  it('should still give staff the answer keys', async () => {
+    const res = await request(app)
+      .get(`/api/questions/${questionId}`)
+      .set('Authorization', 'Bearer recruiter-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.correctAnswer).toBe(2);
+
+    const logic = await request(app)
+      .get(`/api/logic-questions/${questionId}`)
+      .set('Authorization', 'Bearer recruiter-token');
+    expect(logic.status).toBe(200);
+    expect(logic.body.data.choices[0].is_correct).toBe(true);
+  });
+
+  describe('GET /api/assessment-sessions/:id/items', () => {
+    const sessionId = '64b7f0c2a1b2c3d4e5f60750';
+    const logicQuestionId = '64b7f0c2a1b2c3d4e5f60731';
+    const instrumentId = '64b7f0c2a1b2c3d4e5f60732';
+    const buildSession = overrides => ({
+      _id: sessionId,
+      candidate_id: users['64b7f0c2a1b2c3d4e5f60720'].candidate_id,
+      status: 'in_progress',
+      deadline_at: new Date(Date.now() + 30 * 60 * 1000),
+      question_ids: [questionId],
+      instrument_ids: [instrumentId],
+      logic_question_ids: [logicQuestionId],
+      essay: { question: 'Describe a project', answer: null, is_skip: 0 },
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      assessmentSessionRepository.getAssessmentSessionById.mockResolvedValue(buildSession());
+      baseRepository.findMany.mockImplementation(collection =>
+        Promise.resolve(
+          {
+            questions: [
+              {
+                _id: questionId,
+                question: 'What is a closure?',
+                options: ['A', 'B', 'C', 'D'],
+                correctAnswer: 2,
+              },
+            ],
+            instruments: [
+              {
+                _id: instrumentId,
+                questionText: 'I enjoy teamwork',
+                type: 'scale',
+                options: ['Never', 'Always'],
+                reverseScored: true,
+                weight: 2,
+              },
+            ],
+            logic_questions: [
+              {
+                _id: logicQuestionId,
+                question: 'Is 2 + 2 equal to 4?',
+                type: 'multiple_choice',
+                choices: [
+                  { text: 'Yes', is_correct: true },
+                  { text: 'No', is_correct: false },
+                ],
+                answer_explanation: 'Addition',
+              },
+            ],
+          }[collection] || []
+        )
+      );
+    });
+
+    it('should give candidates the items of their session without the answer keys', async () => {
+      const res = await request(app)
+        .get(`/api/assessment-sessions/${sessionId}/items`)
+        .set('Authorization', 'Bearer candidate-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        session_id: sessionId,
+        deadline_at: expect.any(String),
+        questions: [
+          { _id: questionId, question: 'What is a closure?', options: ['A', 'B', 'C', 'D'] },
+        ],
+        instruments: [
+          {
+            _id: instrumentId,
+            questionText: 'I enjoy teamwork',
+            type: 'scale',
+            options: ['Never', 'Always'],
+          },
+        ],
+        logic_questions: [
+          {
+            _id: logicQuestionId,
+            question: 'Is 2 + 2 equal to 4?',
+            type: 'multiple_choice',
+            choices: [{ text: 'Yes' }, { text: 'No' }],
+          },
+        ],
+        essay_question: 'Describe a project',
+      });
+      const body = JSON.stringify(res.body);
+      ['correctAnswer', 'is_correct', 'answer_explanation', 'reverseScored', 'weight'].forEach(
+        field => expect(body).not.toContain(field)
+      );
+    });
+
+    it('should only serve items while the session is in progress', async () => {
+      assessmentSessionRepository.getAssessmentSessionById.mockResolvedValue(
+        buildSession({ status: 'assigned', deadline_at: null })
+      );
+
+      const res = await request(app)
+        .get(`/api/assessment-sessions/${sessionId}/items`)
+        .set('Authorization', 'Bearer candidate-token');
+
+      expect(res.status).toBe(409);
+      expect(baseRepository.findMany).not.toHaveBeenCalled();
+    });
+
+    it("should not serve another candidate's session", async () => {
+      assessmentSessionRepository.getAssessmentSessionById.mockResolvedValue(
+        buildSession({ candidate_id: '64b7f0c2a1b2c3d4e5f60741' })
+      );
+
+      const res = await request(app)
+        .get(`/api/assessment-sessions/${sessionId}/items`)
+        .set('Authorization', 'Bearer candidate-token');
+
+      expect(res.status).toBe(403);
+      expect(baseRepository.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -91,7 +91,7 @@ describe('POST /api/candidates', () => {
     // Check that default values are applied
     expect(response.body.data).toHaveProperty('createdAt');
     expect(response.body.data).toHaveProperty('updatedAt');
-    expect(response.body.data.status).toBe('');
+    expect(response.body.data.status).toBe('applied');
     expect(Array.isArray(response.body.data.programming_languages)).toBe(true);
   });
 
@@ -430,6 +430,41 @@ describe('PUT /api/candidates/:id', () => {
   });
 });
 
+/**
+ * Test moving a candidate through the pipeline
+ */
+describe('POST /api/candidates/:id/transition', () => {
+  test('should move the candidate and record the change', async () => {
+    const response = await request(app)
+      .post(`/api/candidates/${candidateId}/transition`)
+      .send({ status: 'screening', note: 'Strong CV' })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.status).toBe('screening');
+    expect(response.body.data.status_history).toEqual([
+      expect.objectContaining({ from: 'applied', to: 'screening', note: 'Strong CV' }),
+    ]);
+  });
+
+  test('should reject transitions the pipeline does not allow', async () => {
+    const response = await request(app)
+      .post(`/api/candidates/${candidateId}/transition`)
+      .send({ status: 'hired' })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should count candidates per stage in the listing', async () => {
+    const response = await request(app).get('/api/candidates?status=screening').expect(200);
+
+    expect(response.body.data.every(candidate => candidate.status === 'screening')).toBe(true);
+    expect(response.body.pipeline.stages.screening).toBeGreaterThanOrEqual(1);
+    expect(response.body.pipeline.levels.length).toBeGreaterThan(0);
+  });
+});
+
 /**
  * Test deleting a candidate
  */
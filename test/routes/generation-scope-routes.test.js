@@ -0,0 +1,65 @@
+/**
+ * Tests that the generation routes only need the questions:generate scope
+ */
+
+const request = require('supertest');
+const express = require('express');
+const oauthTokenRepository = require('../../src/repository/oauthTokenRepository');
+const userService = require('../../src/services/userService');
+const { compatAuthenticate } = require('../../src/middlewares/compatAuthMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/repository/oauthTokenRepository');
+jest.mock('../../src/services/userService');
+jest.mock('../../src/utils/logger');
+
+// Create an Express app for testing
+const app = express();
+app.use(express.json());
+app.use('/api/questions', compatAuthenticate(), require('../../src/routes/questions'));
+app.use('/api/instruments', compatAuthenticate(), require('../../src/routes/instruments'));
+app.use('/api/logic-questions', compatAuthenticate(), require('../../src/routes/logic-questions'));
+
+describe('Generation scope', () => {
+  const recruiter = { _id: '64b7f0c2a1b2c3d4e5f60721', username: 'recruiter', role: 'recruiter' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthTokenRepository.getAccessToken.mockImplementation(accessToken =>
+      Promise.resolve({
+        accessToken,
+        accessTokenExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        client: { id: 'generator-client' },
+        user: { id: recruiter._id, username: recruiter.username },
+        scope: 'questions:generate',
+      })
+    );
+    oauthTokenRepository.touchAccessToken.mockResolvedValue();
+    userService.getUserById.mockResolvedValue(recruiter);
+  });
+
+  it.each([
+    '/api/questions/generate',
+    '/api/questions/request',
+    '/api/instruments/generate',
+    '/api/logic-questions/generate',
+  ])('should let a questions:generate token reach POST %s', async path => {
+    const res = await request(app)
+      .post(path)
+      .set('Authorization', 'Bearer generator-token')
+      .send({});
+
+    // The empty body is rejected by the route itself, not by a scope check
+    expect(res.status).toBe(400);
+  });
+
+  it('should still require questions:write for the other write routes', async () => {
+    const res = await request(app)
+      .post('/api/questions')
+      .set('Authorization', 'Bearer generator-token')
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.errors).toEqual(['Missing scope: questions:write']);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Tests for the OAuth authorization code flow (consent page, CSRF and PKCE)
+ */
+
+const request = require('supertest');
+const express = require('express');
+const oauthClientService = require('../../src/services/oauthClientService');
+const oauthUserService = require('../../src/services/oauthUserService');
+const oauthTokenService = require('../../src/services/oauthTokenService');
+const { createCodeChallenge } = require('../../src/oauth/pkce');
+
+// Mock dependencies
+jest.mock('../../src/services/oauthClientService');
+jest.mock('../../src/services/oauthUserService');
+jest.mock('../../src/services/oauthTokenService');
+jest.mock('../../src/utils/logger');
+
+// Create an Express app for testing
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/oauth', require('../../src/routes/oauth'));
+
+describe('OAuth Authorization Routes', () => {
+  const redirectUri = 'http://localhost:8080/callback';
+  const codeVerifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+  const clients = {
+    'spa-client': {
+      id: 'spa-client',
+      isPublic: true,
+      redirectUris: [redirectUri],
+      grants: ['authorization_code'],
+    },
+    'web-client': {
+      id: 'web-client',
+      isPublic: false,
+      redirectUris: [redirectUri],
+      grants: ['authorization_code'],
+    },
+  };
+  const user = { id: '60d21b4667d0d8992e610c85', username: 'alice' };
+  let codes;
+
+  const authorizeQuery = {
+    response_type: 'code',
+    client_id: 'spa-client',
+    redirect_uri: redirectUri,
+    scope: 'questions:read',
+    state: 'af0ifjsldkj',
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  };
+
+  /**
+   * Open the consent page and return the form fields a browser would submit
+   * @param {Object} query - Authorization request parameters
+   * @returns {Promise<Object>} Cookie header and form fields
+   */
+  const openConsentPage = async (query = authorizeQuery) => {
+    const res = await request(app).get('/api/oauth/authorize').query(query);
+    expect(res.status).toBe(200);
+
+    return {
+      cookie: res.headers['set-cookie'][0].split(';')[0],
+      form: { ...query, csrf_token: res.text.match(/name="csrf_token" value="([^"]+)"/)[1] },
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    codes = new Map();
+
+    oauthClientService.getClientById.mockImplementation(id => Promise.resolve(clients[id] || null));
+    oauthUserService.getUserByCredentials.mockImplementation((username, password) =>
+      Promise.resolve(username === 'alice' && password === 'correct horse' ? user : null)
+    );
+    oauthTokenService.saveAuthorizationCode.mockImplementation((code, client, codeUser) => {
+      codes.set(code.authorizationCode, { ...code, client, user: codeUser });
+      return Promise.resolve(code);
+    });
+    oauthTokenService.getAuthorizationCode.mockImplementation(code =>
+      Promise.resolve(codes.get(code) || null)
+    );
+    oauthTokenService.revokeAuthorizationCode.mockImplementation(code =>
+      Promise.resolve(codes.delete(code))
+    );
+    oauthTokenService.saveAccessToken.mockResolvedValue({});
+    oauthTokenService.saveRefreshToken.mockResolvedValue({});
+  });
+
+  describe('GET /api/oauth/authorize', () => {
+    it('should escape request values on the consent page and set a CSRF cookie', async () => {
+      const res = await request(app)
+        .get('/api/oauth/authorize')
+        .query({ ...authorizeQuery, scope: 'profile', state: '"><script>alert(1)</script>' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-frame-options']).toBe('DENY');
+      expect(res.headers['set-cookie'][0]).toMatch(
+        /^oauth_csrf=[\w-]+; Path=\/api\/oauth\/authorize; HttpOnly; SameSite=Strict$/
+      );
+      expect(res.text).toContain('Read your user profile <code>profile</code>');
+      expect(res.text).toContain('value="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+      expect(res.text).not.toContain('<script>');
+    });
+
+    it('should show an error page instead of redirecting to unregistered URIs', async () => {
+      const res = await request(app)
+        .get('/api/oauth/authorize')
+        .query({ ...authorizeQuery, redirect_uri: 'https://evil.example/<b>' });
+
+      expect(res.status).toBe(400);
+      expect(res.headers.location).toBeUndefined();
+      expect(res.text).toContain('The redirect_uri is not registered for this client');
+
+      const unknown = await request(app)
+        .get('/api/oauth/authorize')
+        .query({ ...authorizeQuery, client_id: '<img src=x>' });
+      expect(unknown.status).toBe(400);
+      expect(unknown.text).not.toContain('<img');
+    });
+
+    it('should redirect public clients without a code challenge back with an error', async () => {
+      const query = {
+        ...authorizeQuery,
+        code_challenge: undefined,
+        code_challenge_method: undefined,
+      };
+
+      const res = await request(app).get('/api/oauth/authorize').query(query);
+
+      expect(res.status).toBe(302);
+      const location = new URL(res.headers.location);
+      expect(location.origin + location.pathname).toBe(redirectUri);
+      expect(location.searchParams.get('error')).toBe('invalid_request');
+      expect(location.searchParams.get('state')).toBe(authorizeQuery.state);
+    });
+  });
+
+  describe('POST /api/oauth/authorize', () => {
+    it('should reject decisions without the CSRF cookie', async () => {
+      const { form } = await openConsentPage();
+
+      const res = await request(app)
+        .post('/api/oauth/authorize')
+        .type('form')
+        .send({ ...form, username: 'alice', password: 'correct horse', approved: 'true' });
+
+      expect(res.status).toBe(403);
+      expect(oauthUserService.getUserByCredentials).not.toHaveBeenCalled();
+      expect(codes.size).toBe(0);
+    });
+
+    it('should redirect denials with access_denied without logging in', async () => {
+      const { cookie, form } = await openConsentPage();
+
+      const res = await request(app)
+        .post('/api/oauth/authorize')
+        .set('Cookie', cookie)
+        .type('form')
+        .send({ ...form, approved: 'false' });
+
+      expect(res.status).toBe(302);
+      const location = new URL(res.headers.location);
+      expect(location.searchParams.get('error')).toBe('access_denied');
+      expect(location.searchParams.get('state')).toBe(authorizeQuery.state);
+      expect(oauthUserService.getUserByCredentials).not.toHaveBeenCalled();
+    });
+
+    it('should log the user in, issue a code and exchange it with the code verifier', async () => {
+      const { cookie, form } = await openConsentPage();
+
+      const failedLogin = await request(app)
+        .post('/api/oauth/authorize')
+        .set('Cookie', cookie)
+        .type('form')
+        .send({ ...form, username: 'alice', password: 'wrong', approved: 'true' });
+      expect(failedLogin.status).toBe(401);
+      expect(failedLogin.text).toContain('Invalid username or password');
+      expect(codes.size).toBe(0);
+
+      const approval = await request(app)
+        .post('/api/oauth/authorize')
+        .set('Cookie', cookie)
+        .type('form')
+        .send({ ...form, username: 'alice', password: 'correct horse', approved: 'true' });
+
+      expect(approval.status).toBe(302);
+      const location = new URL(approval.headers.location);
+      expect(location.searchParams.get('state')).toBe(authorizeQuery.state);
+      const code = location.searchParams.get('code');
+      expect(codes.get(code)).toEqual(
+        expect.objectContaining({
+          user,
+          scope: 'questions:read',
+          redirectUri,
+          codeChallenge: authorizeQuery.code_challenge,
+          codeChallengeMethod: 'S256',
+        })
+      );
+
+      const tokenRequest = {
+        grant_type: 'authorization_code',
+        client_id: 'spa-client',
+        code,
+        redirect_uri: redirectUri,
+      };
+
+      const wrongVerifier = await request(app)
+        .post('/api/oauth/token')
+        .type('form')
+        .send({ ...tokenRequest, code_verifier: 'x'.repeat(43) });
+      expect(wrongVerifier.status).toBe(400);
+      expect(wrongVerifier.body.error).toBe('invalid_grant');
+
+      const token = await request(app)
+        .post('/api/oauth/token')
+        .type('form')
+        .send({ ...tokenRequest, code_verifier: codeVerifier });
+      expect(token.status).toBe(200);
+      expect(token.body.access_token).toEqual(expect.any(String));
+      expect(token.body.scope).toBe('questions:read');
+      expect(codes.has(code)).toBe(false);
+    });
+
+    it('should only grant the scopes the client may request', async () => {
+      clients['spa-client'].scopes = ['questions:read'];
+      const query = { ...authorizeQuery, scope: 'questions:read admin' };
+
+      try {
+        const { cookie, form } = await openConsentPage(query);
+        const approval = await request(app)
+          .post('/api/oauth/authorize')
+          .set('Cookie', cookie)
+          .type('form')
+          .send({ ...form, username: 'alice', password: 'correct horse', approved: 'true' });
+        const code = new URL(approval.headers.location).searchParams.get('code');
+        expect(codes.get(code).scope).toBe('questions:read');
+
+        const refused = await request(app)
+          .get('/api/oauth/authorize')
+          .query({ ...authorizeQuery, scope: 'admin' });
+        expect(refused.status).toBe(302);
+        expect(new URL(refused.headers.location).searchParams.get('error')).toBe('invalid_scope');
+      } finally {
+        delete clients['spa-client'].scopes;
+      }
+    });
+
+    it('should still require the secret of confidential clients that use PKCE', async () => {
+      const { cookie, form } = await openConsentPage({
+        ...authorizeQuery,
+        client_id: 'web-client',
+      });
+      const approval = await request(app)
+        .post('/api/oauth/authorize')
+        .set('Cookie', cookie)
+        .type('form')
+        .send({ ...form, username: 'alice', password: 'correct horse', approved: 'true' });
+      const code = new URL(approval.headers.location).searchParams.get('code');
+
+      const res = await request(app).post('/api/oauth/token').type('form').send({
+        grant_type: 'authorization_code',
+        client_id: 'web-client',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('invalid_client');
+      expect(codes.has(code)).toBe(true);
+    });
+  });
+});
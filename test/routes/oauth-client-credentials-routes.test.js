@@ -0,0 +1,157 @@
+/**
+ * Tests for the client_credentials grant and service account authentication
+ */
+
+const request = require('supertest');
+const express = require('express');
+const oauthClientService = require('../../src/services/oauthClientService');
+const oauthTokenService = require('../../src/services/oauthTokenService');
+const { compatAuthenticate } = require('../../src/middlewares/compatAuthMiddleware');
+const { requirePermission } = require('../../src/middlewares/permissionMiddleware');
+const { requireScope } = require('../../src/middlewares/scopeMiddleware');
+const { OAUTH_SCOPES } = require('../../src/config/oauthConfig');
+const { PERMISSIONS, SERVICE_ACCOUNT_ROLE } = require('../../src/config/roleConfig');
+
+// Mock dependencies
+jest.mock('../../src/services/oauthClientService');
+jest.mock('../../src/services/oauthTokenService');
+jest.mock('../../src/services/userService');
+jest.mock('../../src/utils/logger');
+
+// Create an Express app for testing
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/oauth', require('../../src/routes/oauth'));
+app.get(
+  '/api/candidates',
+  compatAuthenticate(),
+  requireScope({ read: OAUTH_SCOPES.CANDIDATES_READ, write: OAUTH_SCOPES.CANDIDATES_WRITE }),
+  requirePermission(PERMISSIONS.CANDIDATES_READ),
+  (req, res) => res.json({ loggedUser: req.loggedUser })
+);
+app.get('/api/users', compatAuthenticate(), requirePermission(PERMISSIONS.USERS_READ), (req, res) =>
+  res.json({})
+);
+
+describe('OAuth Client Credentials Grant', () => {
+  const clients = {
+    'ats-sync': {
+      _id: '64b7f0c2a1b2c3d4e5f60718',
+      id: 'ats-sync',
+      secret: 'ats-secret',
+      isPublic: false,
+      grants: ['client_credentials'],
+      scopes: ['candidates:read', 'admin'],
+    },
+    'web-client': {
+      _id: '64b7f0c2a1b2c3d4e5f60719',
+      id: 'web-client',
+      secret: 'web-secret',
+      isPublic: false,
+      grants: ['password', 'refresh_token'],
+      scopes: ['candidates:read'],
+    },
+  };
+  let tokens;
+
+  /**
+   * Request a token with the client_credentials grant
+   * @param {Object} body - Fields to add to or override in the token request
+   * @returns {Promise<Object>} Supertest response
+   */
+  const requestToken = body =>
+    request(app)
+      .post('/api/oauth/token')
+      .type('form')
+      .send({
+        grant_type: 'client_credentials',
+        client_id: 'ats-sync',
+        client_secret: 'ats-secret',
+        ...body,
+      });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokens = new Map();
+
+    oauthClientService.getClientByIdAndSecret.mockImplementation((id, secret) => {
+      const client = clients[id];
+      return Promise.resolve(client && client.secret === secret ? client : null);
+    });
+    oauthTokenService.saveAccessToken.mockImplementation((token, client, user) => {
+      const saved = { ...token, client, user };
+      tokens.set(token.accessToken, saved);
+      return Promise.resolve(saved);
+    });
+    oauthTokenService.getAccessToken.mockImplementation(accessToken =>
+      Promise.resolve(tokens.get(accessToken) || null)
+    );
+  });
+
+  it('should issue a token tied to the service identity without a refresh token', async () => {
+    const res = await requestToken({ scope: 'candidates:read candidates:write' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      access_token: expect.any(String),
+      token_type: 'Bearer',
+      expires_in: expect.any(Number),
+      scope: 'candidates:read',
+    });
+    expect(tokens.get(res.body.access_token).user).toEqual({
+      _id: clients['ats-sync']._id,
+      username: 'service:ats-sync',
+      role: SERVICE_ACCOUNT_ROLE,
+      client_id: 'ats-sync',
+      isServiceAccount: true,
+    });
+    expect(oauthTokenService.saveRefreshToken).not.toHaveBeenCalled();
+  });
+
+  it('should reject clients without a secret or without the grant', async () => {
+    const withoutSecret = await requestToken({ client_secret: undefined });
+    expect(withoutSecret.status).toBe(400);
+    expect(withoutSecret.body.error).toBe('invalid_client');
+
+    const wrongSecret = await requestToken({ client_secret: 'guess' });
+    expect(wrongSecret.body.error).toBe('invalid_client');
+
+    const notServiceAccount = await requestToken({
+      client_id: 'web-client',
+      client_secret: 'web-secret',
+    });
+    expect(notServiceAccount.status).toBe(400);
+    expect(notServiceAccount.body.error).toBe('unauthorized_client');
+    expect(tokens.size).toBe(0);
+  });
+
+  it('should authenticate service tokens as the service identity within their scopes', async () => {
+    const { body } = await requestToken({ scope: 'candidates:read' });
+
+    const res = await request(app)
+      .get('/api/candidates')
+      .set('Authorization', `Bearer ${body.access_token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.loggedUser).toEqual(
+      expect.objectContaining({
+        _id: clients['ats-sync']._id,
+        username: 'service:ats-sync',
+        role: SERVICE_ACCOUNT_ROLE,
+      })
+    );
+  });
+
+  it('should not give service accounts admin-only permissions', async () => {
+    const { body } = await requestToken({ scope: 'admin' });
+    expect(body.scope).toBe('admin');
+
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${body.access_token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.errors).toEqual(['Missing permission: users:read']);
+  });
+});
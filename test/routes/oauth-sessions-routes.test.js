@@ -0,0 +1,287 @@
+/**
+ * Tests for token introspection, token revocation and user session management
+ */
+
+const request = require('supertest');
+const express = require('express');
+const oauthTokenRepository = require('../../src/repository/oauthTokenRepository');
+const oauthClientService = require('../../src/services/oauthClientService');
+const userService = require('../../src/services/userService');
+const { compatAuthenticate } = require('../../src/middlewares/compatAuthMiddleware');
+
+// Mock dependencies
+jest.mock('../../src/repository/oauthTokenRepository');
+jest.mock('../../src/services/oauthClientService');
+jest.mock('../../src/services/userService');
+jest.mock('../../src/utils/logger');
+
+// Create an Express app for testing
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/oauth', require('../../src/routes/oauth'));
+app.use('/api/users', compatAuthenticate(), require('../../src/routes/users'));
+
+describe('OAuth Sessions', () => {
+  const hour = 60 * 60 * 1000;
+  const users = {
+    '64b7f0c2a1b2c3d4e5f60720': {
+      _id: '64b7f0c2a1b2c3d4e5f60720',
+      username: 'johndoe',
+      email: 'john@example.com',
+      role: 'candidate',
+    },
+    '64b7f0c2a1b2c3d4e5f60721': {
+      _id: '64b7f0c2a1b2c3d4e5f60721',
+      username: 'admin',
+      email: 'admin@example.com',
+      role: 'admin',
+    },
+  };
+  const clients = {
+    'resource-server': { id: 'resource-server', secret: 'rs-secret', isPublic: false },
+    'web-client': { id: 'web-client', secret: 'web-secret', isPublic: false },
+    'spa-client': { id: 'spa-client', isPublic: true },
+  };
+  let accessTokens;
+  let refreshTokens;
+
+  /**
+   * Store an access token for a user
+   * @param {string} accessToken - The token value
+   * @param {Object} fields - User ID, client ID, scope and timestamps of the token
+   */
+  const addAccessToken = (accessToken, { userId, clientId, scope, createdAt, lastUsedAt }) => {
+    accessTokens.set(accessToken, {
+      _id: `at-${accessToken}`,
+      accessToken,
+      accessTokenExpiresAt: new Date(Date.now() + hour),
+      client: { id: clientId },
+      user: { id: userId, username: users[userId].username },
+      scope,
+      createdAt,
+      lastUsedAt,
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accessTokens = new Map();
+    refreshTokens = new Map();
+
+    oauthClientService.getClientByIdAndSecret.mockImplementation((id, secret) => {
+      const client = clients[id];
+      return Promise.resolve(client && client.secret === secret ? client : null);
+    });
+    oauthClientService.getClientById.mockImplementation(id => Promise.resolve(clients[id] || null));
+    userService.getUserById.mockImplementation(id => Promise.resolve(users[id] || null));
+
+    oauthTokenRepository.getAccessToken.mockImplementation(token =>
+      Promise.resolve(accessTokens.get(token) || null)
+    );
+    oauthTokenRepository.getRefreshToken.mockImplementation(token =>
+      Promise.resolve(refreshTokens.get(token) || null)
+    );
+    oauthTokenRepository.revokeAccessToken.mockImplementation(token =>
+      Promise.resolve(accessTokens.delete(token))
+    );
+    oauthTokenRepository.revokeRefreshToken.mockImplementation(token =>
+      Promise.resolve(refreshTokens.delete(token))
+    );
+    oauthTokenRepository.touchAccessToken.mockResolvedValue();
+    oauthTokenRepository.getUserTokens.mockImplementation(userId =>
+      Promise.resolve({
+        accessTokens: [...accessTokens.values()].filter(token => token.user.id === userId),
+        refreshTokens: [...refreshTokens.values()].filter(token => token.user.id === userId),
+      })
+    );
+    oauthTokenRepository.revokeUserTokens.mockResolvedValue(3);
+
+    addAccessToken('user-web', {
+      userId: '64b7f0c2a1b2c3d4e5f60720',
+      clientId: 'web-client',
+      scope: 'profile questions:read',
+      createdAt: new Date(Date.now() - 2 * hour),
+      lastUsedAt: new Date(Date.now() - hour),
+    });
+    addAccessToken('user-spa', {
+      userId: '64b7f0c2a1b2c3d4e5f60720',
+      clientId: 'spa-client',
+      scope: 'profile',
+      createdAt: new Date(Date.now() - hour),
+      lastUsedAt: new Date(Date.now() - 60 * 1000),
+    });
+    addAccessToken('admin-web', {
+      userId: '64b7f0c2a1b2c3d4e5f60721',
+      clientId: 'web-client',
+      scope: 'admin',
+      createdAt: new Date(),
+    });
+    refreshTokens.set('user-web-refresh', {
+      _id: 'rt-user-web',
+      refreshToken: 'user-web-refresh',
+      refreshTokenExpiresAt: new Date(Date.now() + 24 * hour),
+      client: { id: 'web-client' },
+      user: { id: '64b7f0c2a1b2c3d4e5f60720', username: 'johndoe' },
+      scope: 'profile questions:read',
+      createdAt: new Date(Date.now() - 3 * hour),
+    });
+  });
+
+  describe('POST /api/oauth/introspect', () => {
+    it('should describe active tokens to authenticated clients', async () => {
+      const res = await request(app)
+        .post('/api/oauth/introspect')
+        .auth('resource-server', 'rs-secret')
+        .type('form')
+        .send({ token: 'user-web' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.body).toEqual({
+        active: true,
+        scope: 'profile questions:read',
+        client_id: 'web-client',
+        username: 'johndoe',
+        sub: '64b7f0c2a1b2c3d4e5f60720',
+        token_type: 'Bearer',
+        exp: expect.any(Number),
+        iat: expect.any(Number),
+      });
+    });
+
+    it('should report refresh tokens and unknown tokens', async () => {
+      const refresh = await request(app).post('/api/oauth/introspect').type('form').send({
+        token: 'user-web-refresh',
+        token_type_hint: 'refresh_token',
+        client_id: 'resource-server',
+        client_secret: 'rs-secret',
+      });
+      expect(refresh.body).toEqual(
+        expect.objectContaining({ active: true, token_type: 'refresh_token' })
+      );
+      expect(oauthTokenRepository.getAccessToken).not.toHaveBeenCalled();
+
+      const unknown = await request(app)
+        .post('/api/oauth/introspect')
+        .auth('resource-server', 'rs-secret')
+        .type('form')
+        .send({ token: 'forged' });
+      expect(unknown.status).toBe(200);
+      expect(unknown.body).toEqual({ active: false });
+    });
+
+    it('should require confidential client authentication and a token', async () => {
+      const publicClient = await request(app)
+        .post('/api/oauth/introspect')
+        .type('form')
+        .send({ token: 'user-web', client_id: 'spa-client' });
+      expect(publicClient.status).toBe(401);
+      expect(publicClient.body.error).toBe('invalid_client');
+
+      const wrongSecret = await request(app)
+        .post('/api/oauth/introspect')
+        .auth('resource-server', 'guess')
+        .type('form')
+        .send({ token: 'user-web' });
+      expect(wrongSecret.status).toBe(401);
+
+      const withoutToken = await request(app)
+        .post('/api/oauth/introspect')
+        .auth('resource-server', 'rs-secret');
+      expect(withoutToken.status).toBe(400);
+      expect(withoutToken.body.error).toBe('invalid_request');
+    });
+  });
+
+  describe('POST /api/oauth/token/revoke', () => {
+    it('should only revoke tokens issued to the calling client', async () => {
+      const otherClient = await request(app)
+        .post('/api/oauth/token/revoke')
+        .auth('resource-server', 'rs-secret')
+        .type('form')
+        .send({ token: 'user-web' });
+      expect(otherClient.status).toBe(200);
+      expect(accessTokens.has('user-web')).toBe(true);
+
+      const ownClient = await request(app)
+        .post('/api/oauth/token/revoke')
+        .type('form')
+        .send({ token: 'user-spa', client_id: 'spa-client' });
+      expect(ownClient.status).toBe(200);
+      expect(accessTokens.has('user-spa')).toBe(false);
+    });
+  });
+
+  describe('User sessions', () => {
+    it('should list the sessions of the logged in user grouped by client', async () => {
+      const res = await request(app)
+        .get('/api/users/me/sessions')
+        .set('Authorization', 'Bearer user-web');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(session => session.client_id)).toEqual(['spa-client', 'web-client']);
+
+      const [, web] = res.body.data;
+      expect(web.issued_at).toBe(refreshTokens.get('user-web-refresh').createdAt.toISOString());
+      expect(web.access_tokens).toEqual([
+        expect.objectContaining({ id: 'at-user-web', scope: 'profile questions:read' }),
+      ]);
+      expect(web.refresh_tokens).toHaveLength(1);
+      expect(JSON.stringify(res.body)).not.toContain('user-web-refresh');
+      expect(oauthTokenRepository.touchAccessToken).toHaveBeenCalledWith(
+        'user-web',
+        expect.any(Date),
+        60 * 1000
+      );
+    });
+
+    it('should let users revoke one or all of their sessions', async () => {
+      const one = await request(app)
+        .delete('/api/users/me/sessions/web-client')
+        .set('Authorization', 'Bearer user-spa');
+      expect(one.status).toBe(200);
+      expect(one.body.data).toEqual({ revoked: 3 });
+      expect(oauthTokenRepository.revokeUserTokens).toHaveBeenCalledWith(
+        '64b7f0c2a1b2c3d4e5f60720',
+        'web-client'
+      );
+
+      const all = await request(app)
+        .delete('/api/users/me/sessions')
+        .set('Authorization', 'Bearer user-spa');
+      expect(all.status).toBe(200);
+      expect(oauthTokenRepository.revokeUserTokens).toHaveBeenLastCalledWith(
+        '64b7f0c2a1b2c3d4e5f60720',
+        undefined
+      );
+    });
+
+    it('should let admins manage the sessions of other users', async () => {
+      const list = await request(app)
+        .get('/api/users/64b7f0c2a1b2c3d4e5f60720/sessions')
+        .set('Authorization', 'Bearer admin-web');
+      expect(list.status).toBe(200);
+      expect(list.body.data).toHaveLength(2);
+
+      const revoke = await request(app)
+        .delete('/api/users/64b7f0c2a1b2c3d4e5f60720/sessions')
+        .set('Authorization', 'Bearer admin-web');
+      expect(revoke.status).toBe(200);
+
+      const unknownUser = await request(app)
+        .get('/api/users/64b7f0c2a1b2c3d4e5f60799/sessions')
+        .set('Authorization', 'Bearer admin-web');
+      expect(unknownUser.status).toBe(404);
+    });
+
+    it('should not let users manage the sessions of other users', async () => {
+      const res = await request(app)
+        .delete('/api/users/64b7f0c2a1b2c3d4e5f60721/sessions')
+        .set('Authorization', 'Bearer user-web');
+
+      expect(res.status).toBe(403);
+      expect(oauthTokenRepository.revokeUserTokens).not.toHaveBeenCalled();
+    });
+  });
+});
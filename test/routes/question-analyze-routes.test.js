@@ -4,6 +4,7 @@
 
 const request = require('supertest');
 const express = require('express');
+const { authenticate } = require('../mocks/oauthMiddleware');
 const { getCollection } = require('../../src/repository/baseRepository');
 
 // Mock the MongoDB collection and aggregation
@@ -14,7 +15,7 @@ jest.mock('../../src/repository/baseRepository', () => ({
 // Create an Express app for testing
 const app = express();
 const questionRoutes = require('../../src/routes/questions');
-app.use('/api/questions', questionRoutes);
+app.use('/api/questions', authenticate(), questionRoutes);
 
 describe('Question Analysis Routes', () => {
   let mockAggregate;
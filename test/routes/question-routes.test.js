@@ -173,18 +173,21 @@ describe('Question Routes', () => {
 
       const formattedPosition = position.charAt(0).toUpperCase() + position.slice(1);
 
-      return [
-        {
-          question: `Sample ${position} question`,
-          options: ['Option A', 'Option B', 'Option C', 'Option D'],
-          correctAnswer: 0,
-          explanation: 'Sample explanation',
-          difficulty: 'medium',
-          category: 'Sample Category',
-          position: formattedPosition,
-          positionLevel: positionLevel,
-        },
-      ];
+      return {
+        questions: [
+          {
+            question: `Sample ${position} question`,
+            options: ['Option A', 'Option B', 'Option C', 'Option D'],
+            correctAnswer: 0,
+            explanation: 'Sample explanation',
+            difficulty: 'medium',
+            category: 'Sample Category',
+            position: formattedPosition,
+            positionLevel: positionLevel,
+          },
+        ],
+        duplicates: null,
+      };
     });
   });
 
@@ -410,7 +413,7 @@ describe('Question Routes', () => {
       ];
 
       // Setup the mock to return our sample questions
-      generateAndStoreQuestions.mockResolvedValue(mockQuestions);
+      generateAndStoreQuestions.mockResolvedValue({ questions: mockQuestions, duplicates: null });
 
       // Make the request
       const response = await request(app).post('/api/questions/generate').send({
@@ -455,6 +458,34 @@ describe('Question Routes', () => {
       // which we've already mocked
     });
 
+    it('should report near-duplicates that were dropped', async () => {
+      const duplicates = {
+        mode: 'reject',
+        threshold: 0.7,
+        dropped: 1,
+        flagged: 0,
+        items: [
+          {
+            question: 'What is a JavaScript closure?',
+            similar_to: { _id: '60d21b4667d0d8992e610c85', question: 'What is a closure?' },
+            similarity: 0.82,
+            action: 'dropped',
+          },
+        ],
+      };
+      generateAndStoreQuestions.mockResolvedValue({ questions: [], duplicates });
+
+      const response = await request(app).post('/api/questions/generate').send({
+        topic: 'JavaScript Closures',
+        language: 'JavaScript',
+        position: 'junior',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([]);
+      expect(response.body.duplicates).toEqual(duplicates);
+    });
+
     // Test for AI service errors
     it('should handle AI service errors', async () => {
       // Mock the generateAndStoreQuestions function to throw an error
@@ -546,7 +577,7 @@ describe('Question Routes', () => {
         },
       ];
 
-      generateAndStoreQuestions.mockResolvedValue(mockQuestions);
+      generateAndStoreQuestions.mockResolvedValue({ questions: mockQuestions, duplicates: null });
 
       // Mock file append error
       require('fs').promises.appendFile.mockRejectedValue(new Error('Failed to write to file'));
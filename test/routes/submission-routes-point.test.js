@@ -4,6 +4,7 @@
 
 const request = require('supertest');
 const express = require('express');
+const { authenticate } = require('../mocks/oauthMiddleware');
 const { ObjectId } = require('mongodb');
 const submissionRepository = require('../../src/repository/submissionRepository');
 const submissionValidator = require('../../src/utils/submissionValidator');
@@ -19,7 +20,7 @@ jest.mock('../../src/utils/logger', () => ({
 // Create a test app
 const app = express();
 app.use(express.json());
-app.use('/api/submissions', require('../../src/routes/submissions'));
+app.use('/api/submissions', authenticate(), require('../../src/routes/submissions'));
 
 describe('Submission Routes - Point Field', () => {
   beforeEach(() => {
@@ -72,7 +72,13 @@ describe('Submission Routes', () => {
       expect(submissionRepository.questionsExist).toHaveBeenCalledWith([
         submissionData.answers[0].question_id,
       ]);
-      expect(submissionRepository.insertSubmissionToDB).toHaveBeenCalledWith(submissionData);
+      expect(submissionRepository.insertSubmissionToDB).toHaveBeenCalledWith(
+        expect.objectContaining({
+          candidate_id: submissionData.candidate_id,
+          essay: submissionData.essay,
+          scores: expect.any(Object),
+        })
+      );
       expect(response.body).toEqual({
         success: true,
         data: createdSubmission,
@@ -234,7 +240,7 @@ describe('Submission Routes', () => {
       expect(submissionRepository.getSubmissionById).toHaveBeenCalledWith(submissionId, false);
       expect(response.body).toEqual({
         success: true,
-        data: submission,
+        data: { ...submission, scores: { traits: [] } },
       });
     });
 
@@ -0,0 +1,283 @@
+/**
+ * Tests for the account service module
+ * @module test/service/account-service
+ */
+
+const crypto = require('crypto');
+const {
+  ACCOUNT_ERRORS,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  getPasswordPolicy,
+} = require('../../src/services/accountService');
+const userRepository = require('../../src/repository/userRepository');
+const accountTokenRepository = require('../../src/repository/accountTokenRepository');
+const { sendEmail } = require('../../src/services/email');
+const oauthTokenService = require('../../src/services/oauthTokenService');
+const { findOrCreateCandidateForUser } = require('../../src/utils/userCandidateUtils');
+
+jest.mock('../../src/repository/userRepository');
+jest.mock('../../src/repository/accountTokenRepository');
+jest.mock('../../src/services/email');
+jest.mock('../../src/services/oauthTokenService');
+jest.mock('../../src/utils/userCandidateUtils');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Account Service Tests', () => {
+  const originalEnv = process.env;
+  const user = {
+    _id: '64b7f0c2a1b2c3d4e5f60720',
+    username: 'johndoe',
+    email: 'john@example.com',
+    emailVerified: false,
+  };
+  let storedTokens;
+
+  /**
+   * Wait for the emails the service sends in the background
+   * @returns {Promise<void>}
+   */
+  const flushEmails = () => new Promise(resolve => setImmediate(resolve));
+
+  /**
+   * Get the token from the link in the last email sent
+   * @returns {string} The token
+   */
+  const getSentToken = () => {
+    const { text } = sendEmail.mock.calls[sendEmail.mock.calls.length - 1][0];
+    return new URL(text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = {
+      ...originalEnv,
+      ACCOUNT_LINK_BASE_URL: 'https://app.hirebot.test/',
+      EMAIL_VERIFICATION_TTL: '',
+      PASSWORD_RESET_TTL: '1800000',
+      PASSWORD_MIN_LENGTH: '10',
+      PASSWORD_REQUIRE_NUMBER: 'true',
+    };
+    storedTokens = [];
+
+    accountTokenRepository.createToken.mockImplementation(token => {
+      storedTokens.push(token);
+      return Promise.resolve(token);
+    });
+    accountTokenRepository.consumeToken.mockImplementation((tokenHash, type) => {
+      const index = storedTokens.findIndex(
+        token => token.token_hash === tokenHash && token.type === type
+      );
+      return Promise.resolve(index >= 0 ? storedTokens.splice(index, 1)[0] : null);
+    });
+    accountTokenRepository.deleteUserTokens.mockResolvedValue(0);
+    userRepository.findByEmail.mockImplementation(email =>
+      Promise.resolve(email === user.email ? { ...user } : null)
+    );
+    userRepository.findById.mockResolvedValue({ ...user });
+    userRepository.update.mockResolvedValue({ ...user });
+    sendEmail.mockResolvedValue({ accepted: [user.email] });
+    oauthTokenService.revokeUserSessions.mockResolvedValue(2);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('Email verification', () => {
+    test('should email a verification link and store only the token hash', async () => {
+      const result = await sendVerificationEmail(user);
+
+      expect(result).toEqual({ success: true, data: { email: user.email } });
+      const { to, subject, text } = sendEmail.mock.calls[0][0];
+      expect(to).toBe(user.email);
+      expect(subject).toBe('Verify your email address');
+      expect(text).toContain('https://app.hirebot.test/verify-email?token=');
+      expect(text).toContain('The link expires in 24 hours.');
+
+      const token = getSentToken();
+      expect(storedTokens).toEqual([
+        {
+          user_id: user._id,
+          type: 'email_verification',
+          token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+          email: user.email,
+          expires_at: expect.any(Date),
+        },
+      ]);
+      expect(accountTokenRepository.deleteUserTokens).toHaveBeenCalledWith(
+        user._id,
+        'email_verification'
+      );
+    });
+
+    test('should verify the email once per link', async () => {
+      await sendVerificationEmail(user);
+      const token = getSentToken();
+
+      expect(await verifyEmail(token)).toEqual({ success: true, data: { email: user.email } });
+      expect(userRepository.update).toHaveBeenCalledWith(user._id, {
+        emailVerified: true,
+        emailVerifiedAt: expect.any(Date),
+      });
+
+      expect(await verifyEmail(token)).toEqual({
+        success: false,
+        errors: [ACCOUNT_ERRORS.INVALID_TOKEN],
+      });
+    });
+
+    test('should link the candidate with the verified address', async () => {
+      await sendVerificationEmail(user);
+
+      await verifyEmail(getSentToken());
+
+      expect(findOrCreateCandidateForUser).toHaveBeenCalledWith({ ...user, emailVerified: true });
+    });
+
+    test('should keep the verification when the candidate cannot be linked', async () => {
+      findOrCreateCandidateForUser.mockRejectedValue(new Error('E11000 duplicate key error'));
+      await sendVerificationEmail(user);
+
+      expect((await verifyEmail(getSentToken())).success).toBe(true);
+      expect(userRepository.update).toHaveBeenCalled();
+    });
+
+    test('should not relink users that already have a candidate', async () => {
+      userRepository.findById.mockResolvedValue({ ...user, candidate_id: 'candidate-1' });
+      await sendVerificationEmail(user);
+
+      expect((await verifyEmail(getSentToken())).success).toBe(true);
+      expect(findOrCreateCandidateForUser).not.toHaveBeenCalled();
+    });
+
+    test('should not verify an address the link was not sent to', async () => {
+      await sendVerificationEmail(user);
+      userRepository.findById.mockResolvedValue({ ...user, email: 'new@example.com' });
+
+      const result = await verifyEmail(getSentToken());
+
+      expect(result.errors).toEqual([ACCOUNT_ERRORS.INVALID_TOKEN]);
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+
+    test('should report failed deliveries and verified users', async () => {
+      sendEmail.mockRejectedValue(new Error('SMTP RCPT TO failed'));
+      expect((await sendVerificationEmail(user)).errors).toEqual([ACCOUNT_ERRORS.EMAIL_NOT_SENT]);
+
+      const verified = await sendVerificationEmail({ ...user, emailVerified: true });
+      expect(verified.errors).toEqual([ACCOUNT_ERRORS.ALREADY_VERIFIED]);
+    });
+
+    test('should resend links without revealing unknown addresses', async () => {
+      expect(await resendVerificationEmail('nobody@example.com')).toEqual({ success: true });
+      expect(sendEmail).not.toHaveBeenCalled();
+
+      expect(await resendVerificationEmail(user.email)).toEqual({ success: true });
+      await flushEmails();
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+
+      expect((await resendVerificationEmail('not-an-email')).errors).toEqual([
+        ACCOUNT_ERRORS.INVALID_EMAIL,
+      ]);
+    });
+  });
+
+  describe('Password reset', () => {
+    test('should email a reset link without revealing unknown addresses', async () => {
+      expect(await requestPasswordReset('nobody@example.com')).toEqual({ success: true });
+      expect(sendEmail).not.toHaveBeenCalled();
+
+      sendEmail.mockRejectedValue(new Error('SMTP unavailable'));
+      expect(await requestPasswordReset(user.email)).toEqual({ success: true });
+      await flushEmails();
+
+      const { subject, text } = sendEmail.mock.calls[0][0];
+      expect(subject).toBe('Reset your password');
+      expect(text).toContain('https://app.hirebot.test/reset-password?token=');
+      expect(text).toContain('expires in 30 minutes');
+    });
+
+    test('should answer known addresses without waiting for the email', async () => {
+      sendEmail.mockReturnValue(new Promise(() => {}));
+
+      expect(await requestPasswordReset(user.email)).toEqual({ success: true });
+      expect(await resendVerificationEmail(user.email)).toEqual({ success: true });
+      await flushEmails();
+
+      expect(sendEmail).toHaveBeenCalledTimes(2);
+    });
+
+    test('should set the password, clear the lockout and revoke all sessions', async () => {
+      await requestPasswordReset(user.email);
+      await flushEmails();
+      const token = getSentToken();
+
+      const result = await resetPassword(token, 'new-password-1');
+
+      expect(result).toEqual({ success: true, data: { email: user.email } });
+      expect(userRepository.update).toHaveBeenCalledWith(user._id, {
+        password: 'new-password-1',
+        emailVerified: true,
+        emailVerifiedAt: expect.any(Date),
+      });
+      expect(userRepository.resetFailedLogins).toHaveBeenCalledWith(user._id);
+      expect(oauthTokenService.revokeUserSessions).toHaveBeenCalledWith(user._id);
+      expect(sendEmail).toHaveBeenLastCalledWith(
+        expect.objectContaining({ subject: 'Your password was changed' })
+      );
+
+      expect((await resetPassword(token, 'new-password-2')).errors).toEqual([
+        ACCOUNT_ERRORS.INVALID_TOKEN,
+      ]);
+    });
+
+    test('should keep the token when the new password breaks the policy', async () => {
+      await requestPasswordReset(user.email);
+      await flushEmails();
+      const token = getSentToken();
+
+      const weak = await resetPassword(token, 'password');
+      expect(weak.errors).toEqual([
+        'Password must be at least 10 characters long and contain a number',
+      ]);
+      expect(accountTokenRepository.consumeToken).not.toHaveBeenCalled();
+
+      expect((await resetPassword(token, 'password-123')).success).toBe(true);
+    });
+
+    test('should refuse missing and unknown tokens', async () => {
+      expect((await resetPassword(undefined, 'password-123')).errors).toEqual([
+        ACCOUNT_ERRORS.MISSING_TOKEN,
+      ]);
+      expect((await resetPassword('forged', 'password-123')).errors).toEqual([
+        ACCOUNT_ERRORS.INVALID_TOKEN,
+      ]);
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPasswordPolicy', () => {
+    test('should return the configured policy with its description', () => {
+      expect(getPasswordPolicy()).toEqual({
+        success: true,
+        data: {
+          minLength: 10,
+          requireLowercase: false,
+          requireUppercase: false,
+          requireNumber: true,
+          requireSymbol: false,
+          description: 'Password must be at least 10 characters long and contain a number',
+        },
+      });
+    });
+  });
+});
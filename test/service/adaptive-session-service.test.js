@@ -0,0 +1,385 @@
+/**
+ * Tests for Adaptive Session Service
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  ADAPTIVE_SESSION_ERRORS,
+  STOP_REASONS,
+  mapAbilityToPosition,
+  estimateAbility,
+  selectNextQuestion,
+  getStopReason,
+  createSession,
+  getNextQuestion,
+  answerQuestion,
+} = require('../../src/services/adaptiveSessionService');
+const {
+  createAdaptiveSession,
+  getAdaptiveSessionById,
+  transitionAdaptiveSession,
+} = require('../../src/repository/adaptiveSessionRepository');
+const {
+  getQuestionById,
+  getQuestionsForAdaptiveDelivery,
+} = require('../../src/repository/questionRepository');
+const { candidateExists } = require('../../src/repository/submissionRepository');
+
+// Mock dependencies
+jest.mock('../../src/repository/adaptiveSessionRepository');
+jest.mock('../../src/repository/questionRepository');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Adaptive Session Service', () => {
+  const sessionId = '60d21b4667d0d8992e610b01';
+  const candidateId = '60d21b4667d0d8992e610c01';
+  const questionId = '60d21b4667d0d8992e610a01';
+
+  const buildQuestion = (id, positionLevel, difficulty = 'medium') => ({
+    _id: new ObjectId(id),
+    question: `Question ${id}`,
+    options: ['a', 'b', 'c', 'd'],
+    correctAnswer: 1,
+    difficulty,
+    positionLevel,
+    topic: 'Closures',
+    language: 'JavaScript',
+  });
+
+  const buildSession = overrides => ({
+    _id: sessionId,
+    candidate_id: candidateId,
+    status: 'in_progress',
+    max_items: 20,
+    min_items: 5,
+    target_standard_error: 0.35,
+    start_level: 3,
+    ability: 3,
+    standard_error: 1.5,
+    items: [],
+    pending_question_id: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('mapAbilityToPosition', () => {
+    it('should map an ability to the position with the nearest level', () => {
+      expect(mapAbilityToPosition(3.2)).toEqual({ position: 'junior', level: 3 });
+      expect(mapAbilityToPosition(4.6)).toEqual({ position: 'senior', level: 5 });
+      expect(mapAbilityToPosition(-1)).toEqual({ position: 'intern', level: 1 });
+      expect(mapAbilityToPosition(9)).toEqual({ position: 'expert', level: 6 });
+    });
+  });
+
+  describe('estimateAbility', () => {
+    it('should return the prior when nothing was answered', () => {
+      expect(estimateAbility([], 3)).toEqual({ ability: 3, standard_error: 1.5 });
+      expect(estimateAbility([], 1)).toEqual({ ability: 1, standard_error: 1.5 });
+    });
+
+    it('should raise the estimate after correct answers and lower it after wrong ones', () => {
+      const items = [3, 3.5, 4].map(item_difficulty => ({ item_difficulty, is_correct: true }));
+      const correct = estimateAbility(items, 3);
+      const wrong = estimateAbility(
+        items.map(item => ({ ...item, is_correct: false })),
+        3
+      );
+
+      expect(correct.ability).toBeGreaterThan(3);
+      expect(wrong.ability).toBeLessThan(3);
+    });
+
+    it('should shrink the standard error as answers accumulate', () => {
+      const few = estimateAbility(
+        [
+          { item_difficulty: 3, is_correct: true },
+          { item_difficulty: 3.5, is_correct: false },
+        ],
+        3
+      );
+      const many = estimateAbility(
+        Array.from({ length: 12 }, (_, index) => ({
+          item_difficulty: 3 + (index % 2) * 0.5,
+          is_correct: index % 2 === 0,
+        })),
+        3
+      );
+
+      expect(many.standard_error).toBeLessThan(few.standard_error);
+    });
+  });
+
+  describe('selectNextQuestion', () => {
+    it('should pick the question whose difficulty is closest to the ability', () => {
+      const questions = [
+        buildQuestion('60d21b4667d0d8992e610a11', 2),
+        buildQuestion('60d21b4667d0d8992e610a12', 4, 'easy'),
+        buildQuestion('60d21b4667d0d8992e610a13', 5, 'hard'),
+      ];
+
+      expect(selectNextQuestion(questions, 3.4).positionLevel).toBe(4);
+      expect(selectNextQuestion([], 3)).toBeNull();
+    });
+  });
+
+  describe('getStopReason', () => {
+    const settings = { min_items: 5, max_items: 10, target_standard_error: 0.4 };
+
+    it('should stop once the estimate is precise enough after the minimum items', () => {
+      expect(getStopReason(settings, 4, 0.3)).toBeNull();
+      expect(getStopReason(settings, 5, 0.3)).toBe(STOP_REASONS.TARGET_PRECISION);
+      expect(getStopReason(settings, 6, 0.5)).toBeNull();
+    });
+
+    it('should stop at the maximum number of items', () => {
+      expect(getStopReason(settings, 10, 0.9)).toBe(STOP_REASONS.MAX_ITEMS);
+    });
+  });
+
+  describe('createSession', () => {
+    it('should reject invalid settings', async () => {
+      const result = await createSession({
+        candidate_id: candidateId,
+        max_items: 60,
+        target_standard_error: 0,
+        start_position: 'lead',
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'max_items must be an integer between 1 and 50',
+        'target_standard_error must be a number greater than 0 and at most 1.5',
+        expect.stringContaining('start_position must be one of'),
+      ]);
+      expect(createAdaptiveSession).not.toHaveBeenCalled();
+    });
+
+    it('should return an error when the candidate does not exist', async () => {
+      candidateExists.mockResolvedValue(false);
+
+      const result = await createSession({ candidate_id: candidateId });
+
+      expect(result).toEqual({
+        success: false,
+        errors: [ADAPTIVE_SESSION_ERRORS.CANDIDATE_NOT_FOUND],
+      });
+    });
+
+    it('should start the session at the level of the start position', async () => {
+      candidateExists.mockResolvedValue(true);
+      createAdaptiveSession.mockImplementation(async data => ({ _id: sessionId, ...data }));
+
+      const result = await createSession(
+        { candidate_id: candidateId, start_position: 'middle', language: ' JavaScript ' },
+        '60d21b4667d0d8992e610d01'
+      );
+
+      expect(result.success).toBe(true);
+      expect(createAdaptiveSession).toHaveBeenCalledWith(
+        expect.objectContaining({
+          candidate_id: candidateId,
+          language: 'JavaScript',
+          max_items: 20,
+          min_items: 5,
+          start_level: 4,
+          ability: 4,
+          standard_error: 1.5,
+        })
+      );
+    });
+  });
+
+  describe('getNextQuestion', () => {
+    it('should serve the question closest to the ability and record it as pending', async () => {
+      getAdaptiveSessionById.mockResolvedValue(buildSession());
+      getQuestionsForAdaptiveDelivery.mockResolvedValue([
+        buildQuestion(questionId, 3),
+        buildQuestion('60d21b4667d0d8992e610a02', 4),
+      ]);
+      transitionAdaptiveSession.mockImplementation(async (id, pending, update) =>
+        buildSession({ pending_question_id: update.pending_question_id, items: [{}] })
+      );
+
+      const result = await getNextQuestion(sessionId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.question).toEqual(
+        expect.objectContaining({ number: 1, positionLevel: 3 })
+      );
+      expect(result.data.question).not.toHaveProperty('correctAnswer');
+      expect(getQuestionsForAdaptiveDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({ positionLevel: { $gte: 2, $lte: 4 } })
+      );
+      expect(transitionAdaptiveSession).toHaveBeenCalledWith(
+        sessionId,
+        null,
+        expect.objectContaining({
+          pending_question_id: new ObjectId(questionId),
+          $push: {
+            items: expect.objectContaining({
+              question_id: new ObjectId(questionId),
+              item_difficulty: 3,
+            }),
+          },
+        })
+      );
+    });
+
+    it('should serve the pending question again', async () => {
+      getAdaptiveSessionById.mockResolvedValue(
+        buildSession({ pending_question_id: questionId, items: [{ question_id: questionId }] })
+      );
+      getQuestionById.mockResolvedValue(buildQuestion(questionId, 3));
+
+      const result = await getNextQuestion(sessionId);
+
+      expect(result.data.question._id).toEqual(new ObjectId(questionId));
+      expect(getQuestionsForAdaptiveDelivery).not.toHaveBeenCalled();
+      expect(transitionAdaptiveSession).not.toHaveBeenCalled();
+    });
+
+    it('should complete the session when no question is left', async () => {
+      getAdaptiveSessionById.mockResolvedValue(buildSession({ ability: 5.2 }));
+      getQuestionsForAdaptiveDelivery.mockResolvedValue([]);
+      transitionAdaptiveSession.mockImplementation(async (id, pending, update) =>
+        buildSession(update)
+      );
+
+      const result = await getNextQuestion(sessionId);
+
+      expect(getQuestionsForAdaptiveDelivery).toHaveBeenCalledTimes(2);
+      expect(result.data.question).toBeNull();
+      expect(result.data.session.status).toBe('completed');
+      expect(result.data.session.result).toEqual(
+        expect.objectContaining({
+          position: 'senior',
+          stop_reason: STOP_REASONS.POOL_EXHAUSTED,
+        })
+      );
+    });
+
+    it('should serve the question another request served first', async () => {
+      getAdaptiveSessionById
+        .mockResolvedValueOnce(buildSession())
+        .mockResolvedValue(
+          buildSession({ pending_question_id: questionId, items: [{ question_id: questionId }] })
+        );
+      getQuestionsForAdaptiveDelivery.mockResolvedValue([buildQuestion(questionId, 3)]);
+      getQuestionById.mockResolvedValue(buildQuestion(questionId, 3));
+      transitionAdaptiveSession.mockResolvedValue(null);
+
+      const result = await getNextQuestion(sessionId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.question).toEqual(expect.objectContaining({ number: 1 }));
+      expect(transitionAdaptiveSession).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after a bounded number of lost races', async () => {
+      getAdaptiveSessionById.mockResolvedValue(buildSession());
+      getQuestionsForAdaptiveDelivery.mockResolvedValue([buildQuestion(questionId, 3)]);
+      transitionAdaptiveSession.mockResolvedValue(null);
+
+      const result = await getNextQuestion(sessionId);
+
+      expect(result).toEqual({
+        success: false,
+        errors: [ADAPTIVE_SESSION_ERRORS.CONCURRENT_UPDATE],
+      });
+      expect(transitionAdaptiveSession).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('answerQuestion', () => {
+    it('should reject an answer when no question is pending', async () => {
+      getAdaptiveSessionById.mockResolvedValue(buildSession());
+
+      const result = await answerQuestion(sessionId, { question_id: questionId, answer: 1 });
+
+      expect(result.errors).toEqual([ADAPTIVE_SESSION_ERRORS.NO_PENDING_QUESTION]);
+    });
+
+    it('should reject an answer to another question', async () => {
+      getAdaptiveSessionById.mockResolvedValue(buildSession({ pending_question_id: questionId }));
+
+      const result = await answerQuestion(sessionId, {
+        question_id: '60d21b4667d0d8992e610a02',
+        answer: 1,
+      });
+
+      expect(result.errors).toEqual([ADAPTIVE_SESSION_ERRORS.QUESTION_MISMATCH]);
+      expect(transitionAdaptiveSession).not.toHaveBeenCalled();
+    });
+
+    it('should score the answer and update the ability estimate', async () => {
+      getAdaptiveSessionById.mockResolvedValue(
+        buildSession({
+          pending_question_id: questionId,
+          items: [{ question_id: questionId, item_difficulty: 3 }],
+        })
+      );
+      getQuestionById.mockResolvedValue(buildQuestion(questionId, 3));
+      transitionAdaptiveSession.mockImplementation(async (id, pending, update) =>
+        buildSession(update)
+      );
+
+      const result = await answerQuestion(sessionId, { question_id: questionId, answer: 1 });
+
+      expect(result.success).toBe(true);
+      expect(transitionAdaptiveSession).toHaveBeenCalledWith(
+        sessionId,
+        questionId,
+        expect.objectContaining({ pending_question_id: null })
+      );
+      expect(result.data.items[0]).toEqual(
+        expect.objectContaining({ answer: 1, is_skip: 0, is_correct: true })
+      );
+      expect(result.data.ability).toBeGreaterThan(3);
+      expect(result.data.status).toBe('in_progress');
+    });
+
+    it('should complete the session with a proficiency at the item limit', async () => {
+      const answeredItems = [3, 3.5, 4].map(item_difficulty => ({
+        question_id: new ObjectId().toString(),
+        item_difficulty,
+        answer: 1,
+        is_correct: true,
+        answered_at: new Date(),
+      }));
+      getAdaptiveSessionById.mockResolvedValue(
+        buildSession({
+          max_items: 4,
+          pending_question_id: questionId,
+          items: [...answeredItems, { question_id: questionId, item_difficulty: 4.5 }],
+        })
+      );
+      getQuestionById.mockResolvedValue(buildQuestion(questionId, 4, 'hard'));
+      transitionAdaptiveSession.mockImplementation(async (id, pending, update) =>
+        buildSession(update)
+      );
+
+      const result = await answerQuestion(sessionId, { question_id: questionId, answer: null });
+
+      expect(result.data.status).toBe('completed');
+      expect(result.data.items[3]).toEqual(
+        expect.objectContaining({ is_skip: 1, is_correct: false })
+      );
+      expect(result.data.result).toEqual(
+        expect.objectContaining({
+          position: mapAbilityToPosition(result.data.ability).position,
+          answered: 4,
+          correct: 3,
+          stop_reason: STOP_REASONS.MAX_ITEMS,
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Tests for Application Service
+ */
+
+const {
+  APPLICATION_ERRORS,
+  validateApplicationData,
+  createNewApplication,
+  getAllApplications,
+  updateExistingApplication,
+  getPositionApplications,
+} = require('../../src/services/applicationService');
+const {
+  createApplication,
+  getApplicationById,
+  getApplicationByCandidateAndPosition,
+  getApplications,
+  updateApplication,
+} = require('../../src/repository/applicationRepository');
+const {
+  getCandidateById,
+  getCandidatesByIds,
+} = require('../../src/repository/candidateRepository');
+const { getPositionById } = require('../../src/repository/positionRepository');
+const { getLanguageById } = require('../../src/repository/languageRepository');
+const { getAssessmentSessionById } = require('../../src/repository/assessmentSessionRepository');
+const {
+  getLatestSubmissionsByApplicationIds,
+} = require('../../src/repository/submissionRepository');
+const userRepository = require('../../src/repository/userRepository');
+
+// Mock dependencies
+jest.mock('../../src/repository/applicationRepository');
+jest.mock('../../src/repository/candidateRepository');
+jest.mock('../../src/repository/positionRepository');
+jest.mock('../../src/repository/languageRepository');
+jest.mock('../../src/repository/assessmentSessionRepository');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/repository/userRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Application Service', () => {
+  const applicationId = '60d21b4667d0d8992e610c8a';
+  const candidateId = '60d21b4667d0d8992e610c86';
+  const positionId = '60d21b4667d0d8992e610c85';
+  const interviewerId = '60d21b4667d0d8992e610c99';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.CANDIDATE_PIPELINE_TRANSITIONS;
+  });
+
+  describe('validateApplicationData', () => {
+    it('should require a candidate and a position', () => {
+      expect(validateApplicationData({}).errors).toEqual([
+        'Missing required field: candidate_id',
+        'Missing required field: position_id',
+      ]);
+    });
+
+    it('should reject changes to the candidate or position and invalid fields', () => {
+      const result = validateApplicationData(
+        { position_id: positionId, status: 'waiting', interviewer_ids: ['bad'] },
+        true
+      );
+
+      expect(result.errors).toEqual([
+        'Field position_id cannot be changed',
+        'Status must be one of: applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected',
+        'Field interviewer_ids contains an invalid ID',
+      ]);
+    });
+  });
+
+  describe('createNewApplication', () => {
+    beforeEach(() => {
+      getCandidateById.mockResolvedValue({ _id: candidateId });
+      getPositionById.mockResolvedValue({ _id: positionId });
+      getApplicationByCandidateAndPosition.mockResolvedValue(null);
+    });
+
+    it('should create an application with its language and interviewers', async () => {
+      const languageId = '60d21b4667d0d8992e610c88';
+      getLanguageById.mockResolvedValue({ _id: languageId });
+      userRepository.findById.mockResolvedValue({ _id: interviewerId, role: 'interviewer' });
+      createApplication.mockResolvedValue({ _id: applicationId });
+
+      const result = await createNewApplication({
+        candidate_id: candidateId,
+        position_id: positionId,
+        language_id: languageId,
+        interviewer_ids: [interviewerId, interviewerId],
+      });
+
+      expect(result).toEqual({ success: true, data: { _id: applicationId } });
+      expect(createApplication).toHaveBeenCalledWith({
+        candidate_id: candidateId,
+        position_id: positionId,
+        language_id: languageId,
+        interviewer_ids: [interviewerId],
+      });
+    });
+
+    it('should refuse a second application for the same position', async () => {
+      getApplicationByCandidateAndPosition.mockResolvedValue({ _id: applicationId });
+
+      const result = await createNewApplication({
+        candidate_id: candidateId,
+        position_id: positionId,
+      });
+
+      expect(result).toEqual({ success: false, errors: [APPLICATION_ERRORS.ALREADY_APPLIED] });
+      expect(createApplication).not.toHaveBeenCalled();
+    });
+
+    it('should report a duplicate created concurrently as already applied', async () => {
+      createApplication.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+      const result = await createNewApplication({
+        candidate_id: candidateId,
+        position_id: positionId,
+      });
+
+      expect(result).toEqual({ success: false, errors: [APPLICATION_ERRORS.ALREADY_APPLIED] });
+    });
+
+    it('should check the position, session and interviewers', async () => {
+      getPositionById.mockResolvedValueOnce(null);
+      expect(
+        await createNewApplication({ candidate_id: candidateId, position_id: positionId })
+      ).toEqual({ success: false, errors: [APPLICATION_ERRORS.POSITION_NOT_FOUND] });
+
+      getAssessmentSessionById.mockResolvedValue({ candidate_id: '60d21b4667d0d8992e610c01' });
+      userRepository.findById.mockResolvedValue({ _id: interviewerId, role: 'candidate' });
+
+      const result = await createNewApplication({
+        candidate_id: candidateId,
+        position_id: positionId,
+        assessment_session_id: '60d21b4667d0d8992e610c90',
+        interviewer_ids: [interviewerId],
+      });
+
+      expect(result.errors).toEqual([
+        'Assessment session belongs to another candidate',
+        `Interviewers not found: ${interviewerId}`,
+      ]);
+    });
+  });
+
+  describe('getAllApplications', () => {
+    it('should filter by candidate, position and status', async () => {
+      getApplications.mockResolvedValue([]);
+
+      const result = await getAllApplications({
+        candidate_id: candidateId,
+        position_id: positionId,
+        status: 'interview',
+      });
+
+      expect(result).toEqual({ success: true, data: [] });
+      expect(getApplications).toHaveBeenCalledWith({
+        candidate_id: candidateId,
+        position_id: positionId,
+        status: 'interview',
+      });
+    });
+  });
+
+  describe('updateExistingApplication', () => {
+    it('should change the status along an allowed transition', async () => {
+      getApplicationById.mockResolvedValue({
+        _id: applicationId,
+        candidate_id: candidateId,
+        status: 'screening',
+      });
+      updateApplication.mockResolvedValue({ _id: applicationId, status: 'interview' });
+
+      const result = await updateExistingApplication(applicationId, { status: 'interview' });
+
+      expect(result).toEqual({ success: true, data: { _id: applicationId, status: 'interview' } });
+      expect(updateApplication).toHaveBeenCalledWith(applicationId, { status: 'interview' });
+    });
+
+    it('should refuse transitions the pipeline does not allow', async () => {
+      getApplicationById.mockResolvedValue({
+        _id: applicationId,
+        candidate_id: candidateId,
+        status: 'applied',
+      });
+
+      const result = await updateExistingApplication(applicationId, { status: 'hired' });
+
+      expect(result).toEqual({
+        success: false,
+        errors: [
+          APPLICATION_ERRORS.INVALID_TRANSITION,
+          'Cannot move an application from applied to hired (allowed: screening, rejected)',
+        ],
+      });
+      expect(updateApplication).not.toHaveBeenCalled();
+    });
+
+    it('should report missing applications', async () => {
+      getApplicationById.mockResolvedValue(null);
+
+      expect(await updateExistingApplication(applicationId, {})).toEqual({
+        success: false,
+        errors: [APPLICATION_ERRORS.NOT_FOUND],
+      });
+    });
+  });
+
+  describe('getPositionApplications', () => {
+    it('should list applicants with the scores of their latest submission', async () => {
+      const otherApplicationId = '60d21b4667d0d8992e610c8b';
+      const scores = { overall: { point: 8, max_point: 10, percentage: 80 } };
+      getPositionById.mockResolvedValue({ _id: positionId });
+      getApplications.mockResolvedValue([
+        { _id: applicationId, candidate_id: candidateId, status: 'interview' },
+        { _id: otherApplicationId, candidate_id: '60d21b4667d0d8992e610c87', status: 'applied' },
+      ]);
+      getCandidatesByIds.mockResolvedValue([
+        {
+          _id: candidateId,
+          full_name: 'Ana',
+          email: 'ana@example.com',
+          interview_level: 'mid',
+          phone: '555',
+        },
+      ]);
+      getLatestSubmissionsByApplicationIds.mockResolvedValue([
+        { application_id: applicationId, submission_id: 'submission-id', scores },
+      ]);
+
+      const result = await getPositionApplications(positionId);
+
+      expect(getApplications).toHaveBeenCalledWith({ position_id: positionId });
+      expect(getLatestSubmissionsByApplicationIds).toHaveBeenCalledWith([
+        applicationId,
+        otherApplicationId,
+      ]);
+      expect(result.data).toEqual([
+        {
+          _id: applicationId,
+          candidate_id: candidateId,
+          status: 'interview',
+          candidate: {
+            _id: candidateId,
+            full_name: 'Ana',
+            email: 'ana@example.com',
+            interview_level: 'mid',
+          },
+          latest_submission: { _id: 'submission-id', scores },
+        },
+        {
+          _id: otherApplicationId,
+          candidate_id: '60d21b4667d0d8992e610c87',
+          status: 'applied',
+          candidate: null,
+          latest_submission: null,
+        },
+      ]);
+    });
+
+    it('should return an error when the position does not exist', async () => {
+      getPositionById.mockResolvedValue(null);
+
+      const result = await getPositionApplications(positionId);
+
+      expect(result).toEqual({ success: false, errors: [APPLICATION_ERRORS.POSITION_NOT_FOUND] });
+      expect(getApplications).not.toHaveBeenCalled();
+    });
+  });
+});
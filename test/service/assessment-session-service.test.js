@@ -0,0 +1,480 @@
+/**
+ * Tests for Assessment Session Service
+ */
+
+const {
+  SESSION_ERRORS,
+  getDefaultTimeLimitMinutes,
+  validateAssignmentData,
+  assignSession,
+  getSessionById,
+  getSessions,
+  startSession,
+  saveSessionAnswers,
+  finishSession,
+  closeExpiredSessions,
+} = require('../../src/services/assessmentSessionService');
+const {
+  createAssessmentSession,
+  getAssessmentSessionById,
+  getAssessmentSessions,
+  updateAssessmentSession,
+  transitionAssessmentSession,
+  getExpiredAssessmentSessions,
+} = require('../../src/repository/assessmentSessionRepository');
+const {
+  insertSubmissionToDB,
+  candidateExists,
+  questionsExist,
+  instrumentsExist,
+  logicQuestionsExist,
+} = require('../../src/repository/submissionRepository');
+const {
+  getApplicationById,
+  updateApplication,
+} = require('../../src/repository/applicationRepository');
+const { scoreSubmission } = require('../../src/services/submissionScoringService');
+
+// Mock dependencies
+jest.mock('../../src/repository/assessmentSessionRepository');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/repository/applicationRepository');
+jest.mock('../../src/services/submissionScoringService', () => ({
+  scoreSubmission: jest.fn(),
+  stripScoredFields: jest.requireActual('../../src/services/submissionScoringService')
+    .stripScoredFields,
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Assessment Session Service', () => {
+  const sessionId = '60d21b4667d0d8992e610c90';
+  const candidateId = '60d21b4667d0d8992e610c85';
+  const questionId = '60d21b4667d0d8992e610c86';
+  const otherQuestionId = '60d21b4667d0d8992e610c87';
+  const logicQuestionId = '60d21b4667d0d8992e610c88';
+
+  const buildSession = overrides => ({
+    _id: sessionId,
+    candidate_id: candidateId,
+    status: 'in_progress',
+    time_limit_minutes: 30,
+    question_ids: [questionId, otherQuestionId],
+    instrument_ids: [],
+    logic_question_ids: [logicQuestionId],
+    answers: [],
+    instruments: [],
+    logic_questions: [],
+    essay: { question: 'Describe a project', answer: null, is_skip: 0 },
+    deadline_at: new Date(Date.now() + 10 * 60 * 1000),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ASSESSMENT_TIME_LIMIT_MINUTES;
+  });
+
+  describe('getDefaultTimeLimitMinutes', () => {
+    it('should default to 60 minutes', () => {
+      expect(getDefaultTimeLimitMinutes()).toBe(60);
+    });
+
+    it('should read the time limit from the environment', () => {
+      process.env.ASSESSMENT_TIME_LIMIT_MINUTES = '45';
+      expect(getDefaultTimeLimitMinutes()).toBe(45);
+    });
+  });
+
+  describe('validateAssignmentData', () => {
+    it('should require a candidate and at least one item', () => {
+      const result = validateAssignmentData({});
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Candidate ID is required',
+        'At least one question, instrument, logic question or essay is required',
+      ]);
+    });
+
+    it('should reject invalid IDs and time limits', () => {
+      const result = validateAssignmentData({
+        candidate_id: candidateId,
+        question_ids: ['invalid'],
+        time_limit_minutes: 0,
+      });
+
+      expect(result.errors).toEqual([
+        'Field question_ids contains an invalid ID',
+        'Time limit must be a positive integer number of minutes',
+      ]);
+    });
+  });
+
+  describe('assignSession', () => {
+    beforeEach(() => {
+      candidateExists.mockResolvedValue(true);
+      questionsExist.mockResolvedValue({ exists: true, missingIds: [] });
+      instrumentsExist.mockResolvedValue({ exists: true, missingIds: [] });
+      logicQuestionsExist.mockResolvedValue({ exists: true, missingIds: [] });
+    });
+
+    it('should create a session with the default time limit', async () => {
+      createAssessmentSession.mockResolvedValue({ _id: sessionId });
+
+      const result = await assignSession(
+        { candidate_id: candidateId, question_ids: [questionId] },
+        '60d21b4667d0d8992e610c99'
+      );
+
+      expect(result).toEqual({ success: true, data: { _id: sessionId } });
+      expect(createAssessmentSession).toHaveBeenCalledWith({
+        candidate_id: candidateId,
+        assigned_by: '60d21b4667d0d8992e610c99',
+        time_limit_minutes: 60,
+        question_ids: [questionId],
+        instrument_ids: [],
+        logic_question_ids: [],
+        essay: { question: null, answer: null, is_skip: 0 },
+      });
+    });
+
+    it('should make the session the assigned assessment of an application', async () => {
+      const applicationId = '60d21b4667d0d8992e610c95';
+      getApplicationById.mockResolvedValue({ _id: applicationId, candidate_id: candidateId });
+      createAssessmentSession.mockResolvedValue({ _id: sessionId });
+
+      const result = await assignSession({
+        candidate_id: candidateId,
+        application_id: applicationId,
+        question_ids: [questionId],
+      });
+
+      expect(result.success).toBe(true);
+      expect(createAssessmentSession).toHaveBeenCalledWith(
+        expect.objectContaining({ application_id: applicationId })
+      );
+      expect(updateApplication).toHaveBeenCalledWith(applicationId, {
+        assessment_session_id: sessionId,
+      });
+    });
+
+    it('should reject an application of another candidate', async () => {
+      getApplicationById.mockResolvedValue({
+        _id: '60d21b4667d0d8992e610c95',
+        candidate_id: '60d21b4667d0d8992e610c99',
+      });
+
+      const result = await assignSession({
+        candidate_id: candidateId,
+        application_id: '60d21b4667d0d8992e610c95',
+        question_ids: [questionId],
+      });
+
+      expect(result).toEqual({
+        success: false,
+        errors: ['Application belongs to another candidate'],
+      });
+      expect(createAssessmentSession).not.toHaveBeenCalled();
+    });
+
+    it('should return an error when the candidate does not exist', async () => {
+      candidateExists.mockResolvedValue(false);
+
+      const result = await assignSession({ candidate_id: candidateId, question_ids: [questionId] });
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.CANDIDATE_NOT_FOUND] });
+      expect(createAssessmentSession).not.toHaveBeenCalled();
+    });
+
+    it('should return an error when assigned questions do not exist', async () => {
+      questionsExist.mockResolvedValue({ exists: false, missingIds: [questionId] });
+
+      const result = await assignSession({ candidate_id: candidateId, question_ids: [questionId] });
+
+      expect(result).toEqual({
+        success: false,
+        errors: [`Questions not found: ${questionId}`],
+      });
+    });
+  });
+
+  describe('getSessions', () => {
+    it('should filter by candidate and status', async () => {
+      getAssessmentSessions.mockResolvedValue([]);
+
+      const result = await getSessions({ candidate_id: candidateId, status: 'completed' });
+
+      expect(result).toEqual({ success: true, data: [] });
+      expect(getAssessmentSessions).toHaveBeenCalledWith({
+        candidate_id: candidateId,
+        status: 'completed',
+      });
+    });
+
+    it('should reject an unknown status', async () => {
+      const result = await getSessions({ status: 'paused' });
+
+      expect(result.success).toBe(false);
+      expect(getAssessmentSessions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSessionById', () => {
+    it('should return an error for an invalid ID', async () => {
+      const result = await getSessionById('invalid');
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.INVALID_ID] });
+    });
+
+    it('should return an error when the session does not exist', async () => {
+      getAssessmentSessionById.mockResolvedValue(null);
+
+      const result = await getSessionById(sessionId);
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.NOT_FOUND] });
+    });
+
+    it('should close a session whose deadline has passed', async () => {
+      const session = buildSession({ deadline_at: new Date(Date.now() - 1000) });
+      const claimed = { ...session, status: 'expired' };
+      getAssessmentSessionById.mockResolvedValue(session);
+      transitionAssessmentSession.mockResolvedValue(claimed);
+      scoreSubmission.mockImplementation(async submission => submission);
+      insertSubmissionToDB.mockResolvedValue({ _id: 'submission-id' });
+      updateAssessmentSession.mockResolvedValue({ ...claimed, submission_id: 'submission-id' });
+
+      const result = await getSessionById(sessionId);
+
+      expect(transitionAssessmentSession).toHaveBeenCalledWith(sessionId, 'in_progress', {
+        status: 'expired',
+        finished_at: expect.any(Date),
+      });
+      expect(result.data.status).toBe('expired');
+      expect(result.data.submission_id).toBe('submission-id');
+    });
+  });
+
+  describe('startSession', () => {
+    it('should start an assigned session and set the deadline', async () => {
+      getAssessmentSessionById.mockResolvedValue(buildSession({ status: 'assigned' }));
+      transitionAssessmentSession.mockImplementation(async (id, status, update) => ({
+        ...buildSession(),
+        ...update,
+      }));
+
+      const result = await startSession(sessionId);
+
+      expect(result.success).toBe(true);
+      const update = transitionAssessmentSession.mock.calls[0][2];
+      expect(transitionAssessmentSession.mock.calls[0][1]).toBe('assigned');
+      expect(update.status).toBe('in_progress');
+      expect(update.deadline_at.getTime() - update.started_at.getTime()).toBe(30 * 60 * 1000);
+    });
+
+    it('should reject a session that was already started', async () => {
+      getAssessmentSessionById.mockResolvedValue(buildSession());
+
+      const result = await startSession(sessionId);
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.ALREADY_STARTED] });
+      expect(transitionAssessmentSession).not.toHaveBeenCalled();
+    });
+
+    it('should report a concurrent start as already started', async () => {
+      getAssessmentSessionById.mockResolvedValue(buildSession({ status: 'assigned' }));
+      transitionAssessmentSession.mockResolvedValue(null);
+
+      const result = await startSession(sessionId);
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.ALREADY_STARTED] });
+    });
+  });
+
+  describe('saveSessionAnswers', () => {
+    it('should merge answers by item and drop client points and grades', async () => {
+      getAssessmentSessionById.mockResolvedValue(
+        buildSession({
+          answers: [{ question_id: questionId, answer: 1, other: '', is_skip: 0 }],
+        })
+      );
+      transitionAssessmentSession.mockImplementation(async (id, status, update) => ({
+        ...buildSession(),
+        ...update,
+      }));
+
+      const result = await saveSessionAnswers(sessionId, {
+        answers: [
+          { question_id: questionId, answer: 2, other: '', is_skip: 0, point: 10 },
+          {
+            question_id: otherQuestionId,
+            answer: 0,
+            other: '',
+            is_skip: 0,
+            is_correct: true,
+            grading: { final_score: 10 },
+          },
+        ],
+        essay: { answer: 'My answer', is_skip: 0 },
+      });
+
+      expect(result.success).toBe(true);
+      expect(transitionAssessmentSession).toHaveBeenCalledWith(
+        sessionId,
+        'in_progress',
+        expect.any(Object),
+        { deadline_at: { $gt: expect.any(Date) } }
+      );
+      const update = transitionAssessmentSession.mock.calls[0][2];
+      expect(update.answers).toEqual([
+        {
+          question_id: questionId,
+          answer: 2,
+          other: '',
+          is_skip: 0,
+          answered_at: expect.any(Date),
+        },
+        {
+          question_id: otherQuestionId,
+          answer: 0,
+          other: '',
+          is_skip: 0,
+          answered_at: expect.any(Date),
+        },
+      ]);
+      expect(update.essay).toEqual({
+        question: 'Describe a project',
+        answer: 'My answer',
+        is_skip: 0,
+      });
+    });
+
+    it('should reject items that are not assigned to the session', async () => {
+      const unassignedId = '60d21b4667d0d8992e610c89';
+      getAssessmentSessionById.mockResolvedValue(buildSession());
+
+      const result = await saveSessionAnswers(sessionId, {
+        answers: [{ question_id: unassignedId, answer: 1, other: '', is_skip: 0 }],
+      });
+
+      expect(result).toEqual({
+        success: false,
+        errors: [`question_id ${unassignedId} is not part of this assessment session`],
+      });
+      expect(transitionAssessmentSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject answers for a session that has not been started', async () => {
+      getAssessmentSessionById.mockResolvedValue(buildSession({ status: 'assigned' }));
+
+      const result = await saveSessionAnswers(sessionId, { answers: [] });
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.NOT_STARTED] });
+    });
+
+    it('should reject answers written after the deadline', async () => {
+      getAssessmentSessionById.mockResolvedValue(buildSession());
+      transitionAssessmentSession.mockResolvedValue(null);
+
+      const result = await saveSessionAnswers(sessionId, {
+        answers: [{ question_id: questionId, answer: 1, other: '', is_skip: 0 }],
+      });
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.DEADLINE_PASSED] });
+    });
+  });
+
+  describe('finishSession', () => {
+    it('should create a scored submission with unanswered items skipped', async () => {
+      const session = buildSession({
+        answers: [{ question_id: questionId, answer: 1, other: '', is_skip: 0 }],
+        essay: { question: 'Describe a project', answer: null, is_skip: 0 },
+      });
+      const claimed = { ...session, status: 'completed' };
+      getAssessmentSessionById.mockResolvedValue(session);
+      transitionAssessmentSession.mockResolvedValue(claimed);
+      scoreSubmission.mockImplementation(async submission => ({ ...submission, scores: {} }));
+      insertSubmissionToDB.mockResolvedValue({ _id: 'submission-id' });
+      updateAssessmentSession.mockResolvedValue({ ...claimed, submission_id: 'submission-id' });
+
+      const result = await finishSession(sessionId);
+
+      expect(result.success).toBe(true);
+      expect(scoreSubmission).toHaveBeenCalledWith({
+        candidate_id: candidateId,
+        session_id: sessionId,
+        essay: { question: 'Describe a project', answer: null, is_skip: 1 },
+        answers: [
+          { question_id: questionId, answer: 1, other: '', is_skip: 0 },
+          { question_id: otherQuestionId, answer: null, other: '', is_skip: 1 },
+        ],
+        instruments: [],
+        logic_questions: [
+          { logic_question_id: logicQuestionId, answer: null, other: '', is_skip: 1 },
+        ],
+      });
+      expect(insertSubmissionToDB).toHaveBeenCalledWith(
+        expect.objectContaining({ session_id: sessionId, scores: {} })
+      );
+      expect(updateAssessmentSession).toHaveBeenCalledWith(sessionId, {
+        submission_id: 'submission-id',
+      });
+    });
+
+    it('should link the submission to the application of the session', async () => {
+      const applicationId = '60d21b4667d0d8992e610c95';
+      const claimed = buildSession({ status: 'completed', application_id: applicationId });
+      getAssessmentSessionById.mockResolvedValue(buildSession({ application_id: applicationId }));
+      transitionAssessmentSession.mockResolvedValue(claimed);
+      scoreSubmission.mockImplementation(async submission => submission);
+      insertSubmissionToDB.mockResolvedValue({ _id: 'submission-id' });
+      updateAssessmentSession.mockResolvedValue({ ...claimed, submission_id: 'submission-id' });
+
+      await finishSession(sessionId);
+
+      expect(insertSubmissionToDB).toHaveBeenCalledWith(
+        expect.objectContaining({ session_id: sessionId, application_id: applicationId })
+      );
+    });
+
+    it('should not create a second submission when the session was finalized concurrently', async () => {
+      getAssessmentSessionById
+        .mockResolvedValueOnce(buildSession())
+        .mockResolvedValueOnce(buildSession({ status: 'completed' }));
+      transitionAssessmentSession.mockResolvedValue(null);
+
+      const result = await finishSession(sessionId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe('completed');
+      expect(insertSubmissionToDB).not.toHaveBeenCalled();
+    });
+
+    it('should reject a session that is already finished', async () => {
+      getAssessmentSessionById.mockResolvedValue(buildSession({ status: 'completed' }));
+
+      const result = await finishSession(sessionId);
+
+      expect(result).toEqual({ success: false, errors: [SESSION_ERRORS.ALREADY_FINISHED] });
+    });
+  });
+
+  describe('closeExpiredSessions', () => {
+    it('should close every expired session', async () => {
+      const expired = buildSession({ deadline_at: new Date(Date.now() - 1000) });
+      getExpiredAssessmentSessions.mockResolvedValue([expired]);
+      transitionAssessmentSession.mockResolvedValue({ ...expired, status: 'expired' });
+      scoreSubmission.mockImplementation(async submission => submission);
+      insertSubmissionToDB.mockResolvedValue({ _id: 'submission-id' });
+      updateAssessmentSession.mockResolvedValue({});
+
+      const closed = await closeExpiredSessions();
+
+      expect(closed).toBe(1);
+      expect(insertSubmissionToDB).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Tests for Assessment Template Service
+ */
+
+const {
+  TEMPLATE_ERRORS,
+  validateTemplateData,
+  getDifficultyShares,
+  assembleTemplate,
+  createTemplate,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  generateFromTemplate,
+  assignTemplate,
+} = require('../../src/services/assessmentTemplateService');
+const {
+  createAssessmentTemplate,
+  getAssessmentTemplateById,
+  updateAssessmentTemplate,
+  deleteAssessmentTemplate,
+} = require('../../src/repository/assessmentTemplateRepository');
+const { searchQuestions } = require('../../src/services/questionSearchService');
+const { getAllInstrumentItems } = require('../../src/services/instrumentService');
+const { getQuestionsWithRandomSort } = require('../../src/services/logicQuestionQueryService');
+const { assignSession } = require('../../src/services/assessmentSessionService');
+
+// Mock dependencies
+jest.mock('../../src/repository/assessmentTemplateRepository');
+jest.mock('../../src/services/questionSearchService');
+jest.mock('../../src/services/instrumentService');
+jest.mock('../../src/services/logicQuestionQueryService');
+jest.mock('../../src/services/assessmentSessionService');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Assessment Template Service', () => {
+  const templateId = '60d21b4667d0d8992e610c88';
+  const topicId = '60d21b4667d0d8992e610c70';
+  const tagId = '60d21b4667d0d8992e610c71';
+  const candidateId = '60d21b4667d0d8992e610c85';
+
+  const template = {
+    _id: templateId,
+    name: 'Junior backend screening',
+    questions: { count: 4, topic_id: topicId, position: 'junior', difficulty: 'mixed' },
+    instruments: { count: 2, instrument_tags: [tagId] },
+    logic_questions: { count: 1, min_level: 2, max_level: 4 },
+    essay_prompt: 'Describe a project you are proud of',
+    time_limit_minutes: 45,
+  };
+
+  const makeItems = (prefix, count) =>
+    Array.from({ length: count }, (_, index) => ({ _id: `${prefix}${index}` }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateTemplateData', () => {
+    it('should accept a valid template', () => {
+      const result = validateTemplateData(template);
+
+      expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should require a name and at least one item', () => {
+      const result = validateTemplateData({ questions: { count: 0 } });
+
+      expect(result.errors).toEqual([
+        'Template name is required',
+        'A template must include at least one question, instrument, logic question or essay',
+      ]);
+    });
+
+    it('should reject invalid blueprints', () => {
+      const result = validateTemplateData({
+        name: 'Invalid',
+        questions: { count: -1, topic_id: 'invalid', difficulty: 'extreme' },
+        instruments: { count: 1, instrument_tags: 'teamwork' },
+        logic_questions: { count: 1, min_level: 5, max_level: 2 },
+      });
+
+      expect(result.errors).toEqual([
+        'Field questions.count must be a non-negative integer',
+        'Invalid questions.topic_id format',
+        'Field questions.difficulty must be one of: mixed, easy, medium, hard',
+        'Field instruments.instrument_tags must be an array of valid IDs',
+        'Field logic_questions.min_level cannot be greater than max_level',
+      ]);
+    });
+
+    it('should only validate provided fields on update', () => {
+      const result = validateTemplateData({ essay_prompt: 'New prompt' }, true);
+
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  describe('getDifficultyShares', () => {
+    it('should spread mixed questions across difficulties', () => {
+      expect(getDifficultyShares(10)).toEqual([
+        ['medium', 4],
+        ['easy', 3],
+        ['hard', 3],
+      ]);
+      expect(getDifficultyShares(2)).toEqual([
+        ['medium', 1],
+        ['easy', 1],
+      ]);
+    });
+
+    it('should use a single difficulty when one is set', () => {
+      expect(getDifficultyShares(5, 'hard')).toEqual([['hard', 5]]);
+    });
+  });
+
+  describe('assembleTemplate', () => {
+    it('should select items for every section', async () => {
+      searchQuestions
+        .mockResolvedValueOnce({ questions: makeItems('m', 2) })
+        .mockResolvedValueOnce({ questions: makeItems('e', 1) })
+        .mockResolvedValueOnce({ questions: makeItems('h', 1) });
+      getAllInstrumentItems.mockResolvedValue({ success: true, data: makeItems('i', 2) });
+      getQuestionsWithRandomSort.mockResolvedValue(makeItems('l', 1));
+
+      const result = await assembleTemplate(template);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(
+        expect.objectContaining({
+          template_id: templateId,
+          question_ids: ['m0', 'm1', 'e0', 'h0'],
+          instrument_ids: ['i0', 'i1'],
+          logic_question_ids: ['l0'],
+          essay_question: 'Describe a project you are proud of',
+        })
+      );
+      expect(searchQuestions).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({
+          topic_id: topicId,
+          position: 'junior',
+          difficulty: 'easy',
+          page_size: 1,
+          sort_by: 'random',
+          mode: 'compact',
+          ignore_question_ids: ['m0', 'm1'],
+        })
+      );
+      expect(getAllInstrumentItems).toHaveBeenCalledWith(
+        expect.objectContaining({ instrument_tags: tagId, sort_by: 'random', page_size: 2 })
+      );
+      expect(getQuestionsWithRandomSort).toHaveBeenCalledWith(
+        { level: { $gte: 2, $lte: 4 } },
+        { page: 1, page_size: 1, limit: 1, skip: 0 }
+      );
+    });
+
+    it('should top up mixed questions from any difficulty', async () => {
+      searchQuestions
+        .mockResolvedValueOnce({ questions: makeItems('m', 2) })
+        .mockResolvedValueOnce({ questions: [] })
+        .mockResolvedValueOnce({ questions: makeItems('h', 1) })
+        .mockResolvedValueOnce({ questions: makeItems('x', 1) });
+
+      const result = await assembleTemplate({ _id: templateId, questions: { count: 4 } });
+
+      expect(result.success).toBe(true);
+      expect(result.data.question_ids).toEqual(['m0', 'm1', 'h0', 'x0']);
+      expect(searchQuestions).toHaveBeenLastCalledWith(
+        expect.objectContaining({ difficulty: undefined, page_size: 1 })
+      );
+    });
+
+    it('should fail when not enough items match the template', async () => {
+      searchQuestions.mockResolvedValue({ questions: [] });
+      getAllInstrumentItems.mockResolvedValue({ success: true, data: makeItems('i', 2) });
+      getQuestionsWithRandomSort.mockResolvedValue([]);
+
+      const result = await assembleTemplate(template);
+
+      expect(result).toEqual({
+        success: false,
+        errors: [
+          'Not enough questions match the template: found 0 of 4',
+          'Not enough logic questions match the template: found 0 of 1',
+        ],
+      });
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should create a template', async () => {
+      createAssessmentTemplate.mockResolvedValue(template);
+
+      const result = await createTemplate(template, candidateId);
+
+      expect(result).toEqual({ success: true, data: template });
+      expect(createAssessmentTemplate).toHaveBeenCalledWith({
+        ...template,
+        created_by: candidateId,
+      });
+    });
+
+    it('should handle duplicate names', async () => {
+      const error = new Error('Duplicate key');
+      error.code = 11000;
+      createAssessmentTemplate.mockRejectedValue(error);
+
+      const result = await createTemplate(template);
+
+      expect(result).toEqual({
+        success: false,
+        errors: ['Template with this name already exists'],
+      });
+    });
+  });
+
+  describe('getTemplateById', () => {
+    it('should return an error when the template does not exist', async () => {
+      getAssessmentTemplateById.mockResolvedValue(null);
+
+      const result = await getTemplateById(templateId);
+
+      expect(result).toEqual({ success: false, errors: [TEMPLATE_ERRORS.NOT_FOUND] });
+    });
+  });
+
+  describe('updateTemplate', () => {
+    it('should not change the creator', async () => {
+      updateAssessmentTemplate.mockResolvedValue(template);
+
+      await updateTemplate(templateId, { description: 'Updated', created_by: candidateId });
+
+      expect(updateAssessmentTemplate).toHaveBeenCalledWith(templateId, {
+        description: 'Updated',
+      });
+    });
+  });
+
+  describe('deleteTemplate', () => {
+    it('should return an error for an invalid ID', async () => {
+      const result = await deleteTemplate('invalid');
+
+      expect(result).toEqual({ success: false, errors: [TEMPLATE_ERRORS.INVALID_ID] });
+      expect(deleteAssessmentTemplate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateFromTemplate', () => {
+    it('should return an error when the template does not exist', async () => {
+      getAssessmentTemplateById.mockResolvedValue(null);
+
+      const result = await generateFromTemplate(templateId);
+
+      expect(result).toEqual({ success: false, errors: [TEMPLATE_ERRORS.NOT_FOUND] });
+      expect(searchQuestions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignTemplate', () => {
+    it('should create an assessment session from the generated items', async () => {
+      getAssessmentTemplateById.mockResolvedValue({
+        ...template,
+        questions: { count: 1, difficulty: 'easy' },
+        instruments: {},
+        logic_questions: {},
+      });
+      searchQuestions.mockResolvedValue({ questions: makeItems('e', 1) });
+      assignSession.mockResolvedValue({ success: true, data: { _id: 'session-id' } });
+
+      const result = await assignTemplate(
+        templateId,
+        { candidate_id: candidateId },
+        '60d21b4667d0d8992e610c99'
+      );
+
+      expect(result).toEqual({ success: true, data: { _id: 'session-id' } });
+      expect(assignSession).toHaveBeenCalledWith(
+        {
+          candidate_id: candidateId,
+          template_id: templateId,
+          question_ids: ['e0'],
+          instrument_ids: [],
+          logic_question_ids: [],
+          essay_question: 'Describe a project you are proud of',
+          time_limit_minutes: 45,
+        },
+        '60d21b4667d0d8992e610c99'
+      );
+    });
+
+    it('should not create a session when the template cannot be filled', async () => {
+      getAssessmentTemplateById.mockResolvedValue(template);
+      searchQuestions.mockResolvedValue({ questions: [] });
+      getAllInstrumentItems.mockResolvedValue({ success: true, data: [] });
+      getQuestionsWithRandomSort.mockResolvedValue([]);
+
+      const result = await assignTemplate(templateId, { candidate_id: candidateId });
+
+      expect(result.success).toBe(false);
+      expect(assignSession).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for the candidate pipeline service module
+ * @module test/candidatePipelineServiceTest
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  PIPELINE_ERRORS,
+  getCandidateStage,
+  transitionCandidate,
+  getPipelineCounts,
+} = require('../../src/services/candidatePipelineService');
+const {
+  getCandidateById,
+  updateCandidateStatus,
+  countCandidatesByLevelAndStatus,
+} = require('../../src/repository/candidateRepository');
+const { getCandidatePipelineConfig } = require('../../src/config/candidatePipelineConfig');
+
+jest.mock('../../src/repository/candidateRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logToFile: jest.fn(),
+}));
+
+describe('Candidate Pipeline Service Tests', () => {
+  const candidateId = '60d21b4667d0d8992e610c85';
+  const userId = '60d21b4667d0d8992e610c99';
+  let originalTransitions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalTransitions = process.env.CANDIDATE_PIPELINE_TRANSITIONS;
+    delete process.env.CANDIDATE_PIPELINE_TRANSITIONS;
+  });
+
+  afterEach(() => {
+    if (originalTransitions === undefined) {
+      delete process.env.CANDIDATE_PIPELINE_TRANSITIONS;
+    } else {
+      process.env.CANDIDATE_PIPELINE_TRANSITIONS = originalTransitions;
+    }
+  });
+
+  describe('getCandidatePipelineConfig', () => {
+    test('should override the transitions of the stages set in the environment', () => {
+      process.env.CANDIDATE_PIPELINE_TRANSITIONS = '{"screening":["interview"]}';
+
+      const { transitions } = getCandidatePipelineConfig();
+
+      expect(transitions.screening).toEqual(['interview']);
+      expect(transitions.applied).toEqual(['screening', 'rejected']);
+    });
+
+    test('should ignore transitions with unknown stages', () => {
+      process.env.CANDIDATE_PIPELINE_TRANSITIONS = '{"screening":["phone_call"]}';
+
+      expect(getCandidatePipelineConfig().transitions.screening).toEqual([
+        'assessment_sent',
+        'interview',
+        'rejected',
+      ]);
+    });
+  });
+
+  describe('transitionCandidate', () => {
+    test('should move the candidate and record the change', async () => {
+      const updated = { _id: candidateId, status: 'screening' };
+      getCandidateById.mockResolvedValue({ _id: candidateId, status: 'applied' });
+      updateCandidateStatus.mockResolvedValue(updated);
+
+      const result = await transitionCandidate(
+        candidateId,
+        { status: 'screening', note: ' Strong CV ' },
+        userId
+      );
+
+      expect(result).toEqual({ success: true, data: updated });
+      expect(updateCandidateStatus).toHaveBeenCalledWith(candidateId, 'applied', {
+        from: 'applied',
+        to: 'screening',
+        note: 'Strong CV',
+        changed_by: new ObjectId(userId),
+        changed_at: expect.any(Date),
+      });
+    });
+
+    test('should treat statuses outside the pipeline as applied', async () => {
+      getCandidateById.mockResolvedValue({ _id: candidateId, status: '' });
+      updateCandidateStatus.mockResolvedValue({ _id: candidateId, status: 'rejected' });
+
+      const result = await transitionCandidate(candidateId, { status: 'rejected' });
+
+      expect(result.success).toBe(true);
+      expect(updateCandidateStatus).toHaveBeenCalledWith(
+        candidateId,
+        '',
+        expect.objectContaining({ from: null, to: 'rejected', note: '', changed_by: null })
+      );
+      expect(getCandidateStage('interviewed')).toBe('applied');
+    });
+
+    test('should refuse transitions the pipeline does not allow', async () => {
+      getCandidateById.mockResolvedValue({ _id: candidateId, status: 'applied' });
+
+      const result = await transitionCandidate(candidateId, { status: 'hired' }, userId);
+
+      expect(result).toEqual({
+        success: false,
+        errors: [
+          PIPELINE_ERRORS.INVALID_TRANSITION,
+          'Cannot move a candidate from applied to hired (allowed: screening, rejected)',
+        ],
+      });
+      expect(updateCandidateStatus).not.toHaveBeenCalled();
+    });
+
+    test('should report a concurrent status change', async () => {
+      getCandidateById.mockResolvedValue({ _id: candidateId, status: 'offer' });
+      updateCandidateStatus.mockResolvedValue(null);
+
+      const result = await transitionCandidate(candidateId, { status: 'hired' }, userId);
+
+      expect(result).toEqual({ success: false, errors: [PIPELINE_ERRORS.CONFLICT] });
+    });
+
+    test('should validate the request', async () => {
+      expect((await transitionCandidate('bad-id', { status: 'hired' })).errors).toEqual([
+        PIPELINE_ERRORS.INVALID_ID,
+      ]);
+      expect(
+        (await transitionCandidate(candidateId, { status: 'interviewed', note: 3 })).errors
+      ).toEqual([
+        'Status must be one of: applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected',
+        'Note must be a string',
+      ]);
+
+      getCandidateById.mockResolvedValue(null);
+      expect((await transitionCandidate(candidateId, { status: 'screening' })).errors).toEqual([
+        PIPELINE_ERRORS.NOT_FOUND,
+      ]);
+    });
+  });
+
+  describe('getPipelineCounts', () => {
+    test('should count candidates per stage overall and per interview level', async () => {
+      countCandidatesByLevelAndStatus.mockResolvedValue([
+        { interview_level: 'senior', status: 'interview', count: 2 },
+        { interview_level: 'junior', status: 'applied', count: 3 },
+        { interview_level: 'junior', status: 'interviewed', count: 1 },
+        { interview_level: 'junior', status: 'hired', count: 1 },
+      ]);
+
+      const counts = await getPipelineCounts({ email: 'x' });
+
+      expect(countCandidatesByLevelAndStatus).toHaveBeenCalledWith({ email: 'x' });
+      expect(counts.stages).toMatchObject({ applied: 4, interview: 2, hired: 1, rejected: 0 });
+      expect(counts.levels.map(level => [level.interview_level, level.total])).toEqual([
+        ['junior', 5],
+        ['senior', 2],
+      ]);
+      expect(counts.levels[0].stages).toMatchObject({ applied: 4, hired: 1, interview: 0 });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests for Candidate Ranking Service
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  validateRankingQuery,
+  addRanks,
+  getCandidateRanking,
+} = require('../../src/services/candidateRankingService');
+const { getCandidateList } = require('../../src/repository/candidateRepository');
+const { getSubmissionsByCandidateIds } = require('../../src/repository/submissionRepository');
+const { getLogicTagsByIds } = require('../../src/repository/logicTagRepository');
+const { getInstrumentTagsByIds } = require('../../src/repository/instrumentTagRepository');
+const {
+  fetchQuestionsByIds,
+  fetchInstrumentsByIds,
+  fetchLogicQuestionsByIds,
+} = require('../../src/utils/submissionEnricher');
+
+// Mock dependencies
+jest.mock('../../src/repository/candidateRepository');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/repository/logicTagRepository');
+jest.mock('../../src/repository/instrumentTagRepository');
+jest.mock('../../src/utils/submissionEnricher');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Candidate Ranking Service', () => {
+  const anaId = '60d21b4667d0d8992e610c86';
+  const benId = '60d21b4667d0d8992e610c87';
+  const idleId = '60d21b4667d0d8992e610c88';
+  const question1 = '60d21b4667d0d8992e610a01';
+  const question2 = '60d21b4667d0d8992e610a02';
+  const logicQuestion = '60d21b4667d0d8992e610b01';
+  const instrument = '60d21b4667d0d8992e610c01';
+  const logicTag = '60d21b4667d0d8992e610d01';
+  const instrumentTag = '60d21b4667d0d8992e610d02';
+
+  const submissionAt = (date, data) => ({
+    _id: ObjectId.createFromTime(new Date(date).getTime() / 1000),
+    ...data,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    getCandidateList.mockResolvedValue({
+      candidates: [
+        { _id: anaId, full_name: 'Ana', email: 'ana@example.com', interview_level: 'mid' },
+        { _id: benId, full_name: 'Ben', email: 'ben@example.com', interview_level: 'mid' },
+        { _id: idleId, full_name: 'Idle', email: 'idle@example.com', interview_level: 'mid' },
+      ],
+      total: 3,
+    });
+    getSubmissionsByCandidateIds.mockResolvedValue([
+      submissionAt('2026-01-10', {
+        candidate_id: anaId,
+        answers: [
+          { question_id: question1, answer: 0, is_skip: 0 },
+          { question_id: question2, answer: 1, is_skip: 0 },
+        ],
+        logic_questions: [{ logic_question_id: logicQuestion, answer: 'true,false', is_skip: 0 }],
+        instruments: [{ instrument_id: instrument, answer: 3, is_skip: 0 }],
+      }),
+      submissionAt('2026-01-12', {
+        candidate_id: benId,
+        answers: [
+          { question_id: question1, answer: 1, is_skip: 0 },
+          { question_id: question2, answer: null, is_skip: 1 },
+        ],
+        logic_questions: [],
+        instruments: [{ instrument_id: instrument, answer: 1, is_skip: 0 }],
+      }),
+      submissionAt('2026-01-15', {
+        candidate_id: benId,
+        answers: [{ question_id: question2, answer: 1, is_skip: 0 }],
+      }),
+    ]);
+    fetchQuestionsByIds.mockResolvedValue({
+      [question1]: {
+        type: 'multiple_choice',
+        correctAnswer: 0,
+        topic: 'Arrays',
+        difficulty: 'easy',
+      },
+      [question2]: {
+        type: 'multiple_choice',
+        correctAnswer: 1,
+        topic: 'Graphs',
+        difficulty: 'hard',
+      },
+    });
+    fetchLogicQuestionsByIds.mockResolvedValue({
+      [logicQuestion]: {
+        type: 'multiple_choice',
+        choices: [
+          { text: 'A', is_correct: true },
+          { text: 'B', is_correct: false },
+        ],
+        tag_ids: [logicTag],
+      },
+    });
+    fetchInstrumentsByIds.mockResolvedValue({ [instrument]: { tags: [instrumentTag] } });
+    getLogicTagsByIds.mockResolvedValue([{ _id: logicTag, name: 'Deduction' }]);
+    getInstrumentTagsByIds.mockResolvedValue([{ _id: instrumentTag, name: 'Teamwork' }]);
+  });
+
+  describe('validateRankingQuery', () => {
+    it('should require an interview level and valid options', () => {
+      const { errors } = validateRankingQuery({
+        from: 'yesterday',
+        sort_by: 'age',
+        sort_direction: 'up',
+        format: 'xml',
+      });
+
+      expect(errors).toEqual([
+        'Missing required parameter: interview_level',
+        'from must be a valid date',
+        'sort_by must be one of: overall, technical, logic, percentile, full_name, last_submitted_at',
+        'sort_direction must be asc or desc',
+        'format must be one of: json, csv',
+      ]);
+    });
+
+    it('should include the whole day of a date-only end of range', () => {
+      const { errors, params } = validateRankingQuery({
+        interview_level: 'mid',
+        from: '2026-01-01',
+        to: '2026-01-31',
+      });
+
+      expect(errors).toEqual([]);
+      expect(params.from).toEqual(new Date('2026-01-01T00:00:00.000Z'));
+      expect(params.to).toEqual(new Date('2026-02-01T00:00:00.000Z'));
+    });
+  });
+
+  describe('addRanks', () => {
+    it('should share ranks between equal scores and give mid-rank percentiles', () => {
+      const rows = [80, 50, 80, 20].map(percentage => ({ overall: { percentage } }));
+
+      expect(addRanks(rows).map(({ rank, percentile }) => ({ rank, percentile }))).toEqual([
+        { rank: 1, percentile: 75 },
+        { rank: 3, percentile: 37.5 },
+        { rank: 1, percentile: 75 },
+        { rank: 4, percentile: 12.5 },
+      ]);
+    });
+  });
+
+  describe('getCandidateRanking', () => {
+    it('should aggregate the submissions of each candidate with breakdowns', async () => {
+      const result = await getCandidateRanking({ interview_level: 'mid', from: '2026-01-01' });
+
+      expect(result.success).toBe(true);
+      expect(getCandidateList).toHaveBeenCalledWith({ filter: { interview_level: 'mid' } });
+      expect(getSubmissionsByCandidateIds).toHaveBeenCalledWith([anaId, benId, idleId], {
+        from: new Date('2026-01-01T00:00:00.000Z'),
+        to: null,
+      });
+      expect(result.summary).toMatchObject({ candidates: 2, submissions: 3 });
+
+      const [ana, ben] = result.data;
+      expect(ana).toMatchObject({
+        rank: 1,
+        percentile: 75,
+        candidate: { _id: anaId, full_name: 'Ana' },
+        submission_count: 1,
+        overall: { point: 3, max_point: 3, percentage: 100 },
+        technical: {
+          point: 2,
+          max_point: 2,
+          by_topic: { Arrays: { point: 1, max_point: 1 }, Graphs: { point: 1, max_point: 1 } },
+          by_difficulty: { easy: { percentage: 100 }, hard: { percentage: 100 } },
+        },
+        logic: { point: 1, max_point: 1, by_tag: { Deduction: { percentage: 100 } } },
+        instruments: { by_tag: { Teamwork: { point: 3, max_point: 4, average: 3 } } },
+      });
+      expect(ben).toMatchObject({
+        rank: 2,
+        percentile: 25,
+        submission_count: 2,
+        last_submitted_at: new Date('2026-01-15T00:00:00.000Z'),
+        overall: { point: 1, max_point: 3, percentage: 33.33 },
+        technical: { by_topic: { Graphs: { point: 1, max_point: 2, percentage: 50 } } },
+        logic: { point: 0, max_point: 0, by_tag: {} },
+      });
+    });
+
+    it('should sort by the requested field', async () => {
+      const result = await getCandidateRanking({
+        interview_level: 'mid',
+        sort_by: 'full_name',
+        sort_direction: 'desc',
+      });
+
+      expect(result.data.map(row => row.candidate.full_name)).toEqual(['Ben', 'Ana']);
+    });
+
+    it('should export the ranking as CSV with a column per breakdown', async () => {
+      const result = await getCandidateRanking({ interview_level: 'mid', format: 'csv' });
+
+      const [header, firstRow] = result.data.split('\r\n');
+      expect(result.format).toBe('csv');
+      expect(header).toBe(
+        'rank,percentile,candidate_id,full_name,email,submission_count,last_submitted_at,' +
+          'overall_percentage,technical_percentage,logic_percentage,topic:Arrays,topic:Graphs,' +
+          'difficulty:easy,difficulty:hard,logic_tag:Deduction,instrument_tag:Teamwork'
+      );
+      expect(firstRow).toBe(
+        `1,75,${anaId},Ana,ana@example.com,1,2026-01-10T00:00:00.000Z,100,100,100,100,100,100,100,100,3`
+      );
+    });
+
+    it('should return validation errors without querying', async () => {
+      const result = await getCandidateRanking({});
+
+      expect(result).toEqual({
+        success: false,
+        errors: ['Missing required parameter: interview_level'],
+      });
+      expect(getCandidateList).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for the email transport layer
+ * @module test/service/email-service
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { getTransport, sendEmail } = require('../../src/services/email');
+const logger = require('../../src/utils/logger');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+/**
+ * Start a minimal SMTP server that records the commands and message it receives
+ * @param {Object} [options] - Server options
+ * @param {boolean} [options.rejectRecipient=false] - Refuse RCPT TO commands
+ * @returns {Promise<Object>} `{port, session, close()}`
+ */
+const startSmtpServer = ({ rejectRecipient = false } = {}) => {
+  const session = { commands: [], data: '' };
+
+  const server = net.createServer(socket => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 test.local ESMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 Queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-test.local\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 2.7.0 Authenticated\r\n');
+        } else if (verb === 'RCPT' && rejectRecipient) {
+          socket.write('550 5.1.1 No such user\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () =>
+      resolve({
+        port: server.address().port,
+        session,
+        close: () => new Promise(done => server.close(done)),
+      })
+    );
+  });
+};
+
+describe('Email Service', () => {
+  const originalEnv = process.env;
+  const message = {
+    to: 'john@example.com',
+    subject: 'Réinitialiser',
+    text: 'Open this link:\nhttp://localhost/reset-password?token=abc',
+  };
+  let emailDir;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    emailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'emails-'));
+    process.env = {
+      ...originalEnv,
+      EMAIL_TRANSPORT: '',
+      EMAIL_FROM: 'Hirebot <no-reply@hirebot.test>',
+      EMAIL_FILE_DIR: emailDir,
+      SMTP_HOST: '127.0.0.1',
+      SMTP_SECURE: 'false',
+      SMTP_TIMEOUT: '',
+      SMTP_USER: '',
+      SMTP_PASSWORD: '',
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(emailDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getTransport', () => {
+    it('should default to the console transport and reject unknown transports', () => {
+      expect(getTransport().name).toBe('console');
+      expect(() => getTransport('pigeon')).toThrow(
+        'Unknown email transport: pigeon. Must be one of: smtp, file, console'
+      );
+    });
+  });
+
+  describe('sendEmail', () => {
+    it('should log messages with the console transport', async () => {
+      const result = await sendEmail(message);
+
+      expect(result).toEqual({ accepted: ['john@example.com'] });
+      expect(logger.info).toHaveBeenCalledWith(
+        expect.stringContaining('http://localhost/reset-password?token=abc')
+      );
+    });
+
+    it('should write messages to the email directory with the file transport', async () => {
+      process.env.EMAIL_TRANSPORT = 'file';
+
+      const result = await sendEmail(message);
+
+      const saved = JSON.parse(await fs.readFile(result.file, 'utf8'));
+      expect(path.dirname(result.file)).toBe(emailDir);
+      expect(saved).toEqual({
+        from: 'Hirebot <no-reply@hirebot.test>',
+        to: ['john@example.com'],
+        subject: 'Réinitialiser',
+        text: message.text,
+        sentAt: expect.any(String),
+      });
+    });
+
+    it('should refuse incomplete messages', async () => {
+      await expect(sendEmail({ to: [], subject: 'Hi', text: 'Hello' })).rejects.toThrow(
+        'An email needs a recipient, a subject and a text body'
+      );
+    });
+  });
+
+  describe('SMTP transport', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await startSmtpServer();
+      process.env.EMAIL_TRANSPORT = 'smtp';
+      process.env.SMTP_PORT = String(server.port);
+    });
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    it('should authenticate and deliver the message', async () => {
+      process.env.SMTP_USER = 'mailer';
+      process.env.SMTP_PASSWORD = 'secret';
+
+      const result = await sendEmail(message);
+
+      expect(result).toEqual({ accepted: ['john@example.com'] });
+      expect(server.session.commands).toEqual([
+        expect.stringMatching(/^EHLO /),
+        `AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`,
+        'MAIL FROM:<no-reply@hirebot.test>',
+        'RCPT TO:<john@example.com>',
+        'DATA',
+        'QUIT',
+      ]);
+
+      const [headers, body] = server.session.data.split('\r\n\r\n');
+      expect(headers).toContain('To: john@example.com');
+      expect(headers).toContain(
+        `Subject: =?UTF-8?B?${Buffer.from('Réinitialiser').toString('base64')}?=`
+      );
+      expect(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString()).toBe(
+        message.text.replace(/\n/g, '\r\n')
+      );
+    });
+
+    it('should give up on a server that does not complete the connection', async () => {
+      // Accepts TCP connections but never answers the TLS handshake
+      const sockets = [];
+      const silent = net.createServer(socket => sockets.push(socket));
+      await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+      process.env.SMTP_PORT = String(silent.address().port);
+      process.env.SMTP_SECURE = 'true';
+      process.env.SMTP_TIMEOUT = '200';
+
+      try {
+        await expect(sendEmail(message)).rejects.toThrow(
+          `Could not connect to SMTP server 127.0.0.1:${silent.address().port} within 200ms`
+        );
+      } finally {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => silent.close(resolve));
+      }
+    });
+
+    it('should fail when the server refuses a recipient', async () => {
+      await server.close();
+      server = await startSmtpServer({ rejectRecipient: true });
+      process.env.SMTP_PORT = String(server.port);
+
+      await expect(sendEmail(message)).rejects.toThrow(
+        'SMTP RCPT TO failed: 550 5.1.1 No such user'
+      );
+    });
+  });
+});
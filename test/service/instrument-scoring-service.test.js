@@ -0,0 +1,177 @@
+/**
+ * Tests for Instrument Scoring Service
+ */
+
+const {
+  getKeyedValue,
+  getNormBand,
+  calculateTraitScores,
+  getSubmissionTraitScores,
+} = require('../../src/services/instrumentScoringService');
+const { getInstrumentTagsByIds } = require('../../src/repository/instrumentTagRepository');
+const { fetchInstrumentsByIds } = require('../../src/utils/submissionEnricher');
+
+// Mock dependencies
+jest.mock('../../src/repository/instrumentTagRepository');
+jest.mock('../../src/utils/submissionEnricher');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Instrument Scoring Service', () => {
+  const teamworkId = '60d21b4667d0d8992e610d01';
+  const stressId = '60d21b4667d0d8992e610d02';
+  const teamwork = {
+    _id: teamworkId,
+    name: 'Teamwork',
+    normBands: { averageFrom: 40, highFrom: 70 },
+  };
+  const stress = { _id: stressId, name: 'Stress', normBands: null };
+
+  const instrumentMap = {
+    i1: { type: 'scale', tags: [teamworkId] },
+    i2: { type: 'scale', tags: [teamworkId], reverseScored: true, weight: 2 },
+    i3: { type: 'scale', tags: [teamworkId, stressId], weight: 0 },
+    i4: { type: 'scale', tags: [stressId] },
+    i5: { type: 'multiple-choice', tags: [teamworkId, stressId] },
+    i6: { type: 'boolean', tags: [stressId] },
+    i7: { type: 'open-ended', tags: [teamworkId] },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getKeyedValue', () => {
+    it('should mirror reverse-keyed responses on the scale', () => {
+      expect(getKeyedValue({ answer: 3, is_skip: 0 }, { reverseScored: false })).toBe(3);
+      expect(getKeyedValue({ answer: 3, is_skip: 0 }, { reverseScored: true })).toBe(1);
+    });
+
+    it('should return null for skipped responses and missing instruments', () => {
+      expect(getKeyedValue({ answer: null, is_skip: 1 }, {})).toBeNull();
+      expect(getKeyedValue({ answer: 2, is_skip: 0 }, undefined)).toBeNull();
+    });
+  });
+
+  describe('getNormBand', () => {
+    it('should classify scores by the norm bands', () => {
+      const normBands = { averageFrom: 40, highFrom: 70 };
+
+      expect(getNormBand(39.99, normBands)).toBe('low');
+      expect(getNormBand(40, normBands)).toBe('average');
+      expect(getNormBand(70, normBands)).toBe('high');
+      expect(getNormBand(70, null)).toBeNull();
+    });
+  });
+
+  describe('calculateTraitScores', () => {
+    it('should compute weighted trait scores per tag', () => {
+      const instruments = [
+        { instrument_id: 'i1', answer: 4, is_skip: 0 },
+        { instrument_id: 'i2', answer: 1, is_skip: 0 },
+        { instrument_id: 'i3', answer: 0, is_skip: 0 },
+        { instrument_id: 'i4', answer: null, is_skip: 1 },
+      ];
+
+      const traits = calculateTraitScores(instruments, instrumentMap, {
+        [teamworkId]: teamwork,
+        [stressId]: stress,
+      });
+
+      // Teamwork: 4 * 1 + (4 - 1) * 2 = 10 over a weight of 3; the zero-weight item adds nothing
+      expect(traits).toEqual([
+        {
+          tag_id: teamworkId,
+          tag_name: 'Teamwork',
+          answered: 3,
+          sum: 10,
+          mean: 3.33,
+          normalized: 83.33,
+          band: 'high',
+        },
+      ]);
+    });
+
+    it('should leave instruments that are not scales out of the trait scores', () => {
+      const instruments = [
+        { instrument_id: 'i1', answer: 2, is_skip: 0 },
+        { instrument_id: 'i5', answer: 3, is_skip: 0 },
+        { instrument_id: 'i6', answer: 1, is_skip: 0 },
+        { instrument_id: 'i7', answer: 'I like working in pairs', is_skip: 0 },
+      ];
+
+      const traits = calculateTraitScores(instruments, instrumentMap, {
+        [teamworkId]: teamwork,
+        [stressId]: stress,
+      });
+
+      // Only the scale item is averaged; the stress tag has no scale answer at all
+      expect(traits).toEqual([
+        {
+          tag_id: teamworkId,
+          tag_name: 'Teamwork',
+          answered: 1,
+          sum: 2,
+          mean: 2,
+          normalized: 50,
+          band: 'average',
+        },
+      ]);
+    });
+  });
+
+  describe('getSubmissionTraitScores', () => {
+    it('should classify stored trait scores by the current norm bands', async () => {
+      getInstrumentTagsByIds.mockResolvedValue([{ ...teamwork, name: 'Collaboration' }]);
+
+      const traits = await getSubmissionTraitScores({
+        _id: 'submission-id',
+        scores: {
+          traits: [
+            {
+              tag_id: teamworkId,
+              tag_name: 'Teamwork',
+              answered: 2,
+              sum: 4,
+              mean: 2,
+              normalized: 50,
+              band: null,
+            },
+          ],
+        },
+      });
+
+      expect(fetchInstrumentsByIds).not.toHaveBeenCalled();
+      expect(getInstrumentTagsByIds).toHaveBeenCalledWith([teamworkId]);
+      expect(traits).toEqual([
+        expect.objectContaining({ tag_name: 'Collaboration', normalized: 50, band: 'average' }),
+      ]);
+    });
+
+    it('should score submissions stored without trait scores', async () => {
+      fetchInstrumentsByIds.mockResolvedValue({ i4: instrumentMap.i4 });
+      getInstrumentTagsByIds.mockResolvedValue([stress]);
+
+      const traits = await getSubmissionTraitScores({
+        _id: 'submission-id',
+        instruments: [{ instrument_id: 'i4', answer: 1, is_skip: 0 }],
+      });
+
+      expect(fetchInstrumentsByIds).toHaveBeenCalledWith(['i4']);
+      expect(traits).toEqual([
+        {
+          tag_id: stressId,
+          tag_name: 'Stress',
+          answered: 1,
+          sum: 1,
+          mean: 1,
+          normalized: 25,
+          band: null,
+        },
+      ]);
+    });
+  });
+});
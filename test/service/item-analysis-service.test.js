@@ -0,0 +1,230 @@
+/**
+ * Tests for Item Analysis Service
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  getObservedDifficulty,
+  calculatePointBiserial,
+  getQuestionStats,
+  getItemAnalysisReport,
+} = require('../../src/services/itemAnalysisService');
+const {
+  getQuestionById,
+  getQuestionsForItemAnalysis,
+} = require('../../src/repository/questionRepository');
+const { getSubmissionAnswersByQuestionIds } = require('../../src/repository/submissionRepository');
+const { fetchQuestionsByIds } = require('../../src/utils/submissionEnricher');
+
+// Mock dependencies
+jest.mock('../../src/repository/questionRepository');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/utils/submissionEnricher');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Item Analysis Service', () => {
+  const questionId = '60d21b4667d0d8992e610a01';
+  const otherId = '60d21b4667d0d8992e610a02';
+  const question = {
+    _id: new ObjectId(questionId),
+    question: 'What does typeof null return?',
+    options: ['object', 'null', 'undefined', 'number'],
+    correctAnswer: 0,
+    difficulty: 'easy',
+    topic: 'JavaScript Types',
+    language: 'JavaScript',
+  };
+  const other = { _id: new ObjectId(otherId), correctAnswer: 1, difficulty: 'medium' };
+
+  const submissions = [
+    {
+      answers: [
+        { question_id: questionId, answer: 0, is_skip: 0 },
+        { question_id: otherId, answer: 1, is_skip: 0 },
+      ],
+    },
+    {
+      answers: [
+        { question_id: questionId, answer: 1, is_skip: 0 },
+        { question_id: otherId, answer: 2, is_skip: 0 },
+      ],
+    },
+    {
+      answers: [
+        { question_id: questionId, answer: 0, is_skip: 0 },
+        { question_id: otherId, answer: 2, is_skip: 0 },
+      ],
+    },
+    {
+      answers: [
+        { question_id: questionId, answer: null, is_skip: 1 },
+        { question_id: otherId, answer: 1, is_skip: 0 },
+      ],
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getQuestionById.mockResolvedValue(question);
+    getSubmissionAnswersByQuestionIds.mockResolvedValue(submissions);
+    fetchQuestionsByIds.mockResolvedValue({ [otherId]: other });
+  });
+
+  describe('getObservedDifficulty', () => {
+    it('should classify p-values by difficulty thresholds', () => {
+      expect(getObservedDifficulty(0.7)).toBe('easy');
+      expect(getObservedDifficulty(0.69)).toBe('medium');
+      expect(getObservedDifficulty(0.4)).toBe('medium');
+      expect(getObservedDifficulty(0.39)).toBe('hard');
+    });
+  });
+
+  describe('calculatePointBiserial', () => {
+    it('should return null when a score does not vary', () => {
+      expect(
+        calculatePointBiserial([
+          { item: 1, total: 0 },
+          { item: 1, total: 2 },
+        ])
+      ).toBeNull();
+      expect(calculatePointBiserial([{ item: 1, total: 1 }])).toBeNull();
+    });
+  });
+
+  describe('getQuestionStats', () => {
+    it('should compute exposure, p-value, discrimination and option frequencies', async () => {
+      const result = await getQuestionStats(questionId, { min_responses: '3' });
+
+      expect(getSubmissionAnswersByQuestionIds).toHaveBeenCalledWith([questionId], 5000);
+      expect(fetchQuestionsByIds).toHaveBeenCalledWith([otherId]);
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(
+        expect.objectContaining({
+          exposure: 4,
+          responses: 3,
+          skipped: 1,
+          skip_rate: 0.25,
+          correct: 2,
+          p_value: 0.67,
+          // Correlated with the rest score: correct answers to the other question
+          point_biserial: 0.5,
+          observed_difficulty: 'medium',
+          difficulty_mismatch: true,
+        })
+      );
+      expect(result.data.options).toEqual([
+        { index: 0, text: 'object', is_correct: true, count: 2, rate: 0.67 },
+        { index: 1, text: 'null', is_correct: false, count: 1, rate: 0.33 },
+        { index: 2, text: 'undefined', is_correct: false, count: 0, rate: 0 },
+        { index: 3, text: 'number', is_correct: false, count: 0, rate: 0 },
+      ]);
+    });
+
+    it('should not flag questions with too few responses', async () => {
+      const result = await getQuestionStats(questionId);
+
+      expect(result.data.observed_difficulty).toBe('medium');
+      expect(result.data.difficulty_mismatch).toBe(false);
+    });
+
+    it('should return null statistics for questions never answered', async () => {
+      getSubmissionAnswersByQuestionIds.mockResolvedValue([]);
+      fetchQuestionsByIds.mockResolvedValue({});
+
+      const result = await getQuestionStats(questionId);
+
+      expect(result.data).toEqual(
+        expect.objectContaining({
+          exposure: 0,
+          skip_rate: null,
+          p_value: null,
+          point_biserial: null,
+          observed_difficulty: null,
+          difficulty_mismatch: false,
+        })
+      );
+    });
+
+    it('should validate the ID and report missing questions', async () => {
+      expect(await getQuestionStats('bad-id')).toEqual({
+        success: false,
+        errors: ['Invalid question ID format'],
+      });
+
+      getQuestionById.mockResolvedValue(null);
+      expect(await getQuestionStats(questionId)).toEqual({
+        success: false,
+        errors: ['Question not found'],
+      });
+    });
+  });
+
+  describe('getItemAnalysisReport', () => {
+    it('should report matching questions and filter flagged ones', async () => {
+      getQuestionsForItemAnalysis.mockResolvedValue([question, other]);
+
+      const result = await getItemAnalysisReport({
+        language: 'JavaScript',
+        difficulty: 'easy',
+        min_responses: '3',
+        flagged: 'true',
+      });
+
+      expect(getQuestionsForItemAnalysis).toHaveBeenCalledWith(
+        { language: /^JavaScript$/i, difficulty: 'easy' },
+        1001
+      );
+      expect(fetchQuestionsByIds).toHaveBeenCalledWith([]);
+      expect(result.success).toBe(true);
+      expect(result.data.map(item => String(item.question_id))).toEqual([questionId]);
+      expect(result.summary).toEqual({
+        min_responses: 3,
+        questions: 2,
+        answered: 2,
+        flagged: 1,
+        submissions: 4,
+        submissions_limited: false,
+      });
+      expect(result.pagination).toEqual(expect.objectContaining({ total: 1 }));
+    });
+
+    it('should refuse reports that match too many questions', async () => {
+      getQuestionsForItemAnalysis.mockResolvedValue(
+        Array.from({ length: 1001 }, (_, index) => ({ ...question, _id: `q${index}` }))
+      );
+
+      const result = await getItemAnalysisReport({});
+
+      expect(result).toEqual({
+        success: false,
+        errors: [
+          'The report matches more than 1000 questions; narrow it with topic_id, topic, ' +
+            'language, position or difficulty',
+        ],
+      });
+      expect(getSubmissionAnswersByQuestionIds).not.toHaveBeenCalled();
+    });
+
+    it('should validate the query parameters', async () => {
+      const result = await getItemAnalysisReport({
+        difficulty: 'extreme',
+        flagged: 'yes',
+        min_responses: '0',
+      });
+
+      expect(result).toEqual({
+        success: false,
+        errors: [
+          'difficulty must be one of: easy, medium, hard',
+          'flagged must be true or false',
+          'min_responses must be a positive integer',
+        ],
+      });
+      expect(getQuestionsForItemAnalysis).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Tests for the item generation service module
+ * @module test/itemGenerationServiceTest
+ */
+
+const {
+  normalizeItemText,
+  requestLogicQuestionGeneration,
+  requestInstrumentGeneration,
+  generateLogicQuestions,
+  generateInstruments,
+} = require('../../src/services/itemGenerationService');
+const { createJob } = require('../../src/repository/jobRepository');
+const { addToQueue } = require('../../src/utils/redisQueueHelper');
+const {
+  createLogicQuestion,
+  getLogicQuestions,
+} = require('../../src/repository/logicQuestionRepository');
+const { checkLogicTagsExist } = require('../../src/repository/logicTagRepository');
+const {
+  createInstrument,
+  getAllInstruments,
+} = require('../../src/repository/instrumentRepository');
+const { getInstrumentTagsByIds } = require('../../src/repository/instrumentTagRepository');
+const { generateText } = require('../../src/services/llm');
+
+jest.mock('../../src/repository/jobRepository');
+jest.mock('../../src/utils/redisQueueHelper');
+jest.mock('../../src/repository/logicQuestionRepository');
+jest.mock('../../src/repository/logicTagRepository');
+jest.mock('../../src/repository/instrumentRepository');
+jest.mock('../../src/repository/instrumentTagRepository');
+jest.mock('../../src/services/llm', () => ({
+  generateText: jest.fn(),
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logToFile: jest.fn(),
+}));
+
+describe('Item Generation Service Tests', () => {
+  const logicTagId = '60d21b4667d0d8992e610c85';
+  const instrumentTagId = '60b6e98e99f1c5a0b8b7f1c8';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    createJob.mockImplementation(async jobData => ({ _id: 'job1', ...jobData }));
+    addToQueue.mockResolvedValue(1);
+    checkLogicTagsExist.mockResolvedValue({
+      success: true,
+      data: [{ _id: logicTagId, name: 'Deduction' }],
+    });
+    getInstrumentTagsByIds.mockResolvedValue([{ _id: instrumentTagId, name: 'Conscientiousness' }]);
+    getLogicQuestions.mockResolvedValue([]);
+    getAllInstruments.mockResolvedValue([]);
+    createLogicQuestion.mockImplementation(async doc => ({ _id: 'q1', ...doc }));
+    createInstrument.mockImplementation(async doc => ({ _id: 'i1', ...doc }));
+  });
+
+  describe('normalizeItemText', () => {
+    test('should ignore case, punctuation and whitespace', () => {
+      expect(normalizeItemText('  Is  A > B?  ')).toBe(normalizeItemText('is a b'));
+    });
+  });
+
+  describe('requestLogicQuestionGeneration', () => {
+    test('should create and queue a generation job', async () => {
+      const result = await requestLogicQuestionGeneration({
+        tag_ids: [logicTagId],
+        level: 3,
+        provider: 'fixture',
+      });
+
+      expect(result.success).toBe(true);
+      expect(createJob).toHaveBeenCalledWith({
+        type: 'logic-question-generation',
+        payload: { tag_ids: [logicTagId], level: 3, count: 10, provider: 'fixture' },
+        status: 'new',
+      });
+      expect(addToQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'job1', type: 'logic-question-generation' })
+      );
+    });
+
+    test('should reject invalid parameters', async () => {
+      const result = await requestLogicQuestionGeneration({ tag_ids: [], level: 7, count: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'At least one tag ID is required',
+        'Difficulty level must be an integer between 1 and 6',
+        'Count must be an integer between 1 and 50',
+      ]);
+      expect(createJob).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown tags', async () => {
+      checkLogicTagsExist.mockResolvedValue({ success: false, data: [] });
+
+      const result = await requestLogicQuestionGeneration({ tag_ids: [logicTagId] });
+
+      expect(result).toEqual({ success: false, errors: ['One or more tags do not exist'] });
+      expect(createJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestInstrumentGeneration', () => {
+    test('should create and queue a generation job', async () => {
+      const result = await requestInstrumentGeneration({ tags: [instrumentTagId], count: 5 });
+
+      expect(result.success).toBe(true);
+      expect(createJob).toHaveBeenCalledWith({
+        type: 'instrument-generation',
+        payload: { tags: [instrumentTagId], count: 5 },
+        status: 'new',
+      });
+    });
+
+    test('should report missing tags', async () => {
+      getInstrumentTagsByIds.mockResolvedValue([]);
+
+      const result = await requestInstrumentGeneration({ tags: [instrumentTagId] });
+
+      expect(result.errors).toEqual([`The following tag IDs do not exist: ${instrumentTagId}`]);
+    });
+  });
+
+  describe('generateLogicQuestions', () => {
+    test('should store valid, new questions and skip invalid ones and duplicates', async () => {
+      getLogicQuestions.mockResolvedValue([{ question: 'Which number comes next: 2, 4, 8?' }]);
+      generateText.mockResolvedValue(
+        '```json\n' +
+          JSON.stringify([
+            {
+              question: 'If all A are B and no B are C, can an A be a C?',
+              type: 'multiple_choice',
+              level: 2,
+              choices: [
+                { text: 'Yes', is_correct: false },
+                { text: 'No', is_correct: true },
+              ],
+              answer_explanation: 'Every A is a B and no B is a C.',
+            },
+            {
+              question: 'which number comes next 2 4 8',
+              type: 'open_question',
+              level: 1,
+              answer_explanation: '16',
+            },
+            {
+              question: 'Pick the odd one out.',
+              type: 'multiple_choice',
+              level: 1,
+              choices: [{ text: 'Circle', is_correct: false }],
+              answer_explanation: 'None is correct.',
+            },
+          ]) +
+          '\n```'
+      );
+
+      const result = await generateLogicQuestions({
+        tag_ids: [logicTagId],
+        level: 4,
+        provider: 'fixture',
+        model: 'logic',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.created).toHaveLength(1);
+      expect(result.data.duplicates).toEqual(['which number comes next 2 4 8']);
+      expect(result.data.invalid).toHaveLength(1);
+      expect(result.data.invalid[0].errors[0]).toMatch(/at least one correct answer/);
+
+      expect(createLogicQuestion).toHaveBeenCalledTimes(1);
+      const stored = createLogicQuestion.mock.calls[0][0];
+      expect(stored.level).toBe(4);
+      expect(stored.tag_ids.map(String)).toEqual([logicTagId]);
+
+      const [prompt, options] = generateText.mock.calls[0];
+      expect(prompt).toContain('Deduction');
+      expect(prompt).toContain('- Which number comes next: 2, 4, 8?');
+      expect(prompt).toContain('difficulty level 4');
+      expect(options).toEqual(expect.objectContaining({ provider: 'fixture', model: 'logic' }));
+    });
+
+    test('should drop duplicates within the generated batch', async () => {
+      const item = {
+        question: 'What is 2 + 2?',
+        type: 'open_question',
+        level: 1,
+        answer_explanation: 'Four.',
+      };
+      generateText.mockResolvedValue(JSON.stringify([item, { ...item, question: 'what is 2+2' }]));
+
+      const result = await generateLogicQuestions({ tag_ids: [logicTagId] });
+
+      expect(result.data.created).toHaveLength(1);
+      expect(result.data.duplicates).toEqual(['what is 2+2']);
+    });
+
+    test('should fail when the response is not a JSON array', async () => {
+      generateText.mockResolvedValue('I cannot help with that.');
+
+      const result = await generateLogicQuestions({ tag_ids: [logicTagId] });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/^Error generating logic questions:/);
+      expect(createLogicQuestion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateInstruments', () => {
+    test('should store valid, new instruments with generated question IDs', async () => {
+      getAllInstruments.mockResolvedValue([{ questionText: 'I plan my work in advance.' }]);
+      generateText.mockResolvedValue(
+        JSON.stringify([
+          {
+            questionText: 'I double-check my work before submitting it.',
+            type: 'scale',
+            options: ['Disagree', 'Neutral', 'Agree'],
+          },
+          { questionText: 'I plan my work in advance', type: 'boolean' },
+          { questionText: 'I keep my desk tidy.', type: 'scale', options: [] },
+          { questionText: 'Describe your ideal workday.', type: 'open-ended' },
+        ])
+      );
+
+      const result = await generateInstruments({ tags: [instrumentTagId], type: 'scale' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.created).toHaveLength(1);
+      expect(result.data.invalid).toHaveLength(1);
+      expect(result.data.invalid[0].errors).toEqual([
+        'Options are required for scale and multiple-choice question types',
+      ]);
+
+      const stored = createInstrument.mock.calls[0][0];
+      expect(stored.questionId).toMatch(/^gen-[0-9a-f]{12}$/);
+      expect(stored.tags.map(String)).toEqual([instrumentTagId]);
+      expect(generateText.mock.calls[0][0]).toContain('Conscientiousness');
+    });
+  });
+});
@@ -3,12 +3,27 @@
  * @module test/jobProcessorServiceTest
  */
 
-const { processJob } = require('../../src/services/jobProcessorService');
-const { updateJobStatus, getJobById } = require('../../src/repository/jobRepository');
+const { processJob, processQueueItem } = require('../../src/services/jobProcessorService');
+const {
+  getJobById,
+  startJobAttempt,
+  finishJobAttempt,
+} = require('../../src/repository/jobRepository');
+const {
+  scheduleRetry,
+  addToDeadLetterQueue,
+  acknowledgeQueueItem,
+  releaseQueueItem,
+} = require('../../src/utils/redisQueueHelper');
 const logger = require('../../src/utils/logger');
 const { validateGenerateRequest } = require('../../src/utils/generateRequestValidator');
 const { generateAndStoreQuestions } = require('../../src/services/questionGenerationService');
 const baseRepository = require('../../src/repository/baseRepository');
+const {
+  generateLogicQuestions,
+  generateInstruments,
+} = require('../../src/services/itemGenerationService');
+const { gradeSubmission } = require('../../src/services/submissionGradingService');
 const { ObjectId } = require('mongodb');
 
 // Mock dependencies
@@ -17,6 +32,18 @@ jest.mock('../../src/repository/jobRepository');
 jest.mock('../../src/utils/generateRequestValidator');
 jest.mock('../../src/services/questionGenerationService');
 jest.mock('../../src/repository/baseRepository');
+jest.mock('../../src/services/itemGenerationService', () => ({
+  ITEM_JOB_TYPES: {
+    LOGIC_QUESTION: 'logic-question-generation',
+    INSTRUMENT: 'instrument-generation',
+  },
+  generateLogicQuestions: jest.fn(),
+  generateInstruments: jest.fn(),
+}));
+jest.mock('../../src/services/submissionGradingService', () => ({
+  GRADING_JOB_TYPE: 'submission-grading',
+  gradeSubmission: jest.fn(),
+}));
 jest.mock('../../src/utils/logger', () => ({
   info: jest.fn(),
   warn: jest.fn(),
@@ -51,7 +78,8 @@ describe('Job Processor Service Tests', () => {
     jest.clearAllMocks();
 
     // Set up default mock implementations
-    updateJobStatus.mockResolvedValue({ ...sampleJob, status: 'processing' });
+    startJobAttempt.mockResolvedValue({ ...sampleJob, status: 'processing', attempts: 1 });
+    finishJobAttempt.mockResolvedValue({ ...sampleJob });
     getJobById.mockResolvedValue(sampleJob);
     logger.logToFile.mockResolvedValue();
 
@@ -60,22 +88,15 @@ describe('Job Processor Service Tests', () => {
 
     // Mock the validation and generation functions
     validateGenerateRequest.mockReturnValue({ isValid: true, errors: [] });
-    generateAndStoreQuestions.mockResolvedValue();
+    generateAndStoreQuestions.mockResolvedValue({ questions: [], duplicates: null });
   });
 
   describe('processJob', () => {
     test('should process a question-request job successfully', async () => {
-      // Mock the implementation of processJob for question-request type
-      // to avoid any actual waiting or timeouts
-      const mockProcessedJob = { ...sampleJob, status: 'done' };
-      updateJobStatus
-        .mockResolvedValueOnce({ ...sampleJob, status: 'processing' }) // First call (to 'processing')
-        .mockResolvedValueOnce(mockProcessedJob); // Second call (to 'done')
-
       const result = await processJob(sampleJob);
 
-      // Verify job status was updated to processing
-      expect(updateJobStatus).toHaveBeenCalledWith(sampleJob._id, 'processing');
+      // Verify the attempt was started
+      expect(startJobAttempt).toHaveBeenCalledWith(sampleJob._id);
 
       // Verify job was logged
       expect(logger.info).toHaveBeenCalledWith(
@@ -106,7 +127,7 @@ describe('Job Processor Service Tests', () => {
       expect(generateAndStoreQuestions).toHaveBeenCalled();
 
       // Verify job status was updated to done
-      expect(updateJobStatus).toHaveBeenCalledWith(sampleJob._id, 'done');
+      expect(finishJobAttempt).toHaveBeenCalledWith(sampleJob._id, 1, { status: 'done' });
 
       // Verify the result
       expect(result).toBe(true);
@@ -126,30 +147,153 @@ describe('Job Processor Service Tests', () => {
         expect.objectContaining({ jobId: unknownTypeJob._id })
       );
 
-      // Verify job status was updated to failed
-      expect(updateJobStatus).toHaveBeenCalledWith(unknownTypeJob._id, 'failed');
+      // Verify job status was updated to failed without retrying
+      expect(finishJobAttempt).toHaveBeenCalledWith(unknownTypeJob._id, 1, {
+        status: 'failed',
+        error: 'Unknown job type: unknown-type',
+      });
+      expect(scheduleRetry).not.toHaveBeenCalled();
+      expect(addToDeadLetterQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: unknownTypeJob._id, type: 'unknown-type' }),
+        'queues'
+      );
 
       // Verify the result
       expect(result).toBe(false);
     });
 
-    test('should handle errors during processing', async () => {
-      // Mock updateJobStatus to throw an error on first call
-      updateJobStatus.mockRejectedValueOnce(new Error('Database error'));
+    test('should process a logic-question-generation job successfully', async () => {
+      const job = {
+        _id: '507f1f77bcf86cd799439012',
+        type: 'logic-question-generation',
+        payload: { tag_ids: ['60d21b4667d0d8992e610c85'], count: 5 },
+      };
+      generateLogicQuestions.mockResolvedValue({
+        success: true,
+        data: { created: [{}], duplicates: [], invalid: [] },
+      });
 
-      const result = await processJob(sampleJob);
+      const result = await processJob(job);
+
+      expect(generateLogicQuestions).toHaveBeenCalledWith(job.payload);
+      expect(finishJobAttempt).toHaveBeenCalledWith(job._id, 1, { status: 'done' });
+      expect(result).toBe(true);
+    });
+
+    test('should process a submission-grading job successfully', async () => {
+      const job = {
+        _id: '507f1f77bcf86cd799439014',
+        type: 'submission-grading',
+        payload: { submission_id: '60d21b4667d0d8992e610c90' },
+      };
+      gradeSubmission.mockResolvedValue({
+        success: true,
+        data: { graded: [{}], skipped: [], failed: [] },
+      });
+
+      const result = await processJob(job);
+
+      expect(gradeSubmission).toHaveBeenCalledWith(job.payload);
+      expect(logger.logToFile).toHaveBeenCalledWith(
+        'submission-grading.log',
+        'Processed submission-grading job',
+        expect.objectContaining({ submissionId: job.payload.submission_id, graded: 1 })
+      );
+      expect(finishJobAttempt).toHaveBeenCalledWith(job._id, 1, { status: 'done' });
+      expect(result).toBe(true);
+    });
+
+    test('should schedule a retry with backoff when an attempt fails', async () => {
+      const job = {
+        _id: '507f1f77bcf86cd799439013',
+        type: 'instrument-generation',
+        payload: { tags: ['60b6e98e99f1c5a0b8b7f1c8'], count: 5 },
+      };
+      generateInstruments.mockResolvedValue({
+        success: false,
+        errors: ['Error generating instruments: timeout'],
+      });
+      const before = Date.now();
+
+      const result = await processJob(job);
+
+      expect(generateInstruments).toHaveBeenCalledWith(job.payload);
+      expect(finishJobAttempt).toHaveBeenCalledWith(job._id, 1, {
+        status: 'retrying',
+        error: 'Item generation failed: Error generating instruments: timeout',
+        nextRunAt: expect.any(Date),
+      });
+      const runAt = scheduleRetry.mock.calls[0][1];
+      expect(runAt).toBeGreaterThanOrEqual(before + 30000);
+      expect(scheduleRetry).toHaveBeenCalledWith(
+        { _id: job._id, type: job.type, payload: job.payload },
+        runAt,
+        'queues'
+      );
+      expect(addToDeadLetterQueue).not.toHaveBeenCalled();
+      expect(result).toBe(false);
+    });
+
+    test('should move a job to the dead-letter list after its last attempt', async () => {
+      startJobAttempt.mockResolvedValue({ ...sampleJob, attempts: 2 });
+      generateAndStoreQuestions.mockRejectedValue(new Error('LLM unavailable'));
+
+      const result = await processJob({ ...sampleJob, maxAttempts: 2 }, { queueName: 'custom' });
 
-      // Verify error was logged
       expect(logger.error).toHaveBeenCalledWith(
         expect.stringContaining(`Error processing job ${sampleJob._id}`),
         expect.any(Error)
       );
+      expect(finishJobAttempt).toHaveBeenCalledWith(sampleJob._id, 2, {
+        status: 'failed',
+        error: 'LLM unavailable',
+      });
+      expect(scheduleRetry).not.toHaveBeenCalled();
+      expect(addToDeadLetterQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: sampleJob._id }),
+        'custom'
+      );
+      expect(result).toBe(false);
+    });
 
-      // Verify job status was updated to failed
-      expect(updateJobStatus).toHaveBeenCalledWith(sampleJob._id, 'failed');
+    test('should propagate errors recording the job state', async () => {
+      startJobAttempt.mockRejectedValueOnce(new Error('Database error'));
 
-      // Verify the result
-      expect(result).toBe(false);
+      await expect(processJob(sampleJob)).rejects.toThrow('Database error');
+      expect(generateAndStoreQuestions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processQueueItem', () => {
+    const reserved = {
+      item: { _id: sampleJob._id, type: sampleJob.type, payload: sampleJob.payload },
+      raw: JSON.stringify({ _id: sampleJob._id }),
+    };
+
+    test('should process the job and acknowledge the item', async () => {
+      await processQueueItem(reserved, 'queues', 'worker-1');
+
+      expect(getJobById).toHaveBeenCalledWith(sampleJob._id);
+      expect(finishJobAttempt).toHaveBeenCalledWith(sampleJob._id, 1, { status: 'done' });
+      expect(acknowledgeQueueItem).toHaveBeenCalledWith(reserved.raw, 'queues', 'worker-1');
+    });
+
+    test('should skip jobs that are already done', async () => {
+      getJobById.mockResolvedValue({ ...sampleJob, status: 'done' });
+
+      await processQueueItem(reserved);
+
+      expect(startJobAttempt).not.toHaveBeenCalled();
+      expect(acknowledgeQueueItem).toHaveBeenCalledWith(reserved.raw, 'queues', undefined);
+    });
+
+    test('should put the item back when the job state cannot be recorded', async () => {
+      startJobAttempt.mockRejectedValueOnce(new Error('Database error'));
+
+      await processQueueItem(reserved);
+
+      expect(acknowledgeQueueItem).not.toHaveBeenCalled();
+      expect(releaseQueueItem).toHaveBeenCalledWith(reserved.raw, 'queues', undefined);
     });
   });
 });
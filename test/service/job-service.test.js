@@ -0,0 +1,114 @@
+/**
+ * Tests for the job service module
+ * @module test/jobServiceTest
+ */
+
+const { getJobList, getJob, getWorkerStatus } = require('../../src/services/jobService');
+const { getJobs, countJobs, getJobById } = require('../../src/repository/jobRepository');
+const { getWorkers, getQueueStats } = require('../../src/utils/redisQueueHelper');
+
+jest.mock('../../src/repository/jobRepository');
+jest.mock('../../src/utils/redisQueueHelper');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logToFile: jest.fn(),
+}));
+
+describe('Job Service Tests', () => {
+  const sampleJob = {
+    _id: '507f1f77bcf86cd799439011',
+    type: 'question-request',
+    status: 'retrying',
+    attempts: 1,
+    lastError: 'LLM unavailable',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getJobs.mockResolvedValue([sampleJob]);
+    countJobs.mockResolvedValue(21);
+    getJobById.mockResolvedValue(sampleJob);
+  });
+
+  describe('getJobList', () => {
+    test('should filter and paginate jobs', async () => {
+      const result = await getJobList({
+        type: 'question-request',
+        status: 'retrying',
+        page: '2',
+        page_size: '10',
+      });
+
+      expect(getJobs).toHaveBeenCalledWith(
+        { type: 'question-request', status: 'retrying' },
+        { skip: 10, limit: 10 }
+      );
+      expect(result).toEqual({
+        success: true,
+        data: [sampleJob],
+        pagination: { total: 21, page: 2, page_size: 10, total_pages: 3 },
+      });
+    });
+
+    test('should reject unknown statuses', async () => {
+      const result = await getJobList({ status: 'lost' });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/^Status must be one of: new, pending, processing/);
+      expect(getJobs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getJob', () => {
+    test('should return the job', async () => {
+      const result = await getJob(sampleJob._id);
+
+      expect(result).toEqual({ success: true, data: sampleJob });
+    });
+
+    test('should reject invalid IDs', async () => {
+      const result = await getJob('not-an-id');
+
+      expect(result).toEqual({ success: false, errors: ['Invalid job ID format'] });
+      expect(getJobById).not.toHaveBeenCalled();
+    });
+
+    test('should report missing jobs', async () => {
+      getJobById.mockResolvedValue(null);
+
+      const result = await getJob(sampleJob._id);
+
+      expect(result).toEqual({ success: false, errors: ['Job not found'] });
+    });
+  });
+
+  describe('getWorkerStatus', () => {
+    test('should return the workers and queue lengths', async () => {
+      const workers = [{ id: 'worker-1', alive: true, activeJobs: [], reserved: 0 }];
+      getWorkers.mockResolvedValue(workers);
+      getQueueStats.mockResolvedValue({ waiting: 3, delayed: 1, deadLetter: 0 });
+
+      const result = await getWorkerStatus();
+
+      expect(result).toEqual({
+        success: true,
+        data: { workers, queue: { waiting: 3, delayed: 1, deadLetter: 0 } },
+      });
+    });
+
+    test('should report Redis errors', async () => {
+      getWorkers.mockRejectedValue(new Error('Connection is closed'));
+      getQueueStats.mockResolvedValue({ waiting: 0, delayed: 0, deadLetter: 0 });
+
+      const result = await getWorkerStatus();
+
+      expect(result).toEqual({
+        success: false,
+        errors: ['Error getting job workers: Connection is closed'],
+      });
+    });
+  });
+});
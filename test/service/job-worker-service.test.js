@@ -0,0 +1,207 @@
+/**
+ * Tests for the job worker service module
+ * @module test/jobWorkerServiceTest
+ */
+
+const { createJobWorker } = require('../../src/services/jobWorkerService');
+const { processQueueItem } = require('../../src/services/jobProcessorService');
+const { getRedisClient } = require('../../src/services/redisService');
+const {
+  reserveFromQueue,
+  releaseQueueItem,
+  requeueProcessingItems,
+  recordWorkerHeartbeat,
+  removeWorker,
+  recoverDeadWorkers,
+  promoteDueRetries,
+} = require('../../src/utils/redisQueueHelper');
+const logger = require('../../src/utils/logger');
+
+jest.mock('../../src/utils/redisQueueHelper', () => ({
+  DEFAULT_QUEUE: 'queues',
+  reserveFromQueue: jest.fn(),
+  releaseQueueItem: jest.fn(),
+  requeueProcessingItems: jest.fn(),
+  recordWorkerHeartbeat: jest.fn(),
+  removeWorker: jest.fn(),
+  recoverDeadWorkers: jest.fn(),
+  promoteDueRetries: jest.fn(),
+}));
+jest.mock('../../src/services/jobProcessorService');
+jest.mock('../../src/services/redisService');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logToFile: jest.fn(),
+}));
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Job Worker Service Tests', () => {
+  const workerOptions = {
+    workerId: 'worker-1',
+    concurrency: 2,
+    blockTimeout: 1,
+    heartbeatInterval: 10,
+    heartbeatTimeout: 1000,
+    shutdownTimeout: 1000,
+  };
+  let clients;
+  let pendingItems;
+
+  const reserved = id => ({ item: { _id: id }, raw: JSON.stringify({ _id: id }) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    clients = [];
+    getRedisClient.mockReturnValue({
+      duplicate: jest.fn(() => {
+        const client = { disconnect: jest.fn() };
+        clients.push(client);
+        return client;
+      }),
+    });
+
+    // Simulate a blocking pop: return queued items, otherwise wait briefly and return null
+    pendingItems = [];
+    reserveFromQueue.mockImplementation(async () => {
+      if (pendingItems.length > 0) {
+        return pendingItems.shift();
+      }
+      await wait(5);
+      return null;
+    });
+    processQueueItem.mockResolvedValue();
+    requeueProcessingItems.mockResolvedValue(0);
+    recoverDeadWorkers.mockResolvedValue(0);
+    promoteDueRetries.mockResolvedValue(0);
+  });
+
+  test('should recover orphaned items and register the worker on start', async () => {
+    const worker = createJobWorker(workerOptions);
+
+    await worker.start();
+    await worker.stop();
+
+    expect(recoverDeadWorkers).toHaveBeenCalledWith('queues');
+    expect(requeueProcessingItems).toHaveBeenCalledWith('queues');
+    expect(recordWorkerHeartbeat).toHaveBeenCalledWith(
+      'worker-1',
+      expect.objectContaining({ pid: process.pid, concurrency: 2, activeJobs: [] }),
+      1000,
+      'queues'
+    );
+  });
+
+  test('should process jobs concurrently on dedicated connections', async () => {
+    const finishJobs = [];
+    processQueueItem.mockImplementation(() => new Promise(resolve => finishJobs.push(resolve)));
+    pendingItems.push(reserved('job-1'), reserved('job-2'));
+
+    const worker = createJobWorker(workerOptions);
+    await worker.start();
+    await wait(20);
+
+    expect(processQueueItem).toHaveBeenCalledTimes(2);
+    expect(processQueueItem).toHaveBeenCalledWith(reserved('job-1'), 'queues', 'worker-1');
+    expect(worker.getActiveJobs().map(job => job.jobId)).toEqual(['job-1', 'job-2']);
+    expect(reserveFromQueue).toHaveBeenCalledWith('queues', {
+      workerId: 'worker-1',
+      timeout: 1,
+      client: clients[0],
+    });
+    expect(clients).toHaveLength(2);
+
+    finishJobs.forEach(resolve => resolve());
+    await worker.stop();
+    expect(worker.getActiveJobs()).toEqual([]);
+  });
+
+  test('should report running jobs and promote due retries in its heartbeat', async () => {
+    processQueueItem.mockImplementation(() => wait(50));
+    pendingItems.push(reserved('job-1'));
+
+    const worker = createJobWorker({ ...workerOptions, concurrency: 1 });
+    await worker.start();
+    await wait(30);
+
+    expect(recordWorkerHeartbeat).toHaveBeenLastCalledWith(
+      'worker-1',
+      expect.objectContaining({
+        activeJobs: [{ jobId: 'job-1', startedAt: expect.any(String) }],
+      }),
+      1000,
+      'queues'
+    );
+    expect(promoteDueRetries).toHaveBeenCalledWith('queues');
+
+    await worker.stop();
+  });
+
+  test('should let running jobs finish when stopped', async () => {
+    let finished = false;
+    processQueueItem.mockImplementation(async () => {
+      await wait(30);
+      finished = true;
+    });
+    pendingItems.push(reserved('job-1'));
+
+    const worker = createJobWorker(workerOptions);
+    await worker.start();
+    await wait(5);
+    await worker.stop();
+
+    expect(finished).toBe(true);
+    expect(requeueProcessingItems).toHaveBeenLastCalledWith('queues', 'worker-1');
+    expect(removeWorker).toHaveBeenCalledWith('worker-1', 'queues');
+    clients.forEach(client => expect(client.disconnect).toHaveBeenCalled());
+  });
+
+  test('should keep jobs still running after the shutdown timeout until they settle', async () => {
+    let finishJob;
+    processQueueItem.mockImplementation(() => new Promise(resolve => (finishJob = resolve)));
+    pendingItems.push(reserved('job-1'));
+
+    const worker = createJobWorker({ ...workerOptions, concurrency: 1, shutdownTimeout: 20 });
+    await worker.start();
+    await wait(5);
+    await worker.stop();
+
+    expect(logger.warn).toHaveBeenCalledWith('Job worker worker-1 stopped with running jobs', {
+      activeJobs: [{ jobId: 'job-1', startedAt: expect.any(String) }],
+    });
+    // The running job is not put back in the queue, and the heartbeat keeps it reserved
+    expect(requeueProcessingItems).not.toHaveBeenCalledWith('queues', 'worker-1');
+    expect(removeWorker).not.toHaveBeenCalled();
+    recordWorkerHeartbeat.mockClear();
+    await wait(30);
+    expect(recordWorkerHeartbeat).toHaveBeenCalled();
+
+    finishJob();
+    await wait(5);
+
+    expect(requeueProcessingItems).toHaveBeenLastCalledWith('queues', 'worker-1');
+    expect(removeWorker).toHaveBeenCalledWith('worker-1', 'queues');
+    clients.forEach(client => expect(client.disconnect).toHaveBeenCalled());
+    recordWorkerHeartbeat.mockClear();
+    await wait(30);
+    expect(recordWorkerHeartbeat).not.toHaveBeenCalled();
+  });
+
+  test('should release items reserved after the worker was stopped', async () => {
+    reserveFromQueue.mockImplementation(async () => {
+      await wait(10);
+      return reserved('job-1');
+    });
+    processQueueItem.mockImplementation(() => wait(1));
+
+    const worker = createJobWorker({ ...workerOptions, concurrency: 1 });
+    await worker.start();
+    await worker.stop();
+
+    expect(releaseQueueItem).toHaveBeenCalledWith(reserved('job-1').raw, 'queues', 'worker-1');
+  });
+});
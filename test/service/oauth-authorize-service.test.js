@@ -0,0 +1,127 @@
+/**
+ * Tests for OAuth Authorization Service
+ */
+
+const {
+  AUTHORIZE_ERRORS,
+  validateAuthorizationRequest,
+  buildAuthorizationRedirect,
+} = require('../../src/services/oauthAuthorizeService');
+const oauthClientService = require('../../src/services/oauthClientService');
+const { createCodeChallenge } = require('../../src/oauth/pkce');
+
+// Mock dependencies
+jest.mock('../../src/services/oauthClientService');
+jest.mock('../../src/utils/logger');
+
+describe('OAuth Authorization Service', () => {
+  const redirectUri = 'http://localhost:8080/callback';
+  const codeChallenge = createCodeChallenge('a'.repeat(43));
+  const clients = {
+    'web-client': {
+      id: 'web-client',
+      isPublic: false,
+      redirectUris: [redirectUri],
+      grants: ['authorization_code', 'refresh_token'],
+    },
+    'spa-client': {
+      id: 'spa-client',
+      isPublic: true,
+      redirectUris: [redirectUri, 'http://localhost:8080/silent'],
+      grants: ['authorization_code'],
+    },
+    'password-client': {
+      id: 'password-client',
+      isPublic: false,
+      redirectUris: [redirectUri],
+      grants: ['password'],
+    },
+  };
+  const request = {
+    response_type: 'code',
+    client_id: 'web-client',
+    state: 'xyz',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthClientService.getClientById.mockImplementation(id => Promise.resolve(clients[id] || null));
+  });
+
+  it('should not offer a redirect for unknown clients or unregistered redirect URIs', async () => {
+    expect(await validateAuthorizationRequest({ ...request, client_id: 'nope' })).toEqual({
+      success: false,
+      errors: [AUTHORIZE_ERRORS.INVALID_CLIENT],
+      error: 'invalid_client',
+      redirectUri: undefined,
+    });
+
+    const mismatch = await validateAuthorizationRequest({
+      ...request,
+      redirect_uri: 'http://localhost:8080/callback/../evil',
+    });
+    expect(mismatch.errors).toEqual([AUTHORIZE_ERRORS.INVALID_REDIRECT_URI]);
+    expect(mismatch.redirectUri).toBeUndefined();
+
+    const ambiguous = await validateAuthorizationRequest({
+      ...request,
+      client_id: 'spa-client',
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    });
+    expect(ambiguous.errors).toEqual([AUTHORIZE_ERRORS.MISSING_REDIRECT_URI]);
+    expect(ambiguous.redirectUri).toBeUndefined();
+  });
+
+  it('should report other errors to the verified redirect URI', async () => {
+    const cases = [
+      [{ client_id: 'password-client' }, 'unauthorized_client'],
+      [{ response_type: 'token' }, 'unsupported_response_type'],
+      [{ state: undefined }, 'invalid_request'],
+      [{ scope: 'read "write"' }, 'invalid_scope'],
+      [{ scope: 'admin' }, 'invalid_scope'],
+      [{ code_challenge: codeChallenge, code_challenge_method: 'plain' }, 'invalid_request'],
+      [{ code_challenge: codeChallenge }, 'invalid_request'],
+      [{ code_challenge: 'short', code_challenge_method: 'S256' }, 'invalid_request'],
+      [{ client_id: 'spa-client', redirect_uri: redirectUri }, 'invalid_request'],
+    ];
+
+    for (const [params, error] of cases) {
+      const result = await validateAuthorizationRequest({ ...request, ...params });
+      expect(result).toEqual(expect.objectContaining({ success: false, error, redirectUri }));
+    }
+  });
+
+  it('should return the client, scopes and PKCE parameters of a valid request', async () => {
+    const result = await validateAuthorizationRequest({
+      ...request,
+      client_id: 'spa-client',
+      redirect_uri: redirectUri,
+      scope: 'questions:read  profile questions:read',
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    });
+
+    expect(result).toEqual({
+      success: true,
+      data: {
+        client: clients['spa-client'],
+        redirectUri,
+        scopes: ['questions:read', 'profile'],
+        state: 'xyz',
+        codeChallenge,
+        codeChallengeMethod: 'S256',
+      },
+    });
+  });
+
+  it('should add query parameters to the redirect URI', () => {
+    expect(
+      buildAuthorizationRedirect('http://localhost:8080/callback?app=1', {
+        error: 'access_denied',
+        error_description: undefined,
+        state: 'a b&c',
+      })
+    ).toBe('http://localhost:8080/callback?app=1&error=access_denied&state=a+b%26c');
+  });
+});
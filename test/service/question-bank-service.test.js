@@ -0,0 +1,268 @@
+/**
+ * Tests for Question Bank Service
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  QUESTION_BANK_ERRORS,
+  BANK_COLLECTIONS,
+  parseBankFile,
+  importQuestionBank,
+  exportQuestionBank,
+} = require('../../src/services/questionBankService');
+const {
+  findBankDocuments,
+  findBankDocument,
+  upsertBankDocument,
+} = require('../../src/repository/questionBankRepository');
+
+// Mock dependencies
+jest.mock('../../src/repository/questionBankRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Question Bank Service', () => {
+  const questionId = '60d21b4667d0d8992e610a01';
+  const tagId = '60d21b4667d0d8992e610e01';
+  const question = {
+    question: 'What does typeof null return?',
+    options: ['object', 'null', 'undefined', '=number'],
+    correctAnswer: 0,
+    explanation: 'A legacy bug, kept for compatibility',
+    difficulty: 'easy',
+    category: 'Types',
+    topic: 'JavaScript Types',
+    language: 'JavaScript',
+    position: 'junior',
+    positionLevel: 3,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    upsertBankDocument.mockResolvedValue({ created: true, id: new ObjectId(questionId) });
+  });
+
+  describe('importQuestionBank', () => {
+    it('should reject unknown collections and formats', async () => {
+      expect(await importQuestionBank('users', '[]', { format: 'json' })).toEqual({
+        success: false,
+        errors: [QUESTION_BANK_ERRORS.UNKNOWN_COLLECTION],
+      });
+      expect(await importQuestionBank('questions', '[]', { fileName: 'bank.xml' })).toEqual({
+        success: false,
+        errors: [QUESTION_BANK_ERRORS.INVALID_FORMAT],
+      });
+    });
+
+    it('should fail when the file cannot be parsed or is empty', async () => {
+      const invalid = await importQuestionBank('questions', '{"question":', { format: 'json' });
+      const notArray = await importQuestionBank('questions', '{}', { format: 'json' });
+      const empty = await importQuestionBank('questions', '[]', { format: 'json' });
+
+      expect(invalid.errors[0]).toMatch(/^Invalid JSON/);
+      expect(notArray.errors).toEqual(['The JSON file must contain an array of records']);
+      expect(empty.errors).toEqual([QUESTION_BANK_ERRORS.EMPTY_FILE]);
+      expect(upsertBankDocument).not.toHaveBeenCalled();
+    });
+
+    it('should upsert valid records and report invalid ones by line', async () => {
+      const content = JSON.stringify(
+        [question, { ...question, question: 'Second', correctAnswer: 7 }, question],
+        null,
+        2
+      );
+
+      const result = await importQuestionBank('questions', content, { fileName: 'bank.json' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.summary).toEqual({
+        collection: 'questions',
+        format: 'json',
+        dry_run: false,
+        total: 3,
+        created: 1,
+        updated: 0,
+        failed: 2,
+      });
+      expect(result.data.report).toEqual([
+        { line: 2, action: 'create', _id: new ObjectId(questionId), errors: [] },
+        {
+          line: 19,
+          action: 'error',
+          _id: null,
+          errors: ['Correct answer index must be at most 3'],
+        },
+        { line: 36, action: 'error', _id: null, errors: ['Same record as line 2'] },
+      ]);
+
+      // Without an _id the natural key is used; schema defaults only apply on insert
+      const [model, filter, fields, defaults] = upsertBankDocument.mock.calls[0];
+      expect(model).toBe(BANK_COLLECTIONS.questions.model);
+      expect(filter).toEqual({
+        question: question.question,
+        topic: question.topic,
+        language: question.language,
+      });
+      expect(fields).toEqual(expect.objectContaining({ options: question.options }));
+      expect(fields).not.toHaveProperty('status');
+      expect(defaults).toEqual(expect.objectContaining({ status: 'approved' }));
+    });
+
+    it('should only set the status of new questions', async () => {
+      upsertBankDocument.mockResolvedValue({ created: false, id: new ObjectId(questionId) });
+
+      const result = await importQuestionBank(
+        'questions',
+        JSON.stringify([{ ...question, _id: questionId, status: 'approved' }]),
+        { format: 'json' }
+      );
+
+      // An update cannot approve a question that is pending review or rejected
+      expect(result.data.report[0]).toEqual(expect.objectContaining({ action: 'update' }));
+      const [, , fields, defaults] = upsertBankDocument.mock.calls[0];
+      expect(fields).toEqual(expect.objectContaining({ question: question.question }));
+      expect(fields).not.toHaveProperty('status');
+      expect(defaults).toEqual({ status: 'approved' });
+    });
+
+    it('should match records with an _id on it and only report in a dry run', async () => {
+      findBankDocument.mockResolvedValue({ _id: new ObjectId(questionId) });
+
+      const result = await importQuestionBank(
+        'questions',
+        JSON.stringify([{ ...question, _id: questionId, status: 'retired' }]),
+        { format: 'json', dryRun: true }
+      );
+
+      expect(findBankDocument).toHaveBeenCalledWith(BANK_COLLECTIONS.questions.model, {
+        _id: new ObjectId(questionId),
+      });
+      expect(upsertBankDocument).not.toHaveBeenCalled();
+      expect(result.data.summary).toEqual(expect.objectContaining({ dry_run: true, updated: 1 }));
+      expect(result.data.report[0]).toEqual(expect.objectContaining({ line: 1, action: 'update' }));
+    });
+
+    it('should import logic questions from CSV', async () => {
+      const choices = JSON.stringify([
+        { text: '4', is_correct: true },
+        { text: '5', is_correct: false },
+      ]).replace(/"/g, '""');
+      const content = [
+        'question,level,type,tag_ids,choices,answer_explanation',
+        `What is 2 + 2?,1,multiple_choice,${tagId},"${choices}",Addition`,
+        `Explain recursion,3,open_question,${tagId},,A function calling itself`,
+        'Broken,2,multiple_choice,,"[1",',
+      ].join('\n');
+
+      const result = await importQuestionBank('logic_questions', content, { format: 'csv' });
+
+      expect(result.data.report.map(item => [item.line, item.action])).toEqual([
+        [2, 'create'],
+        [3, 'create'],
+        [4, 'error'],
+      ]);
+      expect(result.data.report[2].errors).toEqual(['choices must be a JSON array']);
+      expect(upsertBankDocument.mock.calls[0][1]).toEqual({ question: 'What is 2 + 2?' });
+      expect(upsertBankDocument.mock.calls[0][2]).toEqual(
+        expect.objectContaining({
+          level: 1,
+          tag_ids: [new ObjectId(tagId)],
+          choices: [
+            { text: '4', is_correct: true },
+            { text: '5', is_correct: false },
+          ],
+        })
+      );
+    });
+
+    it('should require exactly one correct answer for GIFT questions', async () => {
+      const content = ['// meta: {"difficulty":"easy"}', 'Pick one {', '  =a', '  =b', '}'].join(
+        '\n'
+      );
+
+      const result = await importQuestionBank('questions', content, { format: 'gift' });
+
+      expect(result.data.report).toEqual([
+        {
+          line: 1,
+          action: 'error',
+          _id: null,
+          errors: ['Exactly one answer must be marked correct'],
+        },
+      ]);
+    });
+
+    it('should report records the database rejects', async () => {
+      upsertBankDocument.mockRejectedValue(new Error('E11000 duplicate key error'));
+
+      const result = await importQuestionBank(
+        'instruments',
+        JSON.stringify([
+          {
+            questionId: 'EXT-1',
+            questionText: 'I enjoy teamwork',
+            type: 'open-ended',
+            tags: [tagId],
+          },
+        ]),
+        { format: 'json' }
+      );
+
+      expect(result.data.report[0]).toEqual(
+        expect.objectContaining({ action: 'error', errors: ['E11000 duplicate key error'] })
+      );
+    });
+  });
+
+  describe('exportQuestionBank', () => {
+    const stored = { ...question, _id: new ObjectId(questionId), status: 'approved' };
+
+    it('should reject unknown formats', async () => {
+      const result = await exportQuestionBank('questions', { format: 'xml' });
+
+      expect(result).toEqual({ success: false, errors: [QUESTION_BANK_ERRORS.INVALID_FORMAT] });
+      expect(findBankDocuments).not.toHaveBeenCalled();
+    });
+
+    it.each(['json', 'csv', 'gift'])(
+      'should export questions as %s and read them back',
+      async format => {
+        findBankDocuments.mockResolvedValue([stored]);
+
+        const result = await exportQuestionBank('questions', { format });
+
+        expect(result.data).toEqual(
+          expect.objectContaining({ fileName: `questions.${format}`, count: 1 })
+        );
+        const [entry] = parseBankFile(BANK_COLLECTIONS.questions, result.data.content, format);
+        expect(entry.record).toEqual(expect.objectContaining({ ...question, _id: questionId }));
+      }
+    );
+
+    it('should export instruments as GIFT with their fields in the meta comment', async () => {
+      findBankDocuments.mockResolvedValue([
+        {
+          _id: new ObjectId(questionId),
+          questionId: 'EXT-1',
+          questionText: 'I enjoy teamwork',
+          type: 'scale',
+          options: ['Never', 'Always'],
+          tags: [new ObjectId(tagId)],
+          reverseScored: true,
+          weight: 2,
+        },
+      ]);
+
+      const result = await exportQuestionBank('instruments', { format: 'gift' });
+
+      expect(result.data.contentType).toBe('text/plain');
+      expect(result.data.content).toBe(
+        `// meta: {"_id":"${questionId}","type":"scale","tags":["${tagId}"],"reverseScored":true,"weight":2}\n` +
+          '::EXT-1::I enjoy teamwork {\n  ~Never\n  ~Always\n}\n'
+      );
+    });
+  });
+});
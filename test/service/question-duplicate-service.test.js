@@ -0,0 +1,133 @@
+/**
+ * Tests for the question duplicate service module
+ * @module test/questionDuplicateServiceTest
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  buildScopeFilter,
+  filterSimilarQuestions,
+  getDuplicateReport,
+} = require('../../src/services/questionDuplicateService');
+const { getQuestionTexts } = require('../../src/repository/questionRepository');
+
+jest.mock('../../src/repository/questionRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('Question Duplicate Service Tests', () => {
+  const topicId = '60d21b4667d0d8992e610c85';
+  const existingId = new ObjectId();
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.QUESTION_SIMILARITY_THRESHOLD;
+    delete process.env.QUESTION_DUPLICATE_MODE;
+    getQuestionTexts.mockResolvedValue([
+      { _id: existingId, question: 'What is a closure in JavaScript?' },
+    ]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('buildScopeFilter', () => {
+    test('should match the topic by ID or name and the language by name', () => {
+      const filter = buildScopeFilter({ topic_id: topicId, topic: 'Closures', language: 'JS' });
+
+      expect(filter.$or).toEqual([{ topic_id: new ObjectId(topicId) }, { topic: /^Closures$/i }]);
+      expect(filter.language).toEqual(/^JS$/i);
+    });
+  });
+
+  describe('filterSimilarQuestions', () => {
+    const generated = [
+      { question: 'What is a JavaScript closure?' },
+      { question: 'How do you create a Promise?' },
+      { question: 'How do you create a promise' },
+    ];
+    const scope = { topic_id: topicId, topic: 'Closures', language: 'JavaScript' };
+
+    test('should drop near-duplicates of existing and earlier generated questions', async () => {
+      const result = await filterSimilarQuestions(generated, scope);
+
+      expect(result.questions).toEqual([{ question: 'How do you create a Promise?' }]);
+      expect(result.duplicates).toEqual(
+        expect.objectContaining({ mode: 'reject', threshold: 0.7, dropped: 2, flagged: 0 })
+      );
+      expect(result.duplicates.items[0]).toEqual({
+        question: 'What is a JavaScript closure?',
+        similar_to: { _id: existingId, question: 'What is a closure in JavaScript?' },
+        similarity: expect.any(Number),
+        action: 'dropped',
+      });
+      expect(result.duplicates.items[1].similar_to).toEqual({
+        question: 'How do you create a Promise?',
+      });
+    });
+
+    test('should flag near-duplicates of existing questions in flag mode', async () => {
+      process.env.QUESTION_DUPLICATE_MODE = 'flag';
+
+      const result = await filterSimilarQuestions(generated, scope);
+
+      expect(result.questions).toHaveLength(2);
+      expect(result.questions[0]).toEqual({
+        question: 'What is a JavaScript closure?',
+        possible_duplicate_of: existingId,
+        similarity_score: result.duplicates.items[0].similarity,
+      });
+      expect(result.duplicates).toEqual(expect.objectContaining({ dropped: 1, flagged: 1 }));
+    });
+
+    test('should use a stricter threshold when configured', async () => {
+      const result = await filterSimilarQuestions(generated, scope, { threshold: 0.95 });
+
+      expect(result.questions).toHaveLength(2);
+      expect(result.duplicates.dropped).toBe(1);
+    });
+  });
+
+  describe('getDuplicateReport', () => {
+    test('should group near-duplicates per topic and language', async () => {
+      getQuestionTexts.mockResolvedValue([
+        { _id: 'a', question: 'What is a closure?', topic: 'Closures', language: 'JavaScript' },
+        { _id: 'b', question: 'What is a closure?', topic: 'Closures', language: 'Python' },
+        { _id: 'c', question: 'What is a closure ?', topic: 'closures', language: 'javascript' },
+        { _id: 'd', question: 'What is hoisting?', topic: 'Closures', language: 'JavaScript' },
+      ]);
+
+      const result = await getDuplicateReport({ language: 'JavaScript' });
+
+      expect(getQuestionTexts).toHaveBeenCalledWith({ language: /^JavaScript$/i });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([
+        {
+          topic: 'Closures',
+          language: 'JavaScript',
+          similarity: 1,
+          questions: [expect.objectContaining({ _id: 'a' }), expect.objectContaining({ _id: 'c' })],
+        },
+      ]);
+      expect(result.summary).toEqual({ threshold: 0.7, scanned: 4, groups: 1, duplicates: 1 });
+      expect(result.pagination).toEqual({ total: 1, page: 1, page_size: 20, total_pages: 1 });
+    });
+
+    test('should reject invalid parameters', async () => {
+      const result = await getDuplicateReport({ threshold: '0.2', topic_id: 'bad' });
+
+      expect(result).toEqual({
+        success: false,
+        errors: ['Threshold must be a number between 0.5 and 1', 'Invalid topic ID format'],
+      });
+      expect(getQuestionTexts).not.toHaveBeenCalled();
+    });
+  });
+});
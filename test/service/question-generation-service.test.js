@@ -14,6 +14,14 @@ jest.mock('../../src/repository/baseRepository', () => ({
   insertMany: jest.fn(),
 }));
 
+// Mock the duplicate check
+jest.mock('../../src/services/questionDuplicateService', () => ({
+  filterSimilarQuestions: jest.fn(async questions => ({
+    questions,
+    duplicates: { mode: 'reject', threshold: 0.7, dropped: 0, flagged: 0, items: [] },
+  })),
+}));
+
 // Mock the utility functions
 jest.mock('../../src/utils/positionUtils', () => ({
   getPositionMetadata: jest.fn(),
@@ -143,6 +151,7 @@ describe('questionGenerationService', () => {
         expect(question).toHaveProperty('language', mockMetadata.language);
         expect(question).toHaveProperty('position', mockFormattedPosition);
         expect(question).toHaveProperty('positionLevel', mockMetadata.positionLevel);
+        expect(question).toHaveProperty('status', 'pending_review');
         expect(question).toHaveProperty('createdAt');
         expect(question.createdAt).toBeInstanceOf(Date);
       });
@@ -229,10 +238,11 @@ describe('questionGenerationService', () => {
       expect(baseRepository.insertMany).toHaveBeenCalled();
 
       // Check that the result has the expected structure
-      expect(result).toHaveLength(mockGeneratedQuestions.questions.length);
-      expect(result[0]).toHaveProperty('topic', mockParams.topic);
-      expect(result[0]).toHaveProperty('language', mockParams.language);
-      expect(result[0]).toHaveProperty('position', mockFormattedPosition);
+      expect(result.questions).toHaveLength(mockGeneratedQuestions.questions.length);
+      expect(result.questions[0]).toHaveProperty('topic', mockParams.topic);
+      expect(result.questions[0]).toHaveProperty('language', mockParams.language);
+      expect(result.questions[0]).toHaveProperty('position', mockFormattedPosition);
+      expect(result.duplicates.dropped).toBe(0);
     });
   });
 });
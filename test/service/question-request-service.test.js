@@ -132,6 +132,16 @@ describe('Question Request Service Tests', () => {
       });
     });
 
+    test('should store the requested LLM provider and model in the job payload', async () => {
+      await processQuestionRequest({ topics: ['topic1'], provider: 'ollama', model: 'llama3.1' });
+
+      expect(createJob).toHaveBeenCalledWith({
+        type: 'question-request',
+        payload: { topic_id: 'topic1', limit: 10, provider: 'ollama', model: 'llama3.1' },
+        status: 'new',
+      });
+    });
+
     test('should handle errors during processing', async () => {
       // Mock createJob to throw an error
       createJob.mockRejectedValue(new Error('Database error'));
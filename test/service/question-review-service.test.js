@@ -0,0 +1,152 @@
+/**
+ * Tests for the question review service module
+ * @module test/questionReviewServiceTest
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  REVIEW_ERRORS,
+  reviewQuestion,
+  reviewQuestions,
+} = require('../../src/services/questionReviewService');
+const {
+  getQuestionById,
+  getQuestionStatuses,
+  updateQuestionsReview,
+} = require('../../src/repository/questionRepository');
+
+jest.mock('../../src/repository/questionRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  logToFile: jest.fn(),
+}));
+
+describe('Question Review Service Tests', () => {
+  const questionId = '60d21b4667d0d8992e610c85';
+  const reviewerId = '60d21b4667d0d8992e610c99';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    updateQuestionsReview.mockResolvedValue(1);
+  });
+
+  describe('reviewQuestion', () => {
+    test('should approve a pending question and record the reviewer', async () => {
+      getQuestionById
+        .mockResolvedValueOnce({ _id: questionId, status: 'pending_review' })
+        .mockResolvedValueOnce({ _id: questionId, status: 'approved' });
+
+      const result = await reviewQuestion(questionId, 'approve', { notes: ' Good ' }, reviewerId);
+
+      expect(result).toEqual({ success: true, data: { _id: questionId, status: 'approved' } });
+      expect(updateQuestionsReview).toHaveBeenCalledWith(
+        [new ObjectId(questionId)],
+        ['draft', 'pending_review', 'rejected', 'retired'],
+        {
+          status: 'approved',
+          review_notes: 'Good',
+          reviewed_by: new ObjectId(reviewerId),
+          reviewed_at: expect.any(Date),
+        }
+      );
+    });
+
+    test('should treat questions without a status as approved', async () => {
+      getQuestionById.mockResolvedValue({ _id: questionId });
+
+      const result = await reviewQuestion(questionId, 'reject', {}, reviewerId);
+
+      expect(result.success).toBe(true);
+      expect(updateQuestionsReview).toHaveBeenCalledWith(
+        [new ObjectId(questionId)],
+        ['draft', 'pending_review', 'approved', null],
+        expect.objectContaining({ status: 'rejected', review_notes: null })
+      );
+    });
+
+    test('should refuse actions the current status does not allow', async () => {
+      getQuestionById.mockResolvedValue({ _id: questionId, status: 'rejected' });
+
+      const result = await reviewQuestion(questionId, 'retire', {}, reviewerId);
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        REVIEW_ERRORS.INVALID_TRANSITION,
+        'Cannot retire a question with status rejected',
+      ]);
+      expect(updateQuestionsReview).not.toHaveBeenCalled();
+    });
+
+    test('should report missing questions and invalid input', async () => {
+      getQuestionById.mockResolvedValue(null);
+
+      expect(await reviewQuestion(questionId, 'approve')).toEqual({
+        success: false,
+        errors: [REVIEW_ERRORS.NOT_FOUND],
+      });
+      expect(await reviewQuestion('invalid-id', 'approve')).toEqual({
+        success: false,
+        errors: [REVIEW_ERRORS.INVALID_ID],
+      });
+      expect((await reviewQuestion(questionId, 'publish', { notes: 5 })).errors).toEqual([
+        'Action must be one of: approve, reject, retire',
+        'Notes must be a string',
+      ]);
+    });
+  });
+
+  describe('reviewQuestions', () => {
+    const ids = [
+      '60d21b4667d0d8992e610c01',
+      '60d21b4667d0d8992e610c02',
+      '60d21b4667d0d8992e610c03',
+    ];
+
+    test('should review eligible questions and list the skipped ones', async () => {
+      getQuestionStatuses.mockResolvedValue([
+        { _id: new ObjectId(ids[0]), status: 'pending_review' },
+        { _id: new ObjectId(ids[1]), status: 'approved' },
+      ]);
+
+      const result = await reviewQuestions(
+        { ids: [...ids, ids[0]], action: 'approve', notes: 'Batch approved' },
+        reviewerId
+      );
+
+      expect(result).toEqual({
+        success: true,
+        data: {
+          action: 'approve',
+          status: 'approved',
+          requested: 3,
+          updated: 1,
+          skipped: [
+            { _id: ids[1], reason: 'Cannot approve a question with status approved' },
+            { _id: ids[2], reason: REVIEW_ERRORS.NOT_FOUND },
+          ],
+        },
+      });
+      expect(updateQuestionsReview).toHaveBeenCalledWith(
+        [new ObjectId(ids[0])],
+        ['draft', 'pending_review', 'rejected', 'retired'],
+        expect.objectContaining({ status: 'approved', review_notes: 'Batch approved' })
+      );
+    });
+
+    test('should validate the request', async () => {
+      expect((await reviewQuestions({ ids: [], action: 'reject' })).errors).toEqual([
+        'Field ids must be a non-empty array of question IDs',
+      ]);
+      expect((await reviewQuestions({ ids: ['bad'], action: 'reject' })).errors).toEqual([
+        REVIEW_ERRORS.INVALID_ID,
+      ]);
+      expect(
+        (await reviewQuestions({ ids: Array(101).fill(ids[0]), action: 'reject' })).errors
+      ).toEqual(['At most 100 questions can be reviewed at once']);
+      expect(getQuestionStatuses).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -63,6 +63,19 @@ describe('Question Service Tests', () => {
       expect(createQuestion).toHaveBeenCalledWith(expect.objectContaining(newQuestion));
     });
 
+    test('should create questions as approved unless another status is given', async () => {
+      createQuestion.mockResolvedValue(sampleQuestion);
+
+      await createNewQuestion({ ...sampleQuestion, reviewed_by: 'someone' });
+      expect(createQuestion).toHaveBeenLastCalledWith(
+        expect.objectContaining({ status: 'approved' })
+      );
+      expect(createQuestion.mock.calls[0][0]).not.toHaveProperty('reviewed_by');
+
+      await createNewQuestion({ ...sampleQuestion, status: 'draft' });
+      expect(createQuestion).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'draft' }));
+    });
+
     test('should normalize question data before creating', async () => {
       // Mock repository to return the created question
       createQuestion.mockResolvedValue(sampleQuestion);
@@ -183,6 +196,22 @@ describe('Question Service Tests', () => {
       );
     });
 
+    test('should not change the review fields', async () => {
+      updateQuestionById.mockResolvedValue(sampleQuestion);
+
+      await updateQuestion(sampleQuestion._id, {
+        ...sampleQuestion,
+        status: 'approved',
+        review_notes: 'Looks good',
+        reviewed_at: new Date(),
+      });
+
+      const updateData = updateQuestionById.mock.calls[0][1];
+      expect(updateData).not.toHaveProperty('status');
+      expect(updateData).not.toHaveProperty('review_notes');
+      expect(updateData).not.toHaveProperty('reviewed_at');
+    });
+
     test('should normalize question data before updating', async () => {
       // Mock repository to return the updated question
       updateQuestionById.mockResolvedValue(sampleQuestion);
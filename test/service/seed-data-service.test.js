@@ -0,0 +1,125 @@
+/**
+ * Tests for Seed Data Service
+ */
+
+const { ObjectId } = require('mongodb');
+const { SEED_DATA_ERRORS, syncSeedData } = require('../../src/services/seedDataService');
+const {
+  findSeedDocument,
+  insertSeedDocument,
+  updateSeedDocument,
+  findSeedDocumentsExcept,
+  countSeedReferences,
+  deleteSeedDocuments,
+} = require('../../src/repository/seedDataRepository');
+
+// Mock dependencies
+jest.mock('../../src/repository/seedDataRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Seed Data Service', () => {
+  const topicId = new ObjectId('60d21b4667d0d8992e610c01');
+  const closures = {
+    title: 'Closures',
+    difficulty: 2,
+    popularity: 'high',
+    suitable_level: 'junior',
+    description: 'Functions with their scope',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findSeedDocument.mockResolvedValue(null);
+    insertSeedDocument.mockResolvedValue(new ObjectId());
+    findSeedDocumentsExcept.mockResolvedValue([]);
+    countSeedReferences.mockResolvedValue(0);
+  });
+
+  it('should reject unknown collections, records without a key and repeated keys', async () => {
+    expect(await syncSeedData('users', [])).toEqual({
+      success: false,
+      errors: [SEED_DATA_ERRORS.UNKNOWN_COLLECTION],
+    });
+
+    const result = await syncSeedData('topics', [closures, closures, { difficulty: 1 }]);
+
+    expect(result.errors).toEqual([
+      `${SEED_DATA_ERRORS.MISSING_KEY} (slug, title)`,
+      'Duplicate title values found in file: Closures',
+    ]);
+    expect(findSeedDocument).not.toHaveBeenCalled();
+  });
+
+  it('should only update documents whose fields differ, keeping their IDs', async () => {
+    findSeedDocument
+      .mockResolvedValueOnce({ _id: topicId, ...closures, createdAt: new Date() })
+      .mockResolvedValueOnce({ _id: new ObjectId(), title: 'Loops', difficulty: 1 });
+
+    const result = await syncSeedData('topics', [closures, { title: 'Loops', difficulty: 2 }]);
+
+    expect(findSeedDocument).toHaveBeenCalledWith('topics', { title: 'Closures' });
+    expect(updateSeedDocument).toHaveBeenCalledTimes(1);
+    expect(updateSeedDocument.mock.calls[0][2]).toEqual({ title: 'Loops', difficulty: 2 });
+    expect(insertSeedDocument).not.toHaveBeenCalled();
+    expect(result.data).toEqual({
+      total: 2,
+      created: 0,
+      updated: 1,
+      unchanged: 1,
+      pruned: 0,
+      kept: [],
+    });
+  });
+
+  it('should keep documents questions or candidates refer to when pruning', async () => {
+    const unusedId = new ObjectId();
+    findSeedDocument.mockResolvedValue({ _id: topicId, ...closures });
+    findSeedDocumentsExcept.mockResolvedValue([
+      { _id: unusedId, title: 'Pointers' },
+      { _id: new ObjectId('60d21b4667d0d8992e610c02'), title: 'Recursion' },
+    ]);
+    countSeedReferences.mockImplementation((collectionName, filter) =>
+      Promise.resolve(collectionName === 'questions' && filter.$or[1].topic === 'Recursion' ? 4 : 0)
+    );
+
+    const result = await syncSeedData('topics', [closures], { prune: true });
+
+    expect(findSeedDocumentsExcept).toHaveBeenCalledWith('topics', [topicId]);
+    expect(countSeedReferences).toHaveBeenCalledWith('candidates', {
+      assigned_topics: { $in: ['Pointers', String(unusedId)] },
+    });
+    expect(deleteSeedDocuments).toHaveBeenCalledWith('topics', [unusedId]);
+    expect(result.data).toEqual(
+      expect.objectContaining({
+        unchanged: 1,
+        pruned: 1,
+        kept: [
+          {
+            _id: new ObjectId('60d21b4667d0d8992e610c02'),
+            key: 'Recursion',
+            references: { questions: 4 },
+          },
+        ],
+      })
+    );
+  });
+
+  it('should not delete anything when every unlisted document is referenced', async () => {
+    findSeedDocumentsExcept.mockResolvedValue([{ _id: topicId, slug: 'junior', title: 'Junior' }]);
+    countSeedReferences.mockResolvedValue(1);
+
+    const result = await syncSeedData('positions', [], { prune: true });
+
+    expect(countSeedReferences).toHaveBeenCalledWith('candidates', {
+      interview_level: { $in: ['junior', 'Junior'] },
+    });
+    expect(deleteSeedDocuments).not.toHaveBeenCalled();
+    expect(result.data.kept).toEqual([
+      { _id: topicId, key: 'junior', references: { questions: 1, candidates: 1 } },
+    ]);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Tests for Submission Grading Service
+ */
+
+const {
+  GRADING_ERRORS,
+  getGradableItems,
+  parseGradingResponse,
+  requestSubmissionGrading,
+  gradeSubmission,
+  reviewGrading,
+  getSubmissionGrading,
+} = require('../../src/services/submissionGradingService');
+const baseRepository = require('../../src/repository/baseRepository');
+const { getSubmissionById } = require('../../src/repository/submissionRepository');
+const { createJob } = require('../../src/repository/jobRepository');
+const { addToQueue } = require('../../src/utils/redisQueueHelper');
+const {
+  fetchInstrumentsByIds,
+  fetchLogicQuestionsByIds,
+} = require('../../src/utils/submissionEnricher');
+const { scoreSubmission } = require('../../src/services/submissionScoringService');
+const { generateText } = require('../../src/services/llm');
+
+// Mock dependencies
+jest.mock('../../src/repository/baseRepository');
+jest.mock('../../src/repository/submissionRepository');
+jest.mock('../../src/repository/jobRepository');
+jest.mock('../../src/utils/redisQueueHelper');
+jest.mock('../../src/utils/submissionEnricher');
+jest.mock('../../src/services/submissionScoringService');
+jest.mock('../../src/services/llm', () => ({
+  generateText: jest.fn(),
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Submission Grading Service', () => {
+  const submissionId = '60d21b4667d0d8992e610e01';
+  const reviewerId = '60d21b4667d0d8992e610e02';
+  const openQuestionId = '60d21b4667d0d8992e610b01';
+  const choiceQuestionId = '60d21b4667d0d8992e610b02';
+  const openInstrumentId = '60d21b4667d0d8992e610c01';
+
+  const logicQuestionMap = {
+    [openQuestionId]: {
+      type: 'open_question',
+      question: 'Explain recursion.',
+      answer_explanation: 'A function that calls itself with a base case.',
+    },
+    [choiceQuestionId]: { type: 'multiple_choice', question: 'Pick one.' },
+  };
+  const instrumentMap = {
+    [openInstrumentId]: { type: 'open-ended', questionText: 'Describe a conflict at work.' },
+  };
+
+  let submission;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    submission = {
+      _id: submissionId,
+      essay: { question: 'Why do you want this role?', answer: 'Because I like it.', is_skip: 0 },
+      logic_questions: [
+        { logic_question_id: choiceQuestionId, answer: 'true,false', is_skip: 0 },
+        { logic_question_id: openQuestionId, answer: 'It calls itself.', is_skip: 0 },
+      ],
+      instruments: [
+        { instrument_id: openInstrumentId, answer: null, other: 'We talked it through.' },
+      ],
+    };
+    getSubmissionById.mockResolvedValue(submission);
+    fetchLogicQuestionsByIds.mockResolvedValue(logicQuestionMap);
+    fetchInstrumentsByIds.mockResolvedValue(instrumentMap);
+    baseRepository.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('getGradableItems', () => {
+    it('should collect the essay, open logic questions and open-ended instruments', () => {
+      const items = getGradableItems(submission, { logicQuestionMap, instrumentMap }, 'Be kind');
+
+      expect(items).toEqual([
+        expect.objectContaining({
+          item_type: 'essay',
+          path: 'essay',
+          rubric: 'Be kind',
+          max_score: 10,
+        }),
+        expect.objectContaining({
+          item_type: 'logic_question',
+          item_id: openQuestionId,
+          path: 'logic_questions.1',
+          rubric: 'A function that calls itself with a base case.',
+          max_score: 1,
+        }),
+        expect.objectContaining({
+          item_type: 'instrument',
+          item_id: openInstrumentId,
+          path: 'instruments.0',
+          answer: 'We talked it through.',
+        }),
+      ]);
+    });
+  });
+
+  describe('parseGradingResponse', () => {
+    it('should parse and clamp the suggestion', () => {
+      const content = '```json\n{"score": 12, "rationale": " Solid. ", "confidence": 1.4}\n```';
+
+      expect(parseGradingResponse(content, 10)).toEqual({
+        suggested_score: 10,
+        rationale: 'Solid.',
+        confidence: 1,
+      });
+    });
+
+    it('should reject replies without a numeric score', () => {
+      expect(() => parseGradingResponse('{"rationale": "No score"}', 10)).toThrow(
+        'Grading response has no numeric score'
+      );
+    });
+  });
+
+  describe('requestSubmissionGrading', () => {
+    it('should create and queue a grading job', async () => {
+      const job = { _id: 'job-id', type: 'submission-grading', payload: {} };
+      createJob.mockResolvedValue(job);
+
+      const result = await requestSubmissionGrading(submissionId, { rubric: ' Be kind ' });
+
+      expect(result).toEqual({ success: true, data: job });
+      expect(createJob).toHaveBeenCalledWith({
+        type: 'submission-grading',
+        payload: { submission_id: submissionId, rubric: 'Be kind' },
+        status: 'new',
+      });
+      expect(addToQueue).toHaveBeenCalledWith({
+        _id: 'job-id',
+        type: 'submission-grading',
+        payload: {},
+      });
+    });
+
+    it('should fail when there is nothing to grade', async () => {
+      getSubmissionById.mockResolvedValue({ _id: submissionId, essay: { is_skip: 1 } });
+
+      const result = await requestSubmissionGrading(submissionId);
+
+      expect(result).toEqual({ success: false, errors: [GRADING_ERRORS.NOTHING_TO_GRADE] });
+      expect(createJob).not.toHaveBeenCalled();
+    });
+
+    it('should validate the ID and the rubric', async () => {
+      expect(await requestSubmissionGrading('bad-id')).toEqual({
+        success: false,
+        errors: [GRADING_ERRORS.INVALID_ID],
+      });
+      expect(await requestSubmissionGrading(submissionId, { rubric: '  ' })).toEqual({
+        success: false,
+        errors: ['Rubric must be a non-empty string of at most 5000 characters'],
+      });
+    });
+  });
+
+  describe('gradeSubmission', () => {
+    it('should store suggestions and skip reviewed items', async () => {
+      submission.instruments[0].grading = { suggested_score: 3, final_score: 2 };
+      generateText
+        .mockResolvedValueOnce('{"score": 7, "rationale": "Clear.", "confidence": 0.8}')
+        .mockResolvedValueOnce('not json');
+
+      const result = await gradeSubmission({ submission_id: submissionId });
+
+      expect(result.success).toBe(true);
+      expect(result.data.graded).toEqual([
+        {
+          item_type: 'essay',
+          item_id: null,
+          suggested_score: 7,
+          rationale: 'Clear.',
+          confidence: 0.8,
+        },
+      ]);
+      expect(result.data.skipped).toEqual([{ item_type: 'instrument', item_id: openInstrumentId }]);
+      expect(result.data.failed).toEqual([
+        expect.objectContaining({ item_type: 'logic_question', item_id: openQuestionId }),
+      ]);
+
+      const [, , update] = baseRepository.updateOne.mock.calls[0];
+      expect(update.$set['essay.grading']).toEqual(
+        expect.objectContaining({ suggested_score: 7, final_score: null, status: 'suggested' })
+      );
+      expect(update.$push.grading_audit.$each).toEqual([
+        expect.objectContaining({ item_type: 'essay', action: 'suggested', suggested_score: 7 }),
+      ]);
+    });
+
+    it('should fail when every item fails', async () => {
+      generateText.mockRejectedValue(new Error('Provider down'));
+
+      const result = await gradeSubmission({ submission_id: submissionId });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(3);
+      expect(baseRepository.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewGrading', () => {
+    it('should record an override and recompute the scores', async () => {
+      submission.logic_questions[1].grading = {
+        suggested_score: 1,
+        confidence: 0.6,
+        final_score: null,
+        status: 'suggested',
+      };
+      scoreSubmission.mockImplementation(async scored => ({ ...scored, scores: { overall: 1 } }));
+
+      const result = await reviewGrading(
+        submissionId,
+        { item_type: 'logic_question', item_id: openQuestionId, final_score: 0.5 },
+        reviewerId
+      );
+
+      expect(result.success).toBe(true);
+      const scored = scoreSubmission.mock.calls[0][0];
+      expect(scored.logic_questions[1].grading).toEqual(
+        expect.objectContaining({ final_score: 0.5, status: 'overridden' })
+      );
+
+      const [, , update] = baseRepository.updateOne.mock.calls[0];
+      expect(update.$set.scores).toEqual({ overall: 1 });
+      expect(update.$push.grading_audit).toEqual(
+        expect.objectContaining({
+          action: 'reviewed',
+          suggested_score: 1,
+          final_score: 0.5,
+          confidence: 0.6,
+        })
+      );
+      expect(String(update.$push.grading_audit.user_id)).toBe(reviewerId);
+    });
+
+    it('should reject scores above the item maximum and unknown items', async () => {
+      expect(
+        await reviewGrading(submissionId, {
+          item_type: 'logic_question',
+          item_id: openQuestionId,
+          final_score: 2,
+        })
+      ).toEqual({ success: false, errors: ['final_score cannot be greater than 1'] });
+      expect(
+        await reviewGrading(submissionId, {
+          item_type: 'logic_question',
+          item_id: choiceQuestionId,
+          final_score: 1,
+        })
+      ).toEqual({ success: false, errors: [GRADING_ERRORS.ITEM_NOT_FOUND] });
+      expect(baseRepository.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSubmissionGrading', () => {
+    it('should summarize AI and final scores', async () => {
+      submission.essay.grading = { suggested_score: 7, final_score: 5, status: 'overridden' };
+      submission.logic_questions[1].grading = {
+        suggested_score: 1,
+        final_score: 1,
+        status: 'accepted',
+      };
+      submission.grading_audit = [{ action: 'suggested' }];
+
+      const result = await getSubmissionGrading(submissionId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.items).toHaveLength(3);
+      expect(result.data.summary).toEqual({
+        items: 3,
+        suggested: 2,
+        reviewed: 2,
+        overridden: 1,
+        mean_absolute_difference: 1,
+      });
+      expect(result.data.audit).toEqual([{ action: 'suggested' }]);
+    });
+
+    it('should return not found for a missing submission', async () => {
+      getSubmissionById.mockResolvedValue(null);
+
+      expect(await getSubmissionGrading(submissionId)).toEqual({
+        success: false,
+        errors: [GRADING_ERRORS.NOT_FOUND],
+      });
+    });
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Tests for Submission Scoring Service
+ */
+
+const {
+  parseLogicAnswer,
+  scoreAnswer,
+  scoreLogicQuestion,
+  scoreInstrument,
+  scoreEssay,
+  calculateScores,
+  scoreSubmission,
+} = require('../../src/services/submissionScoringService');
+const {
+  fetchQuestionsByIds,
+  fetchInstrumentsByIds,
+  fetchLogicQuestionsByIds,
+} = require('../../src/utils/submissionEnricher');
+
+// Mock dependencies
+jest.mock('../../src/utils/submissionEnricher');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('Submission Scoring Service', () => {
+  const logicQuestion = {
+    type: 'multiple_choice',
+    choices: [
+      { text: 'A', is_correct: true },
+      { text: 'B', is_correct: false },
+      { text: 'C', is_correct: true },
+      { text: 'D', is_correct: false },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseLogicAnswer', () => {
+    it('should parse a comma-separated answer into booleans', () => {
+      expect(parseLogicAnswer('true, false,TRUE')).toEqual([true, false, true]);
+    });
+
+    it('should return an empty array for non-string answers', () => {
+      expect(parseLogicAnswer(null)).toEqual([]);
+    });
+  });
+
+  describe('scoreAnswer', () => {
+    it('should award a point for the correct answer', () => {
+      expect(scoreAnswer({ answer: 2, is_skip: 0 }, { correctAnswer: 2 })).toEqual({
+        point: 1,
+        is_correct: true,
+      });
+    });
+
+    it('should award nothing for a wrong answer regardless of the submitted point', () => {
+      expect(scoreAnswer({ answer: 1, point: 10, is_skip: 0 }, { correctAnswer: 2 })).toEqual({
+        point: 0,
+        is_correct: false,
+      });
+    });
+
+    it('should not grade skipped answers or unknown questions', () => {
+      expect(scoreAnswer({ answer: 2, is_skip: 1 }, { correctAnswer: 2 })).toEqual({
+        point: 0,
+        is_correct: null,
+      });
+      expect(scoreAnswer({ answer: 2, is_skip: 0 }, undefined)).toEqual({
+        point: 0,
+        is_correct: null,
+      });
+    });
+  });
+
+  describe('scoreLogicQuestion', () => {
+    it('should award full credit when every choice matches', () => {
+      expect(scoreLogicQuestion({ answer: 'true,false,true,false' }, logicQuestion)).toEqual({
+        point: 1,
+        is_correct: true,
+      });
+    });
+
+    it('should award partial credit for partially correct selections', () => {
+      expect(scoreLogicQuestion({ answer: 'true,false,false,false' }, logicQuestion)).toEqual({
+        point: 0.5,
+        is_correct: false,
+      });
+    });
+
+    it('should take a share away for each wrong selection', () => {
+      expect(scoreLogicQuestion({ answer: 'true,true,true,false' }, logicQuestion)).toEqual({
+        point: 0.5,
+        is_correct: false,
+      });
+      expect(scoreLogicQuestion({ answer: 'true,true,false,true' }, logicQuestion)).toEqual({
+        point: 0,
+        is_correct: false,
+      });
+      expect(scoreLogicQuestion({ answer: 'true,true,true,true' }, logicQuestion)).toEqual({
+        point: 0,
+        is_correct: false,
+      });
+    });
+
+    it('should treat missing positions as unselected', () => {
+      expect(scoreLogicQuestion({ answer: 'true' }, logicQuestion)).toEqual({
+        point: 0.5,
+        is_correct: false,
+      });
+    });
+
+    it('should give no credit for blank or all-false answers', () => {
+      const singleAnswer = {
+        type: 'multiple_choice',
+        choices: [
+          { text: 'A', is_correct: false },
+          { text: 'B', is_correct: true },
+          { text: 'C', is_correct: false },
+          { text: 'D', is_correct: false },
+        ],
+      };
+
+      expect(scoreLogicQuestion({ answer: 'false,false,false,false' }, singleAnswer)).toEqual({
+        point: 0,
+        is_correct: false,
+      });
+      expect(scoreLogicQuestion({ answer: ',,,' }, singleAnswer)).toEqual({
+        point: 0,
+        is_correct: false,
+      });
+      expect(scoreLogicQuestion({ answer: 'false,true,false,false' }, singleAnswer)).toEqual({
+        point: 1,
+        is_correct: true,
+      });
+    });
+
+    it('should leave open questions ungraded', () => {
+      expect(
+        scoreLogicQuestion({ answer: 'Some text' }, { type: 'open_question', choices: [] })
+      ).toEqual({ point: 0, is_correct: null });
+    });
+
+    it('should use the reviewed score of open questions', () => {
+      const openQuestion = { type: 'open_question', choices: [] };
+
+      expect(
+        scoreLogicQuestion(
+          { answer: 'Some text', grading: { suggested_score: 1, final_score: 0.5 } },
+          openQuestion
+        )
+      ).toEqual({ point: 0.5, is_correct: false });
+      expect(
+        scoreLogicQuestion(
+          { answer: 'Some text', grading: { suggested_score: 1, final_score: null } },
+          openQuestion
+        )
+      ).toEqual({ point: 0, is_correct: null });
+    });
+  });
+
+  describe('scoreInstrument', () => {
+    it('should use the selected scale position as the point', () => {
+      expect(scoreInstrument({ answer: 3, is_skip: 0 }, { type: 'scale' })).toEqual({
+        point: 3,
+        ungraded: false,
+      });
+    });
+
+    it('should mirror the point of reverse-keyed instruments', () => {
+      expect(
+        scoreInstrument({ answer: 3, is_skip: 0 }, { type: 'scale', reverseScored: true })
+      ).toEqual({ point: 1, ungraded: false });
+    });
+
+    it('should score skipped instruments as zero', () => {
+      expect(scoreInstrument({ answer: null, is_skip: 1 }, { type: 'scale' })).toEqual({
+        point: 0,
+        ungraded: false,
+      });
+    });
+
+    it('should score open-ended responses by their reviewed grading', () => {
+      const openEnded = { type: 'open-ended' };
+
+      expect(scoreInstrument({ answer: '', other: 'I plan ahead', is_skip: 0 }, openEnded)).toEqual(
+        { point: 0, ungraded: true }
+      );
+      expect(
+        scoreInstrument(
+          { answer: '', other: 'I plan ahead', is_skip: 0, grading: { final_score: 3 } },
+          openEnded
+        )
+      ).toEqual({ point: 3, ungraded: false });
+    });
+  });
+
+  describe('scoreEssay', () => {
+    it('should count the essay once a reviewer has scored it', () => {
+      expect(scoreEssay({ question: 'Why us?', answer: 'Because', is_skip: 0 })).toEqual({
+        point: 0,
+        max_point: 0,
+        total: 1,
+        graded: 0,
+        skipped: 0,
+        ungraded: 1,
+      });
+      expect(
+        scoreEssay({ question: 'Why us?', answer: 'Because', grading: { final_score: 7.5 } })
+      ).toEqual(expect.objectContaining({ point: 7.5, max_point: 10, graded: 1 }));
+      expect(scoreEssay({ question: 'Why us?', answer: '', is_skip: 1 })).toEqual(
+        expect.objectContaining({ point: 0, max_point: 10, skipped: 1 })
+      );
+    });
+
+    it('should ignore the empty essay of submissions without one', () => {
+      expect(scoreEssay({ question: '', answer: '', is_skip: 0 })).toEqual(
+        expect.objectContaining({ total: 0, max_point: 0 })
+      );
+      expect(scoreEssay(undefined).total).toBe(0);
+    });
+  });
+
+  describe('calculateScores', () => {
+    it('should compute per-section totals and an overall score', () => {
+      const submission = {
+        candidate_id: '507f1f77bcf86cd799439011',
+        answers: [
+          { question_id: 'q1', answer: 0, is_skip: 0 },
+          { question_id: 'q2', answer: 1, is_skip: 0 },
+          { question_id: 'q3', answer: null, is_skip: 1 },
+        ],
+        logic_questions: [
+          { logic_question_id: 'l1', answer: 'true,false,true,false', is_skip: 0 },
+          { logic_question_id: 'l2', answer: 'false,false,false,false', is_skip: 0 },
+          { logic_question_id: 'l3', answer: '', is_skip: 1 },
+        ],
+        instruments: [
+          { instrument_id: 'i1', answer: 4, is_skip: 0 },
+          { instrument_id: 'i2', answer: null, is_skip: 1 },
+        ],
+      };
+
+      const result = calculateScores(submission, {
+        questionMap: {
+          q1: { correctAnswer: 0 },
+          q2: { correctAnswer: 3 },
+          q3: { correctAnswer: 2 },
+        },
+        logicQuestionMap: { l1: logicQuestion, l2: logicQuestion, l3: logicQuestion },
+        instrumentMap: { i1: { type: 'scale' }, i2: { type: 'scale' } },
+      });
+
+      expect(result.answers.map(answer => answer.point)).toEqual([1, 0, 0]);
+      expect(result.scores.answers).toEqual({
+        point: 1,
+        max_point: 3,
+        total: 3,
+        correct: 1,
+        partial: 0,
+        incorrect: 1,
+        skipped: 1,
+        ungraded: 0,
+      });
+      expect(result.scores.logic_questions).toMatchObject({
+        point: 1,
+        max_point: 3,
+        correct: 1,
+        partial: 0,
+        incorrect: 1,
+        skipped: 1,
+      });
+      expect(result.scores.instruments).toEqual({
+        point: 4,
+        max_point: 4,
+        total: 2,
+        answered: 1,
+        skipped: 1,
+        ungraded: 0,
+      });
+      expect(result.scores.overall).toEqual({ point: 2, max_point: 6, percentage: 33.33 });
+    });
+
+    it('should add reviewed essay and open-ended grades to the scores', () => {
+      const result = calculateScores(
+        {
+          answers: [{ question_id: 'q1', answer: 0, is_skip: 0 }],
+          essay: { question: 'Why us?', answer: 'Because', grading: { final_score: 8 } },
+          instruments: [
+            { instrument_id: 'i1', answer: '', other: 'Pairing', grading: { final_score: 3 } },
+            { instrument_id: 'i1', answer: '', other: 'Not reviewed yet' },
+          ],
+        },
+        {
+          questionMap: { q1: { correctAnswer: 0 } },
+          instrumentMap: { i1: { type: 'open-ended' } },
+        }
+      );
+
+      expect(result.scores.essay).toEqual(
+        expect.objectContaining({ point: 8, max_point: 10, graded: 1 })
+      );
+      expect(result.scores.instruments).toEqual({
+        point: 3,
+        max_point: 4,
+        total: 2,
+        answered: 2,
+        skipped: 0,
+        ungraded: 1,
+      });
+      // The essay counts towards the overall score; instruments do not
+      expect(result.scores.overall).toEqual({ point: 9, max_point: 11, percentage: 81.82 });
+    });
+
+    it('should add trait scores for instrument tags', () => {
+      const result = calculateScores(
+        { instruments: [{ instrument_id: 'i1', answer: 3, is_skip: 0 }] },
+        {
+          instrumentMap: { i1: { type: 'scale', tags: ['t1'] } },
+          instrumentTagMap: {
+            t1: { name: 'Teamwork', normBands: { averageFrom: 40, highFrom: 70 } },
+          },
+        }
+      );
+
+      expect(result.scores.traits).toEqual([
+        {
+          tag_id: 't1',
+          tag_name: 'Teamwork',
+          answered: 1,
+          sum: 3,
+          mean: 3,
+          normalized: 75,
+          band: 'high',
+        },
+      ]);
+    });
+
+    it('should exclude ungraded items from the maximum score', () => {
+      const result = calculateScores(
+        { logic_questions: [{ logic_question_id: 'l1', answer: 'Essay-like answer' }] },
+        { logicQuestionMap: { l1: { type: 'open_question' } } }
+      );
+
+      expect(result.scores.logic_questions).toMatchObject({ ungraded: 1, max_point: 0 });
+      expect(result.scores.overall.percentage).toBe(0);
+    });
+  });
+
+  describe('scoreSubmission', () => {
+    it('should fetch referenced items and score the submission', async () => {
+      fetchQuestionsByIds.mockResolvedValue({ q1: { correctAnswer: 1 } });
+      fetchInstrumentsByIds.mockResolvedValue({});
+      fetchLogicQuestionsByIds.mockResolvedValue({});
+
+      const result = await scoreSubmission({
+        candidate_id: '507f1f77bcf86cd799439011',
+        answers: [{ question_id: 'q1', answer: 1, point: 99, is_skip: 0 }],
+      });
+
+      expect(fetchQuestionsByIds).toHaveBeenCalledWith(['q1']);
+      expect(result.answers[0].point).toBe(1);
+      expect(result.scores.overall).toEqual({ point: 1, max_point: 1, percentage: 100 });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the login lockout in the user service
+ * @module test/service/user-service
+ */
+
+const { validateUserCredentials } = require('../../src/services/userService');
+const userRepository = require('../../src/repository/userRepository');
+
+jest.mock('../../src/repository/userRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+describe('User Service Tests', () => {
+  const originalEnv = process.env;
+  const MINUTE = 60 * 1000;
+
+  /**
+   * Build a user document as returned by the repository
+   * @param {Object} [overrides] - Fields to override
+   * @param {boolean} [passwordMatches=true] - Result of comparePassword
+   * @returns {Object} The user document
+   */
+  const buildUser = (overrides = {}, passwordMatches = true) => ({
+    _id: '64b7f0c2a1b2c3d4e5f60720',
+    username: 'johndoe',
+    email: 'john@example.com',
+    password: 'hashed',
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    lockedUntil: null,
+    comparePassword: jest.fn().mockResolvedValue(passwordMatches),
+    toObject() {
+      const fields = { ...this };
+      delete fields.comparePassword;
+      delete fields.toObject;
+      return fields;
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = {
+      ...originalEnv,
+      LOGIN_MAX_ATTEMPTS: '3',
+      LOGIN_LOCKOUT_DURATION: String(15 * MINUTE),
+      LOGIN_MAX_LOCKOUT_DURATION: String(45 * MINUTE),
+    };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('validateUserCredentials', () => {
+    test('should return the user without its password and clear earlier failures', async () => {
+      userRepository.findByUsername.mockResolvedValue(buildUser({ failedLoginAttempts: 2 }));
+
+      const user = await validateUserCredentials('johndoe', 'secret');
+
+      expect(user).toEqual(expect.objectContaining({ username: 'johndoe' }));
+      expect(user.password).toBeUndefined();
+      expect(userRepository.findByUsername).toHaveBeenCalledWith('johndoe', true);
+      expect(userRepository.resetFailedLogins).toHaveBeenCalledWith('64b7f0c2a1b2c3d4e5f60720');
+    });
+
+    test('should count a wrong password without locking below the limit', async () => {
+      userRepository.findByEmail.mockResolvedValue(buildUser({}, false));
+      userRepository.incrementFailedLogins.mockResolvedValue({
+        failedLoginAttempts: 2,
+        lockoutCount: 0,
+      });
+
+      expect(await validateUserCredentials('john@example.com', 'wrong')).toBeNull();
+      expect(userRepository.incrementFailedLogins).toHaveBeenCalledWith('64b7f0c2a1b2c3d4e5f60720');
+      expect(userRepository.lockUser).not.toHaveBeenCalled();
+    });
+
+    test('should lock the user with a doubling duration once the limit is reached', async () => {
+      userRepository.findByUsername.mockResolvedValue(buildUser({}, false));
+      const now = Date.now();
+
+      userRepository.incrementFailedLogins.mockResolvedValue({
+        failedLoginAttempts: 3,
+        lockoutCount: 1,
+      });
+      await validateUserCredentials('johndoe', 'wrong');
+      const [, lockedUntil] = userRepository.lockUser.mock.calls[0];
+      expect(lockedUntil.getTime() - now).toBeGreaterThanOrEqual(30 * MINUTE);
+      expect(lockedUntil.getTime() - now).toBeLessThan(31 * MINUTE);
+
+      userRepository.incrementFailedLogins.mockResolvedValue({
+        failedLoginAttempts: 3,
+        lockoutCount: 4,
+      });
+      await validateUserCredentials('johndoe', 'wrong');
+      const [, cappedUntil] = userRepository.lockUser.mock.calls[1];
+      expect(cappedUntil.getTime() - now).toBeLessThan(46 * MINUTE);
+    });
+
+    test('should refuse a locked user without checking the password', async () => {
+      const user = buildUser({ lockedUntil: new Date(Date.now() + MINUTE) });
+      userRepository.findByUsername.mockResolvedValue(user);
+
+      expect(await validateUserCredentials('johndoe', 'secret')).toBeNull();
+      expect(user.comparePassword).not.toHaveBeenCalled();
+      expect(userRepository.incrementFailedLogins).not.toHaveBeenCalled();
+    });
+
+    test('should not count failures when the lockout is disabled', async () => {
+      process.env.LOGIN_MAX_ATTEMPTS = '0';
+      userRepository.findByUsername.mockResolvedValue(buildUser({}, false));
+
+      expect(await validateUserCredentials('johndoe', 'wrong')).toBeNull();
+      expect(userRepository.incrementFailedLogins).not.toHaveBeenCalled();
+    });
+  });
+});
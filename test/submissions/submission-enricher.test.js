@@ -263,6 +263,7 @@ describe('Submission Enricher', () => {
             question: questions['507f1f77bcf86cd799439014'],
           },
         ],
+        scores: expect.any(Object),
       };
 
       expect(result).toEqual(expected);
@@ -289,6 +290,7 @@ describe('Submission Enricher', () => {
         ...submission,
         candidate: null,
         answers: [],
+        scores: expect.any(Object),
       });
     });
 
@@ -329,6 +331,7 @@ describe('Submission Enricher', () => {
             question: null,
           },
         ],
+        scores: expect.any(Object),
       });
     });
 
@@ -360,6 +363,7 @@ describe('Submission Enricher', () => {
       expect(result).toEqual({
         ...submission,
         candidate: null,
+        scores: expect.any(Object),
       });
     });
   });
@@ -412,12 +416,14 @@ describe('Submission Enricher', () => {
           candidate_id: submissions[0].candidate_id,
           candidate: candidates[submissions[0].candidate_id],
           answers: [],
+          scores: expect.any(Object),
         },
         {
           _id: submissions[1]._id,
           candidate_id: submissions[1].candidate_id,
           candidate: candidates[submissions[1].candidate_id],
           answers: [],
+          scores: expect.any(Object),
         },
       ];
 
@@ -463,6 +469,7 @@ describe('Submission Enricher', () => {
           candidate_id: submissions[0].candidate_id,
           candidate,
           answers: [],
+          scores: expect.any(Object),
         },
       ]);
     });
@@ -490,6 +497,7 @@ describe('Submission Enricher', () => {
         submissions.map(submission => ({
           ...submission,
           candidate: null,
+          scores: expect.any(Object),
         }))
       );
     });
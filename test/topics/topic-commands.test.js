@@ -4,16 +4,20 @@
  */
 
 const { MongoMemoryServer } = require('mongodb-memory-server');
-const { initializeDb, closeConnection } = require('../../src/repository/baseRepository');
+const {
+  initializeDb,
+  closeConnection,
+  deleteMany,
+  insertOne,
+  findMany,
+} = require('../../src/repository/baseRepository');
 const { initTopicsCommand } = require('../../src/commands/topicCommands');
 const { readJsonFile, fileExists } = require('../../src/utils/fileParser');
 const { validateTopicsData } = require('../../src/utils/topicValidator');
-const { clearAllTopics, insertTopics } = require('../../src/repository/topicRepository');
 
 // Mock dependencies
 jest.mock('../../src/utils/fileParser');
 jest.mock('../../src/utils/topicValidator');
-jest.mock('../../src/repository/topicRepository');
 
 describe('Topic Commands Tests', () => {
   let mongoServer;
@@ -54,16 +58,17 @@ describe('Topic Commands Tests', () => {
     }
   });
 
-  beforeEach(() => {
-    // Reset all mocks before each test
+  beforeEach(async () => {
+    // Reset all mocks and collections before each test
     jest.clearAllMocks();
+    console.log = jest.fn();
+    await deleteMany('topics', {});
+    await deleteMany('questions', {});
 
     // Set up default mock implementations
     fileExists.mockResolvedValue(true);
     readJsonFile.mockResolvedValue(validTopicsData);
     validateTopicsData.mockReturnValue({ isValid: true, errors: [] });
-    clearAllTopics.mockResolvedValue({ acknowledged: true, deletedCount: 0 });
-    insertTopics.mockResolvedValue({ acknowledged: true, insertedCount: 2 });
   });
 
   describe('initTopicsCommand', () => {
@@ -103,21 +108,48 @@ describe('Topic Commands Tests', () => {
       expect(validateTopicsData).toHaveBeenCalledWith(validTopicsData);
 
       // Verify database operations
-      expect(clearAllTopics).toHaveBeenCalled();
-      expect(insertTopics).toHaveBeenCalledWith(validTopicsData.topics);
+      const topics = await findMany('topics', {});
+      expect(topics.map(topic => topic.title)).toEqual(['Test Topic 1', 'Test Topic 2']);
 
       // Verify result
       expect(result.success).toBe(true);
       expect(result.message).toBe('Successfully initialized 2 topics');
+      expect(result).toEqual(expect.objectContaining({ created: 2, updated: 0, unchanged: 0 }));
     });
 
-    test('should handle database errors during topic insertion', async () => {
-      // Mock database error
-      insertTopics.mockRejectedValue(new Error('Database connection failed'));
+    test('should keep topic IDs when the file is loaded again', async () => {
+      await initTopicsCommand(['/path/to/valid.json']);
+      const before = await findMany('topics', {});
 
-      await expect(initTopicsCommand(['/path/to/valid.json'])).rejects.toThrow(
-        'Database connection failed'
-      );
+      readJsonFile.mockResolvedValue({
+        topics: [{ ...validTopicsData.topics[0], difficulty: 3 }, validTopicsData.topics[1]],
+      });
+      const result = await initTopicsCommand(['/path/to/valid.json']);
+
+      const after = await findMany('topics', {});
+      expect(after.map(topic => topic._id)).toEqual(before.map(topic => topic._id));
+      expect(after[0].difficulty).toBe(3);
+      expect(result).toEqual(expect.objectContaining({ created: 0, updated: 1, unchanged: 1 }));
+    });
+
+    test('should only prune topics no question refers to', async () => {
+      await initTopicsCommand(['/path/to/valid.json']);
+      const [referenced] = await findMany('topics', { title: 'Test Topic 1' });
+      await insertOne('questions', {
+        question: 'Q',
+        topic: 'Test Topic 1',
+        topic_id: referenced._id,
+      });
+
+      readJsonFile.mockResolvedValue({ topics: [] });
+      const result = await initTopicsCommand(['/path/to/empty.json', '--prune']);
+
+      const remaining = await findMany('topics', {});
+      expect(remaining.map(topic => topic._id)).toEqual([referenced._id]);
+      expect(result.pruned).toBe(1);
+      expect(result.kept).toEqual([
+        { _id: referenced._id, key: 'test-topic-1', references: { questions: 1 } },
+      ]);
     });
   });
 });
@@ -0,0 +1,236 @@
+/**
+ * Tests for the topic service module
+ * @module test/topicServiceTest
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+  TOPIC_ERRORS,
+  createTopicService,
+  getAllTopicsService,
+  getTopicByIdService,
+  updateTopicService,
+  deleteTopicService,
+} = require('../../src/services/topicService');
+const {
+  createTopic,
+  getAllTopics,
+  countTopics,
+  getTopicById,
+  getTopicByTitle,
+  getTopicBySlug,
+  getChildTopics,
+  updateTopic,
+  deleteTopic,
+  countQuestionsByTopic,
+} = require('../../src/repository/topicRepository');
+const { getLanguageById } = require('../../src/repository/languageRepository');
+
+// Mock dependencies
+jest.mock('../../src/repository/topicRepository');
+jest.mock('../../src/repository/languageRepository');
+jest.mock('../../src/repository/positionRepository');
+jest.mock('../../src/utils/logger');
+
+describe('Topic Service Tests', () => {
+  const rootId = new ObjectId('60d21b4667d0d8992e610c80');
+  const topicId = new ObjectId('60d21b4667d0d8992e610c81');
+  const childId = new ObjectId('60d21b4667d0d8992e610c82');
+  const languageId = '60d21b4667d0d8992e610d01';
+
+  const root = {
+    _id: rootId,
+    title: 'JavaScript',
+    slug: 'javascript',
+    difficulty: 2,
+    popularity: 'high',
+    suitable_level: 'intern',
+    description: 'The JavaScript language',
+    parent_id: null,
+    language_ids: [],
+    position_ids: [],
+  };
+  const topic = {
+    ...root,
+    _id: topicId,
+    title: 'Async',
+    slug: 'async',
+    difficulty: 3,
+    description: 'Promises and async/await',
+    parent_id: rootId,
+  };
+  const child = {
+    ...topic,
+    _id: childId,
+    title: 'Event Loop',
+    slug: 'event-loop',
+    parent_id: topicId,
+  };
+  const topicsById = { [rootId]: root, [topicId]: topic, [childId]: child };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getTopicById.mockImplementation(id => Promise.resolve(topicsById[id] || null));
+    getTopicByTitle.mockResolvedValue(null);
+    getTopicBySlug.mockResolvedValue(null);
+    getChildTopics.mockResolvedValue([]);
+    countQuestionsByTopic.mockImplementation(topics =>
+      Promise.resolve(new Map(topics.map(item => [item._id.toString(), 0])))
+    );
+    createTopic.mockImplementation(data => Promise.resolve({ _id: new ObjectId(), ...data }));
+    getLanguageById.mockResolvedValue({ _id: new ObjectId(languageId) });
+  });
+
+  describe('createTopicService', () => {
+    const topicData = {
+      title: 'Node.js Streams',
+      difficulty: 4,
+      popularity: 'medium',
+      suitable_level: 'middle',
+      description: 'Readable, writable and transform streams',
+    };
+
+    test('should generate the slug and store the relations as ObjectIds', async () => {
+      await createTopicService({
+        ...topicData,
+        parent_id: rootId.toString(),
+        language_ids: [languageId, languageId],
+        createdAt: 'ignored',
+      });
+
+      expect(createTopic).toHaveBeenCalledWith({
+        ...topicData,
+        slug: 'nodejs-streams',
+        parent_id: rootId,
+        language_ids: [new ObjectId(languageId)],
+        position_ids: [],
+      });
+    });
+
+    test('should reject duplicate titles and missing relations', async () => {
+      getTopicByTitle.mockResolvedValueOnce(root);
+      await expect(createTopicService({ ...topicData, title: 'JavaScript' })).rejects.toEqual(
+        expect.objectContaining({
+          status: 409,
+          message: "Topic with title 'JavaScript' already exists",
+        })
+      );
+
+      await expect(
+        createTopicService({ ...topicData, parent_id: '60d21b4667d0d8992e610cff' })
+      ).rejects.toEqual(
+        expect.objectContaining({ status: 400, message: TOPIC_ERRORS.PARENT_NOT_FOUND })
+      );
+
+      getLanguageById.mockResolvedValue(null);
+      await expect(
+        createTopicService({ ...topicData, language_ids: [languageId] })
+      ).rejects.toThrow(`${TOPIC_ERRORS.LANGUAGES_NOT_FOUND}: ${languageId}`);
+
+      await expect(createTopicService({ ...topicData, position_ids: 'junior' })).rejects.toThrow(
+        TOPIC_ERRORS.INVALID_POSITION_IDS
+      );
+      expect(createTopic).not.toHaveBeenCalled();
+    });
+
+    test('should reject data the model does not accept', async () => {
+      await expect(createTopicService({ ...topicData, popularity: 'viral' })).rejects.toEqual(
+        expect.objectContaining({ name: 'ValidationError' })
+      );
+    });
+  });
+
+  describe('updateTopicService', () => {
+    test('should return null when the topic does not exist', async () => {
+      expect(await updateTopicService('60d21b4667d0d8992e610cff', { difficulty: 1 })).toBeNull();
+      expect(updateTopic).not.toHaveBeenCalled();
+    });
+
+    test('should not move a topic under itself or one of its subtopics', async () => {
+      await expect(
+        updateTopicService(topicId.toString(), { parent_id: topicId.toString() })
+      ).rejects.toThrow(TOPIC_ERRORS.PARENT_CYCLE);
+      await expect(
+        updateTopicService(rootId.toString(), { parent_id: childId.toString() })
+      ).rejects.toThrow(TOPIC_ERRORS.PARENT_CYCLE);
+      expect(updateTopic).not.toHaveBeenCalled();
+    });
+
+    test('should regenerate the slug of a renamed topic and allow moving it to the root', async () => {
+      await updateTopicService(topicId.toString(), { title: 'Asynchronous JS', parent_id: null });
+
+      expect(updateTopic).toHaveBeenCalledWith(topicId.toString(), {
+        title: 'Asynchronous JS',
+        slug: 'asynchronous-js',
+        parent_id: null,
+      });
+    });
+  });
+
+  describe('getAllTopicsService', () => {
+    test('should filter, paginate and add question counts', async () => {
+      getAllTopics.mockResolvedValue([root]);
+      countTopics.mockResolvedValue(11);
+      countQuestionsByTopic.mockResolvedValue(new Map([[rootId.toString(), 7]]));
+
+      const result = await getAllTopicsService({
+        title: 'java',
+        parent_id: 'null',
+        language_id: languageId,
+        page: '2',
+        page_size: '5',
+      });
+
+      const filter = {
+        title: { $regex: 'java', $options: 'i' },
+        parent_id: null,
+        language_ids: new ObjectId(languageId),
+      };
+      expect(getAllTopics).toHaveBeenCalledWith(filter, { sort: { title: 1 }, skip: 5, limit: 5 });
+      expect(countTopics).toHaveBeenCalledWith(filter);
+      expect(result).toEqual({ topics: [{ ...root, question_count: 7 }], totalCount: 11 });
+    });
+  });
+
+  describe('getTopicByIdService', () => {
+    test('should return the topic with its path, ancestors, children and question count', async () => {
+      const children = [{ _id: childId, title: 'Event Loop', slug: 'event-loop' }];
+      getChildTopics.mockResolvedValue(children);
+      countQuestionsByTopic.mockResolvedValue(new Map([[topicId.toString(), 3]]));
+
+      const result = await getTopicByIdService(topicId.toString());
+
+      expect(getChildTopics).toHaveBeenCalledWith(topicId);
+      expect(result).toEqual({
+        ...topic,
+        question_count: 3,
+        path: 'JavaScript > Async',
+        ancestors: [{ _id: rootId, title: 'JavaScript', slug: 'javascript' }],
+        children,
+      });
+    });
+  });
+
+  describe('deleteTopicService', () => {
+    test('should keep topics with subtopics or questions', async () => {
+      getChildTopics.mockResolvedValueOnce([child]);
+      await expect(deleteTopicService(topicId.toString())).rejects.toEqual(
+        expect.objectContaining({ status: 409, message: TOPIC_ERRORS.HAS_SUBTOPICS })
+      );
+
+      countQuestionsByTopic.mockResolvedValueOnce(new Map([[childId.toString(), 2]]));
+      await expect(deleteTopicService(childId.toString())).rejects.toThrow(
+        TOPIC_ERRORS.HAS_QUESTIONS
+      );
+      expect(deleteTopic).not.toHaveBeenCalled();
+    });
+
+    test('should delete unused topics and report missing ones', async () => {
+      deleteTopic.mockResolvedValue(true);
+
+      expect(await deleteTopicService(childId.toString())).toBe(true);
+      expect(await deleteTopicService('60d21b4667d0d8992e610cff')).toBe(false);
+      expect(deleteTopic).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the CSV Formatting Utility
+ */
+
+const {
+  escapeCsvValue,
+  formatCsv,
+  restoreCsvValue,
+  parseCsv,
+} = require('../../src/utils/csvFormatter');
+
+describe('CSV Formatter Utility', () => {
+  it('should leave plain values unquoted', () => {
+    expect(escapeCsvValue('Ana')).toBe('Ana');
+    expect(escapeCsvValue(-1.5)).toBe('-1.5');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(new Date('2026-01-02T03:04:05Z'))).toBe('2026-01-02T03:04:05.000Z');
+  });
+
+  it('should quote values with commas, quotes or line breaks', () => {
+    expect(escapeCsvValue('Doe, Jane')).toBe('"Doe, Jane"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('a\nb')).toBe('"a\nb"');
+  });
+
+  it('should neutralize text that a spreadsheet would run as a formula', () => {
+    expect(escapeCsvValue('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsvValue('@cmd')).toBe("'@cmd");
+  });
+
+  it('should format headers and rows', () => {
+    expect(
+      formatCsv(
+        ['name', 'score'],
+        [
+          ['Ana', 80],
+          ['Bo', null],
+        ]
+      )
+    ).toBe('name,score\r\nAna,80\r\nBo,\r\n');
+  });
+
+  it('should parse quoted cells with the line each row starts on', () => {
+    const text = 'name,notes\r\n"Doe, Jane","say ""hi""\nagain"\r\n\r\nBo,\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { line: 1, values: ['name', 'notes'] },
+      { line: 2, values: ['Doe, Jane', 'say "hi"\nagain'] },
+      { line: 5, values: ['Bo', ''] },
+    ]);
+  });
+
+  it('should reject an unclosed quoted cell', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('Unclosed quoted value starting on line 2');
+  });
+
+  it('should restore values that were neutralized as formulas', () => {
+    expect(restoreCsvValue(escapeCsvValue('=SUM(A1)'))).toBe('=SUM(A1)');
+    expect(restoreCsvValue("it's")).toBe("it's");
+  });
+});
@@ -145,6 +145,53 @@ describe('generateRequestValidator', () => {
       });
     });
 
+    test('should accept a known LLM provider and model', () => {
+      const result = validateGenerateRequest({
+        topic: 'JavaScript',
+        language: 'English',
+        position: 'junior',
+        provider: 'ollama',
+        model: 'llama3.1',
+      });
+
+      expect(result.isValid).toBe(true);
+    });
+
+    test('should validate provider and model fields', () => {
+      const result = validateGenerateRequest({
+        topic: 'JavaScript',
+        language: 'English',
+        position: 'junior',
+        provider: 'unknown',
+        model: '',
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Provider must be one of: gemini, openai, ollama, fixture',
+        'Model must be a non-empty string',
+      ]);
+    });
+
+    test('should reject the fixture provider outside tests and development', () => {
+      const originalNodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        const result = validateGenerateRequest({
+          topic: 'JavaScript',
+          language: 'English',
+          position: 'junior',
+          provider: 'fixture',
+        });
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual(['Provider must be one of: gemini, openai, ollama']);
+      } finally {
+        process.env.NODE_ENV = originalNodeEnv;
+      }
+    });
+
     test('should validate multiple fields at once', () => {
       // Multiple invalid fields
       const requestBody = {
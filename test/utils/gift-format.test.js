@@ -0,0 +1,85 @@
+/**
+ * Tests for the GIFT Format Utility
+ */
+
+const {
+  escapeGiftText,
+  unescapeGiftText,
+  formatGift,
+  parseGift,
+} = require('../../src/utils/giftFormat');
+
+describe('GIFT Format Utility', () => {
+  it('should escape special characters and line breaks', () => {
+    expect(escapeGiftText('a = {b}: ~c #d\\e\nf')).toBe('a \\= \\{b\\}\\: \\~c \\#d\\\\e\\nf');
+    expect(unescapeGiftText(escapeGiftText('a = {b}: ~c #d\\e\nf'))).toBe('a = {b}: ~c #d\\e\nf');
+  });
+
+  it('should format questions and parse them back', () => {
+    const text = formatGift([
+      {
+        comments: ['meta: {"level":2}'],
+        title: 'q1',
+        text: 'What does {} = [] return?',
+        answers: [
+          { text: 'true', correct: false },
+          { text: 'false', correct: true },
+        ],
+        feedback: 'Objects are compared by reference',
+      },
+      { title: 'q2', text: 'Explain closures', feedback: 'A function with its scope' },
+    ]);
+
+    expect(parseGift(text)).toEqual([
+      {
+        line: 1,
+        comments: ['meta: {"level":2}'],
+        title: 'q1',
+        text: 'What does {} = [] return?',
+        type: 'multichoice',
+        answers: [
+          { text: 'true', correct: false },
+          { text: 'false', correct: true },
+        ],
+        feedback: 'Objects are compared by reference',
+      },
+      {
+        line: 8,
+        comments: [],
+        title: 'q2',
+        text: 'Explain closures',
+        type: 'essay',
+        answers: [],
+        feedback: 'A function with its scope',
+      },
+    ]);
+  });
+
+  it('should read weighted answers, true/false questions and answer feedback', () => {
+    const [multiple, trueFalse] = parseGift(
+      '$CATEGORY: logic\n\nPick two {~%50%a#right ~%50%b ~c}\n\n::tf::Is it? {F}\n'
+    );
+
+    expect(multiple.answers).toEqual([
+      { text: 'a', correct: true, weight: 50 },
+      { text: 'b', correct: true, weight: 50 },
+      { text: 'c', correct: false },
+    ]);
+    expect(trueFalse).toEqual(
+      expect.objectContaining({
+        line: 5,
+        type: 'truefalse',
+        answers: [
+          { text: 'True', correct: false },
+          { text: 'False', correct: true },
+        ],
+      })
+    );
+  });
+
+  it('should report questions without an answer block', () => {
+    expect(parseGift('// note\nNo answers here')).toEqual([
+      expect.objectContaining({ line: 1, error: 'Missing answer block in braces' }),
+    ]);
+  });
+});
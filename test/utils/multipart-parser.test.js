@@ -0,0 +1,45 @@
+/**
+ * Tests for the Multipart Form Data Parser
+ */
+
+const { getMultipartBoundary, parseMultipartBody } = require('../../src/utils/multipartParser');
+
+describe('Multipart Parser Utility', () => {
+  it('should read the boundary of multipart/form-data content types only', () => {
+    expect(getMultipartBoundary('multipart/form-data; boundary=----abc')).toBe('----abc');
+    expect(getMultipartBoundary('multipart/form-data; boundary="x y"')).toBe('x y');
+    expect(getMultipartBoundary('application/json')).toBeNull();
+    expect(getMultipartBoundary(undefined)).toBeNull();
+  });
+
+  it('should parse text fields and files', () => {
+    const body = Buffer.from(
+      [
+        '--b1',
+        'Content-Disposition: form-data; name="dry_run"',
+        '',
+        'true',
+        '--b1',
+        'Content-Disposition: form-data; name="file"; filename="questions.csv"',
+        'Content-Type: text/csv',
+        '',
+        'question,topic\r\nWhat is a closure?,Closures',
+        '--b1--',
+        '',
+      ].join('\r\n')
+    );
+
+    const { fields, files } = parseMultipartBody(body, 'b1');
+
+    expect(fields).toEqual({ dry_run: 'true' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toEqual(
+      expect.objectContaining({
+        fieldName: 'file',
+        fileName: 'questions.csv',
+        contentType: 'text/csv',
+      })
+    );
+    expect(files[0].content.toString()).toBe('question,topic\r\nWhat is a closure?,Closures');
+  });
+});
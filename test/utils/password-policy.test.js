@@ -0,0 +1,62 @@
+/**
+ * Tests for the Password Policy Utilities
+ */
+
+const { describePasswordPolicy, isValidPassword } = require('../../src/utils/passwordPolicy');
+
+describe('Password Policy Utilities', () => {
+  const originalEnv = process.env;
+  const strictPolicy = {
+    minLength: 10,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireNumber: true,
+    requireSymbol: true,
+  };
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('should only require 8 characters by default', () => {
+    process.env = { ...originalEnv, PASSWORD_MIN_LENGTH: '' };
+
+    expect(isValidPassword('password')).toBe(true);
+    expect(isValidPassword('short')).toBe(false);
+    expect(isValidPassword(undefined)).toBe(false);
+    expect(describePasswordPolicy()).toBe('Password must be at least 8 characters long');
+  });
+
+  it('should check every character class the policy requires', () => {
+    expect(isValidPassword('Correct-horse-1', strictPolicy)).toBe(true);
+    expect(isValidPassword('correct-horse-1', strictPolicy)).toBe(false);
+    expect(isValidPassword('CORRECT-HORSE-1', strictPolicy)).toBe(false);
+    expect(isValidPassword('Correct-horse', strictPolicy)).toBe(false);
+    expect(isValidPassword('CorrectHorse1', strictPolicy)).toBe(false);
+    expect(isValidPassword('Co-horse-1', strictPolicy)).toBe(true);
+    expect(isValidPassword('Co-hors-1', strictPolicy)).toBe(false);
+  });
+
+  it('should describe the policy in one sentence', () => {
+    expect(describePasswordPolicy(strictPolicy)).toBe(
+      'Password must be at least 10 characters long and contain a lowercase letter, an uppercase letter, a number and a symbol'
+    );
+    expect(describePasswordPolicy({ minLength: 12, requireNumber: true })).toBe(
+      'Password must be at least 12 characters long and contain a number'
+    );
+  });
+
+  it('should read the policy from the environment', () => {
+    process.env = {
+      ...originalEnv,
+      PASSWORD_MIN_LENGTH: '12',
+      PASSWORD_REQUIRE_UPPERCASE: 'true',
+    };
+
+    expect(isValidPassword('longpassword')).toBe(false);
+    expect(isValidPassword('Longpassword')).toBe(true);
+    expect(describePasswordPolicy()).toBe(
+      'Password must be at least 12 characters long and contain an uppercase letter'
+    );
+  });
+});
@@ -268,6 +268,29 @@ describe('questionSearchValidator', () => {
       expect(errors).toContain('ignore_question_ids must be a string of comma-separated IDs');
     });
 
+    test('should validate status parameter', () => {
+      // Omitted status is left to the service (approved only)
+      let query = {};
+      let { params, errors } = validateSearchParams(query);
+      expect(params.status).toBeUndefined();
+
+      query = { status: 'Pending_Review, rejected' };
+      ({ params, errors } = validateSearchParams(query));
+      expect(errors).toHaveLength(0);
+      expect(params.status).toEqual(['pending_review', 'rejected']);
+
+      query = { status: 'all' };
+      ({ params, errors } = validateSearchParams(query));
+      expect(errors).toHaveLength(0);
+      expect(params.status).toEqual(['draft', 'pending_review', 'approved', 'rejected', 'retired']);
+
+      query = { status: 'approved,published' };
+      ({ errors } = validateSearchParams(query));
+      expect(errors).toContain(
+        "status must be 'all' or one or more of: draft, pending_review, approved, rejected, retired"
+      );
+    });
+
     test('should validate multiple parameters at once', () => {
       // All valid parameters
       let query = {
@@ -10,8 +10,22 @@ const {
   removeFromQueueById,
   clearQueue,
   getQueueLength,
+  getQueueKeys,
+  reserveFromQueue,
+  acknowledgeQueueItem,
+  releaseQueueItem,
+  requeueProcessingItems,
+  recordWorkerHeartbeat,
+  removeWorker,
+  getWorkers,
+  recoverDeadWorkers,
+  getQueueStats,
+  scheduleRetry,
+  promoteDueRetries,
+  addToDeadLetterQueue,
   DEFAULT_QUEUE,
 } = require('../../src/utils/redisQueueHelper');
+const { getRedisClient } = require('../../src/services/redisService');
 
 // Mock the Redis client
 jest.mock('../../src/services/redisService', () => ({
@@ -49,6 +63,14 @@ describe('Redis Queue Helper Tests', () => {
   // Clear the queue before each test
   beforeEach(async () => {
     await clearQueue(DEFAULT_QUEUE);
+    const keys = [
+      ...Object.values(getQueueKeys(DEFAULT_QUEUE, 'worker-1')),
+      ...Object.values(getQueueKeys(DEFAULT_QUEUE, 'worker-2')),
+      getQueueKeys(DEFAULT_QUEUE).processing,
+    ];
+    for (const key of keys) {
+      await clearQueue(key);
+    }
   });
 
   describe('addToQueue', () => {
@@ -205,4 +227,136 @@ describe('Redis Queue Helper Tests', () => {
       expect(await getQueueLength()).toBe(0);
     });
   });
+
+  describe('reliable dequeueing', () => {
+    const keys = getQueueKeys(DEFAULT_QUEUE);
+
+    test('should keep a reserved item in the processing list until it is acknowledged', async () => {
+      await addToQueue(sampleQueueItem1);
+
+      const reserved = await reserveFromQueue();
+
+      expect(reserved.item).toEqual(sampleQueueItem1);
+      expect(await getQueueLength()).toBe(0);
+      expect(await getQueueLength(keys.processing)).toBe(1);
+
+      await acknowledgeQueueItem(reserved.raw);
+      expect(await getQueueLength(keys.processing)).toBe(0);
+    });
+
+    test('should return null when the queue is empty', async () => {
+      expect(await reserveFromQueue()).toBeNull();
+    });
+
+    test('should put a released item back at the front of the queue', async () => {
+      await addToQueue(sampleQueueItem1);
+      await addToQueue(sampleQueueItem2);
+
+      const reserved = await reserveFromQueue();
+      await releaseQueueItem(reserved.raw);
+
+      const items = await getAllQueueItems();
+      expect(items.map(item => item._id)).toEqual([sampleQueueItem1._id, sampleQueueItem2._id]);
+      expect(await getQueueLength(keys.processing)).toBe(0);
+    });
+
+    test('should recover in-flight items in their original order', async () => {
+      await addToQueue(sampleQueueItem1);
+      await addToQueue(sampleQueueItem2);
+      await reserveFromQueue();
+      await reserveFromQueue();
+
+      const recovered = await requeueProcessingItems();
+
+      expect(recovered).toBe(2);
+      const items = await getAllQueueItems();
+      expect(items.map(item => item._id)).toEqual([sampleQueueItem1._id, sampleQueueItem2._id]);
+    });
+  });
+
+  describe('retries and dead letters', () => {
+    const keys = getQueueKeys(DEFAULT_QUEUE);
+
+    test('should only re-queue retries that are due', async () => {
+      const now = Date.now();
+      await scheduleRetry(sampleQueueItem1, now - 1000);
+      await scheduleRetry(sampleQueueItem2, now + 60000);
+
+      const promoted = await promoteDueRetries(DEFAULT_QUEUE, now);
+
+      expect(promoted).toBe(1);
+      const items = await getAllQueueItems();
+      expect(items).toEqual([sampleQueueItem1]);
+    });
+
+    test('should add items to the dead-letter list', async () => {
+      await addToDeadLetterQueue(sampleQueueItem1);
+
+      expect(await getAllQueueItems(keys.deadLetter)).toEqual([sampleQueueItem1]);
+    });
+  });
+
+  describe('workers', () => {
+    test('should reserve into the processing list of a worker', async () => {
+      await addToQueue(sampleQueueItem1);
+
+      const reserved = await reserveFromQueue(DEFAULT_QUEUE, { workerId: 'worker-1' });
+
+      expect(reserved.item).toEqual(sampleQueueItem1);
+      expect(await getQueueLength(getQueueKeys(DEFAULT_QUEUE, 'worker-1').processing)).toBe(1);
+      expect(await getQueueLength(getQueueKeys(DEFAULT_QUEUE).processing)).toBe(0);
+
+      await acknowledgeQueueItem(reserved.raw, DEFAULT_QUEUE, 'worker-1');
+      expect(await getQueueLength(getQueueKeys(DEFAULT_QUEUE, 'worker-1').processing)).toBe(0);
+    });
+
+    test('should report registered workers with their heartbeat', async () => {
+      await recordWorkerHeartbeat('worker-1', { pid: 42, activeJobs: [] }, 60000);
+
+      const workers = await getWorkers();
+
+      expect(workers).toEqual([
+        expect.objectContaining({
+          id: 'worker-1',
+          alive: true,
+          pid: 42,
+          activeJobs: [],
+          reserved: 0,
+          lastHeartbeat: expect.any(String),
+        }),
+      ]);
+
+      await removeWorker('worker-1');
+      expect(await getWorkers()).toEqual([]);
+    });
+
+    test('should recover the items of workers without a heartbeat', async () => {
+      await addToQueue(sampleQueueItem1);
+      await addToQueue(sampleQueueItem2);
+      await recordWorkerHeartbeat('worker-1', {}, 60000);
+      await reserveFromQueue(DEFAULT_QUEUE, { workerId: 'worker-1' });
+      // worker-2 crashed: it is still registered but its heartbeat has expired
+      await getRedisClient().sadd(getQueueKeys(DEFAULT_QUEUE).workers, 'worker-2');
+      await reserveFromQueue(DEFAULT_QUEUE, { workerId: 'worker-2' });
+
+      expect((await getWorkers()).map(worker => [worker.id, worker.alive])).toEqual([
+        ['worker-1', true],
+        ['worker-2', false],
+      ]);
+
+      const recovered = await recoverDeadWorkers();
+
+      expect(recovered).toBe(1);
+      expect(await getAllQueueItems()).toEqual([sampleQueueItem2]);
+      expect((await getWorkers()).map(worker => worker.id)).toEqual(['worker-1']);
+    });
+
+    test('should count waiting, delayed and dead-lettered items', async () => {
+      await addToQueue(sampleQueueItem1);
+      await scheduleRetry(sampleQueueItem2, Date.now() + 60000);
+      await addToDeadLetterQueue(sampleQueueItem2);
+
+      expect(await getQueueStats()).toEqual({ waiting: 1, delayed: 1, deadLetter: 1 });
+    });
+  });
 });
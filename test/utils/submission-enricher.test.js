@@ -350,6 +350,7 @@ describe('submissionEnricher', () => {
             instrument: mockInstruments[0],
           },
         ],
+        scores: expect.any(Object),
       });
 
       // Verify the repository calls
@@ -447,6 +448,7 @@ describe('submissionEnricher', () => {
         _id: submission._id,
         candidate_id: candidateId,
         candidate: null,
+        scores: expect.any(Object),
       });
     });
 
@@ -482,10 +484,12 @@ describe('submissionEnricher', () => {
       const enrichedSubmission1 = {
         ...submissions[0],
         candidate: null,
+        scores: expect.any(Object),
       };
       const enrichedSubmission2 = {
         ...submissions[1],
         candidate: null,
+        scores: expect.any(Object),
       };
 
       // Mock the repository functions instead of the enrichSubmission function
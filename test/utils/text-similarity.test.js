@@ -0,0 +1,86 @@
+/**
+ * Tests for the Text Similarity Utilities
+ */
+
+const {
+  normalizeText,
+  getShingles,
+  jaccardSimilarity,
+  computeMinHash,
+  createSimilarityIndex,
+  findDuplicateGroups,
+} = require('../../src/utils/textSimilarity');
+
+describe('Text Similarity Utilities', () => {
+  describe('normalizeText', () => {
+    it('should ignore case, punctuation and whitespace', () => {
+      expect(normalizeText('  What is  a Closure?! ')).toBe('what is a closure');
+    });
+
+    it('should keep letters of other alphabets', () => {
+      expect(normalizeText('Biến và kiểu dữ liệu?')).toBe('biến và kiểu dữ liệu');
+    });
+  });
+
+  describe('getShingles', () => {
+    it('should split text into overlapping character shingles', () => {
+      expect([...getShingles('Abcd!')]).toEqual(['abc', 'bcd']);
+    });
+
+    it('should keep short texts as a single shingle', () => {
+      expect([...getShingles('Go')]).toEqual(['go']);
+    });
+  });
+
+  describe('jaccardSimilarity', () => {
+    it('should compare the shingles of two texts', () => {
+      expect(jaccardSimilarity(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd']))).toBe(0.5);
+      expect(jaccardSimilarity(getShingles('Same text'), getShingles('same text.'))).toBe(1);
+    });
+  });
+
+  describe('computeMinHash', () => {
+    it('should compute the same signature for the same shingles', () => {
+      const signature = computeMinHash(getShingles('What is a closure?'));
+
+      expect(signature).toHaveLength(64);
+      expect(computeMinHash(getShingles('what is a closure'))).toEqual(signature);
+    });
+  });
+
+  describe('createSimilarityIndex', () => {
+    const index = createSimilarityIndex({ threshold: 0.7 });
+    index.add('What is a closure in JavaScript?', 'closure');
+    index.add('How do you create a Promise in JavaScript?', 'promise');
+
+    it('should find near-duplicates with their similarity', () => {
+      const match = index.findMostSimilar('What is a JavaScript closure?');
+
+      expect(match.data).toBe('closure');
+      expect(match.similarity).toBeGreaterThanOrEqual(0.7);
+      expect(index.findMostSimilar('how do you create a promise in javascript').similarity).toBe(1);
+    });
+
+    it('should not match texts below the threshold', () => {
+      expect(index.findMostSimilar('What is event delegation in the DOM?')).toBeNull();
+      expect(index.size()).toBe(2);
+    });
+  });
+
+  describe('findDuplicateGroups', () => {
+    it('should group near-duplicates under the first item', () => {
+      const items = [
+        { id: 1, text: 'What is a closure in JavaScript?' },
+        { id: 2, text: 'What does the filter() method return?' },
+        { id: 3, text: 'What is a JavaScript closure?' },
+        { id: 4, text: 'What is a closure in JavaScript' },
+      ];
+
+      const groups = findDuplicateGroups(items, { getText: item => item.text, threshold: 0.7 });
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].items.map(item => item.id)).toEqual([1, 3, 4]);
+      expect(groups[0].similarity).toBe(1);
+    });
+  });
+});
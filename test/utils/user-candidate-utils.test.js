@@ -0,0 +1,67 @@
+/**
+ * Tests for the user-candidate utilities
+ * @module test/utils/user-candidate-utils
+ */
+
+const { findOrCreateCandidateForUser } = require('../../src/utils/userCandidateUtils');
+const Candidate = require('../../src/models/candidateSchema');
+const userRepository = require('../../src/repository/userRepository');
+
+jest.mock('../../src/models/candidateSchema');
+jest.mock('../../src/repository/userRepository');
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe('User Candidate Utils', () => {
+  const user = { _id: '64b7f0c2a1b2c3d4e5f60720', email: 'jane@example.com' };
+  const candidateId = '64b7f0c2a1b2c3d4e5f60730';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userRepository.update.mockImplementation((id, changes) =>
+      Promise.resolve({ ...user, ...changes })
+    );
+  });
+
+  /**
+   * Make Candidate.findOne resolve to a candidate
+   * @param {Object|null} candidate - Candidate found by email
+   */
+  const mockFoundCandidate = candidate => {
+    Candidate.findOne.mockReturnValue({ exec: jest.fn().mockResolvedValue(candidate) });
+  };
+
+  describe('findOrCreateCandidateForUser', () => {
+    it('should create and link a candidate when none has the email', async () => {
+      mockFoundCandidate(null);
+      Candidate.prototype.save = jest.fn().mockResolvedValue({ _id: candidateId });
+
+      const result = await findOrCreateCandidateForUser(user);
+
+      expect(Candidate).toHaveBeenCalledWith({ email: user.email });
+      expect(userRepository.update).toHaveBeenCalledWith(user._id, { candidate_id: candidateId });
+      expect(result.candidate_id).toBe(candidateId);
+    });
+
+    it('should not link an existing candidate before the email is verified', async () => {
+      mockFoundCandidate({ _id: candidateId, email: user.email });
+
+      const result = await findOrCreateCandidateForUser({ ...user, emailVerified: false });
+
+      expect(result).toEqual({ ...user, emailVerified: false });
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should link an existing candidate once the email is verified', async () => {
+      mockFoundCandidate({ _id: candidateId, email: user.email });
+
+      const result = await findOrCreateCandidateForUser({ ...user, emailVerified: true });
+
+      expect(userRepository.update).toHaveBeenCalledWith(user._id, { candidate_id: candidateId });
+      expect(result.candidate_id).toBe(candidateId);
+    });
+  });
+});
@@ -6,6 +6,7 @@ const {
   validateCandidateInput,
   formatCandidateDefaults,
   sanitizeUpdateData,
+  validateCandidateStatus,
   isValidEmail,
   isValidPhoneNumber,
 } = require('../../src/utils/candidateValidator');
@@ -191,7 +192,8 @@ describe('Candidate Validator', () => {
       const formatted = formatCandidateDefaults(minimalCandidate);
 
       // Check that default values are applied
-      expect(formatted.status).toBe('');
+      expect(formatted.status).toBe('applied');
+      expect(formatted.status_history).toEqual([]);
       expect(formatted.gender).toBe('');
       expect(formatted.location).toBe('');
       expect(Array.isArray(formatted.skills)).toBe(true);
@@ -258,6 +260,19 @@ describe('Candidate Validator', () => {
     });
   });
 
+  describe('validateCandidateStatus', () => {
+    test('should accept pipeline stages and a missing status', () => {
+      expect(validateCandidateStatus(undefined)).toEqual([]);
+      expect(validateCandidateStatus('screening')).toEqual([]);
+    });
+
+    test('should reject statuses outside the pipeline', () => {
+      expect(validateCandidateStatus('interviewed')).toEqual([
+        'Status must be one of: applied, screening, assessment_sent, assessment_done, interview, offer, hired, rejected',
+      ]);
+    });
+  });
+
   describe('sanitizeUpdateData', () => {
     test('should remove createdAt from update data', () => {
       const updateData = {
@@ -271,6 +286,17 @@ describe('Candidate Validator', () => {
       expect(sanitized).not.toHaveProperty('createdAt');
     });
 
+    test('should remove the status and its history from update data', () => {
+      const sanitized = sanitizeUpdateData({
+        full_name: 'Updated Name',
+        status: 'hired',
+        status_history: [],
+      });
+
+      expect(sanitized).not.toHaveProperty('status');
+      expect(sanitized).not.toHaveProperty('status_history');
+    });
+
     test('should add updatedAt to update data', () => {
       const updateData = {
         full_name: 'Updated Name',
@@ -181,6 +181,16 @@ describe('Submission Validator', () => {
       expect(result.errors).toContain('Invalid candidate_id format');
     });
 
+    test('should reject a submission with an invalid application_id', () => {
+      const result = validateSubmissionInput({
+        candidate_id: '507f1f77bcf86cd799439011',
+        application_id: 'invalid-id',
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['Invalid application_id format']);
+    });
+
     test('should reject a submission with invalid answers format', () => {
       const invalidSubmission = {
         candidate_id: '507f1f77bcf86cd799439011',